@@ -24,6 +24,7 @@ if (!defined('ABSPATH')) {
 
 // Plugin constants
 define('AEVOV_MESHCORE_VERSION', '1.0.0');
+define('AEVOV_MESHCORE_DB_VERSION', '1.1.0');
 define('AEVOV_MESHCORE_PATH', plugin_dir_path(__FILE__));
 define('AEVOV_MESHCORE_URL', plugin_dir_url(__FILE__));
 define('AEVOV_MESHCORE_BASENAME', plugin_basename(__FILE__));
@@ -124,6 +125,13 @@ class MeshcorePlugin
      */
     private ?Stealth\CodeObfuscator $code_obfuscator = null;
 
+    /**
+     * WebRTC signaling mailboxes
+     *
+     * @var P2P\WebRTCSignaling|null
+     */
+    private ?P2P\WebRTCSignaling $signaling = null;
+
     /**
      * Get singleton instance
      *
@@ -188,6 +196,7 @@ class MeshcorePlugin
         require_once AEVOV_MESHCORE_PATH . 'includes/security/class-encryption-manager.php';
 
         // Stealth (obfuscation and privacy)
+        require_once AEVOV_MESHCORE_PATH . 'includes/stealth/class-onion-crypto.php';
         require_once AEVOV_MESHCORE_PATH . 'includes/stealth/class-stealth-manager.php';
         require_once AEVOV_MESHCORE_PATH . 'includes/stealth/class-traffic-randomizer.php';
         require_once AEVOV_MESHCORE_PATH . 'includes/stealth/class-fingerprint-eliminator.php';
@@ -230,12 +239,14 @@ class MeshcorePlugin
         $this->stealth_manager = new Stealth\StealthManager($this->node_manager, $this->mesh_router);
 
         // Initialize API
+        $this->signaling = new P2P\WebRTCSignaling();
         new API\RestAPI(
             $this->node_manager,
             $this->connection_manager,
             $this->dht_service,
             $this->mesh_router,
-            $this->relay_manager
+            $this->relay_manager,
+            $this->signaling
         );
 
         // Initialize WebSocket server for signaling
@@ -449,6 +460,17 @@ class MeshcorePlugin
                 KEY service_type (service_type),
                 KEY node_id (node_id),
                 KEY status (status)
+            ) $charset_collate;",
+
+            // Signaling mailboxes
+            "CREATE TABLE IF NOT EXISTS {$wpdb->prefix}meshcore_signals (
+                id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+                recipient varchar(64) NOT NULL,
+                signal_data longtext NOT NULL,
+                created_at datetime NOT NULL,
+                PRIMARY KEY (id),
+                KEY recipient (recipient, id),
+                KEY created_at (created_at)
             ) $charset_collate;"
         ];
 
@@ -456,6 +478,8 @@ class MeshcorePlugin
         foreach ($tables as $table_sql) {
             dbDelta($table_sql);
         }
+
+        update_option('aevov_meshcore_db_version', AEVOV_MESHCORE_DB_VERSION);
     }
 
     /**
@@ -465,6 +489,11 @@ class MeshcorePlugin
      */
     public function on_plugins_loaded(): void
     {
+        // Sites updated without reactivating still get tables added since
+        if (get_option('aevov_meshcore_db_version') !== AEVOV_MESHCORE_DB_VERSION) {
+            $this->create_tables();
+        }
+
         // Load text domain
         load_plugin_textdomain('aevov-meshcore', false, dirname(AEVOV_MESHCORE_BASENAME) . '/languages');
 
@@ -568,10 +597,42 @@ class MeshcorePlugin
      */
     public function enqueue_frontend_assets(): void
     {
+        wp_enqueue_script(
+            'aevov-meshcore-identity',
+            AEVOV_MESHCORE_URL . 'assets/js/meshcore-identity.js',
+            [],
+            AEVOV_MESHCORE_VERSION,
+            true
+        );
+
         wp_enqueue_script(
             'aevov-meshcore-p2p',
             AEVOV_MESHCORE_URL . 'assets/js/meshcore-p2p.js',
-            [],
+            ['aevov-meshcore-identity'],
+            AEVOV_MESHCORE_VERSION,
+            true
+        );
+
+        wp_enqueue_script(
+            'aevov-meshcore-transfer',
+            AEVOV_MESHCORE_URL . 'assets/js/meshcore-transfer.js',
+            ['aevov-meshcore-p2p'],
+            AEVOV_MESHCORE_VERSION,
+            true
+        );
+
+        wp_enqueue_script(
+            'aevov-meshcore-mesh',
+            AEVOV_MESHCORE_URL . 'assets/js/meshcore-mesh.js',
+            ['aevov-meshcore-p2p'],
+            AEVOV_MESHCORE_VERSION,
+            true
+        );
+
+        wp_enqueue_script(
+            'aevov-meshcore-onion',
+            AEVOV_MESHCORE_URL . 'assets/js/meshcore-onion.js',
+            ['aevov-meshcore-mesh'],
             AEVOV_MESHCORE_VERSION,
             true
         );
@@ -579,7 +640,14 @@ class MeshcorePlugin
         wp_localize_script('aevov-meshcore-p2p', 'aevovMeshcore', [
             'apiUrl' => rest_url('aevov-meshcore/v1'),
             'wsUrl' => $this->get_websocket_url(),
-            'nodeId' => $this->node_manager->get_node_id()
+            // Browsers derive their own node ID from their key; the site's is not shared with visitors
+            'privacy' => (bool) get_option('aevov_stealth_enabled', true),
+            // Console logging, which privacy mode keeps off regardless
+            'debug' => defined('WP_DEBUG') && WP_DEBUG,
+            // Visitors who may not long-poll or stream signals from PHP wait for them on the WebSocket server
+            'signaling' => $this->signaling->http_signaling_allowed() ? 'auto' : 'websocket',
+            // Where transfers fetch chunks no peer has
+            'cubbitUrl' => class_exists('AevovCubbitCDN') ? rest_url('aevov-cubbit-cdn/v1') : null
         ]);
     }
 
@@ -667,6 +735,7 @@ class MeshcorePlugin
         $this->connection_manager->cleanup_stale();
         $this->dht_service->cleanup_expired();
         $this->mesh_router->cleanup_expired_routes();
+        $this->signaling->cleanup_expired();
     }
 
     /**
@@ -0,0 +1,377 @@
+/**
+ * Meshcore Identity
+ *
+ * The key pair a browser node is known by. Its node ID is the SHA-256 of the
+ * public key in PEM form, the same way NodeManager derives a site's node ID, so
+ * anyone holding the public key can check that an ID belongs to it. The private
+ * key is generated non-extractable and never leaves this browser: it is kept in
+ * IndexedDB where there is one, and for the life of the page where there isn't.
+ *
+ * Alongside it sits a long-term ECDH key pair that others can encrypt to without
+ * a connection, which is what MeshcoreOnion uses for its layers.
+ *
+ * Also does the per-connection crypto for MeshcoreP2P. Each side of a new data
+ * channel sends a hello carrying a fresh ECDH key, signed with its identity key;
+ * once the other side's hello verifies, both derive an AES-GCM key per direction
+ * from the ECDH secret and every message after that is sealed with it.
+ */
+
+/* eslint-env browser, es2020 */
+
+(function() {
+    'use strict';
+
+    const SIGNING = { name: 'ECDSA', namedCurve: 'P-256' };
+    const SIGNATURE = { name: 'ECDSA', hash: 'SHA-256' };
+    const AGREEMENT = { name: 'ECDH', namedCurve: 'P-256' };
+    const HELLO_TYPE = 'meshcore-hello';
+    const HELLO_VERSION = 1;
+    const MAILBOX_PROOF_TYPE = 'meshcore-signals';
+    const MAILBOX_PROOF_VERSION = 1;
+    // Seconds a mailbox proof stays valid either side of now, as in WebRTCSignaling
+    const MAILBOX_PROOF_WINDOW = 300;
+    const DB_NAME = 'aevov-meshcore';
+    const STORE_NAME = 'identity';
+    // Sealed frame: [1 byte kind][8 byte counter][ciphertext]
+    const HEADER_SIZE = 9;
+    const KIND_TEXT = 0;
+    const KIND_BINARY = 1;
+
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+
+    function subtle() {
+        const crypto = globalThis.crypto;
+
+        if (!crypto || !crypto.subtle) {
+            throw new Error('Meshcore: WebCrypto is unavailable, so this page must be served over HTTPS');
+        }
+
+        return crypto.subtle;
+    }
+
+    function toBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+
+        return btoa(binary);
+    }
+
+    function fromBase64(text) {
+        return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+    }
+
+    // Laid out like openssl_pkey_get_details() output, so the hash matches PHP's
+    function toPem(spki) {
+        const lines = toBase64(spki).match(/.{1,64}/g);
+        return `-----BEGIN PUBLIC KEY-----\n${lines.join('\n')}\n-----END PUBLIC KEY-----\n`;
+    }
+
+    function fromPem(pem) {
+        return fromBase64(pem.replace(/-----(BEGIN|END) PUBLIC KEY-----|\s/g, ''));
+    }
+
+    async function sha256Hex(text) {
+        const digest = await subtle().digest('SHA-256', encoder.encode(text));
+        return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // What a hello signs: who it is from and to, the connection attempt and its ECDH key
+    function transcript(from, to, session, ephemeralKey) {
+        return JSON.stringify([HELLO_TYPE, HELLO_VERSION, from, to, session, ephemeralKey]);
+    }
+
+    function mailboxTranscript(nodeId, time) {
+        return JSON.stringify([MAILBOX_PROOF_TYPE, MAILBOX_PROOF_VERSION, nodeId, time]);
+    }
+
+    function openStore() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function storeRequest(db, mode, run) {
+        return new Promise((resolve, reject) => {
+            const request = run(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Seals and opens the messages of one connection. Each direction has its own key
+    // and counts its messages; the count is the IV, and messages have to open in
+    // order, so one that is replayed, dropped or reordered fails.
+    class SecureChannel {
+        constructor(sendKey, receiveKey) {
+            this.sendKey = sendKey;
+            this.receiveKey = receiveKey;
+            this.sent = 0;
+            this.received = 0;
+        }
+
+        // Strings come back out of open() as strings, anything else as an ArrayBuffer
+        async seal(message) {
+            const binary = typeof message !== 'string';
+            const plaintext = !binary ? encoder.encode(message) :
+                ArrayBuffer.isView(message) ? new Uint8Array(message.buffer, message.byteOffset, message.byteLength) :
+                    new Uint8Array(message);
+            const header = this.header(binary ? KIND_BINARY : KIND_TEXT, this.sent++);
+
+            const ciphertext = await subtle().encrypt(
+                { name: 'AES-GCM', iv: this.iv(header), additionalData: header },
+                this.sendKey,
+                plaintext
+            );
+
+            const frame = new Uint8Array(HEADER_SIZE + ciphertext.byteLength);
+            frame.set(header, 0);
+            frame.set(new Uint8Array(ciphertext), HEADER_SIZE);
+
+            return frame.buffer;
+        }
+
+        async open(frame) {
+            if (!(frame instanceof ArrayBuffer) || frame.byteLength <= HEADER_SIZE) {
+                throw new Error('Unencrypted or truncated message');
+            }
+
+            const header = new Uint8Array(frame, 0, HEADER_SIZE);
+            const view = new DataView(frame);
+            const counter = view.getUint32(1) * 0x100000000 + view.getUint32(5);
+
+            if (counter !== this.received) {
+                throw new Error(`Message ${counter} arrived when ${this.received} was expected`);
+            }
+
+            const plaintext = await subtle().decrypt(
+                { name: 'AES-GCM', iv: this.iv(header), additionalData: header },
+                this.receiveKey,
+                new Uint8Array(frame, HEADER_SIZE)
+            );
+            this.received++;
+
+            return header[0] === KIND_BINARY ? plaintext : decoder.decode(plaintext);
+        }
+
+        header(kind, counter) {
+            const header = new Uint8Array(HEADER_SIZE);
+            const view = new DataView(header.buffer);
+
+            header[0] = kind;
+            view.setUint32(1, Math.floor(counter / 0x100000000));
+            view.setUint32(5, counter >>> 0);
+
+            return header;
+        }
+
+        // 96-bit IV: four zero bytes, then the counter
+        iv(header) {
+            const iv = new Uint8Array(12);
+            iv.set(header.subarray(1, HEADER_SIZE), 4);
+            return iv;
+        }
+    }
+
+    class MeshcoreIdentity {
+        constructor(keyPair, publicKey, nodeId, agreement) {
+            this.keyPair = keyPair;
+            // PEM
+            this.publicKey = publicKey;
+            this.nodeId = nodeId;
+            // Long-term ECDH key pair, and its public key as base64 raw bytes
+            this.agreementKeyPair = agreement ? agreement.keyPair : null;
+            this.agreementKey = agreement ? agreement.publicKey : null;
+        }
+
+        // Loads this browser's identity, creating it the first time. Pass
+        // { persist: false } for one that is forgotten with the page, and a
+        // log(level, ...args) to hear why it could not be stored.
+        static async load(options) {
+            const persist = !(options && options.persist === false) && typeof indexedDB !== 'undefined';
+            const log = (options && options.log) || (() => {});
+            let db = null;
+            let keyPair = null;
+            let agreementKeyPair = null;
+
+            if (persist) {
+                try {
+                    db = await openStore();
+                    keyPair = await storeRequest(db, 'readonly', (store) => store.get('keys'));
+                    agreementKeyPair = await storeRequest(db, 'readonly', (store) => store.get('agreement'));
+                } catch (error) {
+                    log('warn', 'Identity storage unavailable:', error);
+                }
+            }
+
+            const create = async (name, algorithm, usages) => {
+                const created = await subtle().generateKey(algorithm, false, usages);
+
+                if (db) {
+                    await storeRequest(db, 'readwrite', (store) => store.put(created, name))
+                        .catch((error) => log('warn', 'Failed to store identity:', error));
+                }
+
+                return created;
+            };
+
+            keyPair = keyPair || await create('keys', SIGNING, ['sign', 'verify']);
+            agreementKeyPair = agreementKeyPair || await create('agreement', AGREEMENT, ['deriveBits']);
+
+            if (db) {
+                db.close();
+            }
+
+            return MeshcoreIdentity.fromKeyPair(keyPair, agreementKeyPair);
+        }
+
+        static async fromKeyPair(keyPair, agreementKeyPair) {
+            const publicKey = toPem(await subtle().exportKey('spki', keyPair.publicKey));
+            const agreement = agreementKeyPair ? {
+                keyPair: agreementKeyPair,
+                publicKey: toBase64(await subtle().exportKey('raw', agreementKeyPair.publicKey))
+            } : null;
+
+            return new MeshcoreIdentity(keyPair, publicKey, await MeshcoreIdentity.nodeIdFor(publicKey), agreement);
+        }
+
+        static nodeIdFor(publicKey) {
+            return sha256Hex(publicKey);
+        }
+
+        static async verify(publicKey, signature, text) {
+            try {
+                const key = await subtle().importKey('spki', fromPem(publicKey), SIGNING, false, ['verify']);
+                return await subtle().verify(SIGNATURE, key, fromBase64(signature), encoder.encode(text));
+            } catch (error) {
+                return false;
+            }
+        }
+
+        async sign(text) {
+            return toBase64(await subtle().sign(SIGNATURE, this.keyPair.privateKey, encoder.encode(text)));
+        }
+
+        // What the signaling server asks for before handing over this node's
+        // signals: the public key and a fresh signature over the node ID
+        async proveMailbox() {
+            const time = Math.floor(Date.now() / 1000);
+
+            return {
+                node: this.nodeId,
+                key: this.publicKey,
+                time: time,
+                proof: await this.sign(mailboxTranscript(this.nodeId, time))
+            };
+        }
+
+        // Checks a proveMailbox() result the way WebRTCSignaling::verify_mailbox_proof does
+        static async verifyMailboxProof(proof) {
+            const time = Number(proof.time);
+
+            if (!Number.isInteger(time) || Math.abs(Date.now() / 1000 - time) > MAILBOX_PROOF_WINDOW ||
+                typeof proof.key !== 'string' || typeof proof.proof !== 'string' ||
+                await MeshcoreIdentity.nodeIdFor(proof.key) !== proof.node) {
+                return false;
+            }
+
+            return MeshcoreIdentity.verify(proof.key, proof.proof, mailboxTranscript(proof.node, time));
+        }
+
+        // ECDH between the long-term agreement key and someone else's public key
+        async agree(publicKey) {
+            if (!this.agreementKeyPair) {
+                throw new Error('Meshcore: This identity has no agreement key');
+            }
+
+            const key = await subtle().importKey('raw', fromBase64(publicKey), AGREEMENT, false, []);
+            return subtle().deriveBits({ name: 'ECDH', public: key }, this.agreementKeyPair.privateKey, 256);
+        }
+
+        // Starts the handshake for one connection attempt. The ECDH key pair is
+        // thrown away with the connection, so recorded traffic stays sealed even if
+        // the identity key is later stolen.
+        async createHandshake(peerId, session) {
+            const ephemeral = await subtle().generateKey(AGREEMENT, false, ['deriveBits']);
+            const ephemeralKey = toBase64(await subtle().exportKey('raw', ephemeral.publicKey));
+
+            return {
+                peerId: peerId,
+                session: session,
+                privateKey: ephemeral.privateKey,
+                hello: {
+                    type: HELLO_TYPE,
+                    version: HELLO_VERSION,
+                    nodeId: this.nodeId,
+                    publicKey: this.publicKey,
+                    ephemeralKey: ephemeralKey,
+                    signature: await this.sign(transcript(this.nodeId, peerId, session, ephemeralKey))
+                }
+            };
+        }
+
+        // Checks the peer's hello against the handshake and returns the connection's
+        // SecureChannel. Throws if the peer isn't who it says it is.
+        async completeHandshake(handshake, hello) {
+            if (!hello || hello.type !== HELLO_TYPE || hello.version !== HELLO_VERSION ||
+                typeof hello.publicKey !== 'string' || typeof hello.ephemeralKey !== 'string' ||
+                typeof hello.signature !== 'string') {
+                throw new Error('Malformed hello');
+            }
+
+            if (hello.nodeId !== handshake.peerId) {
+                throw new Error(`Hello is from ${hello.nodeId}, not ${handshake.peerId}`);
+            }
+
+            if (await MeshcoreIdentity.nodeIdFor(hello.publicKey) !== hello.nodeId) {
+                throw new Error('Node ID does not match its public key');
+            }
+
+            const signed = transcript(hello.nodeId, this.nodeId, handshake.session, hello.ephemeralKey);
+            if (!(await MeshcoreIdentity.verify(hello.publicKey, hello.signature, signed))) {
+                throw new Error('Hello signature does not verify');
+            }
+
+            const peerKey = await subtle().importKey('raw', fromBase64(hello.ephemeralKey), AGREEMENT, false, []);
+            const secret = await subtle().deriveBits({ name: 'ECDH', public: peerKey }, handshake.privateKey, 256);
+            const material = await subtle().importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+
+            const derive = (from, to) => subtle().deriveKey(
+                {
+                    name: 'HKDF',
+                    hash: 'SHA-256',
+                    salt: encoder.encode(handshake.session),
+                    info: encoder.encode(`meshcore/${HELLO_VERSION} ${from}>${to}`)
+                },
+                material,
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['encrypt', 'decrypt']
+            );
+
+            return new SecureChannel(
+                await derive(this.nodeId, handshake.peerId),
+                await derive(handshake.peerId, this.nodeId)
+            );
+        }
+    }
+
+    MeshcoreIdentity.SecureChannel = SecureChannel;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MeshcoreIdentity;
+        return;
+    }
+
+    // Expose globally
+    window.MeshcoreIdentity = MeshcoreIdentity;
+})();
@@ -0,0 +1,354 @@
+/**
+ * Meshcore Mesh
+ *
+ * Multi-hop messaging over MeshcoreP2P. Every message travels in an envelope with
+ * an ID, its origin, a TTL and the path of nodes it has taken so far:
+ *
+ * - Topic messages are gossiped: each node delivers them to its subscribers and
+ *   passes them on to its peers until the TTL runs out, so they reach the whole mesh.
+ * - Direct messages go to one node. Nodes learn the way back to every node whose
+ *   messages pass through them, and send direct messages along those routes; with
+ *   no route yet, a direct message is flooded like gossip.
+ *
+ * Nodes remember the IDs they've seen and drop copies that reach them again.
+ * Anything offering nodeId, getConnectedPeers(), sendToPeer(), addMessageHandler()
+ * and addDisconnectHandler() can carry a mesh, which is how mesh-sim/ runs one
+ * over simulated peers.
+ */
+
+(function() {
+    'use strict';
+
+    const DEFAULT_TTL = 8;
+    const MAX_TTL = 16;
+    // Message IDs remembered for duplicate suppression
+    const SEEN_LIMIT = 10000;
+    const SEEN_TTL = 5 * 60 * 1000;
+    const ROUTE_TTL = 5 * 60 * 1000;
+    // Gossiped now and then so other nodes learn a route to this one
+    const ANNOUNCE_TOPIC = 'meshcore/announce';
+    const ANNOUNCE_INTERVAL = 60000;
+
+    function newMessageId() {
+        return Array.from({ length: 4 }, () => Math.random().toString(16).slice(2, 6)).join('');
+    }
+
+    function shuffle(items) {
+        const shuffled = items.slice();
+
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+
+        return shuffled;
+    }
+
+    class MeshcoreMesh {
+        constructor(p2p, config) {
+            this.p2p = p2p;
+            this.config = config || {};
+            this.defaultTtl = this.clampTtl(this.config.ttl || DEFAULT_TTL);
+            // Peers each gossip message is passed to; 0 means all of them
+            this.fanout = this.config.fanout || 0;
+
+            // Message ID => when it was first seen, oldest first
+            this.seen = new Map();
+            // Node ID => { via, hops, updated }
+            this.routes = new Map();
+            // Topic => Set of handlers
+            this.subscriptions = new Map();
+            this.directHandlers = new Set();
+
+            this.stats = {
+                originated: 0,
+                delivered: 0,
+                forwarded: 0,
+                duplicates: 0,
+                expired: 0,
+                rejected: 0
+            };
+
+            this.p2p.addMessageHandler((peerId, message) => this.handleMessage(peerId, message));
+            this.p2p.addDisconnectHandler((peerId) => this.forgetRoutesVia(peerId));
+
+            const interval = this.config.announceInterval === undefined ? ANNOUNCE_INTERVAL : this.config.announceInterval;
+            this.announceTimer = interval > 0 ? setInterval(() => this.announce(), interval) : null;
+        }
+
+        get nodeId() {
+            return this.p2p.nodeId;
+        }
+
+        // Gossips data on a topic to every node in the mesh. Returns the message ID.
+        publish(topic, data, options) {
+            const envelope = this.createEnvelope({ kind: 'gossip', topic: String(topic), data: data }, options);
+
+            this.spread(envelope, null);
+            return envelope.id;
+        }
+
+        // Calls the handler with (data, envelope) for each message on the topic
+        subscribe(topic, handler) {
+            if (!this.subscriptions.has(topic)) {
+                this.subscriptions.set(topic, new Set());
+            }
+            this.subscriptions.get(topic).add(handler);
+
+            return () => {
+                const handlers = this.subscriptions.get(topic);
+                if (handlers) {
+                    handlers.delete(handler);
+                    if (handlers.size === 0) {
+                        this.subscriptions.delete(topic);
+                    }
+                }
+            };
+        }
+
+        // Sends data to one node, connected or not. Returns the message ID.
+        send(to, data, options) {
+            if (to === this.nodeId) {
+                throw new Error('Meshcore: Cannot send a mesh message to this node');
+            }
+
+            const envelope = this.createEnvelope({
+                kind: 'direct',
+                to: to,
+                topic: options && options.topic ? String(options.topic) : null,
+                data: data
+            }, options);
+
+            this.route(envelope, null);
+            return envelope.id;
+        }
+
+        // Calls the handler with (data, envelope) for each direct message to this node
+        onDirectMessage(handler) {
+            this.directHandlers.add(handler);
+            return () => this.directHandlers.delete(handler);
+        }
+
+        announce() {
+            return this.publish(ANNOUNCE_TOPIC, { peers: this.p2p.getConnectedPeers().length });
+        }
+
+        createEnvelope(fields, options) {
+            const envelope = Object.assign({
+                type: 'mesh',
+                id: newMessageId(),
+                origin: this.nodeId,
+                ttl: this.clampTtl(options && options.ttl),
+                path: [this.nodeId],
+                timestamp: Date.now(),
+                topic: null,
+                to: null
+            }, fields);
+
+            this.markSeen(envelope.id);
+            this.stats.originated++;
+
+            return envelope;
+        }
+
+        handleMessage(peerId, message) {
+            if (typeof message !== 'string' || message.indexOf('"mesh"') === -1) {
+                return false;
+            }
+
+            let envelope;
+            try {
+                envelope = JSON.parse(message);
+            } catch (error) {
+                return false;
+            }
+            if (!envelope || envelope.type !== 'mesh') {
+                return false;
+            }
+
+            this.receive(peerId, envelope);
+            return true;
+        }
+
+        receive(peerId, envelope) {
+            if (!this.isValid(peerId, envelope)) {
+                this.stats.rejected++;
+                return;
+            }
+
+            this.learnRoutes(peerId, envelope.path);
+
+            if (this.seen.has(envelope.id)) {
+                this.stats.duplicates++;
+                return;
+            }
+            this.markSeen(envelope.id);
+
+            if (envelope.kind === 'direct' && envelope.to !== this.nodeId) {
+                this.forward(envelope, peerId);
+                return;
+            }
+
+            this.deliver(envelope);
+
+            if (envelope.kind === 'gossip') {
+                this.forward(envelope, peerId);
+            }
+        }
+
+        // The last hop on the path must be the peer it came from, and this node can't be on it yet
+        isValid(peerId, envelope) {
+            const path = envelope.path;
+
+            return typeof envelope.id === 'string' &&
+                typeof envelope.origin === 'string' &&
+                Number.isInteger(envelope.ttl) && envelope.ttl > 0 && envelope.ttl <= MAX_TTL &&
+                Array.isArray(path) && path.length > 0 && path.length <= MAX_TTL + 1 &&
+                path[0] === envelope.origin &&
+                path[path.length - 1] === peerId &&
+                path.indexOf(this.nodeId) === -1 &&
+                (envelope.kind === 'gossip' ? typeof envelope.topic === 'string' :
+                    envelope.kind === 'direct' && typeof envelope.to === 'string');
+        }
+
+        forward(envelope, fromPeer) {
+            if (envelope.ttl <= 1) {
+                this.stats.expired++;
+                return;
+            }
+
+            const next = Object.assign({}, envelope, {
+                ttl: envelope.ttl - 1,
+                path: envelope.path.concat(this.nodeId)
+            });
+
+            this.stats.forwarded++;
+
+            if (next.kind === 'direct') {
+                this.route(next, fromPeer);
+            } else {
+                this.spread(next, fromPeer);
+            }
+        }
+
+        route(envelope, fromPeer) {
+            const connected = this.p2p.getConnectedPeers();
+
+            if (connected.indexOf(envelope.to) !== -1) {
+                this.p2p.sendToPeer(envelope.to, envelope);
+                return;
+            }
+
+            const route = this.routes.get(envelope.to);
+            if (route && Date.now() - route.updated < ROUTE_TTL &&
+                connected.indexOf(route.via) !== -1 && envelope.path.indexOf(route.via) === -1) {
+                this.p2p.sendToPeer(route.via, envelope);
+                return;
+            }
+
+            // No known route: flood it, and the seen-cache stops copies going round
+            this.spread(envelope, fromPeer);
+        }
+
+        spread(envelope, fromPeer) {
+            let targets = this.p2p.getConnectedPeers()
+                .filter((peerId) => peerId !== fromPeer && envelope.path.indexOf(peerId) === -1);
+
+            if (this.fanout > 0 && targets.length > this.fanout) {
+                targets = shuffle(targets).slice(0, this.fanout);
+            }
+
+            targets.forEach((peerId) => this.p2p.sendToPeer(peerId, envelope));
+        }
+
+        deliver(envelope) {
+            this.stats.delivered++;
+
+            if (envelope.kind === 'direct') {
+                this.directHandlers.forEach((handler) => handler(envelope.data, envelope));
+                if (this.config.onMessage) {
+                    this.config.onMessage(envelope.data, envelope);
+                }
+                return;
+            }
+
+            const handlers = this.subscriptions.get(envelope.topic);
+            if (handlers) {
+                handlers.forEach((handler) => handler(envelope.data, envelope));
+            }
+        }
+
+        // Every node on the path can be reached back through the peer that passed it on
+        learnRoutes(peerId, path) {
+            const now = Date.now();
+
+            path.forEach((nodeId, index) => {
+                if (nodeId === this.nodeId || nodeId === peerId) {
+                    return;
+                }
+
+                const hops = path.length - index;
+                const known = this.routes.get(nodeId);
+
+                if (!known || known.via === peerId || hops <= known.hops || now - known.updated >= ROUTE_TTL) {
+                    this.routes.set(nodeId, { via: peerId, hops: hops, updated: now });
+                }
+            });
+        }
+
+        forgetRoutesVia(peerId) {
+            this.routes.forEach((route, nodeId) => {
+                if (route.via === peerId) {
+                    this.routes.delete(nodeId);
+                }
+            });
+        }
+
+        markSeen(id) {
+            const now = Date.now();
+            this.seen.set(id, now);
+
+            for (const [seenId, seenAt] of this.seen) {
+                if (this.seen.size <= SEEN_LIMIT && now - seenAt < SEEN_TTL) {
+                    break;
+                }
+                this.seen.delete(seenId);
+            }
+        }
+
+        clampTtl(ttl) {
+            return Math.min(MAX_TTL, Math.max(1, Math.floor(Number(ttl) || this.defaultTtl || DEFAULT_TTL)));
+        }
+
+        getRoutes() {
+            return Array.from(this.routes.entries()).map(([nodeId, route]) => ({
+                destination: nodeId,
+                via: route.via,
+                hops: route.hops
+            }));
+        }
+
+        getStats() {
+            return Object.assign({ seen: this.seen.size, routes: this.routes.size }, this.stats);
+        }
+
+        close() {
+            clearInterval(this.announceTimer);
+        }
+    }
+
+    MeshcoreMesh.ANNOUNCE_TOPIC = ANNOUNCE_TOPIC;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MeshcoreMesh;
+        return;
+    }
+
+    // Expose globally
+    window.MeshcoreMesh = MeshcoreMesh;
+
+    // Auto-initialize alongside the mesh client
+    if (window.meshcoreClient) {
+        window.meshcoreMesh = new MeshcoreMesh(window.meshcoreClient);
+    }
+})();
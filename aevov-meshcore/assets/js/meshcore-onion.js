@@ -0,0 +1,543 @@
+/**
+ * Meshcore Onion
+ *
+ * Onion routing for browser nodes. A message goes through a circuit of relays
+ * wrapped in one layer of encryption per hop, and each relay can only take off
+ * its own layer: it learns the hop before it and the hop after it, never both
+ * ends. The innermost layer is sealed for the destination, so no relay sees what
+ * was sent either.
+ *
+ * Nodes announce a signed descriptor with their relay key (the agreement key of
+ * their MeshcoreIdentity) over the mesh, and circuits are picked from the
+ * descriptors that verify. A packet goes straight down the data channel when the
+ * next hop is a connected peer and across MeshcoreMesh when it isn't. Losing a
+ * relay that is on the circuit rebuilds it.
+ *
+ * request() sends an HTTP request out through site relays instead, POSTing the
+ * packet format OnionRelayHandler reads to their /relay/onion endpoints. Site
+ * layers are sealed the same way, to each site's node key (OnionCrypto on the
+ * PHP side), and the response comes back sealed once per site.
+ */
+
+/* eslint-env browser, es2020 */
+
+(function() {
+    'use strict';
+
+    const MeshcoreIdentity = typeof module !== 'undefined' && module.exports ?
+        require('./meshcore-identity') : window.MeshcoreIdentity;
+
+    const AGREEMENT = { name: 'ECDH', namedCurve: 'P-256' };
+    const DEFAULT_HOPS = 3;
+    const MAX_HOPS = 6;
+    // Mesh topic relay descriptors are gossiped on, and the one packets travel under
+    const RELAY_TOPIC = 'meshcore/relays';
+    const ONION_TOPIC = 'meshcore/onion';
+    const DESCRIPTOR_TTL = 10 * 60 * 1000;
+    const ANNOUNCE_INTERVAL = 2 * 60 * 1000;
+    const CIRCUIT_LIFETIME = 10 * 60 * 1000;
+    // Layers remembered so a replayed packet isn't relayed twice
+    const SEEN_LIMIT = 10000;
+    const SEEN_TTL = 10 * 60 * 1000;
+    const TAG_SIZE = 16;
+    const LAYER_INFO = 'meshcore-onion/1';
+    const REPLY_INFO = 'meshcore-onion/1 reply';
+
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+    const subtle = () => globalThis.crypto.subtle;
+
+    function toBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+
+        return btoa(binary);
+    }
+
+    function fromBase64(text) {
+        return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+    }
+
+    function newCircuitId() {
+        return Array.from(globalThis.crypto.getRandomValues(new Uint8Array(8)),
+            (byte) => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    function shuffle(items) {
+        const shuffled = items.slice();
+
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+
+        return shuffled;
+    }
+
+    // PHP's REST rows keep JSON columns as strings
+    function parseColumn(value) {
+        if (typeof value !== 'string') {
+            return value || {};
+        }
+
+        try {
+            return JSON.parse(value) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    function descriptorText(descriptor) {
+        return JSON.stringify(['meshcore-relay', 1, descriptor.nodeId, descriptor.relayKey,
+            descriptor.relay, descriptor.expires]);
+    }
+
+    // AES-GCM output split the way openssl_encrypt() returns it
+    async function encryptJson(key, content) {
+        const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+        const sealed = new Uint8Array(await subtle().encrypt(
+            { name: 'AES-GCM', iv: iv },
+            key,
+            encoder.encode(JSON.stringify(content))
+        ));
+
+        return {
+            data: toBase64(sealed.subarray(0, sealed.length - TAG_SIZE)),
+            iv: toBase64(iv),
+            tag: toBase64(sealed.subarray(sealed.length - TAG_SIZE))
+        };
+    }
+
+    async function decryptJson(key, payload) {
+        const data = fromBase64(payload.data);
+        const tag = fromBase64(payload.tag);
+        const sealed = new Uint8Array(data.length + tag.length);
+        sealed.set(data, 0);
+        sealed.set(tag, data.length);
+
+        const plaintext = await subtle().decrypt({ name: 'AES-GCM', iv: fromBase64(payload.iv) }, key, sealed);
+        return JSON.parse(decoder.decode(plaintext));
+    }
+
+    // Each layer gets its own ECDH key pair, so layers for the same relay don't link up
+    async function layerKey(secret, ephemeralKey, usages, info) {
+        const material = await subtle().importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+
+        return subtle().deriveKey(
+            { name: 'HKDF', hash: 'SHA-256', salt: fromBase64(ephemeralKey), info: encoder.encode(info || LAYER_INFO) },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            usages
+        );
+    }
+
+    async function sealLayer(relayKey, content) {
+        const ephemeral = await subtle().generateKey(AGREEMENT, false, ['deriveBits']);
+        const ephemeralKey = toBase64(await subtle().exportKey('raw', ephemeral.publicKey));
+        const recipient = await subtle().importKey('raw', fromBase64(relayKey), AGREEMENT, false, []);
+        const secret = await subtle().deriveBits({ name: 'ECDH', public: recipient }, ephemeral.privateKey, 256);
+
+        return Object.assign(
+            { key: ephemeralKey },
+            await encryptJson(await layerKey(secret, ephemeralKey, ['encrypt']), content)
+        );
+    }
+
+    // OnionCrypto's layers: sealed to the site's PEM node key, with the ephemeral key
+    // sent as SPKI so openssl can read it. Also returns the key the site replies with.
+    async function sealSiteLayer(publicKey, content) {
+        const ephemeral = await subtle().generateKey(AGREEMENT, false, ['deriveBits']);
+        const ephemeralKey = toBase64(await subtle().exportKey('spki', ephemeral.publicKey));
+        const der = fromBase64(publicKey.replace(/-----(BEGIN|END) PUBLIC KEY-----|\s/g, ''));
+        const recipient = await subtle().importKey('spki', der, AGREEMENT, false, []);
+        const secret = await subtle().deriveBits({ name: 'ECDH', public: recipient }, ephemeral.privateKey, 256);
+
+        return {
+            payload: Object.assign(
+                { key: ephemeralKey },
+                await encryptJson(await layerKey(secret, ephemeralKey, ['encrypt']), content)
+            ),
+            replyKey: await layerKey(secret, ephemeralKey, ['decrypt'], REPLY_INFO)
+        };
+    }
+
+    class MeshcoreOnion {
+        constructor(p2p, mesh, config) {
+            this.p2p = p2p;
+            this.mesh = mesh;
+            this.config = config || {};
+            this.hops = Math.min(MAX_HOPS, Math.max(1, this.config.hops || DEFAULT_HOPS));
+            // Whether this node passes other nodes' packets on
+            this.relay = this.config.relay !== false;
+            this.fetch = this.config.fetch || this.p2p.fetch || ((...args) => fetch(...args));
+
+            // Node ID => verified relay descriptor
+            this.directory = new Map();
+            this.circuit = null;
+            // Layer key => when it was first seen, oldest first
+            this.seen = new Map();
+            this.handlers = new Set();
+
+            this.stats = {
+                sent: 0,
+                relayed: 0,
+                delivered: 0,
+                rejected: 0,
+                rebuilt: 0
+            };
+
+            this.p2p.addMessageHandler((peerId, message) => this.handleMessage(peerId, message));
+            this.p2p.addDisconnectHandler((peerId) => this.handleDisconnect(peerId));
+
+            this.mesh.subscribe(RELAY_TOPIC, (descriptor) => {
+                this.addDescriptor(descriptor).catch((error) => this.p2p.log('error', 'Bad relay descriptor:', error));
+            });
+            this.mesh.onDirectMessage((data, envelope) => {
+                if (envelope.topic === ONION_TOPIC && data && data.type === 'onion_relay') {
+                    this.receive(data);
+                }
+            });
+
+            // The node's identity only exists once MeshcoreP2P is ready
+            this.ready = Promise.resolve(this.p2p.ready).then(() => this.announce());
+
+            const interval = this.config.announceInterval === undefined ? ANNOUNCE_INTERVAL : this.config.announceInterval;
+            this.announceTimer = interval > 0 ? setInterval(() => this.announce(), interval) : null;
+        }
+
+        get nodeId() {
+            return this.p2p.nodeId;
+        }
+
+        get identity() {
+            return this.config.identity || this.p2p.identity;
+        }
+
+        // Sends data to a node through a circuit. It arrives with no trace of where it came from.
+        async send(to, data) {
+            const destination = this.directory.get(to);
+
+            if (!destination) {
+                throw new Error(`Meshcore: No relay key known for ${to}`);
+            }
+
+            const circuit = this.getCircuit(to);
+            const path = circuit.hops.map((hop) => hop.nodeId).concat(to);
+
+            // Sealed from the inside out: the destination's layer first, the first hop's last
+            let payload = await sealLayer(destination.relayKey, { next_hop: 'exit', data: data });
+
+            for (let i = circuit.hops.length - 1; i >= 0; i--) {
+                payload = await sealLayer(circuit.hops[i].relayKey, { next_hop: path[i + 1], packet: payload });
+            }
+
+            this.stats.sent++;
+            this.forward(path[0], { type: 'onion_relay', encrypted_payload: payload });
+
+            return circuit.id;
+        }
+
+        // Calls the handler with the data of each onion message for this node
+        onMessage(handler) {
+            this.handlers.add(handler);
+            return () => this.handlers.delete(handler);
+        }
+
+        // Sends an HTTP request ({ method, headers, body } args, as wp_remote_request
+        // takes them) through site relays. The last relay makes the request and its
+        // response ({ status_code, headers, body }) comes back along the circuit,
+        // sealed by every relay on the way.
+        async request(url, args, options) {
+            const settings = options || {};
+            const relays = shuffle(settings.relays || await this.discoverSiteRelays())
+                .slice(0, Math.min(this.hops, settings.hops || this.hops));
+
+            if (relays.length === 0) {
+                throw new Error('Meshcore: No site relays available');
+            }
+
+            // Sealed from the inside out, with each next hop inside the layer before it
+            let layer = {
+                next_hop: 'exit',
+                request: {
+                    type: 'ai_request',
+                    url: url,
+                    args: args || {},
+                    timestamp: Math.floor(Date.now() / 1000)
+                }
+            };
+            const replyKeys = [];
+
+            for (let i = relays.length - 1; i >= 0; i--) {
+                const sealed = await sealSiteLayer(relays[i].public_key, layer);
+                replyKeys.unshift(sealed.replyKey);
+                layer = { next_hop: relays[i].node_id, packet: sealed.payload };
+            }
+
+            const response = await this.fetch(`${relays[0].api_endpoint}/relay/onion`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ type: 'onion_relay', encrypted_payload: layer.packet })
+            });
+            const result = await response.json();
+
+            if (!response.ok || !result || !result.success || !result.encrypted_response) {
+                throw new Error(`Meshcore: Relay request failed: ${(result && result.error) || response.status}`);
+            }
+
+            // The first relay sealed last, so its seal comes off first
+            let reply = result.encrypted_response;
+            for (const replyKey of replyKeys) {
+                reply = await decryptJson(replyKey, reply);
+            }
+
+            if (reply.error) {
+                throw new Error(`Meshcore: Exit relay request failed: ${reply.error}`);
+            }
+
+            this.stats.sent++;
+            return reply;
+        }
+
+        // Sites in /peers that relay and say where their REST API is
+        async discoverSiteRelays() {
+            const peers = this.p2p.discoverPeers ? await this.p2p.discoverPeers(20) : [];
+
+            return peers
+                .map((peer) => ({
+                    node_id: peer.node_id,
+                    public_key: peer.public_key,
+                    capabilities: parseColumn(peer.capabilities),
+                    api_endpoint: parseColumn(peer.network_info).api_endpoint
+                }))
+                .filter((peer) => peer.capabilities['mesh.relay'] && peer.public_key && peer.api_endpoint);
+        }
+
+        // The current circuit, rebuilt when it is too old or a relay on it has gone.
+        // A destination that is on the circuit gets a one-off circuit around it.
+        getCircuit(to) {
+            if (!this.isUsable(this.circuit)) {
+                this.circuit = this.buildCircuit([]);
+            }
+
+            if (this.circuit.hops.some((hop) => hop.nodeId === to)) {
+                return this.buildCircuit([to]);
+            }
+
+            return this.circuit;
+        }
+
+        buildCircuit(exclude) {
+            const now = Date.now();
+            const candidates = Array.from(this.directory.values()).filter((descriptor) =>
+                descriptor.relay && descriptor.expires > now &&
+                descriptor.nodeId !== this.nodeId && exclude.indexOf(descriptor.nodeId) === -1);
+
+            if (candidates.length < this.hops) {
+                throw new Error(`Meshcore: Not enough relays for a circuit (${candidates.length} of ${this.hops})`);
+            }
+
+            // Start at a connected peer when there is one, so nothing but our own data
+            // channel carries the first hop
+            const connected = this.p2p.getConnectedPeers();
+            const shuffled = shuffle(candidates);
+            const first = shuffled.find((descriptor) => connected.indexOf(descriptor.nodeId) !== -1) || shuffled[0];
+
+            return {
+                id: newCircuitId(),
+                hops: [first].concat(shuffled.filter((descriptor) => descriptor !== first).slice(0, this.hops - 1)),
+                created: now
+            };
+        }
+
+        isUsable(circuit) {
+            const now = Date.now();
+
+            return Boolean(circuit) && now - circuit.created < CIRCUIT_LIFETIME &&
+                circuit.hops.every((hop) => this.directory.get(hop.nodeId) === hop && hop.expires > now);
+        }
+
+        handleMessage(peerId, message) {
+            if (typeof message !== 'string' || message.indexOf('"onion_relay"') === -1) {
+                return false;
+            }
+
+            let packet;
+            try {
+                packet = JSON.parse(message);
+            } catch (error) {
+                return false;
+            }
+            if (!packet || packet.type !== 'onion_relay') {
+                return false;
+            }
+
+            this.receive(packet);
+            return true;
+        }
+
+        // Takes off this node's layer, then delivers the data or passes the rest on
+        async receive(packet) {
+            const payload = packet.encrypted_payload;
+
+            if (!payload || typeof payload.key !== 'string' || this.seen.has(payload.key)) {
+                this.stats.rejected++;
+                return;
+            }
+            this.markSeen(payload.key);
+
+            let layer;
+            try {
+                const secret = await this.identity.agree(payload.key);
+                layer = await decryptJson(await layerKey(secret, payload.key, ['decrypt']), payload);
+            } catch (error) {
+                this.stats.rejected++;
+                return;
+            }
+
+            if (layer.next_hop === 'exit') {
+                this.stats.delivered++;
+                this.handlers.forEach((handler) => handler(layer.data));
+                if (this.config.onMessage) {
+                    this.config.onMessage(layer.data);
+                }
+                return;
+            }
+
+            if (!this.relay || typeof layer.next_hop !== 'string' || !layer.packet || layer.next_hop === this.nodeId) {
+                this.stats.rejected++;
+                return;
+            }
+
+            this.stats.relayed++;
+            this.forward(layer.next_hop, { type: 'onion_relay', encrypted_payload: layer.packet });
+        }
+
+        forward(nodeId, packet) {
+            if (this.p2p.getConnectedPeers().indexOf(nodeId) !== -1) {
+                this.p2p.sendToPeer(nodeId, packet);
+            } else {
+                this.mesh.send(nodeId, packet, { topic: ONION_TOPIC });
+            }
+        }
+
+        async announce() {
+            const identity = this.identity;
+
+            if (!identity || !identity.agreementKey) {
+                return null;
+            }
+
+            const descriptor = {
+                nodeId: identity.nodeId,
+                publicKey: identity.publicKey,
+                relayKey: identity.agreementKey,
+                relay: this.relay,
+                expires: Date.now() + DESCRIPTOR_TTL
+            };
+            descriptor.signature = await identity.sign(descriptorText(descriptor));
+
+            return this.mesh.publish(RELAY_TOPIC, descriptor);
+        }
+
+        // Keeps a descriptor if its node ID matches its key and the signature checks out
+        async addDescriptor(descriptor) {
+            const now = Date.now();
+
+            if (!descriptor || typeof descriptor.nodeId !== 'string' || typeof descriptor.relayKey !== 'string' ||
+                typeof descriptor.publicKey !== 'string' || typeof descriptor.signature !== 'string' ||
+                typeof descriptor.relay !== 'boolean' || !Number.isFinite(descriptor.expires) ||
+                descriptor.expires <= now || descriptor.expires > now + DESCRIPTOR_TTL * 2 ||
+                descriptor.nodeId === this.nodeId) {
+                return false;
+            }
+
+            const known = this.directory.get(descriptor.nodeId);
+            if (known && known.expires >= descriptor.expires) {
+                return false;
+            }
+
+            if (await MeshcoreIdentity.nodeIdFor(descriptor.publicKey) !== descriptor.nodeId ||
+                !(await MeshcoreIdentity.verify(descriptor.publicKey, descriptor.signature, descriptorText(descriptor)))) {
+                this.stats.rejected++;
+                return false;
+            }
+
+            this.directory.set(descriptor.nodeId, {
+                nodeId: descriptor.nodeId,
+                relayKey: descriptor.relayKey,
+                relay: descriptor.relay,
+                expires: descriptor.expires
+            });
+            return true;
+        }
+
+        // A relay we've lost may be gone altogether; it is back in the directory when
+        // it next announces
+        handleDisconnect(peerId) {
+            this.directory.delete(peerId);
+
+            if (this.circuit && this.circuit.hops.some((hop) => hop.nodeId === peerId)) {
+                this.p2p.log('log', 'Circuit', this.circuit.id, 'lost a relay, rebuilding');
+                this.circuit = null;
+
+                try {
+                    this.circuit = this.buildCircuit([]);
+                    this.stats.rebuilt++;
+                } catch (error) {
+                    this.p2p.log('warn', error.message);
+                }
+            }
+        }
+
+        markSeen(key) {
+            const now = Date.now();
+            this.seen.set(key, now);
+
+            for (const [seenKey, seenAt] of this.seen) {
+                if (this.seen.size <= SEEN_LIMIT && now - seenAt < SEEN_TTL) {
+                    break;
+                }
+                this.seen.delete(seenKey);
+            }
+        }
+
+        getRelays() {
+            return Array.from(this.directory.values()).filter((descriptor) => descriptor.relay);
+        }
+
+        getStats() {
+            return Object.assign({
+                relays: this.getRelays().length,
+                circuit: this.circuit ? this.circuit.hops.length : 0
+            }, this.stats);
+        }
+
+        close() {
+            clearInterval(this.announceTimer);
+        }
+    }
+
+    MeshcoreOnion.RELAY_TOPIC = RELAY_TOPIC;
+    MeshcoreOnion.ONION_TOPIC = ONION_TOPIC;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MeshcoreOnion;
+        return;
+    }
+
+    // Expose globally
+    window.MeshcoreOnion = MeshcoreOnion;
+
+    // Auto-initialize on top of the mesh
+    if (window.meshcoreClient && window.meshcoreMesh) {
+        window.meshcoreOnion = new MeshcoreOnion(window.meshcoreClient, window.meshcoreMesh);
+    }
+})();
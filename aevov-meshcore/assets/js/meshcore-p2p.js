@@ -2,163 +2,727 @@
  * Meshcore P2P Client
  *
  * Browser-side WebRTC peer-to-peer connection handler.
+ *
+ * Signals (offers, answers and ICE candidates) for this node are read from its
+ * mailbox on the signaling server over a WebSocket, server-sent events or
+ * long-polling, whichever works first. Also loads under Node, where the browser
+ * globals it needs are passed in the config (see signaling-stub/demo.js).
+ *
+ * A node's ID is derived from its MeshcoreIdentity key, and the signaling server
+ * only hands a mailbox to the holder of that key, so every read carries a fresh
+ * signature (MeshcoreIdentity#proveMailbox). When a data channel
+ * opens, both sides exchange signed hellos and a peer only counts as connected
+ * once its hello verifies; after that every message is encrypted. Set
+ * secure: false to talk to older clients that send plain messages.
  */
 
+/* eslint-env browser, es2020 */
+
 (function() {
     'use strict';
 
+    const SOCKET_OPEN = 1;
+    const EVENT_SOURCE_CLOSED = 2;
+    // Seconds the server may hold a long-poll open
+    const POLL_WAIT = 20;
+    const MAX_RETRY_DELAY = 30000;
+
+    const MeshcoreIdentity = typeof module !== 'undefined' && module.exports ?
+        require('./meshcore-identity') : window.MeshcoreIdentity;
+
+    const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    function newSessionId() {
+        return Math.random().toString(36).slice(2, 10) + Date.now().toString(36);
+    }
+
     class MeshcoreP2P {
         constructor(config) {
             this.config = config || {};
             this.apiUrl = this.config.apiUrl || '/wp-json/aevov-meshcore/v1';
-            this.nodeId = this.config.nodeId || null;
+            this.wsUrl = this.config.wsUrl || null;
+            this.nodeId = null;
             this.peers = new Map();
             this.iceServers = [];
-
-            this.init();
+            this.iceTransportPolicy = 'all';
+
+            this.secure = this.config.secure !== false;
+            this.identity = null;
+            // Set from the site's stealth setting: no third-party STUN servers and no logging
+            this.privacy = Boolean(this.config.privacy);
+            // Set from WP_DEBUG: what the client is doing goes to the console
+            this.debug = Boolean(this.config.debug);
+
+            this.RTCPeerConnection = this.config.RTCPeerConnection || globalThis.RTCPeerConnection;
+            this.fetch = this.config.fetch || ((...args) => fetch(...args));
+            this.EventSource = this.config.EventSource || globalThis.EventSource;
+            this.WebSocket = this.config.WebSocket || globalThis.WebSocket;
+
+            // How long an attempt may stay half-open before it is abandoned
+            this.connectTimeout = this.config.connectTimeout || 30000;
+
+            this.transports = [];
+            this.socket = null;
+            this.stopSignaling = null;
+            this.signalCursor = 0;
+            this.incoming = Promise.resolve();
+            this.outgoing = Promise.resolve();
+            this.discoveryTimer = null;
+            this.closed = false;
+
+            // Extensions such as MeshcoreTransfer hook in here
+            this.messageHandlers = [];
+            this.disconnectHandlers = [];
+
+            this.ready = this.init();
         }
 
         async init() {
-            // Get node info
-            await this.fetchNodeInfo();
+            // A node is known by its key, which it also needs to collect its signals
+            this.identity = this.config.identity || await MeshcoreIdentity.load({ log: this.log.bind(this) });
+            this.nodeId = this.identity.nodeId;
+            this.log('log', 'Node ID:', this.nodeId);
 
             // Get ICE servers
             await this.fetchIceServers();
 
+            // Listen for offers, answers and candidates addressed to us
+            this.startSignaling();
+
             // Start peer discovery
-            this.startPeerDiscovery();
+            if (this.config.discovery !== false) {
+                this.startPeerDiscovery();
+            }
         }
 
-        async fetchNodeInfo() {
-            try {
-                const response = await fetch(`${this.apiUrl}/node/info`);
-                const data = await response.json();
+        async fetchIceServers() {
+            // Public STUN servers see the address of everyone who asks them, so in
+            // privacy mode only servers the site configures are used
+            this.iceServers = this.config.iceServers || (this.privacy ? [] : [
+                { urls: 'stun:stun.l.google.com:19302' },
+                { urls: 'stun:stun1.l.google.com:19302' }
+            ]);
 
-                if (data.success) {
-                    this.nodeId = data.node.node_id;
-                    console.log('Meshcore: Node ID:', this.nodeId);
+            // With a TURN server available, peers only ever see its address, not ours
+            const hasRelay = this.iceServers.some((server) =>
+                [].concat(server.urls).some((url) => /^turns?:/.test(url)));
+            this.iceTransportPolicy = this.privacy && hasRelay ? 'relay' : 'all';
+        }
+
+        // Node and peer IDs would identify visitors, so nothing is logged in privacy mode
+        log(level, ...args) {
+            if (this.debug && !this.privacy) {
+                // eslint-disable-next-line no-console
+                console[level]('Meshcore:', ...args);
+            }
+        }
+
+        startSignaling() {
+            const available = {
+                websocket: Boolean(this.wsUrl && this.WebSocket),
+                sse: Boolean(this.EventSource),
+                poll: true
+            };
+            const preferred = this.config.signaling || 'auto';
+
+            this.transports = (preferred === 'auto' ? ['websocket', 'sse', 'poll'] : [preferred])
+                .filter((transport) => available[transport]);
+            this.nextTransport();
+        }
+
+        // Falls back to the next transport when one can't be opened at all
+        nextTransport() {
+            if (this.closed) {
+                return;
+            }
+
+            const transport = this.transports.shift();
+            if (!transport) {
+                this.log('error', 'No signaling transport available');
+                return;
+            }
+
+            this.log('log', 'Receiving signals over', transport);
+
+            if (transport === 'websocket') {
+                this.openSocket();
+            } else if (transport === 'sse') {
+                this.openEventStream();
+            } else {
+                this.pollSignals();
+            }
+        }
+
+        // Query parameters for reading our mailbox, with a freshly signed proof
+        async mailboxQuery() {
+            const query = new URLSearchParams(await this.identity.proveMailbox());
+            query.set('since', this.signalCursor);
+            return query;
+        }
+
+        async openSocket(retryDelay = 1000) {
+            const url = new URL(this.wsUrl);
+            (await this.mailboxQuery()).forEach((value, name) => url.searchParams.set(name, value));
+            if (this.closed) {
+                return;
+            }
+
+            const socket = new this.WebSocket(url.toString());
+            let opened = false;
+
+            socket.onopen = () => {
+                opened = true;
+                this.socket = socket;
+            };
+
+            socket.onmessage = (event) => {
+                try {
+                    this.receiveSignals(JSON.parse(event.data));
+                } catch (error) {
+                    this.log('error', 'Unreadable signal:', error);
                 }
-            } catch (error) {
-                console.error('Meshcore: Failed to fetch node info:', error);
+            };
+
+            let ended = false;
+            const onEnd = () => {
+                // Some implementations only report a failed connect as an error
+                if (ended) {
+                    return;
+                }
+                ended = true;
+
+                if (this.socket === socket) {
+                    this.socket = null;
+                }
+                if (this.closed) {
+                    return;
+                }
+
+                if (opened) {
+                    setTimeout(() => this.openSocket(2000), 1000);
+                } else if (retryDelay > 1000) {
+                    // Worked before, so keep trying rather than fall back
+                    setTimeout(() => this.openSocket(Math.min(retryDelay * 2, MAX_RETRY_DELAY)), retryDelay);
+                } else {
+                    this.nextTransport();
+                }
+            };
+
+            socket.onclose = onEnd;
+            socket.onerror = () => {
+                if (!opened) {
+                    onEnd();
+                }
+            };
+
+            this.stopSignaling = () => socket.close();
+        }
+
+        async openEventStream() {
+            const url = `${this.apiUrl}/signal/stream?${await this.mailboxQuery()}`;
+            if (this.closed) {
+                return;
             }
+
+            const source = new this.EventSource(url);
+            let opened = false;
+
+            source.onopen = () => {
+                opened = true;
+            };
+
+            source.addEventListener('signal', (event) => {
+                try {
+                    this.receiveSignals(JSON.parse(event.data));
+                } catch (error) {
+                    this.log('error', 'Unreadable signal:', error);
+                }
+            });
+
+            // The server ends each stream after a while and EventSource reconnects by
+            // itself, resuming from the last event ID. It only gives up on errors,
+            // such as the server refusing a proof that has grown too old, and then
+            // a new stream is opened with a fresh one.
+            source.onerror = () => {
+                if (!opened) {
+                    source.close();
+                    this.nextTransport();
+                } else if (source.readyState === EVENT_SOURCE_CLOSED && !this.closed) {
+                    setTimeout(() => this.openEventStream(), 1000);
+                }
+            };
+
+            this.stopSignaling = () => source.close();
         }
 
-        async fetchIceServers() {
-            this.iceServers = [
-                { urls: 'stun:stun.l.google.com:19302' },
-                { urls: 'stun:stun1.l.google.com:19302' }
-            ];
+        async pollSignals() {
+            const controller = new AbortController();
+            let retryDelay = 1000;
+
+            this.stopSignaling = () => controller.abort();
+
+            while (!this.closed) {
+                try {
+                    const query = await this.mailboxQuery();
+                    query.set('wait', POLL_WAIT);
+
+                    const response = await this.fetch(`${this.apiUrl}/signal/poll?${query}`, { signal: controller.signal });
+                    const data = await response.json();
+
+                    // The site keeps HTTP signaling for logged-in users unless it opts in,
+                    // and never hands a mailbox to anyone without its key
+                    if (response.status === 401 || response.status === 403) {
+                        this.log('error', 'The site refused to deliver signals:', data.message);
+                        return;
+                    }
+
+                    if (!data.success) {
+                        throw new Error(data.message || 'Signal poll failed');
+                    }
+
+                    // The server's mailboxes were emptied and started counting again
+                    if (data.cursor < this.signalCursor) {
+                        this.signalCursor = 0;
+                    }
+
+                    this.receiveSignals(data.signals);
+                    this.signalCursor = Math.max(this.signalCursor, data.cursor);
+                    retryDelay = 1000;
+                } catch (error) {
+                    if (this.closed) {
+                        return;
+                    }
+                    this.log('error', 'Signal poll error:', error);
+                    await sleep(retryDelay);
+                    retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+                }
+            }
+        }
+
+        receiveSignals(signals) {
+            [].concat(signals || []).forEach((signal) => {
+                // Reconnecting transports can hand over a signal twice
+                if (signal.id) {
+                    if (signal.id <= this.signalCursor) {
+                        return;
+                    }
+                    this.signalCursor = signal.id;
+                }
+
+                // One at a time, so an answer or candidate never overtakes what came before it
+                this.incoming = this.incoming
+                    .then(() => this.handleSignal(signal))
+                    .catch((error) => this.log('error', 'Failed to handle signal:', error));
+            });
+        }
+
+        async handleSignal(signal) {
+            if (!signal || signal.from === this.nodeId || (signal.to && signal.to !== this.nodeId)) {
+                return;
+            }
+
+            switch (signal.type) {
+                case 'offer':
+                    await this.handleOffer(signal);
+                    break;
+                case 'answer':
+                    await this.handleAnswer(signal);
+                    break;
+                case 'ice':
+                    await this.handleCandidate(signal);
+                    break;
+            }
+        }
+
+        async handleOffer(signal) {
+            const peerId = signal.from;
+            const existing = this.peers.get(peerId);
+
+            if (existing) {
+                if (existing.session === signal.session) {
+                    return;
+                }
+
+                // Glare: both sides dialled at once. The higher node ID keeps its own
+                // offer and ignores the other; the lower one drops its attempt and answers.
+                if (existing.initiator && !existing.connected) {
+                    if (this.nodeId > peerId) {
+                        this.log('log', 'Ignoring competing offer from', peerId);
+                        return;
+                    }
+                    this.log('log', 'Yielding to offer from', peerId);
+                }
+
+                // Otherwise the peer has started over, so the old connection is stale
+                this.closePeer(peerId);
+            }
+
+            this.log('log', 'Answering offer from', peerId);
+
+            const peer = this.createPeer(peerId, existing ? existing.info : null, signal.session, false);
+
+            peer.connection.ondatachannel = (event) => {
+                peer.dataChannel = event.channel;
+                this.setupDataChannel(event.channel, peerId);
+            };
+
+            await peer.connection.setRemoteDescription(signal.sdp);
+            await this.addPendingCandidates(peer);
+
+            const answer = await peer.connection.createAnswer();
+            await peer.connection.setLocalDescription(answer);
+
+            await this.sendSignal('answer', {
+                to: peerId,
+                session: peer.session,
+                sdp: peer.connection.localDescription
+            });
+        }
+
+        async handleAnswer(signal) {
+            const peer = this.peers.get(signal.from);
+
+            // Answers to attempts we have since dropped or replaced
+            if (!peer || !peer.initiator || peer.session !== signal.session ||
+                peer.connection.signalingState !== 'have-local-offer') {
+                return;
+            }
+
+            await peer.connection.setRemoteDescription(signal.sdp);
+            await this.addPendingCandidates(peer);
+        }
+
+        async handleCandidate(signal) {
+            const peer = this.peers.get(signal.from);
+
+            if (!peer || peer.session !== signal.session) {
+                return;
+            }
+
+            // Trickled candidates can arrive before the description they belong to
+            if (!peer.connection.remoteDescription) {
+                peer.pendingCandidates.push(signal.candidate);
+                return;
+            }
+
+            await peer.connection.addIceCandidate(signal.candidate);
+        }
+
+        async addPendingCandidates(peer) {
+            const candidates = peer.pendingCandidates.splice(0);
+
+            for (const candidate of candidates) {
+                await peer.connection.addIceCandidate(candidate);
+            }
         }
 
         async connectToPeer(peerId, peerInfo) {
             if (this.peers.has(peerId)) {
-                console.log('Meshcore: Already connected to peer:', peerId);
-                return this.peers.get(peerId);
+                this.log('log', 'Already connected to peer:', peerId);
+                return this.peers.get(peerId).connection;
             }
 
-            console.log('Meshcore: Connecting to peer:', peerId);
+            this.log('log', 'Connecting to peer:', peerId);
 
-            const peerConnection = new RTCPeerConnection({
-                iceServers: this.iceServers
-            });
+            const peer = this.createPeer(peerId, peerInfo, newSessionId(), true);
 
             // Create data channel
-            const dataChannel = peerConnection.createDataChannel('meshcore', {
+            peer.dataChannel = peer.connection.createDataChannel('meshcore', {
                 ordered: true
             });
+            this.setupDataChannel(peer.dataChannel, peerId);
 
-            this.setupDataChannel(dataChannel, peerId);
-            this.setupPeerConnection(peerConnection, peerId);
+            try {
+                // Create and send offer
+                const offer = await peer.connection.createOffer();
 
-            // Create and send offer
-            const offer = await peerConnection.createOffer();
-            await peerConnection.setLocalDescription(offer);
+                // An offer from the peer may have replaced this attempt in the meantime
+                if (this.peers.get(peerId) !== peer) {
+                    return this.peers.has(peerId) ? this.peers.get(peerId).connection : null;
+                }
+
+                await peer.connection.setLocalDescription(offer);
+
+                // Send offer via signaling server
+                await this.sendSignal('offer', {
+                    to: peerId,
+                    session: peer.session,
+                    sdp: peer.connection.localDescription
+                });
+            } catch (error) {
+                this.log('error', 'Failed to connect to peer:', error);
+
+                if (this.peers.get(peerId) === peer) {
+                    this.closePeer(peerId);
+                }
+            }
+
+            return peer.connection;
+        }
 
-            // Send offer via signaling server
-            await this.sendSignal('offer', {
-                peerId: peerId,
-                offer: offer
+        createPeer(peerId, peerInfo, session, initiator) {
+            const peerConnection = new this.RTCPeerConnection({
+                iceServers: this.iceServers,
+                iceTransportPolicy: this.iceTransportPolicy
             });
 
-            this.peers.set(peerId, {
+            const peer = {
                 connection: peerConnection,
-                dataChannel: dataChannel,
-                info: peerInfo
-            });
+                dataChannel: null,
+                info: peerInfo,
+                session: session,
+                initiator: initiator,
+                connected: false,
+                pendingCandidates: [],
+                timer: null,
+                // Set once the peer's hello verifies
+                identity: null,
+                handshake: this.secure ? this.identity.createHandshake(peerId, session) : null,
+                helloSent: false,
+                cipher: null,
+                inbound: Promise.resolve(),
+                outbound: Promise.resolve()
+            };
+
+            peer.timer = setTimeout(() => {
+                if (this.peers.get(peerId) === peer && !peer.connected) {
+                    this.log('warn', 'Connection attempt timed out:', peerId);
+                    this.closePeer(peerId);
+                }
+            }, this.connectTimeout);
 
-            return peerConnection;
+            this.peers.set(peerId, peer);
+            this.setupPeerConnection(peerConnection, peerId, session);
+
+            return peer;
         }
 
         setupDataChannel(dataChannel, peerId) {
+            dataChannel.binaryType = 'arraybuffer';
+
+            const current = () => {
+                const peer = this.peers.get(peerId);
+                return peer && peer.dataChannel === dataChannel ? peer : null;
+            };
+
             dataChannel.onopen = () => {
-                console.log('Meshcore: Data channel opened with', peerId);
-                this.onPeerConnected(peerId);
+                const peer = current();
+                if (!peer) {
+                    return;
+                }
+
+                this.log('log', 'Data channel opened with', peerId);
+
+                if (this.secure) {
+                    this.sendHello(peerId, peer);
+                } else {
+                    this.markConnected(peerId, peer);
+                }
             };
 
             dataChannel.onclose = () => {
-                console.log('Meshcore: Data channel closed with', peerId);
-                this.onPeerDisconnected(peerId);
+                this.log('log', 'Data channel closed with', peerId);
+
+                if (current()) {
+                    this.closePeer(peerId);
+                }
             };
 
             dataChannel.onmessage = (event) => {
-                this.onPeerMessage(peerId, event.data);
+                const peer = current();
+                if (!peer) {
+                    return;
+                }
+
+                if (this.secure) {
+                    // Opened one at a time, in the order they arrived
+                    peer.inbound = peer.inbound.then(() => this.receiveSecure(peerId, peer, event.data));
+                } else {
+                    this.onPeerMessage(peerId, event.data);
+                }
             };
 
             dataChannel.onerror = (error) => {
-                console.error('Meshcore: Data channel error:', error);
+                this.log('error', 'Data channel error:', error);
             };
         }
 
-        setupPeerConnection(peerConnection, peerId) {
+        async sendHello(peerId, peer) {
+            try {
+                const handshake = await peer.handshake;
+
+                if (this.peers.get(peerId) !== peer || peer.dataChannel.readyState !== 'open') {
+                    return;
+                }
+
+                peer.dataChannel.send(JSON.stringify(handshake.hello));
+                peer.helloSent = true;
+                this.markConnected(peerId, peer);
+            } catch (error) {
+                this.rejectPeer(peerId, peer, error);
+            }
+        }
+
+        // The first message must be the peer's hello; everything after it is sealed
+        async receiveSecure(peerId, peer, data) {
+            let message;
+
+            try {
+                if (!peer.cipher) {
+                    const hello = JSON.parse(typeof data === 'string' ? data : '');
+                    peer.cipher = await this.identity.completeHandshake(await peer.handshake, hello);
+                    peer.identity = { nodeId: hello.nodeId, publicKey: hello.publicKey };
+
+                    this.log('log', 'Verified identity of', peerId);
+                    this.markConnected(peerId, peer);
+                    return;
+                }
+
+                message = await peer.cipher.open(data);
+            } catch (error) {
+                this.rejectPeer(peerId, peer, error);
+                return;
+            }
+
+            if (this.peers.get(peerId) === peer) {
+                this.onPeerMessage(peerId, message);
+            }
+        }
+
+        // Connected once the data channel is open and, when secure, both hellos are through
+        markConnected(peerId, peer) {
+            if (peer.connected || this.peers.get(peerId) !== peer ||
+                (this.secure && !(peer.helloSent && peer.cipher))) {
+                return;
+            }
+
+            peer.connected = true;
+            clearTimeout(peer.timer);
+
+            this.onPeerConnected(peerId);
+        }
+
+        // Drops a peer whose hello didn't verify or whose message didn't open
+        rejectPeer(peerId, peer, error) {
+            if (this.peers.get(peerId) !== peer) {
+                return;
+            }
+
+            this.log('warn', 'Rejecting peer', peerId, '-', error.message);
+            this.closePeer(peerId);
+
+            if (this.config.onPeerRejected) {
+                this.config.onPeerRejected(peerId, error);
+            }
+        }
+
+        setupPeerConnection(peerConnection, peerId, session) {
             peerConnection.onicecandidate = (event) => {
                 if (event.candidate) {
                     this.sendSignal('ice', {
-                        peerId: peerId,
+                        to: peerId,
+                        session: session,
                         candidate: event.candidate
                     });
                 }
             };
 
             peerConnection.onconnectionstatechange = () => {
-                console.log('Meshcore: Connection state:', peerConnection.connectionState);
+                this.log('log', 'Connection state:', peerConnection.connectionState);
 
-                if (peerConnection.connectionState === 'failed' ||
-                    peerConnection.connectionState === 'closed') {
-                    this.peers.delete(peerId);
+                const peer = this.peers.get(peerId);
+
+                if ((peerConnection.connectionState === 'failed' ||
+                    peerConnection.connectionState === 'closed') &&
+                    peer && peer.connection === peerConnection) {
+                    this.closePeer(peerId);
                 }
             };
         }
 
-        async sendSignal(type, data) {
-            try {
-                const response = await fetch(`${this.apiUrl}/signal/${type}`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify(data)
-                });
+        // Ends an attempt or a connection. Only connected peers are reported as gone.
+        closePeer(peerId) {
+            const peer = this.peers.get(peerId);
 
-                return await response.json();
-            } catch (error) {
-                console.error('Meshcore: Signaling error:', error);
+            if (!peer) {
+                return;
+            }
+
+            this.peers.delete(peerId);
+            clearTimeout(peer.timer);
+
+            if (peer.dataChannel) {
+                peer.dataChannel.onclose = null;
+                peer.dataChannel.close();
+            }
+            peer.connection.close();
+
+            if (peer.connected) {
+                this.onPeerDisconnected(peerId);
             }
         }
 
+        sendSignal(type, data) {
+            const signal = Object.assign({ type: type, from: this.nodeId }, data);
+
+            // Sent in order, so the peer never sees a candidate before its offer
+            const sent = this.outgoing.then(async () => {
+                if (this.socket && this.socket.readyState === SOCKET_OPEN) {
+                    this.socket.send(JSON.stringify(signal));
+                    return { success: true };
+                }
+
+                try {
+                    const response = await this.fetch(`${this.apiUrl}/signal/${type}`, {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json'
+                        },
+                        body: JSON.stringify(signal)
+                    });
+
+                    return await response.json();
+                } catch (error) {
+                    this.log('error', 'Signaling error:', error);
+                }
+            });
+
+            this.outgoing = sent;
+            return sent;
+        }
+
         sendToPeer(peerId, data) {
             const peer = this.peers.get(peerId);
 
-            if (!peer || !peer.dataChannel || peer.dataChannel.readyState !== 'open') {
-                console.warn('Meshcore: Cannot send to peer, channel not ready:', peerId);
+            if (!peer || !peer.dataChannel || peer.dataChannel.readyState !== 'open' ||
+                (this.secure && !peer.connected)) {
+                this.log('warn', 'Cannot send to peer, channel not ready:', peerId);
                 return false;
             }
 
+            // Binary goes as it is; anything else that isn't a string as JSON
+            const binary = data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+            const message = typeof data === 'string' || binary ? data : JSON.stringify(data);
+
+            if (this.secure) {
+                // Sealed one at a time, so messages go out in the order they are counted
+                peer.outbound = peer.outbound
+                    .then(async () => {
+                        const frame = await peer.cipher.seal(message);
+
+                        if (peer.dataChannel.readyState === 'open') {
+                            peer.dataChannel.send(frame);
+                        }
+                    })
+                    .catch((error) => this.log('error', 'Send error:', error));
+                return true;
+            }
+
             try {
-                const message = typeof data === 'string' ? data : JSON.stringify(data);
                 peer.dataChannel.send(message);
                 return true;
             } catch (error) {
-                console.error('Meshcore: Send error:', error);
+                this.log('error', 'Send error:', error);
                 return false;
             }
         }
@@ -166,7 +730,7 @@
         broadcastToPeers(data) {
             let sent = 0;
 
-            this.peers.forEach((peer, peerId) => {
+            this.getConnectedPeers().forEach((peerId) => {
                 if (this.sendToPeer(peerId, data)) {
                     sent++;
                 }
@@ -177,21 +741,21 @@
 
         async discoverPeers(count = 10) {
             try {
-                const response = await fetch(`${this.apiUrl}/peers?limit=${count}`);
+                const response = await this.fetch(`${this.apiUrl}/peers?limit=${count}`);
                 const data = await response.json();
 
                 if (data.success && data.peers) {
                     return data.peers;
                 }
             } catch (error) {
-                console.error('Meshcore: Peer discovery error:', error);
+                this.log('error', 'Peer discovery error:', error);
             }
 
             return [];
         }
 
         async startPeerDiscovery() {
-            setInterval(async () => {
+            this.discoveryTimer = setInterval(async () => {
                 const peers = await this.discoverPeers(5);
 
                 for (const peer of peers) {
@@ -203,8 +767,29 @@
             }, 30000); // Every 30 seconds
         }
 
+        // Stops signaling and discovery and closes every connection
+        close() {
+            this.closed = true;
+            clearInterval(this.discoveryTimer);
+
+            if (this.stopSignaling) {
+                this.stopSignaling();
+            }
+
+            Array.from(this.peers.keys()).forEach((peerId) => this.closePeer(peerId));
+        }
+
+        // Handlers get every message first; one returning true has taken it
+        addMessageHandler(handler) {
+            this.messageHandlers.push(handler);
+        }
+
+        addDisconnectHandler(handler) {
+            this.disconnectHandlers.push(handler);
+        }
+
         onPeerConnected(peerId) {
-            console.log('Meshcore: Peer connected:', peerId);
+            this.log('log', 'Peer connected:', peerId);
 
             if (this.config.onPeerConnected) {
                 this.config.onPeerConnected(peerId);
@@ -212,8 +797,9 @@
         }
 
         onPeerDisconnected(peerId) {
-            console.log('Meshcore: Peer disconnected:', peerId);
+            this.log('log', 'Peer disconnected:', peerId);
             this.peers.delete(peerId);
+            this.disconnectHandlers.forEach((handler) => handler(peerId));
 
             if (this.config.onPeerDisconnected) {
                 this.config.onPeerDisconnected(peerId);
@@ -221,7 +807,11 @@
         }
 
         onPeerMessage(peerId, message) {
-            console.log('Meshcore: Message from', peerId, ':', message);
+            if (this.messageHandlers.some((handler) => handler(peerId, message))) {
+                return;
+            }
+
+            this.log('log', 'Message from', peerId, ':', message);
 
             try {
                 const data = JSON.parse(message);
@@ -237,30 +827,41 @@
             }
         }
 
+        // The verified identity ({ nodeId, publicKey }) of a connected peer
+        getPeerIdentity(peerId) {
+            const peer = this.peers.get(peerId);
+            return peer && peer.connected ? peer.identity : null;
+        }
+
         getConnectedPeers() {
-            return Array.from(this.peers.keys());
+            return Array.from(this.peers.keys()).filter((peerId) => this.peers.get(peerId).connected);
         }
 
         getPeerCount() {
-            return this.peers.size;
+            return this.getConnectedPeers().length;
         }
 
         async getNetworkStats() {
             try {
-                const response = await fetch(`${this.apiUrl}/stats`);
+                const response = await this.fetch(`${this.apiUrl}/stats`);
                 const data = await response.json();
 
                 if (data.success) {
                     return data.stats;
                 }
             } catch (error) {
-                console.error('Meshcore: Failed to fetch stats:', error);
+                this.log('error', 'Failed to fetch stats:', error);
             }
 
             return null;
         }
     }
 
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MeshcoreP2P;
+        return;
+    }
+
     // Expose globally
     window.MeshcoreP2P = MeshcoreP2P;
 
@@ -0,0 +1,621 @@
+/**
+ * Meshcore Transfer
+ *
+ * Moves binary content (pattern and model chunks) between peers over MeshcoreP2P
+ * data channels. Content is split into chunks that travel as binary frames; the
+ * peer serving it first sends a manifest with a SHA-256 hash of every chunk and of
+ * the whole, so each chunk is checked as it lands. The receiver acknowledges each
+ * chunk, the sender keeps only a window of unacknowledged chunks in flight and
+ * waits on bufferedAmount, and an interrupted download resumes from the last
+ * acknowledged chunk, from the same peer or another one.
+ *
+ * Apps fetch by content ID; when no peer has the content it comes from the
+ * fallback, by default the Cubbit CDN. A peer's manifest is only trusted as far as
+ * the hash it must match: the one the app passes, or the content ID when that is a
+ * SHA-256 hash. Content fetched from peers without one isn't served on.
+ */
+
+/* eslint-env browser, es2020 */
+
+(function() {
+    'use strict';
+
+    const DEFAULT_CHUNK_SIZE = 16 * 1024;
+    // Largest content a download accepts, unless configured otherwise
+    const DEFAULT_MAX_SIZE = 64 * 1024 * 1024;
+    const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+    // Unacknowledged chunks a sender keeps in flight
+    const WINDOW = 16;
+    // Sending pauses while more than this is queued on the channel
+    const HIGH_WATER = 1024 * 1024;
+    const LOW_WATER = 256 * 1024;
+    // A download with no reply from its peer for this long moves on to the next peer
+    const STALL_TIMEOUT = 15000;
+    const FRAME_CHUNK = 1;
+
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+
+    class TransferError extends Error {
+        constructor(message, resumable) {
+            super(message);
+            this.name = 'TransferError';
+            this.resumable = Boolean(resumable);
+        }
+    }
+
+    async function sha256(bytes) {
+        const digest = await globalThis.crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    function toBytes(data) {
+        if (data instanceof Uint8Array) {
+            return data;
+        }
+        if (data instanceof ArrayBuffer) {
+            return new Uint8Array(data);
+        }
+        if (ArrayBuffer.isView(data)) {
+            return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        }
+        if (typeof data === 'string') {
+            return encoder.encode(data);
+        }
+        return encoder.encode(JSON.stringify(data));
+    }
+
+    // [type: 1 byte][header length: 4 bytes][header JSON][payload]
+    function encodeFrame(header, payload) {
+        const headerBytes = encoder.encode(JSON.stringify(header));
+        const frame = new Uint8Array(5 + headerBytes.length + payload.length);
+        const view = new DataView(frame.buffer);
+
+        frame[0] = FRAME_CHUNK;
+        view.setUint32(1, headerBytes.length);
+        frame.set(headerBytes, 5);
+        frame.set(payload, 5 + headerBytes.length);
+
+        return frame;
+    }
+
+    function decodeFrame(data) {
+        const frame = toBytes(data);
+        if (frame.length < 5 || frame[0] !== FRAME_CHUNK) {
+            return null;
+        }
+
+        const view = new DataView(frame.buffer, frame.byteOffset, frame.byteLength);
+        const headerLength = view.getUint32(1);
+
+        try {
+            return {
+                header: JSON.parse(decoder.decode(frame.subarray(5, 5 + headerLength))),
+                payload: frame.slice(5 + headerLength)
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // The hash content fetched under this ID must have: the one asked for, or the ID
+    // itself when content is named by its hash
+    function expectedHash(contentId, settings) {
+        if (settings.hash) {
+            return settings.hash;
+        }
+        return SHA256_PATTERN.test(contentId) ? contentId : null;
+    }
+
+    // Resolves once the channel has room, or is no longer open
+    function drain(channel) {
+        if (!(channel.bufferedAmount > HIGH_WATER)) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => {
+            const check = () => {
+                if (channel.readyState !== 'open' || channel.bufferedAmount <= LOW_WATER) {
+                    clearInterval(timer);
+                    channel.onbufferedamountlow = null;
+                    resolve();
+                }
+            };
+            // Not every implementation fires bufferedamountlow, so check now and then too
+            const timer = setInterval(check, 100);
+
+            channel.bufferedAmountLowThreshold = LOW_WATER;
+            channel.onbufferedamountlow = check;
+        });
+    }
+
+    // Fetches chunks the Aevov Cubbit CDN plugin knows by ID
+    function cubbitFallback(cdnUrl, fetcher) {
+        const baseUrl = cdnUrl || '/wp-json/aevov-cubbit-cdn/v1';
+        const request = fetcher || ((...args) => fetch(...args));
+
+        return async (contentId) => {
+            const response = await request(`${baseUrl}/get-chunk-url/${encodeURIComponent(contentId)}`);
+            const data = await response.json();
+
+            if (!data.url) {
+                throw new TransferError(data.message || `Cubbit has no chunk ${contentId}`);
+            }
+
+            const content = await request(data.url);
+            if (!content.ok) {
+                throw new TransferError(`Cubbit download failed with HTTP ${content.status}`);
+            }
+
+            return new Uint8Array(await content.arrayBuffer());
+        };
+    }
+
+    class MeshcoreTransfer {
+        constructor(p2p, config) {
+            this.p2p = p2p;
+            this.config = config || {};
+            this.chunkSize = this.config.chunkSize || DEFAULT_CHUNK_SIZE;
+            this.maxSize = this.config.maxSize || DEFAULT_MAX_SIZE;
+            this.fallback = this.config.fallback || null;
+
+            // Content this node serves: content ID => { bytes, manifest }
+            this.shared = new Map();
+            // Downloads in progress, kept so they can resume: content ID => state
+            this.downloads = new Map();
+            // Requests waiting on a peer's reply: request ID => { resolve, reject }
+            this.pending = new Map();
+            // Transfers this node is sending: "peer:transfer ID" => session
+            this.sending = new Map();
+
+            this.p2p.addMessageHandler((peerId, message) => this.handleMessage(peerId, message));
+            this.p2p.addDisconnectHandler((peerId) => this.cancelPeer(peerId));
+        }
+
+        /**
+         * Serves content to peers that ask for it. Without an ID the content's own
+         * hash is its ID. Resolves to the manifest.
+         */
+        async share(data, contentId) {
+            const bytes = toBytes(data);
+            const chunkHashes = [];
+
+            for (let offset = 0; offset < bytes.length; offset += this.chunkSize) {
+                chunkHashes.push(await sha256(bytes.subarray(offset, offset + this.chunkSize)));
+            }
+
+            const hash = await sha256(bytes);
+            const manifest = {
+                contentId: contentId || hash,
+                size: bytes.length,
+                chunkSize: this.chunkSize,
+                chunkHashes: chunkHashes,
+                hash: hash
+            };
+
+            this.shared.set(manifest.contentId, { bytes: bytes, manifest: manifest });
+            return manifest;
+        }
+
+        unshare(contentId) {
+            return this.shared.delete(contentId);
+        }
+
+        has(contentId) {
+            return this.shared.has(contentId);
+        }
+
+        /**
+         * Fetches content by ID from connected peers, then from the fallback.
+         *
+         * Options: peers (IDs to try, default all connected), hash (expected SHA-256,
+         * which peers' manifests must match; a content ID that is itself a SHA-256
+         * hash stands in for it), maxSize (largest content to accept, in bytes),
+         * fallback (async contentId => bytes, or false for none), share (serve it once
+         * fetched, default true, though content from a peer is only served when it
+         * had a hash to match) and onProgress({ contentId, peerId, received, total,
+         * bytes, size }).
+         */
+        async fetch(contentId, options) {
+            const settings = options || {};
+            const local = this.shared.get(contentId);
+            const hash = expectedHash(contentId, settings);
+
+            if (local && (!hash || local.manifest.hash === hash)) {
+                return local.bytes;
+            }
+
+            const peers = settings.peers || this.p2p.getConnectedPeers();
+            const errors = [];
+
+            for (const peerId of peers) {
+                try {
+                    const bytes = await this.fetchFromPeer(peerId, contentId, settings);
+                    // Without a hash to hold it to, the peer could have sent anything
+                    return this.finish(contentId, bytes, settings, Boolean(hash));
+                } catch (error) {
+                    this.p2p.log('warn', 'Transfer of', contentId, 'from', peerId, 'failed:', error.message);
+                    errors.push(`${peerId}: ${error.message}`);
+                }
+            }
+
+            const fallback = settings.fallback === undefined ? this.fallback : settings.fallback;
+            if (!fallback) {
+                // What did arrive is kept, so fetching again picks up from there
+                throw new TransferError(
+                    `No peer could supply ${contentId}${errors.length ? ` (${errors.join('; ')})` : ''}`,
+                    Boolean(this.getProgress(contentId))
+                );
+            }
+
+            this.p2p.log('log', 'Fetching', contentId, 'from fallback');
+
+            const bytes = toBytes(await fallback(contentId));
+            if (hash && await sha256(bytes) !== hash) {
+                throw new TransferError(`Fallback content for ${contentId} failed its integrity check`);
+            }
+
+            this.downloads.delete(contentId);
+            return this.finish(contentId, bytes, settings, true);
+        }
+
+        // Serves fetched content on, if it can be vouched for
+        async finish(contentId, bytes, settings, trusted) {
+            if (trusted && settings.share !== false) {
+                await this.share(bytes, contentId);
+            }
+            return bytes;
+        }
+
+        // Where a download has got to, for showing or resuming it
+        getProgress(contentId) {
+            const state = this.downloads.get(contentId);
+
+            if (!state || !state.manifest) {
+                return null;
+            }
+
+            return {
+                contentId: contentId,
+                received: state.next,
+                total: state.manifest.chunkHashes.length,
+                bytes: Math.min(state.next * state.manifest.chunkSize, state.manifest.size),
+                size: state.manifest.size
+            };
+        }
+
+        async fetchFromPeer(peerId, contentId, settings) {
+            if (!this.downloads.has(contentId)) {
+                this.downloads.set(contentId, { manifest: null, chunks: [], next: 0 });
+            }
+            const state = this.downloads.get(contentId);
+
+            const manifest = await this.request(peerId, { op: 'have', contentId: contentId });
+            if (manifest.op !== 'manifest' || manifest.contentId !== contentId) {
+                throw new TransferError('peer does not have it');
+            }
+            this.checkManifest(manifest, state, settings);
+            state.manifest = state.manifest || manifest;
+
+            const total = manifest.chunkHashes.length;
+            if (state.next < total) {
+                await this.receiveChunks(peerId, contentId, state, settings);
+            }
+
+            const bytes = new Uint8Array(manifest.size);
+            state.chunks.forEach((chunk, index) => bytes.set(chunk, index * manifest.chunkSize));
+
+            if (await sha256(bytes) !== manifest.hash) {
+                this.downloads.delete(contentId);
+                throw new TransferError('assembled content failed its integrity check');
+            }
+
+            this.downloads.delete(contentId);
+            return bytes;
+        }
+
+        checkManifest(manifest, state, settings) {
+            const chunkSize = manifest.chunkSize;
+            const maxSize = settings.maxSize || this.maxSize;
+            const hash = expectedHash(manifest.contentId, settings);
+
+            if (!Number.isSafeInteger(manifest.size) || manifest.size < 0 ||
+                !Number.isSafeInteger(chunkSize) || chunkSize <= 0) {
+                throw new TransferError('peer sent a malformed manifest');
+            }
+            // Checked before anything is allocated for it
+            if (manifest.size > maxSize) {
+                throw new TransferError(`peer offered ${manifest.size} bytes, more than the ${maxSize} allowed`);
+            }
+            if (!Array.isArray(manifest.chunkHashes) ||
+                manifest.chunkHashes.length !== Math.ceil(manifest.size / chunkSize)) {
+                throw new TransferError('peer sent a malformed manifest');
+            }
+            if (hash && manifest.hash !== hash) {
+                throw new TransferError('peer has different content under this ID');
+            }
+            // Resuming: the chunks we hold must belong to the same content
+            if (state.manifest && (state.manifest.hash !== manifest.hash || state.manifest.chunkSize !== chunkSize)) {
+                throw new TransferError('peer has a different version of this content');
+            }
+        }
+
+        receiveChunks(peerId, contentId, state, settings) {
+            const manifest = state.manifest;
+            const total = manifest.chunkHashes.length;
+            const transferId = Math.random().toString(36).slice(2, 10);
+
+            return new Promise((resolve, reject) => {
+                let stallTimer = null;
+                // Chunks are checked one at a time so they're stored in order
+                let verifying = Promise.resolve();
+
+                const finish = (error) => {
+                    clearTimeout(stallTimer);
+                    this.pending.delete(transferId);
+
+                    if (error) {
+                        this.send(peerId, { op: 'cancel', transferId: transferId });
+                        reject(error);
+                    } else {
+                        resolve();
+                    }
+                };
+
+                const resetStall = () => {
+                    clearTimeout(stallTimer);
+                    stallTimer = setTimeout(() => {
+                        finish(new TransferError(`stalled at chunk ${state.next} of ${total}`, true));
+                    }, STALL_TIMEOUT);
+                };
+
+                const onChunk = (index, payload) => {
+                    verifying = verifying.then(async () => {
+                        if (!this.pending.has(transferId) || index !== state.next) {
+                            return;
+                        }
+
+                        const length = Math.min(manifest.chunkSize, manifest.size - index * manifest.chunkSize);
+                        if (payload.length !== length || await sha256(payload) !== manifest.chunkHashes[index]) {
+                            finish(new TransferError(`chunk ${index} failed its integrity check`));
+                            return;
+                        }
+
+                        state.chunks[index] = payload;
+                        state.next = index + 1;
+                        this.send(peerId, { op: 'ack', transferId: transferId, index: index });
+
+                        const progress = Object.assign(this.getProgress(contentId), { peerId: peerId });
+                        if (settings.onProgress) {
+                            settings.onProgress(progress);
+                        }
+                        if (this.config.onProgress) {
+                            this.config.onProgress(progress);
+                        }
+
+                        if (state.next >= total) {
+                            finish();
+                        } else {
+                            resetStall();
+                        }
+                    });
+                };
+
+                this.pending.set(transferId, {
+                    peerId: peerId,
+                    onChunk: onChunk,
+                    // The only reply a transfer gets is the peer saying it no longer has the content
+                    resolve: () => finish(new TransferError('peer no longer has it')),
+                    reject: (error) => finish(error)
+                });
+
+                resetStall();
+                if (!this.send(peerId, { op: 'request', transferId: transferId, contentId: contentId, from: state.next })) {
+                    finish(new TransferError('peer is not connected', true));
+                }
+            });
+        }
+
+        // Sends a control message and waits for the reply that carries its request ID
+        request(peerId, message) {
+            const requestId = Math.random().toString(36).slice(2, 10);
+
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    this.pending.delete(requestId);
+                    reject(new TransferError('peer did not reply', true));
+                }, STALL_TIMEOUT);
+
+                this.pending.set(requestId, {
+                    peerId: peerId,
+                    resolve: (reply) => {
+                        clearTimeout(timer);
+                        this.pending.delete(requestId);
+                        resolve(reply);
+                    },
+                    reject: (error) => {
+                        clearTimeout(timer);
+                        this.pending.delete(requestId);
+                        reject(error);
+                    }
+                });
+
+                if (!this.send(peerId, Object.assign({ requestId: requestId }, message))) {
+                    this.pending.get(requestId).reject(new TransferError('peer is not connected', true));
+                }
+            });
+        }
+
+        send(peerId, message) {
+            return this.p2p.sendToPeer(peerId, Object.assign({ type: 'transfer' }, message));
+        }
+
+        handleMessage(peerId, message) {
+            if (typeof message !== 'string') {
+                const frame = decodeFrame(message);
+                const pending = frame && this.pending.get(frame.header.transferId);
+
+                if (pending && pending.peerId === peerId) {
+                    pending.onChunk(frame.header.index, frame.payload);
+                }
+                return Boolean(frame);
+            }
+
+            if (message.indexOf('"transfer"') === -1) {
+                return false;
+            }
+
+            let data;
+            try {
+                data = JSON.parse(message);
+            } catch (error) {
+                return false;
+            }
+            if (!data || data.type !== 'transfer') {
+                return false;
+            }
+
+            switch (data.op) {
+                case 'have':
+                    this.answerHave(peerId, data);
+                    break;
+                case 'manifest':
+                case 'missing': {
+                    const pending = this.pending.get(data.requestId);
+                    if (pending && pending.peerId === peerId) {
+                        pending.resolve(data);
+                    }
+                    break;
+                }
+                case 'request':
+                    this.serve(peerId, data);
+                    break;
+                case 'ack':
+                    this.acknowledge(peerId, data);
+                    break;
+                case 'cancel':
+                    this.cancelSending(`${peerId}:${data.transferId}`);
+                    break;
+            }
+
+            return true;
+        }
+
+        answerHave(peerId, data) {
+            const item = this.shared.get(data.contentId);
+
+            if (item) {
+                this.send(peerId, Object.assign({ op: 'manifest', requestId: data.requestId }, item.manifest));
+            } else {
+                this.send(peerId, { op: 'missing', requestId: data.requestId, contentId: data.contentId });
+            }
+        }
+
+        async serve(peerId, data) {
+            const item = this.shared.get(data.contentId);
+            const key = `${peerId}:${data.transferId}`;
+
+            if (!item) {
+                this.send(peerId, { op: 'missing', requestId: data.transferId, contentId: data.contentId });
+                return;
+            }
+
+            const { bytes, manifest } = item;
+            const total = manifest.chunkHashes.length;
+            const from = Math.max(0, Math.floor(Number(data.from) || 0));
+            const session = { acked: from - 1, cancelled: false, wake: null };
+
+            this.sending.set(key, session);
+
+            for (let index = from; index < total && !session.cancelled; index++) {
+                // Hold back until the receiver catches up with the window
+                while (index - session.acked > WINDOW && !session.cancelled) {
+                    const woken = await new Promise((resolve) => {
+                        const timer = setTimeout(() => resolve(false), STALL_TIMEOUT);
+                        session.wake = () => {
+                            clearTimeout(timer);
+                            resolve(true);
+                        };
+                    });
+                    if (!woken) {
+                        session.cancelled = true;
+                    }
+                }
+
+                const peer = this.p2p.peers.get(peerId);
+                const channel = peer && peer.dataChannel;
+
+                if (session.cancelled || !channel || channel.readyState !== 'open') {
+                    break;
+                }
+
+                await drain(channel);
+
+                const offset = index * manifest.chunkSize;
+                const frame = encodeFrame(
+                    { transferId: data.transferId, index: index },
+                    bytes.subarray(offset, offset + manifest.chunkSize)
+                );
+
+                if (session.cancelled || !this.p2p.sendToPeer(peerId, frame)) {
+                    break;
+                }
+            }
+
+            this.sending.delete(key);
+        }
+
+        acknowledge(peerId, data) {
+            const session = this.sending.get(`${peerId}:${data.transferId}`);
+
+            if (session && data.index > session.acked) {
+                session.acked = data.index;
+                if (session.wake) {
+                    session.wake();
+                }
+            }
+        }
+
+        cancelSending(key) {
+            const session = this.sending.get(key);
+
+            if (session) {
+                session.cancelled = true;
+                if (session.wake) {
+                    session.wake();
+                }
+            }
+        }
+
+        // A peer went away: stop sending to it and fail what we were waiting on from it
+        cancelPeer(peerId) {
+            Array.from(this.sending.keys())
+                .filter((key) => key.startsWith(`${peerId}:`))
+                .forEach((key) => this.cancelSending(key));
+
+            Array.from(this.pending.values())
+                .filter((pending) => pending.peerId === peerId)
+                .forEach((pending) => pending.reject(new TransferError('peer disconnected', true)));
+        }
+    }
+
+    MeshcoreTransfer.TransferError = TransferError;
+    MeshcoreTransfer.cubbitFallback = cubbitFallback;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MeshcoreTransfer;
+        return;
+    }
+
+    // Expose globally
+    window.MeshcoreTransfer = MeshcoreTransfer;
+
+    // Auto-initialize alongside the mesh client
+    if (window.meshcoreClient) {
+        const config = window.aevovMeshcore || {};
+
+        window.meshcoreTransfer = new MeshcoreTransfer(window.meshcoreClient, {
+            fallback: config.cubbitUrl ? cubbitFallback(config.cubbitUrl) : null
+        });
+    }
+})();
@@ -11,6 +11,7 @@ namespace Aevov\Meshcore\API;
 
 use Aevov\Meshcore\Core\NodeManager;
 use Aevov\Meshcore\P2P\ConnectionManager;
+use Aevov\Meshcore\P2P\WebRTCSignaling;
 use Aevov\Meshcore\Discovery\DHTService;
 use Aevov\Meshcore\Routing\MeshRouter;
 use Aevov\Meshcore\Relay\RelayManager;
@@ -62,6 +63,27 @@ class RestAPI
      */
     private RelayManager $relay_manager;
 
+    /**
+     * WebRTC signaling
+     *
+     * @var WebRTCSignaling
+     */
+    private WebRTCSignaling $signaling;
+
+    /**
+     * Longest a signal poll may wait, in seconds
+     *
+     * @var int
+     */
+    private int $max_poll_wait = 20;
+
+    /**
+     * How long a signal stream stays open before the client reconnects, in seconds
+     *
+     * @var int
+     */
+    private int $stream_duration = 25;
+
     /**
      * Constructor
      *
@@ -70,19 +92,22 @@ class RestAPI
      * @param DHTService $dht_service DHT service
      * @param MeshRouter $mesh_router Mesh router
      * @param RelayManager $relay_manager Relay manager
+     * @param WebRTCSignaling $signaling WebRTC signaling
      */
     public function __construct(
         NodeManager $node_manager,
         ConnectionManager $connection_manager,
         DHTService $dht_service,
         MeshRouter $mesh_router,
-        RelayManager $relay_manager
+        RelayManager $relay_manager,
+        WebRTCSignaling $signaling
     ) {
         $this->node_manager = $node_manager;
         $this->connection_manager = $connection_manager;
         $this->dht_service = $dht_service;
         $this->mesh_router = $mesh_router;
         $this->relay_manager = $relay_manager;
+        $this->signaling = $signaling;
 
         add_action('rest_api_init', [$this, 'register_routes']);
     }
@@ -196,19 +221,67 @@ class RestAPI
         register_rest_route($this->namespace, '/signal/offer', [
             'methods' => 'POST',
             'callback' => [$this, 'signal_offer'],
-            'permission_callback' => '__return_true'
+            'permission_callback' => '__return_true',
+            'args' => [
+                'from' => ['required' => true],
+                'to' => ['required' => true],
+                'session' => ['required' => true],
+                'sdp' => ['required' => true]
+            ]
         ]);
 
         register_rest_route($this->namespace, '/signal/answer', [
             'methods' => 'POST',
             'callback' => [$this, 'signal_answer'],
-            'permission_callback' => '__return_true'
+            'permission_callback' => '__return_true',
+            'args' => [
+                'from' => ['required' => true],
+                'to' => ['required' => true],
+                'session' => ['required' => true],
+                'sdp' => ['required' => true]
+            ]
         ]);
 
         register_rest_route($this->namespace, '/signal/ice', [
             'methods' => 'POST',
             'callback' => [$this, 'signal_ice'],
-            'permission_callback' => '__return_true'
+            'permission_callback' => '__return_true',
+            'args' => [
+                'from' => ['required' => true],
+                'to' => ['required' => true],
+                'session' => ['required' => true],
+                'candidate' => ['required' => true]
+            ]
+        ]);
+
+        // Nodes collect the signals addressed to them by long-polling or as a stream,
+        // where the visitor is allowed to hold a PHP worker that long and proves the
+        // mailbox is theirs
+        register_rest_route($this->namespace, '/signal/poll', [
+            'methods' => 'GET',
+            'callback' => [$this, 'signal_poll'],
+            'permission_callback' => [$this, 'check_mailbox_permission'],
+            'args' => [
+                'node' => ['required' => true],
+                'key' => ['required' => true],
+                'time' => ['required' => true],
+                'proof' => ['required' => true],
+                'since' => ['default' => 0],
+                'wait' => ['default' => 0]
+            ]
+        ]);
+
+        register_rest_route($this->namespace, '/signal/stream', [
+            'methods' => 'GET',
+            'callback' => [$this, 'signal_stream'],
+            'permission_callback' => [$this, 'check_mailbox_permission'],
+            'args' => [
+                'node' => ['required' => true],
+                'key' => ['required' => true],
+                'time' => ['required' => true],
+                'proof' => ['required' => true],
+                'since' => ['default' => 0]
+            ]
         ]);
 
         // Relay endpoints
@@ -235,6 +308,37 @@ class RestAPI
         return current_user_can('manage_options');
     }
 
+    /**
+     * Check permission to long-poll or stream a node's signals
+     *
+     * @param \WP_REST_Request $request Request
+     * @return bool|\WP_Error
+     */
+    public function check_mailbox_permission(\WP_REST_Request $request)
+    {
+        if (!$this->signaling->http_signaling_allowed()) {
+            return false;
+        }
+
+        // The key is a PEM block, which sanitize_text_field would flatten
+        $proven = $this->signaling->verify_mailbox_proof(
+            (string) $request->get_param('node'),
+            (string) $request->get_param('key'),
+            (int) $request->get_param('time'),
+            (string) $request->get_param('proof')
+        );
+
+        if (!$proven) {
+            return new \WP_Error(
+                'meshcore_mailbox_proof',
+                'Signals are only handed to the holder of the node\'s key',
+                ['status' => 403]
+            );
+        }
+
+        return true;
+    }
+
     /**
      * Get node information
      *
@@ -504,11 +608,7 @@ class RestAPI
      */
     public function signal_offer(\WP_REST_Request $request): \WP_REST_Response
     {
-        // Handle WebRTC signaling
-        return new \WP_REST_Response([
-            'success' => true,
-            'message' => 'Offer received'
-        ]);
+        return $this->relay_signal($request, 'offer', 'sdp');
     }
 
     /**
@@ -519,26 +619,143 @@ class RestAPI
      */
     public function signal_answer(\WP_REST_Request $request): \WP_REST_Response
     {
+        return $this->relay_signal($request, 'answer', 'sdp');
+    }
+
+    /**
+     * Signal ICE candidate
+     *
+     * @param \WP_REST_Request $request Request
+     * @return \WP_REST_Response
+     */
+    public function signal_ice(\WP_REST_Request $request): \WP_REST_Response
+    {
+        return $this->relay_signal($request, 'ice', 'candidate');
+    }
+
+    /**
+     * Queue a signal in its recipient's mailbox
+     *
+     * A WebSocket server hooked to aevov_meshcore_websocket_send can push it to the
+     * recipient straight away; otherwise it waits for the next poll or stream.
+     *
+     * @param \WP_REST_Request $request Request
+     * @param string $type Signal type
+     * @param string $payload_key Parameter holding the description or candidate
+     * @return \WP_REST_Response
+     */
+    private function relay_signal(\WP_REST_Request $request, string $type, string $payload_key): \WP_REST_Response
+    {
+        $from = sanitize_text_field((string) $request->get_param('from'));
+        $to = sanitize_text_field((string) $request->get_param('to'));
+        $session = sanitize_text_field((string) $request->get_param('session'));
+        $payload = $request->get_param($payload_key);
+
+        if ($from === '' || $to === '' || $session === '' || !is_array($payload)) {
+            return new \WP_REST_Response([
+                'success' => false,
+                'message' => "from, to, session and {$payload_key} are required"
+            ], 400);
+        }
+
+        $signal = $this->signaling->queue_signal($to, [
+            'type' => $type,
+            'from' => $from,
+            'session' => $session,
+            $payload_key => $payload
+        ]);
+
+        do_action('aevov_meshcore_websocket_send', $to, $signal);
+
         return new \WP_REST_Response([
             'success' => true,
-            'message' => 'Answer received'
+            'id' => $signal['id']
         ]);
     }
 
     /**
-     * Signal ICE candidate
+     * Long-poll for signals
+     *
+     * Holds the request open until a signal arrives for the node or the wait runs out.
      *
      * @param \WP_REST_Request $request Request
      * @return \WP_REST_Response
      */
-    public function signal_ice(\WP_REST_Request $request): \WP_REST_Response
+    public function signal_poll(\WP_REST_Request $request): \WP_REST_Response
     {
+        $node_id = sanitize_text_field((string) $request->get_param('node'));
+        $since = (int) $request->get_param('since');
+        $wait = min(max((int) $request->get_param('wait'), 0), $this->max_poll_wait);
+        $started = time();
+
+        while (true) {
+            $result = $this->signaling->get_signals($node_id, $since);
+
+            if (!empty($result['signals']) || time() - $started >= $wait || connection_aborted()) {
+                break;
+            }
+
+            sleep(1);
+        }
+
         return new \WP_REST_Response([
             'success' => true,
-            'message' => 'ICE candidate received'
+            'signals' => $result['signals'],
+            'cursor' => $result['cursor']
         ]);
     }
 
+    /**
+     * Stream signals as server-sent events
+     *
+     * Ends after a while so it doesn't hold a PHP worker indefinitely; EventSource
+     * reconnects and resumes from the Last-Event-ID header.
+     *
+     * @param \WP_REST_Request $request Request
+     * @return void
+     */
+    public function signal_stream(\WP_REST_Request $request): void
+    {
+        $node_id = sanitize_text_field((string) $request->get_param('node'));
+        $since = (int) ($request->get_header('last_event_id') ?? $request->get_param('since'));
+        $started = time();
+        $last_ping = time();
+
+        while (ob_get_level() > 0) {
+            ob_end_flush();
+        }
+
+        header('Content-Type: text/event-stream');
+        header('Cache-Control: no-cache');
+        header('X-Accel-Buffering: no');
+
+        echo "retry: 1000\n\n";
+        flush();
+
+        while (time() - $started < $this->stream_duration && !connection_aborted()) {
+            $result = $this->signaling->get_signals($node_id, $since);
+
+            foreach ($result['signals'] as $signal) {
+                echo "id: {$signal['id']}\nevent: signal\ndata: " . wp_json_encode($signal) . "\n\n";
+            }
+
+            if (!empty($result['signals'])) {
+                flush();
+                $last_ping = time();
+            } elseif (time() - $last_ping >= 10) {
+                // Lets us notice a closed connection
+                echo ": ping\n\n";
+                flush();
+                $last_ping = time();
+            }
+
+            $since = $result['cursor'];
+            sleep(1);
+        }
+
+        exit;
+    }
+
     /**
      * Get relay statistics
      *
@@ -505,6 +505,24 @@ class NodeManager
         return base64_encode($signature);
     }
 
+    /**
+     * Derive an ECDH shared secret with another P-256 public key
+     *
+     * @param string $public_key Other party's public key (PEM)
+     * @return string|false Raw shared secret
+     */
+    public function derive_shared_secret(string $public_key)
+    {
+        $peer_key = openssl_pkey_get_public($public_key);
+        $private_key = openssl_pkey_get_private($this->private_key);
+
+        if (!$peer_key || !$private_key) {
+            return false;
+        }
+
+        return openssl_pkey_derive($peer_key, $private_key);
+    }
+
     /**
      * Verify signature from another node
      *
@@ -5,6 +5,11 @@
  * Handles WebRTC signaling for peer connection establishment.
  * Manages SDP offer/answer exchange and ICE candidate exchange.
  *
+ * Signals for a node wait in its mailbox, the meshcore_signals table, until the node
+ * collects them. Each signal's ID is its row ID, which the node passes back as a
+ * cursor so it only receives what it hasn't seen. Only the holder of the key a node
+ * ID comes from may read its mailbox (see verify_mailbox_proof()).
+ *
  * @package AevovMeshcore
  */
 
@@ -15,6 +20,27 @@ namespace Aevov\Meshcore\P2P;
  */
 class WebRTCSignaling
 {
+    /**
+     * Seconds an undelivered signal stays in a mailbox
+     *
+     * @var int
+     */
+    private int $signal_ttl = 120;
+
+    /**
+     * Most signals a mailbox holds
+     *
+     * @var int
+     */
+    private int $mailbox_limit = 200;
+
+    /**
+     * Seconds a mailbox proof stays valid, either side of now
+     *
+     * @var int
+     */
+    private int $proof_window = 300;
+
     /**
      * Pending offers cache
      *
@@ -157,6 +183,174 @@ class WebRTCSignaling
         delete_transient("meshcore_ice_{$connection_id}");
     }
 
+    /**
+     * Queue a signal for a node
+     *
+     * Offers, answers and ICE candidates share one mailbox per recipient and keep
+     * the order they arrived in, so an offer is always read before its candidates.
+     *
+     * @param string $to Recipient node ID
+     * @param array $signal Signal data (type, from, session and sdp or candidate)
+     * @return array The queued signal, with its ID
+     */
+    public function queue_signal(string $to, array $signal): array
+    {
+        global $wpdb;
+
+        $signal['to'] = $to;
+        $signal['timestamp'] = time();
+
+        // One insert, so signals queued at the same time can't overwrite each other;
+        // the row ID is the signal's ID
+        $wpdb->insert($this->table(), [
+            'recipient' => $to,
+            'signal_data' => wp_json_encode($signal),
+            'created_at' => gmdate('Y-m-d H:i:s', $signal['timestamp'])
+        ]);
+        $signal['id'] = (int) $wpdb->insert_id;
+
+        return $signal;
+    }
+
+    /**
+     * Get the signals queued for a node after a cursor
+     *
+     * @param string $node_id Node ID
+     * @param int $since ID of the last signal the node has seen
+     * @return array Signals and the current cursor
+     */
+    public function get_signals(string $node_id, int $since = 0): array
+    {
+        global $wpdb;
+        $table = $this->table();
+
+        // Read the cursor first, so a signal queued meanwhile is left for the next read
+        $cursor = (int) $wpdb->get_var("SELECT MAX(id) FROM {$table}");
+
+        // A cursor ahead of the table is from before it was emptied
+        if ($since > $cursor) {
+            $since = 0;
+        }
+
+        $rows = $wpdb->get_col($wpdb->prepare(
+            "SELECT signal_data FROM {$table}
+             WHERE recipient = %s AND id > %d AND id <= %d AND created_at > %s
+             ORDER BY id DESC LIMIT %d",
+            $node_id,
+            $since,
+            $cursor,
+            gmdate('Y-m-d H:i:s', time() - $this->signal_ttl),
+            $this->mailbox_limit
+        ));
+
+        $signals = array_map(function ($row) {
+            return json_decode($row, true);
+        }, array_reverse($rows));
+
+        return [
+            'signals' => $signals,
+            'cursor' => $cursor
+        ];
+    }
+
+    /**
+     * Delete signals older than the TTL
+     *
+     * @return int Number of signals deleted
+     */
+    public function cleanup_expired(): int
+    {
+        global $wpdb;
+
+        return (int) $wpdb->query($wpdb->prepare(
+            "DELETE FROM {$this->table()} WHERE created_at <= %s",
+            gmdate('Y-m-d H:i:s', time() - $this->signal_ttl)
+        ));
+    }
+
+    /**
+     * Check that whoever reads a mailbox holds the key its node ID comes from
+     *
+     * The proof is the node's P-256 signature (raw r||s, base64) over
+     * ["meshcore-signals",1,<node ID>,<time>] as JSON, made within the last few
+     * minutes, the way MeshcoreIdentity signs.
+     *
+     * @param string $node_id Node ID of the mailbox
+     * @param string $public_key Node's public key (PEM)
+     * @param int $time Unix time the proof was made
+     * @param string $proof Signature
+     * @return bool
+     */
+    public function verify_mailbox_proof(string $node_id, string $public_key, int $time, string $proof): bool
+    {
+        if (abs(time() - $time) > $this->proof_window || !hash_equals(hash('sha256', $public_key), $node_id)) {
+            return false;
+        }
+
+        $signature = $this->signature_to_der((string) base64_decode($proof, true));
+        if ($signature === null) {
+            return false;
+        }
+
+        $data = wp_json_encode(['meshcore-signals', 1, $node_id, $time]);
+
+        return openssl_verify($data, $signature, $public_key, OPENSSL_ALGO_SHA256) === 1;
+    }
+
+    /**
+     * Convert a raw P-256 signature (r||s, as WebCrypto makes them) to the DER form OpenSSL reads
+     *
+     * @param string $signature Raw signature
+     * @return string|null DER signature, or null if it isn't 64 bytes
+     */
+    private function signature_to_der(string $signature): ?string
+    {
+        if (strlen($signature) !== 64) {
+            return null;
+        }
+
+        $sequence = '';
+        foreach (str_split($signature, 32) as $integer) {
+            $integer = ltrim($integer, "\x00");
+            // DER integers are signed, so a high first bit needs a zero byte in front
+            if ($integer === '' || ord($integer[0]) > 0x7f) {
+                $integer = "\x00" . $integer;
+            }
+            $sequence .= "\x02" . chr(strlen($integer)) . $integer;
+        }
+
+        return "\x30" . chr(strlen($sequence)) . $sequence;
+    }
+
+    /**
+     * Get the signals table name
+     *
+     * @return string
+     */
+    private function table(): string
+    {
+        global $wpdb;
+
+        return $wpdb->prefix . 'meshcore_signals';
+    }
+
+    /**
+     * Whether the current visitor may collect signals over HTTP
+     *
+     * A long-poll or event stream holds a PHP worker for up to 25 seconds, so
+     * anonymous visitors only get them when the site opts in with the
+     * aevov_meshcore_public_http_signaling option. Everyone else receives signals
+     * from the WebSocket server.
+     *
+     * @return bool
+     */
+    public function http_signaling_allowed(): bool
+    {
+        $allowed = is_user_logged_in() || (bool) get_option('aevov_meshcore_public_http_signaling', false);
+
+        return (bool) apply_filters('aevov_meshcore_http_signaling_allowed', $allowed);
+    }
+
     /**
      * Generate STUN/TURN server configuration
      *
@@ -0,0 +1,218 @@
+<?php
+/**
+ * Onion Crypto
+ *
+ * Layer encryption for onion-routed packets, shared by the relay handler, the
+ * stealth manager and the browser client (assets/js/meshcore-onion.js).
+ *
+ * Each layer is sealed to one relay's P-256 node key: the sender makes a fresh
+ * ECDH key pair, and HKDF over the shared secret gives an AES-256-GCM key for the
+ * layer and another for its reply. Only the holder of the relay's private key
+ * can open the layer, and the route to the next hop travels inside it.
+ *
+ * @package AevovMeshcore
+ */
+
+namespace Aevov\Meshcore\Stealth;
+
+use Aevov\Meshcore\Core\NodeManager;
+
+/**
+ * Onion Crypto Class
+ */
+class OnionCrypto
+{
+    /**
+     * HKDF info for layer keys
+     *
+     * @var string
+     */
+    private string $layer_info = 'meshcore-onion/1';
+
+    /**
+     * HKDF info for reply keys
+     *
+     * @var string
+     */
+    private string $reply_info = 'meshcore-onion/1 reply';
+
+    /**
+     * Seal a layer to a relay
+     *
+     * @param string $public_key Relay's public key (PEM)
+     * @param array $content Layer content
+     * @return array|false ['payload' => encrypted payload, 'reply_key' => key the relay replies with]
+     */
+    public function seal_layer(string $public_key, array $content)
+    {
+        $ephemeral = openssl_pkey_new([
+            'private_key_type' => OPENSSL_KEYTYPE_EC,
+            'curve_name' => 'prime256v1'
+        ]);
+        $relay_key = openssl_pkey_get_public($public_key);
+
+        if (!$ephemeral || !$relay_key) {
+            return false;
+        }
+
+        $secret = openssl_pkey_derive($relay_key, $ephemeral);
+        $ephemeral_der = $this->pem_to_der(openssl_pkey_get_details($ephemeral)['key']);
+
+        if ($secret === false) {
+            return false;
+        }
+
+        $payload = $this->encrypt(
+            $this->derive_key($secret, $ephemeral_der, $this->layer_info),
+            wp_json_encode($content)
+        );
+        $payload['key'] = base64_encode($ephemeral_der);
+
+        return [
+            'payload' => $payload,
+            'reply_key' => $this->derive_key($secret, $ephemeral_der, $this->reply_info)
+        ];
+    }
+
+    /**
+     * Open the layer sealed to this node
+     *
+     * @param array $payload Encrypted payload
+     * @param NodeManager $node_manager This node
+     * @return array|false ['content' => layer content, 'reply_key' => key to reply with]
+     */
+    public function open_layer(array $payload, NodeManager $node_manager)
+    {
+        if (!isset($payload['key'], $payload['iv'], $payload['data'], $payload['tag'])) {
+            return false;
+        }
+
+        $ephemeral_der = base64_decode($payload['key'], true);
+
+        if ($ephemeral_der === false) {
+            return false;
+        }
+
+        $secret = $node_manager->derive_shared_secret($this->der_to_pem($ephemeral_der));
+
+        if ($secret === false) {
+            return false;
+        }
+
+        $plaintext = $this->decrypt($this->derive_key($secret, $ephemeral_der, $this->layer_info), $payload);
+        $content = $plaintext === false ? null : json_decode($plaintext, true);
+
+        if (!is_array($content)) {
+            return false;
+        }
+
+        return [
+            'content' => $content,
+            'reply_key' => $this->derive_key($secret, $ephemeral_der, $this->reply_info)
+        ];
+    }
+
+    /**
+     * Seal a reply on its way back to the sender
+     *
+     * @param string $reply_key Reply key from open_layer()
+     * @param mixed $data Reply data
+     * @return array Encrypted reply
+     */
+    public function seal_reply(string $reply_key, $data): array
+    {
+        return $this->encrypt($reply_key, wp_json_encode($data));
+    }
+
+    /**
+     * Open a reply sealed by a relay
+     *
+     * @param string $reply_key Reply key from seal_layer()
+     * @param array $payload Encrypted reply
+     * @return mixed|null Reply data
+     */
+    public function open_reply(string $reply_key, array $payload)
+    {
+        $plaintext = $this->decrypt($reply_key, $payload);
+
+        return $plaintext === false ? null : json_decode($plaintext, true);
+    }
+
+    /**
+     * Derive an AES-256 key from an ECDH secret
+     *
+     * @param string $secret Shared secret
+     * @param string $salt Sender's ephemeral public key (DER)
+     * @param string $info Key purpose
+     * @return string
+     */
+    private function derive_key(string $secret, string $salt, string $info): string
+    {
+        return hash_hkdf('sha256', $secret, 32, $info, $salt);
+    }
+
+    /**
+     * Encrypt with AES-256-GCM
+     *
+     * @param string $key Key
+     * @param string $plaintext Plaintext
+     * @return array
+     */
+    private function encrypt(string $key, string $plaintext): array
+    {
+        $iv = random_bytes(12);
+        $tag = '';
+        $data = openssl_encrypt($plaintext, 'aes-256-gcm', $key, OPENSSL_RAW_DATA, $iv, $tag);
+
+        return [
+            'data' => base64_encode($data),
+            'iv' => base64_encode($iv),
+            'tag' => base64_encode($tag)
+        ];
+    }
+
+    /**
+     * Decrypt AES-256-GCM
+     *
+     * @param string $key Key
+     * @param array $payload Encrypted data
+     * @return string|false
+     */
+    private function decrypt(string $key, array $payload)
+    {
+        if (!isset($payload['iv'], $payload['data'], $payload['tag'])) {
+            return false;
+        }
+
+        return openssl_decrypt(
+            base64_decode($payload['data']),
+            'aes-256-gcm',
+            $key,
+            OPENSSL_RAW_DATA,
+            base64_decode($payload['iv']),
+            base64_decode($payload['tag'])
+        );
+    }
+
+    /**
+     * PEM public key to DER
+     *
+     * @param string $pem PEM
+     * @return string
+     */
+    private function pem_to_der(string $pem): string
+    {
+        return base64_decode(preg_replace('/-----(BEGIN|END) PUBLIC KEY-----|\s/', '', $pem));
+    }
+
+    /**
+     * DER public key to PEM
+     *
+     * @param string $der DER
+     * @return string
+     */
+    private function der_to_pem(string $der): string
+    {
+        return "-----BEGIN PUBLIC KEY-----\n" . chunk_split(base64_encode($der), 64, "\n") . "-----END PUBLIC KEY-----\n";
+    }
+}
@@ -11,6 +11,10 @@
  * - The next hop
  * - NOT the source or destination
  *
+ * Layers are sealed to each relay's node key (see OnionCrypto) and carry the
+ * next hop inside them. Replies travel back sealed once per hop, so only the
+ * sender can read them.
+ *
  * @package AevovMeshcore
  */
 
@@ -30,6 +34,13 @@ class OnionRelayHandler
      */
     private NodeManager $node_manager;
 
+    /**
+     * Layer encryption
+     *
+     * @var OnionCrypto
+     */
+    private OnionCrypto $crypto;
+
     /**
      * Maximum relay hops
      *
@@ -56,6 +67,7 @@ class OnionRelayHandler
     public function __construct(NodeManager $node_manager)
     {
         $this->node_manager = $node_manager;
+        $this->crypto = new OnionCrypto();
         $this->init_endpoints();
     }
 
@@ -98,10 +110,12 @@ class OnionRelayHandler
             ], 403);
         }
 
-        // Decrypt our layer
-        $decrypted = $this->decrypt_layer($packet);
+        // Open our layer
+        $layer = is_array($packet['encrypted_payload'] ?? null)
+            ? $this->crypto->open_layer($packet['encrypted_payload'], $this->node_manager)
+            : false;
 
-        if (!$decrypted) {
+        if (!$layer || !isset($layer['content']['next_hop'])) {
             $this->stats['failed']++;
             return new \WP_REST_Response([
                 'error' => 'Decryption failed'
@@ -111,112 +125,94 @@ class OnionRelayHandler
         $this->stats['relayed']++;
         $this->stats['bytes'] += strlen(wp_json_encode($packet));
 
-        // Check if we're the exit node
-        if ($decrypted['next_hop'] === 'exit') {
-            return $this->execute_exit_request($decrypted);
-        }
-
-        // Forward to next hop
-        return $this->forward_to_next_hop($decrypted);
-    }
+        $content = $layer['content'];
 
-    /**
-     * Decrypt our layer of the onion
-     *
-     * @param array $packet Onion packet
-     * @return array|false Decrypted payload
-     */
-    private function decrypt_layer(array $packet)
-    {
-        if (!isset($packet['encrypted_payload'])) {
-            return false;
+        // Check if we're the exit node
+        if ($content['next_hop'] === 'exit') {
+            $result = $this->execute_exit_request($content['request'] ?? []);
+        } else {
+            $result = $this->forward_to_next_hop((string) $content['next_hop'], $content['packet'] ?? null);
         }
 
-        // Derive decryption key from our private key
-        $decryption_key = hash('sha256', $this->node_manager->get_public_key(), true);
-
-        $encrypted = $packet['encrypted_payload'];
-
-        // Decrypt AES-256-GCM
-        $decrypted_data = openssl_decrypt(
-            base64_decode($encrypted['data']),
-            'aes-256-gcm',
-            $decryption_key,
-            OPENSSL_RAW_DATA,
-            base64_decode($encrypted['iv']),
-            base64_decode($encrypted['tag'])
-        );
-
-        if ($decrypted_data === false) {
-            return false;
+        if (is_wp_error($result)) {
+            $this->stats['failed']++;
+            return new \WP_REST_Response([
+                'error' => $result->get_error_message()
+            ], (int) ($result->get_error_data()['status'] ?? 500));
         }
 
-        return json_decode($decrypted_data, true);
+        // Seal the reply for the hop before us, and so on back to the sender
+        return new \WP_REST_Response([
+            'success' => true,
+            'encrypted_response' => $this->crypto->seal_reply($layer['reply_key'], $result)
+        ]);
     }
 
     /**
      * Execute request as exit node
      *
      * @param array $request_data Request data
-     * @return \WP_REST_Response
+     * @return array|\WP_Error Result to seal for the sender
      */
-    private function execute_exit_request(array $request_data): \WP_REST_Response
+    private function execute_exit_request(array $request_data)
     {
-        if ($request_data['type'] !== 'ai_request') {
-            return new \WP_REST_Response([
-                'error' => 'Invalid request type'
-            ], 400);
+        $type = $request_data['type'] ?? '';
+
+        if ($type === 'circuit_test') {
+            return [
+                'test_id' => $request_data['test_id'] ?? null
+            ];
+        }
+
+        if ($type !== 'ai_request' || empty($request_data['url'])) {
+            return new \WP_Error('invalid_request', 'Invalid request type', ['status' => 400]);
         }
 
         $url = $request_data['url'];
-        $args = $request_data['args'];
+        $args = is_array($request_data['args'] ?? null) ? $request_data['args'] : [];
 
         // Make the actual request (we're the exit node)
         $response = wp_remote_request($url, $args);
 
         if (is_wp_error($response)) {
-            return new \WP_REST_Response([
+            // Sealed like any other result, so the error stays between us and the sender
+            return [
                 'error' => $response->get_error_message()
-            ], 500);
+            ];
         }
 
-        // Return response (will be encrypted by caller)
-        return new \WP_REST_Response([
-            'success' => true,
+        return [
             'status_code' => wp_remote_retrieve_response_code($response),
             'headers' => wp_remote_retrieve_headers($response)->getAll(),
             'body' => wp_remote_retrieve_body($response)
-        ]);
+        ];
     }
 
     /**
      * Forward packet to next hop
      *
-     * @param array $packet_data Packet data
-     * @return \WP_REST_Response
+     * @param string $next_hop_id Next hop node ID
+     * @param array|null $payload Next hop's encrypted payload
+     * @return array|\WP_Error Next hop's sealed reply
      */
-    private function forward_to_next_hop(array $packet_data): \WP_REST_Response
+    private function forward_to_next_hop(string $next_hop_id, ?array $payload)
     {
-        $next_hop_id = $packet_data['next_hop'];
+        if (!$payload) {
+            return new \WP_Error('invalid_layer', 'Nothing to forward', ['status' => 400]);
+        }
 
         // Get next hop node information
         $next_hop = $this->get_node_info($next_hop_id);
 
         if (!$next_hop) {
-            $this->stats['failed']++;
-            return new \WP_REST_Response([
-                'error' => 'Next hop not found'
-            ], 404);
+            return new \WP_Error('next_hop_not_found', 'Next hop not found', ['status' => 404]);
         }
 
         $network_info = json_decode($next_hop['network_info'], true);
         $api_endpoint = $network_info['api_endpoint'] ?? null;
 
         if (!$api_endpoint) {
-            $this->stats['failed']++;
-            return new \WP_REST_Response([
-                'error' => 'Next hop has no endpoint'
-            ], 500);
+            return new \WP_Error('no_endpoint', 'Next hop has no endpoint', ['status' => 500]);
         }
 
         // Forward the packet
@@ -225,21 +221,27 @@ class OnionRelayHandler
             'headers' => [
                 'Content-Type' => 'application/json'
             ],
-            'body' => wp_json_encode($packet_data)
+            'body' => wp_json_encode([
+                'type' => 'onion_relay',
+                'encrypted_payload' => $payload
+            ])
         ]);
 
         if (is_wp_error($response)) {
-            $this->stats['failed']++;
-            return new \WP_REST_Response([
-                'error' => $response->get_error_message()
-            ], 500);
+            return $response;
         }
 
-        // Return the response from next hop
-        return new \WP_REST_Response(
-            json_decode(wp_remote_retrieve_body($response), true),
-            wp_remote_retrieve_response_code($response)
-        );
+        $body = json_decode(wp_remote_retrieve_body($response), true);
+
+        if (empty($body['encrypted_response'])) {
+            return new \WP_Error(
+                'relay_failed',
+                $body['error'] ?? 'Next hop failed',
+                ['status' => wp_remote_retrieve_response_code($response) ?: 502]
+            );
+        }
+
+        return $body['encrypted_response'];
     }
 
     /**
@@ -308,20 +310,24 @@ class OnionRelayHandler
             'test_id' => bin2hex(random_bytes(16))
         ];
 
-        // Build onion packet
-        $packet = $test_packet;
+        // Build onion packet, sealing the innermost layer first
+        $layer = [
+            'next_hop' => 'exit',
+            'request' => $test_packet
+        ];
+        $reply_keys = [];
+
         for ($i = count($circuit) - 1; $i >= 0; $i--) {
-            $node = $circuit[$i];
-            $public_key = $node['public_key'];
-            $encryption_key = hash('sha256', $public_key, true);
+            $sealed = $this->crypto->seal_layer($circuit[$i]['public_key'], $layer);
 
-            $encrypted = $this->encrypt_packet($packet, $encryption_key);
+            if (!$sealed) {
+                return false;
+            }
 
-            $packet = [
-                'type' => 'onion_relay',
-                'next_hop' => $i < count($circuit) - 1 ? $circuit[$i + 1]['node_id'] : 'exit',
-                'encrypted_payload' => $encrypted,
-                'hop' => $i
+            array_unshift($reply_keys, $sealed['reply_key']);
+            $layer = [
+                'next_hop' => $circuit[$i]['node_id'],
+                'packet' => $sealed['payload']
             ];
         }
 
@@ -336,39 +342,27 @@ class OnionRelayHandler
 
         $response = wp_remote_post("{$api_endpoint}/relay/onion", [
             'timeout' => 10,
-            'body' => wp_json_encode($packet)
+            'headers' => [
+                'Content-Type' => 'application/json'
+            ],
+            'body' => wp_json_encode([
+                'type' => 'onion_relay',
+                'encrypted_payload' => $layer['packet']
+            ])
         ]);
 
-        return !is_wp_error($response) && wp_remote_retrieve_response_code($response) === 200;
-    }
+        if (is_wp_error($response) || wp_remote_retrieve_response_code($response) !== 200) {
+            return false;
+        }
 
-    /**
-     * Encrypt packet for onion layer
-     *
-     * @param array $packet Packet data
-     * @param string $key Encryption key
-     * @return array Encrypted data
-     */
-    private function encrypt_packet(array $packet, string $key): array
-    {
-        $iv = random_bytes(12);
-        $tag = '';
-        $data = wp_json_encode($packet);
-
-        $encrypted = openssl_encrypt(
-            $data,
-            'aes-256-gcm',
-            $key,
-            OPENSSL_RAW_DATA,
-            $iv,
-            $tag
-        );
+        // Peel the reply one hop at a time
+        $reply = json_decode(wp_remote_retrieve_body($response), true)['encrypted_response'] ?? null;
 
-        return [
-            'data' => base64_encode($encrypted),
-            'iv' => base64_encode($iv),
-            'tag' => base64_encode($tag)
-        ];
+        foreach ($reply_keys as $reply_key) {
+            $reply = is_array($reply) ? $this->crypto->open_reply($reply_key, $reply) : null;
+        }
+
+        return is_array($reply) && ($reply['test_id'] ?? null) === $test_packet['test_id'];
     }
 
     /**
@@ -63,6 +63,13 @@ class StealthManager
      */
     private string $obfuscation_seed;
 
+    /**
+     * Onion layer encryption
+     *
+     * @var OnionCrypto
+     */
+    private OnionCrypto $onion_crypto;
+
     /**
      * Constructor
      *
@@ -76,6 +83,7 @@ class StealthManager
         $this->stealth_enabled = get_option('aevov_stealth_enabled', true);
         $this->obfuscation_level = (int) get_option('aevov_stealth_level', 10);
         $this->obfuscation_seed = get_option('aevov_stealth_seed') ?: $this->generate_seed();
+        $this->onion_crypto = new OnionCrypto();
 
         $this->init_hooks();
     }
@@ -392,11 +400,15 @@ class StealthManager
         }
 
         // Encrypt request in layers (onion routing)
-        $encrypted_request = $this->onion_encrypt($url, $args, $relay_nodes);
+        $onion = $this->onion_encrypt($url, $args, $relay_nodes);
+
+        if (!$onion) {
+            return $this->obfuscate_ai_request($url, $args);
+        }
 
         // Send to first relay node
         $first_relay = $relay_nodes[0];
-        $relay_response = $this->send_to_relay($first_relay, $encrypted_request);
+        $relay_response = $this->send_to_relay($first_relay, $onion['packet'], $onion['reply_keys']);
 
         if (is_wp_error($relay_response)) {
             // Fallback to direct
@@ -436,70 +448,52 @@ class StealthManager
     /**
      * Encrypt request in onion layers
      *
+     * Each layer is sealed to its relay's node key and names the next hop, so a
+     * relay learns only where to pass the rest on.
+     *
      * @param string $url Target URL
      * @param array $args Request args
      * @param array $relay_nodes Relay nodes
-     * @return array Encrypted onion packet
+     * @return array|false ['packet' => onion packet, 'reply_keys' => reply key per hop]
      */
-    private function onion_encrypt(string $url, array $args, array $relay_nodes): array
+    private function onion_encrypt(string $url, array $args, array $relay_nodes)
     {
         // Start with the actual request
-        $packet = [
-            'type' => 'ai_request',
-            'url' => $url,
-            'args' => $args,
-            'timestamp' => time()
+        $layer = [
+            'next_hop' => 'exit',
+            'request' => [
+                'type' => 'ai_request',
+                'url' => $url,
+                'args' => $args,
+                'timestamp' => time()
+            ]
         ];
+        $reply_keys = [];
 
         // Encrypt in reverse order (last relay first)
         for ($i = count($relay_nodes) - 1; $i >= 0; $i--) {
             $node = $relay_nodes[$i];
-            $public_key = $node['public_key'];
+            $sealed = $this->onion_crypto->seal_layer($node['public_key'], $layer);
 
-            // Derive encryption key from public key
-            $encryption_key = hash('sha256', $public_key, true);
+            if (!$sealed) {
+                return false;
+            }
 
-            // Encrypt current packet
-            $encrypted = $this->encrypt_packet($packet, $encryption_key);
+            array_unshift($reply_keys, $sealed['reply_key']);
 
-            // Wrap in routing information
-            $packet = [
-                'type' => 'onion_relay',
-                'next_hop' => $i < count($relay_nodes) - 1 ? $relay_nodes[$i + 1]['node_id'] : 'exit',
-                'encrypted_payload' => $encrypted,
-                'hop' => $i
+            // Wrap in routing information for the relay before it
+            $layer = [
+                'next_hop' => $node['node_id'],
+                'packet' => $sealed['payload']
             ];
         }
 
-        return $packet;
-    }
-
-    /**
-     * Encrypt packet with AES-256-GCM
-     *
-     * @param array $packet Packet to encrypt
-     * @param string $key Encryption key
-     * @return array Encrypted data
-     */
-    private function encrypt_packet(array $packet, string $key): array
-    {
-        $iv = random_bytes(12);
-        $tag = '';
-        $data = wp_json_encode($packet);
-
-        $encrypted = openssl_encrypt(
-            $data,
-            'aes-256-gcm',
-            $key,
-            OPENSSL_RAW_DATA,
-            $iv,
-            $tag
-        );
-
         return [
-            'data' => base64_encode($encrypted),
-            'iv' => base64_encode($iv),
-            'tag' => base64_encode($tag)
+            'packet' => [
+                'type' => 'onion_relay',
+                'encrypted_payload' => $layer['packet']
+            ],
+            'reply_keys' => $reply_keys
         ];
     }
 
@@ -508,9 +502,10 @@ class StealthManager
      *
      * @param array $node Relay node
      * @param array $packet Packet to send
-     * @return array|WP_Error Response
+     * @param array $reply_keys Reply key per hop, first relay first
+     * @return array|WP_Error Response, as wp_remote_request() returns it
      */
-    private function send_to_relay(array $node, array $packet)
+    private function send_to_relay(array $node, array $packet, array $reply_keys)
     {
         $network_info = json_decode($node['network_info'], true);
         $api_endpoint = $network_info['api_endpoint'] ?? null;
@@ -522,8 +517,7 @@ class StealthManager
         $response = wp_remote_post("{$api_endpoint}/relay/onion", [
             'timeout' => 30,
             'headers' => [
-                'Content-Type' => 'application/json',
-                'X-Onion-Hop' => $packet['hop'] ?? 0
+                'Content-Type' => 'application/json'
             ],
             'body' => wp_json_encode($packet)
         ]);
@@ -532,7 +526,27 @@ class StealthManager
             return $response;
         }
 
-        return json_decode(wp_remote_retrieve_body($response), true);
+        // Every relay sealed the reply on its way back; peel them off in order
+        $reply = json_decode(wp_remote_retrieve_body($response), true)['encrypted_response'] ?? null;
+
+        foreach ($reply_keys as $reply_key) {
+            $reply = is_array($reply) ? $this->onion_crypto->open_reply($reply_key, $reply) : null;
+        }
+
+        if (!is_array($reply) || isset($reply['error']) || !isset($reply['status_code'])) {
+            return new \WP_Error('relay_failed', $reply['error'] ?? 'Relay circuit failed');
+        }
+
+        return [
+            'headers' => $reply['headers'] ?? [],
+            'body' => $reply['body'] ?? '',
+            'response' => [
+                'code' => (int) $reply['status_code'],
+                'message' => get_status_header_desc((int) $reply['status_code'])
+            ],
+            'cookies' => [],
+            'filename' => null
+        ];
     }
 
     /**
@@ -0,0 +1,264 @@
+/**
+ * Aevov Meshcore - Mesh Simulator
+ *
+ * Runs MeshcoreMesh over simulated peers in one process: no signaling and no
+ * WebRTC, just nodes, the links between them and a little random latency. Run it
+ * to check gossip, routing, TTLs and duplicate suppression on a few topologies:
+ *
+ *   node mesh-sim/index.js
+ *
+ * or require it to build your own networks:
+ *
+ *   const { SimulatedNetwork } = require('./mesh-sim');
+ *   const network = new SimulatedNetwork();
+ *   network.line(['a', 'b', 'c']);
+ *   network.mesh('c').subscribe('patterns', (data) => console.log(data));
+ *   network.mesh('a').publish('patterns', { id: 42 });
+ *   await network.settle();
+ */
+
+/* eslint-disable no-console */
+
+const MeshcoreMesh = require('../assets/js/meshcore-mesh');
+
+// Same interface MeshcoreMesh uses on MeshcoreP2P
+class SimulatedPeer {
+    constructor(nodeId, network) {
+        this.nodeId = nodeId;
+        this.network = network;
+        this.links = new Set();
+        this.messageHandlers = [];
+        this.disconnectHandlers = [];
+    }
+
+    getConnectedPeers() {
+        return Array.from(this.links);
+    }
+
+    sendToPeer(peerId, data) {
+        if (!this.links.has(peerId)) {
+            return false;
+        }
+        this.network.transmit(this.nodeId, peerId, typeof data === 'string' ? data : JSON.stringify(data));
+        return true;
+    }
+
+    addMessageHandler(handler) {
+        this.messageHandlers.push(handler);
+    }
+
+    addDisconnectHandler(handler) {
+        this.disconnectHandlers.push(handler);
+    }
+
+    // Simulated nodes keep quiet
+    log() {}
+
+    receive(peerId, message) {
+        if (this.links.has(peerId)) {
+            this.messageHandlers.some((handler) => handler(peerId, message));
+        }
+    }
+}
+
+class SimulatedNetwork {
+    constructor(options) {
+        const settings = options || {};
+        this.maxLatency = settings.maxLatency === undefined ? 5 : settings.maxLatency;
+        this.meshConfig = Object.assign({ announceInterval: 0 }, settings.mesh);
+        this.rng = seededRandom(settings.seed || 1);
+        this.nodes = new Map();
+        this.inFlight = 0;
+        this.transmissions = 0;
+    }
+
+    addNode(nodeId) {
+        if (!this.nodes.has(nodeId)) {
+            const peer = new SimulatedPeer(nodeId, this);
+            this.nodes.set(nodeId, { peer, mesh: new MeshcoreMesh(peer, this.meshConfig) });
+        }
+        return this.nodes.get(nodeId);
+    }
+
+    mesh(nodeId) {
+        return this.nodes.get(nodeId).mesh;
+    }
+
+    link(a, b) {
+        this.addNode(a).peer.links.add(b);
+        this.addNode(b).peer.links.add(a);
+    }
+
+    unlink(a, b) {
+        [[a, b], [b, a]].forEach(([from, to]) => {
+            const { peer } = this.nodes.get(from);
+            if (peer.links.delete(to)) {
+                peer.disconnectHandlers.forEach((handler) => handler(to));
+            }
+        });
+    }
+
+    line(nodeIds) {
+        nodeIds.forEach((nodeId, index) => {
+            this.addNode(nodeId);
+            if (index > 0) {
+                this.link(nodeIds[index - 1], nodeId);
+            }
+        });
+    }
+
+    ring(nodeIds) {
+        this.line(nodeIds);
+        this.link(nodeIds[nodeIds.length - 1], nodeIds[0]);
+    }
+
+    // Each node links to up to `degree` of the nodes before it, so the graph is connected
+    random(nodeIds, degree) {
+        nodeIds.forEach((nodeId, index) => {
+            this.addNode(nodeId);
+            const earlier = nodeIds.slice(0, index);
+            for (let i = 0; i < Math.min(degree, earlier.length); i++) {
+                const pick = earlier.splice(Math.floor(this.rng() * earlier.length), 1)[0];
+                this.link(pick, nodeId);
+            }
+        });
+    }
+
+    transmit(from, to, message) {
+        this.inFlight++;
+        this.transmissions++;
+        setTimeout(() => {
+            this.inFlight--;
+            const node = this.nodes.get(to);
+            if (node) {
+                node.peer.receive(from, message);
+            }
+        }, Math.floor(this.rng() * (this.maxLatency + 1)));
+    }
+
+    // Resolves once no message is in flight
+    settle() {
+        return new Promise((resolve) => {
+            const check = () => (this.inFlight === 0 ? resolve() : setTimeout(check, 5));
+            check();
+        });
+    }
+
+    close() {
+        this.nodes.forEach(({ mesh }) => mesh.close());
+    }
+}
+
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const names = (prefix, count) => Array.from({ length: count }, (_, i) => `${prefix}${i}`);
+
+async function main() {
+    const results = [];
+
+    // 1. Gossip reaches every node of a random mesh exactly once
+    {
+        const network = new SimulatedNetwork({ seed: 7 });
+        const nodeIds = names('n', 30);
+        network.random(nodeIds, 3);
+
+        const received = new Map();
+        nodeIds.forEach((nodeId) => network.mesh(nodeId).subscribe('patterns', () => {
+            received.set(nodeId, (received.get(nodeId) || 0) + 1);
+        }));
+
+        network.mesh('n0').publish('patterns', { pattern: 'p-1', version: 2 }, { ttl: 16 });
+        await network.settle();
+
+        const duplicates = nodeIds.reduce((sum, nodeId) => sum + network.mesh(nodeId).stats.duplicates, 0);
+        const everyoneOnce = nodeIds.slice(1).every((nodeId) => received.get(nodeId) === 1) && !received.has('n0');
+        results.push([`gossip reaches all 29 other nodes once (${network.transmissions} sends, ${duplicates} duplicates dropped)`, everyoneOnce]);
+        network.close();
+    }
+
+    // 2. Direct messages cross a line, flooding first and then following the learned route
+    {
+        const network = new SimulatedNetwork();
+        const nodeIds = names('l', 8);
+        network.line(nodeIds);
+
+        const inbox = [];
+        network.mesh('l7').onDirectMessage((data, envelope) => inbox.push(envelope.path.length));
+        network.mesh('l0').onDirectMessage((data) => inbox.push(data));
+
+        network.mesh('l0').send('l7', 'hello');
+        await network.settle();
+        network.mesh('l7').send('l0', 'reply');
+        await network.settle();
+
+        const before = network.transmissions;
+        network.mesh('l0').send('l7', 'again');
+        await network.settle();
+
+        results.push([
+            'direct message crosses 7 hops and the route back is learned',
+            inbox.length === 3 && inbox[0] === 7 && inbox[1] === 'reply' && network.transmissions - before === 7
+        ]);
+        network.close();
+    }
+
+    // 3. TTL bounds how far gossip goes
+    {
+        const network = new SimulatedNetwork();
+        const nodeIds = names('t', 8);
+        network.line(nodeIds);
+
+        const reached = [];
+        nodeIds.forEach((nodeId) => network.mesh(nodeId).subscribe('updates', () => reached.push(nodeId)));
+
+        network.mesh('t0').publish('updates', {}, { ttl: 3 });
+        await network.settle();
+
+        results.push(['gossip with TTL 3 stops after 3 hops', reached.sort().join(',') === 't1,t2,t3']);
+        network.close();
+    }
+
+    // 4. A broken link on a learned route falls back to flooding
+    {
+        const network = new SimulatedNetwork();
+        const nodeIds = names('r', 10);
+        network.ring(nodeIds);
+
+        let delivered = 0;
+        network.mesh('r5').onDirectMessage(() => delivered++);
+
+        network.mesh('r5').announce();
+        await network.settle();
+        network.mesh('r0').send('r5', 'first');
+        await network.settle();
+
+        const via = network.mesh('r0').routes.get('r5').via;
+        network.unlink('r0', via);
+        network.mesh('r0').send('r5', 'second');
+        await network.settle();
+
+        results.push([`route around a broken link (was via ${via})`, delivered === 2]);
+        network.close();
+    }
+
+    results.forEach(([name, passed]) => console.log(`Mesh sim: ${passed ? 'PASS' : 'FAIL'} ${name}`));
+    process.exit(results.every(([, passed]) => passed) ? 0 : 1);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
+}
+
+module.exports = { SimulatedNetwork, SimulatedPeer };
@@ -0,0 +1,281 @@
+/**
+ * Aevov Meshcore - Onion Routing Simulator
+ *
+ * Runs MeshcoreOnion over the simulated mesh from index.js, with a real
+ * MeshcoreIdentity for every node, and checks that:
+ *
+ *   1. a message crosses a three-relay circuit, each relay takes off exactly one
+ *      layer, and the message never shows up in the clear on any link;
+ *   2. losing the circuit's first relay rebuilds the circuit around it;
+ *   3. a relay descriptor whose node ID doesn't match its key is ignored;
+ *   4. request() builds packets the site relays can unwrap: three stand-in
+ *      OnionRelayHandlers, answering fetch() in-process with OnionCrypto's
+ *      scheme, pass the request along and the last one makes it. No relay sees
+ *      the URL or the route beyond its next hop, and the response never crosses
+ *      a link in the clear.
+ *
+ *   node mesh-sim/onion.js
+ *
+ * tests/onion.test.js builds its networks and site relays with the helpers
+ * exported here.
+ */
+
+/* eslint-disable no-console */
+
+const crypto = require('crypto');
+const { SimulatedNetwork } = require('./index');
+const MeshcoreIdentity = require('../assets/js/meshcore-identity');
+const MeshcoreOnion = require('../assets/js/meshcore-onion');
+
+// Relays decrypt between transmissions, so the network can look idle while one
+// is still working; it has settled once it stays idle for a moment
+async function settle(network) {
+    do {
+        await network.settle();
+        await new Promise((resolve) => setTimeout(resolve, 50));
+    } while (network.inFlight > 0);
+}
+
+async function createNetwork(count, options) {
+    const network = new SimulatedNetwork(Object.assign({ seed: 11 }, options));
+    const identities = [];
+    const wire = [];
+
+    for (let i = 0; i < count; i++) {
+        identities.push(await MeshcoreIdentity.load({ persist: false }));
+    }
+    network.random(identities.map((identity) => identity.nodeId), 3);
+
+    // Everything any node sends, as it goes over the link
+    const transmit = network.transmit.bind(network);
+    network.transmit = (from, to, message) => {
+        wire.push(message);
+        transmit(from, to, message);
+    };
+
+    const nodes = identities.map((identity) => {
+        const node = network.addNode(identity.nodeId);
+        node.peer.identity = identity;
+        node.onion = new MeshcoreOnion(node.peer, node.mesh, { announceInterval: 0 });
+        return node;
+    });
+
+    await Promise.all(nodes.map((node) => node.onion.ready));
+    await settle(network);
+
+    return { network, nodes, wire };
+}
+
+// OnionCrypto::derive_key()
+function deriveKey(secret, salt, info) {
+    return Buffer.from(crypto.hkdfSync('sha256', secret, salt, info, 32));
+}
+
+// OnionCrypto::encrypt()
+function encrypt(key, data) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const encrypted = Buffer.concat([cipher.update(JSON.stringify(data)), cipher.final()]);
+
+    return {
+        data: encrypted.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64')
+    };
+}
+
+// OnionCrypto::decrypt()
+function decrypt(key, payload) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(payload.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+
+    return JSON.parse(Buffer.concat([
+        decipher.update(Buffer.from(payload.data, 'base64')),
+        decipher.final()
+    ]).toString());
+}
+
+// What OnionRelayHandler does with a packet, for a site whose key pair is `site`.
+// The exit answers with `exit(request)`.
+function siteRelay(site, sites, log, exit) {
+    return (packet) => {
+        const payload = packet.encrypted_payload;
+        const ephemeral = Buffer.from(payload.key, 'base64');
+        const secret = crypto.diffieHellman({
+            privateKey: site.private_key,
+            publicKey: crypto.createPublicKey({ key: ephemeral, format: 'der', type: 'spki' })
+        });
+
+        const layer = decrypt(deriveKey(secret, ephemeral, 'meshcore-onion/1'), payload);
+        const wire = JSON.stringify(packet);
+        log.push({
+            site: site.node_id,
+            sawUrl: wire.indexOf('example.com') !== -1,
+            sawRoute: Array.from(sites.keys()).some((nodeId) => wire.indexOf(nodeId) !== -1)
+        });
+
+        const result = layer.next_hop === 'exit' ?
+            exit(layer.request) :
+            sites.get(layer.next_hop).handle({ type: 'onion_relay', encrypted_payload: layer.packet }).encrypted_response;
+
+        return {
+            success: true,
+            encrypted_response: encrypt(deriveKey(secret, ephemeral, 'meshcore-onion/1 reply'), result)
+        };
+    };
+}
+
+function fetchedBy(request) {
+    return { status_code: 200, headers: {}, body: `fetched ${request.url} with ${request.args.method}` };
+}
+
+// Stand-in site relays, and a fetch() that reaches them in-process. `log` gets an
+// entry for each layer a site opens, and `responses` every response body sent back.
+function createSites(count, exit) {
+    const sites = new Map();
+    const log = [];
+    const responses = [];
+
+    for (let i = 0; i < count; i++) {
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', {
+            namedCurve: 'prime256v1',
+            publicKeyEncoding: { type: 'spki', format: 'pem' }
+        });
+        const site = {
+            node_id: crypto.createHash('sha256').update(publicKey).digest('hex'),
+            public_key: publicKey,
+            private_key: privateKey,
+            api_endpoint: `https://site${i}.test/wp-json/aevov-meshcore/v1`
+        };
+        site.handle = siteRelay(site, sites, log, exit || fetchedBy);
+        sites.set(site.node_id, site);
+    }
+
+    const fetch = async (url, options) => {
+        const site = Array.from(sites.values()).find((candidate) => url === `${candidate.api_endpoint}/relay/onion`);
+        const body = site.handle(JSON.parse(options.body));
+        responses.push(JSON.stringify(body));
+        return { ok: true, status: 200, json: async () => body };
+    };
+
+    return { sites, log, responses, fetch };
+}
+
+async function main() {
+    const results = [];
+
+    // 1. Through a circuit
+    {
+        const { network, nodes, wire } = await createNetwork(12);
+        const sender = nodes[0];
+        const circuit = sender.onion.getCircuit().hops.map((hop) => hop.nodeId);
+        const destination = nodes.find((node) => node !== sender && circuit.indexOf(node.peer.nodeId) === -1);
+        const secret = 'meet at the usual place';
+        const received = [];
+        destination.onion.onMessage((data) => received.push(data));
+
+        const circuitId = await sender.onion.send(destination.peer.nodeId, { text: secret });
+        await settle(network);
+
+        const relayed = nodes.map((node) => node.onion.stats.relayed);
+        const relaysOnce = nodes.every((node) =>
+            node.onion.stats.relayed === (circuit.indexOf(node.peer.nodeId) !== -1 ? 1 : 0));
+
+        results.push([
+            `message crosses circuit ${circuitId}, one layer per relay (${relayed.reduce((a, b) => a + b)} relayed)`,
+            received.length === 1 && received[0].text === secret && circuit.length === 3 && relaysOnce
+        ]);
+        results.push([
+            `message never crosses a link in the clear (${wire.length} transmissions)`,
+            wire.every((message) => message.indexOf(secret) === -1)
+        ]);
+        network.close();
+        nodes.forEach((node) => node.onion.close());
+    }
+
+    // 2. Rebuild on peer loss
+    {
+        const { network, nodes } = await createNetwork(12);
+        const sender = nodes[0];
+        const circuit = sender.onion.getCircuit().hops.map((hop) => hop.nodeId);
+        const destination = nodes.find((node) => node !== sender && circuit.indexOf(node.peer.nodeId) === -1);
+        let received = 0;
+        destination.onion.onMessage(() => received++);
+
+        await sender.onion.send(destination.peer.nodeId, 'first');
+        await settle(network);
+
+        // The first hop is a peer the sender is linked to; cut that link
+        const lost = circuit[0];
+        const wasLinked = sender.peer.links.has(lost);
+        network.unlink(sender.peer.nodeId, lost);
+
+        const rebuilt = sender.onion.circuit;
+        await sender.onion.send(destination.peer.nodeId, 'second');
+        await settle(network);
+
+        results.push([
+            'losing a circuit relay rebuilds the circuit without it',
+            wasLinked && received === 2 && sender.onion.stats.rebuilt === 1 &&
+                rebuilt.hops.every((hop) => hop.nodeId !== lost)
+        ]);
+        network.close();
+        nodes.forEach((node) => node.onion.close());
+    }
+
+    // 3. Forged descriptor
+    {
+        const { network, nodes } = await createNetwork(4);
+        const forger = await MeshcoreIdentity.load({ persist: false });
+        const descriptor = {
+            nodeId: 'f'.repeat(64),
+            publicKey: forger.publicKey,
+            relayKey: forger.agreementKey,
+            relay: true,
+            expires: Date.now() + 60000
+        };
+        descriptor.signature = await forger.sign(JSON.stringify(['meshcore-relay', 1, descriptor.nodeId,
+            descriptor.relayKey, descriptor.relay, descriptor.expires]));
+
+        const accepted = await nodes[0].onion.addDescriptor(descriptor);
+        results.push(['descriptor with a forged node ID is ignored', !accepted && !nodes[0].onion.directory.has(descriptor.nodeId)]);
+        network.close();
+        nodes.forEach((node) => node.onion.close());
+    }
+
+    // 4. Site relays
+    {
+        const { sites, log, responses, fetch } = createSites(3);
+        const { network, nodes } = await createNetwork(1);
+        const onion = new MeshcoreOnion(nodes[0].peer, nodes[0].mesh, { announceInterval: 0, fetch });
+        const result = await onion.request('https://api.example.com/v1/chat', { method: 'POST' }, {
+            relays: Array.from(sites.values())
+        });
+
+        results.push([
+            'site relays unwrap one layer each and the last makes the request',
+            result.body === 'fetched https://api.example.com/v1/chat with POST' &&
+                log.length === 3 && new Set(log.map((entry) => entry.site)).size === 3
+        ]);
+        results.push([
+            'site relays see neither the URL nor the route, and the response comes back sealed',
+            log.every((entry) => !entry.sawUrl && !entry.sawRoute) &&
+                responses.every((body) => body.indexOf('fetched') === -1)
+        ]);
+        network.close();
+        onion.close();
+        nodes.forEach((node) => node.onion.close());
+    }
+
+    results.forEach(([name, passed]) => console.log(`Onion sim: ${passed ? 'PASS' : 'FAIL'} ${name}`));
+    process.exit(results.every(([, passed]) => passed) ? 0 : 1);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
+}
+
+module.exports = { createNetwork, createSites, settle };
@@ -0,0 +1,162 @@
+/**
+ * Aevov Meshcore - Signaling Demo
+ *
+ * Starts the signaling stub and connects two MeshcoreP2P clients through it:
+ *
+ *   1. alice and bob dial each other at the same moment, and glare handling
+ *      leaves them with one connection that carries a message each way.
+ *   2. alice dials carol, who never answers, and the attempt times out.
+ *   3. alice fetches content bob shares through MeshcoreTransfer. bob hangs up
+ *      partway through, and once they reconnect the download resumes from the
+ *      last acknowledged chunk.
+ *   4. mallory asks for alice's signals, then for those of a node ID she made up,
+ *      and the stub refuses both: neither ID comes from her key.
+ *
+ * Uses @roamhq/wrtc (or wrtc) for real WebRTC when it is installed, and the
+ * in-memory loopback shim otherwise. Exits non-zero if any check fails.
+ *
+ *   node signaling-stub/demo.js
+ *   SIGNALING=websocket node --experimental-websocket signaling-stub/demo.js
+ */
+
+/* eslint-disable no-console */
+
+const { server, API_PREFIX } = require('./index');
+const crypto = require('crypto');
+const MeshcoreP2P = require('../assets/js/meshcore-p2p');
+const MeshcoreIdentity = require('../assets/js/meshcore-identity');
+const MeshcoreTransfer = require('../assets/js/meshcore-transfer');
+
+const TIMEOUT_MS = 2000;
+
+function loadWebRTC() {
+    for (const name of ['@roamhq/wrtc', 'wrtc']) {
+        try {
+            return { name, RTCPeerConnection: require(name).RTCPeerConnection };
+        } catch (error) {
+            // Not installed
+        }
+    }
+    return { name: 'loopback shim', RTCPeerConnection: require('./loopback-rtc').RTCPeerConnection };
+}
+
+function waitFor(check, ms) {
+    return new Promise((resolve) => {
+        const started = Date.now();
+        const timer = setInterval(() => {
+            if (check() || Date.now() - started > ms) {
+                clearInterval(timer);
+                resolve(check());
+            }
+        }, 50);
+    });
+}
+
+async function main() {
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    const webrtc = loadWebRTC();
+    console.log(`Demo: stub on port ${port}, WebRTC from ${webrtc.name}`);
+
+    // Node IDs come from each client's key, so names are only for the log
+    const names = new Map();
+    const received = [];
+    const rejected = [];
+    const client = (name, options) => {
+        const p2p = new MeshcoreP2P(Object.assign({
+            apiUrl: `http://127.0.0.1:${port}${API_PREFIX}`,
+            wsUrl: `ws://127.0.0.1:${port}`,
+            signaling: process.env.SIGNALING || 'auto',
+            discovery: false,
+            connectTimeout: TIMEOUT_MS,
+            RTCPeerConnection: webrtc.RTCPeerConnection,
+            onMessage: (peerId, data) => received.push(`${names.get(peerId)} -> ${name}: ${data.text}`),
+            onPeerRejected: (peerId, error) => rejected.push(`${name} rejected ${names.get(peerId)}: ${error.message}`)
+        }, options));
+        p2p.ready.then(() => names.set(p2p.nodeId, name));
+        return p2p;
+    };
+
+    const alice = client('alice');
+    const bob = client('bob');
+    await Promise.all([alice.ready, bob.ready]);
+
+    const results = [];
+
+    // 1. Glare
+    alice.connectToPeer(bob.nodeId, null);
+    bob.connectToPeer(alice.nodeId, null);
+    const connected = await waitFor(() => alice.getPeerCount() === 1 && bob.getPeerCount() === 1, 10000);
+    if (connected) {
+        alice.sendToPeer(bob.nodeId, { text: 'hello bob' });
+        bob.sendToPeer(alice.nodeId, { text: 'hello alice' });
+    }
+    const delivered = await waitFor(() => received.length === 2, 2000);
+    const verified = connected && alice.getPeerIdentity(bob.nodeId).publicKey === bob.identity.publicKey;
+    results.push(['simultaneous dial connects once, verifies both sides and carries messages', verified && delivered]);
+
+    // 2. Half-open attempt
+    alice.connectToPeer('carol', null);
+    const attempted = alice.peers.has('carol');
+    const abandoned = await waitFor(() => !alice.peers.has('carol'), TIMEOUT_MS * 2);
+    results.push(['unanswered dial times out', attempted && abandoned && alice.getPeerCount() === 1]);
+
+    // 3. Resumable transfer
+    const aliceTransfer = new MeshcoreTransfer(alice);
+    const bobTransfer = new MeshcoreTransfer(bob);
+    const content = crypto.randomBytes(1024 * 1024);
+    const manifest = await bobTransfer.share(content, 'pattern-42');
+    const progress = [];
+
+    const fetchContent = () => aliceTransfer.fetch('pattern-42', {
+        hash: manifest.hash,
+        fallback: false,
+        onProgress: (update) => {
+            progress.push(update.received);
+            // Hang up partway through the first attempt
+            if (update.received === 20 && progress.length === 20) {
+                bob.closePeer(alice.nodeId);
+            }
+        }
+    });
+
+    const interrupted = await fetchContent().then(() => false, (error) => error.resumable);
+    const resumeFrom = aliceTransfer.getProgress('pattern-42').received;
+
+    bob.connectToPeer(alice.nodeId, null);
+    await waitFor(() => alice.getPeerCount() === 1 && bob.getPeerCount() === 1, 10000);
+    const resumedAt = progress.length;
+    const fetched = await fetchContent().catch(() => null);
+
+    results.push([
+        `interrupted transfer resumes (stopped at chunk ${resumeFrom} of ${manifest.chunkHashes.length})`,
+        interrupted && resumeFrom > 0 && progress[resumedAt] === resumeFrom + 1 &&
+            Boolean(fetched) && Buffer.compare(Buffer.from(fetched), content) === 0
+    ]);
+
+    // 4. Impostor: mallory signs for mailboxes her key doesn't hash to
+    const genuine = await MeshcoreIdentity.load({ persist: false });
+    const statuses = [];
+    for (const claimed of [alice.nodeId, 'f'.repeat(64)]) {
+        const forged = new MeshcoreIdentity(genuine.keyPair, genuine.publicKey, claimed);
+        const query = new URLSearchParams(await forged.proveMailbox());
+        const response = await fetch(`http://127.0.0.1:${port}${API_PREFIX}/signal/poll?${query}`);
+        statuses.push(response.status);
+    }
+    results.push(['signals are refused to a node without their key', statuses.every((status) => status === 403)]);
+
+    alice.close();
+    bob.close();
+    server.closeAllConnections();
+    server.close();
+
+    console.log('');
+    received.concat(rejected).forEach((line) => console.log(`Demo: ${line}`));
+    results.forEach(([name, passed]) => console.log(`Demo: ${passed ? 'PASS' : 'FAIL'} ${name}`));
+    process.exit(results.every(([, passed]) => passed) ? 0 : 1);
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
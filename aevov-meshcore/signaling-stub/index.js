@@ -0,0 +1,369 @@
+/**
+ * Aevov Meshcore - Local Signaling Stub
+ *
+ * An in-memory stand-in for the plugin's signaling endpoints, so MeshcoreP2P
+ * clients can find each other without a WordPress site. Like the plugin, it keeps
+ * a mailbox per node: POST /signal/offer, /signal/answer and /signal/ice queue a
+ * signal for its recipient, who reads its mailbox by long-polling
+ * GET /signal/poll, from the event stream at GET /signal/stream, or over a
+ * WebSocket. Each read carries the node's public key and a signature proving it
+ * holds it (MeshcoreIdentity#proveMailbox). GET /peers lists the nodes that have
+ * checked their mailbox lately.
+ *
+ *   node signaling-stub/index.js
+ *   node signaling-stub/demo.js
+ *
+ * Point clients at apiUrl http://127.0.0.1:8791/wp-json/aevov-meshcore/v1 and
+ * wsUrl ws://127.0.0.1:8791 (the /wp-json/... prefix is optional here). WebSockets
+ * connect to ws://host:port/?node=<node id>&key=&time=&proof=&since=<last signal id>.
+ * Their frames are read with the workflow engine's co-editing relay framing.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const MeshcoreIdentity = require('../assets/js/meshcore-identity');
+const {
+    acceptUpgrade,
+    createReader,
+    readFrames,
+    sendText,
+    sendClose,
+    CLOSE_NORMAL,
+} = require('../../aevov-workflow-engine/relay/websocket');
+
+const PORT = parseInt(process.env.SIGNALING_PORT || '8791', 10);
+const HOST = process.env.SIGNALING_HOST || '127.0.0.1';
+const API_PREFIX = '/wp-json/aevov-meshcore/v1';
+// Same as WebRTCSignaling in the plugin
+const SIGNAL_TTL_MS = 120 * 1000;
+const MAILBOX_LIMIT = 200;
+const MAX_POLL_WAIT = 20;
+// Nodes that haven't read their mailbox for this long drop out of /peers
+const PEER_TTL_MS = 60 * 1000;
+const MAX_MESSAGE_BYTES = 256 * 1024;
+
+// node ID => { cursor, signals, waiters, streams, sockets, lastSeen }
+const mailboxes = new Map();
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    let route = url.pathname.startsWith(API_PREFIX) ? url.pathname.slice(API_PREFIX.length) : url.pathname;
+    route = route.replace(/\/+$/, '');
+
+    // Browsers on other origins can use the stub too
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Last-Event-ID');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const signalRoute = route.match(/^\/signal\/(offer|answer|ice)$/);
+    if (req.method === 'POST' && signalRoute) {
+        readBody(req)
+            .then((body) => {
+                const result = relaySignal(signalRoute[1], body);
+                json(res, result.error ? 400 : 200, result.error
+                    ? { success: false, message: result.error }
+                    : { success: true, id: result.id });
+            })
+            .catch((error) => json(res, 400, { success: false, message: error.message }));
+        return;
+    }
+
+    if (req.method === 'GET' && route === '/signal/poll') {
+        poll(url, req, res);
+        return;
+    }
+
+    if (req.method === 'GET' && route === '/signal/stream') {
+        stream(url, req, res);
+        return;
+    }
+
+    if (req.method === 'GET' && route === '/node/info') {
+        json(res, 200, { success: true, node: { node_id: `node-${crypto.randomBytes(8).toString('hex')}` } });
+        return;
+    }
+
+    if (req.method === 'GET' && route === '/peers') {
+        const limit = parseInt(url.searchParams.get('limit') || '10', 10);
+        const now = Date.now();
+        const peers = Array.from(mailboxes.entries())
+            .filter(([, mailbox]) => now - mailbox.lastSeen < PEER_TTL_MS)
+            .sort(([, a], [, b]) => b.lastSeen - a.lastSeen)
+            .slice(0, limit)
+            .map(([nodeId, mailbox]) => ({
+                node_id: nodeId,
+                status: 'active',
+                last_seen: new Date(mailbox.lastSeen).toISOString()
+            }));
+        json(res, 200, { success: true, peers });
+        return;
+    }
+
+    json(res, 404, { success: false, message: `No route for ${req.method} ${url.pathname}` });
+});
+
+function json(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_MESSAGE_BYTES) {
+                reject(new Error('Signal too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+            } catch (error) {
+                reject(new Error('Body is not JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function mailboxFor(nodeId) {
+    if (!mailboxes.has(nodeId)) {
+        mailboxes.set(nodeId, {
+            cursor: 0,
+            signals: [],
+            waiters: new Set(),
+            streams: new Set(),
+            sockets: new Set(),
+            lastSeen: 0
+        });
+    }
+    return mailboxes.get(nodeId);
+}
+
+// Same checks as RestAPI::relay_signal in the plugin
+function relaySignal(type, body) {
+    const payloadKey = type === 'ice' ? 'candidate' : 'sdp';
+    const from = typeof body.from === 'string' ? body.from : '';
+    const to = typeof body.to === 'string' ? body.to : '';
+    const session = typeof body.session === 'string' ? body.session : '';
+    const payload = body[payloadKey];
+
+    if (!from || !to || !session || !payload || typeof payload !== 'object') {
+        return { error: `from, to, session and ${payloadKey} are required` };
+    }
+
+    return { id: queueSignal(to, { type, from, session, [payloadKey]: payload }) };
+}
+
+function queueSignal(to, signal) {
+    const mailbox = mailboxFor(to);
+    const entry = { ...signal, to, id: ++mailbox.cursor, timestamp: Date.now() };
+
+    mailbox.signals.push(entry);
+    pruneMailbox(mailbox);
+
+    for (const waiter of mailbox.waiters) {
+        waiter([entry]);
+    }
+    for (const res of mailbox.streams) {
+        writeEvent(res, entry);
+    }
+    for (const connection of mailbox.sockets) {
+        sendText(connection.socket, JSON.stringify(entry));
+    }
+
+    return entry.id;
+}
+
+function pruneMailbox(mailbox) {
+    const cutoff = Date.now() - SIGNAL_TTL_MS;
+    mailbox.signals = mailbox.signals.filter((signal) => signal.timestamp > cutoff).slice(-MAILBOX_LIMIT);
+}
+
+// Same check as WebRTCSignaling::verify_mailbox_proof in the plugin
+function proven(url) {
+    return MeshcoreIdentity.verifyMailboxProof({
+        node: url.searchParams.get('node'),
+        key: url.searchParams.get('key'),
+        time: parseInt(url.searchParams.get('time'), 10),
+        proof: url.searchParams.get('proof')
+    });
+}
+
+const REFUSED = "Signals are only handed to the holder of the node's key";
+
+// Signals after the given cursor. A cursor ahead of the mailbox's is from before a restart.
+function signalsSince(mailbox, since) {
+    pruneMailbox(mailbox);
+    const from = since > mailbox.cursor ? 0 : since;
+    return mailbox.signals.filter((signal) => signal.id > from);
+}
+
+async function poll(url, req, res) {
+    const nodeId = url.searchParams.get('node');
+    if (!nodeId) {
+        json(res, 400, { success: false, message: 'node is required' });
+        return;
+    }
+    if (!(await proven(url))) {
+        json(res, 403, { success: false, message: REFUSED });
+        return;
+    }
+
+    const mailbox = mailboxFor(nodeId);
+    const since = parseInt(url.searchParams.get('since') || '0', 10) || 0;
+    const wait = Math.min(Math.max(parseInt(url.searchParams.get('wait') || '0', 10) || 0, 0), MAX_POLL_WAIT);
+    mailbox.lastSeen = Date.now();
+
+    const pending = signalsSince(mailbox, since);
+    if (pending.length > 0 || wait === 0) {
+        json(res, 200, { success: true, signals: pending, cursor: mailbox.cursor });
+        return;
+    }
+
+    // Hold the request until a signal arrives or the wait runs out
+    const waiter = (signals) => {
+        clearTimeout(timer);
+        mailbox.waiters.delete(waiter);
+        mailbox.lastSeen = Date.now();
+        json(res, 200, { success: true, signals, cursor: mailbox.cursor });
+    };
+    const timer = setTimeout(() => waiter([]), wait * 1000);
+
+    mailbox.waiters.add(waiter);
+    req.on('close', () => {
+        clearTimeout(timer);
+        mailbox.waiters.delete(waiter);
+    });
+}
+
+async function stream(url, req, res) {
+    const nodeId = url.searchParams.get('node');
+    if (!nodeId) {
+        json(res, 400, { success: false, message: 'node is required' });
+        return;
+    }
+    if (!(await proven(url))) {
+        json(res, 403, { success: false, message: REFUSED });
+        return;
+    }
+
+    const mailbox = mailboxFor(nodeId);
+    // EventSource sends the last ID it saw when it reconnects
+    const since = parseInt(req.headers['last-event-id'] || url.searchParams.get('since') || '0', 10) || 0;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.write('retry: 1000\n\n');
+    signalsSince(mailbox, since).forEach((signal) => writeEvent(res, signal));
+
+    mailbox.streams.add(res);
+    mailbox.lastSeen = Date.now();
+
+    // Comments keep the stream from idling out, and the node listed in /peers
+    const ping = setInterval(() => {
+        mailbox.lastSeen = Date.now();
+        res.write(': ping\n\n');
+    }, 15000);
+
+    req.on('close', () => {
+        clearInterval(ping);
+        mailbox.streams.delete(res);
+    });
+}
+
+function writeEvent(res, signal) {
+    res.write(`id: ${signal.id}\nevent: signal\ndata: ${JSON.stringify(signal)}\n\n`);
+}
+
+server.on('upgrade', async (req, socket) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const nodeId = url.searchParams.get('node');
+    const key = req.headers['sec-websocket-key'];
+
+    if (!nodeId || !key || req.headers.upgrade?.toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    if (!(await proven(url))) {
+        socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+        return;
+    }
+
+    acceptUpgrade(socket, key);
+
+    const mailbox = mailboxFor(nodeId);
+    const connection = { socket, nodeId, reader: createReader(MAX_MESSAGE_BYTES) };
+    const since = parseInt(url.searchParams.get('since') || '0', 10) || 0;
+
+    mailbox.sockets.add(connection);
+    mailbox.lastSeen = Date.now();
+    signalsSince(mailbox, since).forEach((signal) => {
+        sendText(socket, JSON.stringify(signal));
+    });
+
+    socket.on('data', (chunk) => {
+        try {
+            if (!readFrames(socket, connection.reader, chunk, (message) => receive(connection, message))) {
+                close(connection, CLOSE_NORMAL, '');
+            }
+        } catch (error) {
+            close(connection, error.code, error.message);
+        }
+    });
+    // The HTTP server keeps sockets half-open, so a client hanging up only ends its side
+    socket.on('end', () => {
+        socket.end();
+        leave(connection);
+    });
+    socket.on('close', () => leave(connection));
+    socket.on('error', () => leave(connection));
+});
+
+function leave(connection) {
+    const mailbox = mailboxes.get(connection.nodeId);
+    if (mailbox) {
+        mailbox.sockets.delete(connection);
+    }
+}
+
+// Signals sent over the socket go into their recipient's mailbox like POSTed ones
+function receive(connection, message) {
+    let signal;
+    try {
+        signal = JSON.parse(message);
+    } catch (error) {
+        return;
+    }
+
+    mailboxFor(connection.nodeId).lastSeen = Date.now();
+    if (['offer', 'answer', 'ice'].includes(signal.type)) {
+        relaySignal(signal.type, { ...signal, from: connection.nodeId });
+    }
+}
+
+function close(connection, code, reason) {
+    sendClose(connection.socket, code, reason);
+    leave(connection);
+}
+
+if (require.main === module) {
+    server.listen(PORT, HOST, () => {
+        // eslint-disable-next-line no-console
+        console.log(`Aevov Meshcore signaling stub listening on http://${HOST}:${PORT}${API_PREFIX}`);
+    });
+}
+
+module.exports = { server, mailboxes, API_PREFIX };
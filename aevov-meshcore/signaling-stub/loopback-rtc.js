@@ -0,0 +1,218 @@
+/**
+ * Aevov Meshcore - Loopback WebRTC Shim
+ *
+ * Just enough of RTCPeerConnection for MeshcoreP2P to run under Node without a
+ * native WebRTC build. Peer connections in the same process pair up through the
+ * descriptions and candidates they exchange, then pass data channel messages to
+ * each other directly. Like the real thing, a connection only comes up once both
+ * descriptions are set and a candidate from the other side has been added, so the
+ * whole signaling exchange still has to happen.
+ */
+
+// Connection ID => LoopbackPeerConnection
+const connections = new Map();
+let nextId = 1;
+
+const defer = (callback) => setTimeout(callback, 0);
+
+class LoopbackDataChannel {
+    constructor(label, options) {
+        this.label = label;
+        this.ordered = !options || options.ordered !== false;
+        this.readyState = 'connecting';
+        this.remote = null;
+        this.binaryType = 'arraybuffer';
+        this.bufferedAmount = 0;
+        this.bufferedAmountLowThreshold = 0;
+        this.onbufferedamountlow = null;
+        this.onopen = null;
+        this.onclose = null;
+        this.onmessage = null;
+        this.onerror = null;
+    }
+
+    send(data) {
+        if (this.readyState !== 'open') {
+            throw new Error(`InvalidStateError: data channel is ${this.readyState}`);
+        }
+        // Queued bytes drain as they are delivered, so senders see backpressure
+        const size = typeof data === 'string' ? Buffer.byteLength(data) : data.byteLength;
+        const remote = this.remote;
+        this.bufferedAmount += size;
+
+        defer(() => {
+            const before = this.bufferedAmount;
+            this.bufferedAmount = Math.max(0, before - size);
+            if (before > this.bufferedAmountLowThreshold && this.bufferedAmount <= this.bufferedAmountLowThreshold &&
+                this.onbufferedamountlow) {
+                this.onbufferedamountlow();
+            }
+            if (remote.readyState === 'open' && remote.onmessage) {
+                remote.onmessage({ data });
+            }
+        });
+    }
+
+    open() {
+        this.readyState = 'open';
+        if (this.onopen) {
+            this.onopen();
+        }
+    }
+
+    close() {
+        if (this.readyState === 'closed') {
+            return;
+        }
+        this.readyState = 'closed';
+        if (this.onclose) {
+            this.onclose();
+        }
+        if (this.remote) {
+            this.remote.close();
+        }
+    }
+}
+
+class LoopbackPeerConnection {
+    constructor() {
+        this.id = `loopback-${nextId++}`;
+        this.localDescription = null;
+        this.remoteDescription = null;
+        this.signalingState = 'stable';
+        this.connectionState = 'new';
+        this.remote = null;
+        this.channels = [];
+        this.candidateAdded = false;
+        this.onicecandidate = null;
+        this.ondatachannel = null;
+        this.onconnectionstatechange = null;
+
+        connections.set(this.id, this);
+    }
+
+    createDataChannel(label, options) {
+        const channel = new LoopbackDataChannel(label, options);
+        this.channels.push(channel);
+        if (this.connectionState === 'connected') {
+            defer(() => this.pairChannel(channel));
+        }
+        return channel;
+    }
+
+    async createOffer() {
+        return { type: 'offer', sdp: `v=0\r\no=loopback ${this.id}\r\n` };
+    }
+
+    async createAnswer() {
+        if (this.signalingState !== 'have-remote-offer') {
+            throw new Error('InvalidStateError: no remote offer to answer');
+        }
+        return { type: 'answer', sdp: `v=0\r\no=loopback ${this.id}\r\n` };
+    }
+
+    async setLocalDescription(description) {
+        this.checkOpen();
+        this.localDescription = { type: description.type, sdp: description.sdp };
+        this.signalingState = description.type === 'offer' ? 'have-local-offer' : 'stable';
+        this.maybeConnect();
+
+        // Gather one host candidate, then signal the end of gathering
+        defer(() => {
+            if (this.connectionState === 'closed' || !this.onicecandidate) {
+                return;
+            }
+            this.onicecandidate({ candidate: { candidate: `candidate:1 1 udp 1 ${this.id} 9 typ host`, sdpMid: '0', sdpMLineIndex: 0 } });
+            this.onicecandidate({ candidate: null });
+        });
+    }
+
+    async setRemoteDescription(description) {
+        this.checkOpen();
+        const match = /o=loopback (\S+)/.exec(description && description.sdp);
+        if (!match || !connections.has(match[1])) {
+            throw new Error('OperationError: description is not from a loopback peer connection');
+        }
+        this.remoteDescription = { type: description.type, sdp: description.sdp };
+        this.remote = connections.get(match[1]);
+        this.signalingState = description.type === 'offer' ? 'have-remote-offer' : 'stable';
+        this.maybeConnect();
+    }
+
+    async addIceCandidate(candidate) {
+        this.checkOpen();
+        if (!this.remoteDescription) {
+            throw new Error('InvalidStateError: remote description is not set');
+        }
+        if (candidate && candidate.candidate) {
+            this.candidateAdded = true;
+            this.maybeConnect();
+        }
+    }
+
+    // Both ends are connected once each has the other's description and a candidate
+    maybeConnect() {
+        const remote = this.remote;
+        const ready = (pc) => pc.localDescription && pc.remoteDescription && pc.candidateAdded &&
+            pc.signalingState === 'stable' && pc.connectionState === 'new';
+
+        if (!remote || remote.remote !== this || !ready(this) || !ready(remote)) {
+            return;
+        }
+
+        [this, remote].forEach((pc) => pc.setConnectionState('connected'));
+        this.channels.forEach((channel) => this.pairChannel(channel));
+        remote.channels.forEach((channel) => remote.pairChannel(channel));
+    }
+
+    // Gives a channel this side opened its other end, announced through ondatachannel
+    pairChannel(channel) {
+        if (channel.remote || channel.readyState !== 'connecting') {
+            return;
+        }
+
+        const remoteChannel = new LoopbackDataChannel(channel.label, { ordered: channel.ordered });
+        remoteChannel.remote = channel;
+        channel.remote = remoteChannel;
+        this.remote.channels.push(remoteChannel);
+
+        defer(() => {
+            if (this.remote.ondatachannel) {
+                this.remote.ondatachannel({ channel: remoteChannel });
+            }
+            remoteChannel.open();
+            channel.open();
+        });
+    }
+
+    setConnectionState(state) {
+        this.connectionState = state;
+        if (this.onconnectionstatechange) {
+            this.onconnectionstatechange();
+        }
+    }
+
+    checkOpen() {
+        if (this.connectionState === 'closed') {
+            throw new Error('InvalidStateError: peer connection is closed');
+        }
+    }
+
+    close() {
+        if (this.connectionState === 'closed') {
+            return;
+        }
+        // Closing doesn't fire connectionstatechange locally, but the far end fails
+        this.connectionState = 'closed';
+        this.signalingState = 'closed';
+        connections.delete(this.id);
+        this.channels.forEach((channel) => channel.close());
+
+        const remote = this.remote;
+        if (remote && remote.remote === this && remote.connectionState === 'connected') {
+            defer(() => remote.setConnectionState('failed'));
+        }
+    }
+}
+
+module.exports = { RTCPeerConnection: LoopbackPeerConnection };
@@ -0,0 +1,183 @@
+/**
+ * MeshcoreMesh over the simulated network from mesh-sim/
+ *
+ *   node --test tests/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SimulatedNetwork } = require('../mesh-sim');
+
+const names = (prefix, count) => Array.from({ length: count }, (_, i) => `${prefix}${i}`);
+
+// A gossip envelope from node a, for handing to a node directly
+function envelope(fields) {
+    return Object.assign({
+        type: 'mesh',
+        kind: 'gossip',
+        id: 'm-1',
+        origin: 'a',
+        ttl: 4,
+        path: ['a'],
+        timestamp: Date.now(),
+        topic: 'updates',
+        to: null,
+        data: {}
+    }, fields);
+}
+
+describe('MeshcoreMesh', () => {
+    it('gossips to every node of a random mesh exactly once', async () => {
+        const network = new SimulatedNetwork({ seed: 7 });
+        const nodeIds = names('n', 30);
+        network.random(nodeIds, 3);
+
+        const received = new Map();
+        nodeIds.forEach((nodeId) => network.mesh(nodeId).subscribe('patterns', () => {
+            received.set(nodeId, (received.get(nodeId) || 0) + 1);
+        }));
+
+        network.mesh('n0').publish('patterns', { pattern: 'p-1' }, { ttl: 16 });
+        await network.settle();
+
+        assert.equal(received.has('n0'), false);
+        nodeIds.slice(1).forEach((nodeId) => assert.equal(received.get(nodeId), 1, nodeId));
+        assert.ok(nodeIds.some((nodeId) => network.mesh(nodeId).stats.duplicates > 0));
+        network.close();
+    });
+
+    it('stops gossip once its TTL runs out', async () => {
+        const network = new SimulatedNetwork();
+        const nodeIds = names('t', 8);
+        network.line(nodeIds);
+
+        const reached = [];
+        nodeIds.forEach((nodeId) => network.mesh(nodeId).subscribe('updates', () => reached.push(nodeId)));
+
+        network.mesh('t0').publish('updates', {}, { ttl: 3 });
+        await network.settle();
+
+        assert.deepEqual(reached.sort(), ['t1', 't2', 't3']);
+        assert.equal(network.mesh('t3').stats.expired, 1);
+        network.close();
+    });
+
+    it('floods the first direct message and follows the learned route after that', async () => {
+        const network = new SimulatedNetwork();
+        const nodeIds = names('l', 8);
+        network.line(nodeIds);
+
+        const paths = [];
+        const replies = [];
+        network.mesh('l7').onDirectMessage((data, received) => paths.push(received.path));
+        network.mesh('l0').onDirectMessage((data) => replies.push(data));
+
+        network.mesh('l0').send('l7', 'hello');
+        await network.settle();
+        network.mesh('l7').send('l0', 'reply');
+        await network.settle();
+
+        const before = network.transmissions;
+        network.mesh('l0').send('l7', 'again');
+        await network.settle();
+
+        assert.deepEqual(paths[0], nodeIds.slice(0, 7));
+        assert.deepEqual(replies, ['reply']);
+        assert.equal(network.transmissions - before, 7);
+        assert.equal(network.mesh('l0').routes.get('l7').via, 'l1');
+        assert.equal(network.mesh('l0').routes.get('l7').hops, 7);
+        network.close();
+    });
+
+    it('routes around a link that broke', async () => {
+        const network = new SimulatedNetwork();
+        network.ring(names('r', 10));
+
+        let delivered = 0;
+        network.mesh('r5').onDirectMessage(() => delivered++);
+
+        network.mesh('r5').announce();
+        await network.settle();
+        network.mesh('r0').send('r5', 'first');
+        await network.settle();
+
+        const via = network.mesh('r0').routes.get('r5').via;
+        network.unlink('r0', via);
+        assert.equal(network.mesh('r0').routes.has('r5'), false);
+
+        network.mesh('r0').send('r5', 'second');
+        await network.settle();
+
+        assert.equal(delivered, 2);
+        network.close();
+    });
+
+    it('keeps to the fanout when spreading gossip', async () => {
+        const network = new SimulatedNetwork({ mesh: { fanout: 2 } });
+        ['b', 'c', 'd', 'e'].forEach((nodeId) => network.link('a', nodeId));
+
+        network.mesh('a').publish('updates', {});
+        await network.settle();
+
+        assert.equal(network.transmissions, 2);
+        network.close();
+    });
+
+    it('drops a message it has already seen', () => {
+        const network = new SimulatedNetwork();
+        network.link('a', 'b');
+        let delivered = 0;
+        network.mesh('b').subscribe('updates', () => delivered++);
+
+        network.mesh('b').receive('a', envelope());
+        network.mesh('b').receive('a', envelope());
+
+        assert.equal(delivered, 1);
+        assert.equal(network.mesh('b').stats.duplicates, 1);
+        network.close();
+    });
+
+    it('rejects envelopes whose path does not match how they arrived', () => {
+        const network = new SimulatedNetwork();
+        network.line(['a', 'b', 'c']);
+        const mesh = network.mesh('b');
+        let delivered = 0;
+        mesh.subscribe('updates', () => delivered++);
+
+        // Last hop isn't the peer it came from
+        mesh.receive('a', envelope({ id: 'm-1', path: ['a', 'c'] }));
+        // This node is already on the path
+        mesh.receive('a', envelope({ id: 'm-2', path: ['a', 'b', 'a'] }));
+        // Path doesn't start at the origin
+        mesh.receive('a', envelope({ id: 'm-3', origin: 'x' }));
+        // TTL out of range
+        mesh.receive('a', envelope({ id: 'm-4', ttl: 17 }));
+        // Direct message without a recipient
+        mesh.receive('a', envelope({ id: 'm-5', kind: 'direct', topic: null }));
+
+        assert.equal(delivered, 0);
+        assert.equal(mesh.stats.rejected, 5);
+        network.close();
+    });
+
+    it('ignores data channel messages that are not mesh envelopes', () => {
+        const network = new SimulatedNetwork();
+        network.link('a', 'b');
+        const mesh = network.mesh('b');
+
+        assert.equal(mesh.handleMessage('a', JSON.stringify({ type: 'chat', text: 'hi' })), false);
+        assert.equal(mesh.handleMessage('a', '{"type":"mesh"'), false);
+        assert.equal(mesh.handleMessage('a', JSON.stringify(envelope())), true);
+        network.close();
+    });
+
+    it('clamps the TTL it sends with', () => {
+        const network = new SimulatedNetwork();
+        const mesh = network.addNode('a').mesh;
+
+        assert.equal(mesh.createEnvelope({}, { ttl: 100 }).ttl, 16);
+        assert.equal(mesh.createEnvelope({}, { ttl: 0.5 }).ttl, 1);
+        assert.equal(mesh.createEnvelope({}, {}).ttl, 8);
+        network.close();
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * MeshcoreOnion over the simulated mesh, and against stand-in site relays that
+ * open layers the way OnionCrypto does (mesh-sim/onion.js)
+ *
+ *   node --test tests/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MeshcoreIdentity = require('../assets/js/meshcore-identity');
+const MeshcoreOnion = require('../assets/js/meshcore-onion');
+const { createNetwork, createSites, settle } = require('../mesh-sim/onion');
+
+const TARGET = 'https://api.example.com/v1/chat';
+
+function close({ network, nodes }) {
+    network.close();
+    nodes.forEach((node) => node.onion.close());
+}
+
+async function descriptorFor(identity, nodeId) {
+    const descriptor = {
+        nodeId: nodeId,
+        publicKey: identity.publicKey,
+        relayKey: identity.agreementKey,
+        relay: true,
+        expires: Date.now() + 60000
+    };
+    descriptor.signature = await identity.sign(JSON.stringify(['meshcore-relay', 1, descriptor.nodeId,
+        descriptor.relayKey, descriptor.relay, descriptor.expires]));
+    return descriptor;
+}
+
+// request() from a lone browser node through `sites`
+async function requestThrough(sites, fetch) {
+    const mesh = await createNetwork(1);
+    const onion = new MeshcoreOnion(mesh.nodes[0].peer, mesh.nodes[0].mesh, { announceInterval: 0, fetch });
+
+    try {
+        return await onion.request(TARGET, { method: 'POST' }, { relays: Array.from(sites.values()) });
+    } finally {
+        onion.close();
+        close(mesh);
+    }
+}
+
+describe('MeshcoreOnion', () => {
+    describe('circuits', () => {
+        it('carries a message through three relays, each taking off one layer', async () => {
+            const mesh = await createNetwork(12);
+            const { network, nodes, wire } = mesh;
+            const sender = nodes[0];
+            const circuit = sender.onion.getCircuit().hops.map((hop) => hop.nodeId);
+            const destination = nodes.find((node) => node !== sender && circuit.indexOf(node.peer.nodeId) === -1);
+            const received = [];
+            destination.onion.onMessage((data) => received.push(data));
+
+            await sender.onion.send(destination.peer.nodeId, { text: 'meet at the usual place' });
+            await settle(network);
+
+            assert.equal(circuit.length, 3);
+            assert.deepEqual(received, [{ text: 'meet at the usual place' }]);
+            nodes.forEach((node) => {
+                assert.equal(node.onion.stats.relayed, circuit.indexOf(node.peer.nodeId) === -1 ? 0 : 1);
+            });
+            assert.ok(wire.length > 0);
+            assert.ok(wire.every((message) => message.indexOf('meet at the usual place') === -1));
+            close(mesh);
+        });
+
+        it('rebuilds the circuit without a relay that went away', async () => {
+            const mesh = await createNetwork(12);
+            const { network, nodes } = mesh;
+            const sender = nodes[0];
+            const circuit = sender.onion.getCircuit().hops.map((hop) => hop.nodeId);
+            const destination = nodes.find((node) => node !== sender && circuit.indexOf(node.peer.nodeId) === -1);
+            let received = 0;
+            destination.onion.onMessage(() => received++);
+
+            // The first hop is a peer the sender is linked to
+            assert.ok(sender.peer.links.has(circuit[0]));
+            network.unlink(sender.peer.nodeId, circuit[0]);
+
+            await sender.onion.send(destination.peer.nodeId, 'after the loss');
+            await settle(network);
+
+            assert.equal(received, 1);
+            assert.equal(sender.onion.stats.rebuilt, 1);
+            assert.ok(sender.onion.circuit.hops.every((hop) => hop.nodeId !== circuit[0]));
+            close(mesh);
+        });
+    });
+
+    describe('relay descriptors', () => {
+        it('accepts a descriptor signed by the key its node ID comes from', async () => {
+            const mesh = await createNetwork(1);
+            const relay = await MeshcoreIdentity.load({ persist: false });
+
+            assert.equal(await mesh.nodes[0].onion.addDescriptor(await descriptorFor(relay, relay.nodeId)), true);
+            assert.ok(mesh.nodes[0].onion.directory.has(relay.nodeId));
+            close(mesh);
+        });
+
+        it('ignores a descriptor whose node ID is not its key', async () => {
+            const mesh = await createNetwork(1);
+            const forger = await MeshcoreIdentity.load({ persist: false });
+            const forged = 'f'.repeat(64);
+
+            assert.equal(await mesh.nodes[0].onion.addDescriptor(await descriptorFor(forger, forged)), false);
+            assert.equal(mesh.nodes[0].onion.directory.has(forged), false);
+            close(mesh);
+        });
+
+        it('ignores a descriptor changed after it was signed', async () => {
+            const mesh = await createNetwork(1);
+            const relay = await MeshcoreIdentity.load({ persist: false });
+            const descriptor = await descriptorFor(relay, relay.nodeId);
+            descriptor.expires += 3600000;
+
+            assert.equal(await mesh.nodes[0].onion.addDescriptor(descriptor), false);
+            close(mesh);
+        });
+    });
+
+    describe('site relays', () => {
+        it('has each site open one layer and the exit make the request', async () => {
+            const { sites, log, fetch } = createSites(3);
+            const result = await requestThrough(sites, fetch);
+
+            assert.deepEqual(result, { status_code: 200, headers: {}, body: `fetched ${TARGET} with POST` });
+            assert.equal(log.length, 3);
+            assert.equal(new Set(log.map((entry) => entry.site)).size, 3);
+        });
+
+        it('keeps the URL and the route from every site', async () => {
+            const { sites, log, fetch } = createSites(3);
+            await requestThrough(sites, fetch);
+
+            log.forEach((entry) => {
+                assert.equal(entry.sawUrl, false);
+                assert.equal(entry.sawRoute, false);
+            });
+        });
+
+        it('seals the response on its way back', async () => {
+            const { sites, responses, fetch } = createSites(3);
+            await requestThrough(sites, fetch);
+
+            assert.equal(responses.length, 1);
+            assert.equal(responses[0].indexOf('fetched'), -1);
+        });
+
+        it('reports an exit that could not make the request', async () => {
+            const { sites, fetch } = createSites(3, () => ({ error: 'Host not allowed' }));
+
+            await assert.rejects(requestThrough(sites, fetch), /Exit relay request failed: Host not allowed/);
+        });
+
+        it('reports a relay that refused the packet', async () => {
+            const { sites } = createSites(3);
+            const refuse = async () => ({ ok: false, status: 400, json: async () => ({ success: false, error: 'Invalid onion packet' }) });
+
+            await assert.rejects(requestThrough(sites, refuse), /Relay request failed: Invalid onion packet/);
+        });
+
+        it('needs at least one site relay', async () => {
+            await assert.rejects(requestThrough(new Map(), null), /No site relays available/);
+        });
+    });
+});
@@ -0,0 +1,189 @@
+/**
+ * MeshcoreP2P clients signaling each other through the stub in signaling-stub/,
+ * and the stub's mailbox checks, which follow the plugin's
+ *
+ *   node --test tests/
+ */
+
+const { after, afterEach, before, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { server, API_PREFIX } = require('../signaling-stub');
+const { RTCPeerConnection } = require('../signaling-stub/loopback-rtc');
+const MeshcoreIdentity = require('../assets/js/meshcore-identity');
+const MeshcoreP2P = require('../assets/js/meshcore-p2p');
+
+let apiUrl;
+const clients = [];
+
+function waitFor(check, ms) {
+    return new Promise((resolve) => {
+        const started = Date.now();
+        const timer = setInterval(() => {
+            if (check() || Date.now() - started > ms) {
+                clearInterval(timer);
+                resolve(check());
+            }
+        }, 20);
+    });
+}
+
+function client(options) {
+    const p2p = new MeshcoreP2P(Object.assign({
+        apiUrl,
+        signaling: 'poll',
+        discovery: false,
+        connectTimeout: 500,
+        RTCPeerConnection
+    }, options));
+    clients.push(p2p);
+    return p2p;
+}
+
+function post(type, body) {
+    return fetch(`${apiUrl}/signal/${type}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    }).then((response) => response.json());
+}
+
+function poll(query) {
+    return fetch(`${apiUrl}/signal/poll?${new URLSearchParams(query)}`);
+}
+
+before(async () => {
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    apiUrl = `http://127.0.0.1:${server.address().port}${API_PREFIX}`;
+});
+
+afterEach(() => {
+    clients.splice(0).forEach((p2p) => p2p.close());
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+describe('signaling stub', () => {
+    it('hands a node the signals after its cursor, in the order they came', async () => {
+        const identity = await MeshcoreIdentity.load({ persist: false });
+        const to = identity.nodeId;
+        const first = await post('offer', { from: 'a', to, session: 's1', sdp: { type: 'offer', sdp: 'v=0' } });
+        await post('ice', { from: 'a', to, session: 's1', candidate: { candidate: 'c1' } });
+
+        const response = await poll(Object.assign(await identity.proveMailbox(), { since: 0 }));
+        const data = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(data.signals.map((signal) => signal.type), ['offer', 'ice']);
+
+        const rest = await (await poll(Object.assign(await identity.proveMailbox(), { since: first.id }))).json();
+        assert.deepEqual(rest.signals.map((signal) => signal.type), ['ice']);
+        assert.equal(rest.cursor, data.cursor);
+    });
+
+    it('refuses a read without a proof', async () => {
+        const identity = await MeshcoreIdentity.load({ persist: false });
+
+        assert.equal((await poll({ node: identity.nodeId })).status, 403);
+    });
+
+    it('refuses a proof for a node ID the key does not hash to', async () => {
+        const owner = await MeshcoreIdentity.load({ persist: false });
+        const other = await MeshcoreIdentity.load({ persist: false });
+        const forged = new MeshcoreIdentity(other.keyPair, other.publicKey, owner.nodeId);
+
+        assert.equal((await poll(await forged.proveMailbox())).status, 403);
+    });
+
+    it('refuses a proof made too long ago', async () => {
+        const identity = await MeshcoreIdentity.load({ persist: false });
+        const time = Math.floor(Date.now() / 1000) - 600;
+        const proof = await identity.sign(JSON.stringify(['meshcore-signals', 1, identity.nodeId, time]));
+
+        assert.equal((await poll({ node: identity.nodeId, key: identity.publicKey, time, proof })).status, 403);
+    });
+
+    it('refuses a WebSocket without a proof', async () => {
+        const { port } = server.address();
+        const status = await new Promise((resolve, reject) => {
+            http.request({
+                port,
+                host: '127.0.0.1',
+                path: '/?node=' + 'f'.repeat(64),
+                headers: {
+                    Connection: 'Upgrade',
+                    Upgrade: 'websocket',
+                    'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==',
+                    'Sec-WebSocket-Version': '13'
+                }
+            })
+                .on('response', (response) => {
+                    response.resume();
+                    resolve(response.statusCode);
+                })
+                .on('upgrade', () => resolve(101))
+                .on('error', reject)
+                .end();
+        });
+
+        assert.equal(status, 403);
+    });
+});
+
+describe('MeshcoreP2P', () => {
+    it('connects once when both sides dial at the same moment', async () => {
+        const received = [];
+        const alice = client({ onMessage: (peerId, data) => received.push(`to alice: ${data.text}`) });
+        const bob = client({ onMessage: (peerId, data) => received.push(`to bob: ${data.text}`) });
+        await Promise.all([alice.ready, bob.ready]);
+
+        alice.connectToPeer(bob.nodeId, null);
+        bob.connectToPeer(alice.nodeId, null);
+
+        assert.ok(await waitFor(() => alice.getPeerCount() === 1 && bob.getPeerCount() === 1, 5000));
+        alice.sendToPeer(bob.nodeId, { text: 'hello bob' });
+        bob.sendToPeer(alice.nodeId, { text: 'hello alice' });
+
+        assert.ok(await waitFor(() => received.length === 2, 2000));
+        assert.deepEqual(received.sort(), ['to alice: hello alice', 'to bob: hello bob']);
+        assert.equal(alice.getPeerIdentity(bob.nodeId).publicKey, bob.identity.publicKey);
+        assert.equal(bob.getPeerIdentity(alice.nodeId).publicKey, alice.identity.publicKey);
+    });
+
+    it('gives up on a dial nobody answers', async () => {
+        const alice = client();
+        await alice.ready;
+
+        alice.connectToPeer('carol', null);
+
+        assert.ok(alice.peers.has('carol'));
+        assert.ok(await waitFor(() => !alice.peers.has('carol'), 2000));
+    });
+});
+
+describe('hellos', () => {
+    it('reject a node ID that is not the key it came with', async () => {
+        const alice = await MeshcoreIdentity.load({ persist: false });
+        const genuine = await MeshcoreIdentity.load({ persist: false });
+        const claimed = 'f'.repeat(64);
+        const mallory = new MeshcoreIdentity(genuine.keyPair, genuine.publicKey, claimed);
+
+        const handshake = await alice.createHandshake(claimed, 'session-1');
+        const hello = (await mallory.createHandshake(alice.nodeId, 'session-1')).hello;
+
+        await assert.rejects(alice.completeHandshake(handshake, hello), /Node ID does not match its public key/);
+    });
+
+    it('reject a hello signed for another session', async () => {
+        const alice = await MeshcoreIdentity.load({ persist: false });
+        const bob = await MeshcoreIdentity.load({ persist: false });
+
+        const handshake = await alice.createHandshake(bob.nodeId, 'session-2');
+        const hello = (await bob.createHandshake(alice.nodeId, 'session-1')).hello;
+
+        await assert.rejects(alice.completeHandshake(handshake, hello), /Hello signature does not verify/);
+    });
+});
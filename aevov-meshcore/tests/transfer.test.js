@@ -0,0 +1,279 @@
+/**
+ * MeshcoreTransfer between in-memory peers that pass binary frames as they are,
+ * with hooks to corrupt, hold back or drop what crosses a link
+ *
+ *   node --test tests/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const MeshcoreTransfer = require('../assets/js/meshcore-transfer');
+
+const CHUNK_SIZE = 1024;
+// Frames are [type][header length][header JSON][payload]
+const FRAME_HEADER = 5;
+
+// The parts of MeshcoreP2P that MeshcoreTransfer uses
+class Peer {
+    constructor(nodeId) {
+        this.nodeId = nodeId;
+        this.links = new Map();
+        this.peers = new Map();
+        this.messageHandlers = [];
+        this.disconnectHandlers = [];
+        // Called with (to, data) for everything sent; returns what to deliver, or null to drop it
+        this.outgoing = (to, data) => data;
+        this.sent = [];
+    }
+
+    getConnectedPeers() {
+        return Array.from(this.links.keys());
+    }
+
+    sendToPeer(peerId, data) {
+        const other = this.links.get(peerId);
+        if (!other) {
+            return false;
+        }
+
+        // Binary goes as it is; anything else that isn't a string as JSON, as MeshcoreP2P sends it
+        let message = typeof data === 'string' ? data : JSON.stringify(data);
+        if (ArrayBuffer.isView(data)) {
+            message = data.slice();
+        }
+        this.sent.push({ to: peerId, message });
+        const delivered = this.outgoing(peerId, message);
+        if (delivered !== null) {
+            setImmediate(() => other.receive(this.nodeId, delivered));
+        }
+        return true;
+    }
+
+    addMessageHandler(handler) {
+        this.messageHandlers.push(handler);
+    }
+
+    addDisconnectHandler(handler) {
+        this.disconnectHandlers.push(handler);
+    }
+
+    log() {}
+
+    receive(peerId, message) {
+        if (this.links.has(peerId)) {
+            this.messageHandlers.some((handler) => handler(peerId, message));
+        }
+    }
+
+    // Chunk frames this peer has sent, by index
+    chunksSent() {
+        return this.sent.filter(({ message }) => typeof message !== 'string').map(({ message }) => chunkIndex(message));
+    }
+
+    // Control messages this peer has sent with the given op
+    messagesSent(op) {
+        return this.sent
+            .filter(({ message }) => typeof message === 'string')
+            .map(({ message }) => JSON.parse(message))
+            .filter((message) => message.op === op);
+    }
+}
+
+function node(nodeId, config) {
+    const peer = new Peer(nodeId);
+    return { peer, transfer: new MeshcoreTransfer(peer, Object.assign({ chunkSize: CHUNK_SIZE, fallback: null }, config)) };
+}
+
+function link(a, b) {
+    [[a, b], [b, a]].forEach(([from, to]) => {
+        from.peer.links.set(to.peer.nodeId, to.peer);
+        from.peer.peers.set(to.peer.nodeId, { dataChannel: { readyState: 'open', bufferedAmount: 0 } });
+    });
+}
+
+function unlink(a, b) {
+    [[a, b], [b, a]].forEach(([from, to]) => {
+        from.peer.links.delete(to.peer.nodeId);
+        from.peer.peers.delete(to.peer.nodeId);
+        from.peer.disconnectHandlers.forEach((handler) => handler(to.peer.nodeId));
+    });
+}
+
+// Stops a's chunks from chunk `from` on, and cuts the link once b has acknowledged the one before
+function cutAt(a, b, from) {
+    a.peer.outgoing = (to, data) => (typeof data !== 'string' && chunkIndex(data) >= from ? null : data);
+    b.peer.outgoing = (to, data) => {
+        const message = JSON.parse(data);
+        if (to === a.peer.nodeId && message.op === 'ack' && message.index === from - 1) {
+            setImmediate(() => unlink(a, b));
+        }
+        return data;
+    };
+}
+
+function chunkIndex(frame) {
+    const headerLength = new DataView(frame.buffer, frame.byteOffset).getUint32(1);
+    return JSON.parse(Buffer.from(frame.subarray(FRAME_HEADER, FRAME_HEADER + headerLength)).toString()).index;
+}
+
+function content(size) {
+    return new Uint8Array(crypto.randomBytes(size));
+}
+
+function sha256(bytes) {
+    return crypto.createHash('sha256').update(bytes).digest('hex');
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('MeshcoreTransfer', () => {
+    it('sends content in hashed chunks and serves it on once fetched', async () => {
+        const server = node('server');
+        const client = node('client');
+        link(server, client);
+        const bytes = content(CHUNK_SIZE * 6 + 100);
+        const progress = [];
+
+        const manifest = await server.transfer.share(bytes);
+        const fetched = await client.transfer.fetch(manifest.contentId, { onProgress: (p) => progress.push(p.received) });
+
+        assert.equal(manifest.contentId, sha256(bytes));
+        assert.equal(manifest.chunkHashes.length, 7);
+        assert.deepEqual(manifest.chunkHashes[6], sha256(bytes.subarray(CHUNK_SIZE * 6)));
+        assert.deepEqual(fetched, bytes);
+        assert.deepEqual(server.peer.chunksSent(), [0, 1, 2, 3, 4, 5, 6]);
+        assert.deepEqual(progress, [1, 2, 3, 4, 5, 6, 7]);
+        assert.equal(client.transfer.has(manifest.contentId), true);
+    });
+
+    it('refuses a corrupted chunk and keeps what arrived before it', async () => {
+        const server = node('server');
+        const client = node('client');
+        link(server, client);
+        const bytes = content(CHUNK_SIZE * 5);
+        const manifest = await server.transfer.share(bytes);
+
+        server.peer.outgoing = (to, data) => {
+            if (typeof data !== 'string' && chunkIndex(data) === 2) {
+                data[data.length - 1] = 255 - data[data.length - 1];
+            }
+            return data;
+        };
+
+        await assert.rejects(
+            client.transfer.fetch(manifest.contentId),
+            (error) => error instanceof MeshcoreTransfer.TransferError && /chunk 2 failed its integrity check/.test(error.message)
+        );
+        assert.equal(client.transfer.getProgress(manifest.contentId).received, 2);
+        assert.equal(client.transfer.has(manifest.contentId), false);
+    });
+
+    it('resumes an interrupted download from the last acknowledged chunk', async () => {
+        const server = node('server');
+        const client = node('client');
+        link(server, client);
+        const bytes = content(CHUNK_SIZE * 8);
+        const manifest = await server.transfer.share(bytes);
+
+        cutAt(server, client, 3);
+
+        await assert.rejects(client.transfer.fetch(manifest.contentId), (error) => error.resumable === true);
+        assert.equal(client.transfer.getProgress(manifest.contentId).received, 3);
+
+        server.peer.outgoing = (to, data) => data;
+        client.peer.outgoing = (to, data) => data;
+        server.peer.sent = [];
+        link(server, client);
+        const fetched = await client.transfer.fetch(manifest.contentId);
+
+        assert.deepEqual(fetched, bytes);
+        assert.deepEqual(client.peer.messagesSent('request').map((message) => message.from), [0, 3]);
+        assert.deepEqual(server.peer.chunksSent(), [3, 4, 5, 6, 7]);
+    });
+
+    it('keeps at most a window of unacknowledged chunks in flight', async () => {
+        const server = node('server');
+        const client = node('client');
+        link(server, client);
+        const bytes = content(CHUNK_SIZE * 40);
+        const manifest = await server.transfer.share(bytes);
+        const held = [];
+
+        client.peer.outgoing = (to, data) => {
+            if (JSON.parse(data).op === 'ack') {
+                held.push(data);
+                return null;
+            }
+            return data;
+        };
+
+        const download = client.transfer.fetch(manifest.contentId);
+        await wait(50);
+
+        assert.equal(server.peer.chunksSent().length, 16);
+
+        client.peer.outgoing = (to, data) => data;
+        held.forEach((ack) => server.peer.receive('client', ack));
+
+        assert.deepEqual(await download, bytes);
+        assert.equal(server.peer.chunksSent().length, 40);
+    });
+
+    it('finishes a download from another peer when the first goes away', async () => {
+        const first = node('first');
+        const second = node('second');
+        const client = node('client');
+        link(first, client);
+        link(second, client);
+        const bytes = content(CHUNK_SIZE * 6);
+        const manifest = await first.transfer.share(bytes);
+        await second.transfer.share(bytes);
+
+        cutAt(first, client, 2);
+
+        const fetched = await client.transfer.fetch(manifest.contentId, { peers: ['first', 'second'] });
+
+        assert.deepEqual(fetched, bytes);
+        assert.deepEqual(second.peer.chunksSent(), [2, 3, 4, 5]);
+    });
+
+    it('refuses content that does not match the hash it is fetched by', async () => {
+        const server = node('server');
+        const client = node('client');
+        link(server, client);
+        const wanted = content(CHUNK_SIZE);
+
+        await server.transfer.share(content(CHUNK_SIZE), sha256(wanted));
+
+        await assert.rejects(client.transfer.fetch(sha256(wanted)), /peer has different content under this ID/);
+        assert.deepEqual(server.peer.chunksSent(), []);
+    });
+
+    it('only serves on named content that was fetched with a hash', async () => {
+        const server = node('server');
+        const client = node('client');
+        link(server, client);
+        const bytes = content(CHUNK_SIZE * 2);
+        const manifest = await server.transfer.share(bytes, 'pattern-42');
+
+        assert.deepEqual(await client.transfer.fetch('pattern-42'), bytes);
+        assert.equal(client.transfer.has('pattern-42'), false);
+
+        assert.deepEqual(await client.transfer.fetch('pattern-42', { hash: manifest.hash }), bytes);
+        assert.equal(client.transfer.has('pattern-42'), true);
+    });
+
+    it('refuses content larger than the limit before downloading any of it', async () => {
+        const server = node('server');
+        const client = node('client', { maxSize: CHUNK_SIZE * 2 });
+        link(server, client);
+        const manifest = await server.transfer.share(content(CHUNK_SIZE * 3));
+
+        await assert.rejects(client.transfer.fetch(manifest.contentId), /peer offered 3072 bytes, more than the 2048 allowed/);
+        assert.deepEqual(client.peer.messagesSent('request'), []);
+
+        server.transfer.shared.get(manifest.contentId).manifest.size = Number.MAX_VALUE;
+        await assert.rejects(client.transfer.fetch(manifest.contentId), /peer sent a malformed manifest/);
+    });
+});
@@ -48,6 +48,8 @@ spl_autoload_register(function ($class) {
  */
 final class WorkflowEngine {
 
+    private const DB_VERSION = 7;
+
     private static ?WorkflowEngine $instance = null;
     private ?API\GatewayController $gateway = null;
     private ?Admin\AdminController $admin = null;
@@ -72,6 +74,8 @@ final class WorkflowEngine {
     }
 
     public function init(): void {
+        $this->maybe_upgrade();
+
         // Initialize API Gateway
         $this->gateway = new API\GatewayController();
 
@@ -136,6 +140,7 @@ final class WorkflowEngine {
     }
 
     public function deactivate(): void {
+        API\TriggerManager::unschedule();
         flush_rewrite_rules();
     }
 
@@ -153,6 +158,7 @@ final class WorkflowEngine {
             workflow_data LONGTEXT NOT NULL,
             user_id BIGINT UNSIGNED NOT NULL,
             is_template TINYINT(1) DEFAULT 0,
+            category VARCHAR(100) DEFAULT NULL,
             is_published TINYINT(1) DEFAULT 0,
             version INT DEFAULT 1,
             created_at DATETIME NOT NULL,
@@ -163,14 +169,38 @@ final class WorkflowEngine {
             KEY updated_at (updated_at)
         ) {$charset};";
 
+        // Workflow revisions table, one snapshot per saved version
+        $sql[] = "CREATE TABLE IF NOT EXISTS {$wpdb->prefix}aevov_workflow_revisions (
+            id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+            workflow_id VARCHAR(36) NOT NULL,
+            version INT NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            workflow_data LONGTEXT NOT NULL,
+            user_id BIGINT UNSIGNED NOT NULL,
+            restored_from INT DEFAULT NULL,
+            created_at DATETIME NOT NULL,
+            PRIMARY KEY (id),
+            UNIQUE KEY workflow_version (workflow_id, version)
+        ) {$charset};";
+
         // Workflow executions table
         $sql[] = "CREATE TABLE IF NOT EXISTS {$wpdb->prefix}aevov_workflow_executions (
             id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
             workflow_id VARCHAR(36) NOT NULL,
+            workflow_version INT DEFAULT NULL,
+            workflow_data LONGTEXT,
             user_id BIGINT UNSIGNED NOT NULL,
             status ENUM('pending', 'running', 'completed', 'failed', 'cancelled') DEFAULT 'pending',
             inputs LONGTEXT,
             outputs LONGTEXT,
+            node_outputs LONGTEXT,
+            error TEXT,
+            failed_node VARCHAR(255) DEFAULT NULL,
+            execution_time FLOAT DEFAULT NULL,
+            replay_of BIGINT UNSIGNED DEFAULT NULL,
+            debug_command TEXT DEFAULT NULL,
+            trigger_node VARCHAR(255) DEFAULT NULL,
+            trigger_source VARCHAR(20) DEFAULT NULL,
             execution_log LONGTEXT,
             started_at DATETIME,
             completed_at DATETIME,
@@ -199,10 +229,88 @@ final class WorkflowEngine {
             KEY is_active (is_active)
         ) {$charset};";
 
+        // Credentials nodes authenticate with; the secret column holds ciphertext only
+        $sql[] = "CREATE TABLE IF NOT EXISTS {$wpdb->prefix}aevov_workflow_credentials (
+            id VARCHAR(36) NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            type VARCHAR(20) NOT NULL,
+            auth_key VARCHAR(255) DEFAULT NULL,
+            secret TEXT NOT NULL,
+            user_id BIGINT UNSIGNED NOT NULL,
+            shared TINYINT(1) DEFAULT 0,
+            created_at DATETIME NOT NULL,
+            updated_at DATETIME NOT NULL,
+            PRIMARY KEY (id),
+            KEY user_id (user_id)
+        ) {$charset};";
+
+        // Trigger nodes of saved workflows, kept in step with the graph on every save
+        $sql[] = "CREATE TABLE IF NOT EXISTS {$wpdb->prefix}aevov_workflow_triggers (
+            id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+            workflow_id VARCHAR(36) NOT NULL,
+            node_id VARCHAR(255) NOT NULL,
+            type VARCHAR(20) NOT NULL,
+            config TEXT,
+            token VARCHAR(64) DEFAULT NULL,
+            secret VARCHAR(64) DEFAULT NULL,
+            is_active TINYINT(1) DEFAULT 1,
+            next_run DATETIME DEFAULT NULL,
+            last_fired DATETIME DEFAULT NULL,
+            user_id BIGINT UNSIGNED NOT NULL,
+            created_at DATETIME NOT NULL,
+            PRIMARY KEY (id),
+            UNIQUE KEY workflow_node (workflow_id, node_id),
+            KEY token (token),
+            KEY next_run (next_run)
+        ) {$charset};";
+
         require_once(ABSPATH . 'wp-admin/includes/upgrade.php');
         foreach ($sql as $query) {
             dbDelta($query);
         }
+        $this->add_missing_columns();
+
+        update_option('aevov_workflow_db_version', self::DB_VERSION);
+    }
+
+    // CREATE TABLE IF NOT EXISTS leaves existing tables alone, so later columns are added here
+    private function add_missing_columns(): void {
+        global $wpdb;
+
+        $columns = [
+            'aevov_workflows' => [
+                'category' => 'VARCHAR(100) DEFAULT NULL AFTER is_template',
+            ],
+            'aevov_workflow_executions' => [
+                'workflow_version' => 'INT DEFAULT NULL AFTER workflow_id',
+                'workflow_data' => 'LONGTEXT AFTER workflow_version',
+                'node_outputs' => 'LONGTEXT AFTER outputs',
+                'error' => 'TEXT AFTER node_outputs',
+                'failed_node' => 'VARCHAR(255) DEFAULT NULL AFTER error',
+                'execution_time' => 'FLOAT DEFAULT NULL AFTER failed_node',
+                'replay_of' => 'BIGINT UNSIGNED DEFAULT NULL AFTER execution_time',
+                'debug_command' => 'TEXT DEFAULT NULL AFTER replay_of',
+                'trigger_node' => 'VARCHAR(255) DEFAULT NULL AFTER debug_command',
+                'trigger_source' => 'VARCHAR(20) DEFAULT NULL AFTER trigger_node',
+            ],
+        ];
+
+        foreach ($columns as $table => $definitions) {
+            $table = $wpdb->prefix . $table;
+            $existing = $wpdb->get_col("SHOW COLUMNS FROM {$table}");
+            foreach ($definitions as $column => $definition) {
+                if (!in_array($column, $existing, true)) {
+                    $wpdb->query("ALTER TABLE {$table} ADD COLUMN {$column} {$definition}");
+                }
+            }
+        }
+    }
+
+    private function maybe_upgrade(): void {
+        // Sites that activated an older release are missing the newer tables
+        if ((int)get_option('aevov_workflow_db_version', 1) < self::DB_VERSION) {
+            $this->create_tables();
+        }
     }
 
     private function set_default_options(): void {
@@ -107,6 +107,9 @@ class AdminController {
             $this->enqueue_dev_assets();
         }
 
+        // Media config fields open the media library
+        wp_enqueue_media();
+
         // Localize script data
         wp_localize_script('aevov-workflow-engine', 'aevovWorkflowEngine', [
             'apiUrl' => rest_url('aevov-workflow/v1'),
@@ -125,6 +128,10 @@ class AdminController {
                 'deleteConfirm' => __('Are you sure you want to delete this workflow?', 'aevov-workflow-engine'),
             ],
         ]);
+
+        // Plugins contributing node types enqueue their scripts here, depending on this handle,
+        // and call window.aevovWorkflowEngine.registerNodeType()
+        do_action('aevov_workflow_engine_enqueue_node_types', 'aevov-workflow-engine');
     }
 
     private function enqueue_dev_assets(): void {
@@ -165,6 +172,12 @@ class AdminController {
             'default' => true,
         ]);
 
+        register_setting('aevov_workflow_settings', 'aevov_workflow_collab_url', [
+            'type' => 'string',
+            'default' => '',
+            'sanitize_callback' => [$this, 'sanitize_collab_url'],
+        ]);
+
         add_settings_section(
             'aevov_workflow_general',
             __('General Settings', 'aevov-workflow-engine'),
@@ -189,6 +202,33 @@ class AdminController {
             'aevov_workflow_general',
             ['name' => 'aevov_workflow_max_nodes', 'min' => 10, 'max' => 500]
         );
+
+        add_settings_field(
+            'aevov_workflow_collab_url',
+            __('Co-editing Relay URL', 'aevov-workflow-engine'),
+            [$this, 'render_url_field'],
+            'aevov_workflow_settings',
+            'aevov_workflow_general',
+            [
+                'name' => 'aevov_workflow_collab_url',
+                'placeholder' => 'wss://relay.example.com',
+                'description' => __('WebSocket relay that lets several people edit a workflow at once (relay/index.js in the plugin). Leave empty to turn co-editing off.', 'aevov-workflow-engine'),
+            ]
+        );
+    }
+
+    public function sanitize_collab_url($value): string {
+        return esc_url_raw(trim((string)$value), ['ws', 'wss']);
+    }
+
+    public function render_url_field(array $args): void {
+        printf(
+            '<input type="url" name="%s" value="%s" placeholder="%s" class="regular-text"><p class="description">%s</p>',
+            esc_attr($args['name']),
+            esc_attr(get_option($args['name'], '')),
+            esc_attr($args['placeholder'] ?? ''),
+            esc_html($args['description'] ?? '')
+        );
     }
 
     public function render_number_field(array $args): void {
@@ -204,9 +244,15 @@ class AdminController {
 
     public function render_workflow_builder(): void {
         $workflow_id = isset($_GET['id']) ? sanitize_text_field($_GET['id']) : null;
+        // "Use Template" on the templates page opens the builder with a copy of the template
+        $template_id = isset($_GET['template']) ? sanitize_text_field($_GET['template']) : null;
         ?>
         <div class="wrap aevov-workflow-wrap">
-            <div id="aevov-workflow-builder" data-workflow-id="<?php echo esc_attr($workflow_id); ?>">
+            <div
+                id="aevov-workflow-builder"
+                data-workflow-id="<?php echo esc_attr($workflow_id); ?>"
+                data-template-id="<?php echo esc_attr($template_id); ?>"
+            >
                 <div class="aevov-loading">
                     <div class="aevov-loading-spinner"></div>
                     <p><?php esc_html_e('Loading Workflow Engine...', 'aevov-workflow-engine'); ?></p>
@@ -360,7 +406,7 @@ class AdminController {
         $table = $wpdb->prefix . 'aevov_workflows';
 
         $templates = $wpdb->get_results(
-            "SELECT id, name, description FROM {$table} WHERE is_template = 1 ORDER BY name ASC"
+            "SELECT id, name, description, category FROM {$table} WHERE is_template = 1 ORDER BY name ASC"
         );
         ?>
         <div class="wrap">
@@ -373,6 +419,9 @@ class AdminController {
                     <?php foreach ($templates as $template): ?>
                         <div class="aevov-template-card">
                             <h3><?php echo esc_html($template->name); ?></h3>
+                            <?php if ($template->category): ?>
+                                <p class="description"><?php echo esc_html($template->category); ?></p>
+                            <?php endif; ?>
                             <p><?php echo esc_html($template->description); ?></p>
                             <a href="<?php echo esc_url(admin_url('admin.php?page=aevov-workflow-engine&template=' . $template->id)); ?>" class="button">
                                 <?php esc_html_e('Use Template', 'aevov-workflow-engine'); ?>
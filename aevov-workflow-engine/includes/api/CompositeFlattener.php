@@ -0,0 +1,110 @@
+<?php
+
+namespace AevovWorkflowEngine\API;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+// Inlines sub-workflow nodes (type "composite:<id>") using the definitions the builder
+// saves with the graph under "composites", mirroring flattenWorkflow() in
+// src/lib/composite.ts. Inner node ids are prefixed with the path of composite node
+// ids that contain them, so runs report the same ids the builder maps back.
+class CompositeFlattener {
+
+    private const TYPE_PREFIX = 'composite:';
+
+    private array $composites;
+
+    public function __construct(array $composites) {
+        $this->composites = $composites;
+    }
+
+    // Returns the workflow as a plain graph; throws when a definition is missing or contains itself
+    public static function flatten(array $workflow): array {
+        $composites = is_array($workflow['composites'] ?? null) ? $workflow['composites'] : [];
+        $graph = (new self($composites))->flatten_graph($workflow['nodes'] ?? [], $workflow['edges'] ?? [], '', []);
+
+        $flattened = $workflow;
+        unset($flattened['composites']);
+        $flattened['nodes'] = $graph['nodes'];
+        $flattened['edges'] = $graph['edges'];
+        return $flattened;
+    }
+
+    private function flatten_graph(array $nodes, array $edges, string $prefix, array $trail): array {
+        $graph = ['prefix' => $prefix, 'nodes' => [], 'edges' => [], 'expanded' => []];
+
+        foreach ($nodes as $node) {
+            $type = (string)($node['data']['nodeType'] ?? $node['type'] ?? '');
+            if (strpos($type, self::TYPE_PREFIX) !== 0) {
+                $graph['nodes'][] = array_merge($node, ['id' => $prefix . $node['id']]);
+                continue;
+            }
+
+            $definition_id = substr($type, strlen(self::TYPE_PREFIX));
+            $definition = $this->composites[$definition_id] ?? null;
+            if (!is_array($definition)) {
+                $label = $node['data']['label'] ?? $node['id'];
+                throw new \InvalidArgumentException("Sub-workflow \"{$label}\" is not saved with this workflow");
+            }
+            if (in_array($definition_id, $trail, true)) {
+                $name = $definition['name'] ?? $definition_id;
+                throw new \InvalidArgumentException("Sub-workflow \"{$name}\" contains itself");
+            }
+
+            $inner = $this->flatten_graph(
+                $definition['nodes'] ?? [],
+                $definition['edges'] ?? [],
+                $prefix . $node['id'] . '/',
+                array_merge($trail, [$definition_id])
+            );
+            $graph['expanded'][$node['id']] = ['definition' => $definition, 'graph' => $inner];
+            array_push($graph['nodes'], ...$inner['nodes']);
+            array_push($graph['edges'], ...$inner['edges']);
+        }
+
+        foreach ($edges as $edge) {
+            $source = $this->endpoint($graph, $edge['source'], $edge['sourceHandle'] ?? null, 'source');
+            $target = $this->endpoint($graph, $edge['target'], $edge['targetHandle'] ?? null, 'target');
+            // Edges onto ports that no longer exist are dropped, as the builder does
+            if ($source === null || $target === null) {
+                continue;
+            }
+
+            $graph['edges'][] = array_merge($edge, [
+                'id' => $prefix . $edge['id'],
+                'source' => $source['node'],
+                'sourceHandle' => $source['handle'],
+                'target' => $target['node'],
+                'targetHandle' => $target['handle'],
+            ]);
+        }
+
+        return $graph;
+    }
+
+    // Where an edge onto a node lands once composites are inlined
+    private function endpoint(array $graph, string $node_id, ?string $handle_id, string $side): ?array {
+        $inner = $graph['expanded'][$node_id] ?? null;
+        if ($inner === null) {
+            return ['node' => $graph['prefix'] . $node_id, 'handle' => $handle_id];
+        }
+
+        $ports = $inner['definition'][$side === 'target' ? 'inputs' : 'outputs'] ?? [];
+        $port = null;
+        foreach ($ports as $candidate) {
+            if (($candidate['id'] ?? null) === $handle_id) {
+                $port = $candidate;
+                break;
+            }
+        }
+        if ($port === null && !$handle_id && count($ports) === 1) {
+            $port = $ports[0];
+        }
+
+        return $port === null
+            ? null
+            : $this->endpoint($inner['graph'], (string)$port['nodeId'], $port['handleId'] ?? null, $side);
+    }
+}
@@ -0,0 +1,243 @@
+<?php
+
+namespace AevovWorkflowEngine\API;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Secrets that http and capability nodes authenticate with. Workflows only store a
+ * credential's id; the secret is encrypted at rest and never leaves the server.
+ */
+class CredentialVault {
+
+    public const TYPES = ['header', 'bearer', 'basic', 'query'];
+
+    // Secrets written by this version of the vault start with this
+    private const PREFIX = 'v1:';
+
+    private string $table;
+
+    public function __construct() {
+        global $wpdb;
+        $this->table = $wpdb->prefix . 'aevov_workflow_credentials';
+    }
+
+    // Credentials the user may pick: their own, those shared with editors, and all of them for admins
+    public function list_for_user(int $user_id): array {
+        global $wpdb;
+
+        $where = user_can($user_id, 'manage_options')
+            ? ''
+            : $wpdb->prepare('WHERE user_id = %d OR shared = 1', $user_id);
+
+        $rows = $wpdb->get_results(
+            "SELECT id, name, type, auth_key, user_id, shared, created_at, updated_at
+             FROM {$this->table} {$where} ORDER BY name ASC"
+        );
+
+        return array_map(fn($row) => $this->format($row, $user_id), $rows);
+    }
+
+    public function find(string $id): ?object {
+        global $wpdb;
+
+        return $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$this->table} WHERE id = %s",
+            $id
+        ));
+    }
+
+    public function can_use(object $credential, int $user_id): bool {
+        return (int)$credential->user_id === $user_id
+            || (bool)$credential->shared
+            || user_can($user_id, 'manage_options');
+    }
+
+    public function can_manage(object $credential, int $user_id): bool {
+        return (int)$credential->user_id === $user_id || user_can($user_id, 'manage_options');
+    }
+
+    // $fields: name, type, key (header, query parameter or user name), secret, shared
+    public function create(array $fields, int $user_id): array {
+        global $wpdb;
+
+        $error = $this->check($fields, true);
+        if ($error) {
+            throw new \InvalidArgumentException($error);
+        }
+
+        $id = wp_generate_uuid4();
+        $now = current_time('mysql');
+        $wpdb->insert($this->table, [
+            'id' => $id,
+            'name' => sanitize_text_field($fields['name']),
+            'type' => $fields['type'],
+            'auth_key' => $this->auth_key($fields),
+            'secret' => $this->encrypt((string)$fields['secret']),
+            'user_id' => $user_id,
+            'shared' => !empty($fields['shared']) ? 1 : 0,
+            'created_at' => $now,
+            'updated_at' => $now,
+        ]);
+
+        return $this->format($this->find($id), $user_id);
+    }
+
+    // A missing or empty secret keeps the stored one
+    public function update(object $credential, array $fields, int $user_id): array {
+        global $wpdb;
+
+        $merged = [
+            'name' => $fields['name'] ?? $credential->name,
+            'type' => $fields['type'] ?? $credential->type,
+            'key' => $fields['key'] ?? $credential->auth_key,
+            'secret' => $fields['secret'] ?? '',
+        ];
+        $error = $this->check($merged, false);
+        if ($error) {
+            throw new \InvalidArgumentException($error);
+        }
+
+        $data = [
+            'name' => sanitize_text_field($merged['name']),
+            'type' => $merged['type'],
+            'auth_key' => $this->auth_key($merged),
+            'updated_at' => current_time('mysql'),
+        ];
+        if ((string)$merged['secret'] !== '') {
+            $data['secret'] = $this->encrypt((string)$merged['secret']);
+        }
+        if (array_key_exists('shared', $fields)) {
+            $data['shared'] = !empty($fields['shared']) ? 1 : 0;
+        }
+
+        $wpdb->update($this->table, $data, ['id' => $credential->id]);
+
+        return $this->format($this->find($credential->id), $user_id);
+    }
+
+    public function delete(object $credential): bool {
+        global $wpdb;
+
+        return $wpdb->delete($this->table, ['id' => $credential->id]) > 0;
+    }
+
+    /**
+     * The credential with its secret decrypted, for applying to a request.
+     *
+     * @throws \RuntimeException When it is missing, not usable by the user, or can't be decrypted
+     */
+    public function resolve(string $id, int $user_id): array {
+        $credential = $this->find($id);
+        if (!$credential) {
+            throw new \RuntimeException("Credential {$id} does not exist");
+        }
+        if (!$this->can_use($credential, $user_id)) {
+            throw new \RuntimeException("Credential \"{$credential->name}\" is not shared with you");
+        }
+
+        $secret = $this->decrypt($credential->secret);
+        if ($secret === null) {
+            throw new \RuntimeException(
+                "Credential \"{$credential->name}\" can't be decrypted; the site keys may have changed. Enter its secret again."
+            );
+        }
+
+        return [
+            'name' => $credential->name,
+            'type' => $credential->type,
+            'key' => $credential->auth_key,
+            'secret' => $secret,
+        ];
+    }
+
+    // Adds the credential to outgoing request headers, or to the query for query-param credentials
+    public static function apply(array $credential, array $headers, array $query): array {
+        switch ($credential['type']) {
+            case 'header':
+                $headers[$credential['key']] = $credential['secret'];
+                break;
+            case 'bearer':
+                $headers['Authorization'] = 'Bearer ' . $credential['secret'];
+                break;
+            case 'basic':
+                $headers['Authorization'] = 'Basic ' . base64_encode($credential['key'] . ':' . $credential['secret']);
+                break;
+            case 'query':
+                $query[$credential['key']] = $credential['secret'];
+                break;
+        }
+
+        return [$headers, $query];
+    }
+
+    private function check(array $fields, bool $secret_required): ?string {
+        if (trim((string)($fields['name'] ?? '')) === '') {
+            return 'Name is required';
+        }
+        if (!in_array($fields['type'] ?? null, self::TYPES, true)) {
+            return 'Type must be one of ' . implode(', ', self::TYPES);
+        }
+        if ($fields['type'] !== 'bearer' && trim((string)($fields['key'] ?? '')) === '') {
+            return $fields['type'] === 'basic' ? 'User name is required' : 'Header or parameter name is required';
+        }
+        if ($fields['type'] === 'header' && !preg_match('/^[A-Za-z0-9!#$%&\'*+.^_`|~-]+$/', trim($fields['key']))) {
+            return 'Header name contains characters headers can\'t have';
+        }
+        if ($secret_required && (string)($fields['secret'] ?? '') === '') {
+            return 'Secret is required';
+        }
+        return null;
+    }
+
+    private function auth_key(array $fields): ?string {
+        return $fields['type'] === 'bearer' ? null : trim((string)$fields['key']);
+    }
+
+    private function format(object $credential, int $user_id): array {
+        $owner = get_userdata((int)$credential->user_id);
+
+        return [
+            'id' => $credential->id,
+            'name' => $credential->name,
+            'type' => $credential->type,
+            'key' => $credential->auth_key,
+            'shared' => (bool)$credential->shared,
+            'owner' => $owner ? $owner->display_name : null,
+            'can_manage' => $this->can_manage($credential, $user_id),
+            'created_at' => $credential->created_at,
+            'updated_at' => $credential->updated_at,
+        ];
+    }
+
+    private function encrypt(string $secret): string {
+        $nonce = random_bytes(SODIUM_CRYPTO_SECRETBOX_NONCEBYTES);
+        return self::PREFIX . base64_encode($nonce . sodium_crypto_secretbox($secret, $nonce, $this->key()));
+    }
+
+    private function decrypt(string $stored): ?string {
+        if (strpos($stored, self::PREFIX) !== 0) {
+            return null;
+        }
+
+        $raw = base64_decode(substr($stored, strlen(self::PREFIX)), true);
+        if ($raw === false || strlen($raw) <= SODIUM_CRYPTO_SECRETBOX_NONCEBYTES) {
+            return null;
+        }
+
+        $nonce = substr($raw, 0, SODIUM_CRYPTO_SECRETBOX_NONCEBYTES);
+        $secret = sodium_crypto_secretbox_open(substr($raw, SODIUM_CRYPTO_SECRETBOX_NONCEBYTES), $nonce, $this->key());
+        return $secret === false ? null : $secret;
+    }
+
+    // AEVOV_WORKFLOW_CREDENTIALS_KEY in wp-config.php keeps secrets readable across salt rotations
+    private function key(): string {
+        $material = defined('AEVOV_WORKFLOW_CREDENTIALS_KEY')
+            ? AEVOV_WORKFLOW_CREDENTIALS_KEY
+            : wp_salt('secure_auth');
+
+        return hash('sha256', 'aevov-workflow-credentials|' . $material, true);
+    }
+}
@@ -0,0 +1,166 @@
+<?php
+
+namespace AevovWorkflowEngine\API;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Five-field cron expressions (minute hour day-of-month month day-of-week) with lists,
+ * ranges, steps, month and weekday names, and the @hourly style shorthands.
+ * src/lib/cron.ts parses the same syntax in the builder.
+ */
+class CronExpression {
+
+    private const MACROS = [
+        '@yearly' => '0 0 1 1 *',
+        '@annually' => '0 0 1 1 *',
+        '@monthly' => '0 0 1 * *',
+        '@weekly' => '0 0 * * 0',
+        '@daily' => '0 0 * * *',
+        '@midnight' => '0 0 * * *',
+        '@hourly' => '0 * * * *',
+    ];
+
+    private const FIELDS = [
+        ['name' => 'minute', 'min' => 0, 'max' => 59, 'names' => []],
+        ['name' => 'hour', 'min' => 0, 'max' => 23, 'names' => []],
+        ['name' => 'day of month', 'min' => 1, 'max' => 31, 'names' => []],
+        ['name' => 'month', 'min' => 1, 'max' => 12, 'names' => [
+            'jan' => 1, 'feb' => 2, 'mar' => 3, 'apr' => 4, 'may' => 5, 'jun' => 6,
+            'jul' => 7, 'aug' => 8, 'sep' => 9, 'oct' => 10, 'nov' => 11, 'dec' => 12,
+        ]],
+        ['name' => 'day of week', 'min' => 0, 'max' => 7, 'names' => [
+            'sun' => 0, 'mon' => 1, 'tue' => 2, 'wed' => 3, 'thu' => 4, 'fri' => 5, 'sat' => 6,
+        ]],
+    ];
+
+    // Expressions that never match, like 0 0 30 2 *, give up after this many years
+    private const SEARCH_YEARS = 5;
+
+    private array $minutes;
+    private array $hours;
+    private array $days;
+    private array $months;
+    private array $weekdays;
+    private bool $any_day;
+    private bool $any_weekday;
+
+    /**
+     * @throws \InvalidArgumentException When the expression isn't valid
+     */
+    public function __construct(string $expression) {
+        $expression = trim(strtolower($expression));
+        $expression = self::MACROS[$expression] ?? $expression;
+
+        $parts = preg_split('/\s+/', $expression);
+        if (count($parts) !== 5) {
+            throw new \InvalidArgumentException('Expected 5 fields: minute hour day-of-month month day-of-week');
+        }
+
+        [$this->minutes, $this->hours, $this->days, $this->months, $this->weekdays] = array_map(
+            fn($part, $field) => $this->parse_field($part, $field),
+            $parts,
+            self::FIELDS
+        );
+
+        // Sunday can be written as 0 or 7
+        if (isset($this->weekdays[7])) {
+            $this->weekdays[0] = true;
+            unset($this->weekdays[7]);
+        }
+
+        $this->any_day = $parts[2] === '*';
+        $this->any_weekday = $parts[4] === '*';
+    }
+
+    // First matching minute after $after, in $after's timezone
+    public function next(\DateTimeImmutable $after): \DateTimeImmutable {
+        $time = $after->setTime((int)$after->format('G'), (int)$after->format('i'))->modify('+1 minute');
+        $limit = (int)$after->format('Y') + self::SEARCH_YEARS;
+
+        while ((int)$time->format('Y') <= $limit) {
+            if (!isset($this->months[(int)$time->format('n')])) {
+                $time = $time->modify('first day of next month')->setTime(0, 0);
+                continue;
+            }
+            if (!$this->matches_day($time)) {
+                $time = $time->modify('+1 day')->setTime(0, 0);
+                continue;
+            }
+            if (!isset($this->hours[(int)$time->format('G')])) {
+                $time = $time->setTime((int)$time->format('G'), 0)->modify('+1 hour');
+                continue;
+            }
+            if (!isset($this->minutes[(int)$time->format('i')])) {
+                $time = $time->modify('+1 minute');
+                continue;
+            }
+            return $time;
+        }
+
+        throw new \InvalidArgumentException('Expression never matches a date');
+    }
+
+    // Like cron, a day matches either restriction when both day fields are restricted
+    private function matches_day(\DateTimeImmutable $time): bool {
+        $day = isset($this->days[(int)$time->format('j')]);
+        $weekday = isset($this->weekdays[(int)$time->format('w')]);
+
+        if ($this->any_day) {
+            return $weekday;
+        }
+        if ($this->any_weekday) {
+            return $day;
+        }
+        return $day || $weekday;
+    }
+
+    private function parse_field(string $part, array $field): array {
+        $values = [];
+
+        foreach (explode(',', $part) as $item) {
+            if (!preg_match('/^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/', $item, $matches)) {
+                throw new \InvalidArgumentException("Invalid {$field['name']} \"{$item}\"");
+            }
+
+            $step = isset($matches[2]) ? (int)$matches[2] : 1;
+            if ($step < 1) {
+                throw new \InvalidArgumentException("Step in {$field['name']} must be at least 1");
+            }
+
+            if ($matches[1] === '*') {
+                [$from, $to] = [$field['min'], $field['max']];
+            } else {
+                $bounds = explode('-', $matches[1]);
+                $from = $this->parse_value($bounds[0], $field);
+                // A single value with a step, like 5/15, runs to the end of the range
+                $to = isset($bounds[1])
+                    ? $this->parse_value($bounds[1], $field)
+                    : (isset($matches[2]) ? $field['max'] : $from);
+            }
+
+            if ($from > $to) {
+                throw new \InvalidArgumentException("Range in {$field['name']} runs backwards");
+            }
+            for ($value = $from; $value <= $to; $value += $step) {
+                $values[$value] = true;
+            }
+        }
+
+        return $values;
+    }
+
+    private function parse_value(string $value, array $field): int {
+        if (isset($field['names'][$value])) {
+            return $field['names'][$value];
+        }
+        if (!ctype_digit($value) || (int)$value < $field['min'] || (int)$value > $field['max']) {
+            throw new \InvalidArgumentException(
+                "{$field['name']} must be between {$field['min']} and {$field['max']}, not \"{$value}\""
+            );
+        }
+        return (int)$value;
+    }
+}
@@ -0,0 +1,64 @@
+<?php
+
+namespace AevovWorkflowEngine\API;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+// What one pass over a plan produced, as Scope in src/engine/executor.ts. Each loop
+// iteration gets its own scope so iterations can run side by side; nodes outside the
+// loop are looked up in the enclosing scope.
+class ExecutionScope {
+
+    public array $outputs = [];
+    public array $skipped = [];
+    // Nodes that failed without ending the run => 'continue' or 'fallback'
+    public array $failed = [];
+    // Node ids in the order they finished, which merge nodes go by
+    public array $finished = [];
+    public ?ExecutionScope $parent;
+
+    public function __construct(?ExecutionScope $parent = null) {
+        $this->parent = $parent;
+    }
+
+    public function output(string $node_id): ?array {
+        return $this->owner($node_id)?->outputs[$node_id] ?? null;
+    }
+
+    public function has_output(string $node_id): bool {
+        $owner = $this->owner($node_id);
+        return $owner !== null && array_key_exists($node_id, $owner->outputs);
+    }
+
+    public function is_skipped(string $node_id): bool {
+        $owner = $this->owner($node_id);
+        return $owner !== null && isset($owner->skipped[$node_id]);
+    }
+
+    public function failure(string $node_id): ?string {
+        return $this->owner($node_id)?->failed[$node_id] ?? null;
+    }
+
+    // Where a node finished, counting everything from enclosing scopes as earlier
+    public function finished_at(string $node_id): int {
+        $index = array_search($node_id, $this->finished, true);
+        return $index === false ? -1 : $index;
+    }
+
+    // Replaces the output of a node that already finished, in whichever scope it ran
+    public function replace(string $node_id, array $output): void {
+        $owner = $this->owner($node_id);
+        if ($owner !== null) {
+            $owner->outputs[$node_id] = $output;
+        }
+    }
+
+    private function owner(string $node_id): ?ExecutionScope {
+        if (array_key_exists($node_id, $this->outputs) || isset($this->skipped[$node_id])) {
+            return $this;
+        }
+        return $this->parent?->owner($node_id);
+    }
+}
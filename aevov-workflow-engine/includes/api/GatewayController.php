@@ -11,10 +11,14 @@ class GatewayController {
     private const NAMESPACE = 'aevov-workflow/v1';
     private array $capabilities = [];
     private ?WorkflowExecutor $executor = null;
+    private CredentialVault $credentials;
+    private TriggerManager $triggers;
 
     public function __construct() {
         $this->discover_capabilities();
-        $this->executor = new WorkflowExecutor($this->capabilities);
+        $this->credentials = new CredentialVault();
+        $this->executor = new WorkflowExecutor($this->capabilities, $this->credentials);
+        $this->triggers = new TriggerManager([$this, 'run_trigger']);
     }
 
     public function register_routes(): void {
@@ -57,6 +61,25 @@ class GatewayController {
             ],
         ]);
 
+        // Workflow revisions
+        register_rest_route(self::NAMESPACE, '/workflows/(?P<id>[a-zA-Z0-9-]+)/revisions', [
+            'methods' => 'GET',
+            'callback' => [$this, 'list_revisions'],
+            'permission_callback' => [$this, 'check_read_permission'],
+        ]);
+
+        register_rest_route(self::NAMESPACE, '/workflows/(?P<id>[a-zA-Z0-9-]+)/revisions/(?P<version>\d+)', [
+            'methods' => 'GET',
+            'callback' => [$this, 'get_revision'],
+            'permission_callback' => [$this, 'check_read_permission'],
+        ]);
+
+        register_rest_route(self::NAMESPACE, '/workflows/(?P<id>[a-zA-Z0-9-]+)/revisions/(?P<version>\d+)/restore', [
+            'methods' => 'POST',
+            'callback' => [$this, 'restore_revision'],
+            'permission_callback' => [$this, 'check_write_permission'],
+        ]);
+
         // Workflow execution
         register_rest_route(self::NAMESPACE, '/execute', [
             'methods' => 'POST',
@@ -64,12 +87,59 @@ class GatewayController {
             'permission_callback' => [$this, 'check_write_permission'],
         ]);
 
+        // Streams node-level progress as server-sent events
+        register_rest_route(self::NAMESPACE, '/execute/stream', [
+            'methods' => 'POST',
+            'callback' => [$this, 'stream_workflow'],
+            'permission_callback' => [$this, 'check_write_permission'],
+        ]);
+
         register_rest_route(self::NAMESPACE, '/workflows/(?P<id>[a-zA-Z0-9-]+)/execute', [
             'methods' => 'POST',
             'callback' => [$this, 'execute_saved_workflow'],
             'permission_callback' => [$this, 'check_write_permission'],
         ]);
 
+        // Input parameters accepted by /workflows/{id}/execute, as JSON Schema
+        register_rest_route(self::NAMESPACE, '/workflows/(?P<id>[a-zA-Z0-9-]+)/schema', [
+            'methods' => 'GET',
+            'callback' => [$this, 'get_input_schema'],
+            'permission_callback' => [$this, 'check_read_permission'],
+        ]);
+
+        // Trigger status for the builder, and firing a trigger by hand with a sample payload
+        register_rest_route(self::NAMESPACE, '/workflows/(?P<id>[a-zA-Z0-9-]+)/triggers', [
+            'methods' => 'GET',
+            'callback' => [$this, 'list_triggers'],
+            'permission_callback' => [$this, 'check_write_permission'],
+        ]);
+
+        register_rest_route(self::NAMESPACE, '/workflows/(?P<id>[a-zA-Z0-9-]+)/triggers/(?P<node_id>[a-zA-Z0-9_-]+)/fire', [
+            'methods' => 'POST',
+            'callback' => [$this, 'fire_trigger'],
+            'permission_callback' => [$this, 'check_write_permission'],
+        ]);
+
+        register_rest_route(self::NAMESPACE, '/workflows/(?P<id>[a-zA-Z0-9-]+)/triggers/(?P<node_id>[a-zA-Z0-9_-]+)/secret', [
+            'methods' => 'POST',
+            'callback' => [$this, 'rotate_trigger_secret'],
+            'permission_callback' => [$this, 'check_write_permission'],
+        ]);
+
+        // Where the builder joins other editors of the workflow, see relay/index.js
+        register_rest_route(self::NAMESPACE, '/workflows/(?P<id>[a-zA-Z0-9-]+)/collab', [
+            'methods' => 'GET',
+            'callback' => [$this, 'get_collab_session'],
+            'permission_callback' => [$this, 'check_write_permission'],
+        ]);
+
+        // Incoming webhooks authenticate with their signature rather than a login
+        register_rest_route(self::NAMESPACE, '/hooks/(?P<token>[a-f0-9]+)', [
+            'methods' => 'POST',
+            'callback' => [$this->triggers, 'receive_webhook'],
+            'permission_callback' => '__return_true',
+        ]);
+
         // Execution history
         register_rest_route(self::NAMESPACE, '/executions', [
             'methods' => 'GET',
@@ -83,11 +153,58 @@ class GatewayController {
             'permission_callback' => [$this, 'check_read_permission'],
         ]);
 
-        // Templates
+        // Resumes a streamed run paused at a breakpoint
+        register_rest_route(self::NAMESPACE, '/executions/(?P<id>\d+)/debug', [
+            'methods' => 'POST',
+            'callback' => [$this, 'send_debug_command'],
+            'permission_callback' => [$this, 'check_write_permission'],
+        ]);
+
+        // Templates, shared with everyone on the site
         register_rest_route(self::NAMESPACE, '/templates', [
-            'methods' => 'GET',
-            'callback' => [$this, 'list_templates'],
-            'permission_callback' => [$this, 'check_read_permission'],
+            [
+                'methods' => 'GET',
+                'callback' => [$this, 'list_templates'],
+                'permission_callback' => [$this, 'check_read_permission'],
+            ],
+            [
+                'methods' => 'POST',
+                'callback' => [$this, 'create_template'],
+                'permission_callback' => [$this, 'check_write_permission'],
+            ],
+        ]);
+
+        register_rest_route(self::NAMESPACE, '/templates/(?P<id>[a-zA-Z0-9-]+)', [
+            'methods' => 'DELETE',
+            'callback' => [$this, 'delete_template'],
+            'permission_callback' => [$this, 'check_write_permission'],
+        ]);
+
+        // Credentials, listed and edited without their secrets
+        register_rest_route(self::NAMESPACE, '/credentials', [
+            [
+                'methods' => 'GET',
+                'callback' => [$this, 'list_credentials'],
+                'permission_callback' => [$this, 'check_write_permission'],
+            ],
+            [
+                'methods' => 'POST',
+                'callback' => [$this, 'create_credential'],
+                'permission_callback' => [$this, 'check_write_permission'],
+            ],
+        ]);
+
+        register_rest_route(self::NAMESPACE, '/credentials/(?P<id>[a-zA-Z0-9-]+)', [
+            [
+                'methods' => 'PUT',
+                'callback' => [$this, 'update_credential'],
+                'permission_callback' => [$this, 'check_write_permission'],
+            ],
+            [
+                'methods' => 'DELETE',
+                'callback' => [$this, 'delete_credential'],
+                'permission_callback' => [$this, 'check_write_permission'],
+            ],
         ]);
 
         // Proxy to Aevov capabilities
@@ -295,12 +412,14 @@ class GatewayController {
 
         $id = wp_generate_uuid4();
         $now = current_time('mysql');
+        $name = $request->get_param('name') ?? 'Untitled Workflow';
+        $workflow_data = wp_json_encode($request->get_param('workflow') ?? ['nodes' => [], 'edges' => []]);
 
         $result = $wpdb->insert($table, [
             'id' => $id,
-            'name' => $request->get_param('name') ?? 'Untitled Workflow',
+            'name' => $name,
             'description' => $request->get_param('description') ?? '',
-            'workflow_data' => wp_json_encode($request->get_param('workflow') ?? ['nodes' => [], 'edges' => []]),
+            'workflow_data' => $workflow_data,
             'user_id' => get_current_user_id(),
             'is_template' => (int)($request->get_param('is_template') ?? false),
             'is_published' => 0,
@@ -313,9 +432,13 @@ class GatewayController {
             return new \WP_REST_Response(['error' => 'Failed to create workflow'], 500);
         }
 
+        $this->record_revision($id, 1, $name, $workflow_data);
+        $this->triggers->sync($id, json_decode($workflow_data, true) ?: [], get_current_user_id());
+
         return new \WP_REST_Response([
             'id' => $id,
             'created' => true,
+            'version' => 1,
         ], 201);
     }
 
@@ -332,6 +455,9 @@ class GatewayController {
         if (!$existing) {
             return new \WP_REST_Response(['error' => 'Workflow not found'], 404);
         }
+        if (!$this->can_manage_workflow($existing)) {
+            return new \WP_REST_Response(['error' => 'Only its owner or an administrator can change a workflow'], 403);
+        }
 
         $data = ['updated_at' => current_time('mysql')];
 
@@ -342,8 +468,23 @@ class GatewayController {
             $data['description'] = $request->get_param('description');
         }
         if ($request->has_param('workflow')) {
-            $data['workflow_data'] = wp_json_encode($request->get_param('workflow'));
-            $data['version'] = $existing->version + 1;
+            $workflow_data = wp_json_encode($request->get_param('workflow'));
+            // Saving an unchanged graph doesn't start a new revision
+            if ($workflow_data !== $existing->workflow_data) {
+                // Someone else saved after this builder opened the workflow; it merges and retries
+                $base_version = $request->get_param('base_version');
+                if ($base_version !== null && (int)$base_version !== (int)$existing->version) {
+                    return new \WP_REST_Response([
+                        'error' => 'The workflow was saved by someone else since you opened it',
+                        'code' => 'version_conflict',
+                        'version' => (int)$existing->version,
+                        'name' => $existing->name,
+                        'workflow' => json_decode($existing->workflow_data, true),
+                    ], 409);
+                }
+                $data['workflow_data'] = $workflow_data;
+                $data['version'] = $existing->version + 1;
+            }
         }
         if ($request->has_param('is_published')) {
             $data['is_published'] = (int)$request->get_param('is_published');
@@ -351,6 +492,12 @@ class GatewayController {
 
         $wpdb->update($table, $data, ['id' => $id]);
 
+        if (isset($data['version'])) {
+            $this->backfill_revision($existing);
+            $this->record_revision($id, $data['version'], $data['name'] ?? $existing->name, $data['workflow_data']);
+            $this->triggers->sync($id, json_decode($data['workflow_data'], true) ?: [], get_current_user_id());
+        }
+
         return new \WP_REST_Response([
             'id' => $id,
             'updated' => true,
@@ -363,13 +510,171 @@ class GatewayController {
         $table = $wpdb->prefix . 'aevov_workflows';
         $id = $request->get_param('id');
 
+        $workflow = $this->find_workflow($id);
+        if ($workflow && !$this->can_manage_workflow($workflow)) {
+            return new \WP_REST_Response(['error' => 'Only its owner or an administrator can delete a workflow'], 403);
+        }
+
         $deleted = $wpdb->delete($table, ['id' => $id]);
+        $wpdb->delete($wpdb->prefix . 'aevov_workflow_revisions', ['workflow_id' => $id]);
+        $this->triggers->remove($id);
 
         return new \WP_REST_Response([
             'deleted' => $deleted > 0,
         ]);
     }
 
+    public function list_revisions(\WP_REST_Request $request): \WP_REST_Response {
+        global $wpdb;
+        $workflow = $this->find_workflow($request->get_param('id'));
+
+        if (!$workflow) {
+            return new \WP_REST_Response(['error' => 'Workflow not found'], 404);
+        }
+
+        $revisions = $wpdb->get_results($wpdb->prepare(
+            "SELECT version, name, user_id, restored_from, created_at
+             FROM {$wpdb->prefix}aevov_workflow_revisions WHERE workflow_id = %s ORDER BY version DESC",
+            $workflow->id
+        ));
+
+        // Workflows saved before revisions were kept still list their current version
+        if (empty($revisions) || (int)$revisions[0]->version !== (int)$workflow->version) {
+            array_unshift($revisions, $this->current_revision($workflow));
+        }
+
+        return new \WP_REST_Response([
+            'revisions' => array_map([$this, 'format_revision'], $revisions),
+        ]);
+    }
+
+    public function get_revision(\WP_REST_Request $request): \WP_REST_Response {
+        $workflow = $this->find_workflow($request->get_param('id'));
+        $revision = $workflow ? $this->find_revision($workflow, intval($request->get_param('version'))) : null;
+
+        if (!$revision) {
+            return new \WP_REST_Response(['error' => 'Revision not found'], 404);
+        }
+
+        return new \WP_REST_Response($this->format_revision($revision, true));
+    }
+
+    public function restore_revision(\WP_REST_Request $request): \WP_REST_Response {
+        global $wpdb;
+        $workflow = $this->find_workflow($request->get_param('id'));
+        $revision = $workflow ? $this->find_revision($workflow, intval($request->get_param('version'))) : null;
+
+        if (!$revision) {
+            return new \WP_REST_Response(['error' => 'Revision not found'], 404);
+        }
+        if (!$this->can_manage_workflow($workflow)) {
+            return new \WP_REST_Response(['error' => 'Only its owner or an administrator can change a workflow'], 403);
+        }
+
+        // Restoring appends a new version, so the versions in between stay in the history
+        $this->backfill_revision($workflow);
+        $version = (int)$workflow->version + 1;
+        $wpdb->update($wpdb->prefix . 'aevov_workflows', [
+            'name' => $revision->name,
+            'workflow_data' => $revision->workflow_data,
+            'version' => $version,
+            'updated_at' => current_time('mysql'),
+        ], ['id' => $workflow->id]);
+
+        $this->record_revision($workflow->id, $version, $revision->name, $revision->workflow_data, (int)$revision->version);
+        $this->triggers->sync($workflow->id, json_decode($revision->workflow_data, true) ?: [], get_current_user_id());
+
+        return new \WP_REST_Response($this->format_revision($this->find_revision($workflow, $version), true));
+    }
+
+    // Saved workflows, and the triggers that run them as their owner, belong to that owner
+    private function can_manage_workflow(object $workflow): bool {
+        return current_user_can('manage_options') || (int)$workflow->user_id === get_current_user_id();
+    }
+
+    private function find_workflow(string $id): ?object {
+        global $wpdb;
+
+        return $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$wpdb->prefix}aevov_workflows WHERE id = %s",
+            $id
+        ));
+    }
+
+    private function find_revision(object $workflow, int $version): ?object {
+        global $wpdb;
+
+        $revision = $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$wpdb->prefix}aevov_workflow_revisions WHERE workflow_id = %s AND version = %d",
+            $workflow->id,
+            $version
+        ));
+
+        if (!$revision && $version === (int)$workflow->version) {
+            return $this->current_revision($workflow);
+        }
+        return $revision;
+    }
+
+    private function current_revision(object $workflow): object {
+        return (object)[
+            'version' => $workflow->version,
+            'name' => $workflow->name,
+            'workflow_data' => $workflow->workflow_data,
+            'user_id' => $workflow->user_id,
+            'restored_from' => null,
+            'created_at' => $workflow->updated_at,
+        ];
+    }
+
+    // Keeps the version being replaced for workflows saved before revisions were kept
+    private function backfill_revision(object $workflow): void {
+        global $wpdb;
+
+        $exists = $wpdb->get_var($wpdb->prepare(
+            "SELECT COUNT(*) FROM {$wpdb->prefix}aevov_workflow_revisions WHERE workflow_id = %s AND version = %d",
+            $workflow->id,
+            $workflow->version
+        ));
+
+        if (!$exists) {
+            $wpdb->insert($wpdb->prefix . 'aevov_workflow_revisions', (array)$this->current_revision($workflow) + [
+                'workflow_id' => $workflow->id,
+            ]);
+        }
+    }
+
+    private function record_revision(string $workflow_id, int $version, string $name, string $workflow_data, ?int $restored_from = null): void {
+        global $wpdb;
+
+        $wpdb->insert($wpdb->prefix . 'aevov_workflow_revisions', [
+            'workflow_id' => $workflow_id,
+            'version' => $version,
+            'name' => $name,
+            'workflow_data' => $workflow_data,
+            'user_id' => get_current_user_id(),
+            'restored_from' => $restored_from,
+            'created_at' => current_time('mysql'),
+        ]);
+    }
+
+    private function format_revision(object $revision, bool $with_workflow = false): array {
+        $author = get_userdata((int)$revision->user_id);
+
+        $formatted = [
+            'version' => (int)$revision->version,
+            'name' => $revision->name,
+            'author' => $author ? $author->display_name : null,
+            'restored_from' => $revision->restored_from !== null ? (int)$revision->restored_from : null,
+            'created_at' => $revision->created_at,
+        ];
+
+        if ($with_workflow) {
+            $formatted['workflow'] = json_decode($revision->workflow_data, true);
+        }
+        return $formatted;
+    }
+
     public function execute_workflow(\WP_REST_Request $request): \WP_REST_Response {
         $workflow = $request->get_param('workflow');
         $inputs = $request->get_param('inputs') ?? [];
@@ -378,7 +683,7 @@ class GatewayController {
             return new \WP_REST_Response(['error' => 'Invalid workflow structure'], 400);
         }
 
-        $execution_id = $this->log_execution_start(null, $inputs);
+        $execution_id = $this->log_execution_start($request, $workflow, $inputs);
         $result = $this->executor->execute($workflow, $inputs);
         $this->log_execution_end($execution_id, $result);
 
@@ -386,13 +691,144 @@ class GatewayController {
         return new \WP_REST_Response($result);
     }
 
+    public function stream_workflow(\WP_REST_Request $request) {
+        $workflow = $request->get_param('workflow');
+        $inputs = $request->get_param('inputs') ?? [];
+
+        if (!$workflow || !isset($workflow['nodes'])) {
+            return new \WP_REST_Response(['error' => 'Invalid workflow structure'], 400);
+        }
+
+        ignore_user_abort(true);
+        while (ob_get_level() > 0) {
+            ob_end_flush();
+        }
+
+        header('Content-Type: text/event-stream');
+        header('Cache-Control: no-cache');
+        header('X-Accel-Buffering: no');
+
+        $execution_id = $this->log_execution_start($request, $workflow, $inputs);
+        $this->send_event('execution_started', [
+            'execution_id' => $execution_id,
+            'timestamp' => microtime(true),
+        ]);
+
+        $executor = $this->executor;
+        $executor->set_event_listener(function (array $event) use ($executor) {
+            $this->send_event($event['type'], $event);
+            if (connection_aborted()) {
+                $executor->cancel();
+            }
+        });
+
+        // Debug runs pause before breakpoints, so they may outlive the PHP time limit
+        $debug = $request->get_param('debug');
+        if (is_array($debug)) {
+            set_time_limit(0);
+            $executor->set_debugger(
+                function () use ($execution_id) {
+                    return $this->wait_for_debug_command($execution_id);
+                },
+                array_map('strval', (array)($debug['breakpoints'] ?? [])),
+                !empty($debug['step'])
+            );
+        }
+
+        $result = $executor->execute($workflow, $inputs);
+        $executor->set_event_listener(null);
+        $executor->set_debugger(null);
+        $this->log_execution_end($execution_id, $result);
+
+        $result['execution_id'] = $execution_id;
+        $this->send_event('execution_completed', ['result' => $result]);
+        exit;
+    }
+
+    // Holds a paused stream open until POST /executions/{id}/debug answers it. Polls the
+    // database rather than a transient, which the options cache would pin for this request.
+    private function wait_for_debug_command(int $execution_id): array {
+        global $wpdb;
+        $table = $wpdb->prefix . 'aevov_workflow_executions';
+        $timeout = (int)apply_filters('aevov_workflow_debug_pause_timeout', 600);
+        $paused_at = time();
+        $last_ping = time();
+
+        while (time() - $paused_at < $timeout) {
+            $command = $wpdb->get_var($wpdb->prepare(
+                "SELECT debug_command FROM {$table} WHERE id = %d",
+                $execution_id
+            ));
+
+            if ($command) {
+                $wpdb->update($table, ['debug_command' => null], ['id' => $execution_id]);
+                return json_decode($command, true) ?: ['action' => 'continue'];
+            }
+
+            // Comments keep proxies from closing the idle stream and let us notice a closed tab
+            if (time() - $last_ping >= 15) {
+                echo ": paused\n\n";
+                flush();
+                $last_ping = time();
+            }
+            if (connection_aborted()) {
+                return ['action' => 'stop'];
+            }
+
+            usleep(250000);
+        }
+
+        return ['action' => 'stop'];
+    }
+
+    public function send_debug_command(\WP_REST_Request $request): \WP_REST_Response {
+        global $wpdb;
+        $table = $wpdb->prefix . 'aevov_workflow_executions';
+        $id = (int)$request->get_param('id');
+
+        $execution = $wpdb->get_row($wpdb->prepare(
+            "SELECT user_id, status FROM {$table} WHERE id = %d",
+            $id
+        ));
+
+        if (!$execution) {
+            return new \WP_REST_Response(['error' => 'Execution not found'], 404);
+        }
+        if ((int)$execution->user_id !== get_current_user_id() && !current_user_can('manage_options')) {
+            return new \WP_REST_Response(['error' => 'Not your execution'], 403);
+        }
+        if ($execution->status !== 'running') {
+            return new \WP_REST_Response(['error' => 'Execution is not running'], 409);
+        }
+
+        $action = $request->get_param('action');
+        if (!in_array($action, ['continue', 'step', 'stop'], true)) {
+            return new \WP_REST_Response(['error' => 'Action must be continue, step or stop'], 400);
+        }
+
+        $command = ['action' => $action];
+        $outputs = $request->get_param('outputs');
+        if (is_array($outputs) && !empty($outputs)) {
+            $command['outputs'] = $outputs;
+        }
+
+        $wpdb->update($table, ['debug_command' => wp_json_encode($command)], ['id' => $id]);
+        return new \WP_REST_Response(['success' => true]);
+    }
+
+    private function send_event(string $type, array $data): void {
+        echo "event: {$type}\n";
+        echo 'data: ' . wp_json_encode(array_merge($data, ['type' => $type])) . "\n\n";
+        flush();
+    }
+
     public function execute_saved_workflow(\WP_REST_Request $request): \WP_REST_Response {
         global $wpdb;
         $table = $wpdb->prefix . 'aevov_workflows';
         $id = $request->get_param('id');
 
         $workflow_record = $wpdb->get_row($wpdb->prepare(
-            "SELECT workflow_data FROM {$table} WHERE id = %s",
+            "SELECT workflow_data, version FROM {$table} WHERE id = %s",
             $id
         ));
 
@@ -401,9 +837,18 @@ class GatewayController {
         }
 
         $workflow = json_decode($workflow_record->workflow_data, true);
-        $inputs = $request->get_param('inputs') ?? [];
 
-        $execution_id = $this->log_execution_start($id, $inputs);
+        // Callers may name parameters instead of input node ids
+        $validation = (new InputSchema($workflow))->validate((array)($request->get_param('inputs') ?? []));
+        if (!empty($validation['errors'])) {
+            return new \WP_REST_Response([
+                'error' => 'Invalid workflow inputs',
+                'errors' => $validation['errors'],
+            ], 400);
+        }
+        $inputs = $validation['inputs'];
+
+        $execution_id = $this->log_execution_start($request, $workflow, $inputs, $id, (int)$workflow_record->version);
         $result = $this->executor->execute($workflow, $inputs);
         $this->log_execution_end($execution_id, $result);
 
@@ -411,15 +856,49 @@ class GatewayController {
         return new \WP_REST_Response($result);
     }
 
-    private function log_execution_start(?string $workflow_id, array $inputs): int {
+    public function get_input_schema(\WP_REST_Request $request): \WP_REST_Response {
+        $workflow = $this->find_workflow($request->get_param('id'));
+        if (!$workflow) {
+            return new \WP_REST_Response(['error' => 'Workflow not found'], 404);
+        }
+
+        $schema = new InputSchema(json_decode($workflow->workflow_data, true) ?: []);
+        return new \WP_REST_Response([
+            'workflow_id' => $workflow->id,
+            'version' => (int)$workflow->version,
+            'is_published' => (bool)$workflow->is_published,
+            'parameters' => $schema->get_parameters(),
+            'schema' => $schema->to_json_schema(),
+        ]);
+    }
+
+    // Runs from the builder name their workflow in the body; saved workflows run by id,
+    // and triggered runs have no request at all
+    private function log_execution_start(
+        ?\WP_REST_Request $request,
+        array $workflow,
+        array $inputs,
+        ?string $workflow_id = null,
+        ?int $workflow_version = null,
+        ?string $trigger_node = null,
+        ?string $trigger_source = null
+    ): int {
         global $wpdb;
         $table = $wpdb->prefix . 'aevov_workflow_executions';
 
+        $version = $workflow_version ?? $request?->get_param('workflow_version');
+        $replay_of = $request?->get_param('replay_of');
+
         $wpdb->insert($table, [
-            'workflow_id' => $workflow_id ?? '',
+            'workflow_id' => $workflow_id ?? sanitize_text_field($request?->get_param('workflow_id') ?? ''),
+            'workflow_version' => $version !== null ? intval($version) : null,
+            'workflow_data' => wp_json_encode($workflow),
             'user_id' => get_current_user_id(),
             'status' => 'running',
             'inputs' => wp_json_encode($inputs),
+            'replay_of' => $replay_of ? intval($replay_of) : null,
+            'trigger_node' => $trigger_node,
+            'trigger_source' => $trigger_source,
             'started_at' => current_time('mysql'),
             'created_at' => current_time('mysql'),
         ]);
@@ -431,10 +910,19 @@ class GatewayController {
         global $wpdb;
         $table = $wpdb->prefix . 'aevov_workflow_executions';
 
+        // Failed runs carry no total time, so fall back to the last log entry
+        $log = $result['log'] ?? [];
+        $last_entry = end($log);
+        $execution_time = $result['execution_time'] ?? ($last_entry['elapsed'] ?? null);
+
         $wpdb->update($table, [
-            'status' => $result['success'] ? 'completed' : 'failed',
+            'status' => $result['success'] ? 'completed' : (!empty($result['cancelled']) ? 'cancelled' : 'failed'),
             'outputs' => wp_json_encode($result['outputs'] ?? $result['error'] ?? null),
-            'execution_log' => wp_json_encode($result['log'] ?? []),
+            'node_outputs' => wp_json_encode($result['all_outputs'] ?? $result['partial_outputs'] ?? []),
+            'error' => $result['error'] ?? null,
+            'failed_node' => $result['failed_node'] ?? null,
+            'execution_time' => $execution_time,
+            'execution_log' => wp_json_encode($log),
             'completed_at' => current_time('mysql'),
         ], ['id' => $execution_id]);
     }
@@ -469,16 +957,18 @@ class GatewayController {
         ));
 
         $executions = $wpdb->get_results($wpdb->prepare(
-            "SELECT id, workflow_id, status, started_at, completed_at, created_at
-             FROM {$table} WHERE {$where} ORDER BY created_at DESC LIMIT %d OFFSET %d",
+            "SELECT id, workflow_id, workflow_version, status, error, failed_node, execution_time, replay_of,
+                    trigger_node, trigger_source, started_at, completed_at, created_at
+             FROM {$table} WHERE {$where} ORDER BY created_at DESC, id DESC LIMIT %d OFFSET %d",
             $params
         ));
 
         return new \WP_REST_Response([
-            'executions' => $executions,
+            'executions' => array_map([$this, 'format_execution'], $executions),
             'total' => intval($total),
             'page' => $page,
             'per_page' => $per_page,
+            'total_pages' => ceil($total / $per_page),
         ]);
     }
 
@@ -495,29 +985,297 @@ class GatewayController {
         if (!$execution) {
             return new \WP_REST_Response(['error' => 'Execution not found'], 404);
         }
+        // Inputs, outputs and logs can hold anything a run touched, so only its user and administrators see them
+        if ((int)$execution->user_id !== get_current_user_id() && !current_user_can('manage_options')) {
+            return new \WP_REST_Response(['error' => 'Not your execution'], 403);
+        }
 
-        return new \WP_REST_Response([
-            'id' => (int)$execution->id,
-            'workflow_id' => $execution->workflow_id,
-            'status' => $execution->status,
+        return new \WP_REST_Response($this->format_execution($execution) + [
             'inputs' => json_decode($execution->inputs, true),
             'outputs' => json_decode($execution->outputs, true),
+            'node_outputs' => json_decode($execution->node_outputs ?? '', true) ?? [],
+            'workflow' => json_decode($execution->workflow_data ?? '', true),
             'log' => json_decode($execution->execution_log, true),
+        ]);
+    }
+
+    private function format_execution(object $execution): array {
+        return [
+            'id' => (int)$execution->id,
+            'workflow_id' => $execution->workflow_id ?: null,
+            'workflow_version' => $execution->workflow_version !== null ? (int)$execution->workflow_version : null,
+            'status' => $execution->status,
+            'error' => $execution->error,
+            'failed_node' => $execution->failed_node,
+            'execution_time' => $execution->execution_time !== null ? (float)$execution->execution_time : null,
+            'replay_of' => $execution->replay_of !== null ? (int)$execution->replay_of : null,
+            'trigger_node' => $execution->trigger_node ?? null,
+            'trigger_source' => $execution->trigger_source ?? null,
             'started_at' => $execution->started_at,
             'completed_at' => $execution->completed_at,
+        ];
+    }
+
+    // Webhook secrets are in the listing, so only the workflow's owner sees it
+    public function list_triggers(\WP_REST_Request $request): \WP_REST_Response {
+        $workflow = $this->find_workflow($request->get_param('id'));
+        if (!$workflow) {
+            return new \WP_REST_Response(['error' => 'Workflow not found'], 404);
+        }
+        if (!$this->can_manage_workflow($workflow)) {
+            return new \WP_REST_Response(['error' => "Only its owner or an administrator can manage a workflow's triggers"], 403);
+        }
+
+        return new \WP_REST_Response([
+            'version' => (int)$workflow->version,
+            'timezone' => wp_timezone_string(),
+            'scheduling_enabled' => (bool)get_option('aevov_workflow_enable_scheduling', true),
+            'triggers' => $this->triggers->list_for_workflow($workflow->id),
         ]);
     }
 
+    // Fires even a disabled trigger, so it can be tried out before switching it on
+    public function fire_trigger(\WP_REST_Request $request): \WP_REST_Response {
+        $workflow = $this->find_workflow($request->get_param('id'));
+        if ($workflow && !$this->can_manage_workflow($workflow)) {
+            return new \WP_REST_Response(['error' => "Only its owner or an administrator can manage a workflow's triggers"], 403);
+        }
+
+        $trigger = $this->triggers->find_node($request->get_param('id'), $request->get_param('node_id'));
+        if (!$trigger) {
+            return new \WP_REST_Response(['error' => 'Trigger not found; save the workflow first'], 404);
+        }
+
+        $payload = $request->has_param('payload')
+            ? $request->get_param('payload')
+            : (json_decode($trigger->config, true)['samplePayload'] ?? null);
+
+        return new \WP_REST_Response($this->triggers->fire($trigger, $payload, 'manual'));
+    }
+
+    public function rotate_trigger_secret(\WP_REST_Request $request): \WP_REST_Response {
+        $workflow = $this->find_workflow($request->get_param('id'));
+        if ($workflow && !$this->can_manage_workflow($workflow)) {
+            return new \WP_REST_Response(['error' => "Only its owner or an administrator can manage a workflow's triggers"], 403);
+        }
+
+        $trigger = $this->triggers->rotate_secret($request->get_param('id'), $request->get_param('node_id'));
+        if (!$trigger) {
+            return new \WP_REST_Response(['error' => 'Webhook trigger not found'], 404);
+        }
+
+        return new \WP_REST_Response($trigger);
+    }
+
+    // The room name is derived from the site's salt, so it can't be guessed from the workflow id
+    public function get_collab_session(\WP_REST_Request $request): \WP_REST_Response {
+        $workflow = $this->find_workflow($request->get_param('id'));
+        if (!$workflow) {
+            return new \WP_REST_Response(['error' => 'Workflow not found'], 404);
+        }
+        if (!$this->can_manage_workflow($workflow)) {
+            return new \WP_REST_Response(['error' => 'Only its owner or an administrator can edit a workflow'], 403);
+        }
+
+        $url = apply_filters('aevov_workflow_collab_url', get_option('aevov_workflow_collab_url', ''), $workflow->id);
+        if (!$url) {
+            return new \WP_REST_Response(['enabled' => false]);
+        }
+
+        return new \WP_REST_Response([
+            'enabled' => true,
+            'url' => $url,
+            'room' => hash_hmac('sha256', 'collab|' . $workflow->id, wp_salt('auth')),
+        ]);
+    }
+
+    // Unattended runs act as the workflow's owner, so capabilities and credentials
+    // see the same user they would in the builder
+    public function run_trigger(object $trigger, $payload, string $source): array {
+        $workflow = $this->find_workflow($trigger->workflow_id);
+        if (!$workflow) {
+            return ['success' => false, 'error' => 'Workflow not found'];
+        }
+
+        $previous_user = get_current_user_id();
+        if ($source !== 'manual') {
+            wp_set_current_user((int)$workflow->user_id);
+        }
+
+        try {
+            $workflow_data = json_decode($workflow->workflow_data, true) ?: [];
+            $inputs = [$trigger->node_id => $payload];
+
+            $execution_id = $this->log_execution_start(
+                null,
+                $workflow_data,
+                $inputs,
+                $workflow->id,
+                (int)$workflow->version,
+                $trigger->node_id,
+                $source
+            );
+            $result = $this->executor->execute($workflow_data, $inputs, $trigger->node_id);
+            $this->log_execution_end($execution_id, $result);
+        } finally {
+            wp_set_current_user($previous_user);
+        }
+
+        $result['execution_id'] = $execution_id;
+        return $result;
+    }
+
+    public function list_credentials(\WP_REST_Request $request): \WP_REST_Response {
+        return new \WP_REST_Response([
+            'credentials' => $this->credentials->list_for_user(get_current_user_id()),
+        ]);
+    }
+
+    public function create_credential(\WP_REST_Request $request): \WP_REST_Response {
+        try {
+            $credential = $this->credentials->create($this->credential_fields($request), get_current_user_id());
+        } catch (\InvalidArgumentException $e) {
+            return new \WP_REST_Response(['error' => $e->getMessage()], 400);
+        }
+
+        return new \WP_REST_Response($credential, 201);
+    }
+
+    public function update_credential(\WP_REST_Request $request): \WP_REST_Response {
+        $credential = $this->credentials->find($request->get_param('id'));
+        if (!$credential) {
+            return new \WP_REST_Response(['error' => 'Credential not found'], 404);
+        }
+        if (!$this->credentials->can_manage($credential, get_current_user_id())) {
+            return new \WP_REST_Response(['error' => 'Not your credential'], 403);
+        }
+
+        try {
+            $updated = $this->credentials->update($credential, $this->credential_fields($request), get_current_user_id());
+        } catch (\InvalidArgumentException $e) {
+            return new \WP_REST_Response(['error' => $e->getMessage()], 400);
+        }
+
+        return new \WP_REST_Response($updated);
+    }
+
+    public function delete_credential(\WP_REST_Request $request): \WP_REST_Response {
+        $credential = $this->credentials->find($request->get_param('id'));
+        if (!$credential) {
+            return new \WP_REST_Response(['error' => 'Credential not found'], 404);
+        }
+        if (!$this->credentials->can_manage($credential, get_current_user_id())) {
+            return new \WP_REST_Response(['error' => 'Not your credential'], 403);
+        }
+
+        return new \WP_REST_Response([
+            'deleted' => $this->credentials->delete($credential),
+        ]);
+    }
+
+    // Only the fields the request sent, so an update without a secret keeps the stored one
+    private function credential_fields(\WP_REST_Request $request): array {
+        $fields = [];
+        foreach (['name', 'type', 'key', 'secret', 'shared'] as $field) {
+            if ($request->has_param($field)) {
+                $fields[$field] = $request->get_param($field);
+            }
+        }
+        return $fields;
+    }
+
     public function list_templates(\WP_REST_Request $request): \WP_REST_Response {
         global $wpdb;
         $table = $wpdb->prefix . 'aevov_workflows';
 
         $templates = $wpdb->get_results(
-            "SELECT id, name, description, created_at FROM {$table}
+            "SELECT id, name, description, category, workflow_data, user_id, created_at FROM {$table}
              WHERE is_template = 1 ORDER BY name ASC"
         );
 
-        return new \WP_REST_Response(['templates' => $templates]);
+        return new \WP_REST_Response([
+            'templates' => array_map([$this, 'format_template'], $templates),
+        ]);
+    }
+
+    // Saves a workflow file as a template; secrets were already left out by the builder
+    public function create_template(\WP_REST_Request $request): \WP_REST_Response {
+        global $wpdb;
+
+        if (!get_option('aevov_workflow_enable_templates', true)) {
+            return new \WP_REST_Response(['error' => 'Templates are turned off on this site'], 403);
+        }
+
+        $name = trim((string)$request->get_param('name'));
+        $workflow = $request->get_param('workflow');
+        if ($name === '') {
+            return new \WP_REST_Response(['error' => 'Template name is required'], 400);
+        }
+        if (!is_array($workflow) || !is_array($workflow['workflow']['nodes'] ?? null)) {
+            return new \WP_REST_Response(['error' => 'Template must contain a workflow'], 400);
+        }
+
+        $now = current_time('mysql');
+        $template = (object)[
+            'id' => wp_generate_uuid4(),
+            'name' => sanitize_text_field($name),
+            'description' => sanitize_textarea_field((string)$request->get_param('description')),
+            'category' => sanitize_text_field((string)$request->get_param('category')) ?: null,
+            'workflow_data' => wp_json_encode($workflow),
+            'user_id' => get_current_user_id(),
+            'created_at' => $now,
+        ];
+
+        $result = $wpdb->insert($wpdb->prefix . 'aevov_workflows', array_merge((array)$template, [
+            'is_template' => 1,
+            'is_published' => 0,
+            'version' => 1,
+            'updated_at' => $now,
+        ]));
+
+        if ($result === false) {
+            return new \WP_REST_Response(['error' => 'Failed to save template'], 500);
+        }
+
+        return new \WP_REST_Response($this->format_template($template), 201);
+    }
+
+    public function delete_template(\WP_REST_Request $request): \WP_REST_Response {
+        global $wpdb;
+        $template = $this->find_workflow($request->get_param('id'));
+
+        if (!$template || !(int)$template->is_template) {
+            return new \WP_REST_Response(['error' => 'Template not found'], 404);
+        }
+        if (!$this->can_manage_template($template)) {
+            return new \WP_REST_Response(['error' => 'Only its author or an administrator can delete a template'], 403);
+        }
+
+        $deleted = $wpdb->delete($wpdb->prefix . 'aevov_workflows', ['id' => $template->id]);
+
+        return new \WP_REST_Response([
+            'deleted' => $deleted > 0,
+        ]);
+    }
+
+    private function format_template(object $template): array {
+        $author = $template->user_id ? get_userdata((int)$template->user_id) : null;
+
+        return [
+            'id' => $template->id,
+            'name' => $template->name,
+            'description' => $template->description,
+            'category' => $template->category,
+            // A workflow file, or the plain graph of templates made before the gallery
+            'workflow' => json_decode($template->workflow_data, true),
+            'author' => $author ? $author->display_name : null,
+            'can_delete' => $this->can_manage_template($template),
+            'created_at' => $template->created_at,
+        ];
+    }
+
+    private function can_manage_template(object $template): bool {
+        return current_user_can('manage_options') || (int)$template->user_id === get_current_user_id();
     }
 
     public function proxy_request(\WP_REST_Request $request): \WP_REST_Response {
@@ -734,7 +1492,62 @@ class GatewayController {
     }
 
     private function get_node_type_definitions(): array {
+        $trigger_fields = [
+            ['key' => 'enabled', 'label' => 'Enabled', 'type' => 'boolean', 'defaultValue' => true],
+            ['key' => 'samplePayload', 'label' => 'Sample Payload', 'type' => 'json'],
+        ];
+        $trigger_outputs = [['id' => 'output', 'label' => 'Payload', 'type' => 'object']];
+
         return [
+            'schedule' => [
+                'type' => 'schedule',
+                'label' => 'Schedule',
+                'category' => 'trigger',
+                'description' => 'Run the saved workflow on a cron schedule',
+                'icon' => 'CalendarClock',
+                'color' => '#eab308',
+                'inputs' => [],
+                'outputs' => $trigger_outputs,
+                'configFields' => array_merge([
+                    ['key' => 'cron', 'label' => 'Cron Expression', 'type' => 'cron', 'required' => true, 'placeholder' => '0 9 * * 1-5'],
+                ], $trigger_fields),
+            ],
+            'webhook' => [
+                'type' => 'webhook',
+                'label' => 'Webhook',
+                'category' => 'trigger',
+                'description' => 'Run the saved workflow when its URL receives a request',
+                'icon' => 'Webhook',
+                'color' => '#eab308',
+                'inputs' => [],
+                'outputs' => $trigger_outputs,
+                'configFields' => array_merge([
+                    ['key' => 'verifySignature', 'label' => 'Require Signature', 'type' => 'boolean', 'defaultValue' => true],
+                ], $trigger_fields),
+            ],
+            'event' => [
+                'type' => 'event',
+                'label' => 'Aevov Event',
+                'category' => 'trigger',
+                'description' => 'Run the saved workflow when an Aevov event happens',
+                'icon' => 'Zap',
+                'color' => '#eab308',
+                'inputs' => [],
+                'outputs' => $trigger_outputs,
+                'configFields' => array_merge([
+                    [
+                        'key' => 'event',
+                        'label' => 'Event',
+                        'type' => 'select',
+                        'required' => true,
+                        'options' => array_map(
+                            fn($event, $definition) => ['value' => $event, 'label' => $definition['label']],
+                            array_keys($this->triggers->events()),
+                            $this->triggers->events()
+                        ),
+                    ],
+                ], $trigger_fields),
+            ],
             'input' => [
                 'type' => 'input',
                 'label' => 'Input',
@@ -745,7 +1558,28 @@ class GatewayController {
                 'inputs' => [],
                 'outputs' => [['id' => 'output', 'label' => 'Output', 'type' => 'any']],
                 'configFields' => [
+                    ['key' => 'name', 'label' => 'Parameter Name', 'type' => 'text', 'placeholder' => 'Defaults to the label, e.g. topic'],
+                    [
+                        'key' => 'inputType',
+                        'label' => 'Type',
+                        'type' => 'select',
+                        'options' => [
+                            ['value' => 'string', 'label' => 'Text'],
+                            ['value' => 'number', 'label' => 'Number'],
+                            ['value' => 'integer', 'label' => 'Integer'],
+                            ['value' => 'boolean', 'label' => 'Yes / No'],
+                            ['value' => 'json', 'label' => 'JSON'],
+                            ['value' => 'enum', 'label' => 'One of'],
+                        ],
+                        'defaultValue' => 'string',
+                    ],
+                    ['key' => 'required', 'label' => 'Required', 'type' => 'boolean'],
+                    ['key' => 'description', 'label' => 'Description', 'type' => 'text', 'placeholder' => 'Shown in the run form and API schema'],
                     ['key' => 'defaultValue', 'label' => 'Default Value', 'type' => 'textarea'],
+                    ['key' => 'options', 'label' => 'Choices', 'type' => 'text', 'placeholder' => 'Comma-separated, for "One of"'],
+                    ['key' => 'min', 'label' => 'Minimum', 'type' => 'number', 'placeholder' => 'Value, or length for text'],
+                    ['key' => 'max', 'label' => 'Maximum', 'type' => 'number', 'placeholder' => 'Value, or length for text'],
+                    ['key' => 'pattern', 'label' => 'Pattern', 'type' => 'text', 'placeholder' => 'Regular expression, for text'],
                 ],
             ],
             'output' => [
@@ -803,8 +1637,59 @@ class GatewayController {
                 'color' => '#f59e0b',
                 'inputs' => [['id' => 'items', 'label' => 'Items', 'type' => 'array']],
                 'outputs' => [['id' => 'output', 'label' => 'Results', 'type' => 'array']],
+                'configFields' => [
+                    ['key' => 'maxIterations', 'label' => 'Max Iterations', 'type' => 'number', 'defaultValue' => 100, 'min' => 1],
+                    [
+                        'key' => 'concurrency',
+                        'label' => 'Concurrency',
+                        'type' => 'number',
+                        'defaultValue' => 1,
+                        'min' => 1,
+                        'max' => 16,
+                        'description' => 'Items processed at the same time; results keep the order of the items',
+                    ],
+                ],
+            ],
+            'parallel' => [
+                'type' => 'parallel',
+                'label' => 'Parallel',
+                'category' => 'control',
+                'description' => 'Run every connected branch at the same time',
+                'icon' => 'Split',
+                'color' => '#f59e0b',
+                'inputs' => [['id' => 'input', 'label' => 'Input', 'type' => 'any']],
+                'outputs' => [['id' => 'output', 'label' => 'Branches', 'type' => 'any']],
                 'configFields' => [],
             ],
+            'merge' => [
+                'type' => 'merge',
+                'label' => 'Merge',
+                'category' => 'control',
+                'description' => 'Wait for branches and combine their results',
+                'icon' => 'Merge',
+                'color' => '#f59e0b',
+                'inputs' => [['id' => 'input', 'label' => 'Branches', 'type' => 'any']],
+                'outputs' => [['id' => 'output', 'label' => 'Merged', 'type' => 'any']],
+                'configFields' => [
+                    ['key' => 'strategy', 'label' => 'Wait For', 'type' => 'select', 'defaultValue' => 'all', 'options' => [
+                        ['value' => 'all', 'label' => 'All branches'],
+                        ['value' => 'any', 'label' => 'The first branch'],
+                        ['value' => 'firstN', 'label' => 'The first few branches'],
+                    ]],
+                    [
+                        'key' => 'count',
+                        'label' => 'Branches',
+                        'type' => 'number',
+                        'defaultValue' => 2,
+                        'min' => 1,
+                        'showWhen' => ['field' => 'strategy', 'equals' => 'firstN'],
+                    ],
+                    ['key' => 'combine', 'label' => 'Combine Into', 'type' => 'select', 'defaultValue' => 'keyed', 'options' => [
+                        ['value' => 'keyed', 'label' => 'Object keyed by branch'],
+                        ['value' => 'array', 'label' => 'Array, in the order branches finished'],
+                    ]],
+                ],
+            ],
             'http' => [
                 'type' => 'http',
                 'label' => 'HTTP Request',
@@ -0,0 +1,248 @@
+<?php
+
+namespace AevovWorkflowEngine\API;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+// Run parameters declared by Input nodes, mirroring src/lib/inputs.ts. Run inputs
+// are keyed by input node id; API callers may use the parameter names instead.
+class InputSchema {
+
+    private const TYPES = ['string', 'number', 'integer', 'boolean', 'json', 'enum'];
+
+    private array $parameters;
+
+    public function __construct(array $workflow) {
+        $inputs = array_filter($workflow['nodes'] ?? [], function ($node) {
+            return ($node['data']['nodeType'] ?? $node['type'] ?? '') === 'input';
+        });
+
+        usort($inputs, function ($a, $b) {
+            return [$a['position']['y'] ?? 0, $a['position']['x'] ?? 0] <=> [$b['position']['y'] ?? 0, $b['position']['x'] ?? 0];
+        });
+
+        $this->parameters = array_map([$this, 'to_parameter'], $inputs);
+    }
+
+    public function get_parameters(): array {
+        return $this->parameters;
+    }
+
+    private function to_parameter(array $node): array {
+        $config = $node['data']['config'] ?? [];
+        $type = in_array($config['inputType'] ?? '', self::TYPES, true) ? $config['inputType'] : 'string';
+
+        $parameter = [
+            'node_id' => $node['id'],
+            'name' => $this->parameter_name($node),
+            'label' => $node['data']['label'] ?? $node['id'],
+            'type' => $type,
+            'required' => !empty($config['required']),
+        ];
+        if (!empty($config['description']) && is_string($config['description'])) {
+            $parameter['description'] = trim($config['description']);
+        }
+        if (!$this->is_blank($config['defaultValue'] ?? null)) {
+            $parameter['default'] = $config['defaultValue'];
+        }
+        foreach (['min', 'max'] as $bound) {
+            if (isset($config[$bound]) && !is_bool($config[$bound]) && is_numeric($config[$bound])) {
+                $parameter[$bound] = $config[$bound] + 0;
+            }
+        }
+        if (!empty($config['pattern']) && is_string($config['pattern'])) {
+            $parameter['pattern'] = $config['pattern'];
+        }
+        if ($type === 'enum') {
+            $options = is_array($config['options'] ?? null) ? $config['options'] : explode(',', (string)($config['options'] ?? ''));
+            $parameter['options'] = array_values(array_filter(array_map('trim', array_map('strval', $options)), 'strlen'));
+        }
+        return $parameter;
+    }
+
+    private function parameter_name(array $node): string {
+        $configured = trim((string)($node['data']['config']['name'] ?? ''));
+        if ($configured !== '') {
+            return $configured;
+        }
+        $slug = trim(preg_replace('/[^a-z0-9]+/', '_', strtolower($node['data']['label'] ?? '')), '_');
+        return $slug !== '' ? $slug : $node['id'];
+    }
+
+    // Returns ['inputs' => values keyed by node id, 'errors' => messages keyed by parameter name]
+    public function validate(array $values): array {
+        $inputs = [];
+        $errors = [];
+
+        foreach ($this->parameters as $parameter) {
+            $raw = $values[$parameter['node_id']] ?? $values[$parameter['name']] ?? null;
+            $result = $this->coerce($parameter, $raw);
+
+            if (isset($result['error'])) {
+                $errors[$parameter['name']] = $result['error'];
+            } elseif (array_key_exists('value', $result)) {
+                $inputs[$parameter['node_id']] = $result['value'];
+            }
+        }
+
+        return ['inputs' => $inputs, 'errors' => $errors];
+    }
+
+    private function coerce(array $parameter, $raw): array {
+        if ($this->is_blank($raw)) {
+            if (array_key_exists('default', $parameter)) {
+                $default = $parameter['default'];
+                unset($parameter['default']);
+                return $this->coerce($parameter, $default);
+            }
+            return $parameter['required'] ? ['error' => 'Required'] : [];
+        }
+
+        switch ($parameter['type']) {
+            case 'number':
+            case 'integer':
+                if (is_bool($raw) || !is_numeric(is_string($raw) ? trim($raw) : $raw)) {
+                    return ['error' => 'Must be a number'];
+                }
+                $value = (is_string($raw) ? trim($raw) : $raw) + 0;
+                if ($parameter['type'] === 'integer') {
+                    if ((float)$value !== floor((float)$value)) {
+                        return ['error' => 'Must be a whole number'];
+                    }
+                    $value = (int)$value;
+                }
+                if (isset($parameter['min']) && $value < $parameter['min']) {
+                    return ['error' => "Must be at least {$parameter['min']}"];
+                }
+                if (isset($parameter['max']) && $value > $parameter['max']) {
+                    return ['error' => "Must be at most {$parameter['max']}"];
+                }
+                return ['value' => $value];
+
+            case 'boolean':
+                if (is_bool($raw)) {
+                    return ['value' => $raw];
+                }
+                $text = strtolower(trim((string)$raw));
+                if (in_array($text, ['true', '1', 'yes', 'on'], true)) {
+                    return ['value' => true];
+                }
+                if (in_array($text, ['false', '0', 'no', 'off'], true)) {
+                    return ['value' => false];
+                }
+                return ['error' => 'Must be true or false'];
+
+            case 'json':
+                if (!is_string($raw)) {
+                    return ['value' => $raw];
+                }
+                $parsed = json_decode($raw, true);
+                if (json_last_error() !== JSON_ERROR_NONE) {
+                    return ['error' => 'Must be valid JSON'];
+                }
+                return ['value' => $parsed];
+
+            case 'enum':
+                $value = is_scalar($raw) ? (string)$raw : wp_json_encode($raw);
+                if (!in_array($value, $parameter['options'] ?? [], true)) {
+                    return ['error' => 'Must be one of: ' . implode(', ', $parameter['options'] ?? [])];
+                }
+                return ['value' => $value];
+
+            default:
+                $value = is_string($raw) ? $raw : wp_json_encode($raw);
+                $length = mb_strlen($value);
+                if (isset($parameter['min']) && $length < $parameter['min']) {
+                    return ['error' => "Must be at least {$parameter['min']} characters"];
+                }
+                if (isset($parameter['max']) && $length > $parameter['max']) {
+                    return ['error' => "Must be at most {$parameter['max']} characters"];
+                }
+                if (isset($parameter['pattern']) && !$this->matches_pattern($parameter['pattern'], $value)) {
+                    return ['error' => "Must match {$parameter['pattern']}"];
+                }
+                return ['value' => $value];
+        }
+    }
+
+    // Converts text to the declared type of an Input node, keeping text that doesn't convert
+    public static function convert_text($type, string $text) {
+        $parameter = ['node_id' => '', 'name' => '', 'label' => '', 'type' => in_array($type, self::TYPES, true) ? $type : 'string', 'required' => false];
+        $result = (new self([]))->coerce($parameter, $text);
+        return isset($result['error']) || !array_key_exists('value', $result) ? $text : $result['value'];
+    }
+
+    public function to_json_schema(): array {
+        $properties = [];
+        $required = [];
+
+        foreach ($this->parameters as $parameter) {
+            $property = ['title' => $parameter['label']];
+            if (isset($parameter['description'])) {
+                $property['description'] = $parameter['description'];
+            }
+
+            switch ($parameter['type']) {
+                case 'number':
+                case 'integer':
+                    $property['type'] = $parameter['type'];
+                    if (isset($parameter['min'])) {
+                        $property['minimum'] = $parameter['min'];
+                    }
+                    if (isset($parameter['max'])) {
+                        $property['maximum'] = $parameter['max'];
+                    }
+                    break;
+                case 'boolean':
+                    $property['type'] = 'boolean';
+                    break;
+                case 'enum':
+                    $property['type'] = 'string';
+                    $property['enum'] = $parameter['options'];
+                    break;
+                case 'json':
+                    break;
+                default:
+                    $property['type'] = 'string';
+                    if (isset($parameter['min'])) {
+                        $property['minLength'] = $parameter['min'];
+                    }
+                    if (isset($parameter['max'])) {
+                        $property['maxLength'] = $parameter['max'];
+                    }
+                    if (isset($parameter['pattern'])) {
+                        $property['pattern'] = $parameter['pattern'];
+                    }
+            }
+
+            if (array_key_exists('default', $parameter)) {
+                $result = $this->coerce(array_merge($parameter, ['required' => false]), $parameter['default']);
+                if (array_key_exists('value', $result)) {
+                    $property['default'] = $result['value'];
+                }
+            } elseif ($parameter['required']) {
+                $required[] = $parameter['name'];
+            }
+
+            $properties[$parameter['name']] = $property;
+        }
+
+        return [
+            'type' => 'object',
+            'properties' => (object)$properties,
+            'required' => $required,
+        ];
+    }
+
+    private function matches_pattern(string $pattern, string $value): bool {
+        // JavaScript-style patterns, so delimit them here. An invalid pattern doesn't fail runs.
+        $result = @preg_match('/' . str_replace('/', '\/', $pattern) . '/u', $value);
+        return $result !== 0;
+    }
+
+    private function is_blank($value): bool {
+        return $value === null || (is_string($value) && trim($value) === '');
+    }
+}
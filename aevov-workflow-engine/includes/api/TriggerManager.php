@@ -0,0 +1,461 @@
+<?php
+
+namespace AevovWorkflowEngine\API;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Starts saved workflows without anyone at the builder: on a cron schedule, when a signed
+ * request reaches a webhook URL, or when another Aevov plugin fires an event.
+ *
+ * Trigger nodes are copied into the triggers table whenever a workflow is saved, so the
+ * table always describes the latest saved version. The run itself is left to the runner
+ * the gateway passes in, which logs it like any other execution.
+ */
+class TriggerManager {
+
+    public const TYPES = ['schedule', 'webhook', 'event'];
+
+    public const SCHEDULE_HOOK = 'aevov_workflow_run_schedules';
+    public const FIRE_HOOK = 'aevov_workflow_fire_trigger';
+    private const CRON_INTERVAL = 'aevov_workflow_every_minute';
+
+    // Schedules due at the same minute beyond this wait for the next tick
+    private const SCHEDULE_BATCH = 20;
+    private const RECENT_FIRES = 5;
+
+    private \Closure $runner;
+    // Events raised by a triggered run don't start more runs in the same request
+    private bool $firing = false;
+
+    /**
+     * @param callable $runner fn(object $trigger, mixed $payload, string $source): array,
+     *                         returning the executor result with its execution_id
+     */
+    public function __construct(callable $runner) {
+        $this->runner = \Closure::fromCallable($runner);
+
+        add_filter('cron_schedules', [$this, 'add_cron_interval']);
+        add_action(self::SCHEDULE_HOOK, [$this, 'run_due_schedules']);
+        add_action(self::FIRE_HOOK, [$this, 'fire_deferred'], 10, 3);
+        add_action('init', [$this, 'ensure_scheduled']);
+        add_action('init', [$this, 'listen_for_events'], 20);
+    }
+
+    public static function is_trigger(array $node): bool {
+        return in_array($node['data']['nodeType'] ?? $node['type'] ?? null, self::TYPES, true);
+    }
+
+    public static function unschedule(): void {
+        wp_clear_scheduled_hook(self::SCHEDULE_HOOK);
+    }
+
+    /**
+     * Aevov events a trigger can listen for, keyed by event name. Each lists the actions
+     * that raise it and names their arguments, which become the trigger payload.
+     */
+    public function events(): array {
+        return apply_filters('aevov_workflow_trigger_events', [
+            'pattern_created' => [
+                'label' => 'Pattern created',
+                'hooks' => [
+                    'aps_patterns_generated' => ['patterns'],
+                    'aevov_image_pattern_registered' => ['pattern_id', 'data'],
+                ],
+            ],
+            'chunk_uploaded' => [
+                'label' => 'Chunk uploaded',
+                'hooks' => [
+                    'bloom_chunk_found' => ['attachment_id'],
+                ],
+            ],
+            'security_threat' => [
+                'label' => 'Security threat received',
+                'hooks' => [
+                    'aevov_security_event_logged' => ['event'],
+                ],
+            ],
+        ]);
+    }
+
+    public function add_cron_interval(array $schedules): array {
+        $schedules[self::CRON_INTERVAL] = [
+            'interval' => MINUTE_IN_SECONDS,
+            'display' => __('Every minute', 'aevov-workflow-engine'),
+        ];
+        return $schedules;
+    }
+
+    // The schedule tick only runs while some saved workflow has an active schedule
+    public function ensure_scheduled(): void {
+        if (get_option('aevov_workflow_has_schedules') && !wp_next_scheduled(self::SCHEDULE_HOOK)) {
+            wp_schedule_event(time(), self::CRON_INTERVAL, self::SCHEDULE_HOOK);
+        }
+    }
+
+    public function listen_for_events(): void {
+        $active = (array)get_option('aevov_workflow_trigger_events', []);
+
+        foreach ($this->events() as $event => $definition) {
+            if (!in_array($event, $active, true)) {
+                continue;
+            }
+            foreach ($definition['hooks'] as $hook => $arguments) {
+                add_action($hook, function (...$values) use ($event, $hook, $arguments) {
+                    $this->on_event($event, $hook, $arguments, $values);
+                }, 20, count($arguments));
+            }
+        }
+    }
+
+    // Runs are deferred to WP-Cron so the plugin raising the event isn't held up
+    private function on_event(string $event, string $hook, array $arguments, array $values): void {
+        if ($this->firing) {
+            return;
+        }
+
+        $payload = ['event' => $event, 'hook' => $hook, 'fired_at' => gmdate('c')];
+        foreach ($arguments as $index => $name) {
+            $payload[$name] = $values[$index] ?? null;
+        }
+        if ($event === 'chunk_uploaded' && isset($payload['attachment_id'])) {
+            $payload['url'] = wp_get_attachment_url((int)$payload['attachment_id']) ?: null;
+        }
+
+        foreach ($this->find_active('event') as $trigger) {
+            if ((json_decode($trigger->config, true)['event'] ?? null) === $event) {
+                wp_schedule_single_event(time(), self::FIRE_HOOK, [(int)$trigger->id, $payload, 'event']);
+            }
+        }
+    }
+
+    public function fire_deferred(int $trigger_id, $payload, string $source): void {
+        $trigger = $this->find($trigger_id);
+        if ($trigger && $trigger->is_active) {
+            $this->fire($trigger, $payload, $source);
+        }
+    }
+
+    public function run_due_schedules(): void {
+        global $wpdb;
+
+        if (!get_option('aevov_workflow_enable_scheduling', true)) {
+            return;
+        }
+
+        $due = $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM {$this->table()}
+             WHERE type = 'schedule' AND is_active = 1 AND next_run IS NOT NULL AND next_run <= %s
+             ORDER BY next_run LIMIT %d",
+            gmdate('Y-m-d H:i:s'),
+            self::SCHEDULE_BATCH
+        ));
+
+        foreach ($due as $trigger) {
+            // Moved on before running, so a slow run can't be picked up by the next tick.
+            // Fires missed while the site was down collapse into this one.
+            $wpdb->update($this->table(), [
+                'next_run' => $this->next_run(json_decode($trigger->config, true) ?: []),
+            ], ['id' => $trigger->id]);
+
+            $this->fire($trigger, [
+                'scheduled_for' => gmdate('c', strtotime($trigger->next_run . ' UTC')),
+                'fired_at' => gmdate('c'),
+            ], 'schedule');
+        }
+    }
+
+    public function receive_webhook(\WP_REST_Request $request): \WP_REST_Response {
+        global $wpdb;
+
+        $trigger = $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$this->table()} WHERE token = %s AND type = 'webhook'",
+            $request->get_param('token')
+        ));
+
+        // Disabled webhooks look the same as unknown ones from outside
+        if (!$trigger || !$trigger->is_active) {
+            return new \WP_REST_Response(['error' => 'Webhook not found'], 404);
+        }
+
+        $body = $request->get_body();
+        $config = json_decode($trigger->config, true) ?: [];
+        if (($config['verifySignature'] ?? true) !== false) {
+            $error = $this->verify_signature($trigger->secret, (string)$request->get_header('x_aevov_signature'), $body);
+            if ($error !== null) {
+                return new \WP_REST_Response(['error' => $error], 401);
+            }
+        }
+
+        $decoded = json_decode($body, true);
+        $result = $this->fire($trigger, [
+            'body' => $body === '' ? null : (json_last_error() === JSON_ERROR_NONE ? $decoded : $body),
+            'query' => $request->get_query_params(),
+            'received_at' => gmdate('c'),
+        ], 'webhook');
+
+        return new \WP_REST_Response([
+            'execution_id' => $result['execution_id'] ?? null,
+            'success' => $result['success'],
+            'outputs' => $result['outputs'] ?? null,
+            'error' => $result['error'] ?? null,
+        ]);
+    }
+
+    /**
+     * Checks an "X-Aevov-Signature: t=<unix time>,v1=<hex>" header, where v1 is the
+     * HMAC-SHA256 of "<t>.<raw body>" keyed with the webhook secret.
+     */
+    private function verify_signature(?string $secret, string $header, string $body): ?string {
+        if ($header === '') {
+            return 'Missing X-Aevov-Signature header';
+        }
+
+        $parts = [];
+        foreach (explode(',', $header) as $part) {
+            [$name, $value] = array_pad(explode('=', trim($part), 2), 2, '');
+            $parts[$name] = $value;
+        }
+        if (empty($parts['t']) || empty($parts['v1']) || !ctype_digit($parts['t'])) {
+            return 'Malformed X-Aevov-Signature header';
+        }
+
+        // Old signatures are refused so a captured request can't be replayed later
+        $tolerance = (int)apply_filters('aevov_workflow_webhook_tolerance', 5 * MINUTE_IN_SECONDS);
+        if (abs(time() - (int)$parts['t']) > $tolerance) {
+            return 'Signature timestamp is too old';
+        }
+
+        $expected = hash_hmac('sha256', $parts['t'] . '.' . $body, (string)$secret);
+        return hash_equals($expected, strtolower($parts['v1'])) ? null : 'Signature does not match';
+    }
+
+    public function fire(object $trigger, $payload, string $source): array {
+        global $wpdb;
+
+        $wpdb->update($this->table(), ['last_fired' => gmdate('Y-m-d H:i:s')], ['id' => $trigger->id]);
+
+        $this->firing = true;
+        try {
+            $result = ($this->runner)($trigger, $payload, $source);
+        } finally {
+            $this->firing = false;
+        }
+
+        do_action('aevov_workflow_trigger_fired', $trigger->workflow_id, $trigger->node_id, $source, $result);
+        return $result;
+    }
+
+    // Copies the trigger nodes of a saved graph into the table, keeping webhook URLs stable
+    public function sync(string $workflow_id, array $workflow, int $user_id): void {
+        global $wpdb;
+
+        $existing = [];
+        foreach ($this->find_for_workflow($workflow_id) as $row) {
+            $existing[$row->node_id] = $row;
+        }
+
+        foreach ($workflow['nodes'] ?? [] as $node) {
+            if (!self::is_trigger($node)) {
+                continue;
+            }
+
+            $type = $node['data']['nodeType'] ?? $node['type'];
+            $config = $node['data']['config'] ?? [];
+            $row = $existing[$node['id']] ?? null;
+            unset($existing[$node['id']]);
+
+            $data = [
+                'type' => $type,
+                'config' => wp_json_encode($config),
+                'is_active' => (int)(($config['enabled'] ?? true) !== false),
+                'user_id' => $user_id,
+            ];
+
+            if ($type !== 'webhook') {
+                $data['token'] = null;
+                $data['secret'] = null;
+            } elseif (!$row || !$row->token) {
+                $data['token'] = bin2hex(random_bytes(16));
+                $data['secret'] = bin2hex(random_bytes(32));
+            }
+
+            // An unchanged schedule keeps its next run rather than skipping ahead
+            $unchanged = $row && $row->type === $type && $row->config === $data['config'] && (int)$row->is_active === $data['is_active'];
+            if ($type !== 'schedule' || !$data['is_active']) {
+                $data['next_run'] = null;
+            } elseif (!$unchanged || $row->next_run === null) {
+                $data['next_run'] = $this->next_run($config);
+            }
+
+            if ($row) {
+                $wpdb->update($this->table(), $data, ['id' => $row->id]);
+            } else {
+                $wpdb->insert($this->table(), $data + [
+                    'workflow_id' => $workflow_id,
+                    'node_id' => $node['id'],
+                    'created_at' => current_time('mysql'),
+                ]);
+            }
+        }
+
+        // Whatever is left was deleted from the graph
+        foreach ($existing as $row) {
+            $wpdb->delete($this->table(), ['id' => $row->id]);
+        }
+
+        $this->refresh();
+    }
+
+    public function remove(string $workflow_id): void {
+        global $wpdb;
+
+        $wpdb->delete($this->table(), ['workflow_id' => $workflow_id]);
+        $this->refresh();
+    }
+
+    // Webhook URLs stop working as soon as a new secret is issued
+    public function rotate_secret(string $workflow_id, string $node_id): ?array {
+        global $wpdb;
+
+        $trigger = $this->find_node($workflow_id, $node_id);
+        if (!$trigger || $trigger->type !== 'webhook') {
+            return null;
+        }
+
+        $wpdb->update($this->table(), [
+            'token' => bin2hex(random_bytes(16)),
+            'secret' => bin2hex(random_bytes(32)),
+        ], ['id' => $trigger->id]);
+
+        return $this->format($this->find((int)$trigger->id));
+    }
+
+    public function find_node(string $workflow_id, string $node_id): ?object {
+        global $wpdb;
+
+        return $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$this->table()} WHERE workflow_id = %s AND node_id = %s",
+            $workflow_id,
+            $node_id
+        ));
+    }
+
+    public function list_for_workflow(string $workflow_id): array {
+        return array_map([$this, 'format'], $this->find_for_workflow($workflow_id));
+    }
+
+    private function format(object $trigger): array {
+        global $wpdb;
+        $config = json_decode($trigger->config, true) ?: [];
+
+        $fires = $wpdb->get_results($wpdb->prepare(
+            "SELECT id, status, trigger_source, error, execution_time, created_at
+             FROM {$wpdb->prefix}aevov_workflow_executions
+             WHERE workflow_id = %s AND trigger_node = %s ORDER BY id DESC LIMIT %d",
+            $trigger->workflow_id,
+            $trigger->node_id,
+            self::RECENT_FIRES
+        ));
+
+        $formatted = [
+            'node_id' => $trigger->node_id,
+            'type' => $trigger->type,
+            'active' => (bool)$trigger->is_active,
+            'next_run' => $trigger->next_run ? gmdate('c', strtotime($trigger->next_run . ' UTC')) : null,
+            'last_fired' => $trigger->last_fired ? gmdate('c', strtotime($trigger->last_fired . ' UTC')) : null,
+            'error' => null,
+            'recent_fires' => array_map(fn($fire) => [
+                'execution_id' => (int)$fire->id,
+                'status' => $fire->status,
+                'source' => $fire->trigger_source,
+                'error' => $fire->error,
+                'execution_time' => $fire->execution_time !== null ? (float)$fire->execution_time : null,
+                'created_at' => $fire->created_at,
+            ], $fires),
+        ];
+
+        if ($trigger->type === 'schedule') {
+            try {
+                new CronExpression((string)($config['cron'] ?? ''));
+            } catch (\InvalidArgumentException $e) {
+                $formatted['error'] = $e->getMessage();
+            }
+        }
+        if ($trigger->type === 'webhook') {
+            $formatted['webhook_url'] = rest_url('aevov-workflow/v1/hooks/' . $trigger->token);
+            $formatted['secret'] = $trigger->secret;
+        }
+        if ($trigger->type === 'event') {
+            $events = $this->events();
+            $event = (string)($config['event'] ?? '');
+            $formatted['event'] = $event;
+            if (!isset($events[$event])) {
+                $formatted['error'] = $event === '' ? 'No event selected' : "Unknown event \"{$event}\"";
+            }
+        }
+
+        return $formatted;
+    }
+
+    // Next fire time in UTC, or null when the expression is invalid
+    private function next_run(array $config): ?string {
+        try {
+            return (new CronExpression((string)($config['cron'] ?? '')))
+                ->next(new \DateTimeImmutable('now', wp_timezone()))
+                ->setTimezone(new \DateTimeZone('UTC'))
+                ->format('Y-m-d H:i:s');
+        } catch (\InvalidArgumentException $e) {
+            return null;
+        }
+    }
+
+    // Keeps the tick and the event listeners limited to what saved workflows use
+    private function refresh(): void {
+        $events = array_values(array_unique(array_filter(array_map(
+            fn($trigger) => json_decode($trigger->config, true)['event'] ?? null,
+            $this->find_active('event')
+        ))));
+        update_option('aevov_workflow_trigger_events', $events);
+
+        $has_schedules = !empty(array_filter($this->find_active('schedule'), fn($trigger) => $trigger->next_run !== null));
+        update_option('aevov_workflow_has_schedules', $has_schedules);
+
+        if ($has_schedules) {
+            $this->ensure_scheduled();
+        } else {
+            self::unschedule();
+        }
+    }
+
+    private function find(int $id): ?object {
+        global $wpdb;
+
+        return $wpdb->get_row($wpdb->prepare("SELECT * FROM {$this->table()} WHERE id = %d", $id));
+    }
+
+    private function find_for_workflow(string $workflow_id): array {
+        global $wpdb;
+
+        return $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM {$this->table()} WHERE workflow_id = %s ORDER BY id",
+            $workflow_id
+        ));
+    }
+
+    private function find_active(string $type): array {
+        global $wpdb;
+
+        return $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM {$this->table()} WHERE type = %s AND is_active = 1",
+            $type
+        ));
+    }
+
+    private function table(): string {
+        global $wpdb;
+        return $wpdb->prefix . 'aevov_workflow_triggers';
+    }
+}
@@ -8,21 +8,84 @@ if (!defined('ABSPATH')) {
 
 class WorkflowExecutor {
 
+    // Limits on per-node error policies, as in src/lib/errorPolicy.ts
+    private const MAX_ATTEMPTS = 10;
+    private const MAX_RETRY_DELAY_MS = 60000;
+    private const MAX_NODE_TIMEOUT = 300;
+    private const MAX_LOOP_ITERATIONS = 1000;
+    private const MAX_LOOP_CONCURRENCY = 16;
+
     private array $capabilities;
-    private array $node_outputs = [];
+    private CredentialVault $credentials;
+    private ExecutionScope $root;
+    // Latest output of every node, loop bodies included, for the result
+    private array $all_outputs = [];
+    private array $run_inputs = [];
+    private ?string $fired_trigger = null;
     private array $execution_log = [];
     private int $max_execution_time;
     private float $start_time;
-
-    public function __construct(array $capabilities) {
+    private $event_listener = null;
+    private bool $cancelled = false;
+    // The result a failed node, a cancellation or the time limit ended the run with
+    private ?array $halted = null;
+    private $debugger = null;
+    private array $breakpoints = [];
+    private bool $step = false;
+    private bool $stepping = false;
+    private float $paused_time = 0.0;
+    private int $request_count = 0;
+    private array $node_map = [];
+    private array $incoming_edges = [];
+
+    public function __construct(array $capabilities, ?CredentialVault $credentials = null) {
         $this->capabilities = $capabilities;
+        $this->credentials = $credentials ?? new CredentialVault();
         $this->max_execution_time = (int)get_option('aevov_workflow_max_execution_time', 300);
     }
 
-    public function execute(array $workflow, array $inputs = []): array {
+    // Receives node_started, node_output, node_error, node_retry, node_skipped, node_paused and log events
+    public function set_event_listener(?callable $listener): void {
+        $this->event_listener = $listener;
+    }
+
+    // Called with the node id and inputs before each breakpointed node, and before every
+    // node while stepping. Blocks until the client answers with
+    // ['action' => 'continue'|'step'|'stop', 'outputs' => [node id => edited output]].
+    public function set_debugger(?callable $debugger, array $breakpoints = [], bool $step = false): void {
+        $this->debugger = $debugger;
+        $this->breakpoints = array_fill_keys($breakpoints, true);
+        $this->step = $step;
+    }
+
+    public function cancel(): void {
+        $this->cancelled = true;
+    }
+
+    // $fired_trigger names the trigger node that started an unattended run; the other
+    // trigger nodes, and whatever only they lead to, are skipped
+    public function execute(array $workflow, array $inputs = [], ?string $fired_trigger = null): array {
         $this->start_time = microtime(true);
-        $this->node_outputs = [];
+        $this->root = new ExecutionScope();
+        $this->all_outputs = $inputs;
+        $this->run_inputs = $inputs;
+        $this->fired_trigger = $fired_trigger;
         $this->execution_log = [];
+        $this->cancelled = false;
+        $this->halted = null;
+        $this->stepping = $this->step;
+        $this->paused_time = 0.0;
+
+        // Saved workflows keep their sub-workflows; the builder sends its runs already inlined
+        try {
+            $workflow = CompositeFlattener::flatten($workflow);
+        } catch (\InvalidArgumentException $e) {
+            return [
+                'success' => false,
+                'error' => $e->getMessage(),
+                'log' => $this->execution_log,
+            ];
+        }
 
         $nodes = $workflow['nodes'] ?? [];
         $edges = $workflow['edges'] ?? [];
@@ -41,14 +104,15 @@ class WorkflowExecutor {
         }
 
         $incoming_edges = [];
-        $outgoing_edges = [];
         foreach ($edges as $edge) {
             $incoming_edges[$edge['target']][] = $edge;
-            $outgoing_edges[$edge['source']][] = $edge;
         }
 
-        $execution_order = $this->topological_sort($nodes, $edges);
-        if ($execution_order === null) {
+        $this->node_map = $node_map;
+        $this->incoming_edges = $incoming_edges;
+
+        $plan = $this->plan(array_column($nodes, 'id'), $edges);
+        if ($plan === null) {
             return [
                 'success' => false,
                 'error' => 'Workflow contains circular dependencies',
@@ -56,38 +120,9 @@ class WorkflowExecutor {
             ];
         }
 
-        // Initialize with provided inputs
-        $this->node_outputs = $inputs;
-
-        foreach ($execution_order as $node_id) {
-            if ($this->is_timeout()) {
-                return [
-                    'success' => false,
-                    'error' => 'Workflow execution timed out',
-                    'partial_outputs' => $this->node_outputs,
-                    'log' => $this->execution_log,
-                ];
-            }
-
-            $node = $node_map[$node_id];
-            $label = $node['data']['label'] ?? $node_id;
-            $this->log("Executing node: {$label}");
-
-            try {
-                $node_inputs = $this->gather_inputs($node_id, $incoming_edges);
-                $output = $this->execute_node($node, $node_inputs);
-                $this->node_outputs[$node_id] = $output;
-                $this->log("Node {$label} completed", ['output_keys' => array_keys($output)]);
-            } catch (\Exception $e) {
-                $this->log("Node {$label} failed: " . $e->getMessage(), [], 'error');
-                return [
-                    'success' => false,
-                    'error' => "Node '{$label}' failed: " . $e->getMessage(),
-                    'failed_node' => $node_id,
-                    'partial_outputs' => $this->node_outputs,
-                    'log' => $this->execution_log,
-                ];
-            }
+        $this->drive($this->run_plan($plan, $this->root));
+        if ($this->halted !== null) {
+            return $this->halted;
         }
 
         // Collect outputs from output nodes
@@ -97,12 +132,12 @@ class WorkflowExecutor {
 
         $final_outputs = [];
         foreach ($output_nodes as $node) {
-            $final_outputs[$node['id']] = $this->node_outputs[$node['id']] ?? null;
+            $final_outputs[$node['id']] = $this->root->output($node['id']);
         }
 
         if (empty($final_outputs)) {
-            $last_node = end($execution_order);
-            $final_outputs['result'] = $this->node_outputs[$last_node] ?? null;
+            $last_node = $this->root->finished ? end($this->root->finished) : end($plan['order']);
+            $final_outputs['result'] = $this->root->output($last_node);
         }
 
         $execution_time = microtime(true) - $this->start_time;
@@ -111,80 +146,632 @@ class WorkflowExecutor {
         return [
             'success' => true,
             'outputs' => $final_outputs,
-            'all_outputs' => $this->node_outputs,
+            'all_outputs' => $this->all_outputs,
             'execution_time' => $execution_time,
             'log' => $this->execution_log,
         ];
     }
 
-    private function topological_sort(array $nodes, array $edges): ?array {
-        $in_degree = [];
-        $adjacency = [];
+    // Cycles are only allowed through a loop node: the rest of the cycle becomes that
+    // loop's body, planned recursively so nested loops work too. As plan() in
+    // src/engine/executor.ts, loops stand in for their whole cycle in 'dependencies'.
+    private function plan(array $ids, array $edges): ?array {
+        $id_set = array_fill_keys($ids, true);
+        $sub_edges = array_values(array_filter($edges, fn($edge) => isset($id_set[$edge['source']], $id_set[$edge['target']])));
+        $representative = [];
+        $loops = [];
+
+        foreach ($this->strongly_connected_components($ids, $sub_edges) as $component) {
+            $first = $component[0];
+            $self_loop = array_filter($sub_edges, fn($edge) => $edge['source'] === $first && $edge['target'] === $first);
+            if (count($component) === 1 && !$self_loop) {
+                $representative[$first] = $first;
+                continue;
+            }
 
-        foreach ($nodes as $node) {
-            $in_degree[$node['id']] = 0;
-            $adjacency[$node['id']] = [];
+            $loop_id = null;
+            foreach ($component as $id) {
+                if ($this->node_type($this->node_map[$id]) === 'loop') {
+                    $loop_id = $id;
+                    break;
+                }
+            }
+            if ($loop_id === null) {
+                return null;
+            }
+
+            $body_ids = array_values(array_filter($component, fn($id) => $id !== $loop_id));
+            $body = $this->plan($body_ids, $sub_edges);
+            if ($body === null) {
+                return null;
+            }
+
+            foreach ($component as $id) {
+                $representative[$id] = $loop_id;
+            }
+            $loops[$loop_id] = [
+                'body' => $body,
+                'back_edges' => array_values(array_filter(
+                    $sub_edges,
+                    fn($edge) => $edge['target'] === $loop_id && in_array($edge['source'], $body_ids, true)
+                )),
+            ];
         }
 
-        foreach ($edges as $edge) {
-            if (isset($in_degree[$edge['target']])) {
-                $in_degree[$edge['target']]++;
+        $units = array_values(array_filter($ids, fn($id) => $representative[$id] === $id));
+        $in_degree = array_fill_keys($units, 0);
+        $adjacency = array_fill_keys($units, []);
+        $dependencies = array_fill_keys($units, []);
+        foreach ($sub_edges as $edge) {
+            $from = $representative[$edge['source']];
+            $to = $representative[$edge['target']];
+            if ($from === $to) {
+                continue;
             }
-            if (isset($adjacency[$edge['source']])) {
+            $adjacency[$from][] = $to;
+            $in_degree[$to]++;
+            if (!in_array($from, $dependencies[$to], true)) {
+                $dependencies[$to][] = $from;
+            }
+        }
+
+        $queue = array_values(array_filter($units, fn($id) => $in_degree[$id] === 0));
+        $order = [];
+        while (!empty($queue)) {
+            $id = array_shift($queue);
+            $order[] = $id;
+
+            foreach ($adjacency[$id] as $next) {
+                $in_degree[$next]--;
+                if ($in_degree[$next] === 0) {
+                    $queue[] = $next;
+                }
+            }
+        }
+
+        if (count($order) !== count($units)) {
+            return null;
+        }
+        return ['order' => $order, 'dependencies' => $dependencies, 'loops' => $loops];
+    }
+
+    // Tarjan's algorithm, iterative so deep chains don't overflow the stack
+    private function strongly_connected_components(array $ids, array $edges): array {
+        $adjacency = array_fill_keys($ids, []);
+        foreach ($edges as $edge) {
+            if (isset($adjacency[$edge['source']], $adjacency[$edge['target']])) {
                 $adjacency[$edge['source']][] = $edge['target'];
             }
         }
 
-        $queue = [];
-        foreach ($in_degree as $node_id => $degree) {
-            if ($degree === 0) {
-                $queue[] = $node_id;
+        $index = 0;
+        $indices = [];
+        $low_links = [];
+        $on_stack = [];
+        $stack = [];
+        $components = [];
+
+        foreach ($ids as $root) {
+            if (isset($indices[$root])) {
+                continue;
+            }
+
+            $work = [[$root, 0]];
+            $indices[$root] = $low_links[$root] = $index++;
+            $stack[] = $root;
+            $on_stack[$root] = true;
+
+            while (!empty($work)) {
+                $top = count($work) - 1;
+                [$id, $next] = $work[$top];
+
+                if ($next < count($adjacency[$id])) {
+                    $work[$top][1]++;
+                    $neighbor = $adjacency[$id][$next];
+                    if (!isset($indices[$neighbor])) {
+                        $indices[$neighbor] = $low_links[$neighbor] = $index++;
+                        $stack[] = $neighbor;
+                        $on_stack[$neighbor] = true;
+                        $work[] = [$neighbor, 0];
+                    } elseif (isset($on_stack[$neighbor])) {
+                        $low_links[$id] = min($low_links[$id], $indices[$neighbor]);
+                    }
+                    continue;
+                }
+
+                array_pop($work);
+                if (!empty($work)) {
+                    $parent = $work[count($work) - 1][0];
+                    $low_links[$parent] = min($low_links[$parent], $low_links[$id]);
+                }
+
+                if ($low_links[$id] === $indices[$id]) {
+                    $component = [];
+                    do {
+                        $member = array_pop($stack);
+                        unset($on_stack[$member]);
+                        $component[] = $member;
+                    } while ($member !== $id);
+                    $components[] = array_reverse($component);
+                }
             }
         }
 
-        $sorted = [];
-        while (!empty($queue)) {
-            $node_id = array_shift($queue);
-            $sorted[] = $node_id;
+        return $components;
+    }
 
-            foreach ($adjacency[$node_id] as $neighbor) {
-                $in_degree[$neighbor]--;
-                if ($in_degree[$neighbor] === 0) {
-                    $queue[] = $neighbor;
+    // Runs the coroutines below to the end. They yield the HTTP requests they wait on,
+    // keyed uniquely, and are resumed with the responses under the same keys.
+    private function drive(\Generator $run): void {
+        while ($run->valid()) {
+            $run->send($this->send_requests($run->current()));
+        }
+    }
+
+    // Each unit starts once what it depends on has finished, so independent branches
+    // run side by side. Under the debugger a run goes one node at a time.
+    private function run_plan(array $plan, ExecutionScope $scope): \Generator {
+        if ($this->debugger !== null) {
+            foreach ($plan['order'] as $id) {
+                yield from $this->run_unit($id, $plan, $scope);
+                if ($this->halted !== null) {
+                    return;
                 }
             }
+            return;
         }
 
-        return count($sorted) === count($nodes) ? $sorted : null;
+        $started = [];
+        $done = [];
+        yield from $this->together(
+            function() use ($plan, $scope, &$started, &$done) {
+                $ready = [];
+                foreach ($plan['order'] as $id) {
+                    if (!isset($started[$id]) && $this->is_ready($id, $plan, $scope, $done)) {
+                        $started[$id] = true;
+                        $ready[$id] = $this->run_unit($id, $plan, $scope);
+                    }
+                }
+                return $ready;
+            },
+            function($id) use (&$done) {
+                $done[$id] = true;
+            }
+        );
     }
 
-    private function gather_inputs(string $node_id, array $incoming_edges): array {
-        $inputs = [];
+    // Runs coroutines side by side: the requests all of them wait on go out together,
+    // and each is resumed as soon as they are answered. Only HTTP requests overlap;
+    // capabilities run in this process and delays sleep, holding up the other branches.
+    // $next returns the coroutines that can start, and is asked again whenever one
+    // finishes; $finished gets the key of each that finished.
+    private function together(callable $next, callable $finished): \Generator {
+        $running = [];
+        $moved = $next();
+
+        while ($this->halted === null) {
+            $more = false;
+            foreach ($moved as $key => $coroutine) {
+                // valid() also starts a coroutine that hasn't run yet
+                if ($coroutine->valid()) {
+                    $running[$key] = $coroutine;
+                    continue;
+                }
+                unset($running[$key]);
+                if ($this->halted !== null) {
+                    return;
+                }
+                $finished($key);
+                $more = true;
+            }
+
+            $moved = $more ? $next() : [];
+            if (!empty($moved)) {
+                continue;
+            }
+            if (empty($running)) {
+                return;
+            }
+
+            $requests = [];
+            $owners = [];
+            foreach ($running as $key => $coroutine) {
+                foreach ($coroutine->current() as $request_key => $request) {
+                    $requests[$request_key] = $request;
+                    $owners[$request_key] = $key;
+                }
+            }
+            $responses = yield $requests;
+
+            // Resumed in the order their responses came back, so merges see branches in the order they finished
+            foreach (array_keys($responses) as $request_key) {
+                $key = $owners[$request_key];
+                if (isset($moved[$key])) {
+                    continue;
+                }
+                $moved[$key] = $running[$key];
+                $running[$key]->send(array_intersect_key($responses, array_filter($owners, fn($owner) => $owner === $key)));
+                if ($this->halted !== null) {
+                    return;
+                }
+            }
+        }
+    }
+
+    // Whether a unit can start: once what it depends on has finished, or for merge
+    // nodes that only wait for some branches, once enough of them have arrived
+    private function is_ready(string $id, array $plan, ExecutionScope $scope, array $done): bool {
+        $waiting = array_filter($plan['dependencies'][$id], fn($dependency) => !isset($done[$dependency]));
+        if (empty($waiting)) {
+            return true;
+        }
+
+        $quorum = $this->merge_quorum($id);
+        return $quorum !== null && count($this->arrived_edges($id, $scope)) >= $quorum;
+    }
+
+    private function run_unit(string $node_id, array $plan, ExecutionScope $scope): \Generator {
+        if ($this->cancelled) {
+            $this->halted = $this->cancelled_result();
+            return;
+        }
+
+        if ($this->is_timeout()) {
+            $this->halted = [
+                'success' => false,
+                'error' => 'Workflow execution timed out',
+                'partial_outputs' => $this->all_outputs,
+                'log' => $this->execution_log,
+            ];
+            return;
+        }
+
+        $node = $this->node_map[$node_id];
+        $label = $node['data']['label'] ?? $node_id;
+        $loop = $plan['loops'][$node_id] ?? null;
+        $exclude = $loop['back_edges'] ?? [];
+
+        if ($this->fired_trigger !== null && $node_id !== $this->fired_trigger && TriggerManager::is_trigger($node)) {
+            $scope->skipped[$node_id] = true;
+            $this->log("Skipping trigger: {$label}");
+            $this->emit('node_skipped', ['node_id' => $node_id, 'reason' => 'Another trigger started this run']);
+            return;
+        }
+
+        if ($this->is_unreachable($node_id, $scope, $exclude)) {
+            $scope->skipped[$node_id] = true;
+            $this->log("Skipping node: {$label}");
+            $this->emit('node_skipped', ['node_id' => $node_id, 'reason' => 'No active incoming branch']);
+            return;
+        }
+
+        if ($this->debugger !== null && ($this->stepping || isset($this->breakpoints[$node_id]))) {
+            $this->pause($node_id, $scope, $exclude);
+            if ($this->cancelled) {
+                $this->halted = $this->cancelled_result();
+                return;
+            }
+        }
+
+        $started = microtime(true);
+        $ended = null;
+        $this->log("Executing node: {$label}", ['node_id' => $node_id]);
+        $this->emit('node_started', ['node_id' => $node_id]);
+
+        // A loop's failures are its body nodes', handled by their own policies
+        $policy = $this->error_policy($loop === null ? $node : []);
+        try {
+            if ($loop === null) {
+                $node_inputs = $this->gather_inputs($node_id, $scope);
+                $output = yield from $this->execute_with_retries($node, $node_inputs, $scope, $policy, $ended);
+            } else {
+                $output = yield from $this->run_loop($node_id, $loop, $scope);
+            }
+        } catch (\Exception $e) {
+            if ($policy['on_error'] === 'stop') {
+                $this->log("Node {$label} failed: " . $e->getMessage(), $this->timing($node_id, $started, $ended), 'error');
+                $this->emit('node_error', ['node_id' => $node_id, 'error' => $e->getMessage()]);
+                $this->halted = [
+                    'success' => false,
+                    'error' => "Node '{$label}' failed: " . $e->getMessage(),
+                    'failed_node' => $node_id,
+                    'partial_outputs' => $this->all_outputs,
+                    'log' => $this->execution_log,
+                ];
+                return;
+            }
+
+            $payload = [
+                'message' => $e->getMessage(),
+                'node_id' => $node_id,
+                'attempts' => $policy['max_attempts'],
+            ];
+            $this->log(
+                $policy['on_error'] === 'continue'
+                    ? "Node {$label} failed, continuing with its default value: " . $e->getMessage()
+                    : "Node {$label} failed, taking its error branch: " . $e->getMessage(),
+                [],
+                'warning'
+            );
+            $this->emit('node_error', ['node_id' => $node_id, 'error' => $e->getMessage(), 'recovered' => true]);
+            $scope->failed[$node_id] = $policy['on_error'];
+            $output = $policy['on_error'] === 'continue'
+                ? ['output' => $policy['default_value'], 'error' => $payload]
+                : ['error' => $payload];
+        }
+
+        // A loop whose body failed the run doesn't report back
+        if ($this->halted !== null) {
+            return;
+        }
+
+        $scope->outputs[$node_id] = $output;
+        $scope->finished[] = $node_id;
+        $this->all_outputs[$node_id] = $output;
+        $timing = $this->timing($node_id, $started, $ended);
+        $this->log(
+            "Node {$label} completed in " . number_format($timing['duration'], 3) . 's',
+            array_merge($timing, ['output_keys' => array_keys($output)])
+        );
+        $this->emit('node_output', ['node_id' => $node_id, 'output' => $output]);
+    }
+
+    // Start and duration of a node, in seconds since the run began, for the log's timeline
+    private function timing(string $node_id, float $started, ?float $ended = null): array {
+        return [
+            'node_id' => $node_id,
+            'started' => round($started - $this->start_time, 3),
+            'duration' => round(($ended ?? microtime(true)) - $started, 3),
+        ];
+    }
+
+    private function pause(string $node_id, ExecutionScope $scope, array $exclude): void {
+        $label = $this->node_map[$node_id]['data']['label'] ?? $node_id;
+        $this->log("Paused before node: {$label}");
+        $this->emit('node_paused', [
+            'node_id' => $node_id,
+            'inputs' => $this->gather_inputs($node_id, $scope, $exclude),
+        ]);
+
+        $paused_at = microtime(true);
+        $command = call_user_func($this->debugger, $node_id);
+        $this->paused_time += microtime(true) - $paused_at;
+
+        // Edited outputs replace what finished nodes produced, so the next inputs read them
+        foreach ((array)($command['outputs'] ?? []) as $edited_id => $output) {
+            if (!isset($this->node_map[$edited_id]) || !$scope->has_output($edited_id)) {
+                continue;
+            }
+            $edited = is_array($output) ? $output : ['output' => $output];
+            $scope->replace($edited_id, $edited);
+            $this->all_outputs[$edited_id] = $edited;
+            $this->log('Output of ' . ($this->node_map[$edited_id]['data']['label'] ?? $edited_id) . ' edited', [], 'warning');
+            $this->emit('node_output', ['node_id' => $edited_id, 'output' => $edited]);
+        }
 
-        if (isset($incoming_edges[$node_id])) {
-            foreach ($incoming_edges[$node_id] as $edge) {
-                $source_output = $this->node_outputs[$edge['source']] ?? [];
-                $source_handle = $edge['sourceHandle'] ?? 'output';
-                $target_handle = $edge['targetHandle'] ?? 'input';
+        $action = $command['action'] ?? 'continue';
+        if ($action === 'stop') {
+            $this->cancel();
+        }
+        $this->stepping = $action === 'step';
+    }
+
+    private function cancelled_result(): array {
+        $this->log('Workflow execution cancelled', [], 'warning');
+        return [
+            'success' => false,
+            'cancelled' => true,
+            'error' => 'Workflow execution cancelled',
+            'partial_outputs' => $this->all_outputs,
+            'log' => $this->execution_log,
+        ];
+    }
+
+    // Each iteration gets its own scope over the enclosing one, and up to `concurrency`
+    // of them run at once; results keep the order of the items
+    private function run_loop(string $loop_id, array $loop, ExecutionScope $scope): \Generator {
+        $node = $this->node_map[$loop_id];
+        $config = $node['data']['config'] ?? [];
+        $inputs = $this->gather_inputs($loop_id, $scope, $loop['back_edges']);
 
-                if (is_array($source_output) && isset($source_output[$source_handle])) {
-                    $inputs[$target_handle] = $source_output[$source_handle];
-                } else {
-                    $inputs[$target_handle] = $source_output;
+        if (empty($loop['body']['order'])) {
+            return $this->execute_loop($inputs, $config);
+        }
+
+        $items = array_values($this->loop_items($inputs, $config));
+        $concurrency = $this->debugger !== null
+            ? 1
+            : max(1, min(self::MAX_LOOP_CONCURRENCY, intval($config['concurrency'] ?? 1)));
+        $label = $node['data']['label'] ?? $loop_id;
+        $results = [];
+        $iterations = [];
+        $next = 0;
+
+        yield from $this->together(
+            function() use ($loop_id, $loop, $scope, $items, $concurrency, $label, &$iterations, &$next) {
+                $ready = [];
+                while (count($iterations) < $concurrency && $next < count($items)) {
+                    $index = $next++;
+                    $this->log("Loop {$label} iteration " . ($index + 1) . '/' . count($items));
+
+                    $iteration = new ExecutionScope($scope);
+                    $iteration->outputs[$loop_id] = ['output' => $items[$index], 'item' => $items[$index], 'index' => $index];
+                    $iterations[$index] = $iteration;
+                    $ready[$index] = $this->run_plan($loop['body'], $iteration);
+                }
+                return $ready;
+            },
+            function($index) use ($loop, &$iterations, &$results) {
+                $values = [];
+                foreach ($loop['back_edges'] as $edge) {
+                    if (!$this->is_inactive_edge($edge, $iterations[$index])) {
+                        $output = $iterations[$index]->output($edge['source']) ?? [];
+                        $values[] = $this->read_handle($output, $edge['sourceHandle'] ?? 'output');
+                    }
                 }
+                $results[$index] = count($values) <= 1 ? ($values[0] ?? null) : $values;
+                unset($iterations[$index]);
+            }
+        );
+
+        ksort($results);
+        return ['output' => array_values($results), 'count' => count($results)];
+    }
+
+    // Unreachable: every incoming edge is inactive
+    private function is_unreachable(string $node_id, ExecutionScope $scope, array $exclude = []): bool {
+        $edges = array_filter($this->incoming_edges[$node_id] ?? [], fn($edge) => !in_array($edge, $exclude, true));
+        if (empty($edges)) {
+            return false;
+        }
+
+        foreach ($edges as $edge) {
+            if (!$this->is_inactive_edge($edge, $scope)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    // Edges from a skipped node, from the branch a condition did not take, or from
+    // the side of a node's error policy that does not apply
+    private function is_inactive_edge(array $edge, ExecutionScope $scope): bool {
+        if ($scope->is_skipped($edge['source'])) {
+            return true;
+        }
+
+        $source_output = $scope->output($edge['source']);
+        $source_handle = $edge['sourceHandle'] ?? null;
+        if ($source_handle === 'error') {
+            return $scope->failure($edge['source']) === null;
+        }
+        if ($scope->failure($edge['source']) === 'fallback') {
+            return true;
+        }
+
+        return in_array($source_handle, ['true', 'false'], true)
+            && is_array($source_output)
+            && !array_key_exists($source_handle, $source_output);
+    }
+
+    private function gather_inputs(string $node_id, ExecutionScope $scope, array $exclude = []): array {
+        $inputs = [];
+
+        foreach ($this->incoming_edges[$node_id] ?? [] as $edge) {
+            if (in_array($edge, $exclude, true)) {
+                continue;
             }
+
+            $source_handle = $edge['sourceHandle'] ?? 'output';
+            $target_handle = $edge['targetHandle'] ?? 'input';
+
+            // The error output only carries something once its node failed, and
+            // nothing else does after a failure taking the error branch
+            $failure = $scope->failure($edge['source']);
+            if ($source_handle === 'error' ? $failure === null : $failure === 'fallback') {
+                continue;
+            }
+
+            $inputs[$target_handle] = $this->read_handle($scope->output($edge['source']) ?? [], $source_handle);
         }
 
         return $inputs;
     }
 
-    private function execute_node(array $node, array $inputs): array {
-        $node_type = $node['data']['nodeType'] ?? $node['type'] ?? 'unknown';
+    // Value an edge carries: the named output of its source node
+    private function read_handle($source_output, string $source_handle) {
+        return is_array($source_output) && isset($source_output[$source_handle])
+            ? $source_output[$source_handle]
+            : $source_output;
+    }
+
+    // Retries, attempt time limit and failure handling for a node. Missing or invalid
+    // settings fall back to a single attempt that ends the run when it fails.
+    private function error_policy(array $node): array {
+        $policy = $node['data']['errorPolicy'] ?? [];
+        if (!is_array($policy)) {
+            $policy = [];
+        }
+
+        $timeout = (float)($policy['timeout'] ?? 0);
+        $on_error = $policy['onError'] ?? 'stop';
+
+        return [
+            'max_attempts' => max(1, min(self::MAX_ATTEMPTS, (int)($policy['maxAttempts'] ?? 1))),
+            'retry_delay' => max(0, min(self::MAX_RETRY_DELAY_MS, (int)($policy['retryDelay'] ?? 0))),
+            'backoff' => ($policy['backoff'] ?? 'fixed') === 'exponential' ? 'exponential' : 'fixed',
+            'timeout' => $timeout > 0 ? min($timeout, self::MAX_NODE_TIMEOUT) : null,
+            'on_error' => in_array($on_error, ['continue', 'fallback'], true) ? $on_error : 'stop',
+            'default_value' => $policy['defaultValue'] ?? null,
+        ];
+    }
+
+    // $ended is set to when the node's last attempt finished
+    private function execute_with_retries(array $node, array $inputs, ExecutionScope $scope, array $policy, ?float &$ended): \Generator {
+        $label = $node['data']['label'] ?? $node['id'];
+
+        for ($attempt = 1; ; $attempt++) {
+            try {
+                return yield from $this->execute_attempt($node, $inputs, $scope, $policy['timeout'], $ended);
+            } catch (\Exception $e) {
+                if ($attempt >= $policy['max_attempts'] || $this->cancelled || $this->is_timeout()) {
+                    throw $e;
+                }
+
+                $delay = $policy['retry_delay'];
+                if ($policy['backoff'] === 'exponential') {
+                    $delay = min(self::MAX_RETRY_DELAY_MS, $delay * (2 ** ($attempt - 1)));
+                }
+                $this->log(
+                    "Node {$label} failed (attempt {$attempt}/{$policy['max_attempts']}), retrying: " . $e->getMessage(),
+                    ['delay_ms' => $delay],
+                    'warning'
+                );
+                $this->emit('node_retry', [
+                    'node_id' => $node['id'],
+                    'attempt' => $attempt,
+                    'error' => $e->getMessage(),
+                    'delay' => $delay,
+                ]);
+
+                // Never wait past the run's own time limit
+                $remaining = $this->max_execution_time - (microtime(true) - $this->start_time - $this->paused_time);
+                if ($delay > 0) {
+                    usleep((int)min($delay * 1000, max(0, $remaining) * 1000000));
+                }
+            }
+        }
+    }
+
+    // PHP can't interrupt a running node, so the limit goes to HTTP calls as their
+    // timeout and anything else that overran is failed once it returns. An HTTP node
+    // ended when its response arrived, which can be before it is resumed.
+    private function execute_attempt(array $node, array $inputs, ExecutionScope $scope, ?float $timeout, ?float &$ended): \Generator {
+        $started = microtime(true);
+        $ended = null;
+        $output = yield from $this->execute_node($node, $inputs, $scope, $timeout === null ? null : (int)ceil($timeout), $ended);
+        $ended ??= microtime(true);
+
+        if ($timeout !== null && $ended - $started > $timeout) {
+            throw new \Exception("Timed out after {$timeout}s");
+        }
+        return $output;
+    }
+
+    private function execute_node(array $node, array $inputs, ExecutionScope $scope, ?int $timeout, ?float &$ended): \Generator {
+        $node_type = $this->node_type($node);
         $config = $node['data']['config'] ?? [];
 
         switch ($node_type) {
             case 'input':
-                return $this->execute_input($inputs, $config);
+                return $this->execute_input($node['id'], $inputs, $config);
+
+            case 'schedule':
+            case 'webhook':
+            case 'event':
+                // The payload of the trigger that fired, or the sample when run from the builder
+                return ['output' => $this->run_inputs[$node['id']] ?? $config['samplePayload'] ?? null];
 
             case 'output':
                 return $this->execute_output($inputs, $config);
@@ -198,8 +785,11 @@ class WorkflowExecutor {
             case 'loop':
                 return $this->execute_loop($inputs, $config);
 
+            case 'parallel':
+                return ['output' => $inputs['input'] ?? $inputs];
+
             case 'merge':
-                return ['output' => $inputs];
+                return $this->execute_merge($node, $scope);
 
             case 'split':
                 $data = $inputs['input'] ?? [];
@@ -213,7 +803,7 @@ class WorkflowExecutor {
                 return $inputs;
 
             case 'http':
-                return $this->execute_http($inputs, $config);
+                return yield from $this->execute_http($inputs, $config, $timeout, $ended);
 
             case 'code':
                 return $this->execute_code($inputs, $config);
@@ -223,19 +813,82 @@ class WorkflowExecutor {
                 if (isset($this->capabilities[$node_type])) {
                     return $this->execute_capability($node_type, $inputs, $config);
                 }
+
+                // Node types registered in the builder by other plugins run through this filter
+                $output = apply_filters('aevov_workflow_execute_node', null, $node_type, $inputs, $config, $node);
+                if ($output !== null) {
+                    // Like the browser run functions: keyed outputs, or a single value for `output`
+                    $keyed = is_array($output) && $output !== [] && array_keys($output) !== range(0, count($output) - 1);
+                    return $keyed ? $output : ['output' => $output];
+                }
                 throw new \Exception("Unknown node type: {$node_type}");
         }
     }
 
-    private function execute_input(array $inputs, array $config): array {
-        $value = $inputs['value'] ?? $config['defaultValue'] ?? null;
+    private function node_type(array $node): string {
+        return $node['data']['nodeType'] ?? $node['type'] ?? 'unknown';
+    }
 
-        // Parse JSON if configured
-        if (is_string($value) && ($config['inputType'] ?? '') === 'json') {
-            $parsed = json_decode($value, true);
-            if (json_last_error() === JSON_ERROR_NONE) {
-                $value = $parsed;
+    // How many branches a merge node waits for, or null for all of them
+    private function merge_quorum(string $node_id): ?int {
+        $node = $this->node_map[$node_id];
+        if ($this->node_type($node) !== 'merge') {
+            return null;
+        }
+
+        $config = $node['data']['config'] ?? [];
+        $strategy = $config['strategy'] ?? 'all';
+        return $strategy === 'any' ? 1 : ($strategy === 'firstN' ? max(1, intval($config['count'] ?? 2)) : null);
+    }
+
+    // Active edges into a node whose source has finished, earliest first
+    private function arrived_edges(string $node_id, ExecutionScope $scope): array {
+        $arrived = array_values(array_filter(
+            $this->incoming_edges[$node_id] ?? [],
+            fn($edge) => $scope->has_output($edge['source']) && !$this->is_inactive_edge($edge, $scope)
+        ));
+        usort($arrived, fn($a, $b) => $scope->finished_at($a['source']) <=> $scope->finished_at($b['source']));
+        return $arrived;
+    }
+
+    // Branches in the order they finished, cut to what the strategy waits for; keyed
+    // by the label of each branch's last node, or listed in arrival order
+    private function execute_merge(array $node, ExecutionScope $scope): array {
+        $config = $node['data']['config'] ?? [];
+        $quorum = $this->merge_quorum($node['id']);
+
+        $arrived = $this->arrived_edges($node['id'], $scope);
+        if ($quorum !== null) {
+            $arrived = array_slice($arrived, 0, $quorum);
+        }
+
+        $values = array_map(function($edge) use ($scope) {
+            return $this->read_handle($scope->output($edge['source']) ?? [], $edge['sourceHandle'] ?? 'output');
+        }, $arrived);
+
+        if (($config['combine'] ?? 'keyed') === 'array') {
+            return ['output' => $values, 'count' => count($values)];
+        }
+
+        $keyed = [];
+        foreach ($arrived as $index => $edge) {
+            $label = $this->node_map[$edge['source']]['data']['label'] ?? $edge['source'];
+            $key = $label;
+            for ($n = 2; array_key_exists($key, $keyed); $n++) {
+                $key = "{$label} ({$n})";
             }
+            $keyed[$key] = $values[$index];
+        }
+        return ['output' => $keyed, 'count' => count($values)];
+    }
+
+    private function execute_input(string $node_id, array $inputs, array $config): array {
+        // Run inputs are keyed by input node id
+        $value = $this->run_inputs[$node_id] ?? $inputs['value'] ?? $config['defaultValue'] ?? null;
+
+        // Convert text to the declared type, leaving text that doesn't convert as is
+        if (is_string($value)) {
+            $value = InputSchema::convert_text($config['inputType'] ?? 'string', $value);
         }
 
         return ['output' => $value];
@@ -320,24 +973,28 @@ class WorkflowExecutor {
             : ['false' => $input_data, 'output' => $input_data];
     }
 
+    // A loop with nothing connected back to it lists its items
     private function execute_loop(array $inputs, array $config): array {
-        $items = $inputs['items'] ?? $inputs['input'] ?? [];
-        if (!is_array($items)) {
-            $items = [$items];
-        }
-
-        $max = min(1000, intval($config['maxIterations'] ?? 100));
-        $items = array_slice($items, 0, $max);
-
         $results = [];
-        foreach ($items as $index => $item) {
+        foreach ($this->loop_items($inputs, $config) as $index => $item) {
             $results[] = ['index' => $index, 'item' => $item];
         }
 
         return ['output' => $results, 'count' => count($results)];
     }
 
-    private function execute_http(array $inputs, array $config): array {
+    private function loop_items(array $inputs, array $config): array {
+        $items = $inputs['items'] ?? $inputs['input'] ?? [];
+        if (!is_array($items)) {
+            $items = [$items];
+        }
+
+        $max = min(self::MAX_LOOP_ITERATIONS, intval($config['maxIterations'] ?? 100));
+        return array_slice($items, 0, $max);
+    }
+
+    // $ended is set to when the response arrived
+    private function execute_http(array $inputs, array $config, ?int $timeout, ?float &$ended): \Generator {
         $url = $config['url'] ?? '';
         $method = strtoupper($config['method'] ?? 'GET');
         $headers = $config['headers'] ?? [];
@@ -352,10 +1009,18 @@ class WorkflowExecutor {
             throw new \Exception('HTTP URL is required');
         }
 
+        $headers = is_string($headers) ? json_decode($headers, true) : $headers;
+        if (!empty($config['credential'])) {
+            [$headers, $query] = CredentialVault::apply($this->credential($config['credential']), (array)$headers, []);
+            if ($query) {
+                $url = add_query_arg(array_map('rawurlencode', $query), $url);
+            }
+        }
+
         $args = [
             'method' => $method,
-            'timeout' => 30,
-            'headers' => is_string($headers) ? json_decode($headers, true) : $headers,
+            'timeout' => $timeout ?? 30,
+            'headers' => $headers,
         ];
 
         if ($body && in_array($method, ['POST', 'PUT', 'PATCH'])) {
@@ -365,7 +1030,10 @@ class WorkflowExecutor {
             }
         }
 
-        $response = wp_remote_request($url, $args);
+        // Goes out together with the requests of other branches waiting at the same time
+        $key = 'request-' . ++$this->request_count;
+        $responses = yield [$key => ['url' => $url, 'args' => $args]];
+        ['response' => $response, 'completed' => $ended] = $responses[$key];
 
         if (is_wp_error($response)) {
             throw new \Exception('HTTP request failed: ' . $response->get_error_message());
@@ -382,6 +1050,95 @@ class WorkflowExecutor {
         ];
     }
 
+    // A single request goes through wp_remote_request. Several go out at once through
+    // Requests, after the filters wp_remote_request applies, and come back in the
+    // order they completed.
+    private function send_requests(array $requests): array {
+        if (count($requests) === 1) {
+            $key = array_key_first($requests);
+            $response = wp_remote_request($requests[$key]['url'], $requests[$key]['args']);
+            return [$key => ['response' => $response, 'completed' => microtime(true)]];
+        }
+
+        $responses = [];
+        $pending = [];
+        foreach ($requests as $key => ['url' => $url, 'args' => $args]) {
+            $args = apply_filters('http_request_args', wp_parse_args($args, [
+                'redirection' => 5,
+                'user-agent' => 'WordPress/' . get_bloginfo('version') . '; ' . get_bloginfo('url'),
+                'sslverify' => true,
+                'sslcertificates' => ABSPATH . WPINC . '/certificates/ca-bundle.crt',
+            ]), $url);
+            $requests[$key]['args'] = $args;
+
+            $preempted = apply_filters('pre_http_request', false, $args, $url);
+            if ($preempted !== false) {
+                $responses[$key] = ['response' => $preempted, 'completed' => microtime(true)];
+                continue;
+            }
+
+            $pending[$key] = [
+                'url' => $url,
+                'type' => $args['method'],
+                'headers' => $args['headers'] ?? [],
+                'data' => $args['body'] ?? [],
+                'options' => $this->request_options($url, $args),
+            ];
+        }
+        if (empty($pending)) {
+            return $responses;
+        }
+
+        // WordPress before 6.2 bundles Requests 1 without the namespace
+        $requests_class = class_exists('\WpOrg\Requests\Requests') ? '\WpOrg\Requests\Requests' : '\Requests';
+        $completed = [];
+        $results = $requests_class::request_multiple($pending, [
+            'complete' => function($result, $key) use (&$completed) {
+                $completed[$key] = microtime(true);
+            },
+        ]);
+
+        foreach (array_keys($completed + $results) as $key) {
+            ['url' => $url, 'args' => $args] = $requests[$key];
+            $response = $results[$key] instanceof \Exception
+                ? new \WP_Error('http_request_failed', $results[$key]->getMessage())
+                : apply_filters('http_response', (new \WP_HTTP_Requests_Response($results[$key]))->to_array(), $args, $url);
+            $responses[$key] = ['response' => $response, 'completed' => $completed[$key] ?? microtime(true)];
+        }
+        return $responses;
+    }
+
+    // The options WP_Http::request() hands Requests for the same arguments
+    private function request_options(string $url, array $args): array {
+        $options = [
+            'timeout' => $args['timeout'],
+            'useragent' => $args['user-agent'],
+            'redirects' => $args['redirection'],
+            'verify' => $args['sslverify'] ? $args['sslcertificates'] : false,
+        ];
+        if (!$args['sslverify']) {
+            $options['verifyname'] = false;
+        }
+
+        $proxy = new \WP_HTTP_Proxy();
+        if ($proxy->is_enabled() && $proxy->send_through_proxy($url)) {
+            $proxy_class = class_exists('\WpOrg\Requests\Proxy\Http') ? '\WpOrg\Requests\Proxy\Http' : '\Requests_Proxy_HTTP';
+            $options['proxy'] = new $proxy_class($proxy->host() . ':' . $proxy->port());
+            if ($proxy->use_authentication()) {
+                $options['proxy']->use_authentication = true;
+                $options['proxy']->user = $proxy->username();
+                $options['proxy']->pass = $proxy->password();
+            }
+        }
+
+        return $options;
+    }
+
+    // Credentials resolve for the user the run belongs to, so a workflow can't borrow another user's secret
+    private function credential($id): array {
+        return $this->credentials->resolve((string)$id, get_current_user_id());
+    }
+
     private function execute_code(array $inputs, array $config): array {
         // Limited code execution for safety
         $code = $config['code'] ?? '';
@@ -415,6 +1172,16 @@ class WorkflowExecutor {
             $request->set_body_params($params);
         }
 
+        if (!empty($config['credential'])) {
+            [$headers, $query] = CredentialVault::apply($this->credential($config['credential']), [], []);
+            foreach ($headers as $name => $value) {
+                $request->set_header($name, $value);
+            }
+            if ($query) {
+                $request->set_query_params(array_merge($request->get_query_params(), $query));
+            }
+        }
+
         $response = rest_do_request($request);
         $data = $response->get_data();
 
@@ -530,16 +1297,31 @@ class WorkflowExecutor {
     }
 
     private function is_timeout(): bool {
-        return (microtime(true) - $this->start_time) > $this->max_execution_time;
+        // Time spent paused in the debugger doesn't count
+        return (microtime(true) - $this->start_time - $this->paused_time) > $this->max_execution_time;
+    }
+
+    private function emit(string $type, array $payload = []): void {
+        if ($this->event_listener === null) {
+            return;
+        }
+
+        call_user_func($this->event_listener, array_merge([
+            'type' => $type,
+            'timestamp' => microtime(true),
+        ], $payload));
     }
 
     private function log(string $message, array $data = [], string $level = 'info'): void {
-        $this->execution_log[] = [
+        $entry = [
             'timestamp' => microtime(true),
             'elapsed' => round(microtime(true) - $this->start_time, 3),
             'level' => $level,
             'message' => $message,
             'data' => $data,
         ];
+
+        $this->execution_log[] = $entry;
+        $this->emit('log', ['entry' => $entry]);
     }
 }
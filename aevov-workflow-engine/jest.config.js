@@ -0,0 +1,7 @@
+const defaultConfig = require('@wordpress/scripts/config/jest-unit.config');
+const path = require('path');
+
+module.exports = {
+    ...defaultConfig,
+    setupFiles: [path.resolve(__dirname, 'jest.setup.js')],
+};
@@ -0,0 +1,6 @@
+const v8 = require('v8');
+
+// jsdom leaves out structuredClone, which browsers and the dry-run executor rely on
+if (typeof global.structuredClone !== 'function') {
+    global.structuredClone = (value) => v8.deserialize(v8.serialize(value));
+}
@@ -0,0 +1,415 @@
+/**
+ * Aevov Workflow Engine - Mock API Server
+ *
+ * Stands in for the WordPress `aevov-workflow/v1` routes when running the
+ * builder standalone. Executions are simulated: every node sleeps for a short
+ * while and returns a canned output, streamed with the same events as the PHP
+ * `/execute/stream` route.
+ *
+ *   npm run mock-server
+ *   NEXT_PUBLIC_API_URL=http://localhost:8787 npm run standalone
+ *
+ * Set `config.mockError` on a node to make it fail. Streamed runs with a `debug`
+ * body pause at breakpoints until POST /executions/{id}/debug resumes them.
+ */
+
+const http = require('http');
+
+const PORT = parseInt(process.env.MOCK_PORT || '8787', 10);
+const NODE_DELAY_MS = parseInt(process.env.MOCK_NODE_DELAY || '600', 10);
+
+const capabilities = {
+    language: capability('Language Engine', 'Natural language processing and generation', 'aevov-language/v1', 'MessageSquare', '#0ea5e9', [
+        ['/generate', 'Generate text'],
+        ['/analyze', 'Analyze text'],
+    ]),
+    image: capability('Image Engine', 'AI image generation and manipulation', 'aevov-image/v1', 'Image', '#ec4899', [
+        ['/generate', 'Generate image'],
+        ['/edit', 'Edit image'],
+    ]),
+    music: capability('Music Forge', 'AI music composition', 'aevov-music/v1', 'Music', '#8b5cf6', [
+        ['/compose', 'Compose music'],
+    ]),
+    memory: capability('Memory Core', 'Persistent memory storage', 'aevov-memory/v1', 'Database', '#14b8a6', [
+        ['/memory', 'Store memory'],
+    ]),
+};
+
+function capability(name, description, namespace, icon, color, endpoints) {
+    return {
+        name,
+        description,
+        namespace,
+        icon,
+        color,
+        endpoints: endpoints.map(([route, desc]) => ({ method: 'POST', route, description: desc })),
+        available: true,
+    };
+}
+
+const routes = {
+    'GET /health': (req, res) => sendJson(res, 200, { status: 'healthy', version: 'mock', timestamp: Date.now() / 1000 }),
+    'GET /capabilities': (req, res) => sendJson(res, 200, { capabilities, version: 'mock' }),
+    'POST /execute': async (req, res) => {
+        const body = await readJson(req);
+        const result = await runWorkflow(body.workflow, body.inputs || {}, () => {}, () => false);
+        sendJson(res, 200, result);
+    },
+    'POST /execute/stream': async (req, res) => {
+        const body = await readJson(req);
+        const executionId = Math.floor(Math.random() * 1e6);
+        let closed = false;
+        res.on('close', () => {
+            closed = true;
+            resumePaused(executionId, { action: 'stop' });
+        });
+
+        res.writeHead(200, {
+            ...corsHeaders(req),
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+        });
+
+        const send = (event) => {
+            if (!closed) {
+                res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+            }
+        };
+
+        send({ type: 'execution_started', execution_id: executionId, timestamp: now() });
+
+        const debug = body.debug
+            ? {
+                breakpoints: body.debug.breakpoints || [],
+                step: Boolean(body.debug.step),
+                pause: () => new Promise((resolve) => pausedRuns.set(executionId, resolve)),
+            }
+            : null;
+
+        const result = await runWorkflow(body.workflow, body.inputs || {}, send, () => closed, debug);
+        send({ type: 'execution_completed', result: { ...result, execution_id: executionId } });
+        res.end();
+    },
+};
+
+// Routes with an id in the path, tried after the exact ones
+const paramRoutes = [
+    [/^POST \/executions\/(\d+)\/debug$/, async (req, res, id) => {
+        const body = await readJson(req);
+        if (!['continue', 'step', 'stop'].includes(body.action)) {
+            sendJson(res, 400, { error: 'Action must be continue, step or stop' });
+            return;
+        }
+        if (!resumePaused(Number(id), { action: body.action, outputs: body.outputs || {} })) {
+            sendJson(res, 409, { error: 'Execution is not paused' });
+            return;
+        }
+        sendJson(res, 200, { success: true });
+    }],
+];
+
+// Streamed runs waiting at a breakpoint, by execution id
+const pausedRuns = new Map();
+
+function resumePaused(executionId, command) {
+    const resume = pausedRuns.get(executionId);
+    if (!resume) {
+        return false;
+    }
+    pausedRuns.delete(executionId);
+    resume(command);
+    return true;
+}
+
+async function runWorkflow(workflow, inputs, emit, isCancelled, debug = null) {
+    const start = now();
+    const log = [];
+    const outputs = { ...inputs };
+    const skipped = new Set();
+
+    const addLog = (message, level = 'info', data = {}) => {
+        const entry = { timestamp: now(), elapsed: round(now() - start), level, message, data };
+        log.push(entry);
+        emit({ type: 'log', entry, timestamp: entry.timestamp });
+    };
+
+    const nodes = (workflow && workflow.nodes) || [];
+    const edges = (workflow && workflow.edges) || [];
+    const order = topologicalSort(nodes, edges);
+
+    if (!order) {
+        return { success: false, error: 'Workflow contains circular dependencies', log };
+    }
+
+    const nodeMap = new Map(nodes.map((n) => [n.id, n]));
+    let stepping = Boolean(debug && debug.step);
+
+    for (const nodeId of order) {
+        if (isCancelled()) {
+            return { success: false, cancelled: true, error: 'Workflow execution cancelled', log };
+        }
+
+        const node = nodeMap.get(nodeId);
+        const label = (node.data && node.data.label) || nodeId;
+        const incoming = edges.filter((e) => e.target === nodeId);
+
+        if (incoming.length > 0 && incoming.every((e) => isInactiveEdge(e, outputs, skipped))) {
+            skipped.add(nodeId);
+            addLog(`Skipping node: ${label}`);
+            emit({ type: 'node_skipped', node_id: nodeId, reason: 'No active incoming branch', timestamp: now() });
+            continue;
+        }
+
+        if (debug && (stepping || debug.breakpoints.includes(nodeId))) {
+            addLog(`Paused before node: ${label}`);
+            emit({ type: 'node_paused', node_id: nodeId, inputs: gatherInputs(incoming, outputs), timestamp: now() });
+
+            const command = await debug.pause(nodeId);
+            Object.entries(command.outputs || {}).forEach(([editedId, output]) => {
+                if (!nodeMap.has(editedId) || !(editedId in outputs)) {
+                    return;
+                }
+                outputs[editedId] = output && typeof output === 'object' && !Array.isArray(output) ? output : { output };
+                addLog(`Output of ${nodeMap.get(editedId).data.label || editedId} edited`, 'warning');
+                emit({ type: 'node_output', node_id: editedId, output: outputs[editedId], timestamp: now() });
+            });
+
+            if (command.action === 'stop' || isCancelled()) {
+                addLog('Workflow execution cancelled', 'warning');
+                return { success: false, cancelled: true, error: 'Workflow execution cancelled', partial_outputs: outputs, log };
+            }
+            stepping = command.action === 'step';
+        }
+
+        addLog(`Executing node: ${label}`, 'info', { node_id: nodeId });
+        emit({ type: 'node_started', node_id: nodeId, timestamp: now() });
+        const started = now();
+        await sleep(NODE_DELAY_MS);
+        const timing = () => ({ node_id: nodeId, started: round(started - start), duration: round(now() - started) });
+
+        const config = (node.data && node.data.config) || {};
+        if (config.mockError) {
+            addLog(`Node ${label} failed: ${config.mockError}`, 'error', timing());
+            emit({ type: 'node_error', node_id: nodeId, error: config.mockError, timestamp: now() });
+            return {
+                success: false,
+                error: `Node '${label}' failed: ${config.mockError}`,
+                failed_node: nodeId,
+                partial_outputs: outputs,
+                log,
+            };
+        }
+
+        const output = node.data && node.data.nodeType === 'merge'
+            ? mockMerge(
+                config,
+                incoming
+                    .filter((e) => !isInactiveEdge(e, outputs, skipped))
+                    .sort((a, b) => order.indexOf(a.source) - order.indexOf(b.source)),
+                outputs,
+                nodeMap
+            )
+            : mockOutput(node, gatherInputs(incoming, outputs), inputs);
+        outputs[nodeId] = output;
+        const timings = timing();
+        addLog(`Node ${label} completed in ${timings.duration.toFixed(3)}s`, 'info', {
+            ...timings,
+            output_keys: Object.keys(output),
+        });
+        emit({ type: 'node_output', node_id: nodeId, output, timestamp: now() });
+    }
+
+    const finalOutputs = {};
+    nodes
+        .filter((n) => n.data && n.data.nodeType === 'output')
+        .forEach((n) => {
+            finalOutputs[n.id] = outputs[n.id] ?? null;
+        });
+
+    const executionTime = now() - start;
+    addLog(`Workflow completed in ${round(executionTime)}s`);
+
+    return { success: true, outputs: finalOutputs, all_outputs: outputs, execution_time: executionTime, log };
+}
+
+function gatherInputs(incoming, outputs) {
+    const nodeInputs = {};
+    incoming.forEach((e) => {
+        const source = outputs[e.source];
+        const handle = e.sourceHandle || 'output';
+        nodeInputs[e.targetHandle || 'input'] = source && typeof source === 'object' && handle in source ? source[handle] : source;
+    });
+    return nodeInputs;
+}
+
+// Branches run one after another here, so they arrive in execution order
+function mockMerge(config, incoming, outputs, nodeMap) {
+    const strategy = config.strategy || 'all';
+    const quorum = strategy === 'any' ? 1 : strategy === 'firstN' ? Math.max(1, parseInt(config.count, 10) || 2) : incoming.length;
+    const arrived = incoming.slice(0, quorum);
+    const values = arrived.map((e) => gatherInputs([{ ...e, targetHandle: 'input' }], outputs).input);
+
+    if (config.combine === 'array') {
+        return { output: values, count: values.length };
+    }
+
+    const keyed = {};
+    arrived.forEach((edge, index) => {
+        const source = nodeMap.get(edge.source);
+        const label = (source.data && source.data.label) || edge.source;
+        let key = label;
+        for (let n = 2; key in keyed; n++) {
+            key = `${label} (${n})`;
+        }
+        keyed[key] = values[index];
+    });
+    return { output: keyed, count: values.length };
+}
+
+function mockOutput(node, inputs, runInputs = {}) {
+    const type = (node.data && node.data.nodeType) || node.type;
+    const config = (node.data && node.data.config) || {};
+    const input = inputs.input !== undefined ? inputs.input : Object.values(inputs)[0];
+
+    switch (type) {
+        case 'input':
+            return { output: runInputs[node.id] ?? config.defaultValue ?? null };
+        case 'output':
+            return { result: input ?? inputs };
+        case 'condition':
+            return input ? { true: input, output: input } : { false: input, output: input };
+        case 'language':
+            return { output: `Generated text for: ${JSON.stringify(input)}` };
+        case 'image':
+            return { output: `https://picsum.photos/seed/${encodeURIComponent(String(input).slice(0, 32))}/512` };
+        case 'music':
+            return { output: { title: 'Mock Track', genre: config.genre || 'ambient', duration: config.duration || 30 } };
+        default:
+            return { output: input ?? null };
+    }
+}
+
+function isInactiveEdge(edge, outputs, skipped) {
+    if (skipped.has(edge.source)) {
+        return true;
+    }
+    const handle = edge.sourceHandle;
+    const source = outputs[edge.source];
+    return (handle === 'true' || handle === 'false') && source && typeof source === 'object' && !(handle in source);
+}
+
+function topologicalSort(nodes, edges) {
+    const inDegree = new Map(nodes.map((n) => [n.id, 0]));
+    edges.forEach((e) => {
+        if (inDegree.has(e.target)) {
+            inDegree.set(e.target, inDegree.get(e.target) + 1);
+        }
+    });
+
+    const queue = nodes.filter((n) => inDegree.get(n.id) === 0).map((n) => n.id);
+    const sorted = [];
+    while (queue.length > 0) {
+        const id = queue.shift();
+        sorted.push(id);
+        edges
+            .filter((e) => e.source === id && inDegree.has(e.target))
+            .forEach((e) => {
+                inDegree.set(e.target, inDegree.get(e.target) - 1);
+                if (inDegree.get(e.target) === 0) {
+                    queue.push(e.target);
+                }
+            });
+    }
+
+    return sorted.length === nodes.length ? sorted : null;
+}
+
+function corsHeaders(req) {
+    return {
+        'Access-Control-Allow-Origin': req.headers.origin || '*',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-WP-Nonce, X-Aevov-Token',
+        'Access-Control-Allow-Credentials': 'true',
+    };
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { ...corsHeaders(res.req), 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', (chunk) => {
+            raw += chunk;
+        });
+        req.on('end', () => {
+            try {
+                resolve(raw ? JSON.parse(raw) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function now() {
+    return Date.now() / 1000;
+}
+
+function round(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+}
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, corsHeaders(req));
+        res.end();
+        return;
+    }
+
+    const path = new URL(req.url, `http://${req.headers.host}`).pathname.replace(/\/+$/, '');
+    const key = `${req.method} ${path}`;
+    let handler = routes[key];
+    let params = [];
+    if (!handler) {
+        for (const [pattern, paramHandler] of paramRoutes) {
+            const match = pattern.exec(key);
+            if (match) {
+                handler = paramHandler;
+                params = match.slice(1);
+                break;
+            }
+        }
+    }
+
+    if (!handler) {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    try {
+        await handler(req, res, ...params);
+    } catch (error) {
+        if (!res.headersSent) {
+            sendJson(res, 500, { error: error.message });
+        } else {
+            res.end();
+        }
+    }
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        // eslint-disable-next-line no-console
+        console.log(`Aevov workflow mock server listening on http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { server, routes, runWorkflow };
@@ -0,0 +1,107 @@
+/**
+ * Aevov Workflow Engine - Co-editing Relay
+ *
+ * Passes co-editing messages between builders that have the same workflow open.
+ * Each workflow is a room; every message a builder sends reaches the others in
+ * its room unchanged, and the relay announces builders that disconnect. It keeps
+ * no workflow state, so builders joining a room catch up from the ones already in
+ * it (see src/lib/collab.ts). WordPress can't hold WebSockets open, so sites point
+ * the "Co-editing relay URL" setting at one of these.
+ *
+ *   npm run relay
+ *   NEXT_PUBLIC_COLLAB_URL=ws://localhost:8790 npm run standalone
+ *
+ * Builders connect to ws://host:port/?room=<workflow id>&peer=<peer id>. Open the
+ * standalone builder in two tabs of one browser to try it on a single machine.
+ */
+
+const http = require('http');
+const { acceptUpgrade, createReader, readFrames, sendText, sendClose, CLOSE_NORMAL } = require('./websocket');
+
+const PORT = parseInt(process.env.RELAY_PORT || '8790', 10);
+const HOST = process.env.RELAY_HOST || '127.0.0.1';
+// Whole workflow snapshots travel through here, but nothing near this large
+const MAX_MESSAGE_BYTES = 4 * 1024 * 1024;
+
+// room name => Set of connections
+const rooms = new Map();
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('Connect with a WebSocket: ws://host:port/?room=<workflow id>&peer=<peer id>\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const room = url.searchParams.get('room');
+    const peer = url.searchParams.get('peer');
+    const key = req.headers['sec-websocket-key'];
+
+    if (!room || !peer || !key || req.headers.upgrade?.toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    acceptUpgrade(socket, key);
+
+    const connection = { socket, room, peer, reader: createReader(MAX_MESSAGE_BYTES) };
+    join(connection);
+
+    socket.on('data', (chunk) => {
+        try {
+            if (!readFrames(socket, connection.reader, chunk, (message) => broadcast(connection, message))) {
+                close(connection, CLOSE_NORMAL, '');
+            }
+        } catch (error) {
+            close(connection, error.code, error.message);
+        }
+    });
+    // The HTTP server keeps sockets half-open, so a client hanging up only ends its side
+    socket.on('end', () => {
+        socket.end();
+        leave(connection);
+    });
+    socket.on('close', () => leave(connection));
+    socket.on('error', () => leave(connection));
+});
+
+function join(connection) {
+    if (!rooms.has(connection.room)) {
+        rooms.set(connection.room, new Set());
+    }
+    rooms.get(connection.room).add(connection);
+}
+
+function leave(connection) {
+    const members = rooms.get(connection.room);
+    if (!members || !members.delete(connection)) {
+        return;
+    }
+    if (members.size === 0) {
+        rooms.delete(connection.room);
+        return;
+    }
+    broadcast(connection, JSON.stringify({ type: 'left', peer: connection.peer }));
+}
+
+function broadcast(from, message) {
+    for (const member of rooms.get(from.room) || []) {
+        if (member !== from) {
+            sendText(member.socket, message);
+        }
+    }
+}
+
+function close(connection, code, reason) {
+    sendClose(connection.socket, code, reason);
+    leave(connection);
+}
+
+if (require.main === module) {
+    server.listen(PORT, HOST, () => {
+        // eslint-disable-next-line no-console
+        console.log(`Aevov workflow co-editing relay listening on ws://${HOST}:${PORT}`);
+    });
+}
+
+module.exports = { server, rooms };
@@ -0,0 +1,61 @@
+/* eslint-disable no-bitwise */
+
+import { describe, expect, it } from '@jest/globals';
+import { createReader, readFrames, WebSocketError } from '../websocket';
+
+// A frame the way a browser sends it, masked
+function frame(opcode, text, fin = true) {
+    const payload = Buffer.from(text);
+    const mask = Buffer.from([1, 2, 3, 4]);
+    const masked = payload.map((byte, i) => byte ^ mask[i % 4]);
+    return Buffer.concat([Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | payload.length]), mask, masked]);
+}
+
+function socket() {
+    return { destroyed: false, written: [], write(data) { this.written.push(data); }, end() {} };
+}
+
+function read(reader, ...frames) {
+    const messages = [];
+    const open = readFrames(socket(), reader, Buffer.concat(frames), (message) => messages.push(message));
+    return { messages, open };
+}
+
+describe('readFrames', () => {
+    it('joins a fragmented message and keeps partial frames for the next chunk', () => {
+        const reader = createReader(1024);
+        const whole = frame(0x0, 'world');
+
+        expect(read(reader, frame(0x1, 'hello ', false), whole.subarray(0, 3)).messages).toEqual([]);
+        expect(read(reader, whole.subarray(3)).messages).toEqual(['hello world']);
+    });
+
+    it('answers a ping between fragments and stops at a close frame', () => {
+        const reader = createReader(1024);
+        const client = socket();
+        const messages = [];
+        const chunk = Buffer.concat([frame(0x1, 'a', false), frame(0x9, 'ping'), frame(0x0, 'b'), frame(0x8, '')]);
+
+        expect(readFrames(client, reader, chunk, (message) => messages.push(message))).toBe(false);
+        expect(messages).toEqual(['ab']);
+        expect(client.written).toHaveLength(1);
+    });
+
+    it('caps a message however many fragments it arrives in', () => {
+        const reader = createReader(10);
+
+        expect(() => read(reader, frame(0x1, '123456', false), frame(0x0, '789', false), frame(0x0, '01'))).toThrow('Message too large');
+    });
+
+    it('refuses binary messages', () => {
+        const binary = () => read(createReader(1024), frame(0x2, 'bytes'));
+
+        expect(binary).toThrow(WebSocketError);
+        expect(binary).toThrow(expect.objectContaining({ code: 1003 }));
+    });
+
+    it('refuses a continuation with no message to continue', () => {
+        expect(() => read(createReader(1024), frame(0x0, 'stray'))).toThrow('Unexpected continuation frame');
+        expect(() => read(createReader(1024), frame(0x1, 'a', false), frame(0x1, 'b'))).toThrow('Unexpected continuation frame');
+    });
+});
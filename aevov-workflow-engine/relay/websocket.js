@@ -0,0 +1,211 @@
+/**
+ * Aevov Workflow Engine - WebSocket Framing
+ *
+ * The server half of RFC 6455 that the co-editing relay needs: the upgrade
+ * handshake, reading the text messages a client sends and sending frames back.
+ * Only text is spoken here, so binary messages are refused, and a message may
+ * not grow past maxMessageBytes however many fragments it arrives in. The
+ * Meshcore signaling stub (aevov-meshcore/signaling-stub) reads its sockets
+ * with this too.
+ *
+ *   const reader = createReader(MAX_MESSAGE_BYTES);
+ *   socket.on('data', (chunk) => readFrames(socket, reader, chunk, onMessage));
+ */
+
+/* eslint-env es2020 */
+/* eslint-disable no-bitwise */
+
+const crypto = require('crypto');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xa;
+
+// Control frames can't be fragmented or carry more than this
+const MAX_CONTROL_BYTES = 125;
+
+const CLOSE_NORMAL = 1000;
+const CLOSE_PROTOCOL_ERROR = 1002;
+const CLOSE_UNSUPPORTED_DATA = 1003;
+const CLOSE_TOO_LARGE = 1009;
+
+// A frame the server won't take; code is the close code to end the connection with
+class WebSocketError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'WebSocketError';
+        this.code = code;
+    }
+}
+
+// Completes the upgrade for a request with the given Sec-WebSocket-Key
+function acceptUpgrade(socket, key) {
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        '',
+    ].join('\r\n'));
+}
+
+// What has arrived on one connection and not been handled yet
+function createReader(maxMessageBytes) {
+    return { maxMessageBytes, buffer: Buffer.alloc(0), fragments: null, size: 0 };
+}
+
+// Adds chunk to what has arrived and handles every complete frame in it: pings
+// are answered, fragments are joined and each whole message goes to onMessage.
+// Returns false once the client has sent a close frame, and throws a
+// WebSocketError for a frame it won't take. Browsers mask every frame they send.
+function readFrames(socket, reader, chunk, onMessage) {
+    reader.buffer = Buffer.concat([reader.buffer, chunk]);
+
+    for (;;) {
+        const frame = parseFrame(reader.buffer, reader.maxMessageBytes - reader.size);
+        if (!frame) {
+            return true;
+        }
+        reader.buffer = reader.buffer.subarray(frame.length);
+
+        if (frame.opcode >= OPCODE_CLOSE && !frame.fin) {
+            throw new WebSocketError(CLOSE_PROTOCOL_ERROR, 'Fragmented control frame');
+        }
+
+        switch (frame.opcode) {
+            case OPCODE_PING:
+                send(socket, OPCODE_PONG, frame.payload);
+                break;
+            case OPCODE_PONG:
+                break;
+            case OPCODE_CLOSE:
+                return false;
+            case OPCODE_BINARY:
+                throw new WebSocketError(CLOSE_UNSUPPORTED_DATA, 'Binary messages are not supported');
+            case OPCODE_TEXT:
+            case OPCODE_CONTINUATION:
+                // A text frame starts a message and continuations add to it, so
+                // one arriving out of turn means the client has lost track
+                if ((frame.opcode === OPCODE_TEXT) !== (reader.fragments === null)) {
+                    throw new WebSocketError(CLOSE_PROTOCOL_ERROR, 'Unexpected continuation frame');
+                }
+                if (frame.opcode === OPCODE_TEXT) {
+                    reader.fragments = [];
+                }
+                reader.fragments.push(frame.payload);
+                reader.size += frame.payload.length;
+                if (frame.fin) {
+                    const message = Buffer.concat(reader.fragments).toString('utf8');
+                    reader.fragments = null;
+                    reader.size = 0;
+                    onMessage(message);
+                }
+                break;
+            default:
+                throw new WebSocketError(CLOSE_PROTOCOL_ERROR, 'Unknown opcode');
+        }
+    }
+}
+
+// Null until the whole frame has arrived. limit is how much more the message
+// being read may grow by
+function parseFrame(buffer, limit) {
+    if (buffer.length < 2) {
+        return null;
+    }
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) {
+            return null;
+        }
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) {
+            return null;
+        }
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+    if (opcode >= OPCODE_CLOSE && length > MAX_CONTROL_BYTES) {
+        throw new WebSocketError(CLOSE_PROTOCOL_ERROR, 'Control frame too large');
+    }
+    if (opcode < OPCODE_CLOSE && length > limit) {
+        throw new WebSocketError(CLOSE_TOO_LARGE, 'Message too large');
+    }
+
+    const maskOffset = offset;
+    if (masked) {
+        offset += 4;
+    }
+    if (buffer.length < offset + length) {
+        return null;
+    }
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+    }
+
+    return { fin, opcode, payload, length: offset + length };
+}
+
+function send(socket, opcode, payload) {
+    if (socket.destroyed) {
+        return;
+    }
+
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 0x10000) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    socket.write(Buffer.concat([header, payload]));
+}
+
+function sendText(socket, message) {
+    send(socket, OPCODE_TEXT, Buffer.from(message));
+}
+
+// Sends a close frame and ends the socket
+function sendClose(socket, code, reason) {
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    send(socket, OPCODE_CLOSE, payload);
+    socket.end();
+}
+
+module.exports = {
+    CLOSE_NORMAL,
+    WebSocketError,
+    acceptUpgrade,
+    createReader,
+    readFrames,
+    sendText,
+    sendClose,
+};
@@ -2,6 +2,7 @@
 
 import { useEffect, useState } from 'react';
 import { WorkflowBuilder } from '../components/WorkflowBuilder';
+import { installNodeTypeApi } from '../lib/nodeRegistry';
 
 export default function StandalonePage() {
     const [mounted, setMounted] = useState(false);
@@ -22,6 +23,7 @@ export default function StandalonePage() {
                 strings: {},
             };
         }
+        installNodeTypeApi();
         setMounted(true);
     }, []);
 
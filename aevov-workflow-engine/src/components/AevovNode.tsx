@@ -1,24 +1,111 @@
-import { memo } from 'react';
+import { memo, useMemo } from 'react';
 import { Handle, Position, NodeProps } from 'reactflow';
-import { AevovNodeData } from '../types';
+import { AevovNodeData, NodeRunStatus } from '../types';
+import { useWorkflowStore } from '../store';
+import { DiffStatus } from '../lib/diff';
+import { getRegisteredNodeType } from '../lib/nodeRegistry';
+import { ERROR_HANDLE, resolveErrorPolicy } from '../lib/errorPolicy';
 import * as Icons from 'lucide-react';
 
-function AevovNodeComponent({ data, selected }: NodeProps<AevovNodeData>) {
-    const IconComponent = (Icons as Record<string, React.ComponentType<{ className?: string }>>)[data.icon || 'Box'] || Icons.Box;
+function AevovNodeComponent({ id, data, selected }: NodeProps<AevovNodeData>) {
+    // Registered node types may bring their own icon component
+    const registeredIcon = getRegisteredNodeType(data.nodeType)?.icon;
+    const IconComponent = registeredIcon && typeof registeredIcon !== 'string'
+        ? registeredIcon
+        : (Icons as Record<string, React.ComponentType<{ className?: string }>>)[data.icon || 'Box'] || Icons.Box;
     const inputs = data.inputs || [];
     const outputs = data.outputs || [];
+    const policy = resolveErrorPolicy(data.errorPolicy);
+
+    const validationIssues = useWorkflowStore((state) => state.validationIssues);
+    const issues = useMemo(
+        () => validationIssues.filter((issue) => issue.nodeId === id),
+        [validationIssues, id]
+    );
+    const hasIssues = issues.length > 0;
+
+    const run = useWorkflowStore((state) => state.nodeRunStates[id]);
+    const runBorder = run ? runStatusColors[run.status] : undefined;
+
+    // Breakpoints belong to the top-level graph, not to a sub-workflow being edited
+    const canBreak = useWorkflowStore((state) => state.debugMode && state.scopes.length === 0);
+    const hasBreakpoint = useWorkflowStore((state) => state.scopes.length === 0 && state.breakpoints.includes(id));
+    const toggleBreakpoint = useWorkflowStore((state) => state.toggleBreakpoint);
+
+    // Set while two versions are compared on the canvas
+    const diffStatus = useWorkflowStore((state) => state.revisionDiff?.nodeStatus[id]);
+    const diffBorder = diffStatus ? diffStatusColors[diffStatus] : undefined;
+
+    // Someone else has this node open in their config panel
+    const editor = useWorkflowStore((state) => state.collabPeers.find((peer) => peer.selectedNodeId === id));
 
     return (
         <div
             className={`
-                min-w-[180px] rounded-lg border-2 shadow-lg transition-all
+                relative min-w-[180px] max-w-[260px] rounded-lg border-2 shadow-lg transition-all
                 ${selected ? 'border-[var(--aevov-primary)] ring-2 ring-[var(--aevov-primary)]/30' : 'border-[var(--aevov-border)]'}
+                ${run?.status === 'running' ? 'animate-pulse ring-4 ring-[var(--aevov-primary)]/40' : ''}
+                ${run?.status === 'paused' ? 'ring-4 ring-amber-500/40' : ''}
+                ${run?.status === 'skipped' ? 'opacity-50' : ''}
+                ${diffStatus === 'removed' ? 'opacity-60 border-dashed' : ''}
+                ${diffStatus === 'unchanged' ? 'opacity-40' : ''}
             `}
             style={{
                 background: 'var(--aevov-bg-card)',
-                borderColor: selected ? undefined : data.color,
+                borderColor: selected ? undefined : diffBorder || (hasIssues ? '#ef4444' : runBorder || data.color),
+                boxShadow: editor && !diffStatus ? `0 0 0 3px ${editor.color}80` : undefined,
             }}
         >
+            {/* Co-editing lock */}
+            {editor && !diffStatus && (
+                <div
+                    className="absolute -top-2.5 -left-2.5 flex items-center gap-1 px-1.5 py-0.5 rounded-full text-white text-[10px] font-semibold shadow"
+                    style={{ backgroundColor: editor.color }}
+                    title={`${editor.name} is editing this node`}
+                >
+                    <Icons.Lock className="w-3 h-3" />
+                    {editor.name}
+                </div>
+            )}
+
+            {/* Diff badge */}
+            {diffStatus && diffStatus !== 'unchanged' && (
+                <div
+                    className="absolute -top-2.5 -left-2.5 px-1.5 py-0.5 rounded-full text-white text-[10px] font-semibold shadow"
+                    style={{ backgroundColor: diffBorder }}
+                >
+                    {diffStatus}
+                </div>
+            )}
+
+            {/* Breakpoint */}
+            {(canBreak || hasBreakpoint) && (
+                <button
+                    onClick={(e) => {
+                        e.stopPropagation();
+                        toggleBreakpoint(id);
+                    }}
+                    disabled={!canBreak}
+                    className={`nodrag absolute top-1/2 -left-5 -translate-y-1/2 w-3 h-3 rounded-full border-2 transition-colors ${
+                        hasBreakpoint
+                            ? 'bg-red-500 border-red-500'
+                            : 'border-[var(--aevov-text-muted)]/50 hover:border-red-500 hover:bg-red-500/40'
+                    }`}
+                    title={hasBreakpoint ? 'Remove breakpoint' : 'Pause before this node'}
+                />
+            )}
+
+            {/* Validation badge */}
+            {hasIssues && (
+                <div
+                    className="absolute -top-2.5 -right-2.5 flex items-center gap-1 px-1.5 py-0.5 rounded-full bg-red-500 text-white text-[10px] font-semibold shadow"
+                    title={issues.map((issue) => issue.message).join('\n')}
+                >
+                    <Icons.AlertTriangle className="w-3 h-3" />
+                    {issues.length}
+                </div>
+            )}
+
             {/* Header */}
             <div
                 className="flex items-center gap-2 px-3 py-2 rounded-t-md"
@@ -26,8 +113,50 @@ function AevovNodeComponent({ data, selected }: NodeProps<AevovNodeData>) {
             >
                 <IconComponent className="w-4 h-4" style={{ color: data.color }} />
                 <span className="font-medium text-sm text-[var(--aevov-text)]">{data.label}</span>
+                {run?.status === 'running' && (
+                    <Icons.Loader2 className="w-3.5 h-3.5 ml-auto animate-spin text-[var(--aevov-primary)]" />
+                )}
+                {run?.status === 'completed' && (run.recovered
+                    ? <Icons.AlertCircle className="w-3.5 h-3.5 ml-auto text-amber-500" />
+                    : <Icons.CheckCircle2 className="w-3.5 h-3.5 ml-auto text-green-500" />)}
+                {run?.status === 'error' && <Icons.XCircle className="w-3.5 h-3.5 ml-auto text-red-500" />}
+                {run?.status === 'paused' && <Icons.PauseCircle className="w-3.5 h-3.5 ml-auto text-amber-500" />}
+                {run?.status === 'skipped' && <Icons.MinusCircle className="w-3.5 h-3.5 ml-auto text-[var(--aevov-text-muted)]" />}
             </div>
 
+            {/* Error policy badges */}
+            {(policy.maxAttempts > 1 || policy.timeout !== null || policy.onError !== 'stop') && (
+                <div className="flex flex-wrap gap-1 px-3 pt-2">
+                    {policy.maxAttempts > 1 && (
+                        <span
+                            className={policyBadgeClass}
+                            title={`Up to ${policy.maxAttempts} attempts${policy.retryDelay ? `, ${policy.retryDelay}ms apart${policy.backoff === 'exponential' ? ' and doubling' : ''}` : ''}`}
+                        >
+                            <Icons.RotateCw className="w-3 h-3" />
+                            {run?.attempts ? `${run.attempts}/${policy.maxAttempts}` : `×${policy.maxAttempts}`}
+                        </span>
+                    )}
+                    {policy.timeout !== null && (
+                        <span className={policyBadgeClass} title={`Each attempt may take ${policy.timeout}s`}>
+                            <Icons.Timer className="w-3 h-3" />
+                            {policy.timeout}s
+                        </span>
+                    )}
+                    {policy.onError === 'continue' && (
+                        <span className={policyBadgeClass} title="Failures output the default value and the run goes on">
+                            <Icons.ShieldCheck className="w-3 h-3" />
+                            continue
+                        </span>
+                    )}
+                    {policy.onError === 'fallback' && (
+                        <span className={policyBadgeClass} title="Failures run only the error branch">
+                            <Icons.GitBranch className="w-3 h-3" />
+                            fallback
+                        </span>
+                    )}
+                </div>
+            )}
+
             {/* Body */}
             <div className="px-3 py-2">
                 {/* Inputs */}
@@ -58,6 +187,35 @@ function AevovNodeComponent({ data, selected }: NodeProps<AevovNodeData>) {
                     </div>
                 ))}
 
+                {/* Failures routed by the error policy */}
+                {policy.onError !== 'stop' && (
+                    <div className="relative flex items-center justify-end py-1">
+                        <span className="text-xs text-red-400 mr-2">{ERROR_HANDLE.label}</span>
+                        <Handle
+                            type="source"
+                            position={Position.Right}
+                            id={ERROR_HANDLE.id}
+                            className="!w-3 !h-3 !bg-red-500 !border-2 !border-[var(--aevov-bg-dark)]"
+                            style={{ right: -6, top: 'auto' }}
+                        />
+                    </div>
+                )}
+
+                {/* Run output preview */}
+                {run?.status === 'completed' && run.output !== undefined && (
+                    <div
+                        className="mt-1 px-2 py-1 rounded bg-[var(--aevov-bg-dark)] font-mono text-[10px] text-[var(--aevov-text-muted)] truncate"
+                        title={formatOutput(run.output, 2000)}
+                    >
+                        {formatOutput(run.output, 120)}
+                    </div>
+                )}
+                {run?.status === 'error' && (
+                    <div className="mt-1 px-2 py-1 rounded bg-red-500/10 text-[10px] text-red-400 break-words">
+                        {run.error}
+                    </div>
+                )}
+
                 {/* Default handles if no inputs/outputs defined */}
                 {inputs.length === 0 && outputs.length === 0 && (
                     <>
@@ -78,4 +236,31 @@ function AevovNodeComponent({ data, selected }: NodeProps<AevovNodeData>) {
     );
 }
 
+const policyBadgeClass =
+    'flex items-center gap-1 px-1.5 py-0.5 rounded bg-[var(--aevov-bg-dark)] text-[10px] text-[var(--aevov-text-muted)]';
+
+const runStatusColors: Record<NodeRunStatus, string> = {
+    running: 'var(--aevov-primary)',
+    completed: '#22c55e',
+    error: '#ef4444',
+    paused: '#f59e0b',
+    skipped: '#64748b',
+};
+
+const diffStatusColors: Record<DiffStatus, string | undefined> = {
+    added: '#22c55e',
+    removed: '#ef4444',
+    changed: '#f59e0b',
+    unchanged: undefined,
+};
+
+function formatOutput(output: unknown, maxLength: number): string {
+    // Capability results arrive wrapped as { output: ... }
+    const value = output && typeof output === 'object' && 'output' in output
+        ? (output as Record<string, unknown>).output
+        : output;
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text && text.length > maxLength ? `${text.slice(0, maxLength)}…` : text ?? '';
+}
+
 export const AevovNode = memo(AevovNodeComponent);
@@ -0,0 +1,67 @@
+import { useRef } from 'react';
+import { HighlightLanguage, TokenKind, highlight } from '../lib/highlight';
+
+const tokenClasses: Record<TokenKind, string> = {
+    plain: 'text-[var(--aevov-text)]',
+    string: 'text-emerald-400',
+    number: 'text-amber-400',
+    keyword: 'text-purple-400',
+    operator: 'text-pink-400',
+    variable: 'text-sky-400',
+    property: 'text-sky-200',
+    delimiter: 'text-[var(--aevov-primary)]',
+};
+
+// A textarea over a highlighted copy of its text: the textarea keeps native
+// editing, selection and undo, and only its caret shows above the colours.
+export function CodeEditor({
+    value,
+    onChange,
+    language,
+    placeholder,
+    rows = 4,
+    invalid,
+}: {
+    value: string;
+    onChange: (value: string) => void;
+    language: HighlightLanguage;
+    placeholder?: string;
+    rows?: number;
+    invalid?: boolean;
+}) {
+    const highlighted = useRef<HTMLPreElement>(null);
+    const textClass = 'px-3 py-2 font-mono text-xs leading-5 whitespace-pre-wrap break-words';
+
+    return (
+        <div
+            className={`relative bg-[var(--aevov-bg-dark)] border rounded-md focus-within:border-[var(--aevov-primary)] ${invalid ? 'border-red-500' : 'border-[var(--aevov-border)]'}`}
+        >
+            <pre
+                ref={highlighted}
+                aria-hidden
+                className={`absolute inset-0 m-0 overflow-hidden pointer-events-none ${textClass}`}
+            >
+                {highlight(value, language).map((token, index) => (
+                    <span key={index} className={tokenClasses[token.kind]}>{token.text}</span>
+                ))}
+                {/* Keeps a trailing newline as tall as in the textarea */}
+                {' '}
+            </pre>
+            <textarea
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+                onScroll={(e) => {
+                    if (highlighted.current) {
+                        highlighted.current.scrollTop = e.currentTarget.scrollTop;
+                    }
+                }}
+                rows={rows}
+                placeholder={placeholder}
+                spellCheck={false}
+                autoCapitalize="off"
+                autoComplete="off"
+                className={`relative block w-full bg-transparent text-transparent caret-[var(--aevov-text)] placeholder:text-[var(--aevov-text-muted)] resize-y focus:outline-none ${textClass}`}
+            />
+        </div>
+    );
+}
@@ -0,0 +1,110 @@
+import { useEffect } from 'react';
+import { useReactFlow, useStore, useViewport } from 'reactflow';
+import { useWorkflowStore } from '../store';
+import { initials } from '../lib/collab';
+import { MousePointer2 } from 'lucide-react';
+
+const MAX_AVATARS = 4;
+
+// Who else has the workflow open, for the toolbar
+export function CollaboratorAvatars() {
+    const { collabStatus, collabPeers, nodes } = useWorkflowStore();
+    if (collabStatus === 'off') {
+        return null;
+    }
+
+    const shown = collabPeers.slice(0, MAX_AVATARS);
+    const statusTitle = collabStatus === 'connected'
+        ? 'Co-editing: connected'
+        : collabStatus === 'connecting'
+            ? 'Co-editing: connecting…'
+            : 'Co-editing: offline, retrying. Your changes are sent when the connection is back.';
+
+    return (
+        <div className="flex items-center gap-2">
+            <span
+                title={statusTitle}
+                className={`w-2 h-2 rounded-full ${
+                    collabStatus === 'connected'
+                        ? 'bg-green-500'
+                        : collabStatus === 'connecting'
+                            ? 'bg-amber-400 animate-pulse'
+                            : 'bg-red-500'
+                }`}
+            />
+            <div className="flex -space-x-1.5">
+                {shown.map((peer) => {
+                    const editing = nodes.find((n) => n.id === peer.selectedNodeId);
+                    return (
+                        <span
+                            key={peer.peer}
+                            title={editing ? `${peer.name} · editing ${editing.data.label}` : peer.name}
+                            className="w-7 h-7 rounded-full border-2 border-[var(--aevov-bg-card)] flex items-center justify-center text-[10px] font-semibold text-white"
+                            style={{ backgroundColor: peer.color }}
+                        >
+                            {initials(peer.name)}
+                        </span>
+                    );
+                })}
+                {collabPeers.length > MAX_AVATARS && (
+                    <span
+                        title={collabPeers.slice(MAX_AVATARS).map((p) => p.name).join(', ')}
+                        className="w-7 h-7 rounded-full border-2 border-[var(--aevov-bg-card)] bg-[var(--aevov-border)] flex items-center justify-center text-[10px] text-[var(--aevov-text)]"
+                    >
+                        +{collabPeers.length - MAX_AVATARS}
+                    </span>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// Other people's pointers, drawn over the canvas. Rendered inside <ReactFlow>; also
+// reports this user's pointer in flow coordinates. Positions are in the workflow's own
+// graph, so none are shown or sent while a sub-workflow is open.
+export function CollaboratorCursors({ onMove }: { onMove: (position: { x: number; y: number } | null) => void }) {
+    const peers = useWorkflowStore((state) => state.collabPeers);
+    const scoped = useWorkflowStore((state) => state.scopes.length > 0);
+    const { screenToFlowPosition } = useReactFlow();
+    const domNode = useStore((state) => state.domNode);
+    const { x, y, zoom } = useViewport();
+
+    useEffect(() => {
+        if (!domNode || scoped) {
+            onMove(null);
+            return;
+        }
+        const handleMove = (event: MouseEvent) => onMove(screenToFlowPosition({ x: event.clientX, y: event.clientY }));
+        const handleLeave = () => onMove(null);
+        domNode.addEventListener('mousemove', handleMove);
+        domNode.addEventListener('mouseleave', handleLeave);
+        return () => {
+            domNode.removeEventListener('mousemove', handleMove);
+            domNode.removeEventListener('mouseleave', handleLeave);
+        };
+    }, [domNode, scoped, screenToFlowPosition, onMove]);
+
+    if (scoped) {
+        return null;
+    }
+
+    return (
+        <div className="pointer-events-none absolute inset-0 z-10 overflow-hidden">
+            {peers.map((peer) => peer.cursor && (
+                <div
+                    key={peer.peer}
+                    className="absolute transition-transform duration-75"
+                    style={{ transform: `translate(${peer.cursor.x * zoom + x}px, ${peer.cursor.y * zoom + y}px)` }}
+                >
+                    <MousePointer2 className="w-4 h-4" style={{ color: peer.color, fill: peer.color }} />
+                    <span
+                        className="ml-3 px-1.5 py-0.5 rounded text-[10px] font-medium text-white whitespace-nowrap"
+                        style={{ backgroundColor: peer.color }}
+                    >
+                        {peer.name}
+                    </span>
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,416 @@
+import { useEffect, useRef, useState } from 'react';
+import { ConfigField } from '../types';
+import { useWorkflowStore } from '../store';
+import { useCredentials } from '../hooks/useCredentials';
+import { describeCredential } from '../lib/credentials';
+import { CodeEditor } from './CodeEditor';
+import { Plus, Trash2, ImageIcon, KeyRound } from 'lucide-react';
+
+interface FieldProps {
+    field: ConfigField;
+    value: unknown;
+    onChange: (value: unknown) => void;
+    invalid: boolean;
+}
+
+// One config field of a node, rendered for its type
+export function ConfigFieldInput({ field, value, onChange, invalid }: FieldProps) {
+    const baseClass = `w-full px-3 py-2 bg-[var(--aevov-bg-dark)] border rounded-md text-sm text-[var(--aevov-text)] placeholder:text-[var(--aevov-text-muted)] focus:outline-none focus:border-[var(--aevov-primary)] ${invalid ? 'border-red-500' : 'border-[var(--aevov-border)]'}`;
+
+    switch (field.type) {
+        case 'select':
+            return (
+                <select
+                    value={String(value ?? '')}
+                    onChange={(e) => onChange(e.target.value)}
+                    className={baseClass}
+                >
+                    <option value="">Select...</option>
+                    {field.options?.map((opt) => (
+                        <option key={opt.value} value={opt.value}>
+                            {opt.label}
+                        </option>
+                    ))}
+                </select>
+            );
+
+        case 'textarea':
+            return (
+                <textarea
+                    value={String(value ?? '')}
+                    onChange={(e) => onChange(e.target.value)}
+                    placeholder={field.placeholder}
+                    className={`${baseClass} min-h-[80px] resize-none`}
+                />
+            );
+
+        case 'number':
+            return (
+                <input
+                    type="number"
+                    value={typeof value === 'number' && !Number.isNaN(value) ? value : String(value ?? '')}
+                    onChange={(e) => onChange(e.target.value === '' ? undefined : parseFloat(e.target.value))}
+                    min={field.min}
+                    max={field.max}
+                    step={field.step ?? 'any'}
+                    placeholder={field.placeholder}
+                    className={baseClass}
+                />
+            );
+
+        case 'range': {
+            const min = field.min ?? 0;
+            const max = field.max ?? 100;
+            const current = typeof value === 'number' ? value : Number(value ?? min);
+            return (
+                <div className="flex items-center gap-3">
+                    <input
+                        type="range"
+                        value={Number.isFinite(current) ? current : min}
+                        onChange={(e) => onChange(parseFloat(e.target.value))}
+                        min={min}
+                        max={max}
+                        step={field.step ?? 1}
+                        className="flex-1 accent-[var(--aevov-primary)]"
+                    />
+                    <span className="w-12 text-right font-mono text-xs text-[var(--aevov-text)]">
+                        {Number.isFinite(current) ? current : '–'}
+                    </span>
+                </div>
+            );
+        }
+
+        case 'boolean':
+            return (
+                <label className="flex items-center gap-2 cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={Boolean(value)}
+                        onChange={(e) => onChange(e.target.checked)}
+                        className="rounded border-[var(--aevov-border)]"
+                    />
+                    <span className="text-sm text-[var(--aevov-text)]">Enabled</span>
+                </label>
+            );
+
+        case 'multiSelect': {
+            const selected = Array.isArray(value) ? value.map(String) : [];
+            return (
+                <div className={`p-2 space-y-1 bg-[var(--aevov-bg-dark)] border rounded-md ${invalid ? 'border-red-500' : 'border-[var(--aevov-border)]'}`}>
+                    {(field.options || []).map((opt) => (
+                        <label key={opt.value} className="flex items-center gap-2 text-sm text-[var(--aevov-text)] cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={selected.includes(opt.value)}
+                                onChange={(e) => onChange(
+                                    e.target.checked
+                                        ? [...selected, opt.value]
+                                        : selected.filter((v) => v !== opt.value)
+                                )}
+                                className="rounded border-[var(--aevov-border)]"
+                            />
+                            {opt.label}
+                        </label>
+                    ))}
+                </div>
+            );
+        }
+
+        case 'code':
+            return (
+                <CodeEditor
+                    value={String(value ?? '')}
+                    onChange={onChange}
+                    language={field.language || 'template'}
+                    placeholder={field.placeholder}
+                    invalid={invalid}
+                />
+            );
+
+        case 'json':
+            return <JsonInput value={value} onChange={onChange} placeholder={field.placeholder} invalid={invalid} />;
+
+        case 'keyValue':
+            return <KeyValueInput value={value} onChange={onChange} placeholder={field.placeholder} invalid={invalid} />;
+
+        case 'media':
+            return <MediaInput field={field} value={value} onChange={onChange} invalid={invalid} className={baseClass} />;
+
+        case 'credential':
+            return <CredentialPicker value={value} onChange={onChange} invalid={invalid} className={baseClass} />;
+
+        case 'cron':
+            return (
+                <input
+                    type="text"
+                    value={String(value ?? '')}
+                    onChange={(e) => onChange(e.target.value)}
+                    placeholder={field.placeholder}
+                    spellCheck={false}
+                    className={`${baseClass} font-mono`}
+                />
+            );
+
+        default:
+            return (
+                <input
+                    type="text"
+                    value={String(value ?? '')}
+                    onChange={(e) => onChange(e.target.value)}
+                    placeholder={field.placeholder}
+                    className={baseClass}
+                />
+            );
+    }
+}
+
+// Edited as text; the parsed value is stored once the text is valid JSON
+function JsonInput({
+    value,
+    onChange,
+    placeholder,
+    invalid,
+}: {
+    value: unknown;
+    onChange: (value: unknown) => void;
+    placeholder?: string;
+    invalid: boolean;
+}) {
+    const [text, setText] = useState(() => formatJson(value));
+    const [parseError, setParseError] = useState(false);
+    const emitted = useRef<unknown>(value);
+
+    // Only resync when the value is replaced from outside, e.g. by undo
+    useEffect(() => {
+        if (value !== emitted.current) {
+            emitted.current = value;
+            setText(formatJson(value));
+            setParseError(false);
+        }
+    }, [value]);
+
+    const handleChange = (next: string) => {
+        setText(next);
+        let parsed: unknown;
+        if (next.trim() !== '') {
+            try {
+                parsed = JSON.parse(next);
+            } catch {
+                setParseError(true);
+                return;
+            }
+        }
+        setParseError(false);
+        emitted.current = parsed;
+        onChange(parsed);
+    };
+
+    return (
+        <div>
+            <CodeEditor
+                value={text}
+                onChange={handleChange}
+                language="json"
+                placeholder={placeholder}
+                rows={5}
+                invalid={invalid || parseError}
+            />
+            {parseError && <p className="mt-1 text-xs text-red-400">Not valid JSON yet; the last valid value is kept</p>}
+        </div>
+    );
+}
+
+function formatJson(value: unknown): string {
+    return value === undefined ? '' : JSON.stringify(value, null, 2);
+}
+
+// Name/value rows stored as an object, e.g. HTTP headers
+function KeyValueInput({
+    value,
+    onChange,
+    placeholder,
+    invalid,
+}: {
+    value: unknown;
+    onChange: (value: unknown) => void;
+    placeholder?: string;
+    invalid: boolean;
+}) {
+    const toRows = (v: unknown) => (v && typeof v === 'object' && !Array.isArray(v)
+        ? Object.entries(v as Record<string, unknown>).map(([name, val]) => ({ name, value: String(val ?? '') }))
+        : []);
+
+    // Rows are kept locally so a half-typed or duplicate name doesn't lose an entry
+    const [rows, setRows] = useState(() => toRows(value));
+    const emitted = useRef<unknown>(value);
+
+    useEffect(() => {
+        if (value !== emitted.current) {
+            emitted.current = value;
+            setRows(toRows(value));
+        }
+    }, [value]);
+
+    const update = (next: { name: string; value: string }[]) => {
+        setRows(next);
+        const object = Object.fromEntries(next.map((row) => [row.name, row.value]));
+        const emittedValue = next.length > 0 ? object : undefined;
+        emitted.current = emittedValue;
+        onChange(emittedValue);
+    };
+
+    const inputClass = 'min-w-0 flex-1 px-2 py-1.5 bg-[var(--aevov-bg-dark)] border border-[var(--aevov-border)] rounded-md text-xs text-[var(--aevov-text)] placeholder:text-[var(--aevov-text-muted)] focus:outline-none focus:border-[var(--aevov-primary)]';
+
+    return (
+        <div className={`space-y-1.5 ${invalid ? 'p-1.5 rounded-md border border-red-500' : ''}`}>
+            {rows.map((row, index) => (
+                <div key={index} className="flex items-center gap-1.5">
+                    <input
+                        value={row.name}
+                        onChange={(e) => update(rows.map((r, i) => (i === index ? { ...r, name: e.target.value } : r)))}
+                        placeholder={placeholder || 'Name'}
+                        className={`${inputClass} font-mono`}
+                    />
+                    <input
+                        value={row.value}
+                        onChange={(e) => update(rows.map((r, i) => (i === index ? { ...r, value: e.target.value } : r)))}
+                        placeholder="Value"
+                        className={inputClass}
+                    />
+                    <button
+                        onClick={() => update(rows.filter((_, i) => i !== index))}
+                        title="Remove"
+                        className="p-1 text-[var(--aevov-text-muted)] hover:text-red-400"
+                    >
+                        <Trash2 className="w-3.5 h-3.5" />
+                    </button>
+                </div>
+            ))}
+            <button
+                onClick={() => update([...rows, { name: '', value: '' }])}
+                className="flex items-center gap-1 text-xs text-[var(--aevov-primary)] hover:underline"
+            >
+                <Plus className="w-3.5 h-3.5" />
+                Add
+            </button>
+        </div>
+    );
+}
+
+interface MediaFrame {
+    on: (event: 'select', callback: () => void) => void;
+    open: () => void;
+    state: () => { get: (key: 'selection') => { first: () => { toJSON: () => { url: string } } } };
+}
+
+type WpMedia = (options: Record<string, unknown>) => MediaFrame;
+
+// A media URL, picked from the WordPress media library when it is loaded
+function MediaInput({
+    field,
+    value,
+    onChange,
+    invalid,
+    className,
+}: {
+    field: ConfigField;
+    value: unknown;
+    onChange: (value: unknown) => void;
+    invalid: boolean;
+    className: string;
+}) {
+    const media = typeof window !== 'undefined'
+        ? (window as unknown as { wp?: { media?: WpMedia } }).wp?.media
+        : undefined;
+    const url = String(value ?? '');
+
+    const pick = () => {
+        if (!media) {
+            return;
+        }
+        const frame = media({
+            title: field.label,
+            multiple: false,
+            library: field.accept ? { type: field.accept.replace(/\/\*?$/, '') } : undefined,
+        });
+        frame.on('select', () => onChange(frame.state().get('selection').first().toJSON().url));
+        frame.open();
+    };
+
+    return (
+        <div className="space-y-1.5">
+            <div className="flex gap-1.5">
+                <input
+                    type="url"
+                    value={url}
+                    onChange={(e) => onChange(e.target.value)}
+                    placeholder={field.placeholder || 'https://'}
+                    className={className}
+                />
+                {media && (
+                    <button
+                        onClick={pick}
+                        title="Choose from the media library"
+                        className={`px-2 rounded-md border text-[var(--aevov-text)] hover:bg-white/10 ${invalid ? 'border-red-500' : 'border-[var(--aevov-border)]'}`}
+                    >
+                        <ImageIcon className="w-4 h-4" />
+                    </button>
+                )}
+            </div>
+            {/^https?:\/\/.+\.(png|jpe?g|gif|webp|svg)(\?.*)?$/i.test(url) && (
+                <img src={url} alt="" className="max-h-24 rounded border border-[var(--aevov-border)]" />
+            )}
+        </div>
+    );
+}
+
+// Picks a credential by id; the secret itself is never sent to the builder
+function CredentialPicker({
+    value,
+    onChange,
+    invalid,
+    className,
+}: {
+    value: unknown;
+    onChange: (value: unknown) => void;
+    invalid: boolean;
+    className: string;
+}) {
+    const { credentials, loaded, error } = useCredentials();
+    const setSidePanel = useWorkflowStore((state) => state.setSidePanel);
+    const id = typeof value === 'string' ? value : '';
+    const missing = loaded && id !== '' && !credentials.some((c) => c.id === id);
+
+    return (
+        <div className="space-y-1">
+            <div className="flex gap-1.5">
+                <select
+                    value={id}
+                    onChange={(e) => onChange(e.target.value || undefined)}
+                    className={`${className} ${missing ? 'border-red-500' : ''}`}
+                >
+                    <option value="">None</option>
+                    {credentials.map((credential) => (
+                        <option key={credential.id} value={credential.id}>
+                            {credential.name} ({describeCredential(credential)})
+                        </option>
+                    ))}
+                    {missing && <option value={id}>Unknown credential</option>}
+                </select>
+                <button
+                    onClick={() => setSidePanel('credentials')}
+                    title="Manage credentials"
+                    className={`px-2 rounded-md border text-[var(--aevov-text)] hover:bg-white/10 ${invalid ? 'border-red-500' : 'border-[var(--aevov-border)]'}`}
+                >
+                    <KeyRound className="w-4 h-4" />
+                </button>
+            </div>
+            {missing && (
+                <p className="text-xs text-red-400">
+                    This credential doesn't exist on this site or isn't shared with you. Pick another one.
+                </p>
+            )}
+            {error && <p className="text-xs text-[var(--aevov-text-muted)]">{error}</p>}
+        </div>
+    );
+}
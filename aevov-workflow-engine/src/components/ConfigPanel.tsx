@@ -1,16 +1,52 @@
+import { Component, ReactNode, useEffect, useRef, useState } from 'react';
 import { useWorkflowStore } from '../store';
-import { X, Trash2 } from 'lucide-react';
+import { isLocallyExecutable } from '../engine';
+import { getRegisteredNodeType } from '../lib/nodeRegistry';
+import { fieldValue, validateConfig, visibleFields } from '../lib/configFields';
+import { isTriggerType } from '../lib/triggers';
+import { ERROR_POLICY_FIELDS, compactErrorPolicy } from '../lib/errorPolicy';
+import { ErrorPolicy } from '../types';
+import { ConfigFieldInput } from './ConfigFieldInput';
+import { TriggerDetails } from './TriggerDetails';
+import { X, Trash2, FlaskConical, Lock, ShieldAlert } from 'lucide-react';
 
 export function ConfigPanel() {
-    const { nodes, selectedNodeId, nodeTypes, updateNodeData, selectNode, removeNode } = useWorkflowStore();
+    const { nodes, selectedNodeId, nodeTypes, validationIssues, collabPeers, updateNodeData, selectNode, removeNode } =
+        useWorkflowStore();
     const node = nodes.find((n) => n.id === selectedNodeId);
+    // Fields edited since the node was selected; 'Required' waits for these or a validation run
+    const [touched, setTouched] = useState<{ nodeId: string | null; keys: string[] }>({ nodeId: null, keys: [] });
+    // Node the user chose to edit although someone else has it open
+    const [editAnyway, setEditAnyway] = useState<string | null>(null);
 
     if (!node) return null;
 
+    // A soft lock: edits would still merge, but two people typing into one field overwrite each other
+    const editor = collabPeers.find((peer) => peer.selectedNodeId === node.id);
+    const locked = Boolean(editor) && editAnyway !== node.id;
+
     const nodeType = nodeTypes[node.data.nodeType];
     const configFields = nodeType?.configFields || [];
+    const shownFields = visibleFields(configFields, node.data.config);
+    const fieldErrors = validateConfig(configFields, node.data.config);
+    const touchedKeys = touched.nodeId === node.id ? touched.keys : [];
+    const flaggedKeys = validationIssues
+        .filter((issue) => issue.nodeId === node.id && issue.field)
+        .map((issue) => issue.field!);
+
+    const errorFor = (key: string): string | undefined => {
+        const error = fieldErrors[key];
+        if (error === 'Required' && !touchedKeys.includes(key) && !flaggedKeys.includes(key)) {
+            return undefined;
+        }
+        return error;
+    };
+    const ConfigEditor = getRegisteredNodeType(node.data.nodeType)?.configEditor;
 
     const handleConfigChange = (key: string, value: unknown) => {
+        if (!touchedKeys.includes(key)) {
+            setTouched({ nodeId: node.id, keys: [...touchedKeys, key] });
+        }
         updateNodeData(node.id, {
             config: {
                 ...node.data.config,
@@ -38,58 +74,125 @@ export function ConfigPanel() {
 
             {/* Content */}
             <div className="flex-1 overflow-y-auto p-4 space-y-4">
-                {/* Label */}
-                <div>
-                    <label className="block text-sm font-medium text-[var(--aevov-text-muted)] mb-1.5">
-                        Label
-                    </label>
-                    <input
-                        type="text"
-                        value={node.data.label}
-                        onChange={(e) => handleLabelChange(e.target.value)}
-                        className="w-full px-3 py-2 bg-[var(--aevov-bg-dark)] border border-[var(--aevov-border)] rounded-md text-sm text-[var(--aevov-text)] focus:outline-none focus:border-[var(--aevov-primary)]"
-                    />
-                </div>
-
-                {/* Type */}
-                <div>
-                    <label className="block text-sm font-medium text-[var(--aevov-text-muted)] mb-1.5">
-                        Type
-                    </label>
+                {editor && (
                     <div
-                        className="px-3 py-2 bg-[var(--aevov-bg-dark)]/50 border-l-4 rounded-md text-sm text-[var(--aevov-text)]"
-                        style={{ borderLeftColor: node.data.color }}
+                        className="flex items-start gap-2 p-2 rounded-md text-xs text-[var(--aevov-text)]"
+                        style={{ backgroundColor: `${editor.color}26` }}
                     >
-                        {nodeType?.label || node.data.nodeType}
+                        <Lock className="w-3.5 h-3.5 shrink-0 mt-px" style={{ color: editor.color }} />
+                        <span className="flex-1">{editor.name} is editing this node.</span>
+                        {locked && (
+                            <button
+                                onClick={() => setEditAnyway(node.id)}
+                                className="text-[var(--aevov-primary)] hover:underline"
+                            >
+                                Edit anyway
+                            </button>
+                        )}
                     </div>
-                </div>
-
-                {/* Description */}
-                {nodeType?.description && (
-                    <p className="text-sm text-[var(--aevov-text-muted)]">{nodeType.description}</p>
                 )}
 
-                {/* Config Fields */}
-                {configFields.length > 0 && (
-                    <div className="space-y-4">
-                        <h4 className="text-sm font-medium text-[var(--aevov-text-muted)]">Configuration</h4>
-                        {configFields.map((field) => (
-                            <ConfigField
-                                key={field.key}
-                                field={field}
-                                value={node.data.config?.[field.key] ?? field.defaultValue}
-                                onChange={(value) => handleConfigChange(field.key, value)}
-                            />
-                        ))}
+                <fieldset disabled={locked} className="space-y-4 min-w-0">
+                    {/* Label */}
+                    <div>
+                        <label className="block text-sm font-medium text-[var(--aevov-text-muted)] mb-1.5">
+                            Label
+                        </label>
+                        <input
+                            type="text"
+                            value={node.data.label}
+                            onChange={(e) => handleLabelChange(e.target.value)}
+                            className="w-full px-3 py-2 bg-[var(--aevov-bg-dark)] border border-[var(--aevov-border)] rounded-md text-sm text-[var(--aevov-text)] focus:outline-none focus:border-[var(--aevov-primary)]"
+                        />
                     </div>
-                )}
+
+                    {/* Type */}
+                    <div>
+                        <label className="block text-sm font-medium text-[var(--aevov-text-muted)] mb-1.5">
+                            Type
+                        </label>
+                        <div
+                            className="px-3 py-2 bg-[var(--aevov-bg-dark)]/50 border-l-4 rounded-md text-sm text-[var(--aevov-text)]"
+                            style={{ borderLeftColor: node.data.color }}
+                        >
+                            {nodeType?.label || node.data.nodeType}
+                        </div>
+                    </div>
+
+                    {/* Description */}
+                    {nodeType?.description && (
+                        <p className="text-sm text-[var(--aevov-text-muted)]">{nodeType.description}</p>
+                    )}
+
+                    {/* Config Fields */}
+                    {ConfigEditor && nodeType ? (
+                        <div className="space-y-4">
+                            <h4 className="text-sm font-medium text-[var(--aevov-text-muted)]">Configuration</h4>
+                            <EditorBoundary key={node.id}>
+                                <ConfigEditor
+                                    nodeId={node.id}
+                                    config={node.data.config || {}}
+                                    onChange={(patch) => updateNodeData(node.id, { config: { ...node.data.config, ...patch } })}
+                                    definition={nodeType}
+                                />
+                            </EditorBoundary>
+                        </div>
+                    ) : shownFields.length > 0 && (
+                        <div className="space-y-4">
+                            <h4 className="text-sm font-medium text-[var(--aevov-text-muted)]">Configuration</h4>
+                            {shownFields.map((field) => {
+                                const error = errorFor(field.key);
+                                return (
+                                    <div key={`${node.id}:${field.key}`}>
+                                        <label className="block text-sm font-medium text-[var(--aevov-text-muted)] mb-1.5">
+                                            {field.label}
+                                            {field.required && <span className="ml-0.5 text-red-400">*</span>}
+                                        </label>
+                                        <ConfigFieldInput
+                                            field={field}
+                                            value={fieldValue(field, node.data.config)}
+                                            onChange={(value) => handleConfigChange(field.key, value)}
+                                            invalid={Boolean(error)}
+                                        />
+                                        {error ? (
+                                            <p className="mt-1 text-xs text-red-400">{error}</p>
+                                        ) : field.description && (
+                                            <p className="mt-1 text-xs text-[var(--aevov-text-muted)]">{field.description}</p>
+                                        )}
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    )}
+
+                    {isTriggerType(node.data.nodeType) && <TriggerDetails node={node} />}
+
+                    {/* Dry-run fixture */}
+                    {!isLocallyExecutable(node.data.nodeType) && (
+                        <FixtureEditor
+                            key={node.id}
+                            value={node.data.fixture}
+                            onChange={(fixture) => updateNodeData(node.id, { fixture })}
+                        />
+                    )}
+
+                    {/* Error handling */}
+                    {!isTriggerType(node.data.nodeType) && (
+                        <ErrorPolicyEditor
+                            nodeId={node.id}
+                            policy={node.data.errorPolicy}
+                            onChange={(errorPolicy) => updateNodeData(node.id, { errorPolicy })}
+                        />
+                    )}
+                </fieldset>
             </div>
 
             {/* Footer */}
             <div className="p-4 border-t border-[var(--aevov-border)]">
                 <button
                     onClick={() => removeNode(node.id)}
-                    className="flex w-full items-center justify-center gap-2 px-4 py-2 rounded-md text-sm bg-red-500/10 text-red-400 hover:bg-red-500/20"
+                    disabled={locked}
+                    className="flex w-full items-center justify-center gap-2 px-4 py-2 rounded-md text-sm bg-red-500/10 text-red-400 hover:bg-red-500/20 disabled:opacity-50"
                 >
                     <Trash2 className="w-4 h-4" />
                     Delete Node
@@ -99,75 +202,127 @@ export function ConfigPanel() {
     );
 }
 
-function ConfigField({
-    field,
+// A failing editor from another plugin shouldn't take the builder down with it
+class EditorBoundary extends Component<{ children: ReactNode }, { error: Error | null }> {
+    state = { error: null as Error | null };
+
+    static getDerivedStateFromError(error: Error) {
+        return { error };
+    }
+
+    componentDidCatch(error: Error) {
+        console.error('Node config editor failed:', error);
+    }
+
+    render() {
+        if (this.state.error) {
+            return (
+                <div className="p-2 rounded-md bg-red-500/10 text-xs text-red-400">
+                    The config editor for this node failed: {this.state.error.message}
+                </div>
+            );
+        }
+        return this.props.children;
+    }
+}
+
+function ErrorPolicyEditor({
+    nodeId,
+    policy,
+    onChange,
+}: {
+    nodeId: string;
+    policy: ErrorPolicy | undefined;
+    onChange: (policy: ErrorPolicy | undefined) => void;
+}) {
+    const values = (policy || {}) as Record<string, unknown>;
+    const errors = validateConfig(ERROR_POLICY_FIELDS, values);
+
+    return (
+        <div className="space-y-4">
+            <h4 className="flex items-center gap-1.5 text-sm font-medium text-[var(--aevov-text-muted)]">
+                <ShieldAlert className="w-4 h-4" />
+                Error Handling
+            </h4>
+            {visibleFields(ERROR_POLICY_FIELDS, values).map((field) => (
+                <div key={`${nodeId}:errorPolicy.${field.key}`}>
+                    <label className="block text-sm font-medium text-[var(--aevov-text-muted)] mb-1.5">
+                        {field.label}
+                    </label>
+                    <ConfigFieldInput
+                        field={field}
+                        value={fieldValue(field, values)}
+                        onChange={(value) => onChange(compactErrorPolicy({ ...policy, [field.key]: value }))}
+                        invalid={Boolean(errors[field.key])}
+                    />
+                    {errors[field.key] ? (
+                        <p className="mt-1 text-xs text-red-400">{errors[field.key]}</p>
+                    ) : field.description && (
+                        <p className="mt-1 text-xs text-[var(--aevov-text-muted)]">{field.description}</p>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+function FixtureEditor({
     value,
     onChange,
 }: {
-    field: {
-        key: string;
-        label: string;
-        type: string;
-        options?: { value: string; label: string }[];
-        placeholder?: string;
-    };
     value: unknown;
     onChange: (value: unknown) => void;
 }) {
-    const baseClass = "w-full px-3 py-2 bg-[var(--aevov-bg-dark)] border border-[var(--aevov-border)] rounded-md text-sm text-[var(--aevov-text)] focus:outline-none focus:border-[var(--aevov-primary)]";
+    const [text, setText] = useState(() => formatFixture(value));
+    const emitted = useRef<unknown>(value);
+
+    // Only resync when the fixture is replaced from outside, e.g. by undo
+    useEffect(() => {
+        if (value !== emitted.current) {
+            emitted.current = value;
+            setText(formatFixture(value));
+        }
+    }, [value]);
+
+    const handleChange = (next: string) => {
+        setText(next);
+
+        let parsed: unknown = undefined;
+        if (next.trim() !== '') {
+            try {
+                parsed = JSON.parse(next);
+            } catch {
+                // Not JSON, use the raw text as the output
+                parsed = next;
+            }
+        }
+
+        emitted.current = parsed;
+        onChange(parsed);
+    };
 
     return (
-        <div>
-            <label className="block text-sm font-medium text-[var(--aevov-text-muted)] mb-1.5">
-                {field.label}
-            </label>
-            {field.type === 'select' ? (
-                <select
-                    value={String(value || '')}
-                    onChange={(e) => onChange(e.target.value)}
-                    className={baseClass}
-                >
-                    <option value="">Select...</option>
-                    {field.options?.map((opt) => (
-                        <option key={opt.value} value={opt.value}>
-                            {opt.label}
-                        </option>
-                    ))}
-                </select>
-            ) : field.type === 'textarea' ? (
-                <textarea
-                    value={String(value || '')}
-                    onChange={(e) => onChange(e.target.value)}
-                    placeholder={field.placeholder}
-                    className={`${baseClass} min-h-[80px] resize-none`}
-                />
-            ) : field.type === 'number' ? (
-                <input
-                    type="number"
-                    value={Number(value) || ''}
-                    onChange={(e) => onChange(parseFloat(e.target.value))}
-                    placeholder={field.placeholder}
-                    className={baseClass}
-                />
-            ) : field.type === 'boolean' ? (
-                <label className="flex items-center gap-2 cursor-pointer">
-                    <input
-                        type="checkbox"
-                        checked={Boolean(value)}
-                        onChange={(e) => onChange(e.target.checked)}
-                        className="rounded border-[var(--aevov-border)]"
-                    />
-                    <span className="text-sm text-[var(--aevov-text)]">Enabled</span>
-                </label>
-            ) : (
-                <input
-                    type="text"
-                    value={String(value || '')}
-                    onChange={(e) => onChange(e.target.value)}
-                    placeholder={field.placeholder}
-                    className={baseClass}
-                />
-            )}
+        <div className="space-y-1.5">
+            <h4 className="flex items-center gap-1.5 text-sm font-medium text-[var(--aevov-text-muted)]">
+                <FlaskConical className="w-4 h-4" />
+                Dry-run Fixture
+            </h4>
+            <textarea
+                value={text}
+                onChange={(e) => handleChange(e.target.value)}
+                placeholder='{"text": "Sample response"}'
+                className="w-full px-3 py-2 bg-[var(--aevov-bg-dark)] border border-[var(--aevov-border)] rounded-md text-xs font-mono text-[var(--aevov-text)] focus:outline-none focus:border-[var(--aevov-primary)] min-h-[100px] resize-y"
+            />
+            <p className="text-xs text-[var(--aevov-text-muted)]">
+                Returned as this node's output when the workflow runs in the browser.
+            </p>
         </div>
     );
 }
+
+function formatFixture(value: unknown): string {
+    if (value === undefined) {
+        return '';
+    }
+    return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
@@ -0,0 +1,58 @@
+import { useEffect } from 'react';
+import { AlertTriangle } from 'lucide-react';
+
+export interface ConfirmRequest {
+    title: string;
+    message: string;
+    confirmLabel: string;
+    onConfirm: () => void;
+}
+
+// Asks before something that can't be undone, in place of window.confirm()
+export function ConfirmDialog({ request, onClose }: { request: ConfirmRequest; onClose: () => void }) {
+    useEffect(() => {
+        const onKeyDown = (event: KeyboardEvent) => {
+            if (event.key === 'Escape') {
+                onClose();
+            }
+        };
+        document.addEventListener('keydown', onKeyDown);
+        return () => document.removeEventListener('keydown', onKeyDown);
+    }, [onClose]);
+
+    const confirm = () => {
+        onClose();
+        request.onConfirm();
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50">
+            <div
+                role="alertdialog"
+                aria-modal="true"
+                aria-label={request.title}
+                className="w-full max-w-sm bg-[var(--aevov-bg-card)] rounded-lg p-6 shadow-xl"
+            >
+                <h2 className="text-lg font-semibold text-[var(--aevov-text)] mb-2 flex items-center gap-2">
+                    <AlertTriangle className="w-5 h-5 text-red-400" />
+                    {request.title}
+                </h2>
+                <p className="text-sm text-[var(--aevov-text-muted)]">{request.message}</p>
+                <div className="flex justify-end gap-2 mt-4">
+                    <button
+                        onClick={onClose}
+                        className="px-4 py-2 rounded-md text-sm text-[var(--aevov-text)] hover:bg-white/10"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={confirm}
+                        className="px-4 py-2 rounded-md text-sm bg-red-500 text-white hover:bg-red-600"
+                    >
+                        {request.confirmLabel}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,287 @@
+import { useMemo, useState } from 'react';
+import { useWorkflowStore } from '../store';
+import { useCredentials } from '../hooks/useCredentials';
+import {
+    CREDENTIAL_TYPES,
+    CredentialInput,
+    CredentialSummary,
+    CredentialType,
+    credentialReferences,
+    describeCredential,
+} from '../lib/credentials';
+import { formatDate } from '../lib/format';
+import { X, KeyRound, Plus, Pencil, Trash2, Loader2, Users } from 'lucide-react';
+import { ConfirmDialog, ConfirmRequest } from './ConfirmDialog';
+
+export function CredentialsPanel() {
+    const { nodes, nodeTypes, setSidePanel } = useWorkflowStore();
+    const { available, credentials, loading, error, create, update, remove } = useCredentials();
+
+    // 'new', the id being edited, or null while just listing
+    const [editing, setEditing] = useState<string | null>(null);
+    const [busy, setBusy] = useState<string | null>(null);
+    const [actionError, setActionError] = useState<string | null>(null);
+    const [confirming, setConfirming] = useState<ConfirmRequest | null>(null);
+
+    const usedBy = useMemo(() => credentialReferences(nodes, nodeTypes), [nodes, nodeTypes]);
+
+    const run = async (key: string, action: () => Promise<unknown>) => {
+        setBusy(key);
+        setActionError(null);
+        try {
+            await action();
+            return true;
+        } catch (e) {
+            setActionError(e instanceof Error ? e.message : 'Request failed');
+            return false;
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const handleSave = async (input: CredentialInput) => {
+        const saved = await run('save', () => (editing === 'new' ? create(input) : update(editing!, input)));
+        if (saved) {
+            setEditing(null);
+        }
+    };
+
+    const handleDelete = (credential: CredentialSummary) => {
+        const nodesUsing = usedBy[credential.id] || [];
+        setConfirming({
+            title: 'Delete Credential',
+            message: nodesUsing.length > 0
+                ? `Delete "${credential.name}"? ${nodesUsing.join(', ')} in this workflow and any other workflow using it will fail until you pick another credential.`
+                : `Delete "${credential.name}"? Workflows using it will fail until you pick another credential.`,
+            confirmLabel: 'Delete',
+            onConfirm: () => run(`delete:${credential.id}`, () => remove(credential.id)),
+        });
+    };
+
+    const editingCredential = credentials.find((c) => c.id === editing);
+
+    return (
+        <aside className="w-80 bg-[var(--aevov-bg-card)] border-l border-[var(--aevov-border)] flex flex-col">
+            {/* Header */}
+            <div className="flex items-center justify-between p-4 border-b border-[var(--aevov-border)]">
+                <h3 className="font-semibold text-[var(--aevov-text)] flex items-center gap-2">
+                    <KeyRound className="w-4 h-4" />
+                    Credentials
+                </h3>
+                <button
+                    onClick={() => setSidePanel(null)}
+                    className="p-1 rounded hover:bg-white/10"
+                >
+                    <X className="w-4 h-4 text-[var(--aevov-text-muted)]" />
+                </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-4 space-y-4">
+                {!available ? (
+                    <p className="text-sm text-[var(--aevov-text-muted)]">
+                        Credentials are stored encrypted on the WordPress site. Open the builder from wp-admin to manage them.
+                    </p>
+                ) : (
+                    <>
+                        <p className="text-xs text-[var(--aevov-text-muted)]">
+                            Secrets are encrypted on the site and never sent back to the browser. Workflows, and files exported
+                            from them, only refer to a credential by its id.
+                        </p>
+
+                        {(error || actionError) && (
+                            <div className="p-2 rounded-md bg-red-500/10 text-xs text-red-400">{actionError || error}</div>
+                        )}
+
+                        {editing ? (
+                            <CredentialForm
+                                key={editing}
+                                credential={editingCredential}
+                                saving={busy === 'save'}
+                                onSave={handleSave}
+                                onCancel={() => setEditing(null)}
+                            />
+                        ) : (
+                            <button
+                                onClick={() => setEditing('new')}
+                                className="w-full flex items-center justify-center gap-2 px-3 py-1.5 rounded-md text-sm bg-[var(--aevov-border)] text-[var(--aevov-text)] hover:bg-white/20"
+                            >
+                                <Plus className="w-4 h-4" />
+                                New Credential
+                            </button>
+                        )}
+
+                        <ul className="space-y-1">
+                            {loading && credentials.length === 0 && (
+                                <li className="flex justify-center py-4">
+                                    <Loader2 className="w-4 h-4 animate-spin text-[var(--aevov-text-muted)]" />
+                                </li>
+                            )}
+                            {!loading && credentials.length === 0 && (
+                                <li className="text-sm text-[var(--aevov-text-muted)]">No credentials yet.</li>
+                            )}
+                            {credentials.map((credential) => (
+                                <li
+                                    key={credential.id}
+                                    className="group flex items-start justify-between gap-2 p-2 rounded-md hover:bg-white/5"
+                                >
+                                    <div className="min-w-0">
+                                        <div className="flex items-center gap-1.5 text-sm text-[var(--aevov-text)]">
+                                            <span className="truncate">{credential.name}</span>
+                                            {credential.shared && (
+                                                <span title="Shared with other editors">
+                                                    <Users className="w-3.5 h-3.5 text-[var(--aevov-text-muted)]" />
+                                                </span>
+                                            )}
+                                        </div>
+                                        <div className="text-xs text-[var(--aevov-text-muted)]">
+                                            {describeCredential(credential)}
+                                            {credential.owner && ` · ${credential.owner}`}
+                                            {` · ${formatDate(credential.updatedAt)}`}
+                                        </div>
+                                        {usedBy[credential.id] && (
+                                            <div className="text-xs text-[var(--aevov-primary)] truncate">
+                                                Used by {usedBy[credential.id].join(', ')}
+                                            </div>
+                                        )}
+                                    </div>
+                                    {credential.canManage && (
+                                        <div className="flex shrink-0 gap-1 opacity-0 group-hover:opacity-100">
+                                            <button
+                                                onClick={() => setEditing(credential.id)}
+                                                disabled={busy !== null}
+                                                title="Edit"
+                                                className="p-1 rounded text-[var(--aevov-text-muted)] hover:bg-white/10 disabled:opacity-50"
+                                            >
+                                                <Pencil className="w-3.5 h-3.5" />
+                                            </button>
+                                            <button
+                                                onClick={() => handleDelete(credential)}
+                                                disabled={busy !== null}
+                                                title="Delete"
+                                                className="p-1 rounded text-[var(--aevov-text-muted)] hover:text-red-400 hover:bg-white/10 disabled:opacity-50"
+                                            >
+                                                {busy === `delete:${credential.id}`
+                                                    ? <Loader2 className="w-3.5 h-3.5 animate-spin" />
+                                                    : <Trash2 className="w-3.5 h-3.5" />}
+                                            </button>
+                                        </div>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    </>
+                )}
+            </div>
+
+            {confirming && <ConfirmDialog request={confirming} onClose={() => setConfirming(null)} />}
+        </aside>
+    );
+}
+
+function CredentialForm({
+    credential,
+    saving,
+    onSave,
+    onCancel,
+}: {
+    credential?: CredentialSummary;
+    saving: boolean;
+    onSave: (input: CredentialInput) => void;
+    onCancel: () => void;
+}) {
+    const [name, setName] = useState(credential?.name || '');
+    const [type, setType] = useState<CredentialType>(credential?.type || 'bearer');
+    const [key, setKey] = useState(credential?.key || '');
+    const [secret, setSecret] = useState('');
+    const [shared, setShared] = useState(credential?.shared || false);
+
+    const typeInfo = CREDENTIAL_TYPES.find((t) => t.value === type)!;
+    // Switching how the secret is sent means the old secret probably doesn't fit
+    const secretRequired = !credential || credential.type !== type;
+    const complete = name.trim() !== ''
+        && (typeInfo.keyLabel === null || key.trim() !== '')
+        && (!secretRequired || secret !== '');
+
+    const inputClass = 'w-full px-3 py-2 bg-[var(--aevov-bg-dark)] border border-[var(--aevov-border)] rounded-md text-sm text-[var(--aevov-text)] placeholder:text-[var(--aevov-text-muted)] focus:outline-none focus:border-[var(--aevov-primary)]';
+    const labelClass = 'block text-xs font-medium text-[var(--aevov-text-muted)] mb-1';
+
+    return (
+        <form
+            onSubmit={(e) => {
+                e.preventDefault();
+                if (!complete) {
+                    return;
+                }
+                onSave({
+                    name: name.trim(),
+                    type,
+                    ...(typeInfo.keyLabel !== null ? { key: key.trim() } : {}),
+                    ...(secret !== '' ? { secret } : {}),
+                    shared,
+                });
+            }}
+            className="space-y-3 p-3 rounded-md border border-[var(--aevov-border)]"
+        >
+            <div>
+                <label className={labelClass}>Name</label>
+                <input value={name} onChange={(e) => setName(e.target.value)} placeholder="OpenWeather API" className={inputClass} />
+            </div>
+            <div>
+                <label className={labelClass}>Sent as</label>
+                <select value={type} onChange={(e) => setType(e.target.value as CredentialType)} className={inputClass}>
+                    {CREDENTIAL_TYPES.map((t) => (
+                        <option key={t.value} value={t.value}>{t.label}</option>
+                    ))}
+                </select>
+            </div>
+            {typeInfo.keyLabel !== null && (
+                <div>
+                    <label className={labelClass}>{typeInfo.keyLabel}</label>
+                    <input
+                        value={key}
+                        onChange={(e) => setKey(e.target.value)}
+                        placeholder={type === 'header' ? 'X-Api-Key' : type === 'query' ? 'api_key' : ''}
+                        className={`${inputClass} font-mono`}
+                    />
+                </div>
+            )}
+            <div>
+                <label className={labelClass}>{typeInfo.secretLabel}</label>
+                <input
+                    type="password"
+                    value={secret}
+                    onChange={(e) => setSecret(e.target.value)}
+                    placeholder={secretRequired ? '' : 'Unchanged'}
+                    autoComplete="new-password"
+                    className={`${inputClass} font-mono`}
+                />
+            </div>
+            <label className="flex items-center gap-2 text-sm text-[var(--aevov-text)] cursor-pointer">
+                <input
+                    type="checkbox"
+                    checked={shared}
+                    onChange={(e) => setShared(e.target.checked)}
+                    className="rounded border-[var(--aevov-border)]"
+                />
+                Other editors can use it
+            </label>
+            <div className="flex justify-end gap-2">
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    className="px-3 py-1.5 rounded-md text-sm text-[var(--aevov-text)] hover:bg-white/10"
+                >
+                    Cancel
+                </button>
+                <button
+                    type="submit"
+                    disabled={!complete || saving}
+                    className="flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm bg-[var(--aevov-primary)] text-white hover:opacity-90 disabled:opacity-50"
+                >
+                    {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+                    {credential ? 'Save' : 'Create'}
+                </button>
+            </div>
+        </form>
+    );
+}
@@ -0,0 +1,205 @@
+import { useEffect, useState } from 'react';
+import { Edge } from 'reactflow';
+import { useWorkflowStore } from '../store';
+import { readHandle } from '../engine';
+import { isCompositeType } from '../lib/composite';
+import { NodeRunState } from '../types';
+import { Bug, Play, StepForward, Square, Loader2, Pencil } from 'lucide-react';
+
+// What an edge carries into its target at this point of a paused run, edits included
+export function edgePayload(
+    edge: Edge,
+    nodeRunStates: Record<string, NodeRunState>,
+    editedOutputs: Record<string, unknown>
+): { value: unknown } | null {
+    const source = nodeRunStates[edge.source];
+    if (edge.source in editedOutputs) {
+        return { value: readHandle(editedOutputs[edge.source], edge.sourceHandle) };
+    }
+    if (source?.status !== 'completed' || source.output === undefined) {
+        return null;
+    }
+    return { value: readHandle(source.output, edge.sourceHandle) };
+}
+
+export function previewValue(value: unknown, maxLength: number): string {
+    const text = typeof value === 'string' ? value : JSON.stringify(value) ?? 'undefined';
+    return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+}
+
+export function DebugPanel() {
+    const { nodes, edges, nodeRunStates, debugPause, editedOutputs, resumeExecution } = useWorkflowStore();
+    const [busy, setBusy] = useState<string | null>(null);
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => {
+        setBusy(null);
+        setError(null);
+    }, [debugPause]);
+
+    if (!debugPause) {
+        return null;
+    }
+
+    const label = (id: string) => nodes.find((n) => n.id === id)?.data.label ?? id;
+    const paused = nodeRunStates[debugPause.nodeId];
+    const incoming = edges.filter((e) => e.target === debugPause.nodeId);
+
+    // Outputs of sub-workflows stand for several inner nodes, so only plain nodes can be edited
+    const editable = nodes.filter((n) =>
+        nodeRunStates[n.id]?.status === 'completed' && !isCompositeType(n.data.nodeType)
+    );
+
+    const resume = async (action: 'continue' | 'step' | 'stop') => {
+        setBusy(action);
+        setError(null);
+        try {
+            await resumeExecution(action);
+        } catch (e) {
+            setError(e instanceof Error ? e.message : 'Failed to resume the run');
+            setBusy(null);
+        }
+    };
+
+    const controls = [
+        { action: 'continue' as const, label: 'Continue', icon: Play, title: 'Run to the next breakpoint' },
+        { action: 'step' as const, label: 'Step', icon: StepForward, title: 'Run this node and pause before the next one' },
+        { action: 'stop' as const, label: 'Stop', icon: Square, title: 'Cancel the run' },
+    ];
+
+    return (
+        <aside className="w-80 bg-[var(--aevov-bg-card)] border-l border-[var(--aevov-border)] flex flex-col">
+            {/* Header */}
+            <div className="p-4 border-b border-[var(--aevov-border)]">
+                <h3 className="font-semibold text-[var(--aevov-text)] flex items-center gap-2">
+                    <Bug className="w-4 h-4 text-amber-500" />
+                    Paused before {label(debugPause.nodeId)}
+                </h3>
+                <div className="flex gap-2 mt-3">
+                    {controls.map(({ action, label: text, icon: Icon, title }) => (
+                        <button
+                            key={action}
+                            onClick={() => resume(action)}
+                            disabled={busy !== null}
+                            title={title}
+                            className={`flex-1 flex items-center justify-center gap-1.5 px-2 py-1.5 rounded-md text-sm transition-colors disabled:opacity-50 ${
+                                action === 'continue'
+                                    ? 'bg-[var(--aevov-primary)] text-white hover:opacity-90'
+                                    : action === 'stop'
+                                        ? 'bg-red-500/10 text-red-400 hover:bg-red-500/20'
+                                        : 'bg-[var(--aevov-bg-dark)] text-[var(--aevov-text)] hover:bg-white/10'
+                            }`}
+                        >
+                            {busy === action ? <Loader2 className="w-4 h-4 animate-spin" /> : <Icon className="w-4 h-4" />}
+                            {text}
+                        </button>
+                    ))}
+                </div>
+                {error && <div className="mt-3 p-2 rounded-md bg-red-500/10 text-xs text-red-400">{error}</div>}
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-4 space-y-5">
+                <section>
+                    <h4 className="text-xs font-semibold uppercase tracking-wide text-[var(--aevov-text-muted)] mb-2">
+                        Inputs
+                    </h4>
+                    {incoming.length === 0 ? (
+                        <pre className="p-2 rounded bg-[var(--aevov-bg-dark)] font-mono text-[11px] text-[var(--aevov-text-muted)] whitespace-pre-wrap break-words">
+                            {JSON.stringify(paused?.inputs ?? {}, null, 2)}
+                        </pre>
+                    ) : (
+                        <div className="space-y-2">
+                            {incoming.map((edge) => {
+                                const payload = edgePayload(edge, nodeRunStates, editedOutputs);
+                                return (
+                                    <div key={edge.id}>
+                                        <div className="text-xs text-[var(--aevov-text-muted)] mb-1">
+                                            {label(edge.source)}
+                                            {edge.sourceHandle && <span className="font-mono"> .{edge.sourceHandle}</span>}
+                                            {' → '}
+                                            <span className="font-mono">{edge.targetHandle || 'input'}</span>
+                                        </div>
+                                        <pre className="p-2 rounded bg-[var(--aevov-bg-dark)] font-mono text-[11px] text-[var(--aevov-text)] whitespace-pre-wrap break-words max-h-40 overflow-y-auto">
+                                            {payload ? JSON.stringify(payload.value, null, 2) ?? 'undefined' : 'No data (branch not taken)'}
+                                        </pre>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    )}
+                </section>
+
+                <section>
+                    <h4 className="text-xs font-semibold uppercase tracking-wide text-[var(--aevov-text-muted)] mb-2">
+                        Node Outputs
+                    </h4>
+                    <p className="text-xs text-[var(--aevov-text-muted)] mb-2">
+                        Edits apply when the run resumes and are flagged in its log.
+                    </p>
+                    {editable.length === 0 ? (
+                        <p className="text-sm text-[var(--aevov-text-muted)]">No node has finished yet.</p>
+                    ) : (
+                        <div className="space-y-2">
+                            {editable.map((node) => (
+                                <OutputEditor
+                                    key={node.id}
+                                    nodeId={node.id}
+                                    label={node.data.label}
+                                    output={nodeRunStates[node.id].output}
+                                />
+                            ))}
+                        </div>
+                    )}
+                </section>
+            </div>
+        </aside>
+    );
+}
+
+function OutputEditor({ nodeId, label, output }: { nodeId: string; label: string; output: unknown }) {
+    const { editedOutputs, editNodeOutput } = useWorkflowStore();
+    const edited = nodeId in editedOutputs;
+    const current = edited ? editedOutputs[nodeId] : output;
+
+    const [text, setText] = useState(() => JSON.stringify(current, null, 2) ?? '');
+    const [error, setError] = useState<string | null>(null);
+
+    const apply = () => {
+        try {
+            editNodeOutput(nodeId, JSON.parse(text));
+            setError(null);
+        } catch {
+            setError('Must be valid JSON');
+        }
+    };
+
+    return (
+        <details className="rounded-md border border-[var(--aevov-border)]">
+            <summary className="flex items-center gap-2 px-2 py-1.5 text-sm text-[var(--aevov-text)] cursor-pointer">
+                {label}
+                {edited && (
+                    <span className="ml-auto flex items-center gap-1 text-[10px] text-amber-400">
+                        <Pencil className="w-3 h-3" />
+                        edited
+                    </span>
+                )}
+            </summary>
+            <div className="p-2 border-t border-[var(--aevov-border)]">
+                <textarea
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    rows={6}
+                    spellCheck={false}
+                    className={`w-full px-2 py-1.5 bg-[var(--aevov-bg-dark)] border rounded-md font-mono text-[11px] text-[var(--aevov-text)] resize-y focus:outline-none focus:border-[var(--aevov-primary)] ${error ? 'border-red-500' : 'border-[var(--aevov-border)]'}`}
+                />
+                {error && <p className="mt-1 text-xs text-red-400">{error}</p>}
+                <button
+                    onClick={apply}
+                    className="mt-2 px-3 py-1 rounded-md bg-[var(--aevov-bg-dark)] text-xs text-[var(--aevov-text)] hover:bg-white/10"
+                >
+                    Apply Edit
+                </button>
+            </div>
+        </details>
+    );
+}
@@ -0,0 +1,455 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useWorkflowStore } from '../store';
+import { useApi } from '../hooks/useApi';
+import { useExecutions } from '../hooks/useExecutions';
+import { ExecutionRecord, ExecutionStatus, ExecutionSummary } from '../lib/executions';
+import { formatDate, formatDuration } from '../lib/format';
+import { triggerSourceLabel } from '../lib/triggers';
+import { inputFormValues, inputParameters, validateInputs } from '../lib/inputs';
+import { InputFields } from './InputFields';
+import {
+    X,
+    ListChecks,
+    CheckCircle2,
+    XCircle,
+    Square,
+    Loader2,
+    RotateCw,
+    Columns2,
+    ChevronLeft,
+    ChevronRight,
+} from 'lucide-react';
+
+export function ExecutionsPanel() {
+    const { workflowId, nodes, isExecuting, openedExecutionId, setSidePanel } = useWorkflowStore();
+    const { executeWorkflow } = useApi();
+    const { historyKind, executions, page, totalPages, setPage, loading, error, fetchExecution, open } = useExecutions();
+
+    const [opened, setOpened] = useState<ExecutionRecord | null>(null);
+    const [comparing, setComparing] = useState<number[]>([]);
+    const [showCompare, setShowCompare] = useState(false);
+    const [actionError, setActionError] = useState<string | null>(null);
+
+    // Forget the opened run once the results panel moves on to another one
+    useEffect(() => {
+        if (opened && openedExecutionId !== opened.id) {
+            setOpened(null);
+        }
+    }, [openedExecutionId, opened]);
+
+    const labels = useMemo(() => nodeLabels(nodes, opened), [nodes, opened]);
+
+    const handleOpen = async (id: number) => {
+        setActionError(null);
+        try {
+            setOpened(await open(id));
+        } catch (e) {
+            setActionError(e instanceof Error ? e.message : 'Could not open run');
+        }
+    };
+
+    const handleRerun = async (inputs: Record<string, unknown>) => {
+        if (!opened) {
+            return;
+        }
+        setActionError(null);
+        try {
+            await executeWorkflow({
+                inputs,
+                workflow: opened.workflow ?? undefined,
+                replayOf: opened.id,
+            });
+        } catch (e) {
+            setActionError(e instanceof Error ? e.message : 'Re-run failed');
+        }
+    };
+
+    const toggleCompare = (id: number) => {
+        setComparing((ids) => (ids.includes(id) ? ids.filter((i) => i !== id) : [...ids, id].slice(-2)));
+    };
+
+    return (
+        <aside className="w-80 bg-[var(--aevov-bg-card)] border-l border-[var(--aevov-border)] flex flex-col">
+            {/* Header */}
+            <div className="flex items-center justify-between p-4 border-b border-[var(--aevov-border)]">
+                <h3 className="font-semibold text-[var(--aevov-text)] flex items-center gap-2">
+                    <ListChecks className="w-4 h-4" />
+                    Runs
+                </h3>
+                <button
+                    onClick={() => setSidePanel(null)}
+                    className="p-1 rounded hover:bg-white/10"
+                >
+                    <X className="w-4 h-4 text-[var(--aevov-text-muted)]" />
+                </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-4 space-y-4">
+                {(!workflowId || historyKind === 'local') && (
+                    <p className="text-xs text-[var(--aevov-text-muted)]">
+                        {!workflowId && 'Showing runs of every workflow. Save this one to see only its runs. '}
+                        {historyKind === 'local' && 'Runs are stored in this browser.'}
+                    </p>
+                )}
+
+                {(error || actionError) && (
+                    <div className="p-2 rounded-md bg-red-500/10 text-xs text-red-400">{actionError || error}</div>
+                )}
+
+                <ul className="space-y-1">
+                    {loading && executions.length === 0 && (
+                        <li className="flex justify-center py-4">
+                            <Loader2 className="w-4 h-4 animate-spin text-[var(--aevov-text-muted)]" />
+                        </li>
+                    )}
+                    {!loading && executions.length === 0 && (
+                        <li className="text-sm text-[var(--aevov-text-muted)]">No runs yet.</li>
+                    )}
+                    {executions.map((execution) => (
+                        <ExecutionRow
+                            key={execution.id}
+                            execution={execution}
+                            failedLabel={execution.failedNode ? labels[execution.failedNode] : undefined}
+                            active={execution.id === openedExecutionId}
+                            selected={comparing.includes(execution.id)}
+                            onOpen={() => handleOpen(execution.id)}
+                            onToggleCompare={() => toggleCompare(execution.id)}
+                        />
+                    ))}
+                </ul>
+
+                {totalPages > 1 && (
+                    <div className="flex items-center justify-between text-xs text-[var(--aevov-text-muted)]">
+                        <button
+                            onClick={() => setPage(page - 1)}
+                            disabled={page <= 1}
+                            className="p-1 rounded hover:bg-white/10 disabled:opacity-30"
+                        >
+                            <ChevronLeft className="w-4 h-4" />
+                        </button>
+                        Page {page} of {totalPages}
+                        <button
+                            onClick={() => setPage(page + 1)}
+                            disabled={page >= totalPages}
+                            className="p-1 rounded hover:bg-white/10 disabled:opacity-30"
+                        >
+                            <ChevronRight className="w-4 h-4" />
+                        </button>
+                    </div>
+                )}
+
+                <button
+                    onClick={() => setShowCompare(true)}
+                    disabled={comparing.length !== 2}
+                    title="Tick two runs to compare their outputs"
+                    className="w-full flex items-center justify-center gap-2 px-3 py-1.5 rounded-md text-sm bg-[var(--aevov-border)] text-[var(--aevov-text)] hover:bg-white/20 disabled:opacity-50"
+                >
+                    <Columns2 className="w-4 h-4" />
+                    Compare {comparing.length === 2 ? `#${comparing[0]} and #${comparing[1]}` : 'Runs'}
+                </button>
+
+                {opened && (
+                    <RerunForm
+                        key={opened.id}
+                        execution={opened}
+                        disabled={isExecuting}
+                        onRerun={handleRerun}
+                    />
+                )}
+            </div>
+
+            {showCompare && comparing.length === 2 && (
+                <CompareRunsModal
+                    ids={[Math.min(...comparing), Math.max(...comparing)]}
+                    fetchExecution={fetchExecution}
+                    onClose={() => setShowCompare(false)}
+                />
+            )}
+        </aside>
+    );
+}
+
+function ExecutionRow({
+    execution,
+    failedLabel,
+    active,
+    selected,
+    onOpen,
+    onToggleCompare,
+}: {
+    execution: ExecutionSummary;
+    failedLabel?: string;
+    active: boolean;
+    selected: boolean;
+    onOpen: () => void;
+    onToggleCompare: () => void;
+}) {
+    return (
+        <li className={`flex items-start gap-2 p-2 rounded-md hover:bg-white/5 ${active ? 'bg-white/10' : ''}`}>
+            <input
+                type="checkbox"
+                checked={selected}
+                onChange={onToggleCompare}
+                title="Compare"
+                className="mt-1 accent-[var(--aevov-primary)]"
+            />
+            <button type="button" onClick={onOpen} className="min-w-0 flex-1 text-left">
+                <div className="flex items-center gap-1.5 text-sm text-[var(--aevov-text)]">
+                    <StatusIcon status={execution.status} />
+                    <span className="font-mono text-xs">#{execution.id}</span>
+                    {execution.workflowVersion !== null && (
+                        <span className="text-[10px] text-[var(--aevov-text-muted)]">v{execution.workflowVersion}</span>
+                    )}
+                    <span className="ml-auto text-xs text-[var(--aevov-text-muted)]">
+                        {formatDuration(execution.executionTime)}
+                    </span>
+                </div>
+                <div className="text-[11px] text-[var(--aevov-text-muted)]">
+                    {execution.startedAt ? formatDate(execution.startedAt) : 'Not started'}
+                    {execution.replayOf !== null && ` · re-run of #${execution.replayOf}`}
+                    {execution.triggerSource && ` · ${triggerSourceLabel(execution.triggerSource)}`}
+                </div>
+                {execution.status === 'failed' && (
+                    <div className="text-[11px] text-red-400 truncate" title={execution.error || undefined}>
+                        {failedLabel ? `${failedLabel}: ` : ''}{execution.error || 'Failed'}
+                    </div>
+                )}
+            </button>
+        </li>
+    );
+}
+
+function StatusIcon({ status }: { status: ExecutionStatus }) {
+    switch (status) {
+        case 'completed':
+            return <CheckCircle2 className="w-3.5 h-3.5 text-green-500" />;
+        case 'failed':
+            return <XCircle className="w-3.5 h-3.5 text-red-500" />;
+        case 'cancelled':
+            return <Square className="w-3.5 h-3.5 text-yellow-400" />;
+        default:
+            return <Loader2 className="w-3.5 h-3.5 animate-spin text-[var(--aevov-primary)]" />;
+    }
+}
+
+function RerunForm({
+    execution,
+    disabled,
+    onRerun,
+}: {
+    execution: ExecutionRecord;
+    disabled: boolean;
+    onRerun: (inputs: Record<string, unknown>) => void;
+}) {
+    const { nodes } = useWorkflowStore();
+    const parameters = useMemo(() => inputParameters(execution.workflow?.nodes || nodes), [execution, nodes]);
+    const recorded = useMemo(() => inputFormValues(parameters, execution.inputs), [parameters, execution]);
+
+    const [values, setValues] = useState(recorded);
+    const [errors, setErrors] = useState<Record<string, string>>({});
+
+    const edited = parameters.some((p) => (values[p.nodeId] ?? '') !== (recorded[p.nodeId] ?? ''));
+
+    const handleRerun = () => {
+        const result = validateInputs(parameters, values);
+        setErrors(result.errors);
+        if (Object.keys(result.errors).length === 0) {
+            onRerun(result.inputs);
+        }
+    };
+
+    return (
+        <div className="pt-4 border-t border-[var(--aevov-border)] space-y-3">
+            <div className="text-sm font-medium text-[var(--aevov-text)]">Run #{execution.id}</div>
+            {!execution.workflow && (
+                <p className="text-xs text-yellow-400">This run didn&apos;t record its graph, so it re-runs the canvas.</p>
+            )}
+
+            <InputFields parameters={parameters} values={values} errors={errors} onChange={setValues} />
+
+            <button
+                onClick={handleRerun}
+                disabled={disabled}
+                className="w-full flex items-center justify-center gap-2 px-3 py-1.5 rounded-md text-sm bg-[var(--aevov-primary)] text-white hover:bg-[var(--aevov-primary-dark)] disabled:opacity-50"
+            >
+                <RotateCw className="w-4 h-4" />
+                {edited ? 'Re-run with Edited Inputs' : 'Re-run with Same Inputs'}
+            </button>
+        </div>
+    );
+}
+
+function CompareRunsModal({
+    ids,
+    fetchExecution,
+    onClose,
+}: {
+    ids: [number, number];
+    fetchExecution: (id: number) => Promise<ExecutionRecord>;
+    onClose: () => void;
+}) {
+    const { nodes } = useWorkflowStore();
+    const [runs, setRuns] = useState<[ExecutionRecord, ExecutionRecord] | null>(null);
+    const [error, setError] = useState<string | null>(null);
+    const [firstId, secondId] = ids;
+
+    useEffect(() => {
+        let active = true;
+        Promise.all([firstId, secondId].map(fetchExecution))
+            .then(([a, b]) => {
+                if (active) {
+                    setRuns([a, b]);
+                }
+            })
+            .catch((e) => {
+                if (active) {
+                    setError(e instanceof Error ? e.message : 'Could not load runs');
+                }
+            });
+        return () => {
+            active = false;
+        };
+    }, [firstId, secondId, fetchExecution]);
+
+    useEffect(() => {
+        const onKeyDown = (event: KeyboardEvent) => {
+            if (event.key === 'Escape') {
+                onClose();
+            }
+        };
+        document.addEventListener('keydown', onKeyDown);
+        return () => document.removeEventListener('keydown', onKeyDown);
+    }, [onClose]);
+
+    const rows = useMemo(() => (runs ? compareRows(runs, nodes) : []), [runs, nodes]);
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50">
+            <div
+                role="dialog"
+                aria-modal="true"
+                aria-label="Compare runs"
+                className="w-full max-w-4xl max-h-[80vh] flex flex-col bg-[var(--aevov-bg-card)] rounded-lg p-6 shadow-xl"
+            >
+                <h2 className="text-lg font-semibold text-[var(--aevov-text)] mb-4 flex items-center gap-2">
+                    <Columns2 className="w-5 h-5 text-[var(--aevov-primary)]" />
+                    Compare Runs #{firstId} and #{secondId}
+                </h2>
+
+                {error && <div className="p-3 rounded-md bg-red-500/10 text-sm text-red-400">{error}</div>}
+                {!runs && !error && (
+                    <div className="flex justify-center py-8">
+                        <Loader2 className="w-5 h-5 animate-spin text-[var(--aevov-text-muted)]" />
+                    </div>
+                )}
+
+                {runs && (
+                    <div className="flex-1 overflow-auto">
+                        <table className="w-full table-fixed text-xs">
+                            <thead>
+                                <tr className="text-left text-[var(--aevov-text-muted)]">
+                                    <th className="w-40 p-2 font-medium" />
+                                    {runs.map((run) => (
+                                        <th key={run.id} className="p-2 font-medium">
+                                            <span className="flex items-center gap-1.5 text-[var(--aevov-text)]">
+                                                <StatusIcon status={run.status} />
+                                                #{run.id}
+                                                <span className="font-normal text-[var(--aevov-text-muted)]">
+                                                    {formatDuration(run.executionTime)}
+                                                </span>
+                                            </span>
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rows.map((row) => (
+                                    <tr
+                                        key={row.key}
+                                        className={`border-t border-[var(--aevov-border)] align-top ${row.differs ? 'bg-amber-500/10' : ''}`}
+                                    >
+                                        <td className="p-2 text-[var(--aevov-text-muted)] break-words">{row.label}</td>
+                                        {row.values.map((value, i) => (
+                                            <td key={i} className="p-2">
+                                                <pre className="font-mono text-[11px] text-[var(--aevov-text)] whitespace-pre-wrap break-all max-h-40 overflow-auto">
+                                                    {value}
+                                                </pre>
+                                            </td>
+                                        ))}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+
+                <div className="flex justify-end mt-4">
+                    <button
+                        onClick={onClose}
+                        className="px-4 py-2 rounded-md text-sm text-[var(--aevov-text)] hover:bg-white/10"
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+interface CompareRow {
+    key: string;
+    label: string;
+    values: [string, string];
+    differs: boolean;
+}
+
+function compareRows(
+    runs: [ExecutionRecord, ExecutionRecord],
+    canvasNodes: { id: string; data: { label: string } }[]
+): CompareRow[] {
+    const labels = { ...nodeLabels(canvasNodes, runs[0]), ...nodeLabels([], runs[1]) };
+    const row = (key: string, label: string, values: [unknown, unknown]): CompareRow => {
+        const text = values.map((v) => (v === undefined ? '—' : toText(v, 2))) as [string, string];
+        return { key, label, values: text, differs: text[0] !== text[1] };
+    };
+
+    const rows: CompareRow[] = [
+        row('status', 'Status', [runs[0].status, runs[1].status]),
+        row('error', 'Error', [runs[0].error ?? undefined, runs[1].error ?? undefined]),
+    ];
+
+    const inputIds = [...new Set([...Object.keys(runs[0].inputs), ...Object.keys(runs[1].inputs)])];
+    inputIds.forEach((id) => {
+        rows.push(row(`input:${id}`, `Input · ${labels[id] || id}`, [runs[0].inputs[id], runs[1].inputs[id]]));
+    });
+
+    const nodeIds = [...new Set(runs.flatMap((run) => Object.keys(run.nodeOutputs)))]
+        .filter((id) => runs.some((run) => !run.workflow || run.workflow.nodes.some((n) => n.id === id)));
+    nodeIds.forEach((id) => {
+        rows.push(row(`node:${id}`, labels[id] || id, [runs[0].nodeOutputs[id], runs[1].nodeOutputs[id]]));
+    });
+
+    return rows;
+}
+
+// Labels from the canvas, overridden by the labels the run was executed with
+function nodeLabels(
+    canvasNodes: { id: string; data: { label: string } }[],
+    execution: ExecutionRecord | null
+): Record<string, string> {
+    const labels: Record<string, string> = {};
+    canvasNodes.forEach((n) => {
+        labels[n.id] = n.data.label;
+    });
+    execution?.workflow?.nodes.forEach((n) => {
+        labels[n.id] = n.data.label;
+    });
+    return labels;
+}
+
+function toText(value: unknown, indent?: number): string {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    return typeof value === 'string' ? value : JSON.stringify(value, null, indent);
+}
@@ -0,0 +1,267 @@
+import { useEffect, useState } from 'react';
+import { useWorkflowStore } from '../store';
+import { useRevisions, RevisionRef } from '../hooks/useRevisions';
+import { DiffStatus, FieldChange, hasChanges } from '../lib/diff';
+import { formatDate } from '../lib/format';
+import { X, History, GitCompare, RotateCcw, Loader2 } from 'lucide-react';
+import { ConfirmDialog, ConfirmRequest } from './ConfirmDialog';
+
+export function HistoryPanel() {
+    const { workflowId, isDirty, revisionDiff, setSidePanel, clearRevisionDiff } = useWorkflowStore();
+    const { storageKind, revisions, loading, error, compare, restore } = useRevisions();
+
+    const [before, setBefore] = useState<RevisionRef | null>(null);
+    const [after, setAfter] = useState<RevisionRef>('canvas');
+    const [busy, setBusy] = useState<string | null>(null);
+    const [actionError, setActionError] = useState<string | null>(null);
+    const [confirming, setConfirming] = useState<ConfirmRequest | null>(null);
+
+    // Default to comparing the latest save with the canvas
+    useEffect(() => {
+        if (before === null || (before !== 'canvas' && !revisions.some((r) => r.version === before))) {
+            setBefore(revisions[0]?.version ?? null);
+        }
+    }, [revisions, before]);
+
+    const run = async (key: string, action: () => Promise<void>) => {
+        setBusy(key);
+        setActionError(null);
+        try {
+            await action();
+        } catch (e) {
+            setActionError(e instanceof Error ? e.message : 'Request failed');
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const handleRestore = (version: number) => {
+        setConfirming({
+            title: `Restore Version ${version}`,
+            message: isDirty
+                ? `Discard your unsaved changes and restore version ${version}?`
+                : `Restore version ${version}? It is saved as a new version, so nothing is lost.`,
+            confirmLabel: 'Restore',
+            onConfirm: () => run(`restore:${version}`, () => restore(version)),
+        });
+    };
+
+    const refOptions = [
+        { value: 'canvas', label: 'Canvas (unsaved)' },
+        ...revisions.map((r) => ({ value: String(r.version), label: `v${r.version} · ${r.name}` })),
+    ];
+    const parseRef = (value: string): RevisionRef => (value === 'canvas' ? 'canvas' : Number(value));
+
+    return (
+        <aside className="w-80 bg-[var(--aevov-bg-card)] border-l border-[var(--aevov-border)] flex flex-col">
+            {/* Header */}
+            <div className="flex items-center justify-between p-4 border-b border-[var(--aevov-border)]">
+                <h3 className="font-semibold text-[var(--aevov-text)] flex items-center gap-2">
+                    <History className="w-4 h-4" />
+                    Version History
+                </h3>
+                <button
+                    onClick={() => setSidePanel(null)}
+                    className="p-1 rounded hover:bg-white/10"
+                >
+                    <X className="w-4 h-4 text-[var(--aevov-text-muted)]" />
+                </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-4 space-y-4">
+                {!workflowId && (
+                    <p className="text-sm text-[var(--aevov-text-muted)]">
+                        Save the workflow to start its history. Every save after that is kept as a version.
+                    </p>
+                )}
+
+                {workflowId && storageKind === 'local' && (
+                    <p className="text-xs text-[var(--aevov-text-muted)]">
+                        Versions are stored in this browser.
+                    </p>
+                )}
+
+                {(error || actionError) && (
+                    <div className="p-2 rounded-md bg-red-500/10 text-xs text-red-400">{actionError || error}</div>
+                )}
+
+                {/* Compare */}
+                {revisions.length > 0 && before !== null && (
+                    <div className="space-y-2">
+                        <div className="grid grid-cols-[auto_1fr] items-center gap-2 text-xs text-[var(--aevov-text-muted)]">
+                            From
+                            <RefSelect value={before} options={refOptions} onChange={(v) => setBefore(parseRef(v))} />
+                            To
+                            <RefSelect value={after} options={refOptions} onChange={(v) => setAfter(parseRef(v))} />
+                        </div>
+                        <button
+                            onClick={() => run('compare', () => compare(before, after))}
+                            disabled={busy !== null || before === after}
+                            className="w-full flex items-center justify-center gap-2 px-3 py-1.5 rounded-md text-sm bg-[var(--aevov-border)] text-[var(--aevov-text)] hover:bg-white/20 disabled:opacity-50"
+                        >
+                            {busy === 'compare' ? <Loader2 className="w-4 h-4 animate-spin" /> : <GitCompare className="w-4 h-4" />}
+                            Compare on Canvas
+                        </button>
+                    </div>
+                )}
+
+                {revisionDiff ? (
+                    <DiffDetails onClose={clearRevisionDiff} />
+                ) : (
+                    <ul className="space-y-1">
+                        {loading && revisions.length === 0 && (
+                            <li className="flex justify-center py-4">
+                                <Loader2 className="w-4 h-4 animate-spin text-[var(--aevov-text-muted)]" />
+                            </li>
+                        )}
+                        {revisions.map((revision, index) => (
+                            <li
+                                key={revision.version}
+                                className="group flex items-start justify-between gap-2 p-2 rounded-md hover:bg-white/5"
+                            >
+                                <div className="min-w-0">
+                                    <div className="flex items-center gap-1.5 text-sm text-[var(--aevov-text)]">
+                                        <span className="font-mono text-xs text-[var(--aevov-primary)]">v{revision.version}</span>
+                                        <span className="truncate">{revision.name}</span>
+                                        {index === 0 && (
+                                            <span className="px-1 rounded text-[10px] bg-[var(--aevov-primary)]/20 text-[var(--aevov-primary)]">
+                                                latest
+                                            </span>
+                                        )}
+                                    </div>
+                                    <div className="text-[11px] text-[var(--aevov-text-muted)]">
+                                        {formatDate(revision.createdAt)}
+                                        {revision.author && ` · ${revision.author}`}
+                                        {revision.restoredFrom !== null && ` · restored from v${revision.restoredFrom}`}
+                                    </div>
+                                </div>
+                                {index > 0 && (
+                                    <button
+                                        onClick={() => handleRestore(revision.version)}
+                                        disabled={busy !== null}
+                                        title={`Restore version ${revision.version}`}
+                                        className="p-1 rounded opacity-0 group-hover:opacity-100 hover:bg-white/10 disabled:opacity-50"
+                                    >
+                                        {busy === `restore:${revision.version}`
+                                            ? <Loader2 className="w-3.5 h-3.5 animate-spin text-[var(--aevov-text-muted)]" />
+                                            : <RotateCcw className="w-3.5 h-3.5 text-[var(--aevov-text-muted)]" />}
+                                    </button>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            {confirming && <ConfirmDialog request={confirming} onClose={() => setConfirming(null)} />}
+        </aside>
+    );
+}
+
+function RefSelect({
+    value,
+    options,
+    onChange,
+}: {
+    value: RevisionRef;
+    options: { value: string; label: string }[];
+    onChange: (value: string) => void;
+}) {
+    return (
+        <select
+            value={String(value)}
+            onChange={(e) => onChange(e.target.value)}
+            className="min-w-0 px-2 py-1.5 bg-[var(--aevov-bg-dark)] border border-[var(--aevov-border)] rounded-md text-sm text-[var(--aevov-text)] focus:outline-none focus:border-[var(--aevov-primary)]"
+        >
+            {options.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+        </select>
+    );
+}
+
+function DiffDetails({ onClose }: { onClose: () => void }) {
+    const revisionDiff = useWorkflowStore((state) => state.revisionDiff)!;
+    const { diff, beforeLabel, afterLabel } = revisionDiff;
+
+    const touched = diff.nodes.filter((n) => n.status !== 'unchanged');
+    const count = (status: DiffStatus) => diff.nodes.filter((n) => n.status === status).length;
+    const edgeCount = (status: DiffStatus) => diff.edges.filter((e) => e.status === status).length;
+
+    return (
+        <div className="space-y-3">
+            <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-[var(--aevov-text)]">
+                    {beforeLabel} → {afterLabel}
+                </span>
+                <button
+                    onClick={onClose}
+                    className="text-xs text-[var(--aevov-primary)] hover:underline"
+                >
+                    Back to history
+                </button>
+            </div>
+
+            {!hasChanges(diff) ? (
+                <p className="text-sm text-[var(--aevov-text-muted)]">No differences.</p>
+            ) : (
+                <>
+                    <div className="flex flex-wrap gap-1.5 text-[11px]">
+                        <span className={statusClasses.added}>+{count('added')} nodes</span>
+                        <span className={statusClasses.removed}>−{count('removed')} nodes</span>
+                        <span className={statusClasses.changed}>~{count('changed')} nodes</span>
+                        <span className={statusClasses.added}>+{edgeCount('added')} connections</span>
+                        <span className={statusClasses.removed}>−{edgeCount('removed')} connections</span>
+                    </div>
+
+                    {diff.nameChange && (
+                        <div className="p-2 rounded-md bg-[var(--aevov-bg-dark)] text-xs">
+                            <div className="font-medium text-[var(--aevov-text)] mb-1">Workflow name</div>
+                            <FieldRow change={diff.nameChange} />
+                        </div>
+                    )}
+
+                    <ul className="space-y-2">
+                        {touched.map((node) => (
+                            <li key={node.id} className="p-2 rounded-md bg-[var(--aevov-bg-dark)] text-xs">
+                                <div className="flex items-center gap-1.5 mb-1">
+                                    <span className={statusClasses[node.status]}>{node.status}</span>
+                                    <span className="font-medium text-[var(--aevov-text)] truncate">{node.label}</span>
+                                    <span className="ml-auto text-[var(--aevov-text-muted)]">{node.nodeType}</span>
+                                </div>
+                                {node.changes.map((change) => (
+                                    <FieldRow key={change.field} change={change} />
+                                ))}
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+        </div>
+    );
+}
+
+function FieldRow({ change }: { change: FieldChange }) {
+    return (
+        <div className="mt-1 font-mono text-[10px]">
+            <div className="text-[var(--aevov-text-muted)]">{change.field}</div>
+            <div className="px-1.5 py-0.5 rounded bg-red-500/10 text-red-400 break-all">− {formatValue(change.before)}</div>
+            <div className="px-1.5 py-0.5 rounded bg-green-500/10 text-green-400 break-all">+ {formatValue(change.after)}</div>
+        </div>
+    );
+}
+
+const statusClasses: Record<DiffStatus, string> = {
+    added: 'px-1.5 py-0.5 rounded bg-green-500/15 text-green-400',
+    removed: 'px-1.5 py-0.5 rounded bg-red-500/15 text-red-400',
+    changed: 'px-1.5 py-0.5 rounded bg-amber-500/15 text-amber-400',
+    unchanged: 'px-1.5 py-0.5 rounded bg-white/5 text-[var(--aevov-text-muted)]',
+};
+
+function formatValue(value: unknown): string {
+    if (value === undefined || value === '') {
+        return '(empty)';
+    }
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > 300 ? `${text.slice(0, 300)}…` : text;
+}
@@ -0,0 +1,101 @@
+import { InputParameter } from '../lib/inputs';
+
+// Form for the run parameters declared by Input nodes. Values are the text being
+// edited, keyed by input node id; validateInputs turns them into run inputs.
+export function InputFields({
+    parameters,
+    values,
+    errors,
+    onChange,
+}: {
+    parameters: InputParameter[];
+    values: Record<string, string>;
+    errors: Record<string, string>;
+    onChange: (values: Record<string, string>) => void;
+}) {
+    if (parameters.length === 0) {
+        return <p className="text-sm text-[var(--aevov-text-muted)]">This workflow takes no inputs.</p>;
+    }
+
+    return (
+        <div className="space-y-3">
+            {parameters.map((parameter) => (
+                <InputField
+                    key={parameter.nodeId}
+                    parameter={parameter}
+                    value={values[parameter.nodeId] ?? ''}
+                    error={errors[parameter.nodeId]}
+                    onChange={(value) => onChange({ ...values, [parameter.nodeId]: value })}
+                />
+            ))}
+        </div>
+    );
+}
+
+function InputField({
+    parameter,
+    value,
+    error,
+    onChange,
+}: {
+    parameter: InputParameter;
+    value: string;
+    error?: string;
+    onChange: (value: string) => void;
+}) {
+    const baseClass = `w-full px-3 py-2 bg-[var(--aevov-bg-dark)] border rounded-md text-sm text-[var(--aevov-text)] placeholder:text-[var(--aevov-text-muted)] focus:outline-none focus:border-[var(--aevov-primary)] ${error ? 'border-red-500' : 'border-[var(--aevov-border)]'}`;
+    const defaultText = parameter.defaultValue === undefined
+        ? ''
+        : typeof parameter.defaultValue === 'string' ? parameter.defaultValue : JSON.stringify(parameter.defaultValue);
+    const placeholder = defaultText ? `Default: ${defaultText}` : parameter.required ? '' : 'Optional';
+
+    return (
+        <div>
+            <label className="flex items-baseline gap-1.5 text-sm font-medium text-[var(--aevov-text-muted)] mb-1.5">
+                {parameter.label}
+                {parameter.required && <span className="text-red-400">*</span>}
+                <span className="ml-auto font-mono text-[10px] font-normal">{parameter.name}</span>
+            </label>
+
+            {parameter.type === 'boolean' || parameter.type === 'enum' ? (
+                <select
+                    value={value}
+                    onChange={(e) => onChange(e.target.value)}
+                    className={baseClass}
+                >
+                    <option value="">{defaultText ? `Default (${defaultText})` : 'Select...'}</option>
+                    {(parameter.type === 'boolean' ? ['true', 'false'] : parameter.options || []).map((option) => (
+                        <option key={option} value={option}>
+                            {parameter.type === 'boolean' ? (option === 'true' ? 'Yes' : 'No') : option}
+                        </option>
+                    ))}
+                </select>
+            ) : parameter.type === 'number' || parameter.type === 'integer' ? (
+                <input
+                    type="number"
+                    value={value}
+                    onChange={(e) => onChange(e.target.value)}
+                    min={parameter.min}
+                    max={parameter.max}
+                    step={parameter.type === 'integer' ? 1 : 'any'}
+                    placeholder={placeholder}
+                    className={baseClass}
+                />
+            ) : (
+                <textarea
+                    value={value}
+                    onChange={(e) => onChange(e.target.value)}
+                    rows={parameter.type === 'json' ? 4 : 2}
+                    placeholder={placeholder}
+                    className={`${baseClass} resize-y ${parameter.type === 'json' ? 'font-mono text-xs' : ''}`}
+                />
+            )}
+
+            {error ? (
+                <p className="mt-1 text-xs text-red-400">{error}</p>
+            ) : parameter.description && (
+                <p className="mt-1 text-xs text-[var(--aevov-text-muted)]">{parameter.description}</p>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,88 @@
+import { Panel, useReactFlow } from 'reactflow';
+import { useWorkflowStore } from '../store';
+import { LAYOUT_ANIMATION_MS, useLayout } from '../hooks/useLayout';
+import { AlignMode } from '../lib/layout';
+import {
+    Network,
+    AlignStartVertical,
+    AlignCenterVertical,
+    AlignEndVertical,
+    AlignStartHorizontal,
+    AlignCenterHorizontal,
+    AlignEndHorizontal,
+    AlignHorizontalDistributeCenter,
+    AlignVerticalDistributeCenter,
+} from 'lucide-react';
+
+const alignTools: { mode: AlignMode; title: string; icon: React.ComponentType<{ className?: string }> }[] = [
+    { mode: 'left', title: 'Align left edges', icon: AlignStartVertical },
+    { mode: 'center', title: 'Align horizontal centers', icon: AlignCenterVertical },
+    { mode: 'right', title: 'Align right edges', icon: AlignEndVertical },
+    { mode: 'top', title: 'Align top edges', icon: AlignStartHorizontal },
+    { mode: 'middle', title: 'Align vertical centers', icon: AlignCenterHorizontal },
+    { mode: 'bottom', title: 'Align bottom edges', icon: AlignEndHorizontal },
+];
+
+// Rendered inside ReactFlow so the view can be fitted to the tidied graph
+export function LayoutControls() {
+    const { fitView } = useReactFlow();
+    const { tidyUp, align, distribute } = useLayout();
+    const nodeCount = useWorkflowStore((state) => state.nodes.length);
+    const selectedCount = useWorkflowStore((state) => state.nodes.filter((n) => n.selected).length);
+
+    const handleTidyUp = () => {
+        tidyUp();
+        setTimeout(() => fitView({ duration: LAYOUT_ANIMATION_MS }), LAYOUT_ANIMATION_MS);
+    };
+
+    const buttonClass = 'p-1.5 rounded text-[var(--aevov-text)] hover:bg-white/10 disabled:opacity-30 disabled:cursor-not-allowed';
+
+    return (
+        <Panel position="top-right">
+            <div className="flex items-center gap-0.5 p-1 rounded-md bg-[var(--aevov-bg-card)] border border-[var(--aevov-border)] shadow">
+                <button
+                    onClick={handleTidyUp}
+                    disabled={nodeCount < 2}
+                    title="Tidy up: arrange the graph left to right"
+                    className="flex items-center gap-1.5 px-2 py-1 rounded text-sm text-[var(--aevov-text)] hover:bg-white/10 disabled:opacity-30 disabled:cursor-not-allowed"
+                >
+                    <Network className="w-4 h-4" />
+                    Tidy Up
+                </button>
+
+                <div className="w-px h-5 mx-1 bg-[var(--aevov-border)]" />
+
+                {alignTools.map(({ mode, title, icon: Icon }) => (
+                    <button
+                        key={mode}
+                        onClick={() => align(mode)}
+                        disabled={selectedCount < 2}
+                        title={`${title} (select 2 or more nodes)`}
+                        className={buttonClass}
+                    >
+                        <Icon className="w-4 h-4" />
+                    </button>
+                ))}
+
+                <div className="w-px h-5 mx-1 bg-[var(--aevov-border)]" />
+
+                <button
+                    onClick={() => distribute('horizontal')}
+                    disabled={selectedCount < 3}
+                    title="Distribute horizontally (select 3 or more nodes)"
+                    className={buttonClass}
+                >
+                    <AlignHorizontalDistributeCenter className="w-4 h-4" />
+                </button>
+                <button
+                    onClick={() => distribute('vertical')}
+                    disabled={selectedCount < 3}
+                    title="Distribute vertically (select 3 or more nodes)"
+                    className={buttonClass}
+                >
+                    <AlignVerticalDistributeCenter className="w-4 h-4" />
+                </button>
+            </div>
+        </Panel>
+    );
+}
@@ -0,0 +1,181 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useWorkflowStore, SaveConflict } from '../store';
+import { useApi, getWorkflowStorage } from '../hooks/useApi';
+import { MergeChoice, MergeConflict, WorkflowMerge, mergeWorkflows, resolveMerge } from '../lib/merge';
+import { Revision } from '../lib/revisions';
+import { GitMerge, Loader2, AlertTriangle } from 'lucide-react';
+
+// Shown when a save is refused because someone else saved first. Their changes are
+// merged into the canvas; what both sides changed is settled here before saving again.
+export function MergeDialog({ conflict }: { conflict: SaveConflict }) {
+    const { workflowId, workflowName, scopes, getRootGraph, exitComposite, insertWorkflowGraph, setSaveConflict } =
+        useWorkflowStore();
+    const { saveWorkflow } = useApi();
+
+    const [base, setBase] = useState<Revision | null | undefined>(undefined);
+    const [choices, setChoices] = useState<Record<string, MergeChoice>>({});
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    // The version both sides started from tells who changed what
+    useEffect(() => {
+        if (!workflowId || conflict.baseVersion === null) {
+            setBase(null);
+            return;
+        }
+        let active = true;
+        getWorkflowStorage()
+            .getRevision(workflowId, conflict.baseVersion)
+            .then((revision) => active && setBase(revision))
+            .catch(() => active && setBase(null));
+        return () => {
+            active = false;
+        };
+    }, [workflowId, conflict.baseVersion]);
+
+    const merge = useMemo<WorkflowMerge | null>(() => {
+        if (base === undefined) {
+            return null;
+        }
+        const { nodes, edges } = getRootGraph();
+        return mergeWorkflows(base, { name: workflowName, nodes, edges }, conflict.theirs);
+    }, [base, conflict, workflowName, getRootGraph]);
+
+    const save = async (graph: WorkflowMerge['mine']) => {
+        setSaving(true);
+        setError(null);
+        try {
+            if (scopes.length > 0) {
+                exitComposite(0);
+            }
+            // Sub-workflows added in their version come with it
+            insertWorkflowGraph({ ...graph, composites: conflict.theirs.composites }, 'replace');
+            await saveWorkflow({ baseVersion: conflict.theirs.version });
+        } catch (e) {
+            setError(e instanceof Error ? e.message : 'Save failed');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50">
+            <div className="w-full max-w-lg max-h-[80vh] flex flex-col bg-[var(--aevov-bg-card)] rounded-lg p-6 shadow-xl">
+                <h2 className="text-lg font-semibold text-[var(--aevov-text)] mb-1 flex items-center gap-2">
+                    <GitMerge className="w-5 h-5 text-[var(--aevov-primary)]" />
+                    Merge Changes
+                </h2>
+                <p className="text-sm text-[var(--aevov-text-muted)] mb-4">
+                    Version {conflict.theirs.version} was saved while you were editing
+                    {conflict.baseVersion !== null && ` version ${conflict.baseVersion}`}.
+                    {merge && merge.conflicts.length === 0 && ' Your changes and theirs don\'t overlap.'}
+                </p>
+
+                {!merge ? (
+                    <div className="flex justify-center py-6">
+                        <Loader2 className="w-5 h-5 animate-spin text-[var(--aevov-text-muted)]" />
+                    </div>
+                ) : (
+                    <div className="flex-1 overflow-y-auto space-y-2">
+                        {base === null && (
+                            <p className="flex items-start gap-1.5 text-xs text-amber-400">
+                                <AlertTriangle className="w-3.5 h-3.5 shrink-0 mt-px" />
+                                The version you started from couldn't be loaded, so every difference is listed.
+                            </p>
+                        )}
+                        {merge.conflicts.map((c) => (
+                            <ConflictRow
+                                key={c.key}
+                                conflict={c}
+                                choice={choices[c.key] ?? 'mine'}
+                                onChoose={(choice) => setChoices({ ...choices, [c.key]: choice })}
+                            />
+                        ))}
+                    </div>
+                )}
+
+                {error && <div className="mt-3 p-2 rounded-md bg-red-500/10 text-xs text-red-400">{error}</div>}
+
+                <div className="flex justify-end gap-2 mt-4">
+                    <button
+                        onClick={() => setSaveConflict(null)}
+                        disabled={saving}
+                        className="px-4 py-2 rounded-md text-sm text-[var(--aevov-text)] hover:bg-white/10 disabled:opacity-50"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={() => merge && save(merge.mine)}
+                        disabled={!merge || saving}
+                        title="Save the canvas as it is, dropping their changes"
+                        className="px-4 py-2 rounded-md text-sm bg-[var(--aevov-border)] text-[var(--aevov-text)] hover:bg-white/20 disabled:opacity-50"
+                    >
+                        Overwrite
+                    </button>
+                    <button
+                        onClick={() => merge && save(resolveMerge(merge, choices))}
+                        disabled={!merge || saving}
+                        className="flex items-center gap-1.5 px-4 py-2 rounded-md text-sm bg-[var(--aevov-primary)] text-white hover:bg-[var(--aevov-primary-dark)] disabled:opacity-50"
+                    >
+                        {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+                        Save Merged
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function ConflictRow({
+    conflict,
+    choice,
+    onChoose,
+}: {
+    conflict: MergeConflict;
+    choice: MergeChoice;
+    onChoose: (choice: MergeChoice) => void;
+}) {
+    const describe = (side: 'changed' | 'removed', fields: unknown[]) =>
+        side === 'removed' ? 'Removed' : conflict.fields.length > 0 ? fields.map(formatValue).join(', ') : 'Changed';
+
+    return (
+        <div className="p-3 rounded-md bg-[var(--aevov-bg-dark)] border border-[var(--aevov-border)] text-xs">
+            <div className="font-medium text-[var(--aevov-text)] mb-1">{conflict.label}</div>
+            {conflict.fields.length > 0 && (
+                <div className="text-[var(--aevov-text-muted)] mb-2">
+                    {conflict.fields.map((f) => f.field).join(', ')}
+                </div>
+            )}
+            <div className="grid grid-cols-2 gap-2">
+                {(['mine', 'theirs'] as const).map((side) => (
+                    <label
+                        key={side}
+                        className={`flex items-start gap-2 p-2 rounded-md cursor-pointer border ${
+                            choice === side ? 'border-[var(--aevov-primary)]' : 'border-[var(--aevov-border)]'
+                        }`}
+                    >
+                        <input
+                            type="radio"
+                            checked={choice === side}
+                            onChange={() => onChoose(side)}
+                            className="mt-0.5"
+                        />
+                        <span className="min-w-0">
+                            <span className="block text-[var(--aevov-text)]">{side === 'mine' ? 'Keep mine' : 'Take theirs'}</span>
+                            <span className="block truncate text-[var(--aevov-text-muted)]">
+                                {describe(conflict[side], conflict.fields.map((f) => f[side]))}
+                            </span>
+                        </span>
+                    </label>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+function formatValue(value: unknown): string {
+    if (value === undefined || value === '') {
+        return '(empty)';
+    }
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
@@ -1,8 +1,36 @@
+import { useEffect, useMemo, useRef } from 'react';
 import { useWorkflowStore } from '../store';
-import { X, CheckCircle2, XCircle, Loader2 } from 'lucide-react';
+import { ExecutionLogEntry } from '../types';
+import { X, CheckCircle2, XCircle, Loader2, AlertTriangle, Square } from 'lucide-react';
+
+const MAX_TIMELINE_ROWS = 50;
 
 export function ResultsPanel() {
-    const { executionResults, isExecuting, clearResults } = useWorkflowStore();
+    const {
+        executionResults,
+        executionLog,
+        nodeRunStates,
+        isExecuting,
+        clearResults,
+        cancelExecution,
+        validationIssues,
+        selectNode,
+        openedExecutionId,
+        nodes,
+    } = useWorkflowStore();
+
+    const runs = Object.values(nodeRunStates);
+    const finishedCount = runs.filter((run) => run.status !== 'running').length;
+    const spans = useMemo(() => timelineSpans(executionLog), [executionLog]);
+    const timelineEnd = Math.max(...spans.map((span) => span.started + span.duration), 0.001);
+
+    // Follow the log while a run is streaming in
+    const contentRef = useRef<HTMLDivElement>(null);
+    useEffect(() => {
+        if (isExecuting && contentRef.current) {
+            contentRef.current.scrollTop = contentRef.current.scrollHeight;
+        }
+    }, [executionLog, isExecuting]);
 
     return (
         <div className="absolute bottom-0 left-0 right-0 max-h-72 bg-[var(--aevov-bg-card)] border-t border-[var(--aevov-border)] flex flex-col">
@@ -13,12 +41,22 @@ export function ResultsPanel() {
                         <>
                             <Loader2 className="w-4 h-4 animate-spin text-[var(--aevov-primary)]" />
                             <span className="text-sm font-medium text-[var(--aevov-text)]">Running...</span>
+                            {runs.length > 0 && (
+                                <span className="text-xs text-[var(--aevov-text-muted)]">
+                                    {finishedCount}/{runs.length} nodes
+                                </span>
+                            )}
                         </>
                     ) : executionResults?.success ? (
                         <>
                             <CheckCircle2 className="w-4 h-4 text-green-500" />
                             <span className="text-sm font-medium text-[var(--aevov-text)]">Completed</span>
                         </>
+                    ) : executionResults?.cancelled ? (
+                        <>
+                            <Square className="w-4 h-4 text-yellow-400" />
+                            <span className="text-sm font-medium text-[var(--aevov-text)]">Cancelled</span>
+                        </>
                     ) : (
                         <>
                             <XCircle className="w-4 h-4 text-red-500" />
@@ -30,26 +68,86 @@ export function ResultsPanel() {
                             ({executionResults.execution_time.toFixed(2)}s)
                         </span>
                     )}
+                    {!isExecuting && openedExecutionId !== null && (
+                        <span className="text-xs font-mono text-[var(--aevov-text-muted)]">Run #{openedExecutionId}</span>
+                    )}
                 </div>
-                <button
-                    onClick={clearResults}
-                    className="p-1 rounded hover:bg-white/10"
-                >
-                    <X className="w-4 h-4 text-[var(--aevov-text-muted)]" />
-                </button>
+                {isExecuting ? (
+                    <button
+                        onClick={cancelExecution}
+                        className="flex items-center gap-1.5 px-2 py-1 rounded text-xs bg-red-500/10 text-red-400 hover:bg-red-500/20"
+                    >
+                        <Square className="w-3 h-3" />
+                        Cancel
+                    </button>
+                ) : (
+                    <button
+                        onClick={clearResults}
+                        className="p-1 rounded hover:bg-white/10"
+                    >
+                        <X className="w-4 h-4 text-[var(--aevov-text-muted)]" />
+                    </button>
+                )}
             </div>
 
             {/* Content */}
-            <div className="flex-1 overflow-auto p-4 font-mono text-xs">
+            <div ref={contentRef} className="flex-1 overflow-auto p-4 font-mono text-xs">
                 {executionResults?.error && (
                     <div className="text-red-400 mb-4">
                         Error: {executionResults.error}
                     </div>
                 )}
 
-                {executionResults?.log && (
+                {validationIssues.length > 0 && (
+                    <div className="space-y-1 mb-4">
+                        {validationIssues.map((issue, index) => (
+                            <button
+                                key={`${issue.code}-${issue.nodeId ?? issue.edgeId ?? ''}-${index}`}
+                                onClick={() => issue.nodeId && selectNode(issue.nodeId)}
+                                disabled={!issue.nodeId}
+                                className="flex w-full items-start gap-2 text-left text-red-400 rounded px-1 hover:bg-white/5 disabled:hover:bg-transparent"
+                            >
+                                <AlertTriangle className="w-3.5 h-3.5 shrink-0 mt-px" />
+                                <span>{issue.message}</span>
+                            </button>
+                        ))}
+                    </div>
+                )}
+
+                {/* Node timings; branches that ran side by side overlap */}
+                {spans.length > 1 && (
+                    <div className="mb-4 space-y-0.5">
+                        {spans.slice(0, MAX_TIMELINE_ROWS).map((span, index) => (
+                            <div key={index} className="flex items-center gap-2">
+                                <span className="w-32 shrink-0 truncate text-[var(--aevov-text-muted)]">
+                                    {nodes.find((n) => n.id === span.nodeId)?.data.label ?? span.nodeId}
+                                </span>
+                                <div className="relative flex-1 h-2.5 rounded-sm bg-[var(--aevov-bg-dark)]">
+                                    <div
+                                        className={`absolute inset-y-0 rounded-sm ${span.failed ? 'bg-red-500' : 'bg-[var(--aevov-primary)]'}`}
+                                        style={{
+                                            left: `${(span.started / timelineEnd) * 100}%`,
+                                            width: `max(2px, ${(span.duration / timelineEnd) * 100}%)`,
+                                        }}
+                                        title={`${span.started.toFixed(3)}s – ${(span.started + span.duration).toFixed(3)}s`}
+                                    />
+                                </div>
+                                <span className="w-14 shrink-0 text-right text-[var(--aevov-text-muted)]">
+                                    {span.duration.toFixed(3)}s
+                                </span>
+                            </div>
+                        ))}
+                        {spans.length > MAX_TIMELINE_ROWS && (
+                            <div className="text-[var(--aevov-text-muted)]">
+                                … {spans.length - MAX_TIMELINE_ROWS} more in the log below
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {executionLog.length > 0 && (
                     <div className="space-y-1">
-                        {executionResults.log.map((entry, index) => (
+                        {executionLog.map((entry, index) => (
                             <div
                                 key={index}
                                 className={`flex gap-2 ${
@@ -79,3 +177,23 @@ export function ResultsPanel() {
         </div>
     );
 }
+
+interface TimelineSpan {
+    nodeId: string;
+    started: number;
+    duration: number;
+    failed: boolean;
+}
+
+// Log entries for finished and failed nodes carry when the node started and how long it took
+function timelineSpans(log: ExecutionLogEntry[]): TimelineSpan[] {
+    return log
+        .filter((entry) => typeof entry.data?.duration === 'number' && typeof entry.data.started === 'number')
+        .map((entry) => ({
+            nodeId: String(entry.data!.node_id ?? ''),
+            started: entry.data!.started as number,
+            duration: entry.data!.duration as number,
+            failed: entry.level === 'error',
+        }))
+        .sort((a, b) => a.started - b.started);
+}
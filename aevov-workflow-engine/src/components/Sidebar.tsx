@@ -1,21 +1,26 @@
 import { useState, useMemo } from 'react';
 import { useWorkflowStore } from '../store';
-import { ChevronDown, ChevronRight, Search, X } from 'lucide-react';
+import { ChevronDown, ChevronRight, Search, X, Trash2 } from 'lucide-react';
 import * as Icons from 'lucide-react';
+import { compositeIdOf, usesComposite } from '../lib/composite';
+import { ConfirmDialog, ConfirmRequest } from './ConfirmDialog';
 
 const categories = [
+    { id: 'trigger', label: 'Triggers', icon: 'Zap' },
     { id: 'input', label: 'Inputs', icon: 'ArrowRightCircle' },
     { id: 'output', label: 'Outputs', icon: 'ArrowLeftCircle' },
     { id: 'transform', label: 'Transform', icon: 'Wand2' },
     { id: 'control', label: 'Control Flow', icon: 'GitBranch' },
     { id: 'capability', label: 'AI Capabilities', icon: 'Sparkles' },
     { id: 'utility', label: 'Utilities', icon: 'Wrench' },
+    { id: 'composite', label: 'Sub-workflows', icon: 'Boxes' },
 ];
 
 export function Sidebar() {
-    const { nodeTypes } = useWorkflowStore();
+    const { nodeTypes, composites, deleteComposite, getRootGraph } = useWorkflowStore();
     const [search, setSearch] = useState('');
     const [expanded, setExpanded] = useState<string[]>(['capability', 'input', 'output']);
+    const [confirming, setConfirming] = useState<ConfirmRequest | null>(null);
 
     const filteredTypes = useMemo(() => {
         if (!search) return null;
@@ -42,6 +47,23 @@ export function Sidebar() {
         );
     };
 
+    const onDeleteComposite = (type: string) => {
+        const id = compositeIdOf(type);
+        if (!id) {
+            return;
+        }
+
+        const { nodes } = getRootGraph();
+        setConfirming({
+            title: 'Delete Sub-workflow',
+            message: usesComposite(nodes, id, composites)
+                ? 'This sub-workflow is still used. Nodes that use it will stop working. Delete it anyway?'
+                : 'Delete this sub-workflow from your library?',
+            confirmLabel: 'Delete',
+            onConfirm: () => deleteComposite(id),
+        });
+    };
+
     const onDragStart = (e: React.DragEvent, type: string, label: string) => {
         e.dataTransfer.setData('application/aevov-node/type', type);
         e.dataTransfer.setData('application/aevov-node/label', label);
@@ -112,8 +134,18 @@ export function Sidebar() {
                                     {isExpanded && (
                                         <div className="ml-4 space-y-1">
                                             {nodes.map((node) => (
-                                                <NodeItem key={node.type} node={node} onDragStart={onDragStart} />
+                                                <NodeItem
+                                                    key={node.type}
+                                                    node={node}
+                                                    onDragStart={onDragStart}
+                                                    onDelete={category.id === 'composite' ? onDeleteComposite : undefined}
+                                                />
                                             ))}
+                                            {category.id === 'composite' && nodes.length === 0 && (
+                                                <p className="px-3 py-2 text-xs text-[var(--aevov-text-muted)]">
+                                                    Select nodes and use Group to create one
+                                                </p>
+                                            )}
                                         </div>
                                     )}
                                 </div>
@@ -129,6 +161,8 @@ export function Sidebar() {
                     Drag nodes onto the canvas
                 </p>
             </div>
+
+            {confirming && <ConfirmDialog request={confirming} onClose={() => setConfirming(null)} />}
         </aside>
     );
 }
@@ -136,6 +170,7 @@ export function Sidebar() {
 function NodeItem({
     node,
     onDragStart,
+    onDelete,
 }: {
     node: {
         type: string;
@@ -144,6 +179,7 @@ function NodeItem({
         available?: boolean;
     };
     onDragStart: (e: React.DragEvent, type: string, label: string) => void;
+    onDelete?: (type: string) => void;
 }) {
     const available = node.available !== false;
 
@@ -166,6 +202,15 @@ function NodeItem({
                 style={{ backgroundColor: node.color }}
             />
             <span className="text-[var(--aevov-text)]">{node.label}</span>
+            {onDelete && (
+                <button
+                    onClick={() => onDelete(node.type)}
+                    title="Delete from library"
+                    className="ml-auto text-[var(--aevov-text-muted)] hover:text-red-400"
+                >
+                    <Trash2 className="w-3.5 h-3.5" />
+                </button>
+            )}
         </div>
     );
 }
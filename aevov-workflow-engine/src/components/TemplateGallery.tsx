@@ -0,0 +1,451 @@
+import { useMemo, useState } from 'react';
+import { useWorkflowStore } from '../store';
+import { useTemplates } from '../hooks/useTemplates';
+import {
+    TEMPLATE_CATEGORIES,
+    WorkflowTemplate,
+    instantiateTemplate,
+    searchTemplates,
+    templateCategories,
+    templateRequirements,
+} from '../lib/templates';
+import { exportWorkflowFile } from '../lib/workflowFile';
+import { compositesUsedBy } from '../lib/composite';
+import { NodeTypeDefinition } from '../types';
+import { LayoutTemplate, Search, Loader2, AlertTriangle, Trash2, BookmarkPlus, Users, X } from 'lucide-react';
+import { ConfirmDialog, ConfirmRequest } from './ConfirmDialog';
+
+// Starter workflows to open or add to the canvas, and a form to share the open
+// workflow as a team template
+export function TemplateGallery({ onClose }: { onClose: () => void }) {
+    const { nodes, edges, nodeTypes, credentials, workflowName, importWorkflow } = useWorkflowStore();
+    const { storageKind, templates, loading, error, save, remove } = useTemplates();
+
+    const [query, setQuery] = useState('');
+    const [category, setCategory] = useState<string | null>(null);
+    const [selectedId, setSelectedId] = useState<string | null>(null);
+    const [saving, setSaving] = useState(false);
+    const [actionError, setActionError] = useState<string | null>(null);
+    const [confirming, setConfirming] = useState<ConfirmRequest | null>(null);
+
+    const categories = useMemo(() => templateCategories(templates), [templates]);
+    const shown = useMemo(() => searchTemplates(templates, query, category), [templates, query, category]);
+    const selected = templates.find((t) => t.id === selectedId) ?? null;
+    const credentialIds = useMemo(() => credentials?.map((c) => c.id), [credentials]);
+
+    const handleUse = (mode: 'new' | 'merge') => {
+        if (!selected) {
+            return;
+        }
+        // Only ids already on the canvas can clash when adding
+        importWorkflow(
+            instantiateTemplate(
+                selected,
+                nodeTypes,
+                mode === 'merge' ? { nodes: nodes.map((n) => n.id), edges: edges.map((e) => e.id) } : {},
+                credentialIds
+            ),
+            mode
+        );
+        onClose();
+    };
+
+    const handleDelete = (template: WorkflowTemplate) => {
+        setConfirming({
+            title: 'Delete Template',
+            message: `Delete the template "${template.name}"? Workflows made from it are kept.`,
+            confirmLabel: 'Delete',
+            onConfirm: async () => {
+                setActionError(null);
+                try {
+                    await remove(template.id);
+                    if (selectedId === template.id) {
+                        setSelectedId(null);
+                    }
+                } catch (e) {
+                    setActionError(e instanceof Error ? e.message : 'Could not delete template');
+                }
+            },
+        });
+    };
+
+    return (
+        <div
+            className="fixed inset-0 z-50 flex items-center justify-center bg-black/50"
+            onClick={onClose}
+        >
+            <div
+                className="w-full max-w-4xl h-[85vh] flex flex-col bg-[var(--aevov-bg-card)] rounded-lg p-6 shadow-xl"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex items-center justify-between mb-4">
+                    <h2 className="text-lg font-semibold text-[var(--aevov-text)] flex items-center gap-2">
+                        <LayoutTemplate className="w-5 h-5 text-[var(--aevov-primary)]" />
+                        Templates
+                    </h2>
+                    <button onClick={onClose} className="p-1 rounded hover:bg-white/10">
+                        <X className="w-4 h-4 text-[var(--aevov-text-muted)]" />
+                    </button>
+                </div>
+
+                <div className="flex items-center gap-2 mb-3">
+                    <div className="flex-1 relative">
+                        <Search className="absolute left-2.5 top-1/2 -translate-y-1/2 w-4 h-4 text-[var(--aevov-text-muted)]" />
+                        <input
+                            type="text"
+                            autoFocus
+                            value={query}
+                            onChange={(e) => setQuery(e.target.value)}
+                            placeholder="Search templates..."
+                            className="w-full pl-8 pr-3 py-2 bg-[var(--aevov-bg-dark)] border border-[var(--aevov-border)] rounded-md text-sm text-[var(--aevov-text)] placeholder:text-[var(--aevov-text-muted)] focus:outline-none focus:border-[var(--aevov-primary)]"
+                        />
+                    </div>
+                    {loading && <Loader2 className="w-4 h-4 animate-spin text-[var(--aevov-text-muted)]" />}
+                </div>
+
+                <div className="flex flex-wrap gap-1.5 mb-3">
+                    {[null, ...categories].map((c) => (
+                        <button
+                            key={c ?? 'all'}
+                            onClick={() => setCategory(c)}
+                            className={`px-2.5 py-1 rounded-full text-xs ${
+                                category === c
+                                    ? 'bg-[var(--aevov-primary)] text-white'
+                                    : 'bg-[var(--aevov-border)] text-[var(--aevov-text)] hover:bg-white/20'
+                            }`}
+                        >
+                            {c ?? 'All'}
+                        </button>
+                    ))}
+                </div>
+
+                {(error || actionError) && (
+                    <div className="mb-3 p-2 rounded-md bg-red-500/10 text-xs text-red-400">{actionError || error}</div>
+                )}
+
+                <div className="flex-1 overflow-y-auto pr-1">
+                    {shown.length === 0 ? (
+                        <p className="py-8 text-center text-sm text-[var(--aevov-text-muted)]">No templates match.</p>
+                    ) : (
+                        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+                            {shown.map((template) => (
+                                <TemplateCard
+                                    key={template.id}
+                                    template={template}
+                                    nodeTypes={nodeTypes}
+                                    selected={template.id === selectedId}
+                                    onSelect={() => setSelectedId(template.id)}
+                                    onDelete={template.canDelete ? () => handleDelete(template) : undefined}
+                                />
+                            ))}
+                        </div>
+                    )}
+                </div>
+
+                {saving ? (
+                    <SaveTemplateForm
+                        defaultName={workflowName}
+                        team={storageKind === 'wordpress'}
+                        categories={[...new Set([...TEMPLATE_CATEGORIES, ...categories])]}
+                        onSave={async (template) => {
+                            const root = useWorkflowStore.getState().getRootGraph();
+                            const saved = await save({
+                                ...template,
+                                file: exportWorkflowFile(
+                                    {
+                                        name: template.name,
+                                        description: template.description,
+                                        nodes: root.nodes,
+                                        edges: root.edges,
+                                        composites: compositesUsedBy(root.nodes, root.composites),
+                                    },
+                                    nodeTypes,
+                                    null,
+                                    credentials || []
+                                ),
+                            });
+                            setSaving(false);
+                            setQuery('');
+                            setCategory(null);
+                            setSelectedId(saved.id);
+                        }}
+                        onCancel={() => setSaving(false)}
+                    />
+                ) : (
+                    <div className="flex items-center justify-between gap-2 mt-4">
+                        <button
+                            onClick={() => setSaving(true)}
+                            disabled={nodes.length === 0}
+                            title={storageKind === 'wordpress'
+                                ? 'Share this workflow with everyone on the site'
+                                : 'Keep this workflow as a template in this browser'}
+                            className="flex items-center gap-1.5 px-3 py-2 rounded-md text-sm text-[var(--aevov-text)] hover:bg-white/10 disabled:opacity-50"
+                        >
+                            <BookmarkPlus className="w-4 h-4" />
+                            Save Current as Template
+                        </button>
+                        <div className="flex gap-2">
+                            {selected && nodes.length > 0 && (
+                                <button
+                                    onClick={() => handleUse('merge')}
+                                    className="px-4 py-2 rounded-md text-sm bg-[var(--aevov-border)] text-[var(--aevov-text)] hover:bg-white/20"
+                                >
+                                    Add to Canvas
+                                </button>
+                            )}
+                            <button
+                                onClick={() => handleUse('new')}
+                                disabled={!selected}
+                                className="px-4 py-2 rounded-md text-sm bg-[var(--aevov-primary)] text-white hover:bg-[var(--aevov-primary-dark)] disabled:opacity-50"
+                            >
+                                Open as New Workflow
+                            </button>
+                        </div>
+                    </div>
+                )}
+
+                {confirming && <ConfirmDialog request={confirming} onClose={() => setConfirming(null)} />}
+            </div>
+        </div>
+    );
+}
+
+function TemplateCard({
+    template,
+    nodeTypes,
+    selected,
+    onSelect,
+    onDelete,
+}: {
+    template: WorkflowTemplate;
+    nodeTypes: Record<string, NodeTypeDefinition>;
+    selected: boolean;
+    onSelect: () => void;
+    onDelete?: () => void;
+}) {
+    const requirements = templateRequirements(template, nodeTypes);
+    const missing = requirements.filter((r) => !r.available);
+
+    return (
+        <div
+            onClick={onSelect}
+            className={`flex flex-col rounded-md border cursor-pointer overflow-hidden bg-[var(--aevov-bg-dark)] ${
+                selected ? 'border-[var(--aevov-primary)]' : 'border-[var(--aevov-border)] hover:border-white/30'
+            }`}
+        >
+            <TemplatePreview template={template} nodeTypes={nodeTypes} />
+            <div className="flex-1 p-3 text-xs">
+                <div className="flex items-start justify-between gap-2 mb-1">
+                    <span className="font-medium text-sm text-[var(--aevov-text)]">{template.name}</span>
+                    {onDelete && (
+                        <button
+                            onClick={(e) => {
+                                e.stopPropagation();
+                                onDelete();
+                            }}
+                            title="Delete template"
+                            className="p-0.5 rounded text-[var(--aevov-text-muted)] hover:text-red-400"
+                        >
+                            <Trash2 className="w-3.5 h-3.5" />
+                        </button>
+                    )}
+                </div>
+                <div className="flex items-center gap-1 mb-1.5 text-[var(--aevov-text-muted)]">
+                    {template.source === 'team' && <Users className="w-3 h-3" />}
+                    {template.category}
+                    {template.author && ` · by ${template.author}`}
+                </div>
+                {template.description && (
+                    <p className="mb-2 text-[var(--aevov-text-muted)] line-clamp-3">{template.description}</p>
+                )}
+                {requirements.length > 0 && (
+                    <div className="flex flex-wrap gap-1">
+                        {requirements.map((r) => (
+                            <span
+                                key={r.type}
+                                title={r.available
+                                    ? undefined
+                                    : r.installed ? 'Not available on this site' : 'Not installed on this site'}
+                                className={`flex items-center gap-0.5 px-1.5 py-0.5 rounded ${
+                                    r.available
+                                        ? 'text-[var(--aevov-text)]'
+                                        : 'bg-red-500/10 text-red-400 line-through'
+                                }`}
+                                style={r.available ? { backgroundColor: `${nodeTypes[r.type]?.color || '#64748b'}33` } : undefined}
+                            >
+                                {r.label}
+                            </span>
+                        ))}
+                    </div>
+                )}
+                {missing.length > 0 && (
+                    <p className="flex items-start gap-1 mt-2 text-amber-400">
+                        <AlertTriangle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                        Runs fail until {missing.map((r) => r.label).join(', ')} {missing.length === 1 ? 'is' : 'are'} available
+                    </p>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// Node sizes in flow coordinates, roughly as drawn on the canvas
+const PREVIEW_NODE_WIDTH = 180;
+const PREVIEW_NODE_HEIGHT = 60;
+const PREVIEW_PADDING = 40;
+
+// A thumbnail of the template's graph: nodes in their colours, connections as lines
+function TemplatePreview({
+    template,
+    nodeTypes,
+}: {
+    template: WorkflowTemplate;
+    nodeTypes: Record<string, NodeTypeDefinition>;
+}) {
+    const { nodes, edges } = template.file.workflow;
+    if (nodes.length === 0) {
+        return <div className="h-24 bg-black/20" />;
+    }
+
+    const positions = new Map(nodes.map((n) => [n.id, n.position]));
+    const left = Math.min(...nodes.map((n) => n.position.x)) - PREVIEW_PADDING;
+    const top = Math.min(...nodes.map((n) => n.position.y)) - PREVIEW_PADDING;
+    const width = Math.max(...nodes.map((n) => n.position.x)) + PREVIEW_NODE_WIDTH + PREVIEW_PADDING - left;
+    const height = Math.max(...nodes.map((n) => n.position.y)) + PREVIEW_NODE_HEIGHT + PREVIEW_PADDING - top;
+
+    return (
+        <svg
+            viewBox={`${left} ${top} ${width} ${height}`}
+            preserveAspectRatio="xMidYMid meet"
+            className="h-24 w-full bg-black/20"
+            aria-hidden
+        >
+            {edges.map((e) => {
+                const source = positions.get(e.source);
+                const target = positions.get(e.target);
+                if (!source || !target) {
+                    return null;
+                }
+                const x1 = source.x + PREVIEW_NODE_WIDTH;
+                const y1 = source.y + PREVIEW_NODE_HEIGHT / 2;
+                const x2 = target.x;
+                const y2 = target.y + PREVIEW_NODE_HEIGHT / 2;
+                const mid = (x1 + x2) / 2;
+                return (
+                    <path
+                        key={e.id}
+                        d={`M ${x1} ${y1} C ${mid} ${y1}, ${mid} ${y2}, ${x2} ${y2}`}
+                        fill="none"
+                        stroke="#64748b"
+                        strokeWidth={6}
+                    />
+                );
+            })}
+            {nodes.map((n) => (
+                <rect
+                    key={n.id}
+                    x={n.position.x}
+                    y={n.position.y}
+                    width={PREVIEW_NODE_WIDTH}
+                    height={PREVIEW_NODE_HEIGHT}
+                    rx={12}
+                    fill={nodeTypes[n.nodeType]?.color || '#64748b'}
+                    fillOpacity={0.85}
+                />
+            ))}
+        </svg>
+    );
+}
+
+function SaveTemplateForm({
+    defaultName,
+    team,
+    categories,
+    onSave,
+    onCancel,
+}: {
+    defaultName: string;
+    team: boolean;
+    categories: string[];
+    onSave: (template: { name: string; description: string; category: string }) => Promise<void>;
+    onCancel: () => void;
+}) {
+    const [name, setName] = useState(defaultName);
+    const [description, setDescription] = useState('');
+    const [category, setCategory] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    const handleSave = async () => {
+        setBusy(true);
+        setError(null);
+        try {
+            await onSave({ name: name.trim(), description: description.trim(), category: category.trim() });
+        } catch (e) {
+            setError(e instanceof Error ? e.message : 'Could not save template');
+            setBusy(false);
+        }
+    };
+
+    const inputClass =
+        'px-3 py-1.5 bg-[var(--aevov-bg-dark)] border border-[var(--aevov-border)] rounded-md text-sm text-[var(--aevov-text)] placeholder:text-[var(--aevov-text-muted)] focus:outline-none focus:border-[var(--aevov-primary)]';
+
+    return (
+        <div className="mt-4 pt-4 border-t border-[var(--aevov-border)] space-y-2">
+            <div className="flex gap-2">
+                <input
+                    type="text"
+                    autoFocus
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder="Template name..."
+                    className={`flex-1 ${inputClass}`}
+                />
+                <input
+                    type="text"
+                    list="aevov-template-categories"
+                    value={category}
+                    onChange={(e) => setCategory(e.target.value)}
+                    placeholder="Category"
+                    className={`w-40 ${inputClass}`}
+                />
+                <datalist id="aevov-template-categories">
+                    {categories.map((c) => (
+                        <option key={c} value={c} />
+                    ))}
+                </datalist>
+            </div>
+            <input
+                type="text"
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                placeholder="What it does..."
+                className={`w-full ${inputClass}`}
+            />
+            {error && <div className="p-2 rounded-md bg-red-500/10 text-xs text-red-400">{error}</div>}
+            <div className="flex items-center justify-between gap-2">
+                <p className="text-xs text-[var(--aevov-text-muted)]">
+                    {team
+                        ? 'Everyone on this site can use it. Secrets and test inputs are left out.'
+                        : 'Saved in this browser. Secrets and test inputs are left out.'}
+                </p>
+                <div className="flex gap-2">
+                    <button
+                        onClick={onCancel}
+                        className="px-4 py-2 rounded-md text-sm text-[var(--aevov-text)] hover:bg-white/10"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleSave}
+                        disabled={busy || !name.trim()}
+                        className="flex items-center gap-1.5 px-4 py-2 rounded-md text-sm bg-[var(--aevov-primary)] text-white hover:bg-[var(--aevov-primary-dark)] disabled:opacity-50"
+                    >
+                        {busy && <Loader2 className="w-4 h-4 animate-spin" />}
+                        {team ? 'Save Team Template' : 'Save Template'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
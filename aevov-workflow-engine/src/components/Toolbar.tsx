@@ -1,6 +1,18 @@
-import { useState } from 'react';
+import { useMemo, useRef, useState } from 'react';
 import { useWorkflowStore } from '../store';
-import { useApi } from '../hooks/useApi';
+import { useApi, workflowExecuteUrl } from '../hooks/useApi';
+import { useDryRun } from '../hooks/useDryRun';
+import { CollaboratorAvatars } from './Collaborators';
+import { useWorkflowGenerator, GenerationOutcome } from '../hooks/useWorkflowGenerator';
+import {
+    WorkflowFile,
+    WORKFLOW_FILE_EXTENSION,
+    exportWorkflowFile,
+    importWorkflowFile,
+    parseWorkflowFile,
+    serializeWorkflowFile,
+    workflowFileName,
+} from '../lib/workflowFile';
 import {
     Play,
     Save,
@@ -10,10 +22,42 @@ import {
     CheckCircle2,
     XCircle,
     Sparkles,
+    Undo2,
+    Redo2,
+    FlaskConical,
+    Download,
+    Upload,
+    AlertTriangle,
+    Boxes,
+    History,
+    ListChecks,
+    BookmarkPlus,
+    Bug,
+    KeyRound,
+    LayoutTemplate,
+    X,
 } from 'lucide-react';
+import { getSelectedSubgraph } from '../lib/graph';
+import { compositesUsedBy } from '../lib/composite';
+import {
+    InputParameter,
+    WorkflowInputSets,
+    deleteInputPreset,
+    inputFormValues,
+    inputJsonSchema,
+    inputParameters,
+    inputSetsKey,
+    loadInputSets,
+    rememberInputSet,
+    saveInputPreset,
+    validateInputs,
+} from '../lib/inputs';
+import { formatDate } from '../lib/format';
+import { InputFields } from './InputFields';
 
 export function Toolbar() {
     const { saveWorkflow, executeWorkflow } = useApi();
+    const { dryRunWorkflow } = useDryRun();
     const {
         workflowId,
         workflowName,
@@ -24,10 +68,27 @@ export function Toolbar() {
         executionResults,
         setWorkflowName,
         newWorkflow,
+        selectedNodeId,
+        nodeTypes,
+        testInputs,
+        past,
+        future,
+        undo,
+        redo,
+        sidePanel,
+        setSidePanel,
+        debugMode,
+        breakpoints,
+        setDebugMode,
+        setShowTemplates,
     } = useWorkflowStore();
 
     const [saving, setSaving] = useState(false);
     const [showAI, setShowAI] = useState(false);
+    const [showGroup, setShowGroup] = useState(false);
+    const [runParameters, setRunParameters] = useState<InputParameter[] | null>(null);
+    const [importing, setImporting] = useState<{ fileName: string; file?: WorkflowFile; error?: string } | null>(null);
+    const fileInput = useRef<HTMLInputElement>(null);
 
     const handleSave = async () => {
         setSaving(true);
@@ -40,14 +101,65 @@ export function Toolbar() {
         }
     };
 
-    const handleRun = async () => {
+    // Workflows with Input nodes ask for their parameters first
+    const handleRun = () => {
+        const parameters = inputParameters(useWorkflowStore.getState().getRootGraph().nodes);
+        if (parameters.length > 0) {
+            setRunParameters(parameters);
+        } else {
+            runWith({});
+        }
+    };
+
+    const runWith = async (inputs: Record<string, unknown>) => {
         try {
-            await executeWorkflow();
+            await executeWorkflow({ inputs });
         } catch (error) {
             console.error('Execution failed:', error);
         }
     };
 
+    const handleDryRun = async () => {
+        try {
+            await dryRunWorkflow();
+        } catch (error) {
+            console.error('Dry run failed:', error);
+        }
+    };
+
+    const canGroup = getSelectedSubgraph(nodes, edges, selectedNodeId).nodes
+        .some((n) => n.data.nodeType !== 'input' && n.data.nodeType !== 'output');
+
+    const handleExport = () => {
+        const root = useWorkflowStore.getState().getRootGraph();
+        const file = exportWorkflowFile(
+            { name: workflowName, nodes: root.nodes, edges: root.edges, composites: compositesUsedBy(root.nodes, root.composites) },
+            nodeTypes,
+            testInputs,
+            useWorkflowStore.getState().credentials || []
+        );
+        const url = URL.createObjectURL(new Blob([serializeWorkflowFile(file)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = workflowFileName(workflowName);
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    const handleImportFile = async (file: File | undefined) => {
+        if (!file) {
+            return;
+        }
+        try {
+            setImporting({ fileName: file.name, file: parseWorkflowFile(await file.text()) });
+        } catch (error) {
+            setImporting({
+                fileName: file.name,
+                error: error instanceof Error ? error.message : 'Could not read file',
+            });
+        }
+    };
+
     return (
         <header className="h-14 bg-[var(--aevov-bg-card)] border-b border-[var(--aevov-border)] flex items-center justify-between px-4">
             {/* Left side */}
@@ -72,6 +184,15 @@ export function Toolbar() {
                         <span className="hidden sm:inline">New</span>
                     </button>
 
+                    <button
+                        onClick={() => setShowTemplates(true)}
+                        title="Start from a template, or save this workflow as one"
+                        className="flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm text-[var(--aevov-text)] hover:bg-white/10"
+                    >
+                        <LayoutTemplate className="w-4 h-4" />
+                        <span className="hidden sm:inline">Templates</span>
+                    </button>
+
                     <button
                         onClick={handleSave}
                         disabled={saving}
@@ -85,6 +206,90 @@ export function Toolbar() {
                         <span className="hidden sm:inline">Save</span>
                         {isDirty && <span className="w-2 h-2 rounded-full bg-[var(--aevov-primary)]" />}
                     </button>
+
+                    <button
+                        onClick={() => fileInput.current?.click()}
+                        title={`Import a ${WORKFLOW_FILE_EXTENSION} file`}
+                        className="flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm text-[var(--aevov-text)] hover:bg-white/10"
+                    >
+                        <Upload className="w-4 h-4" />
+                        <span className="hidden sm:inline">Import</span>
+                    </button>
+                    <input
+                        ref={fileInput}
+                        type="file"
+                        accept={`${WORKFLOW_FILE_EXTENSION},.json,application/json`}
+                        className="hidden"
+                        onChange={(e) => {
+                            handleImportFile(e.target.files?.[0]);
+                            e.target.value = '';
+                        }}
+                    />
+
+                    <button
+                        onClick={handleExport}
+                        disabled={nodes.length === 0}
+                        title={`Export as ${WORKFLOW_FILE_EXTENSION}`}
+                        className="flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm text-[var(--aevov-text)] hover:bg-white/10 disabled:opacity-50"
+                    >
+                        <Download className="w-4 h-4" />
+                        <span className="hidden sm:inline">Export</span>
+                    </button>
+
+                    <button
+                        onClick={() => setShowGroup(true)}
+                        disabled={!canGroup}
+                        title="Collapse the selected nodes into a sub-workflow"
+                        className="flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm text-[var(--aevov-text)] hover:bg-white/10 disabled:opacity-50"
+                    >
+                        <Boxes className="w-4 h-4" />
+                        <span className="hidden sm:inline">Group</span>
+                    </button>
+
+                    <button
+                        onClick={() => setSidePanel(sidePanel === 'history' ? null : 'history')}
+                        title="Saved versions of this workflow"
+                        className={`flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm text-[var(--aevov-text)] hover:bg-white/10 ${sidePanel === 'history' ? 'bg-white/10' : ''}`}
+                    >
+                        <History className="w-4 h-4" />
+                        <span className="hidden sm:inline">History</span>
+                    </button>
+
+                    <button
+                        onClick={() => setSidePanel(sidePanel === 'executions' ? null : 'executions')}
+                        title="Past runs of this workflow"
+                        className={`flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm text-[var(--aevov-text)] hover:bg-white/10 ${sidePanel === 'executions' ? 'bg-white/10' : ''}`}
+                    >
+                        <ListChecks className="w-4 h-4" />
+                        <span className="hidden sm:inline">Runs</span>
+                    </button>
+
+                    <button
+                        onClick={() => setSidePanel(sidePanel === 'credentials' ? null : 'credentials')}
+                        title="API keys and passwords nodes authenticate with"
+                        className={`flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm text-[var(--aevov-text)] hover:bg-white/10 ${sidePanel === 'credentials' ? 'bg-white/10' : ''}`}
+                    >
+                        <KeyRound className="w-4 h-4" />
+                        <span className="hidden sm:inline">Credentials</span>
+                    </button>
+
+                    <button
+                        onClick={undo}
+                        disabled={past.length === 0}
+                        title="Undo (Ctrl+Z)"
+                        className="p-1.5 rounded-md text-[var(--aevov-text)] hover:bg-white/10 disabled:opacity-30"
+                    >
+                        <Undo2 className="w-4 h-4" />
+                    </button>
+
+                    <button
+                        onClick={redo}
+                        disabled={future.length === 0}
+                        title="Redo (Ctrl+Shift+Z)"
+                        className="p-1.5 rounded-md text-[var(--aevov-text)] hover:bg-white/10 disabled:opacity-30"
+                    >
+                        <Redo2 className="w-4 h-4" />
+                    </button>
                 </div>
 
                 <div className="h-6 w-px bg-[var(--aevov-border)]" />
@@ -101,6 +306,8 @@ export function Toolbar() {
 
             {/* Right side */}
             <div className="flex items-center gap-2">
+                <CollaboratorAvatars />
+
                 <button
                     onClick={() => setShowAI(true)}
                     className="flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm bg-[var(--aevov-border)] text-[var(--aevov-text)] hover:bg-white/20"
@@ -109,6 +316,31 @@ export function Toolbar() {
                     <span className="hidden sm:inline">AI Generate</span>
                 </button>
 
+                <button
+                    onClick={() => setDebugMode(!debugMode)}
+                    disabled={isExecuting}
+                    title={debugMode
+                        ? 'Debugging: runs pause at breakpoints, or before every node when none are set'
+                        : 'Debug runs with breakpoints and stepping'}
+                    className={`flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm disabled:opacity-50 disabled:cursor-not-allowed ${debugMode ? 'bg-amber-500/20 text-amber-400' : 'bg-[var(--aevov-border)] text-[var(--aevov-text)] hover:bg-white/20'}`}
+                >
+                    <Bug className="w-4 h-4" />
+                    <span className="hidden sm:inline">Debug</span>
+                    {debugMode && breakpoints.length > 0 && (
+                        <span className="px-1.5 rounded-full bg-red-500 text-white text-[10px]">{breakpoints.length}</span>
+                    )}
+                </button>
+
+                <button
+                    onClick={handleDryRun}
+                    disabled={isExecuting || nodes.length === 0}
+                    title="Run in the browser using node fixtures"
+                    className="flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm bg-[var(--aevov-border)] text-[var(--aevov-text)] hover:bg-white/20 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    <FlaskConical className="w-4 h-4" />
+                    <span className="hidden sm:inline">Dry Run</span>
+                </button>
+
                 <button
                     onClick={handleRun}
                     disabled={isExecuting || nodes.length === 0}
@@ -135,40 +367,47 @@ export function Toolbar() {
 
             {/* AI Modal */}
             {showAI && <AIModal onClose={() => setShowAI(false)} />}
+
+            {/* Group Modal */}
+            {showGroup && <GroupModal onClose={() => setShowGroup(false)} />}
+
+            {/* Import Modal */}
+            {importing && <ImportModal {...importing} onClose={() => setImporting(null)} />}
+
+            {/* Run Inputs Modal */}
+            {runParameters && (
+                <RunInputsModal
+                    parameters={runParameters}
+                    onRun={runWith}
+                    onClose={() => setRunParameters(null)}
+                />
+            )}
         </header>
     );
 }
 
 function AIModal({ onClose }: { onClose: () => void }) {
     const [prompt, setPrompt] = useState('');
+    const [provider, setProvider] = useState('');
     const [generating, setGenerating] = useState(false);
-    const { addNode } = useWorkflowStore();
+    const [preview, setPreview] = useState<GenerationOutcome | null>(null);
+    const { nodes, insertWorkflowGraph } = useWorkflowStore();
+    const { providers, loadingProviders, generate } = useWorkflowGenerator();
 
-    const handleGenerate = () => {
+    const handleGenerate = async () => {
         setGenerating(true);
-        const lower = prompt.toLowerCase();
-
-        // Simple node generation based on keywords
-        const nodesToAdd: { type: string; label: string; x: number; y: number }[] = [];
-        nodesToAdd.push({ type: 'input', label: 'Input', x: 100, y: 200 });
-
-        if (lower.includes('image')) {
-            nodesToAdd.push({ type: 'image', label: 'Generate Image', x: 350, y: 200 });
-        }
-        if (lower.includes('text') || lower.includes('language')) {
-            nodesToAdd.push({ type: 'language', label: 'Process Text', x: 350, y: 300 });
-        }
-        if (lower.includes('music')) {
-            nodesToAdd.push({ type: 'music', label: 'Compose Music', x: 350, y: 400 });
+        try {
+            setPreview(await generate(prompt, provider || null));
+        } finally {
+            setGenerating(false);
         }
+    };
 
-        nodesToAdd.push({ type: 'output', label: 'Output', x: 600, y: 200 });
-
-        nodesToAdd.forEach((n) => {
-            addNode(n.type, { x: n.x, y: n.y }, { label: n.label });
-        });
-
-        setGenerating(false);
+    const handleInsert = (mode: 'merge' | 'replace') => {
+        if (!preview) {
+            return;
+        }
+        insertWorkflowGraph(preview, mode);
         onClose();
     };
 
@@ -187,10 +426,248 @@ function AIModal({ onClose }: { onClose: () => void }) {
                 </h2>
                 <textarea
                     value={prompt}
-                    onChange={(e) => setPrompt(e.target.value)}
+                    onChange={(e) => {
+                        setPrompt(e.target.value);
+                        setPreview(null);
+                    }}
                     placeholder="Describe what you want your workflow to do..."
                     className="w-full h-32 px-3 py-2 bg-[var(--aevov-bg-dark)] border border-[var(--aevov-border)] rounded-md text-sm text-[var(--aevov-text)] placeholder:text-[var(--aevov-text-muted)] resize-none focus:outline-none focus:border-[var(--aevov-primary)]"
                 />
+
+                <label className="flex items-center justify-between gap-2 mt-3 text-xs text-[var(--aevov-text-muted)]">
+                    Planner
+                    <select
+                        value={provider}
+                        onChange={(e) => {
+                            setProvider(e.target.value);
+                            setPreview(null);
+                        }}
+                        disabled={loadingProviders}
+                        className="flex-1 max-w-[260px] px-2 py-1.5 bg-[var(--aevov-bg-dark)] border border-[var(--aevov-border)] rounded-md text-sm text-[var(--aevov-text)] focus:outline-none focus:border-[var(--aevov-primary)]"
+                    >
+                        <option value="">Rule-based (offline)</option>
+                        {providers.map((p) => (
+                            <option key={p.id} value={p.id}>{p.name}</option>
+                        ))}
+                    </select>
+                </label>
+
+                {preview && (
+                    <div className="mt-4 p-3 rounded-md bg-[var(--aevov-bg-dark)] border border-[var(--aevov-border)] text-xs">
+                        <div className="font-medium text-[var(--aevov-text)] mb-1">{preview.name}</div>
+                        <div className="text-[var(--aevov-text-muted)] mb-2">
+                            {preview.nodes.length} nodes, {preview.edges.length} connections
+                            {' · '}
+                            {preview.provider ? `planned by ${preview.provider}` : 'rule-based plan'}
+                        </div>
+                        <div className="flex flex-wrap gap-1">
+                            {preview.nodes.map((n) => (
+                                <span
+                                    key={n.id}
+                                    className="px-1.5 py-0.5 rounded text-[var(--aevov-text)]"
+                                    style={{ backgroundColor: `${n.data.color}33` }}
+                                >
+                                    {n.data.label}
+                                </span>
+                            ))}
+                        </div>
+                        {preview.notes.length > 0 && (
+                            <ul className="mt-2 space-y-0.5 text-yellow-400">
+                                {preview.notes.map((note, i) => (
+                                    <li key={i}>{note}</li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                )}
+
+                <div className="flex justify-end gap-2 mt-4">
+                    <button
+                        onClick={onClose}
+                        className="px-4 py-2 rounded-md text-sm text-[var(--aevov-text)] hover:bg-white/10"
+                    >
+                        Cancel
+                    </button>
+                    {preview ? (
+                        <>
+                            {nodes.length > 0 && (
+                                <button
+                                    onClick={() => handleInsert('replace')}
+                                    className="px-4 py-2 rounded-md text-sm bg-[var(--aevov-border)] text-[var(--aevov-text)] hover:bg-white/20"
+                                >
+                                    Replace Canvas
+                                </button>
+                            )}
+                            <button
+                                onClick={() => handleInsert('merge')}
+                                className="px-4 py-2 rounded-md text-sm bg-[var(--aevov-primary)] text-white hover:bg-[var(--aevov-primary-dark)]"
+                            >
+                                {nodes.length > 0 ? 'Add to Canvas' : 'Create Workflow'}
+                            </button>
+                        </>
+                    ) : (
+                        <button
+                            onClick={handleGenerate}
+                            disabled={generating || !prompt.trim()}
+                            className="flex items-center gap-2 px-4 py-2 rounded-md text-sm bg-[var(--aevov-primary)] text-white hover:bg-[var(--aevov-primary-dark)] disabled:opacity-50"
+                        >
+                            {generating && <Loader2 className="w-4 h-4 animate-spin" />}
+                            Generate
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function ImportModal({
+    fileName,
+    file,
+    error,
+    onClose,
+}: {
+    fileName: string;
+    file?: WorkflowFile;
+    error?: string;
+    onClose: () => void;
+}) {
+    const { nodes, edges, nodeTypes, credentials, importWorkflow } = useWorkflowStore();
+    const credentialIds = useMemo(() => credentials?.map((c) => c.id), [credentials]);
+    const imported = useMemo(
+        () => (file ? importWorkflowFile(file, nodeTypes, {}, credentialIds) : null),
+        [file, nodeTypes, credentialIds]
+    );
+
+    const handleImport = (mode: 'new' | 'merge') => {
+        if (!file || !imported) {
+            return;
+        }
+        // Only ids already on the canvas can clash when merging
+        importWorkflow(
+            mode === 'merge'
+                ? importWorkflowFile(
+                    file,
+                    nodeTypes,
+                    { nodes: nodes.map((n) => n.id), edges: edges.map((e) => e.id) },
+                    credentialIds
+                )
+                : imported,
+            mode
+        );
+        onClose();
+    };
+
+    return (
+        <div
+            className="fixed inset-0 z-50 flex items-center justify-center bg-black/50"
+            onClick={onClose}
+        >
+            <div
+                className="w-full max-w-lg bg-[var(--aevov-bg-card)] rounded-lg p-6 shadow-xl"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <h2 className="text-lg font-semibold text-[var(--aevov-text)] mb-1 flex items-center gap-2">
+                    <Upload className="w-5 h-5 text-[var(--aevov-primary)]" />
+                    Import Workflow
+                </h2>
+                <p className="text-xs text-[var(--aevov-text-muted)] mb-4 truncate">{fileName}</p>
+
+                {error && (
+                    <div className="p-3 rounded-md bg-red-500/10 text-sm text-red-400">{error}</div>
+                )}
+
+                {imported && (
+                    <div className="p-3 rounded-md bg-[var(--aevov-bg-dark)] border border-[var(--aevov-border)] text-xs">
+                        <div className="font-medium text-[var(--aevov-text)] mb-1">{imported.name}</div>
+                        {imported.description && (
+                            <div className="text-[var(--aevov-text-muted)] mb-1">{imported.description}</div>
+                        )}
+                        <div className="text-[var(--aevov-text-muted)]">
+                            {imported.nodes.length} nodes, {imported.edges.length} connections
+                            {imported.testInputs && ' · includes test inputs'}
+                        </div>
+                        {imported.warnings.length > 0 && (
+                            <ul className="mt-2 space-y-0.5 text-yellow-400">
+                                {imported.warnings.map((warning, i) => (
+                                    <li key={i} className="flex items-start gap-1">
+                                        <AlertTriangle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                                        {warning}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                )}
+
+                <div className="flex justify-end gap-2 mt-4">
+                    <button
+                        onClick={onClose}
+                        className="px-4 py-2 rounded-md text-sm text-[var(--aevov-text)] hover:bg-white/10"
+                    >
+                        Cancel
+                    </button>
+                    {imported && nodes.length > 0 && (
+                        <button
+                            onClick={() => handleImport('merge')}
+                            className="px-4 py-2 rounded-md text-sm bg-[var(--aevov-border)] text-[var(--aevov-text)] hover:bg-white/20"
+                        >
+                            Add to Canvas
+                        </button>
+                    )}
+                    {imported && (
+                        <button
+                            onClick={() => handleImport('new')}
+                            className="px-4 py-2 rounded-md text-sm bg-[var(--aevov-primary)] text-white hover:bg-[var(--aevov-primary-dark)]"
+                        >
+                            Open as New Workflow
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function GroupModal({ onClose }: { onClose: () => void }) {
+    const [name, setName] = useState('');
+    const { collapseSelection } = useWorkflowStore();
+
+    const handleCreate = () => {
+        collapseSelection(name.trim());
+        onClose();
+    };
+
+    return (
+        <div
+            className="fixed inset-0 z-50 flex items-center justify-center bg-black/50"
+            onClick={onClose}
+        >
+            <div
+                className="w-full max-w-sm bg-[var(--aevov-bg-card)] rounded-lg p-6 shadow-xl"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <h2 className="text-lg font-semibold text-[var(--aevov-text)] mb-4 flex items-center gap-2">
+                    <Boxes className="w-5 h-5 text-[var(--aevov-primary)]" />
+                    Create Sub-workflow
+                </h2>
+                <input
+                    type="text"
+                    autoFocus
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter' && name.trim()) {
+                            handleCreate();
+                        }
+                    }}
+                    placeholder="Sub-workflow name..."
+                    className="w-full px-3 py-2 bg-[var(--aevov-bg-dark)] border border-[var(--aevov-border)] rounded-md text-sm text-[var(--aevov-text)] placeholder:text-[var(--aevov-text-muted)] focus:outline-none focus:border-[var(--aevov-primary)]"
+                />
+                <p className="mt-2 text-xs text-[var(--aevov-text-muted)]">
+                    Unconnected handles of the selected nodes become the sub-workflow&apos;s inputs and outputs.
+                    It is saved to your library in this browser.
+                </p>
                 <div className="flex justify-end gap-2 mt-4">
                     <button
                         onClick={onClose}
@@ -199,15 +676,200 @@ function AIModal({ onClose }: { onClose: () => void }) {
                         Cancel
                     </button>
                     <button
-                        onClick={handleGenerate}
-                        disabled={generating || !prompt.trim()}
-                        className="flex items-center gap-2 px-4 py-2 rounded-md text-sm bg-[var(--aevov-primary)] text-white hover:bg-[var(--aevov-primary-dark)] disabled:opacity-50"
+                        onClick={handleCreate}
+                        disabled={!name.trim()}
+                        className="px-4 py-2 rounded-md text-sm bg-[var(--aevov-primary)] text-white hover:bg-[var(--aevov-primary-dark)] disabled:opacity-50"
                     >
-                        {generating && <Loader2 className="w-4 h-4 animate-spin" />}
-                        Generate
+                        Create
                     </button>
                 </div>
             </div>
         </div>
     );
 }
+
+function RunInputsModal({
+    parameters,
+    onRun,
+    onClose,
+}: {
+    parameters: InputParameter[];
+    onRun: (inputs: Record<string, unknown>) => void;
+    onClose: () => void;
+}) {
+    const { workflowId, isDirty, testInputs, setTestInputs } = useWorkflowStore();
+    const setsKey = inputSetsKey(workflowId);
+    const apiUrl = workflowId ? workflowExecuteUrl(workflowId) : null;
+
+    const [sets, setSets] = useState<WorkflowInputSets>(() => loadInputSets(setsKey));
+    // Start from the inputs of the last run
+    const [values, setValues] = useState(() => inputFormValues(parameters, testInputs ?? sets.recent[0]?.values ?? {}));
+    const [errors, setErrors] = useState<Record<string, string>>({});
+    const [presetName, setPresetName] = useState('');
+
+    const schema = useMemo(() => inputJsonSchema(parameters), [parameters]);
+
+    const validated = () => {
+        const result = validateInputs(parameters, values);
+        setErrors(result.errors);
+        return Object.keys(result.errors).length === 0 ? result.inputs : null;
+    };
+
+    const applySet = (inputs: Record<string, unknown>) => {
+        setValues(inputFormValues(parameters, inputs));
+        setErrors({});
+    };
+
+    const handleRun = () => {
+        const inputs = validated();
+        if (!inputs) {
+            return;
+        }
+        setTestInputs(inputs);
+        rememberInputSet(setsKey, inputs);
+        onRun(inputs);
+        onClose();
+    };
+
+    const handleSavePreset = () => {
+        const inputs = validated();
+        if (!inputs || !presetName.trim()) {
+            return;
+        }
+        setSets(saveInputPreset(setsKey, presetName.trim(), inputs));
+        setPresetName('');
+    };
+
+    return (
+        <div
+            className="fixed inset-0 z-50 flex items-center justify-center bg-black/50"
+            onClick={onClose}
+        >
+            <div
+                className="w-full max-w-lg max-h-[85vh] flex flex-col bg-[var(--aevov-bg-card)] rounded-lg p-6 shadow-xl"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <h2 className="text-lg font-semibold text-[var(--aevov-text)] mb-4 flex items-center gap-2">
+                    <Play className="w-5 h-5 text-[var(--aevov-primary)]" />
+                    Run Workflow
+                </h2>
+
+                <div className="flex-1 overflow-y-auto space-y-4 pr-1">
+                    {/* Presets and recent inputs */}
+                    {(sets.presets.length > 0 || sets.recent.length > 0) && (
+                        <div className="space-y-2">
+                            {sets.presets.length > 0 && (
+                                <div className="flex flex-wrap gap-1.5">
+                                    {sets.presets.map((preset) => (
+                                        <span
+                                            key={preset.name}
+                                            className="flex items-center rounded-full bg-[var(--aevov-border)] text-xs text-[var(--aevov-text)]"
+                                        >
+                                            <button
+                                                onClick={() => applySet(preset.values)}
+                                                className="pl-2.5 pr-1 py-1 hover:text-[var(--aevov-primary)]"
+                                            >
+                                                {preset.name}
+                                            </button>
+                                            <button
+                                                onClick={() => setSets(deleteInputPreset(setsKey, preset.name))}
+                                                title={`Delete preset "${preset.name}"`}
+                                                className="pr-2 py-1 text-[var(--aevov-text-muted)] hover:text-red-400"
+                                            >
+                                                <X className="w-3 h-3" />
+                                            </button>
+                                        </span>
+                                    ))}
+                                </div>
+                            )}
+                            {sets.recent.length > 0 && (
+                                <select
+                                    value=""
+                                    onChange={(e) => e.target.value && applySet(sets.recent[Number(e.target.value)].values)}
+                                    className="w-full px-3 py-2 bg-[var(--aevov-bg-dark)] border border-[var(--aevov-border)] rounded-md text-sm text-[var(--aevov-text)] focus:outline-none focus:border-[var(--aevov-primary)]"
+                                >
+                                    <option value="">Use recent inputs...</option>
+                                    {sets.recent.map((set, index) => (
+                                        <option key={set.usedAt} value={index}>
+                                            {formatDate(set.usedAt)} · {summarizeInputs(parameters, set.values)}
+                                        </option>
+                                    ))}
+                                </select>
+                            )}
+                        </div>
+                    )}
+
+                    <InputFields parameters={parameters} values={values} errors={errors} onChange={setValues} />
+
+                    <div className="flex gap-2">
+                        <input
+                            type="text"
+                            value={presetName}
+                            onChange={(e) => setPresetName(e.target.value)}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter') {
+                                    handleSavePreset();
+                                }
+                            }}
+                            placeholder="Preset name..."
+                            className="flex-1 px-3 py-1.5 bg-[var(--aevov-bg-dark)] border border-[var(--aevov-border)] rounded-md text-sm text-[var(--aevov-text)] placeholder:text-[var(--aevov-text-muted)] focus:outline-none focus:border-[var(--aevov-primary)]"
+                        />
+                        <button
+                            onClick={handleSavePreset}
+                            disabled={!presetName.trim()}
+                            className="flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm bg-[var(--aevov-border)] text-[var(--aevov-text)] hover:bg-white/20 disabled:opacity-50"
+                        >
+                            <BookmarkPlus className="w-4 h-4" />
+                            Save Preset
+                        </button>
+                    </div>
+
+                    {apiUrl && (
+                        <details className="text-xs text-[var(--aevov-text-muted)]">
+                            <summary className="cursor-pointer select-none">Call as an API</summary>
+                            <div className="mt-2 space-y-2">
+                                <p>
+                                    POST <code className="font-mono text-[var(--aevov-text)] break-all">{apiUrl}</code> with
+                                    the parameters by name under <code className="font-mono">inputs</code>. Inputs are validated
+                                    against this schema, also served at <code className="font-mono">/schema</code> next to the
+                                    workflow.
+                                    {isDirty && ' It runs the last saved version, so save your changes first.'}
+                                </p>
+                                <pre className="p-2 rounded-md bg-[var(--aevov-bg-dark)] font-mono text-[11px] text-[var(--aevov-text)] overflow-auto max-h-48">
+                                    {JSON.stringify(schema, null, 2)}
+                                </pre>
+                            </div>
+                        </details>
+                    )}
+                </div>
+
+                <div className="flex justify-end gap-2 mt-4">
+                    <button
+                        onClick={onClose}
+                        className="px-4 py-2 rounded-md text-sm text-[var(--aevov-text)] hover:bg-white/10"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleRun}
+                        className="flex items-center gap-1.5 px-4 py-2 rounded-md text-sm bg-[var(--aevov-primary)] text-white hover:bg-[var(--aevov-primary-dark)]"
+                    >
+                        <Play className="w-4 h-4" />
+                        Run
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function summarizeInputs(parameters: InputParameter[], inputs: Record<string, unknown>): string {
+    const summary = parameters
+        .filter((p) => inputs[p.nodeId] !== undefined)
+        .map((p) => {
+            const value = inputs[p.nodeId];
+            return `${p.name}=${typeof value === 'string' ? value : JSON.stringify(value)}`;
+        })
+        .join(', ');
+    return summary.length > 60 ? `${summary.slice(0, 60)}…` : summary || 'defaults';
+}
@@ -0,0 +1,299 @@
+import { useState } from 'react';
+import { Node } from 'reactflow';
+import { AevovNodeData } from '../types';
+import { useWorkflowStore } from '../store';
+import { useTriggers } from '../hooks/useTriggers';
+import { TRIGGER_EVENTS, TriggerFire, TriggerStatus, signedRequestExample, triggerSourceLabel } from '../lib/triggers';
+import { formatDate, formatDuration } from '../lib/format';
+import { CodeEditor } from './CodeEditor';
+import { ConfirmDialog } from './ConfirmDialog';
+import { Zap, Copy, Check, RefreshCw, Send, Loader2, CheckCircle2, XCircle, AlertTriangle } from 'lucide-react';
+
+// Where a trigger node stands on the site: when it fires next, its webhook URL, what
+// it last did, and a way to fire it by hand
+export function TriggerDetails({ node }: { node: Node<AevovNodeData> }) {
+    const { isDirty, setSidePanel } = useWorkflowStore();
+    const { available, saved, timezone, schedulingEnabled, loading, error, find, fire, rotateSecret } = useTriggers();
+    const status = find(node.id);
+
+    return (
+        <div className="space-y-3">
+            <h4 className="flex items-center gap-1.5 text-sm font-medium text-[var(--aevov-text-muted)]">
+                <Zap className="w-4 h-4" />
+                Trigger
+            </h4>
+
+            {!available ? (
+                <p className="text-xs text-[var(--aevov-text-muted)]">
+                    Triggers fire on the WordPress site. Open the builder from wp-admin to use them; runs here use the
+                    sample payload.
+                </p>
+            ) : !saved || (!status && !loading) ? (
+                <p className="text-xs text-[var(--aevov-text-muted)]">Save the workflow to activate this trigger.</p>
+            ) : (
+                <>
+                    {isDirty && (
+                        <p className="text-xs text-amber-400">Changes take effect on the site once you save.</p>
+                    )}
+                    {error && <div className="p-2 rounded-md bg-red-500/10 text-xs text-red-400">{error}</div>}
+                    {loading && !status && (
+                        <div className="flex justify-center py-2">
+                            <Loader2 className="w-4 h-4 animate-spin text-[var(--aevov-text-muted)]" />
+                        </div>
+                    )}
+                    {status && (
+                        <>
+                            <TriggerState status={status} timezone={timezone} schedulingEnabled={schedulingEnabled} />
+                            {status.type === 'webhook' && status.webhookUrl && (
+                                <WebhookDetails status={status} onRotate={() => rotateSecret(node.id)} />
+                            )}
+                            <RecentFires fires={status.recentFires} onShowAll={() => setSidePanel('executions')} />
+                            <FireNow
+                                key={node.id}
+                                initialPayload={node.data.config?.samplePayload}
+                                onFire={(payload) => fire(node.id, payload)}
+                            />
+                        </>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
+function TriggerState({
+    status,
+    timezone,
+    schedulingEnabled,
+}: {
+    status: TriggerStatus;
+    timezone: string | null;
+    schedulingEnabled: boolean;
+}) {
+    const rowClass = 'flex justify-between gap-2 text-xs';
+    const eventLabel = TRIGGER_EVENTS.find((e) => e.value === status.event)?.label ?? status.event;
+
+    return (
+        <div className="space-y-1.5 p-2 rounded-md bg-[var(--aevov-bg-dark)]">
+            {status.error && (
+                <p className="flex items-start gap-1.5 text-xs text-red-400">
+                    <AlertTriangle className="w-3.5 h-3.5 shrink-0 mt-px" />
+                    {status.error}
+                </p>
+            )}
+            <div className={rowClass}>
+                <span className="text-[var(--aevov-text-muted)]">Status</span>
+                <span className={status.active ? 'text-green-400' : 'text-[var(--aevov-text-muted)]'}>
+                    {status.active ? 'Active' : 'Disabled'}
+                </span>
+            </div>
+            {status.type === 'schedule' && (
+                <div className={rowClass}>
+                    <span className="text-[var(--aevov-text-muted)]">Next run</span>
+                    <span className="text-[var(--aevov-text)]" title={timezone ? `Cron times are in ${timezone}` : undefined}>
+                        {status.nextRun && schedulingEnabled ? formatDate(status.nextRun) : '—'}
+                    </span>
+                </div>
+            )}
+            {status.type === 'event' && eventLabel && (
+                <div className={rowClass}>
+                    <span className="text-[var(--aevov-text-muted)]">Listening for</span>
+                    <span className="text-[var(--aevov-text)]">{eventLabel}</span>
+                </div>
+            )}
+            <div className={rowClass}>
+                <span className="text-[var(--aevov-text-muted)]">Last fired</span>
+                <span className="text-[var(--aevov-text)]">{status.lastFired ? formatDate(status.lastFired) : 'Never'}</span>
+            </div>
+            {status.type === 'schedule' && !schedulingEnabled && (
+                <p className="text-xs text-amber-400">Scheduling is turned off in the plugin settings.</p>
+            )}
+        </div>
+    );
+}
+
+function WebhookDetails({ status, onRotate }: { status: TriggerStatus; onRotate: () => Promise<unknown> }) {
+    const [rotating, setRotating] = useState(false);
+    const [rotateError, setRotateError] = useState<string | null>(null);
+    const [confirming, setConfirming] = useState(false);
+
+    const handleRotate = async () => {
+        setRotating(true);
+        setRotateError(null);
+        try {
+            await onRotate();
+        } catch (e) {
+            setRotateError(e instanceof Error ? e.message : 'Could not issue a new secret');
+        } finally {
+            setRotating(false);
+        }
+    };
+
+    return (
+        <div className="space-y-2">
+            <CopyField label="URL" value={status.webhookUrl!} />
+            <CopyField label="Secret" value={status.secret || ''} secret />
+            <div className="flex items-center justify-between">
+                <details className="text-xs text-[var(--aevov-text-muted)]">
+                    <summary className="cursor-pointer select-none">Signing requests</summary>
+                    <p className="mt-2">
+                        Send <code className="font-mono">X-Aevov-Signature: t=&lt;unix time&gt;,v1=&lt;signature&gt;</code>,
+                        where the signature is the hex HMAC-SHA256 of the time, a dot and the raw body, keyed with the
+                        secret. Signatures older than five minutes are refused.
+                    </p>
+                    <pre className="mt-2 p-2 rounded-md bg-[var(--aevov-bg-dark)] font-mono text-[11px] text-[var(--aevov-text)] overflow-auto whitespace-pre-wrap break-all">
+                        {signedRequestExample(status.webhookUrl!, status.secret || '')}
+                    </pre>
+                </details>
+                <button
+                    onClick={() => setConfirming(true)}
+                    disabled={rotating}
+                    title="Issue a new URL and secret"
+                    className="self-start p-1 rounded text-[var(--aevov-text-muted)] hover:bg-white/10 disabled:opacity-50"
+                >
+                    <RefreshCw className={`w-3.5 h-3.5 ${rotating ? 'animate-spin' : ''}`} />
+                </button>
+            </div>
+            {rotateError && <p className="text-xs text-red-400">{rotateError}</p>}
+            {confirming && (
+                <ConfirmDialog
+                    request={{
+                        title: 'Issue a New Secret',
+                        message: 'Issue a new URL and secret? Requests to the current URL will stop working.',
+                        confirmLabel: 'Issue',
+                        onConfirm: handleRotate,
+                    }}
+                    onClose={() => setConfirming(false)}
+                />
+            )}
+        </div>
+    );
+}
+
+function CopyField({ label, value, secret = false }: { label: string; value: string; secret?: boolean }) {
+    const [copied, setCopied] = useState(false);
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(value);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 1500);
+        } catch {
+            // Clipboard access denied; the field can still be selected by hand
+        }
+    };
+
+    return (
+        <div>
+            <label className="block text-xs font-medium text-[var(--aevov-text-muted)] mb-1">{label}</label>
+            <div className="flex gap-1">
+                <input
+                    type={secret ? 'password' : 'text'}
+                    value={value}
+                    readOnly
+                    onFocus={(e) => e.target.select()}
+                    className="min-w-0 flex-1 px-2 py-1.5 bg-[var(--aevov-bg-dark)] border border-[var(--aevov-border)] rounded-md text-xs font-mono text-[var(--aevov-text)] focus:outline-none"
+                />
+                <button
+                    onClick={handleCopy}
+                    title={`Copy ${label.toLowerCase()}`}
+                    className="p-1.5 rounded-md text-[var(--aevov-text-muted)] hover:bg-white/10"
+                >
+                    {copied ? <Check className="w-3.5 h-3.5 text-green-400" /> : <Copy className="w-3.5 h-3.5" />}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+function RecentFires({ fires, onShowAll }: { fires: TriggerFire[]; onShowAll: () => void }) {
+    return (
+        <div>
+            <div className="flex items-center justify-between mb-1">
+                <span className="text-xs font-medium text-[var(--aevov-text-muted)]">Recent fires</span>
+                {fires.length > 0 && (
+                    <button onClick={onShowAll} className="text-xs text-[var(--aevov-primary)] hover:underline">
+                        All runs
+                    </button>
+                )}
+            </div>
+            {fires.length === 0 ? (
+                <p className="text-xs text-[var(--aevov-text-muted)]">Not fired yet.</p>
+            ) : (
+                <ul className="space-y-1">
+                    {fires.map((fire) => (
+                        <li key={fire.executionId} className="flex items-start gap-1.5 text-xs">
+                            {fire.status === 'completed' ? (
+                                <CheckCircle2 className="w-3.5 h-3.5 shrink-0 text-green-400" />
+                            ) : fire.status === 'running' || fire.status === 'pending' ? (
+                                <Loader2 className="w-3.5 h-3.5 shrink-0 animate-spin text-[var(--aevov-primary)]" />
+                            ) : (
+                                <XCircle className="w-3.5 h-3.5 shrink-0 text-red-400" />
+                            )}
+                            <div className="min-w-0 flex-1">
+                                <div className="flex justify-between gap-2 text-[var(--aevov-text)]">
+                                    <span className="truncate">
+                                        {formatDate(fire.createdAt)}
+                                        {fire.source && (
+                                            <span className="text-[var(--aevov-text-muted)]"> · {triggerSourceLabel(fire.source)}</span>
+                                        )}
+                                    </span>
+                                    <span className="shrink-0 text-[var(--aevov-text-muted)]">{formatDuration(fire.executionTime)}</span>
+                                </div>
+                                {fire.error && (
+                                    <div className="truncate text-red-400" title={fire.error}>{fire.error}</div>
+                                )}
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+function FireNow({ initialPayload, onFire }: { initialPayload: unknown; onFire: (payload: unknown) => Promise<unknown> }) {
+    const [text, setText] = useState(() => (initialPayload === undefined ? '' : JSON.stringify(initialPayload, null, 2)));
+    const [firing, setFiring] = useState(false);
+    const [fireError, setFireError] = useState<string | null>(null);
+
+    let payload: unknown = null;
+    let invalid = false;
+    if (text.trim() !== '') {
+        try {
+            payload = JSON.parse(text);
+        } catch {
+            invalid = true;
+        }
+    }
+
+    const handleFire = async () => {
+        setFiring(true);
+        setFireError(null);
+        try {
+            await onFire(payload);
+        } catch (e) {
+            setFireError(e instanceof Error ? e.message : 'Could not fire the trigger');
+        } finally {
+            setFiring(false);
+        }
+    };
+
+    return (
+        <div className="space-y-1.5">
+            <span className="block text-xs font-medium text-[var(--aevov-text-muted)]">Payload</span>
+            <CodeEditor value={text} onChange={setText} language="json" placeholder='{ "body": {} }' invalid={invalid} />
+            {invalid && <p className="text-xs text-red-400">Must be valid JSON</p>}
+            {fireError && <p className="text-xs text-red-400">{fireError}</p>}
+            <button
+                onClick={handleFire}
+                disabled={invalid || firing}
+                className="w-full flex items-center justify-center gap-2 px-3 py-1.5 rounded-md text-sm bg-[var(--aevov-border)] text-[var(--aevov-text)] hover:bg-white/20 disabled:opacity-50"
+            >
+                {firing ? <Loader2 className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+                Fire now
+            </button>
+            <p className="text-xs text-[var(--aevov-text-muted)]">Runs the saved workflow from this trigger with the payload.</p>
+        </div>
+    );
+}
@@ -1,4 +1,4 @@
-import { useCallback, useEffect, useRef, useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import ReactFlow, {
     Background,
     Controls,
@@ -20,9 +20,25 @@ import { Sidebar } from './Sidebar';
 import { Toolbar } from './Toolbar';
 import { ConfigPanel } from './ConfigPanel';
 import { ResultsPanel } from './ResultsPanel';
-import { useApi } from '../hooks/useApi';
+import { HistoryPanel } from './HistoryPanel';
+import { ExecutionsPanel } from './ExecutionsPanel';
+import { CredentialsPanel } from './CredentialsPanel';
+import { DebugPanel, edgePayload, previewValue } from './DebugPanel';
+import { LayoutControls } from './LayoutControls';
+import { CollaboratorCursors } from './Collaborators';
+import { MergeDialog } from './MergeDialog';
+import { TemplateGallery } from './TemplateGallery';
+import { useApi, getTemplateLibrary } from '../hooks/useApi';
+import { useCollaboration } from '../hooks/useCollaboration';
 import { useWorkflowStore } from '../store';
 import { AevovNodeData } from '../types';
+import { findHandle, isHandleTypeCompatible } from '../lib/validation';
+import { HistoryOptions } from '../store';
+import { isCompositeType } from '../lib/composite';
+import { ERROR_HANDLE } from '../lib/errorPolicy';
+import { DiffStatus } from '../lib/diff';
+import { instantiateTemplate } from '../lib/templates';
+import { ChevronRight, GitCompare, LayoutTemplate, X } from 'lucide-react';
 
 const nodeTypes: NodeTypes = {
     aevovNode: AevovNode,
@@ -30,9 +46,11 @@ const nodeTypes: NodeTypes = {
 
 interface WorkflowBuilderProps {
     initialWorkflowId?: string | null;
+    // Opens a copy of this team template when no workflow is given
+    initialTemplateId?: string | null;
 }
 
-export function WorkflowBuilder({ initialWorkflowId }: WorkflowBuilderProps) {
+export function WorkflowBuilder({ initialWorkflowId, initialTemplateId }: WorkflowBuilderProps) {
     const reactFlowWrapper = useRef<HTMLDivElement>(null);
     const { fetchCapabilities, loadWorkflow } = useApi();
     const {
@@ -45,7 +63,29 @@ export function WorkflowBuilder({ initialWorkflowId }: WorkflowBuilderProps) {
         selectNode,
         executionResults,
         isExecuting,
+        validate,
+        undo,
+        redo,
+        copySelection,
+        cutSelection,
+        pasteClipboard,
+        duplicateSelection,
+        workflowName,
+        scopes,
+        enterComposite,
+        exitComposite,
+        sidePanel,
+        revisionDiff,
+        clearRevisionDiff,
+        debugPause,
+        nodeRunStates,
+        editedOutputs,
+        saveConflict,
+        showTemplates,
+        setShowTemplates,
+        importWorkflow,
     } = useWorkflowStore();
+    const { reportCursor } = useCollaboration();
 
     const [isLoading, setIsLoading] = useState(true);
 
@@ -55,6 +95,11 @@ export function WorkflowBuilder({ initialWorkflowId }: WorkflowBuilderProps) {
                 await fetchCapabilities();
                 if (initialWorkflowId) {
                     await loadWorkflow(initialWorkflowId);
+                } else if (initialTemplateId) {
+                    const template = (await getTemplateLibrary().list()).find((t) => t.id === initialTemplateId);
+                    if (template) {
+                        importWorkflow(instantiateTemplate(template, useWorkflowStore.getState().nodeTypes), 'new');
+                    }
                 }
             } catch (error) {
                 console.error('Failed to initialize:', error);
@@ -63,18 +108,63 @@ export function WorkflowBuilder({ initialWorkflowId }: WorkflowBuilderProps) {
             }
         }
         init();
-    }, [fetchCapabilities, loadWorkflow, initialWorkflowId]);
+    }, [fetchCapabilities, loadWorkflow, importWorkflow, initialWorkflowId, initialTemplateId]);
+
+    // Once a run has surfaced issues, keep them in sync while the user fixes the graph
+    useEffect(() => {
+        if (useWorkflowStore.getState().validationIssues.length > 0) {
+            validate();
+        }
+    }, [nodes, edges, validate]);
+
+    useEffect(() => {
+        const onKeyDown = (event: KeyboardEvent) => {
+            if (!(event.ctrlKey || event.metaKey) || isEditableTarget(event.target)) {
+                return;
+            }
+            // The canvas is read-only while versions are compared
+            if (useWorkflowStore.getState().revisionDiff) {
+                return;
+            }
+
+            // Clipboard shortcuts stay the browser's unless there are nodes for them to act on
+            // and no text selected on the page
+            const { nodes: current, clipboard } = useWorkflowStore.getState();
+            const view = reactFlowWrapper.current?.ownerDocument.defaultView ?? window;
+            const noText = view.getSelection()?.isCollapsed ?? true;
+            const selected = noText && current.some((node) => node.selected);
+
+            const key = event.key.toLowerCase();
+            const handlers: Record<string, (() => void) | null> = {
+                z: event.shiftKey ? redo : undo,
+                y: redo,
+                c: selected ? copySelection : null,
+                x: selected ? cutSelection : null,
+                v: noText && clipboard ? pasteClipboard : null,
+                d: selected ? duplicateSelection : null,
+            };
+
+            const handler = handlers[key];
+            if (handler) {
+                event.preventDefault();
+                handler();
+            }
+        };
+
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, [undo, redo, copySelection, cutSelection, pasteClipboard, duplicateSelection]);
 
     const onNodesChange = useCallback(
         (changes: NodeChange[]) => {
-            setNodes(applyNodeChanges(changes, nodes));
+            setNodes(applyNodeChanges(changes, nodes), nodeChangeHistory(changes));
         },
         [nodes, setNodes]
     );
 
     const onEdgesChange = useCallback(
         (changes: EdgeChange[]) => {
-            setEdges(applyEdgeChanges(changes, edges));
+            setEdges(applyEdgeChanges(changes, edges), edgeChangeHistory(changes));
         },
         [edges, setEdges]
     );
@@ -95,6 +185,31 @@ export function WorkflowBuilder({ initialWorkflowId }: WorkflowBuilderProps) {
         [edges, setEdges]
     );
 
+    const isValidConnection = useCallback(
+        (connection: Connection) => {
+            if (connection.source === connection.target) {
+                return false;
+            }
+
+            const source = nodes.find((n) => n.id === connection.source);
+            const target = nodes.find((n) => n.id === connection.target);
+            if (!source || !target) {
+                return false;
+            }
+
+            const sourceHandle = connection.sourceHandle === ERROR_HANDLE.id
+                ? ERROR_HANDLE
+                : findHandle(source.data.outputs || [], connection.sourceHandle);
+            const targetHandle = findHandle(target.data.inputs || [], connection.targetHandle);
+            if (!sourceHandle || !targetHandle) {
+                return true;
+            }
+
+            return isHandleTypeCompatible(sourceHandle.type, targetHandle.type);
+        },
+        [nodes]
+    );
+
     const onDragOver = useCallback((event: React.DragEvent) => {
         event.preventDefault();
         event.dataTransfer.dropEffect = 'move';
@@ -126,10 +241,53 @@ export function WorkflowBuilder({ initialWorkflowId }: WorkflowBuilderProps) {
         [selectNode]
     );
 
+    const onNodeDoubleClick = useCallback(
+        (_: React.MouseEvent, node: Node<AevovNodeData>) => {
+            if (isCompositeType(node.data.nodeType)) {
+                enterComposite(node.id);
+            }
+        },
+        [enterComposite]
+    );
+
     const onPaneClick = useCallback(() => {
         selectNode(null);
     }, [selectNode]);
 
+    const diffEdges = useMemo(
+        () => revisionDiff?.edges.map((edge) => {
+            const status = revisionDiff.edgeStatus[edge.id] ?? 'unchanged';
+            return {
+                ...edge,
+                animated: false,
+                style: diffEdgeStyles[status],
+            };
+        }),
+        [revisionDiff]
+    );
+
+    // While a run is paused, edges show what they carry and the ones into the paused node stand out
+    const debugEdges = useMemo(() => {
+        if (!debugPause || scopes.length > 0) {
+            return edges;
+        }
+        return edges.map((edge) => {
+            const payload = edgePayload(edge, nodeRunStates, editedOutputs);
+            const intoPaused = edge.target === debugPause.nodeId;
+            if (!payload && !intoPaused) {
+                return edge;
+            }
+            return {
+                ...edge,
+                label: payload ? previewValue(payload.value, 40) : undefined,
+                labelStyle: { fill: 'var(--aevov-text)', fontSize: 10, fontFamily: 'monospace' },
+                labelBgStyle: { fill: 'var(--aevov-bg-card)' },
+                animated: intoPaused,
+                style: intoPaused ? { stroke: '#f59e0b', strokeWidth: 2 } : edge.style,
+            };
+        });
+    }, [edges, debugPause, scopes.length, nodeRunStates, editedOutputs]);
+
     if (isLoading) {
         return (
             <div className="flex items-center justify-center h-full">
@@ -146,40 +304,163 @@ export function WorkflowBuilder({ initialWorkflowId }: WorkflowBuilderProps) {
             <Sidebar />
             <div className="flex-1 flex flex-col relative">
                 <Toolbar />
-                <div ref={reactFlowWrapper} className="flex-1">
-                    <ReactFlow
-                        nodes={nodes}
-                        edges={edges}
-                        onNodesChange={onNodesChange}
-                        onEdgesChange={onEdgesChange}
-                        onConnect={onConnect}
-                        onDrop={onDrop}
-                        onDragOver={onDragOver}
-                        onNodeClick={onNodeClick}
-                        onPaneClick={onPaneClick}
-                        nodeTypes={nodeTypes}
-                        fitView
-                        snapToGrid
-                        snapGrid={[15, 15]}
-                        defaultEdgeOptions={{
-                            type: 'smoothstep',
-                            animated: true,
-                        }}
-                    >
-                        <Background color="#333" gap={15} />
-                        <Controls />
-                        <MiniMap
-                            nodeStrokeWidth={3}
-                            nodeColor={(node) => {
-                                const data = node.data as AevovNodeData;
-                                return data.color || '#0ea5e9';
-                            }}
-                        />
-                    </ReactFlow>
+                <div ref={reactFlowWrapper} className="flex-1 relative">
+                    {revisionDiff && (
+                        <div className="absolute top-3 left-1/2 -translate-x-1/2 z-10 flex items-center gap-3 px-3 py-1.5 rounded-md bg-[var(--aevov-bg-card)] border border-[var(--aevov-border)] text-sm shadow">
+                            <GitCompare className="w-4 h-4 text-[var(--aevov-primary)]" />
+                            <span className="text-[var(--aevov-text)]">
+                                Comparing {revisionDiff.beforeLabel} → {revisionDiff.afterLabel}
+                            </span>
+                            <span className="flex items-center gap-2 text-xs">
+                                <span className="text-green-400">added</span>
+                                <span className="text-red-400">removed</span>
+                                <span className="text-amber-400">changed</span>
+                            </span>
+                            <button
+                                onClick={clearRevisionDiff}
+                                title="Back to editing"
+                                className="p-0.5 rounded hover:bg-white/10"
+                            >
+                                <X className="w-4 h-4 text-[var(--aevov-text-muted)]" />
+                            </button>
+                        </div>
+                    )}
+                    {revisionDiff ? (
+                        <ReactFlow
+                            key="revision-diff"
+                            nodes={revisionDiff.nodes.map((n) => ({ ...n, selected: false }))}
+                            edges={diffEdges}
+                            nodeTypes={nodeTypes}
+                            nodesDraggable={false}
+                            nodesConnectable={false}
+                            elementsSelectable={false}
+                            fitView
+                        >
+                            <Background color="#333" gap={15} />
+                            <Controls showInteractive={false} />
+                        </ReactFlow>
+                    ) : (
+                        <>
+                            {scopes.length > 0 && (
+                                <nav className="absolute top-3 left-3 z-10 flex items-center gap-1 px-2 py-1 rounded-md bg-[var(--aevov-bg-card)] border border-[var(--aevov-border)] text-sm shadow">
+                                    {[workflowName, ...scopes.map((scope) => scope.label)].map((label, depth) => (
+                                        <span key={depth} className="flex items-center gap-1">
+                                            {depth > 0 && <ChevronRight className="w-3.5 h-3.5 text-[var(--aevov-text-muted)]" />}
+                                            {depth < scopes.length ? (
+                                                <button
+                                                    onClick={() => exitComposite(depth)}
+                                                    className="text-[var(--aevov-primary)] hover:underline"
+                                                >
+                                                    {label}
+                                                </button>
+                                            ) : (
+                                                <span className="font-medium text-[var(--aevov-text)]">{label}</span>
+                                            )}
+                                        </span>
+                                    ))}
+                                </nav>
+                            )}
+                            <ReactFlow
+                                // Remount per scope so each graph opens fitted to the view
+                                key={scopes.map((scope) => scope.compositeId).join('/') || 'root'}
+                                nodes={nodes}
+                                edges={debugEdges}
+                                onNodesChange={onNodesChange}
+                                onEdgesChange={onEdgesChange}
+                                onConnect={onConnect}
+                                isValidConnection={isValidConnection}
+                                onDrop={onDrop}
+                                onDragOver={onDragOver}
+                                onNodeClick={onNodeClick}
+                                onNodeDoubleClick={onNodeDoubleClick}
+                                onPaneClick={onPaneClick}
+                                nodeTypes={nodeTypes}
+                                fitView
+                                snapToGrid
+                                snapGrid={[15, 15]}
+                                defaultEdgeOptions={{
+                                    type: 'smoothstep',
+                                    animated: true,
+                                }}
+                            >
+                                <Background color="#333" gap={15} />
+                                <Controls />
+                                <LayoutControls />
+                                <CollaboratorCursors onMove={reportCursor} />
+                                <MiniMap
+                                    nodeStrokeWidth={3}
+                                    nodeColor={(node) => {
+                                        const data = node.data as AevovNodeData;
+                                        return data.color || '#0ea5e9';
+                                    }}
+                                />
+                            </ReactFlow>
+                            {nodes.length === 0 && scopes.length === 0 && (
+                                <div className="pointer-events-none absolute inset-0 z-10 flex items-center justify-center">
+                                    <div className="pointer-events-auto text-center">
+                                        <button
+                                            onClick={() => setShowTemplates(true)}
+                                            className="flex items-center gap-2 mx-auto px-4 py-2 rounded-md text-sm bg-[var(--aevov-primary)] text-white hover:bg-[var(--aevov-primary-dark)]"
+                                        >
+                                            <LayoutTemplate className="w-4 h-4" />
+                                            Start from a Template
+                                        </button>
+                                        <p className="mt-2 text-xs text-[var(--aevov-text-muted)]">
+                                            or drag nodes here from the sidebar
+                                        </p>
+                                    </div>
+                                </div>
+                            )}
+                        </>
+                    )}
                 </div>
                 {(executionResults || isExecuting) && <ResultsPanel />}
             </div>
-            {selectedNodeId && <ConfigPanel />}
+            {debugPause ? <DebugPanel /> : selectedNodeId && !revisionDiff && <ConfigPanel />}
+            {sidePanel === 'history' && <HistoryPanel />}
+            {sidePanel === 'executions' && <ExecutionsPanel />}
+            {sidePanel === 'credentials' && <CredentialsPanel />}
+            {saveConflict && <MergeDialog conflict={saveConflict} />}
+            {showTemplates && <TemplateGallery onClose={() => setShowTemplates(false)} />}
         </div>
     );
 }
+
+const diffEdgeStyles: Record<DiffStatus, React.CSSProperties> = {
+    added: { stroke: '#22c55e', strokeWidth: 2 },
+    removed: { stroke: '#ef4444', strokeWidth: 2, strokeDasharray: '6 4' },
+    changed: { stroke: '#f59e0b', strokeWidth: 2 },
+    unchanged: { opacity: 0.4 },
+};
+
+function isEditableTarget(target: EventTarget | null): boolean {
+    if (!(target instanceof HTMLElement)) {
+        return false;
+    }
+    return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+// Selection and measurement changes aren't edits; a drag or a multi-delete is one undo step
+function nodeChangeHistory(changes: NodeChange[]): HistoryOptions {
+    if (changes.every((c) => c.type === 'select' || c.type === 'dimensions')) {
+        return { skipHistory: true };
+    }
+    if (changes.every((c) => c.type === 'position')) {
+        const ids = changes.map((c) => (c.type === 'position' ? c.id : '')).sort().join(',');
+        return { coalesceKey: `drag:${ids}` };
+    }
+    if (changes.some((c) => c.type === 'remove')) {
+        return { coalesceKey: 'remove' };
+    }
+    return {};
+}
+
+function edgeChangeHistory(changes: EdgeChange[]): HistoryOptions {
+    if (changes.every((c) => c.type === 'select')) {
+        return { skipHistory: true };
+    }
+    if (changes.some((c) => c.type === 'remove')) {
+        return { coalesceKey: 'remove' };
+    }
+    return {};
+}
@@ -4,3 +4,16 @@ export { Sidebar } from './Sidebar';
 export { Toolbar } from './Toolbar';
 export { ConfigPanel } from './ConfigPanel';
 export { ResultsPanel } from './ResultsPanel';
+export { HistoryPanel } from './HistoryPanel';
+export { ExecutionsPanel } from './ExecutionsPanel';
+export { CredentialsPanel } from './CredentialsPanel';
+export { InputFields } from './InputFields';
+export { DebugPanel } from './DebugPanel';
+export { LayoutControls } from './LayoutControls';
+export { ConfigFieldInput } from './ConfigFieldInput';
+export { CodeEditor } from './CodeEditor';
+export { TriggerDetails } from './TriggerDetails';
+export { CollaboratorAvatars, CollaboratorCursors } from './Collaborators';
+export { MergeDialog } from './MergeDialog';
+export { ConfirmDialog } from './ConfirmDialog';
+export { TemplateGallery } from './TemplateGallery';
@@ -0,0 +1,894 @@
+import { Node, Edge } from 'reactflow';
+import { AevovNodeData, DebugCommand, ExecutionEvent, ExecutionLogEntry, ExecutionResult } from '../types';
+import { stronglyConnectedComponents } from '../lib/graph';
+import { convertInputText } from '../lib/inputs';
+import { getRegisteredNodeType } from '../lib/nodeRegistry';
+import { TRIGGER_NODE_TYPES } from '../lib/triggers';
+import { ERROR_HANDLE, ErrorPayload, ResolvedErrorPolicy, resolveErrorPolicy, retryDelay } from '../lib/errorPolicy';
+import { evaluateExpression, isTruthy } from './expression';
+
+// Node types the browser can run for real; everything else is answered from its fixture
+export const LOCAL_NODE_TYPES = [
+    'input', 'output', 'transform', 'condition', 'loop', 'delay', 'parallel', 'merge', 'split', 'code', ...TRIGGER_NODE_TYPES,
+];
+
+export function isLocallyExecutable(nodeType: string): boolean {
+    return LOCAL_NODE_TYPES.includes(nodeType) || Boolean(getRegisteredNodeType(nodeType)?.run);
+}
+
+export interface LocalExecutorOptions {
+    signal?: AbortSignal;
+    onEvent?: (event: ExecutionEvent) => void;
+    maxExecutionTime?: number;
+    debug?: LocalDebugOptions;
+}
+
+export interface LocalDebugOptions {
+    breakpoints: string[];
+    // Pause before the first node too
+    step?: boolean;
+    // Resolves once the user continues, steps or stops
+    pause: (nodeId: string) => Promise<DebugCommand>;
+}
+
+interface ExecutionPlan {
+    order: string[];
+    // Units each unit waits for, loops standing in for their whole cycle
+    dependencies: Map<string, string[]>;
+    loops: Map<string, LoopPlan>;
+}
+
+interface LoopPlan {
+    body: ExecutionPlan;
+    backEdges: Edge[];
+}
+
+type NodeOutput = Record<string, unknown>;
+
+// What one pass over a plan produced. Each loop iteration gets its own scope so
+// iterations can run side by side; nodes outside the loop are looked up in the
+// enclosing scope.
+class Scope {
+    readonly outputs = new Map<string, NodeOutput>();
+    readonly skipped = new Set<string>();
+    // Nodes that failed without ending the run, and what their policy does about it
+    readonly failed = new Map<string, ResolvedErrorPolicy['onError']>();
+    // Node ids in the order they finished, which merge nodes go by
+    readonly finished: string[] = [];
+    readonly parent: Scope | null;
+
+    constructor(parent: Scope | null = null) {
+        this.parent = parent;
+    }
+
+    private owner(nodeId: string): Scope | null {
+        if (this.outputs.has(nodeId) || this.skipped.has(nodeId)) {
+            return this;
+        }
+        return this.parent ? this.parent.owner(nodeId) : null;
+    }
+
+    output(nodeId: string): NodeOutput | undefined {
+        return this.owner(nodeId)?.outputs.get(nodeId);
+    }
+
+    hasOutput(nodeId: string): boolean {
+        return this.owner(nodeId)?.outputs.has(nodeId) ?? false;
+    }
+
+    isSkipped(nodeId: string): boolean {
+        return this.owner(nodeId)?.skipped.has(nodeId) ?? false;
+    }
+
+    failure(nodeId: string): ResolvedErrorPolicy['onError'] | undefined {
+        return this.owner(nodeId)?.failed.get(nodeId);
+    }
+
+    // Where a node finished, counting everything from enclosing scopes as earlier
+    finishedAt(nodeId: string): number {
+        return this.finished.indexOf(nodeId);
+    }
+
+    // Replaces the output of a node that already finished, in whichever scope it ran
+    replace(nodeId: string, output: NodeOutput): void {
+        this.owner(nodeId)?.outputs.set(nodeId, output);
+    }
+}
+
+export class NodeExecutionError extends Error {
+    constructor(public nodeId: string, message: string) {
+        super(message);
+        this.name = 'NodeExecutionError';
+    }
+}
+
+class ExecutionCancelledError extends Error {}
+
+class ExecutionTimedOutError extends Error {}
+
+// Stops the other branches once one has failed the run
+class ExecutionHaltedError extends Error {}
+
+const MAX_LOOP_ITERATIONS = 1000;
+const MAX_LOOP_CONCURRENCY = 16;
+const MAX_DELAY_SECONDS = 30;
+
+export class LocalWorkflowExecutor {
+    private options: LocalExecutorOptions;
+    private nodeMap = new Map<string, Node<AevovNodeData>>();
+    private incoming = new Map<string, Edge[]>();
+    private root = new Scope();
+    // Latest output of every node, loop bodies included, for the result
+    private allOutputs: Record<string, NodeOutput> = {};
+    private inputs: Record<string, unknown> = {};
+    private log: ExecutionLogEntry[] = [];
+    private startTime = 0;
+    private stepping = false;
+    private pausedTime = 0;
+    private halt = new AbortController();
+
+    constructor(options: LocalExecutorOptions = {}) {
+        this.options = options;
+    }
+
+    async execute(
+        workflow: { nodes: Node<AevovNodeData>[]; edges: Edge[] },
+        inputs: Record<string, unknown> = {}
+    ): Promise<ExecutionResult> {
+        this.startTime = now();
+        this.root = new Scope();
+        this.allOutputs = {};
+        this.log = [];
+        this.inputs = inputs;
+        this.stepping = Boolean(this.options.debug?.step);
+        this.pausedTime = 0;
+        this.halt = new AbortController();
+
+        const { nodes, edges } = workflow;
+        if (nodes.length === 0) {
+            return { success: false, error: 'Workflow has no nodes', log: this.log };
+        }
+
+        this.nodeMap = new Map(nodes.map((n) => [n.id, n]));
+        this.incoming = new Map();
+        edges.forEach((edge) => {
+            this.incoming.set(edge.target, [...(this.incoming.get(edge.target) || []), edge]);
+        });
+
+        const plan = this.plan(nodes.map((n) => n.id), edges);
+        if (!plan) {
+            return { success: false, error: 'Workflow contains circular dependencies', log: this.log };
+        }
+
+        try {
+            await this.runPlan(plan, this.root);
+        } catch (error) {
+            if (error instanceof ExecutionCancelledError) {
+                this.addLog('Workflow execution cancelled', {}, 'warning');
+                return {
+                    success: false,
+                    cancelled: true,
+                    error: 'Workflow execution cancelled',
+                    all_outputs: this.allOutputs,
+                    log: this.log,
+                };
+            }
+
+            const message = error instanceof Error ? error.message : String(error);
+            const failedNode = error instanceof NodeExecutionError ? error.nodeId : undefined;
+            return {
+                success: false,
+                error: failedNode ? `Node '${this.label(failedNode)}' failed: ${message}` : message,
+                failed_node: failedNode,
+                all_outputs: this.allOutputs,
+                log: this.log,
+            };
+        }
+
+        const finalOutputs: Record<string, unknown> = {};
+        nodes
+            .filter((n) => n.data.nodeType === 'output')
+            .forEach((n) => {
+                finalOutputs[n.id] = this.root.output(n.id) ?? null;
+            });
+
+        if (Object.keys(finalOutputs).length === 0) {
+            const last = this.root.finished[this.root.finished.length - 1] ?? plan.order[plan.order.length - 1];
+            finalOutputs.result = this.root.output(last) ?? null;
+        }
+
+        const executionTime = now() - this.startTime;
+        this.addLog(`Workflow completed in ${executionTime.toFixed(3)}s`);
+
+        return {
+            success: true,
+            outputs: finalOutputs,
+            all_outputs: this.allOutputs,
+            execution_time: executionTime,
+            log: this.log,
+        };
+    }
+
+    // Cycles are only allowed through a loop node: the rest of the cycle becomes
+    // that loop's body, planned recursively so nested loops work too.
+    private plan(ids: string[], edges: Edge[]): ExecutionPlan | null {
+        const idSet = new Set(ids);
+        const subEdges = edges.filter((e) => idSet.has(e.source) && idSet.has(e.target));
+        const representative = new Map<string, string>();
+        const loops = new Map<string, LoopPlan>();
+
+        const components = stronglyConnectedComponents(ids.map((id) => this.nodeMap.get(id)!), subEdges);
+        for (const component of components) {
+            const selfLoop = component.length === 1 && subEdges.some((e) => e.source === component[0] && e.target === component[0]);
+            if (component.length === 1 && !selfLoop) {
+                representative.set(component[0], component[0]);
+                continue;
+            }
+
+            const loopId = component.find((id) => this.nodeMap.get(id)?.data.nodeType === 'loop');
+            if (!loopId) {
+                return null;
+            }
+
+            const bodyIds = component.filter((id) => id !== loopId);
+            const body = this.plan(bodyIds, subEdges);
+            if (!body) {
+                return null;
+            }
+
+            component.forEach((id) => representative.set(id, loopId));
+            loops.set(loopId, {
+                body,
+                backEdges: subEdges.filter((e) => e.target === loopId && bodyIds.includes(e.source)),
+            });
+        }
+
+        const units = ids.filter((id) => representative.get(id) === id);
+        const inDegree = new Map(units.map((id) => [id, 0]));
+        const adjacency = new Map<string, string[]>(units.map((id) => [id, []]));
+        const dependencies = new Map<string, string[]>(units.map((id) => [id, []]));
+        subEdges.forEach((e) => {
+            const from = representative.get(e.source)!;
+            const to = representative.get(e.target)!;
+            if (from === to) {
+                return;
+            }
+            adjacency.get(from)!.push(to);
+            inDegree.set(to, inDegree.get(to)! + 1);
+            if (!dependencies.get(to)!.includes(from)) {
+                dependencies.get(to)!.push(from);
+            }
+        });
+
+        const queue = units.filter((id) => inDegree.get(id) === 0);
+        const order: string[] = [];
+        while (queue.length > 0) {
+            const id = queue.shift()!;
+            order.push(id);
+            adjacency.get(id)!.forEach((next) => {
+                inDegree.set(next, inDegree.get(next)! - 1);
+                if (inDegree.get(next) === 0) {
+                    queue.push(next);
+                }
+            });
+        }
+
+        return order.length === units.length ? { order, dependencies, loops } : null;
+    }
+
+    // Each unit starts as soon as what it depends on has settled, so independent
+    // branches run side by side. Under the debugger a run goes one node at a time.
+    private async runPlan(plan: ExecutionPlan, scope: Scope): Promise<void> {
+        if (this.options.debug) {
+            for (const id of plan.order) {
+                await this.runUnit(id, plan, scope);
+            }
+            return;
+        }
+
+        const started = new Map<string, Promise<void>>();
+        const start = (id: string): Promise<void> => {
+            let unit = started.get(id);
+            if (!unit) {
+                unit = this.whenReady(id, plan, scope, start)
+                    .then(() => this.runUnit(id, plan, scope))
+                    .catch((error) => {
+                        this.halt.abort();
+                        throw error;
+                    });
+                started.set(id, unit);
+            }
+            return unit;
+        };
+
+        await settleAll(plan.order.map(start));
+    }
+
+    // Merge nodes that only wait for some branches start once enough have arrived
+    private whenReady(id: string, plan: ExecutionPlan, scope: Scope, start: (id: string) => Promise<void>): Promise<unknown> {
+        const dependencies = plan.dependencies.get(id) || [];
+        const quorum = this.mergeQuorum(id);
+        if (quorum === null || dependencies.length === 0) {
+            return Promise.all(dependencies.map(start));
+        }
+
+        return new Promise<void>((resolve, reject) => {
+            let settled = 0;
+            dependencies.forEach((dependency) => {
+                start(dependency).then(() => {
+                    settled++;
+                    if (settled === dependencies.length || this.arrivedEdges(id, scope).length >= quorum) {
+                        resolve();
+                    }
+                }, reject);
+            });
+        });
+    }
+
+    private async runUnit(nodeId: string, plan: ExecutionPlan, scope: Scope): Promise<void> {
+        this.checkInterrupted();
+
+        const loop = plan.loops.get(nodeId);
+        const exclude = loop ? loop.backEdges : [];
+
+        if (this.isUnreachable(nodeId, scope, exclude)) {
+            scope.skipped.add(nodeId);
+            this.addLog(`Skipping node: ${this.label(nodeId)}`);
+            this.emit({ type: 'node_skipped', node_id: nodeId, reason: 'No active incoming branch', timestamp: now() });
+            return;
+        }
+
+        const debug = this.options.debug;
+        if (debug && (this.stepping || debug.breakpoints.includes(nodeId))) {
+            await this.pause(nodeId, scope, debug, exclude);
+        }
+
+        const startedAt = now();
+        this.addLog(`Executing node: ${this.label(nodeId)}`, { node_id: nodeId });
+        this.emit({ type: 'node_started', node_id: nodeId, timestamp: startedAt });
+
+        // A loop's failures are its body nodes', handled by their own policies
+        const policy = resolveErrorPolicy(loop ? undefined : this.nodeMap.get(nodeId)!.data.errorPolicy);
+
+        let output: NodeOutput;
+        try {
+            output = loop
+                ? await this.runLoop(nodeId, loop, scope)
+                : await this.runWithRetries(this.nodeMap.get(nodeId)!, scope, policy);
+        } catch (error) {
+            if (
+                error instanceof ExecutionCancelledError
+                || error instanceof ExecutionTimedOutError
+                || error instanceof ExecutionHaltedError
+                || error instanceof NodeExecutionError
+            ) {
+                throw error;
+            }
+            const message = error instanceof Error ? error.message : String(error);
+            if (policy.onError === 'stop') {
+                this.addLog(`Node ${this.label(nodeId)} failed: ${message}`, this.timing(nodeId, startedAt), 'error');
+                this.emit({ type: 'node_error', node_id: nodeId, error: message, timestamp: now() });
+                throw new NodeExecutionError(nodeId, message);
+            }
+
+            const payload: ErrorPayload = { message, node_id: nodeId, attempts: policy.maxAttempts };
+            this.addLog(
+                policy.onError === 'continue'
+                    ? `Node ${this.label(nodeId)} failed, continuing with its default value: ${message}`
+                    : `Node ${this.label(nodeId)} failed, taking its error branch: ${message}`,
+                {},
+                'warning'
+            );
+            this.emit({ type: 'node_error', node_id: nodeId, error: message, recovered: true, timestamp: now() });
+            scope.failed.set(nodeId, policy.onError);
+            output = policy.onError === 'continue'
+                ? { output: structuredClone(policy.defaultValue), error: payload }
+                : { error: payload };
+        }
+
+        // A branch still running when another failed the run doesn't report back
+        if (this.halt.signal.aborted) {
+            throw new ExecutionHaltedError();
+        }
+
+        scope.outputs.set(nodeId, output);
+        scope.finished.push(nodeId);
+        this.allOutputs[nodeId] = output;
+        const timing = this.timing(nodeId, startedAt);
+        this.addLog(
+            `Node ${this.label(nodeId)} completed in ${(timing.duration as number).toFixed(3)}s`,
+            { ...timing, output_keys: Object.keys(output) }
+        );
+        this.emit({ type: 'node_output', node_id: nodeId, output, timestamp: now() });
+    }
+
+    // Start and duration of a node, in seconds since the run began, for the log's timeline
+    private timing(nodeId: string, startedAt: number): Record<string, unknown> {
+        return {
+            node_id: nodeId,
+            started: round3(startedAt - this.startTime),
+            duration: round3(now() - startedAt),
+        };
+    }
+
+    private async pause(nodeId: string, scope: Scope, debug: LocalDebugOptions, exclude: Edge[]): Promise<void> {
+        this.addLog(`Paused before node: ${this.label(nodeId)}`);
+        this.emit({ type: 'node_paused', node_id: nodeId, inputs: this.gatherInputs(nodeId, scope, exclude), timestamp: now() });
+
+        const pausedAt = now();
+        const command = await debug.pause(nodeId);
+        this.pausedTime += now() - pausedAt;
+
+        // Edited outputs replace what finished nodes produced, so the next inputs read them
+        Object.entries(command.outputs || {}).forEach(([editedId, output]) => {
+            if (!this.nodeMap.has(editedId) || !scope.hasOutput(editedId)) {
+                return;
+            }
+            const edited = isRecord(output) ? output : { output };
+            scope.replace(editedId, edited);
+            this.allOutputs[editedId] = edited;
+            this.addLog(`Output of ${this.label(editedId)} edited`, {}, 'warning');
+            this.emit({ type: 'node_output', node_id: editedId, output: edited, timestamp: now() });
+        });
+
+        if (command.action === 'stop') {
+            throw new ExecutionCancelledError();
+        }
+        this.stepping = command.action === 'step';
+        this.checkInterrupted();
+    }
+
+    // Iterations share nothing but the enclosing scope, so up to `concurrency` of
+    // them run at once; results keep the order of the items
+    private async runLoop(loopId: string, loop: LoopPlan, scope: Scope): Promise<NodeOutput> {
+        const node = this.nodeMap.get(loopId)!;
+        const inputs = this.gatherInputs(loopId, scope, loop.backEdges);
+        const items = this.loopItems(inputs, node.data.config);
+
+        if (loop.body.order.length === 0) {
+            return this.executeNode(node, inputs, scope);
+        }
+
+        const concurrency = this.options.debug
+            ? 1
+            : Math.min(MAX_LOOP_CONCURRENCY, Math.max(1, toInt(node.data.config.concurrency, 1)));
+        const results: unknown[] = new Array(items.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < items.length) {
+                const index = next++;
+                this.checkInterrupted();
+                this.addLog(`Loop ${this.label(loopId)} iteration ${index + 1}/${items.length}`);
+
+                const iteration = new Scope(scope);
+                iteration.outputs.set(loopId, { output: items[index], item: items[index], index });
+                await this.runPlan(loop.body, iteration);
+
+                const values = loop.backEdges
+                    .filter((e) => !this.isInactiveEdge(e, iteration))
+                    .map((e) => readHandle(iteration.output(e.source), e.sourceHandle));
+                results[index] = values.length <= 1 ? values[0] : values;
+            }
+        };
+
+        await settleAll(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+        return { output: results, count: results.length };
+    }
+
+    private async runWithRetries(node: Node<AevovNodeData>, scope: Scope, policy: ResolvedErrorPolicy): Promise<NodeOutput> {
+        const inputs = this.gatherInputs(node.id, scope);
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.withTimeout(this.executeNode(node, inputs, scope), policy.timeout);
+            } catch (error) {
+                if (
+                    error instanceof ExecutionCancelledError
+                    || error instanceof ExecutionTimedOutError
+                    || error instanceof ExecutionHaltedError
+                    || attempt >= policy.maxAttempts
+                ) {
+                    throw error;
+                }
+
+                const message = error instanceof Error ? error.message : String(error);
+                const delay = retryDelay(policy, attempt);
+                this.addLog(
+                    `Node ${this.label(node.id)} failed (attempt ${attempt}/${policy.maxAttempts}), retrying: ${message}`,
+                    { delay_ms: delay },
+                    'warning'
+                );
+                this.emit({ type: 'node_retry', node_id: node.id, attempt, error: message, delay, timestamp: now() });
+                await this.sleep(delay);
+                this.checkInterrupted();
+            }
+        }
+    }
+
+    // The attempt itself isn't stopped, only no longer waited for
+    private withTimeout<T>(work: Promise<T>, seconds: number | null): Promise<T> {
+        if (seconds === null) {
+            return work;
+        }
+
+        let timer: ReturnType<typeof setTimeout> | undefined;
+        const timeout = new Promise<never>((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`Timed out after ${seconds}s`)), seconds * 1000);
+        });
+        return Promise.race([work, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    private loopItems(inputs: Record<string, unknown>, config: Record<string, unknown>): unknown[] {
+        let items = inputs.items ?? inputs.input ?? [];
+        if (!Array.isArray(items)) {
+            items = [items];
+        }
+
+        const max = Math.min(MAX_LOOP_ITERATIONS, toInt(config.maxIterations, 100));
+        return (items as unknown[]).slice(0, max);
+    }
+
+    // How many branches a merge node waits for, or null for all of them
+    private mergeQuorum(nodeId: string): number | null {
+        const node = this.nodeMap.get(nodeId);
+        if (node?.data.nodeType !== 'merge') {
+            return null;
+        }
+
+        switch (node.data.config.strategy) {
+            case 'any':
+                return 1;
+            case 'firstN':
+                return Math.max(1, toInt(node.data.config.count, 2));
+            default:
+                return null;
+        }
+    }
+
+    // Active edges into a node whose source has finished, earliest first
+    private arrivedEdges(nodeId: string, scope: Scope): Edge[] {
+        return (this.incoming.get(nodeId) || [])
+            .filter((e) => scope.hasOutput(e.source) && !this.isInactiveEdge(e, scope))
+            .sort((a, b) => scope.finishedAt(a.source) - scope.finishedAt(b.source));
+    }
+
+    private isUnreachable(nodeId: string, scope: Scope, exclude: Edge[] = []): boolean {
+        const edges = (this.incoming.get(nodeId) || []).filter((e) => !exclude.includes(e));
+        if (edges.length === 0) {
+            return false;
+        }
+        return edges.every((e) => this.isInactiveEdge(e, scope));
+    }
+
+    // Edges from a skipped node, from the branch a condition did not take, or from
+    // the side of a node's error policy that does not apply
+    private isInactiveEdge(edge: Edge, scope: Scope): boolean {
+        if (scope.isSkipped(edge.source)) {
+            return true;
+        }
+
+        const handle = edge.sourceHandle;
+        if (handle === ERROR_HANDLE.id) {
+            return scope.failure(edge.source) === undefined;
+        }
+        if (scope.failure(edge.source) === 'fallback') {
+            return true;
+        }
+
+        const output = scope.output(edge.source);
+        return (handle === 'true' || handle === 'false') && isRecord(output) && !(handle in output);
+    }
+
+    private gatherInputs(nodeId: string, scope: Scope, exclude: Edge[] = []): Record<string, unknown> {
+        const inputs: Record<string, unknown> = {};
+
+        (this.incoming.get(nodeId) || [])
+            .filter((e) => !exclude.includes(e) && !this.isInactiveEdge(e, scope))
+            .forEach((edge) => {
+                inputs[edge.targetHandle || 'input'] = readHandle(scope.output(edge.source) ?? {}, edge.sourceHandle);
+            });
+
+        return inputs;
+    }
+
+    private async executeNode(node: Node<AevovNodeData>, inputs: Record<string, unknown>, scope: Scope): Promise<NodeOutput> {
+        const config = node.data.config || {};
+
+        switch (node.data.nodeType) {
+            case 'input':
+                return this.executeInput(node.id, inputs, config);
+
+            case 'schedule':
+            case 'webhook':
+            case 'event':
+                // Triggers only fire on the server; here they stand in with their sample payload
+                return { output: this.inputs[node.id] ?? config.samplePayload ?? null };
+
+            case 'output':
+                return { result: inputs.input ?? inputs };
+
+            case 'transform':
+                return this.executeTransform(inputs, config);
+
+            case 'condition': {
+                const data = inputs.input ?? inputs;
+                const result = evaluateExpression(String(config.condition || 'true'), { ...inputs, input: data });
+                return isTruthy(result) ? { true: data, output: data } : { false: data, output: data };
+            }
+
+            case 'loop': {
+                const items = this.loopItems(inputs, config);
+                return { output: items.map((item, index) => ({ index, item })), count: items.length };
+            }
+
+            case 'parallel':
+                // Every connected branch gets the input; the scheduler runs them side by side
+                return { output: inputs.input ?? inputs };
+
+            case 'merge':
+                return this.executeMerge(node, scope);
+
+            case 'split': {
+                const data = inputs.input ?? [];
+                return isRecord(data) ? data : { output: data };
+            }
+
+            case 'delay': {
+                const seconds = Math.min(MAX_DELAY_SECONDS, Math.max(0, toInt(config.seconds, 1)));
+                await this.sleep(seconds * 1000);
+                return { output: inputs.input ?? inputs };
+            }
+
+            case 'code':
+                if ((config.language ?? 'expression') !== 'expression') {
+                    throw new Error('Code execution is limited to expressions');
+                }
+                return { output: evaluateExpression(String(config.code || ''), inputs) };
+
+            default:
+                return getRegisteredNodeType(node.data.nodeType)?.run
+                    ? this.executeRegistered(node, inputs, config)
+                    : this.executeFixture(node);
+        }
+    }
+
+    // Branches in the order they finished, cut to the quorum; keyed by the label of
+    // each branch's last node, or listed in arrival order
+    private executeMerge(node: Node<AevovNodeData>, scope: Scope): NodeOutput {
+        const quorum = this.mergeQuorum(node.id);
+        const arrived = this.arrivedEdges(node.id, scope).slice(0, quorum ?? undefined);
+        const values = arrived.map((e) => readHandle(scope.output(e.source), e.sourceHandle));
+
+        if (node.data.config.combine === 'array') {
+            return { output: values, count: values.length };
+        }
+
+        const keyed: Record<string, unknown> = {};
+        arrived.forEach((edge, index) => {
+            const label = this.label(edge.source);
+            let key = label;
+            for (let n = 2; key in keyed; n++) {
+                key = `${label} (${n})`;
+            }
+            keyed[key] = values[index];
+        });
+        return { output: keyed, count: values.length };
+    }
+
+    // Node types registered with a run function execute it instead of a fixture
+    private async executeRegistered(
+        node: Node<AevovNodeData>,
+        inputs: Record<string, unknown>,
+        config: Record<string, unknown>
+    ): Promise<NodeOutput> {
+        const run = getRegisteredNodeType(node.data.nodeType)!.run!;
+        const result = await run({ nodeId: node.id, inputs, config, signal: this.options.signal });
+        this.checkInterrupted();
+        return isRecord(result) ? result : { output: result };
+    }
+
+    private executeInput(nodeId: string, inputs: Record<string, unknown>, config: Record<string, unknown>): NodeOutput {
+        let value: unknown = this.inputs[nodeId] ?? inputs.value ?? config.defaultValue ?? null;
+
+        // Text that doesn't convert to the declared type is left as is, like the server does
+        if (typeof value === 'string') {
+            value = convertInputText(config.inputType, value);
+        }
+
+        return { output: value };
+    }
+
+    private executeTransform(inputs: Record<string, unknown>, config: Record<string, unknown>): NodeOutput {
+        const data = inputs.input ?? inputs;
+
+        switch (config.type || 'passthrough') {
+            case 'json_parse':
+                if (typeof data === 'string') {
+                    try {
+                        return { output: JSON.parse(data) };
+                    } catch {
+                        return { output: data };
+                    }
+                }
+                return { output: data };
+
+            case 'json_stringify':
+                return { output: JSON.stringify(data) };
+
+            case 'extract':
+                return { output: extractPath(data, String(config.path || '')) };
+
+            case 'template': {
+                const template = String(config.template || '{{input}}');
+                const output = template.replace(/\{\{(\w+)\}\}/g, (_, key: string) => {
+                    const value = inputs[key] ?? '';
+                    return isScalar(value) ? String(value) : JSON.stringify(value);
+                });
+                return { output };
+            }
+
+            case 'map':
+                return Array.isArray(data)
+                    ? { output: data.map((item) => evaluateExpression(String(config.expression || 'item'), { item })) }
+                    : { output: data };
+
+            case 'filter':
+                return Array.isArray(data)
+                    ? { output: data.filter((item) => isTruthy(evaluateExpression(String(config.condition || 'true'), { item }))) }
+                    : { output: data };
+
+            case 'reduce':
+                return Array.isArray(data)
+                    ? {
+                        output: data.reduce(
+                            (acc, item) => evaluateExpression(String(config.expression || 'acc + item'), { acc, item }),
+                            config.initial ?? 0
+                        ),
+                    }
+                    : { output: data };
+
+            default:
+                return { output: data };
+        }
+    }
+
+    private executeFixture(node: Node<AevovNodeData>): NodeOutput {
+        if (node.data.fixture === undefined) {
+            this.addLog(`No fixture for ${node.data.label}, returning null`, {}, 'warning');
+            return { output: null };
+        }
+
+        return { output: structuredClone(node.data.fixture) };
+    }
+
+
+    private checkInterrupted(): void {
+        if (this.options.signal?.aborted) {
+            throw new ExecutionCancelledError();
+        }
+        if (this.halt.signal.aborted) {
+            throw new ExecutionHaltedError();
+        }
+
+        const limit = this.options.maxExecutionTime;
+        // Time spent paused in the debugger doesn't count
+        if (limit && now() - this.startTime - this.pausedTime > limit) {
+            throw new ExecutionTimedOutError('Workflow execution timed out');
+        }
+    }
+
+    private sleep(ms: number): Promise<void> {
+        return new Promise((resolve, reject) => {
+            if (ms <= 0) {
+                resolve();
+                return;
+            }
+
+            const signal = this.options.signal;
+            const halt = this.halt.signal;
+            const onAbort = () => {
+                clearTimeout(timer);
+                halt.removeEventListener('abort', onHalt);
+                reject(new ExecutionCancelledError());
+            };
+            const onHalt = () => {
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', onAbort);
+                reject(new ExecutionHaltedError());
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                halt.removeEventListener('abort', onHalt);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+            halt.addEventListener('abort', onHalt, { once: true });
+        });
+    }
+
+    private label(nodeId: string): string {
+        return this.nodeMap.get(nodeId)?.data.label || nodeId;
+    }
+
+    private emit(event: ExecutionEvent): void {
+        this.options.onEvent?.(event);
+    }
+
+    private addLog(message: string, data: Record<string, unknown> = {}, level: ExecutionLogEntry['level'] = 'info'): void {
+        const entry: ExecutionLogEntry = {
+            timestamp: now(),
+            elapsed: round3(now() - this.startTime),
+            level,
+            message,
+            data,
+        };
+
+        this.log.push(entry);
+        this.emit({ type: 'log', entry, timestamp: entry.timestamp });
+    }
+}
+
+export function extractPath(data: unknown, path: string): unknown {
+    if (!path) {
+        return data;
+    }
+
+    let current = data;
+    for (const segment of path.split('.')) {
+        const indexed = /^(\w+)\[(\d+)\]$/.exec(segment);
+        if (indexed && isRecord(current)) {
+            const list = current[indexed[1]];
+            if (Array.isArray(list) && parseInt(indexed[2], 10) in list) {
+                current = list[parseInt(indexed[2], 10)];
+                continue;
+            }
+        }
+
+        if ((isRecord(current) || Array.isArray(current)) && Object.prototype.hasOwnProperty.call(current, segment)) {
+            current = (current as Record<string, unknown>)[segment];
+        } else {
+            return null;
+        }
+    }
+
+    return current;
+}
+
+// Waits for every branch, then fails with the error that stopped the others
+async function settleAll(work: Promise<unknown>[]): Promise<void> {
+    const results = await Promise.allSettled(work);
+    const errors = results
+        .filter((r): r is PromiseRejectedResult => r.status === 'rejected')
+        .map((r) => r.reason);
+    if (errors.length > 0) {
+        throw errors.find((e) => !(e instanceof ExecutionHaltedError)) ?? errors[0];
+    }
+}
+
+// Value an edge carries: the named output of its source node
+export function readHandle(output: unknown, handle: string | null | undefined): unknown {
+    const key = handle || 'output';
+    return isRecord(output) && key in output ? output[key] : output;
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isScalar(value: unknown): boolean {
+    return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function toInt(value: unknown, fallback: number): number {
+    const parsed = parseInt(String(value ?? ''), 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+function round3(value: number): number {
+    return Math.round(value * 1000) / 1000;
+}
+
+function now(): number {
+    return Date.now() / 1000;
+}
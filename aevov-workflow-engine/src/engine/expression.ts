@@ -0,0 +1,396 @@
+// Sandboxed evaluator for condition/map/filter/reduce expressions: no calls,
+// no assignments, and only own properties are readable.
+//
+// Saved workflows run on the server (WorkflowExecutor::evaluate_expression), which
+// reads an expression as one value, or as two values joined by one operator. This
+// accepts the same and reports anything else as an ExpressionError, so a condition
+// that works here can't mean something different there:
+//
+//   item.price                   a property path; one [n] index per segment
+//   input.count >= 10            a path or literal, an operator, then a path or literal
+//   item.tags[0] == "sale"       "===" and "!==" are read as "==" and "!="
+//   acc + item                   arithmetic needs a number or a plain path on both sides
+
+type Token =
+    | { kind: 'number'; value: number }
+    | { kind: 'string'; value: string }
+    | { kind: 'ident'; value: string }
+    | { kind: 'op'; value: string };
+
+// `bare` operands are the ones the server can read on the left of an operator (and on
+// both sides of arithmetic): a number, true/false/null or a path without indexes
+type Operand =
+    | { kind: 'literal'; value: unknown; bare: boolean }
+    | { kind: 'path'; keys: (string | number)[]; bare: boolean };
+
+type Expr = Operand | { kind: 'binary'; op: string; left: Operand; right: Operand };
+
+export class ExpressionError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'ExpressionError';
+    }
+}
+
+const OPERATORS = ['===', '!==', '==', '!=', '>=', '<=', '&&', '||', '>', '<', '+', '-', '*', '/', '%', '!', '(', ')', '[', ']', '.', '?', ':'];
+
+const COMPARISON_OPERATORS = ['==', '!=', '<', '<=', '>', '>=', '&&', '||'];
+const ARITHMETIC_OPERATORS = ['+', '-', '*', '/'];
+
+const OPERATOR_ALIASES: Record<string, string> = { '===': '==', '!==': '!=' };
+
+// Syntax the server can't read, and what to write instead
+const UNSUPPORTED: Record<string, string> = {
+    '(': 'Parentheses are not supported; an expression has at most one operator',
+    ')': 'Parentheses are not supported; an expression has at most one operator',
+    '?': 'Conditional expressions are not supported; branch with a Condition node',
+    ':': 'Conditional expressions are not supported; branch with a Condition node',
+    '!': '"!" is not supported; compare with false instead',
+    '%': '"%" is not supported',
+};
+
+const BLOCKED_PROPERTIES = new Set(['__proto__', 'prototype', 'constructor']);
+
+const MAX_EXPRESSION_LENGTH = 1000;
+const MAX_CACHE_SIZE = 500;
+
+const cache = new Map<string, Expr>();
+
+export function evaluateExpression(expression: string, context: Record<string, unknown>): unknown {
+    const source = expression.trim();
+    if (source === '') {
+        return undefined;
+    }
+
+    let ast = cache.get(source);
+    if (!ast) {
+        ast = parse(source);
+        if (cache.size >= MAX_CACHE_SIZE) {
+            cache.clear();
+        }
+        cache.set(source, ast);
+    }
+
+    return evaluate(ast, context);
+}
+
+// Why an expression can't be evaluated, or null, for checking config before a run
+export function expressionError(expression: string): string | null {
+    try {
+        if (expression.trim() !== '') {
+            parse(expression.trim());
+        }
+        return null;
+    } catch (error) {
+        if (error instanceof ExpressionError) {
+            return error.message;
+        }
+        throw error;
+    }
+}
+
+// Truthiness as PHP has it, which is what the server branches and filters on:
+// "0", empty arrays and empty objects are false as well
+export function isTruthy(value: unknown): boolean {
+    if (value === '0') {
+        return false;
+    }
+    if (Array.isArray(value)) {
+        return value.length > 0;
+    }
+    if (value !== null && typeof value === 'object') {
+        return Object.keys(value).length > 0;
+    }
+    return Boolean(value);
+}
+
+function tokenize(source: string): Token[] {
+    if (source.length > MAX_EXPRESSION_LENGTH) {
+        throw new ExpressionError('Expression is too long');
+    }
+
+    const tokens: Token[] = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+            const match = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(i))!;
+            tokens.push({ kind: 'number', value: parseFloat(match[0]) });
+            i += match[0].length;
+            continue;
+        }
+
+        if (char === '"' || char === "'") {
+            let value = '';
+            let j = i + 1;
+            while (j < source.length && source[j] !== char) {
+                if (source[j] === '\\' && j + 1 < source.length) {
+                    j++;
+                }
+                value += source[j];
+                j++;
+            }
+            if (j >= source.length) {
+                throw new ExpressionError('Unterminated string literal');
+            }
+            tokens.push({ kind: 'string', value });
+            i = j + 1;
+            continue;
+        }
+
+        if (/[A-Za-z_$]/.test(char)) {
+            const match = /^[A-Za-z_$][\w$]*/.exec(source.slice(i))!;
+            tokens.push({ kind: 'ident', value: match[0] });
+            i += match[0].length;
+            continue;
+        }
+
+        const op = OPERATORS.find((candidate) => source.startsWith(candidate, i));
+        if (!op) {
+            throw new ExpressionError(`Unexpected character "${char}"`);
+        }
+        tokens.push({ kind: 'op', value: OPERATOR_ALIASES[op] ?? op });
+        i += op.length;
+    }
+
+    return tokens;
+}
+
+function parse(source: string): Expr {
+    const tokens = tokenize(source);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isOp = (value: string) => peek()?.kind === 'op' && peek()!.value === value;
+    const unexpected = (token: Token) => new ExpressionError(
+        (token.kind === 'op' && UNSUPPORTED[token.value]) || `Unexpected "${token.value}"`
+    );
+
+    function parseOperand(): Operand {
+        const token = peek();
+        if (!token) {
+            throw new ExpressionError('Unexpected end of expression');
+        }
+        position++;
+
+        switch (token.kind) {
+            case 'number':
+                return { kind: 'literal', value: token.value, bare: true };
+            case 'string':
+                return { kind: 'literal', value: token.value, bare: false };
+            case 'ident':
+                if (token.value === 'true') {
+                    return { kind: 'literal', value: true, bare: true };
+                }
+                if (token.value === 'false') {
+                    return { kind: 'literal', value: false, bare: true };
+                }
+                if (token.value === 'null') {
+                    return { kind: 'literal', value: null, bare: true };
+                }
+                if (token.value === 'undefined') {
+                    return { kind: 'literal', value: undefined, bare: true };
+                }
+                return parsePath(token.value);
+            case 'op': {
+                const next = peek();
+                if (token.value === '-' && next?.kind === 'number') {
+                    position++;
+                    return { kind: 'literal', value: -next.value, bare: false };
+                }
+                throw unexpected(token);
+            }
+        }
+    }
+
+    function parsePath(name: string): Operand {
+        const keys: (string | number)[] = [name];
+        let indexed = false;
+        let bare = true;
+
+        for (;;) {
+            if (isOp('.')) {
+                position++;
+                const token = peek();
+                if (token?.kind !== 'ident') {
+                    throw new ExpressionError('Expected property name after "."');
+                }
+                position++;
+                keys.push(token.value);
+                indexed = false;
+            } else if (isOp('[')) {
+                position++;
+                const token = peek();
+                if (indexed || token?.kind !== 'number' || !Number.isInteger(token.value)) {
+                    throw new ExpressionError('Index a path with one whole number per segment, as in items[0]');
+                }
+                position++;
+                if (!isOp(']')) {
+                    throw new ExpressionError('Expected "]"');
+                }
+                position++;
+                keys.push(token.value);
+                indexed = true;
+                bare = false;
+            } else {
+                return { kind: 'path', keys, bare };
+            }
+        }
+    }
+
+    const left = parseOperand();
+    if (position === tokens.length) {
+        return left;
+    }
+
+    const token = peek()!;
+    const op = token.kind === 'op' ? token.value : '';
+    if (!COMPARISON_OPERATORS.includes(op) && !ARITHMETIC_OPERATORS.includes(op)) {
+        throw token.kind === 'op' ? unexpected(token) : new ExpressionError('Unexpected trailing input');
+    }
+    position++;
+    const right = parseOperand();
+
+    const trailing = peek();
+    if (trailing) {
+        const chained = trailing.kind === 'op'
+            && (COMPARISON_OPERATORS.includes(trailing.value) || ARITHMETIC_OPERATORS.includes(trailing.value));
+        if (chained) {
+            throw new ExpressionError('Only one operator is supported per expression');
+        }
+        throw trailing.kind === 'op' ? unexpected(trailing) : new ExpressionError('Unexpected trailing input');
+    }
+
+    if (!left.bare) {
+        throw new ExpressionError(`Left of "${op}" must be a number, true, false, null or a property path without [ ]`);
+    }
+    if (ARITHMETIC_OPERATORS.includes(op) && !right.bare) {
+        throw new ExpressionError(`Right of "${op}" must be a number or a property path without [ ]`);
+    }
+
+    return { kind: 'binary', op, left, right };
+}
+
+function readProperty(object: unknown, property: string | number): unknown {
+    if (object === null || object === undefined) {
+        return undefined;
+    }
+
+    const key = String(property);
+    if (BLOCKED_PROPERTIES.has(key)) {
+        throw new ExpressionError(`Access to "${key}" is not allowed`);
+    }
+
+    if (typeof object === 'string' || Array.isArray(object)) {
+        if (key === 'length') {
+            return object.length;
+        }
+    }
+
+    if (typeof object !== 'object' && typeof object !== 'string') {
+        return undefined;
+    }
+    return Object.prototype.hasOwnProperty.call(object, key)
+        ? (object as Record<string, unknown>)[key]
+        : undefined;
+}
+
+// is_numeric(): numbers, and strings that PHP reads as one
+function isNumeric(value: unknown): boolean {
+    return typeof value === 'number'
+        || (typeof value === 'string' && /^\s*[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?\s*$/.test(value));
+}
+
+// PHP 8's ==, which the server compares with. Numeric strings compare as numbers, null
+// equals "" and every other falsy value, and arrays compare key by key.
+function looseEquals(left: unknown, right: unknown): boolean {
+    const a = left ?? null;
+    const b = right ?? null;
+
+    if (a === b) {
+        return true;
+    }
+    if (a === null && typeof b === 'string') {
+        return b === '';
+    }
+    if (b === null && typeof a === 'string') {
+        return a === '';
+    }
+    if (a === null || b === null || typeof a === 'boolean' || typeof b === 'boolean') {
+        return isTruthy(a) === isTruthy(b);
+    }
+    if (isNumeric(a) && isNumeric(b)) {
+        return Number(a) === Number(b);
+    }
+    if (typeof a === 'number' || typeof b === 'number') {
+        return String(a) === String(b);
+    }
+    if (typeof a === 'object' && typeof b === 'object') {
+        const aKeys = Object.keys(a);
+        const bRecord = b as Record<string, unknown>;
+        return aKeys.length === Object.keys(b).length
+            && aKeys.every((key) => Object.prototype.hasOwnProperty.call(b, key)
+                && looseEquals((a as Record<string, unknown>)[key], bRecord[key]));
+    }
+    return false;
+}
+
+// Arithmetic is numeric only; PHP has no + for strings
+function toNumber(value: unknown, op: string): number {
+    if (value === null || value === undefined || typeof value === 'boolean' || isNumeric(value)) {
+        return Number(value ?? 0);
+    }
+    throw new ExpressionError(`"${op}" needs numbers, got ${JSON.stringify(value)}`);
+}
+
+function evaluate(expr: Expr, context: Record<string, unknown>): unknown {
+    switch (expr.kind) {
+        case 'literal':
+            return expr.value;
+        case 'path':
+            return expr.keys.reduce<unknown>((value, key) => readProperty(value, key), context);
+        case 'binary': {
+            const left = evaluate(expr.left, context) as any;
+            const right = evaluate(expr.right, context) as any;
+            switch (expr.op) {
+                case '&&':
+                    return isTruthy(left) && isTruthy(right);
+                case '||':
+                    return isTruthy(left) || isTruthy(right);
+                case '==':
+                    return looseEquals(left, right);
+                case '!=':
+                    return !looseEquals(left, right);
+                case '<':
+                    return left < right;
+                case '<=':
+                    return left <= right;
+                case '>':
+                    return left > right;
+                case '>=':
+                    return left >= right;
+            }
+
+            const a = toNumber(left, expr.op);
+            const b = toNumber(right, expr.op);
+            switch (expr.op) {
+                case '+':
+                    return a + b;
+                case '-':
+                    return a - b;
+                case '*':
+                    return a * b;
+                case '/':
+                    return b !== 0 ? a / b : 0;
+            }
+            throw new ExpressionError(`Unknown operator "${expr.op}"`);
+        }
+    }
+}
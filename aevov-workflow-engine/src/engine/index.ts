@@ -0,0 +1,3 @@
+export { LocalWorkflowExecutor, NodeExecutionError, LOCAL_NODE_TYPES, isLocallyExecutable, extractPath, readHandle } from './executor';
+export type { LocalExecutorOptions, LocalDebugOptions } from './executor';
+export { evaluateExpression, ExpressionError } from './expression';
@@ -0,0 +1,330 @@
+import { afterEach, beforeAll, describe, expect, it } from '@jest/globals';
+import { Edge, Node } from 'reactflow';
+import { AevovNodeData, ErrorPolicy, ExecutionEvent } from '../../types';
+import { registerNodeType } from '../../lib/nodeRegistry';
+import { LocalWorkflowExecutor } from '../executor';
+
+function node(
+    id: string,
+    nodeType: string,
+    config: Record<string, unknown> = {},
+    extra: { fixture?: unknown; errorPolicy?: ErrorPolicy } = {}
+): Node<AevovNodeData> {
+    return {
+        id,
+        type: 'aevov',
+        position: { x: 0, y: 0 },
+        data: { label: id, nodeType, icon: 'Box', color: '#000', inputs: [], outputs: [], config, ...extra },
+    };
+}
+
+function edge(source: string, target: string, sourceHandle: string | null = null, targetHandle: string | null = null): Edge {
+    return { id: `${source}-${sourceHandle || 'output'}-${target}`, source, target, sourceHandle, targetHandle };
+}
+
+function run(nodes: Node<AevovNodeData>[], edges: Edge[], inputs: Record<string, unknown> = {}, events: ExecutionEvent[] = []) {
+    return new LocalWorkflowExecutor({ onEvent: (event) => events.push(event) }).execute({ nodes, edges }, inputs);
+}
+
+// Test node types that finish after `config.ms` with `config.value`, or fail
+const attempts = new Map<string, number>();
+
+beforeAll(() => {
+    registerNodeType({
+        type: 'test_wait',
+        label: 'Wait',
+        run: ({ config, inputs }) =>
+            new Promise((resolve) => setTimeout(() => resolve(config.value ?? inputs.input), Number(config.ms) || 0)),
+    });
+    registerNodeType({
+        type: 'test_flaky',
+        label: 'Flaky',
+        // Fails until its `failures` have been used up
+        run: ({ nodeId, config }) => {
+            const attempt = (attempts.get(nodeId) ?? 0) + 1;
+            attempts.set(nodeId, attempt);
+            if (attempt <= Number(config.failures)) {
+                throw new Error(`attempt ${attempt} failed`);
+            }
+            return `succeeded on attempt ${attempt}`;
+        },
+    });
+    registerNodeType({
+        type: 'test_hang',
+        label: 'Hang',
+        run: () => new Promise(() => undefined),
+    });
+});
+
+afterEach(() => {
+    attempts.clear();
+});
+
+describe('LocalWorkflowExecutor', () => {
+    describe('plan', () => {
+        it('runs nodes after the nodes they depend on', async () => {
+            const result = await run(
+                [
+                    node('out', 'output'),
+                    node('double', 'transform', { type: 'map', expression: 'item * 2' }),
+                    node('in', 'input'),
+                ],
+                [edge('in', 'double'), edge('double', 'out')],
+                { in: [1, 2, 3] }
+            );
+
+            expect(result.success).toBe(true);
+            expect(result.outputs).toEqual({ out: { result: [2, 4, 6] } });
+            expect(result.log.filter((entry) => entry.message.startsWith('Executing')).map((entry) => entry.data?.node_id))
+                .toEqual(['in', 'double', 'out']);
+        });
+
+        it('rejects cycles that do not go through a loop node', async () => {
+            const result = await run(
+                [node('a', 'transform'), node('b', 'transform')],
+                [edge('a', 'b'), edge('b', 'a')]
+            );
+
+            expect(result.success).toBe(false);
+            expect(result.error).toBe('Workflow contains circular dependencies');
+        });
+
+        it('reports a workflow without nodes', async () => {
+            const result = await run([], []);
+
+            expect(result).toMatchObject({ success: false, error: 'Workflow has no nodes' });
+        });
+
+        it('returns the last node to finish when there is no output node', async () => {
+            const result = await run([node('in', 'input'), node('t', 'transform', { type: 'json_stringify' })], [edge('in', 't')], {
+                in: { a: 1 },
+            });
+
+            expect(result.outputs).toEqual({ result: { output: '{"a":1}' } });
+        });
+
+        it('starts independent branches without waiting for each other', async () => {
+            const started = Date.now();
+            const result = await run(
+                [
+                    node('in', 'input'),
+                    node('fork', 'parallel'),
+                    node('slow', 'test_wait', { ms: 150, value: 'slow' }),
+                    node('slower', 'test_wait', { ms: 150, value: 'slower' }),
+                    node('join', 'merge', { combine: 'array' }),
+                ],
+                [edge('in', 'fork'), edge('fork', 'slow'), edge('fork', 'slower'), edge('slow', 'join'), edge('slower', 'join')]
+            );
+
+            expect(result.success).toBe(true);
+            expect(Date.now() - started).toBeLessThan(290);
+        });
+
+        it('skips the branch a condition did not take', async () => {
+            const events: ExecutionEvent[] = [];
+            const result = await run(
+                [
+                    node('in', 'input'),
+                    node('check', 'condition', { condition: 'input > 10' }),
+                    node('big', 'output'),
+                    node('small', 'output'),
+                ],
+                [edge('in', 'check'), edge('check', 'big', 'true'), edge('check', 'small', 'false')],
+                { in: 3 },
+                events
+            );
+
+            expect(result.outputs).toEqual({ big: null, small: { result: 3 } });
+            expect(events).toContainEqual(expect.objectContaining({ type: 'node_skipped', node_id: 'big' }));
+        });
+    });
+
+    describe('loops', () => {
+        // in -> loop -> double -> loop, with the loop's results going on to out
+        const loopWorkflow = (extraBody: Node<AevovNodeData>[] = [], extraEdges: Edge[] = []) => ({
+            nodes: [
+                node('in', 'input'),
+                node('loop', 'loop'),
+                node('double', 'transform', { type: 'template', template: '{{input}}!' }),
+                node('out', 'output'),
+                ...extraBody,
+            ],
+            edges: [edge('in', 'loop', null, 'items'), edge('loop', 'double'), edge('double', 'loop'), edge('loop', 'out'), ...extraEdges],
+        });
+
+        it('runs the body once per item and keeps the order of the items', async () => {
+            const { nodes, edges } = loopWorkflow();
+            const result = await run(nodes, edges, { in: ['a', 'b', 'c'] });
+
+            expect(result.success).toBe(true);
+            expect(result.outputs).toEqual({ out: { result: ['a!', 'b!', 'c!'] } });
+        });
+
+        it('gives every iteration its own scope over the enclosing one', async () => {
+            // The body reads the item from the loop and a constant from outside it
+            const { nodes, edges } = loopWorkflow(
+                [node('suffix', 'input', { defaultValue: '?' }), node('both', 'transform', { type: 'template', template: '{{input}}{{suffix}}' })],
+                [edge('suffix', 'both', null, 'suffix')]
+            );
+            const bodyEdges = edges.filter((e) => !(e.source === 'double' && e.target === 'loop'));
+            const result = await run(nodes, [...bodyEdges, edge('double', 'both'), edge('both', 'loop')], { in: [1, 2] });
+
+            expect(result.outputs).toEqual({ out: { result: ['1!?', '2!?'] } });
+        });
+
+        it('honours the iteration limit', async () => {
+            const { nodes, edges } = loopWorkflow();
+            nodes[1] = node('loop', 'loop', { maxIterations: 2 });
+            const result = await run(nodes, edges, { in: [1, 2, 3, 4] });
+
+            expect(result.outputs).toEqual({ out: { result: ['1!', '2!'] } });
+        });
+
+        it('runs up to `concurrency` iterations at once', async () => {
+            const started = Date.now();
+            const result = await run(
+                [node('in', 'input'), node('loop', 'loop', { concurrency: 2 }), node('wait', 'test_wait', { ms: 100 }), node('out', 'output')],
+                [edge('in', 'loop', null, 'items'), edge('loop', 'wait'), edge('wait', 'loop'), edge('loop', 'out')],
+                { in: [1, 2, 3, 4] }
+            );
+            const elapsed = Date.now() - started;
+
+            expect(result.outputs).toEqual({ out: { result: [1, 2, 3, 4] } });
+            expect(elapsed).toBeGreaterThanOrEqual(190);
+            expect(elapsed).toBeLessThan(390);
+        });
+    });
+
+    describe('merge', () => {
+        const branches = (config: Record<string, unknown>) => ({
+            nodes: [
+                node('in', 'input'),
+                node('fast', 'test_wait', { ms: 10, value: 'fast' }),
+                node('medium', 'test_wait', { ms: 60, value: 'medium' }),
+                node('slow', 'test_wait', { ms: 120, value: 'slow' }),
+                node('join', 'merge', config),
+            ],
+            edges: [
+                edge('in', 'slow'),
+                edge('in', 'medium'),
+                edge('in', 'fast'),
+                edge('slow', 'join'),
+                edge('medium', 'join'),
+                edge('fast', 'join'),
+            ],
+        });
+
+        it('waits for every branch by default, keyed by label', async () => {
+            const { nodes, edges } = branches({});
+            const result = await run(nodes, edges);
+
+            expect(result.all_outputs?.join).toEqual({ output: { fast: 'fast', medium: 'medium', slow: 'slow' }, count: 3 });
+        });
+
+        it('takes the first branch to finish with the "any" strategy', async () => {
+            const { nodes, edges } = branches({ strategy: 'any', combine: 'array' });
+            const result = await run(nodes, edges);
+
+            expect(result.all_outputs?.join).toEqual({ output: ['fast'], count: 1 });
+        });
+
+        it('takes the first few branches in the order they finished', async () => {
+            const { nodes, edges } = branches({ strategy: 'firstN', count: 2, combine: 'array' });
+            const result = await run(nodes, edges);
+
+            expect(result.all_outputs?.join).toEqual({ output: ['fast', 'medium'], count: 2 });
+        });
+
+        it('numbers branches whose last nodes share a label', async () => {
+            const nodes = [node('in', 'input'), node('a', 'transform'), node('b', 'transform'), node('join', 'merge')];
+            nodes[2].data.label = 'a';
+            const result = await run(nodes, [edge('in', 'a'), edge('in', 'b'), edge('a', 'join'), edge('b', 'join')], { in: 1 });
+
+            expect(result.all_outputs?.join).toEqual({ output: { a: 1, 'a (2)': 1 }, count: 2 });
+        });
+    });
+
+    describe('error policies', () => {
+        it('retries a failing node until it succeeds', async () => {
+            const events: ExecutionEvent[] = [];
+            const result = await run([node('flaky', 'test_flaky', { failures: 2 }, { errorPolicy: { maxAttempts: 3 } })], [], {}, events);
+
+            expect(result.success).toBe(true);
+            expect(result.outputs).toEqual({ result: { output: 'succeeded on attempt 3' } });
+            expect(events.filter((event) => event.type === 'node_retry')).toHaveLength(2);
+        });
+
+        it('fails the run once the attempts are used up', async () => {
+            const result = await run([node('flaky', 'test_flaky', { failures: 5 }, { errorPolicy: { maxAttempts: 2 } })], []);
+
+            expect(result.success).toBe(false);
+            expect(result.failed_node).toBe('flaky');
+            expect(result.error).toBe("Node 'flaky' failed: attempt 2 failed");
+        });
+
+        it('stops waiting for an attempt after its time limit', async () => {
+            const result = await run([node('hang', 'test_hang', {}, { errorPolicy: { timeout: 0.05 } })], []);
+
+            expect(result.success).toBe(false);
+            expect(result.error).toBe("Node 'hang' failed: Timed out after 0.05s");
+        });
+
+        it('carries on with the default value', async () => {
+            const result = await run(
+                [
+                    node('hang', 'test_hang', {}, { errorPolicy: { timeout: 0.05, onError: 'continue', defaultValue: 'fallback' } }),
+                    node('out', 'output'),
+                ],
+                [edge('hang', 'out')]
+            );
+
+            expect(result.success).toBe(true);
+            expect(result.outputs).toEqual({ out: { result: 'fallback' } });
+        });
+
+        it('runs only the error branch of a node that falls back', async () => {
+            const result = await run(
+                [
+                    node('flaky', 'test_flaky', { failures: 1 }, { errorPolicy: { onError: 'fallback' } }),
+                    node('ok', 'output'),
+                    node('recovered', 'output'),
+                ],
+                [edge('flaky', 'ok'), edge('flaky', 'recovered', 'error')]
+            );
+
+            expect(result.success).toBe(true);
+            expect(result.outputs).toEqual({
+                ok: null,
+                recovered: { result: { message: 'attempt 1 failed', node_id: 'flaky', attempts: 1 } },
+            });
+        });
+
+        it('stops the other branches when one fails the run', async () => {
+            const result = await run(
+                [
+                    node('in', 'input'),
+                    node('flaky', 'test_flaky', { failures: 1 }),
+                    node('slow', 'test_wait', { ms: 50 }),
+                    node('after', 'output'),
+                ],
+                [edge('in', 'flaky'), edge('in', 'slow'), edge('slow', 'after')]
+            );
+
+            expect(result.success).toBe(false);
+            expect(result.failed_node).toBe('flaky');
+            expect(result.all_outputs).not.toHaveProperty('after');
+        });
+    });
+
+    it('stops when the run is cancelled', async () => {
+        const controller = new AbortController();
+        const executor = new LocalWorkflowExecutor({ signal: controller.signal });
+        const running = executor.execute({
+            nodes: [node('wait', 'test_wait', { ms: 50 }), node('after', 'output')],
+            edges: [edge('wait', 'after')],
+        });
+        controller.abort();
+
+        expect(await running).toMatchObject({ success: false, cancelled: true });
+    });
+});
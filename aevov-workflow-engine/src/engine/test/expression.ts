@@ -0,0 +1,133 @@
+import { describe, expect, it } from '@jest/globals';
+import { evaluateExpression, ExpressionError, expressionError, isTruthy } from '../expression';
+
+describe('evaluateExpression', () => {
+    it('evaluates literals', () => {
+        expect(evaluateExpression('42', {})).toBe(42);
+        expect(evaluateExpression('1.5e2', {})).toBe(150);
+        expect(evaluateExpression('.5', {})).toBe(0.5);
+        expect(evaluateExpression('"double"', {})).toBe('double');
+        expect(evaluateExpression("'it\\'s'", {})).toBe("it's");
+        expect(evaluateExpression('true', {})).toBe(true);
+        expect(evaluateExpression('null', {})).toBe(null);
+        expect(evaluateExpression('undefined', {})).toBe(undefined);
+        expect(evaluateExpression('-2', {})).toBe(-2);
+    });
+
+    it('returns undefined for an empty expression', () => {
+        expect(evaluateExpression('   ', {})).toBe(undefined);
+    });
+
+    it('applies one operator to two values', () => {
+        expect(evaluateExpression('1 + 2', {})).toBe(3);
+        expect(evaluateExpression('10 - 4', {})).toBe(6);
+        expect(evaluateExpression('price * 2', { price: 4 })).toBe(8);
+        expect(evaluateExpression('count >= 5', { count: 5 })).toBe(true);
+        expect(evaluateExpression('count < -1', { count: 0 })).toBe(false);
+    });
+
+    it('rejects syntax the server executor cannot read', () => {
+        expect(() => evaluateExpression('1 + 2 * 3', {})).toThrow('Only one operator is supported per expression');
+        expect(() => evaluateExpression('a > 1 && b > 2', {})).toThrow('Only one operator is supported per expression');
+        expect(() => evaluateExpression('(1 + 2)', {})).toThrow('Parentheses are not supported');
+        expect(() => evaluateExpression('score > 90 ? "a" : "b"', {})).toThrow('Conditional expressions are not supported');
+        expect(() => evaluateExpression('!done', {})).toThrow('"!" is not supported; compare with false instead');
+        expect(() => evaluateExpression('7 % 2', {})).toThrow('"%" is not supported');
+        expect(() => evaluateExpression('"a" == name', {})).toThrow('Left of "==" must be a number');
+        expect(() => evaluateExpression('items[0] == 1', {})).toThrow('Left of "==" must be a number');
+        expect(() => evaluateExpression('-2 * 3', {})).toThrow('Left of "*" must be a number');
+        expect(() => evaluateExpression('total + "1"', {})).toThrow('Right of "+" must be a number');
+    });
+
+    it('gives booleans for && and ||', () => {
+        expect(evaluateExpression('missing && missing.deep', {})).toBe(false);
+        expect(evaluateExpression('name || "anonymous"', { name: '' })).toBe(true);
+        expect(evaluateExpression('name && name.length', { name: 'ada' })).toBe(true);
+    });
+
+    it('compares loosely, like the server executor', () => {
+        expect(evaluateExpression('count == "3"', { count: 3 })).toBe(true);
+        expect(evaluateExpression('count != "3"', { count: 3 })).toBe(false);
+        expect(evaluateExpression('code == "007"', { code: '7' })).toBe(true);
+        expect(evaluateExpression('count == 0', { count: null })).toBe(true);
+        expect(evaluateExpression('name == 0', { name: 'ada' })).toBe(false);
+        expect(evaluateExpression('tags == false', { tags: [] })).toBe(true);
+        expect(evaluateExpression('a == b', { a: { x: 1, y: [2] }, b: { y: ['2'], x: '1' } })).toBe(true);
+        expect(evaluateExpression('a != b', { a: [1], b: [1, 2] })).toBe(true);
+    });
+
+    it('reads strict comparisons as loose ones, as the server does', () => {
+        expect(evaluateExpression('count === "3"', { count: 3 })).toBe(true);
+        expect(evaluateExpression('count !== "3"', { count: 3 })).toBe(false);
+    });
+
+    it('only does arithmetic on numbers', () => {
+        expect(evaluateExpression('acc + item', { acc: '2', item: 3 })).toBe(5);
+        expect(evaluateExpression('acc + item', { acc: null, item: true })).toBe(1);
+        expect(() => evaluateExpression('acc + item', { acc: 'a', item: 'b' })).toThrow('"+" needs numbers, got "a"');
+    });
+
+    it('divides by zero to zero', () => {
+        expect(evaluateExpression('1 / 0', {})).toBe(0);
+    });
+
+    it('reads properties, indexes and lengths', () => {
+        const context = { item: { name: 'ada', tags: ['a', 'b'], 'odd key': 1 } };
+
+        expect(evaluateExpression('item.name', context)).toBe('ada');
+        expect(evaluateExpression('item.tags[1]', context)).toBe('b');
+        expect(evaluateExpression('item.odd_key', { item: { odd_key: 1 } })).toBe(1);
+        expect(() => evaluateExpression('item["odd key"]', context)).toThrow('Index a path with one whole number per segment');
+        expect(() => evaluateExpression('item.tags[0][1]', context)).toThrow('Index a path with one whole number per segment');
+        expect(evaluateExpression('item.tags.length + item.name.length', context)).toBe(5);
+        expect(evaluateExpression('item.missing.deeper', context)).toBe(undefined);
+    });
+
+    it('only reads own properties', () => {
+        expect(evaluateExpression('item.toString', { item: {} })).toBe(undefined);
+        expect(evaluateExpression('item.hasOwnProperty', { item: {} })).toBe(undefined);
+        expect(evaluateExpression('toString', {})).toBe(undefined);
+    });
+
+    it('refuses prototype access', () => {
+        expect(() => evaluateExpression('item.__proto__', { item: {} })).toThrow(ExpressionError);
+        expect(() => evaluateExpression('item.constructor', { item: {} })).toThrow('Access to "constructor" is not allowed');
+        expect(() => evaluateExpression('Item.prototype', { Item: {} })).toThrow(ExpressionError);
+    });
+
+    it('rejects calls and assignments', () => {
+        expect(() => evaluateExpression('item.name()', { item: { name: 'x' } })).toThrow(ExpressionError);
+        expect(() => evaluateExpression('item = 1', { item: 0 })).toThrow('Unexpected character "="');
+        expect(() => evaluateExpression('a; b', {})).toThrow('Unexpected character ";"');
+    });
+
+    it('reports malformed expressions', () => {
+        expect(() => evaluateExpression('items[0', {})).toThrow('Expected "]"');
+        expect(() => evaluateExpression('1 +', {})).toThrow('Unexpected end of expression');
+        expect(() => evaluateExpression('"open', {})).toThrow('Unterminated string literal');
+        expect(() => evaluateExpression('item.', { item: {} })).toThrow('Expected property name after "."');
+        expect(() => evaluateExpression('a b', {})).toThrow('Unexpected trailing input');
+        expect(() => evaluateExpression('1 2', {})).toThrow('Unexpected trailing input');
+        expect(() => evaluateExpression('1'.repeat(1001), {})).toThrow('Expression is too long');
+    });
+
+    it('gives the same answer for a cached expression with a new context', () => {
+        expect(evaluateExpression('value * 2', { value: 2 })).toBe(4);
+        expect(evaluateExpression('value * 2', { value: 5 })).toBe(10);
+    });
+});
+
+describe('expressionError', () => {
+    it('explains what is wrong with an expression, without evaluating it', () => {
+        expect(expressionError('input.count > 10')).toBe(null);
+        expect(expressionError('')).toBe(null);
+        expect(expressionError('a > 1 && b > 2')).toBe('Only one operator is supported per expression');
+    });
+});
+
+describe('isTruthy', () => {
+    it('follows PHP truthiness', () => {
+        expect([0, '', '0', null, undefined, false, [], {}].map(isTruthy)).toEqual(Array(8).fill(false));
+        expect([1, 'a', '0.0', ' ', true, [0], { a: 0 }].map(isTruthy)).toEqual(Array(7).fill(true));
+    });
+});
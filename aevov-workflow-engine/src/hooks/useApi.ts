@@ -1,6 +1,19 @@
 import { useCallback } from 'react';
 import { useWorkflowStore } from '../store';
-import { Workflow, ExecutionResult, AevovCapability, NodeTypeDefinition } from '../types';
+import { Node, Edge } from 'reactflow';
+import { AevovNodeData, ExecutionResult, AevovCapability, NodeTypeDefinition, AiProvider } from '../types';
+import { ChatMessage } from '../lib/generator';
+import { isEventStream, readEventStream } from '../lib/executionStream';
+import { validationFailureResult } from '../lib/validation';
+import { compositesUsedBy, expandBreakpoints, flattenWorkflow, mapCompositeEvents } from '../lib/composite';
+import { SaveConflictError, WorkflowStorage, createLocalStorage, createRestStorage } from '../lib/revisions';
+import { ExecutionHistory, createLocalExecutionHistory, createRestExecutionHistory } from '../lib/executions';
+import { adoptInputSets } from '../lib/inputs';
+import { CredentialApi, createRestCredentialApi, createUnavailableCredentialApi } from '../lib/credentials';
+import { TriggerApi, createRestTriggerApi, createUnavailableTriggerApi } from '../lib/triggers';
+import { CollabApi, createLocalCollabApi, createRestCollabApi } from '../lib/collab';
+import { TemplateLibrary, createLocalTemplateLibrary, createRestTemplateLibrary } from '../lib/templates';
+import { RequestError } from '../lib/http';
 
 const getConfig = () => {
     if (typeof window !== 'undefined' && window.aevovWorkflowEngine) {
@@ -18,9 +31,17 @@ const getConfig = () => {
     };
 };
 
-async function request<T>(endpoint: string, options: RequestInit = {}): Promise<T> {
+// The AI core plugin registers its routes next to ours under the same REST root
+const getAiCoreUrl = () => getConfig().apiUrl.replace(/aevov-workflow\/v1\/?$/, 'aevov-ai-core/v1');
+
+async function request<T>(endpoint: string, options: RequestInit = {}, baseUrl?: string): Promise<T> {
+    const response = await rawRequest(endpoint, options, baseUrl);
+    return response.json();
+}
+
+async function rawRequest(endpoint: string, options: RequestInit = {}, baseUrl?: string): Promise<Response> {
     const config = getConfig();
-    const url = `${config.apiUrl}${endpoint}`;
+    const url = `${baseUrl ?? config.apiUrl}${endpoint}`;
 
     const headers: Record<string, string> = {
         'Content-Type': 'application/json',
@@ -39,24 +60,72 @@ async function request<T>(endpoint: string, options: RequestInit = {}): Promise<
 
     if (!response.ok) {
         const error = await response.json().catch(() => ({ error: 'Request failed' }));
-        throw new Error(error.error || error.message || 'Request failed');
+        throw new RequestError(error.error || error.message || 'Request failed', response.status, error);
     }
 
-    return response.json();
+    return response;
+}
+
+// Without a nonce there is no WordPress session to save through (the standalone
+// builder), so workflows, their versions and past runs are kept in this browser instead
+const isStandalone = () => !getConfig().nonce;
+
+export function getWorkflowStorage(): WorkflowStorage {
+    return isStandalone() ? createLocalStorage() : createRestStorage(request);
+}
+
+export function getExecutionHistory(): ExecutionHistory {
+    return isStandalone() ? createLocalExecutionHistory() : createRestExecutionHistory(request);
+}
+
+export function getCredentialApi(): CredentialApi {
+    return isStandalone() ? createUnavailableCredentialApi() : createRestCredentialApi(request);
+}
+
+export function getTriggerApi(): TriggerApi {
+    return isStandalone() ? createUnavailableTriggerApi() : createRestTriggerApi(request);
+}
+
+export function getCollabApi(): CollabApi {
+    return isStandalone() ? createLocalCollabApi(process.env.NEXT_PUBLIC_COLLAB_URL) : createRestCollabApi(request);
+}
+
+export function getTemplateLibrary(): TemplateLibrary {
+    return isStandalone() ? createLocalTemplateLibrary() : createRestTemplateLibrary(request);
+}
+
+// Where other apps run a saved workflow with its input parameters
+export function workflowExecuteUrl(workflowId: string): string | null {
+    return isStandalone() ? null : `${getConfig().apiUrl}/workflows/${workflowId}/execute`;
+}
+
+export interface RunOptions {
+    // Defaults to the builder's test inputs
+    inputs?: Record<string, unknown>;
+    // Graph recorded with a past run; defaults to the canvas
+    workflow?: { nodes: Node<AevovNodeData>[]; edges: Edge[] };
+    replayOf?: number;
 }
 
 export function useApi() {
     const {
         workflowId,
-        workflowName,
-        nodes,
-        edges,
+        workflowVersion,
+        testInputs,
+        getRootGraph,
         setWorkflowId,
+        setWorkflowVersion,
         loadWorkflowData,
         setNodeTypes,
-        setExecuting,
+        startExecution,
+        applyExecutionEvent,
         setExecutionResults,
         setDirty,
+        setSaveConflict,
+        validate,
+        debugMode,
+        breakpoints,
+        pauseExecution,
     } = useWorkflowStore();
 
     const fetchCapabilities = useCallback(async () => {
@@ -100,63 +169,140 @@ export function useApi() {
 
     const loadWorkflow = useCallback(async (id: string) => {
         try {
-            const workflow = await request<Workflow>(`/workflows/${id}`);
-            loadWorkflowData({
-                id: workflow.id,
-                name: workflow.name,
-                nodes: workflow.nodes as any,
-                edges: workflow.edges as any,
-            });
+            loadWorkflowData(await getWorkflowStorage().load(id));
         } catch (error) {
             console.error('Failed to load workflow:', error);
             throw error;
         }
     }, [loadWorkflowData]);
 
-    const saveWorkflow = useCallback(async () => {
+    // Saves over the version the canvas started from. When someone else saved in the
+    // meantime the save is held back for the merge dialog; baseVersion overrides that
+    // version once the canvas holds the merge.
+    const saveWorkflow = useCallback(async (options: { baseVersion?: number } = {}) => {
         try {
-            const data = {
-                id: workflowId || undefined,
-                name: workflowName,
-                workflow: { nodes, edges },
-            };
+            const { nodes, edges, composites } = getRootGraph();
+            // Read fresh, the merge dialog may have just replaced the name
+            const name = useWorkflowStore.getState().workflowName;
+            const saved = await getWorkflowStorage().save(
+                workflowId,
+                { name, nodes, edges, composites: compositesUsedBy(nodes, composites) },
+                options.baseVersion ?? workflowVersion
+            );
 
-            if (workflowId) {
-                await request(`/workflows/${workflowId}`, {
-                    method: 'PUT',
-                    body: JSON.stringify(data),
-                });
-            } else {
-                const result = await request<{ id: string }>('/workflows', {
-                    method: 'POST',
-                    body: JSON.stringify(data),
-                });
-                setWorkflowId(result.id);
+            if (!workflowId) {
+                adoptInputSets(saved.id);
             }
-
+            setWorkflowId(saved.id);
+            setWorkflowVersion(saved.version);
             setDirty(false);
+            setSaveConflict(null);
         } catch (error) {
+            if (error instanceof SaveConflictError) {
+                setSaveConflict({ baseVersion: workflowVersion, theirs: error.latest });
+                return;
+            }
             console.error('Failed to save workflow:', error);
             throw error;
         }
-    }, [workflowId, workflowName, nodes, edges, setWorkflowId, setDirty]);
+    }, [workflowId, workflowVersion, getRootGraph, setWorkflowId, setWorkflowVersion, setDirty, setSaveConflict]);
 
-    const executeWorkflow = useCallback(async () => {
-        setExecuting(true);
-        setExecutionResults(null);
+    const executeWorkflow = useCallback(async (options: RunOptions = {}) => {
+        // Don't round-trip graphs the server would reject anyway. A replayed run
+        // already passed this check when it was first executed.
+        if (!options.workflow) {
+            const issues = validate();
+            if (issues.length > 0) {
+                const invalidResult = validationFailureResult(issues);
+                setExecutionResults(invalidResult);
+                return invalidResult;
+            }
+        }
+
+        const abort = new AbortController();
+        startExecution(abort);
+
+        const inputs = options.inputs ?? testInputs ?? {};
+        const startedAt = new Date().toISOString();
 
         try {
-            const result = await request<ExecutionResult>('/execute', {
+            // The server only knows plain node types, so sub-workflows are inlined
+            const root = getRootGraph();
+            const flattened = flattenWorkflow(root.nodes, root.edges, root.composites);
+            const workflow = options.workflow ?? { nodes: flattened.nodes, edges: flattened.edges };
+
+            // The server holds a paused run until /executions/{id}/debug answers it
+            let streamExecutionId: number | null = null;
+            const onEvent = mapCompositeEvents(flattened, (event) => {
+                if (event.type === 'execution_started') {
+                    streamExecutionId = event.execution_id ?? null;
+                }
+                applyExecutionEvent(event);
+                if (event.type === 'node_paused' && streamExecutionId !== null) {
+                    const id = streamExecutionId;
+                    pauseExecution({
+                        nodeId: event.node_id,
+                        resume: async (command) => {
+                            await request(`/executions/${id}/debug`, {
+                                method: 'POST',
+                                body: JSON.stringify(command),
+                            });
+                        },
+                    });
+                }
+            });
+
+            const response = await rawRequest('/execute/stream', {
                 method: 'POST',
+                headers: { Accept: 'text/event-stream' },
                 body: JSON.stringify({
-                    workflow: { nodes, edges },
-                    inputs: {},
+                    workflow,
+                    inputs,
+                    workflow_id: workflowId,
+                    workflow_version: workflowVersion,
+                    replay_of: options.replayOf ?? null,
+                    debug: debugMode
+                        ? { breakpoints: expandBreakpoints(flattened, breakpoints), step: breakpoints.length === 0 }
+                        : undefined,
                 }),
+                signal: abort.signal,
             });
 
-            setExecutionResults(result);
+            let result: ExecutionResult;
+
+            // Servers without streaming support answer with a single JSON result
+            if (!isEventStream(response)) {
+                result = await response.json();
+                setExecutionResults(result);
+            } else {
+                await readEventStream(response, onEvent);
+
+                const { executionResults, isExecuting } = useWorkflowStore.getState();
+                if (isExecuting || !executionResults) {
+                    throw new Error('Execution stream ended unexpectedly');
+                }
+                result = executionResults;
+            }
+
+            const executionId = await getExecutionHistory().record({
+                workflowId,
+                workflowVersion,
+                workflow,
+                inputs,
+                replayOf: options.replayOf ?? null,
+                startedAt,
+                result,
+            });
+            if (executionId !== null && executionId !== result.execution_id) {
+                result = { ...result, execution_id: executionId };
+                setExecutionResults(result);
+            }
             return result;
         } catch (error) {
+            if (abort.signal.aborted) {
+                return useWorkflowStore.getState().executionResults;
+            }
+
             const errorResult: ExecutionResult = {
                 success: false,
                 error: error instanceof Error ? error.message : 'Execution failed',
@@ -165,12 +311,50 @@ export function useApi() {
             setExecutionResults(errorResult);
             throw error;
         }
-    }, [nodes, edges, setExecuting, setExecutionResults]);
+    }, [
+        workflowId,
+        workflowVersion,
+        testInputs,
+        getRootGraph,
+        startExecution,
+        applyExecutionEvent,
+        setExecutionResults,
+        validate,
+        debugMode,
+        breakpoints,
+        pauseExecution,
+    ]);
+
+    const fetchAiProviders = useCallback(async (): Promise<AiProvider[]> => {
+        const response = await request<{
+            providers: Record<string, Omit<AiProvider, 'id'>>;
+        }>('/providers', {}, getAiCoreUrl());
+
+        return Object.entries(response.providers || {}).map(([id, provider]) => ({ id, ...provider }));
+    }, []);
+
+    const completeWithProvider = useCallback(async (provider: string, messages: ChatMessage[]) => {
+        const response = await request<{
+            success: boolean;
+            result?: { content: string };
+            error?: string;
+        }>(`/providers/${encodeURIComponent(provider)}/complete`, {
+            method: 'POST',
+            body: JSON.stringify({ messages, temperature: 0.2 }),
+        }, getAiCoreUrl());
+
+        if (!response.success || !response.result) {
+            throw new Error(response.error || 'Completion failed');
+        }
+        return response.result.content;
+    }, []);
 
     return {
         fetchCapabilities,
         loadWorkflow,
         saveWorkflow,
         executeWorkflow,
+        fetchAiProviders,
+        completeWithProvider,
     };
 }
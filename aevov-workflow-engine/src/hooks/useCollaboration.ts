@@ -0,0 +1,290 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { Node, Edge } from 'reactflow';
+import { useWorkflowStore } from '../store';
+import { getCollabApi } from './useApi';
+import {
+    CollabDoc,
+    CollabMessage,
+    CollabOp,
+    CollabTransport,
+    Collaborator,
+    PeerPresence,
+    SharedGraph,
+    connectRelay,
+    peerColor,
+    randomPeerId,
+} from '../lib/collab';
+import { compositesUsedBy } from '../lib/composite';
+import { AevovNodeData, CompositeDefinition } from '../types';
+
+// Local edits wait this long so a drag sends a few messages, not one per frame
+const SEND_DELAY_MS = 50;
+const CURSOR_INTERVAL_MS = 80;
+// Presence is repeated so builders that missed a message, or a departure, catch up
+const HEARTBEAT_MS = 15000;
+const PEER_TIMEOUT_MS = 45000;
+
+// Joins the co-editing session of the open workflow, once it has been saved and the
+// site has a relay. Only the workflow's own graph is shared: changes from others made
+// while a sub-workflow is open wait until the user returns to the top level.
+export function useCollaboration() {
+    const workflowId = useWorkflowStore((state) => state.workflowId);
+    const cursor = useRef<{ send: (position: { x: number; y: number } | null) => void } | null>(null);
+
+    useEffect(() => {
+        const { setCollabStatus, setCollabPeers } = useWorkflowStore.getState();
+        const api = getCollabApi();
+        if (!workflowId || api.kind === 'none') {
+            setCollabStatus('off');
+            return;
+        }
+
+        const peer = randomPeerId();
+        const userName = (typeof window !== 'undefined' && window.aevovWorkflowEngine?.userName) || 'Guest';
+        const user: Collaborator = { name: userName, color: peerColor(peer) };
+        const doc = new CollabDoc(peer);
+        const peers = new Map<string, PeerPresence>();
+
+        let transport: CollabTransport | null = null;
+        let stopped = false;
+        let applying = false;
+        // The workflow's graph when a sub-workflow was opened, and whether remote
+        // changes arrived since
+        let rootAtEntry: SharedGraph | null = null;
+        let pending = false;
+        let outgoing: CollabOp[] = [];
+        let sendTimer: ReturnType<typeof setTimeout> | null = null;
+        let lastCursor: { x: number; y: number } | null = null;
+        let cursorTimer: ReturnType<typeof setTimeout> | null = null;
+
+        // Only the definitions the graph uses are shared, not the whole library
+        const graphOf = (
+            name: string,
+            nodes: Node<AevovNodeData>[],
+            edges: Edge[],
+            composites: Record<string, CompositeDefinition>
+        ): SharedGraph => ({ name, nodes, edges, composites: compositesUsedBy(nodes, composites) });
+
+        const shared = (): SharedGraph => {
+            const { workflowName, nodes, edges, composites } = useWorkflowStore.getState();
+            return graphOf(workflowName, nodes, edges, composites);
+        };
+
+        const start = useWorkflowStore.getState();
+        if (start.scopes.length === 0) {
+            doc.load(shared(), start.workflowVersion);
+        } else {
+            const root = start.getRootGraph();
+            doc.load(graphOf(start.workflowName, root.nodes, root.edges, root.composites), start.workflowVersion);
+        }
+
+        const send = (message: CollabMessage) => transport?.send(message);
+
+        const sendPresence = () => {
+            const { scopes, selectedNodeId } = useWorkflowStore.getState();
+            send({
+                type: 'presence',
+                peer,
+                user,
+                cursor: lastCursor,
+                // Node ids inside a sub-workflow mean nothing to the others
+                selectedNodeId: scopes.length === 0 ? selectedNodeId : null,
+            });
+        };
+
+        const flush = () => {
+            sendTimer = null;
+            if (outgoing.length > 0) {
+                send({ type: 'ops', peer, ops: outgoing });
+                outgoing = [];
+            }
+        };
+
+        const queue = (ops: CollabOp[]) => {
+            if (ops.length === 0) {
+                return;
+            }
+            outgoing.push(...ops);
+            if (!sendTimer) {
+                sendTimer = setTimeout(flush, SEND_DELAY_MS);
+            }
+        };
+
+        const publishPeers = () => setCollabPeers([...peers.values()]);
+
+        const applyToCanvas = () => {
+            const state = useWorkflowStore.getState();
+            if (state.scopes.length > 0) {
+                pending = true;
+                return;
+            }
+            pending = false;
+            applying = true;
+            state.applyRemoteGraph(doc.materialize(shared()));
+            applying = false;
+        };
+
+        const onMessage = (message: CollabMessage) => {
+            if (message.peer === peer) {
+                return;
+            }
+
+            switch (message.type) {
+                case 'hello':
+                    send({ type: 'ops', peer, ops: doc.changes() });
+                    sendPresence();
+                    break;
+                case 'ops':
+                    if (doc.applyRemote(message.ops)) {
+                        applyToCanvas();
+                    }
+                    break;
+                case 'presence':
+                    peers.set(message.peer, {
+                        peer: message.peer,
+                        ...message.user,
+                        cursor: message.cursor,
+                        selectedNodeId: message.selectedNodeId,
+                        seenAt: Date.now(),
+                    });
+                    publishPeers();
+                    break;
+                case 'saved': {
+                    // Their save holds everything this canvas has, unless edits are still on the way
+                    const state = useWorkflowStore.getState();
+                    if (message.version > (state.workflowVersion ?? 0)) {
+                        applying = true;
+                        state.setWorkflowVersion(message.version);
+                        if (outgoing.length === 0 && !pending) {
+                            state.setDirty(false);
+                        }
+                        applying = false;
+                    }
+                    break;
+                }
+                case 'left':
+                    if (peers.delete(message.peer)) {
+                        publishPeers();
+                    }
+                    break;
+            }
+        };
+
+        const unsubscribe = useWorkflowStore.subscribe((state, previous) => {
+            if (applying || state.workflowId !== workflowId) {
+                return;
+            }
+
+            if (state.scopes.length === 0 && previous.scopes.length === 0) {
+                if (
+                    state.nodes !== previous.nodes
+                    || state.edges !== previous.edges
+                    || state.workflowName !== previous.workflowName
+                ) {
+                    queue(doc.localChanges(
+                        graphOf(previous.workflowName, previous.nodes, previous.edges, previous.composites),
+                        shared()
+                    ));
+                }
+            } else if (previous.scopes.length === 0) {
+                rootAtEntry = graphOf(previous.workflowName, previous.nodes, previous.edges, previous.composites);
+            } else if (state.scopes.length === 0 && rootAtEntry) {
+                // Back at the top level: share what the sub-workflow changed, then catch up
+                queue(doc.localChanges(rootAtEntry, shared()));
+                rootAtEntry = null;
+                if (pending) {
+                    applyToCanvas();
+                }
+            }
+
+            if (state.selectedNodeId !== previous.selectedNodeId || state.scopes.length !== previous.scopes.length) {
+                sendPresence();
+            }
+            if (state.workflowVersion !== previous.workflowVersion && state.workflowVersion !== null) {
+                send({ type: 'saved', peer, version: state.workflowVersion });
+            }
+        });
+
+        cursor.current = {
+            send: (position) => {
+                lastCursor = position;
+                if (!cursorTimer) {
+                    cursorTimer = setTimeout(() => {
+                        cursorTimer = null;
+                        sendPresence();
+                    }, CURSOR_INTERVAL_MS);
+                }
+            },
+        };
+
+        const heartbeat = setInterval(() => {
+            sendPresence();
+            const cutoff = Date.now() - PEER_TIMEOUT_MS;
+            let dropped = false;
+            peers.forEach((presence, id) => {
+                if (presence.seenAt < cutoff) {
+                    peers.delete(id);
+                    dropped = true;
+                }
+            });
+            if (dropped) {
+                publishPeers();
+            }
+        }, HEARTBEAT_MS);
+
+        api.session(workflowId)
+            .then((session) => {
+                if (stopped) {
+                    return;
+                }
+                if (!session) {
+                    setCollabStatus('off');
+                    return;
+                }
+                transport = connectRelay(session, peer, {
+                    onMessage,
+                    onStatus: (status) => {
+                        setCollabStatus(status);
+                        if (status === 'connected') {
+                            // Edits made while offline go out with the greeting
+                            send({ type: 'hello', peer, user });
+                            send({ type: 'ops', peer, ops: doc.changes() });
+                            sendPresence();
+                        } else if (peers.size > 0) {
+                            peers.clear();
+                            publishPeers();
+                        }
+                    },
+                });
+            })
+            .catch((error) => {
+                console.error('Co-editing unavailable:', error);
+                if (!stopped) {
+                    setCollabStatus('off');
+                }
+            });
+
+        return () => {
+            stopped = true;
+            unsubscribe();
+            clearInterval(heartbeat);
+            if (sendTimer) {
+                clearTimeout(sendTimer);
+            }
+            if (cursorTimer) {
+                clearTimeout(cursorTimer);
+            }
+            transport?.close();
+            cursor.current = null;
+            setCollabStatus('off');
+            setCollabPeers([]);
+        };
+    }, [workflowId]);
+
+    // Flow coordinates under the pointer, or null when it leaves the canvas
+    const reportCursor = useCallback((position: { x: number; y: number } | null) => {
+        cursor.current?.send(position);
+    }, []);
+
+    return { reportCursor };
+}
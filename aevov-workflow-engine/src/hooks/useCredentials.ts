@@ -0,0 +1,68 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useWorkflowStore } from '../store';
+import { getCredentialApi } from './useApi';
+import { CredentialInput, CredentialSummary } from '../lib/credentials';
+
+// The credential list is loaded once per page and shared by every picker and the manager
+export function useCredentials() {
+    const { credentials, setCredentials } = useWorkflowStore();
+    const api = useMemo(getCredentialApi, []);
+
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    const reload = useCallback(async () => {
+        setLoading(true);
+        try {
+            setCredentials(await api.list());
+            setError(null);
+        } catch (e) {
+            setError(e instanceof Error ? e.message : 'Could not load credentials');
+        } finally {
+            setLoading(false);
+        }
+    }, [api, setCredentials]);
+
+    useEffect(() => {
+        if (credentials === null) {
+            reload();
+        }
+    }, [credentials, reload]);
+
+    const create = useCallback(async (input: CredentialInput) => {
+        const created = await api.create(input);
+        setCredentials(byName([...currentCredentials(), created]));
+        return created;
+    }, [api, setCredentials]);
+
+    const update = useCallback(async (id: string, input: Partial<CredentialInput>) => {
+        const updated = await api.update(id, input);
+        setCredentials(byName(currentCredentials().map((c) => (c.id === id ? updated : c))));
+        return updated;
+    }, [api, setCredentials]);
+
+    const remove = useCallback(async (id: string) => {
+        await api.remove(id);
+        setCredentials(currentCredentials().filter((c) => c.id !== id));
+    }, [api, setCredentials]);
+
+    return {
+        available: api.kind === 'wordpress',
+        credentials: credentials || [],
+        loaded: credentials !== null,
+        loading,
+        error,
+        reload,
+        create,
+        update,
+        remove,
+    };
+}
+
+function currentCredentials(): CredentialSummary[] {
+    return useWorkflowStore.getState().credentials || [];
+}
+
+function byName(credentials: CredentialSummary[]): CredentialSummary[] {
+    return [...credentials].sort((a, b) => a.name.localeCompare(b.name));
+}
@@ -0,0 +1,93 @@
+import { useCallback } from 'react';
+import { useWorkflowStore } from '../store';
+import { DebugCommand, ExecutionResult } from '../types';
+import { LocalWorkflowExecutor } from '../engine';
+import { validationFailureResult } from '../lib/validation';
+import { FlattenedWorkflow, expandBreakpoints, flattenWorkflow, mapCompositeEvents } from '../lib/composite';
+
+// Runs the graph in the browser: control and transform nodes execute for real,
+// capability nodes answer with their fixtures.
+export function useDryRun() {
+    const {
+        testInputs,
+        getRootGraph,
+        validate,
+        startExecution,
+        applyExecutionEvent,
+        setExecutionResults,
+        debugMode,
+        breakpoints,
+        pauseExecution,
+    } = useWorkflowStore();
+
+    const dryRunWorkflow = useCallback(async (inputs: Record<string, unknown> = testInputs || {}) => {
+        const issues = validate();
+        if (issues.length > 0) {
+            const invalidResult = validationFailureResult(issues);
+            setExecutionResults(invalidResult);
+            return invalidResult;
+        }
+
+        const root = getRootGraph();
+        let flattened: FlattenedWorkflow;
+        try {
+            flattened = flattenWorkflow(root.nodes, root.edges, root.composites);
+        } catch (error) {
+            const errorResult: ExecutionResult = {
+                success: false,
+                error: error instanceof Error ? error.message : 'Dry run failed',
+                log: [],
+            };
+            setExecutionResults(errorResult);
+            return errorResult;
+        }
+
+        const abort = new AbortController();
+        startExecution(abort);
+
+        const executor = new LocalWorkflowExecutor({
+            signal: abort.signal,
+            onEvent: mapCompositeEvents(flattened, applyExecutionEvent),
+            maxExecutionTime: typeof window !== 'undefined'
+                ? window.aevovWorkflowEngine?.settings?.maxExecutionTime
+                : undefined,
+            debug: debugMode
+                ? {
+                    breakpoints: expandBreakpoints(flattened, breakpoints),
+                    step: breakpoints.length === 0,
+                    pause: (nodeId) => new Promise<DebugCommand>((resolve) => {
+                        const stop = () => resolve({ action: 'stop' });
+                        abort.signal.addEventListener('abort', stop, { once: true });
+                        pauseExecution({
+                            nodeId: flattened.owners[nodeId] ?? nodeId,
+                            resume: (command) => {
+                                abort.signal.removeEventListener('abort', stop);
+                                resolve(command);
+                            },
+                        });
+                    }),
+                }
+                : undefined,
+        });
+
+        const result = await executor.execute({ nodes: flattened.nodes, edges: flattened.edges }, inputs);
+
+        // Cancelling already recorded its own result
+        if (!abort.signal.aborted) {
+            setExecutionResults(result);
+        }
+        return result;
+    }, [
+        testInputs,
+        getRootGraph,
+        validate,
+        startExecution,
+        applyExecutionEvent,
+        setExecutionResults,
+        debugMode,
+        breakpoints,
+        pauseExecution,
+    ]);
+
+    return { dryRunWorkflow };
+}
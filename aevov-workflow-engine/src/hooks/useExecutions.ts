@@ -0,0 +1,94 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useWorkflowStore } from '../store';
+import { getExecutionHistory } from './useApi';
+import { ExecutionPage, ExecutionRecord, executionEvents, executionResult } from '../lib/executions';
+import { flattenWorkflow, mapCompositeEvents } from '../lib/composite';
+
+const PAGE_SIZE = 10;
+
+export function useExecutions() {
+    const { workflowId, isExecuting, openExecution, applyExecutionEvent } = useWorkflowStore();
+    const history = useMemo(getExecutionHistory, []);
+
+    const [page, setPage] = useState(1);
+    const [listing, setListing] = useState<ExecutionPage | null>(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    // Finished runs never change, so each one is fetched once
+    const cache = useRef(new Map<number, ExecutionRecord>());
+
+    useEffect(() => {
+        setPage(1);
+    }, [workflowId]);
+
+    // Reloads after every run, once it has been logged
+    useEffect(() => {
+        if (isExecuting) {
+            return;
+        }
+
+        let active = true;
+        setLoading(true);
+        history.list(workflowId, page, PAGE_SIZE)
+            .then((result) => {
+                if (!active) {
+                    return;
+                }
+                setListing(result);
+                setError(null);
+            })
+            .catch((e) => {
+                if (active) {
+                    setError(e instanceof Error ? e.message : 'Could not load runs');
+                }
+            })
+            .finally(() => {
+                if (active) {
+                    setLoading(false);
+                }
+            });
+        return () => {
+            active = false;
+        };
+    }, [history, workflowId, page, isExecuting]);
+
+    const fetchExecution = useCallback(async (id: number) => {
+        let execution = cache.current.get(id);
+        if (!execution) {
+            execution = await history.get(id);
+            if (execution.status !== 'running' && execution.status !== 'pending') {
+                cache.current.set(id, execution);
+            }
+        }
+        return execution;
+    }, [history]);
+
+    // Shows a past run in the results panel and paints its node outputs on the canvas
+    const open = useCallback(async (id: number) => {
+        const execution = await fetchExecution(id);
+        openExecution(executionResult(execution));
+
+        let emit = applyExecutionEvent;
+        try {
+            const root = useWorkflowStore.getState().getRootGraph();
+            emit = mapCompositeEvents(flattenWorkflow(root.nodes, root.edges, root.composites), applyExecutionEvent);
+        } catch {
+            // A sub-workflow is missing: outputs still show on the top-level nodes
+        }
+        executionEvents(execution).forEach(emit);
+        return execution;
+    }, [fetchExecution, openExecution, applyExecutionEvent]);
+
+    return {
+        historyKind: history.kind,
+        executions: listing?.executions || [],
+        page,
+        totalPages: listing?.totalPages || 1,
+        setPage,
+        loading,
+        error,
+        fetchExecution,
+        open,
+    };
+}
@@ -0,0 +1,93 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { Node, XYPosition } from 'reactflow';
+import { useWorkflowStore } from '../store';
+import { AevovNodeData } from '../types';
+import { AlignMode, alignNodes, distributeNodes, layoutLayered } from '../lib/layout';
+
+export const LAYOUT_ANIMATION_MS = 300;
+
+// Layout commands for the graph on the canvas. Nodes glide to their new places,
+// and the whole move is a single undo step.
+export function useLayout() {
+    const setNodes = useWorkflowStore((state) => state.setNodes);
+    const frame = useRef<number | null>(null);
+
+    useEffect(() => () => {
+        if (frame.current !== null) {
+            cancelAnimationFrame(frame.current);
+        }
+    }, []);
+
+    const moveTo = useCallback((arranged: Node<AevovNodeData>[]) => {
+        if (frame.current !== null) {
+            cancelAnimationFrame(frame.current);
+            frame.current = null;
+        }
+
+        const from = new Map(useWorkflowStore.getState().nodes.map((n) => [n.id, n.position]));
+        const to = new Map<string, XYPosition>();
+        arranged.forEach((n) => {
+            const start = from.get(n.id);
+            if (start && (start.x !== n.position.x || start.y !== n.position.y)) {
+                to.set(n.id, n.position);
+            }
+        });
+        if (to.size === 0) {
+            return;
+        }
+
+        const reducedMotion = typeof window.matchMedia === 'function'
+            && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        const startedAt = performance.now();
+        let first = true;
+
+        const step = (time: number) => {
+            const t = reducedMotion ? 1 : Math.min(1, (time - startedAt) / LAYOUT_ANIMATION_MS);
+            const k = t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2;
+
+            const nodes = useWorkflowStore.getState().nodes.map((n) => {
+                const start = from.get(n.id);
+                const end = to.get(n.id);
+                if (!start || !end) {
+                    return n;
+                }
+                return {
+                    ...n,
+                    position: { x: start.x + (end.x - start.x) * k, y: start.y + (end.y - start.y) * k },
+                    positionAbsolute: undefined,
+                };
+            });
+            // The first frame records the undo step, the rest only move the nodes along
+            setNodes(nodes, first ? {} : { skipHistory: true });
+            first = false;
+
+            frame.current = t < 1 ? requestAnimationFrame(step) : null;
+        };
+        frame.current = requestAnimationFrame(step);
+    }, [setNodes]);
+
+    const tidyUp = useCallback(() => {
+        const { nodes, edges } = useWorkflowStore.getState();
+        if (nodes.length === 0) {
+            return;
+        }
+        // Keep the graph where it is on the canvas
+        const origin = {
+            x: Math.min(...nodes.map((n) => n.position.x)),
+            y: Math.min(...nodes.map((n) => n.position.y)),
+        };
+        moveTo(layoutLayered(nodes, edges, { origin }));
+    }, [moveTo]);
+
+    const align = useCallback((mode: AlignMode) => {
+        const { nodes } = useWorkflowStore.getState();
+        moveTo(alignNodes(nodes, nodes.filter((n) => n.selected).map((n) => n.id), mode));
+    }, [moveTo]);
+
+    const distribute = useCallback((axis: 'horizontal' | 'vertical') => {
+        const { nodes } = useWorkflowStore.getState();
+        moveTo(distributeNodes(nodes, nodes.filter((n) => n.selected).map((n) => n.id), axis));
+    }, [moveTo]);
+
+    return { tidyUp, align, distribute };
+}
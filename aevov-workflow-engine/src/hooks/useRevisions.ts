@@ -0,0 +1,93 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useWorkflowStore } from '../store';
+import { getWorkflowStorage } from './useApi';
+import { Revision, RevisionSummary } from '../lib/revisions';
+
+// A saved version, or the graph currently on the canvas
+export type RevisionRef = number | 'canvas';
+
+export function useRevisions() {
+    const { workflowId, workflowVersion, loadWorkflowData, showRevisionDiff } = useWorkflowStore();
+    const storage = useMemo(getWorkflowStorage, []);
+
+    const [revisions, setRevisions] = useState<RevisionSummary[]>([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    // Saved versions never change, so each one is fetched once
+    const cache = useRef(new Map<string, Revision>());
+
+    useEffect(() => {
+        if (!workflowId) {
+            setRevisions([]);
+            return;
+        }
+
+        let active = true;
+        setLoading(true);
+        storage.listRevisions(workflowId)
+            .then((list) => {
+                if (!active) {
+                    return;
+                }
+                setRevisions(list);
+                setError(null);
+            })
+            .catch((e) => {
+                if (active) {
+                    setError(e instanceof Error ? e.message : 'Could not load history');
+                }
+            })
+            .finally(() => {
+                if (active) {
+                    setLoading(false);
+                }
+            });
+        return () => {
+            active = false;
+        };
+    }, [storage, workflowId, workflowVersion]);
+
+    const fetchRevision = useCallback(async (version: number) => {
+        const key = `${workflowId}:${version}`;
+        let revision = cache.current.get(key);
+        if (!revision) {
+            revision = await storage.getRevision(workflowId!, version);
+            cache.current.set(key, revision);
+        }
+        return revision;
+    }, [storage, workflowId]);
+
+    const resolve = useCallback(async (ref: RevisionRef) => {
+        if (ref === 'canvas') {
+            const { workflowName, getRootGraph } = useWorkflowStore.getState();
+            const { nodes, edges } = getRootGraph();
+            return { label: 'Canvas', name: workflowName, nodes, edges };
+        }
+        const revision = await fetchRevision(ref);
+        return { label: `v${ref}`, name: revision.name, nodes: revision.nodes, edges: revision.edges };
+    }, [fetchRevision]);
+
+    const compare = useCallback(async (before: RevisionRef, after: RevisionRef) => {
+        const [from, to] = await Promise.all([resolve(before), resolve(after)]);
+        showRevisionDiff(from, to);
+    }, [resolve, showRevisionDiff]);
+
+    const restore = useCallback(async (version: number) => {
+        if (!workflowId) {
+            return;
+        }
+        const revision = await storage.restoreRevision(workflowId, version);
+        cache.current.set(`${workflowId}:${revision.version}`, revision);
+        loadWorkflowData({
+            id: workflowId,
+            name: revision.name,
+            nodes: revision.nodes,
+            edges: revision.edges,
+            composites: revision.composites,
+            version: revision.version,
+        });
+    }, [storage, workflowId, loadWorkflowData]);
+
+    return { storageKind: storage.kind, revisions, loading, error, compare, restore };
+}
@@ -0,0 +1,48 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { getTemplateLibrary } from './useApi';
+import { BUILTIN_TEMPLATES, NewTemplate, WorkflowTemplate } from '../lib/templates';
+
+// Built-in templates, followed by the team's once they have loaded
+export function useTemplates() {
+    const library = useMemo(getTemplateLibrary, []);
+
+    const [team, setTeam] = useState<WorkflowTemplate[]>([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    const reload = useCallback(async () => {
+        setLoading(true);
+        try {
+            setTeam(await library.list());
+            setError(null);
+        } catch (e) {
+            setError(e instanceof Error ? e.message : 'Could not load team templates');
+        } finally {
+            setLoading(false);
+        }
+    }, [library]);
+
+    useEffect(() => {
+        reload();
+    }, [reload]);
+
+    const save = useCallback(async (template: NewTemplate) => {
+        const saved = await library.save(template);
+        setTeam((current) => [...current, saved]);
+        return saved;
+    }, [library]);
+
+    const remove = useCallback(async (id: string) => {
+        await library.remove(id);
+        setTeam((current) => current.filter((t) => t.id !== id));
+    }, [library]);
+
+    return {
+        storageKind: library.kind,
+        templates: useMemo(() => [...BUILTIN_TEMPLATES, ...team], [team]),
+        loading,
+        error,
+        save,
+        remove,
+    };
+}
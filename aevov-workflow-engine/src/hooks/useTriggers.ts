@@ -0,0 +1,83 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useWorkflowStore } from '../store';
+import { getTriggerApi } from './useApi';
+import { TriggerList, TriggerStatus } from '../lib/triggers';
+
+// Trigger status of the saved workflow, reloaded after every save and every fire
+export function useTriggers() {
+    const { workflowId, workflowVersion, openExecution } = useWorkflowStore();
+    const api = useMemo(getTriggerApi, []);
+
+    const [list, setList] = useState<TriggerList | null>(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [reloads, setReloads] = useState(0);
+
+    useEffect(() => {
+        if (api.kind === 'none' || !workflowId) {
+            setList(null);
+            return;
+        }
+
+        let active = true;
+        setLoading(true);
+        api.list(workflowId)
+            .then((result) => {
+                if (!active) {
+                    return;
+                }
+                setList(result);
+                setError(null);
+            })
+            .catch((e) => {
+                if (active) {
+                    setError(e instanceof Error ? e.message : 'Could not load triggers');
+                }
+            })
+            .finally(() => {
+                if (active) {
+                    setLoading(false);
+                }
+            });
+        return () => {
+            active = false;
+        };
+    }, [api, workflowId, workflowVersion, reloads]);
+
+    const reload = useCallback(() => setReloads((n) => n + 1), []);
+
+    // The run shows in the results panel like one started from the toolbar
+    const fire = useCallback(async (nodeId: string, payload: unknown) => {
+        const result = await api.fire(workflowId!, nodeId, payload);
+        openExecution({ ...result, log: result.log || [] });
+        reload();
+        return result;
+    }, [api, workflowId, openExecution, reload]);
+
+    const rotateSecret = useCallback(async (nodeId: string) => {
+        const updated = await api.rotateSecret(workflowId!, nodeId);
+        setList((current) => current && {
+            ...current,
+            triggers: current.triggers.map((t) => (t.nodeId === nodeId ? updated : t)),
+        });
+        return updated;
+    }, [api, workflowId]);
+
+    const find = useCallback(
+        (nodeId: string): TriggerStatus | null => list?.triggers.find((t) => t.nodeId === nodeId) ?? null,
+        [list]
+    );
+
+    return {
+        available: api.kind === 'wordpress',
+        saved: workflowId !== null,
+        timezone: list?.timezone ?? null,
+        schedulingEnabled: list?.schedulingEnabled ?? true,
+        loading,
+        error,
+        find,
+        reload,
+        fire,
+        rotateSecret,
+    };
+}
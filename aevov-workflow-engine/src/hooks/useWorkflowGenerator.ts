@@ -0,0 +1,66 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useWorkflowStore } from '../store';
+import { useApi } from './useApi';
+import { AiProvider } from '../types';
+import {
+    GeneratedWorkflow,
+    buildPlannerMessages,
+    buildWorkflowFromPlan,
+    generateWorkflowFromRules,
+    parsePlan,
+} from '../lib/generator';
+
+export interface GenerationOutcome extends GeneratedWorkflow {
+    // Provider that planned the graph, or null for the rule-based planner
+    provider: string | null;
+}
+
+export function useWorkflowGenerator() {
+    const { nodeTypes } = useWorkflowStore();
+    const { fetchAiProviders, completeWithProvider } = useApi();
+
+    const [providers, setProviders] = useState<AiProvider[]>([]);
+    const [loadingProviders, setLoadingProviders] = useState(true);
+
+    useEffect(() => {
+        let active = true;
+        fetchAiProviders()
+            .then((list) => {
+                if (active) {
+                    setProviders(list.filter((p) => p.configured));
+                }
+            })
+            .catch(() => {
+                // AI core not installed: only the rule-based planner is offered
+            })
+            .finally(() => {
+                if (active) {
+                    setLoadingProviders(false);
+                }
+            });
+        return () => {
+            active = false;
+        };
+    }, [fetchAiProviders]);
+
+    const generate = useCallback(async (prompt: string, provider: string | null): Promise<GenerationOutcome> => {
+        if (!provider) {
+            return { ...generateWorkflowFromRules(prompt, nodeTypes), provider: null };
+        }
+
+        try {
+            const content = await completeWithProvider(provider, buildPlannerMessages(prompt, nodeTypes));
+            return { ...buildWorkflowFromPlan(parsePlan(content), nodeTypes, prompt), provider };
+        } catch (error) {
+            const reason = error instanceof Error ? error.message : 'request failed';
+            const fallback = generateWorkflowFromRules(prompt, nodeTypes);
+            return {
+                ...fallback,
+                notes: [`${provider} could not plan this workflow (${reason}); used the rule-based planner`, ...fallback.notes],
+                provider: null,
+            };
+        }
+    }, [nodeTypes, completeWithProvider]);
+
+    return { providers, loadingProviders, generate };
+}
@@ -1,7 +1,11 @@
 import { createRoot } from 'react-dom/client';
 import { WorkflowBuilder } from './components/WorkflowBuilder';
+import { installNodeTypeApi, registerNodeType, unregisterNodeType } from './lib/nodeRegistry';
 import './styles/index.css';
 
+export { registerNodeType, unregisterNodeType, NodeTypeRegistrationError } from './lib/nodeRegistry';
+export type { NodeTypeRegistration, NodeConfigEditorProps, NodeRunContext } from './lib/nodeRegistry';
+
 declare global {
     interface Window {
         aevovWorkflowEngine: {
@@ -15,16 +19,23 @@ declare global {
                 maxNodes: number;
             };
             strings: Record<string, string>;
+            // Installed by the builder, see lib/nodeRegistry
+            registerNodeType?: typeof registerNodeType;
+            unregisterNodeType?: typeof unregisterNodeType;
         };
     }
 }
 
+// Plugin scripts enqueued after this one register their node types before the builder mounts
+installNodeTypeApi();
+
 // Initialize the workflow builder
 document.addEventListener('DOMContentLoaded', () => {
     const container = document.getElementById('aevov-workflow-builder');
     if (container) {
         const workflowId = container.dataset.workflowId || null;
+        const templateId = container.dataset.templateId || null;
         const root = createRoot(container);
-        root.render(<WorkflowBuilder initialWorkflowId={workflowId} />);
+        root.render(<WorkflowBuilder initialWorkflowId={workflowId} initialTemplateId={templateId} />);
     }
 });
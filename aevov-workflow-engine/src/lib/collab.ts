@@ -0,0 +1,477 @@
+import { Node, Edge } from 'reactflow';
+import { AevovNodeData, CompositeDefinition } from '../types';
+import { persistedGraph } from './revisions';
+
+// Co-editing: builders with the same saved workflow open send each other their changes
+// through a relay (relay/index.js) that only forwards messages. The shared graph is a
+// set of last-writer-wins registers, one for the workflow name, a node's existence, its
+// position and its data, one per edge and one per sub-workflow definition the graph
+// uses, so changes to different registers merge and every builder settles on the same
+// graph whatever order the messages arrive in.
+
+export interface Stamp {
+    clock: number;
+    peer: string;
+}
+
+export type CollabOp =
+    | { kind: 'name'; value: string; stamp: Stamp }
+    | { kind: 'node'; id: string; field: 'type'; value: string | null; stamp: Stamp }
+    | { kind: 'node'; id: string; field: 'position'; value: { x: number; y: number }; stamp: Stamp }
+    | { kind: 'node'; id: string; field: 'data'; value: AevovNodeData; stamp: Stamp }
+    | { kind: 'edge'; id: string; value: SharedEdge | null; stamp: Stamp }
+    | { kind: 'composite'; id: string; value: CompositeDefinition; stamp: Stamp };
+
+export type SharedEdge = ReturnType<typeof persistedGraph>['edges'][number];
+
+export interface SharedGraph {
+    name: string;
+    nodes: Node<AevovNodeData>[];
+    edges: Edge[];
+    // Definitions of the sub-workflows the graph uses
+    composites?: Record<string, CompositeDefinition>;
+}
+
+export interface Collaborator {
+    name: string;
+    color: string;
+}
+
+export interface PeerPresence extends Collaborator {
+    peer: string;
+    // Flow coordinates, null while the pointer is off the canvas
+    cursor: { x: number; y: number } | null;
+    // The node open in their config panel
+    selectedNodeId: string | null;
+    seenAt: number;
+}
+
+export type CollabMessage =
+    // Sent on joining; the others answer with their changes and presence
+    | { type: 'hello'; peer: string; user: Collaborator }
+    | { type: 'ops'; peer: string; ops: CollabOp[] }
+    | {
+        type: 'presence';
+        peer: string;
+        user: Collaborator;
+        cursor: { x: number; y: number } | null;
+        selectedNodeId: string | null;
+    }
+    // Someone saved the shared graph as this version
+    | { type: 'saved'; peer: string; version: number }
+    // Sent by the relay when a builder disconnects
+    | { type: 'left'; peer: string };
+
+interface Register<T> {
+    value: T;
+    stamp: Stamp;
+}
+
+interface NodeRegisters {
+    type: Register<string | null>;
+    position?: Register<{ x: number; y: number }>;
+    data?: Register<AevovNodeData>;
+}
+
+// The higher clock wins; equal clocks are settled by peer id so every builder agrees
+function isNewer(a: Stamp, b: Stamp): boolean {
+    return a.clock > b.clock || (a.clock === b.clock && a.peer > b.peer);
+}
+
+export class CollabDoc {
+    private clock = 0;
+    private name: Register<string> | null = null;
+    private nodes = new Map<string, NodeRegisters>();
+    private edges = new Map<string, Register<SharedEdge | null>>();
+    // Definitions are only ever added or replaced; one no longer used just goes unread
+    private composites = new Map<string, Register<CompositeDefinition>>();
+
+    readonly peer: string;
+
+    constructor(peer: string) {
+        this.peer = peer;
+    }
+
+    // Starts from a saved version. Its values carry clock 0 and lose to any edit, and
+    // when two builders opened different versions the later version wins.
+    load(graph: SharedGraph, version: number | null) {
+        const stamp = { clock: 0, peer: `v${String(version ?? 0).padStart(10, '0')}` };
+        const persisted = persistedGraph(graph);
+
+        this.name = { value: graph.name, stamp };
+        this.nodes.clear();
+        this.edges.clear();
+        persisted.nodes.forEach((node) => {
+            this.nodes.set(node.id, {
+                type: { value: node.type ?? 'aevovNode', stamp },
+                position: { value: node.position, stamp },
+                data: { value: node.data, stamp },
+            });
+        });
+        persisted.edges.forEach((edge) => {
+            this.edges.set(edge.id, { value: edge, stamp });
+        });
+        this.composites.clear();
+        Object.values(graph.composites || {}).forEach((definition) => {
+            this.composites.set(definition.id, { value: definition, stamp });
+        });
+    }
+
+    // Records the difference between two states of the local canvas and returns it as ops
+    localChanges(before: SharedGraph, after: SharedGraph): CollabOp[] {
+        const stamp = { clock: ++this.clock, peer: this.peer };
+        const ops: CollabOp[] = [];
+
+        if (before.name !== after.name) {
+            ops.push({ kind: 'name', value: after.name, stamp });
+        }
+
+        const beforeNodes = new Map(before.nodes.map((n) => [n.id, n]));
+        after.nodes.forEach((node) => {
+            const previous = beforeNodes.get(node.id);
+            if (!previous || previous.type !== node.type) {
+                ops.push({ kind: 'node', id: node.id, field: 'type', value: node.type ?? 'aevovNode', stamp });
+            }
+            if (!previous || previous.position.x !== node.position.x || previous.position.y !== node.position.y) {
+                ops.push({ kind: 'node', id: node.id, field: 'position', value: { ...node.position }, stamp });
+            }
+            if (!previous || (previous.data !== node.data && !sameJson(previous.data, node.data))) {
+                ops.push({ kind: 'node', id: node.id, field: 'data', value: node.data, stamp });
+            }
+        });
+        const afterNodeIds = new Set(after.nodes.map((n) => n.id));
+        before.nodes.forEach((node) => {
+            if (!afterNodeIds.has(node.id)) {
+                ops.push({ kind: 'node', id: node.id, field: 'type', value: null, stamp });
+            }
+        });
+
+        const beforeEdges = new Map(persistedGraph({ nodes: [], edges: before.edges }).edges.map((e) => [e.id, e]));
+        const afterEdges = persistedGraph({ nodes: [], edges: after.edges }).edges;
+        afterEdges.forEach((edge) => {
+            const previous = beforeEdges.get(edge.id);
+            if (!previous || !sameJson(previous, edge)) {
+                ops.push({ kind: 'edge', id: edge.id, value: edge, stamp });
+            }
+            beforeEdges.delete(edge.id);
+        });
+        beforeEdges.forEach((edge) => {
+            ops.push({ kind: 'edge', id: edge.id, value: null, stamp });
+        });
+
+        Object.values(after.composites || {}).forEach((definition) => {
+            const previous = before.composites?.[definition.id];
+            if (!previous || (previous !== definition && !sameJson(previous, definition))) {
+                ops.push({ kind: 'composite', id: definition.id, value: definition, stamp });
+            }
+        });
+
+        ops.forEach((op) => this.apply(op));
+        return ops;
+    }
+
+    // Merges ops from another builder; true when the shared graph changed
+    applyRemote(ops: CollabOp[]): boolean {
+        let changed = false;
+        ops.forEach((op) => {
+            this.clock = Math.max(this.clock, op.stamp.clock);
+            if (this.apply(op)) {
+                changed = true;
+            }
+        });
+        return changed;
+    }
+
+    // Everything edited since the saved version was loaded, for builders that join later
+    changes(): CollabOp[] {
+        const ops: CollabOp[] = [];
+        const edited = (register?: Register<unknown>) => register !== undefined && register.stamp.clock > 0;
+
+        if (this.name && edited(this.name)) {
+            ops.push({ kind: 'name', value: this.name.value, stamp: this.name.stamp });
+        }
+        this.nodes.forEach((registers, id) => {
+            if (edited(registers.type)) {
+                ops.push({ kind: 'node', id, field: 'type', value: registers.type.value, stamp: registers.type.stamp });
+            }
+            if (registers.position && edited(registers.position)) {
+                ops.push({ kind: 'node', id, field: 'position', value: registers.position.value, stamp: registers.position.stamp });
+            }
+            if (registers.data && edited(registers.data)) {
+                ops.push({ kind: 'node', id, field: 'data', value: registers.data.value, stamp: registers.data.stamp });
+            }
+        });
+        this.edges.forEach((register, id) => {
+            if (edited(register)) {
+                ops.push({ kind: 'edge', id, value: register.value, stamp: register.stamp });
+            }
+        });
+        this.composites.forEach((register, id) => {
+            if (edited(register)) {
+                ops.push({ kind: 'composite', id, value: register.value, stamp: register.stamp });
+            }
+        });
+        return ops;
+    }
+
+    // The shared graph laid over the canvas. Nodes and edges that didn't change keep
+    // their objects, so selection and measurements survive and React skips them.
+    materialize(current: SharedGraph): SharedGraph {
+        const currentNodes = new Map(current.nodes.map((n) => [n.id, n]));
+        const ids = [
+            ...current.nodes.map((n) => n.id).filter((id) => this.nodes.has(id)),
+            ...[...this.nodes.keys()].filter((id) => !currentNodes.has(id)),
+        ];
+
+        const nodes: Node<AevovNodeData>[] = [];
+        ids.forEach((id) => {
+            const registers = this.nodes.get(id)!;
+            // A node whose position or data hasn't arrived yet waits for it
+            if (registers.type.value === null || !registers.position || !registers.data) {
+                return;
+            }
+
+            const type = registers.type.value;
+            const position = registers.position.value;
+            const data = registers.data.value;
+            const existing = currentNodes.get(id);
+            if (
+                existing
+                && existing.type === type
+                && existing.data === data
+                && existing.position.x === position.x
+                && existing.position.y === position.y
+            ) {
+                nodes.push(existing);
+            } else {
+                nodes.push({ ...existing, id, type, position: { ...position }, data });
+            }
+        });
+
+        const nodeIds = new Set(nodes.map((n) => n.id));
+        const currentEdges = new Map(current.edges.map((e) => [e.id, e]));
+        const edges: Edge[] = [];
+        const edgeIds = [
+            ...current.edges.map((e) => e.id).filter((id) => this.edges.has(id)),
+            ...[...this.edges.keys()].filter((id) => !currentEdges.has(id)),
+        ];
+        edgeIds.forEach((id) => {
+            const shared = this.edges.get(id)!.value;
+            // Connections to a node someone else deleted go with it
+            if (!shared || !nodeIds.has(shared.source) || !nodeIds.has(shared.target)) {
+                return;
+            }
+
+            const existing = currentEdges.get(id);
+            if (existing && sameJson(persistedGraph({ nodes: [], edges: [existing] }).edges[0], shared)) {
+                edges.push(existing);
+            } else {
+                edges.push({ ...existing, ...shared } as Edge);
+            }
+        });
+
+        const composites: Record<string, CompositeDefinition> = {};
+        this.composites.forEach((register, id) => {
+            composites[id] = register.value;
+        });
+
+        return { name: this.name?.value ?? current.name, nodes, edges, composites };
+    }
+
+    private apply(op: CollabOp): boolean {
+        const accept = <T>(register: Register<T> | null | undefined): boolean =>
+            !register || isNewer(op.stamp, register.stamp);
+
+        if (op.kind === 'name') {
+            if (!accept(this.name)) {
+                return false;
+            }
+            this.name = { value: op.value, stamp: op.stamp };
+            return true;
+        }
+
+        if (op.kind === 'edge') {
+            if (!accept(this.edges.get(op.id))) {
+                return false;
+            }
+            this.edges.set(op.id, { value: op.value, stamp: op.stamp });
+            return true;
+        }
+
+        if (op.kind === 'composite') {
+            if (!accept(this.composites.get(op.id))) {
+                return false;
+            }
+            this.composites.set(op.id, { value: op.value, stamp: op.stamp });
+            return true;
+        }
+
+        let registers = this.nodes.get(op.id);
+        if (!registers) {
+            // Position or data arriving before the node itself; it stays hidden until created
+            registers = { type: { value: null, stamp: { clock: -1, peer: '' } } };
+            this.nodes.set(op.id, registers);
+        }
+        switch (op.field) {
+            case 'type':
+                if (!accept(registers.type)) {
+                    return false;
+                }
+                registers.type = { value: op.value, stamp: op.stamp };
+                return true;
+            case 'position':
+                if (!accept(registers.position)) {
+                    return false;
+                }
+                registers.position = { value: op.value, stamp: op.stamp };
+                return true;
+            case 'data':
+                if (!accept(registers.data)) {
+                    return false;
+                }
+                registers.data = { value: op.value, stamp: op.stamp };
+                return true;
+        }
+    }
+}
+
+function sameJson(a: unknown, b: unknown): boolean {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+export function randomPeerId(): string {
+    return Math.random().toString(36).slice(2, 10) + Date.now().toString(36).slice(-4);
+}
+
+const PEER_COLORS = ['#f97316', '#22c55e', '#a855f7', '#ec4899', '#06b6d4', '#eab308', '#ef4444', '#3b82f6'];
+
+export function peerColor(peer: string): string {
+    let hash = 0;
+    for (let i = 0; i < peer.length; i++) {
+        // Kept below 2^31 so the sum stays an exact integer
+        hash = (hash * 31 + peer.charCodeAt(i)) % 0x7fffffff;
+    }
+    return PEER_COLORS[hash % PEER_COLORS.length];
+}
+
+export function initials(name: string): string {
+    const words = name.trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+        return '?';
+    }
+    return (words[0][0] + (words.length > 1 ? words[words.length - 1][0] : '')).toUpperCase();
+}
+
+// Where a builder joins the co-editing session for a workflow
+export interface CollabSession {
+    url: string;
+    room: string;
+}
+
+export class CollabError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'CollabError';
+    }
+}
+
+export interface CollabApi {
+    kind: 'wordpress' | 'local' | 'none';
+    // Null when the site has no relay configured
+    session: (workflowId: string) => Promise<CollabSession | null>;
+}
+
+type Request = <T>(endpoint: string, options?: RequestInit) => Promise<T>;
+
+// The site names the room, so only users who can edit the workflow learn it
+export function createRestCollabApi(request: Request): CollabApi {
+    return {
+        kind: 'wordpress',
+        session: async (workflowId) => {
+            const response = await request<{ enabled: boolean; url?: string; room?: string }>(
+                `/workflows/${workflowId}/collab`
+            );
+            return response.enabled && response.url && response.room
+                ? { url: response.url, room: response.room }
+                : null;
+        },
+    };
+}
+
+// The standalone builder keeps workflows in this browser, so the relay only ever
+// joins its tabs together
+export function createLocalCollabApi(url: string | undefined): CollabApi {
+    if (!url) {
+        return { kind: 'none', session: async () => null };
+    }
+    return { kind: 'local', session: async (workflowId) => ({ url, room: workflowId }) };
+}
+
+export type CollabStatus = 'off' | 'connecting' | 'connected' | 'offline';
+
+// How messages travel between builders. The WebSocket relay is the only one for now.
+export interface CollabTransport {
+    send: (message: CollabMessage) => void;
+    close: () => void;
+}
+
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+export function connectRelay(
+    session: CollabSession,
+    peer: string,
+    handlers: { onMessage: (message: CollabMessage) => void; onStatus: (status: CollabStatus) => void }
+): CollabTransport {
+    let socket: WebSocket | null = null;
+    let closed = false;
+    let delay = RECONNECT_MIN_MS;
+    let retry: ReturnType<typeof setTimeout> | null = null;
+
+    const connect = () => {
+        handlers.onStatus('connecting');
+        const url = new URL(session.url);
+        url.searchParams.set('room', session.room);
+        url.searchParams.set('peer', peer);
+        socket = new WebSocket(url.toString());
+
+        socket.onopen = () => {
+            delay = RECONNECT_MIN_MS;
+            handlers.onStatus('connected');
+        };
+        socket.onmessage = (event) => {
+            try {
+                handlers.onMessage(JSON.parse(String(event.data)));
+            } catch {
+                // Not a message from a builder
+            }
+        };
+        socket.onclose = () => {
+            socket = null;
+            if (closed) {
+                return;
+            }
+            handlers.onStatus('offline');
+            retry = setTimeout(connect, delay);
+            delay = Math.min(delay * 2, RECONNECT_MAX_MS);
+        };
+    };
+
+    connect();
+
+    return {
+        // Messages sent while disconnected are dropped; builders catch up when they rejoin
+        send: (message) => {
+            if (socket?.readyState === WebSocket.OPEN) {
+                socket.send(JSON.stringify(message));
+            }
+        },
+        close: () => {
+            closed = true;
+            if (retry) {
+                clearTimeout(retry);
+            }
+            socket?.close();
+        },
+    };
+}
@@ -0,0 +1,468 @@
+import { Node, Edge } from 'reactflow';
+import {
+    AevovNodeData,
+    CompositeDefinition,
+    CompositePort,
+    ExecutionEvent,
+    HandleDefinition,
+    NodeTypeDefinition,
+} from '../types';
+import { createNode } from './graph';
+import { findHandle } from './validation';
+import { outputHandles } from './errorPolicy';
+
+// Composite nodes reference a library definition through their node type
+export const COMPOSITE_TYPE_PREFIX = 'composite:';
+
+const LIBRARY_STORAGE_KEY = 'aevov-workflow-composites';
+
+// Endpoints stay on the outer graph so inputs and outputs remain visible there
+const ENDPOINT_TYPES = ['input', 'output'];
+
+let compositeCounter = 0;
+
+export class CompositeError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'CompositeError';
+    }
+}
+
+export interface FlattenedWorkflow {
+    nodes: Node<AevovNodeData>[];
+    edges: Edge[];
+    // Flattened node id -> id of the top-level composite node it came from
+    owners: Record<string, string>;
+    // Flattened node ids that feed a top-level composite's outputs
+    exits: Record<string, string>;
+}
+
+export function isCompositeType(nodeType: string): boolean {
+    return nodeType.startsWith(COMPOSITE_TYPE_PREFIX);
+}
+
+export function compositeTypeFor(definitionId: string): string {
+    return `${COMPOSITE_TYPE_PREFIX}${definitionId}`;
+}
+
+export function compositeIdOf(nodeType: string): string | null {
+    return isCompositeType(nodeType) ? nodeType.slice(COMPOSITE_TYPE_PREFIX.length) : null;
+}
+
+export function compositeNodeType(definition: CompositeDefinition): NodeTypeDefinition {
+    return {
+        type: compositeTypeFor(definition.id),
+        label: definition.name,
+        category: 'composite',
+        description: definition.description || `${definition.nodes.length} nodes`,
+        icon: 'Boxes',
+        color: '#6366f1',
+        inputs: definition.inputs.map(toHandle),
+        outputs: definition.outputs.map(toHandle),
+        configFields: [],
+    };
+}
+
+export function compositeNodeTypes(composites: Record<string, CompositeDefinition>): Record<string, NodeTypeDefinition> {
+    const types: Record<string, NodeTypeDefinition> = {};
+    Object.values(composites).forEach((definition) => {
+        types[compositeTypeFor(definition.id)] = compositeNodeType(definition);
+    });
+    return types;
+}
+
+export function collapseToComposite(
+    nodes: Node<AevovNodeData>[],
+    edges: Edge[],
+    nodeIds: string[],
+    name: string
+): { definition: CompositeDefinition; instance: Node<AevovNodeData>; nodes: Node<AevovNodeData>[]; edges: Edge[] } | null {
+    const members = nodes.filter((n) => nodeIds.includes(n.id) && !ENDPOINT_TYPES.includes(n.data.nodeType));
+    if (members.length === 0) {
+        return null;
+    }
+
+    const memberIds = new Set(members.map((n) => n.id));
+    const memberMap = new Map(members.map((n) => [n.id, n]));
+    const internal = edges.filter((e) => memberIds.has(e.source) && memberIds.has(e.target));
+    const incoming = edges.filter((e) => !memberIds.has(e.source) && memberIds.has(e.target));
+    const outgoing = edges.filter((e) => memberIds.has(e.source) && !memberIds.has(e.target));
+
+    // Handles wired to the outside stay exposed even if they are also connected inside
+    const boundary: { nodeId: string; handleId: string | null }[] = [
+        ...incoming.map((e) => ({ nodeId: e.target, handleId: resolveHandleId(memberMap.get(e.target)!.data.inputs, e.targetHandle) })),
+        ...outgoing.map((e) => ({ nodeId: e.source, handleId: resolveHandleId(memberMap.get(e.source)!.data.outputs, e.sourceHandle) })),
+    ];
+
+    const left = Math.min(...members.map((n) => n.position.x));
+    const top = Math.min(...members.map((n) => n.position.y));
+    const innerNodes = members.map((n) => ({
+        ...n,
+        position: { x: n.position.x - left + 100, y: n.position.y - top + 100 },
+        positionAbsolute: undefined,
+        selected: false,
+        dragging: false,
+    }));
+
+    const definition: CompositeDefinition = {
+        id: `composite_${++compositeCounter}_${Date.now()}`,
+        name,
+        nodes: innerNodes,
+        edges: internal.map((e) => ({ ...e, selected: false })),
+        ...computePorts(innerNodes, internal, boundary),
+        updatedAt: new Date().toISOString(),
+    };
+
+    const center = {
+        x: members.reduce((sum, n) => sum + n.position.x, 0) / members.length,
+        y: members.reduce((sum, n) => sum + n.position.y, 0) / members.length,
+    };
+    const instance = createNode(compositeTypeFor(definition.id), compositeNodeType(definition), center, { label: name });
+
+    const outerEdges = edges
+        .filter((e) => !memberIds.has(e.source) && !memberIds.has(e.target))
+        .concat(
+            incoming.map((e) => ({
+                ...e,
+                target: instance.id,
+                targetHandle: portId(e.target, resolveHandleId(memberMap.get(e.target)!.data.inputs, e.targetHandle)),
+            })),
+            outgoing.map((e) => ({
+                ...e,
+                source: instance.id,
+                sourceHandle: portId(e.source, resolveHandleId(memberMap.get(e.source)!.data.outputs, e.sourceHandle)),
+            }))
+        );
+
+    return {
+        definition,
+        instance,
+        nodes: [...nodes.filter((n) => !memberIds.has(n.id)), instance],
+        edges: outerEdges,
+    };
+}
+
+// Re-derives the ports after the inner graph was edited. Ports that still point at an
+// existing handle are kept so outer connections survive; handles that became
+// unconnected are exposed as new ports.
+export function rebuildDefinition(
+    definition: CompositeDefinition,
+    nodes: Node<AevovNodeData>[],
+    edges: Edge[]
+): CompositeDefinition {
+    const keep = [...definition.inputs, ...definition.outputs].map((p) => ({ nodeId: p.nodeId, handleId: p.handleId }));
+    return {
+        ...definition,
+        nodes: nodes.map((n) => ({ ...n, selected: false, dragging: false })),
+        edges: edges.map((e) => ({ ...e, selected: false })),
+        ...computePorts(nodes, edges, keep),
+        updatedAt: new Date().toISOString(),
+    };
+}
+
+// Points every composite instance at the current ports of its definition
+export function syncCompositeInstances(
+    nodes: Node<AevovNodeData>[],
+    composites: Record<string, CompositeDefinition>
+): Node<AevovNodeData>[] {
+    return nodes.map((n) => {
+        const id = compositeIdOf(n.data.nodeType);
+        const definition = id ? composites[id] : undefined;
+        if (!definition) {
+            return n;
+        }
+        return {
+            ...n,
+            data: {
+                ...n.data,
+                inputs: definition.inputs.map(toHandle),
+                outputs: definition.outputs.map(toHandle),
+            },
+        };
+    });
+}
+
+export function usesComposite(
+    nodes: Node<AevovNodeData>[],
+    definitionId: string,
+    composites: Record<string, CompositeDefinition>
+): boolean {
+    const type = compositeTypeFor(definitionId);
+    return nodes.some((n) => n.data.nodeType === type)
+        || Object.values(composites).some((d) => d.id !== definitionId && d.nodes.some((n) => n.data.nodeType === type));
+}
+
+// The definitions a graph needs, including those nested inside them. They travel with
+// the workflow when it is saved, exported or shared, so it runs without this library.
+export function compositesUsedBy(
+    nodes: Node<AevovNodeData>[],
+    composites: Record<string, CompositeDefinition>
+): Record<string, CompositeDefinition> {
+    const used: Record<string, CompositeDefinition> = {};
+    const visit = (graph: Node<AevovNodeData>[]) => {
+        graph.forEach((node) => {
+            const id = compositeIdOf(node.data.nodeType);
+            if (!id || used[id] || !composites[id]) {
+                return;
+            }
+            used[id] = composites[id];
+            visit(composites[id].nodes);
+        });
+    };
+    visit(nodes);
+    return used;
+}
+
+// Adds definitions that came with a workflow to the library. A definition the library
+// already has is replaced only by a newer edit of it.
+export function mergeCompositeLibrary(
+    library: Record<string, CompositeDefinition>,
+    incoming: Record<string, CompositeDefinition> | undefined
+): Record<string, CompositeDefinition> {
+    const newer = Object.values(incoming || {}).filter((definition) => {
+        const existing = library[definition.id];
+        return !existing || definition.updatedAt > existing.updatedAt;
+    });
+    if (newer.length === 0) {
+        return library;
+    }
+
+    const merged = { ...library };
+    newer.forEach((definition) => {
+        merged[definition.id] = definition;
+    });
+    return merged;
+}
+
+// Inlines every composite so the server sees a plain graph. Inner node ids are
+// prefixed with the path of composite node ids that contain them.
+export function flattenWorkflow(
+    nodes: Node<AevovNodeData>[],
+    edges: Edge[],
+    composites: Record<string, CompositeDefinition>
+): FlattenedWorkflow {
+    const root = flattenGraph(nodes, edges, composites, '', []);
+    const owners: Record<string, string> = {};
+    const exits: Record<string, string> = {};
+
+    root.expanded.forEach(({ definition, graph }, nodeId) => {
+        graph.nodes.forEach((n) => {
+            owners[n.id] = nodeId;
+        });
+        definition.outputs.forEach((port) => {
+            const exit = graph.endpoint(port.nodeId, port.handleId, 'source');
+            if (exit) {
+                exits[exit.node] = nodeId;
+            }
+        });
+    });
+
+    return { nodes: root.nodes, edges: root.edges, owners, exits };
+}
+
+// A breakpoint on a composite node pauses before each of its inner nodes
+export function expandBreakpoints(flattened: FlattenedWorkflow, breakpoints: string[]): string[] {
+    const inner = Object.entries(flattened.owners)
+        .filter(([, owner]) => breakpoints.includes(owner))
+        .map(([nodeId]) => nodeId);
+    return [...breakpoints, ...inner];
+}
+
+// Reports progress of inner nodes on the composite node that contains them
+export function mapCompositeEvents(
+    flattened: FlattenedWorkflow,
+    emit: (event: ExecutionEvent) => void
+): (event: ExecutionEvent) => void {
+    const started = new Set<string>();
+
+    return (event) => {
+        const owner = 'node_id' in event ? flattened.owners[event.node_id] : undefined;
+        if (!owner || !('node_id' in event)) {
+            emit(event);
+            return;
+        }
+
+        switch (event.type) {
+            case 'node_started':
+                if (!started.has(owner)) {
+                    started.add(owner);
+                    emit({ ...event, node_id: owner });
+                }
+                break;
+            case 'node_output':
+                if (flattened.exits[event.node_id] === owner) {
+                    emit({ ...event, node_id: owner });
+                }
+                break;
+            case 'node_error':
+            case 'node_retry':
+            case 'node_paused':
+                emit({ ...event, node_id: owner });
+                break;
+            case 'node_skipped':
+                if (!started.has(owner)) {
+                    emit({ ...event, node_id: owner });
+                }
+                break;
+        }
+    };
+}
+
+export function loadCompositeLibrary(): Record<string, CompositeDefinition> {
+    if (typeof window === 'undefined' || !window.localStorage) {
+        return {};
+    }
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(LIBRARY_STORAGE_KEY) || '{}');
+        return stored && typeof stored === 'object' ? stored : {};
+    } catch {
+        return {};
+    }
+}
+
+export function saveCompositeLibrary(composites: Record<string, CompositeDefinition>): void {
+    if (typeof window === 'undefined' || !window.localStorage) {
+        return;
+    }
+    try {
+        window.localStorage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(composites));
+    } catch (error) {
+        console.error('Failed to save sub-workflow library:', error);
+    }
+}
+
+interface FlatGraph {
+    nodes: Node<AevovNodeData>[];
+    edges: Edge[];
+    expanded: Map<string, { definition: CompositeDefinition; graph: FlatGraph }>;
+    endpoint: (nodeId: string, handleId: string | null | undefined, side: 'source' | 'target') => { node: string; handle: string | null } | null;
+}
+
+function flattenGraph(
+    nodes: Node<AevovNodeData>[],
+    edges: Edge[],
+    composites: Record<string, CompositeDefinition>,
+    prefix: string,
+    trail: string[]
+): FlatGraph {
+    const expanded = new Map<string, { definition: CompositeDefinition; graph: FlatGraph }>();
+    const flatNodes: Node<AevovNodeData>[] = [];
+    const flatEdges: Edge[] = [];
+
+    nodes.forEach((node) => {
+        const definitionId = compositeIdOf(node.data.nodeType);
+        if (!definitionId) {
+            flatNodes.push({ ...node, id: `${prefix}${node.id}` });
+            return;
+        }
+
+        const definition = composites[definitionId];
+        if (!definition) {
+            throw new CompositeError(`Sub-workflow "${node.data.label}" is missing from the library`);
+        }
+        if (trail.includes(definitionId)) {
+            throw new CompositeError(`Sub-workflow "${definition.name}" contains itself`);
+        }
+
+        const graph = flattenGraph(definition.nodes, definition.edges, composites, `${prefix}${node.id}/`, [...trail, definitionId]);
+        expanded.set(node.id, { definition, graph });
+        flatNodes.push(...graph.nodes);
+        flatEdges.push(...graph.edges);
+    });
+
+    const endpoint: FlatGraph['endpoint'] = (nodeId, handleId, side) => {
+        const inner = expanded.get(nodeId);
+        if (!inner) {
+            return { node: `${prefix}${nodeId}`, handle: handleId ?? null };
+        }
+
+        const ports = side === 'target' ? inner.definition.inputs : inner.definition.outputs;
+        const port = ports.find((p) => p.id === handleId) || (!handleId && ports.length === 1 ? ports[0] : undefined);
+        return port ? inner.graph.endpoint(port.nodeId, port.handleId, side) : null;
+    };
+
+    edges.forEach((edge) => {
+        const source = endpoint(edge.source, edge.sourceHandle, 'source');
+        const target = endpoint(edge.target, edge.targetHandle, 'target');
+        // Edges onto ports that no longer exist are reported by validation, not sent
+        if (!source || !target) {
+            return;
+        }
+
+        flatEdges.push({
+            ...edge,
+            id: `${prefix}${edge.id}`,
+            source: source.node,
+            sourceHandle: source.handle,
+            target: target.node,
+            targetHandle: target.handle,
+        });
+    });
+
+    return { nodes: flatNodes, edges: flatEdges, expanded, endpoint };
+}
+
+function computePorts(
+    nodes: Node<AevovNodeData>[],
+    edges: Edge[],
+    keep: { nodeId: string; handleId: string | null }[]
+): { inputs: CompositePort[]; outputs: CompositePort[] } {
+    const inputs: CompositePort[] = [];
+    const outputs: CompositePort[] = [];
+    const kept = (nodeId: string, handleId: string | null) =>
+        keep.some((k) => k.nodeId === nodeId && k.handleId === handleId);
+
+    nodes.forEach((node) => {
+        // Nodes without declared handles render one untyped handle per side
+        const untyped = node.data.inputs.length === 0 && node.data.outputs.length === 0;
+        const nodeInputs: (HandleDefinition | null)[] = untyped ? [null] : node.data.inputs;
+        const nodeOutputs: (HandleDefinition | null)[] = untyped ? [null] : outputHandles(node.data);
+
+        nodeInputs.forEach((handle) => {
+            const handleId = handle?.id ?? null;
+            const connected = edges.some(
+                (e) => e.target === node.id && resolveHandleId(node.data.inputs, e.targetHandle) === handleId
+            );
+            if (!connected || kept(node.id, handleId)) {
+                inputs.push(toPort(node, handle, nodeInputs.length));
+            }
+        });
+
+        nodeOutputs.forEach((handle) => {
+            const handleId = handle?.id ?? null;
+            const connected = edges.some(
+                (e) => e.source === node.id && resolveHandleId(node.data.outputs, e.sourceHandle) === handleId
+            );
+            if (!connected || kept(node.id, handleId)) {
+                outputs.push(toPort(node, handle, nodeOutputs.length));
+            }
+        });
+    });
+
+    return { inputs, outputs };
+}
+
+function toPort(node: Node<AevovNodeData>, handle: HandleDefinition | null, siblings: number): CompositePort {
+    return {
+        id: portId(node.id, handle?.id ?? null),
+        label: handle && siblings > 1 ? `${node.data.label} ${handle.label}` : node.data.label,
+        type: handle?.type ?? 'any',
+        nodeId: node.id,
+        handleId: handle?.id ?? null,
+    };
+}
+
+function toHandle(port: CompositePort): HandleDefinition {
+    return { id: port.id, label: port.label, type: port.type };
+}
+
+function portId(nodeId: string, handleId: string | null): string {
+    return handleId ? `${nodeId}:${handleId}` : nodeId;
+}
+
+function resolveHandleId(handles: HandleDefinition[], handleId: string | null | undefined): string | null {
+    if (handles.length === 0) {
+        return null;
+    }
+    return findHandle(handles, handleId)?.id ?? handleId ?? null;
+}
@@ -0,0 +1,154 @@
+import { ConfigField } from '../types';
+import { formatSchemaError, validateJsonSchema } from './jsonSchema';
+import { matchesPattern } from './inputs';
+import { cronError } from './cron';
+import { expressionError } from '../engine/expression';
+
+// Visibility and validation of node config fields, shared by the config panel and
+// workflow validation
+
+export function fieldValue(field: ConfigField, config: Record<string, unknown> | undefined): unknown {
+    return config?.[field.key] ?? field.defaultValue;
+}
+
+// Fields with showWhen are hidden, and not validated, unless the other field matches
+export function isFieldVisible(field: ConfigField, fields: ConfigField[], config: Record<string, unknown> | undefined): boolean {
+    if (!field.showWhen) {
+        return true;
+    }
+    const controller = fields.find((f) => f.key === field.showWhen!.field);
+    if (!controller || !isFieldVisible(controller, fields, config)) {
+        return false;
+    }
+
+    const current = fieldValue(controller, config);
+    const expected = Array.isArray(field.showWhen.equals) ? field.showWhen.equals : [field.showWhen.equals];
+    return expected.some((value) => value === current);
+}
+
+export function visibleFields(fields: ConfigField[], config: Record<string, unknown> | undefined): ConfigField[] {
+    return fields.filter((field) => isFieldVisible(field, fields, config));
+}
+
+export function isEmptyValue(value: unknown): boolean {
+    if (value === undefined || value === null) {
+        return true;
+    }
+    if (typeof value === 'string') {
+        return value.trim() === '';
+    }
+    if (typeof value === 'number') {
+        return Number.isNaN(value);
+    }
+    if (Array.isArray(value)) {
+        return value.length === 0;
+    }
+    if (typeof value === 'object') {
+        return Object.keys(value).length === 0;
+    }
+    return false;
+}
+
+// First problem with a field's value, or null. Empty optional fields are always valid.
+export function validateConfigValue(field: ConfigField, value: unknown): string | null {
+    if (isEmptyValue(value)) {
+        return field.required ? 'Required' : null;
+    }
+
+    switch (field.type) {
+        case 'number':
+        case 'range': {
+            const number = typeof value === 'number' ? value : Number(value);
+            if (!Number.isFinite(number)) {
+                return 'Must be a number';
+            }
+            if (field.min !== undefined && number < field.min) {
+                return `Must be at least ${field.min}`;
+            }
+            if (field.max !== undefined && number > field.max) {
+                return `Must be at most ${field.max}`;
+            }
+            return null;
+        }
+
+        case 'multiSelect': {
+            if (!Array.isArray(value)) {
+                return 'Must be a list';
+            }
+            const allowed = (field.options || []).map((option) => option.value);
+            const unknown = value.filter((item) => !allowed.includes(String(item)));
+            if (allowed.length > 0 && unknown.length > 0) {
+                return `Unknown choice: ${unknown.join(', ')}`;
+            }
+            if (field.min !== undefined && value.length < field.min) {
+                return `Choose at least ${field.min}`;
+            }
+            if (field.max !== undefined && value.length > field.max) {
+                return `Choose at most ${field.max}`;
+            }
+            return null;
+        }
+
+        case 'select':
+            if (field.options && !field.options.some((option) => option.value === String(value))) {
+                return 'Not one of the choices';
+            }
+            return null;
+
+        case 'keyValue': {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                return 'Must be a list of names and values';
+            }
+            const blank = Object.keys(value as Record<string, unknown>).some((key) => key.trim() === '');
+            return blank ? 'Every entry needs a name' : null;
+        }
+
+        case 'json': {
+            let parsed = value;
+            if (typeof value === 'string') {
+                try {
+                    parsed = JSON.parse(value);
+                } catch {
+                    return 'Must be valid JSON';
+                }
+            }
+            const errors = field.schema ? validateJsonSchema(field.schema, parsed) : [];
+            return errors.length > 0 ? formatSchemaError(errors[0]) : null;
+        }
+
+        case 'cron':
+            return cronError(String(value));
+
+        case 'code':
+            return field.language === 'expression' ? expressionError(String(value)) : null;
+
+        case 'boolean':
+            return null;
+
+        default: {
+            const text = String(value);
+            if (field.min !== undefined && text.length < field.min) {
+                return `Must be at least ${field.min} characters`;
+            }
+            if (field.max !== undefined && text.length > field.max) {
+                return `Must be at most ${field.max} characters`;
+            }
+            if (field.pattern && !matchesPattern(field.pattern, text)) {
+                return field.patternMessage || `Must match ${field.pattern}`;
+            }
+            return null;
+        }
+    }
+}
+
+// Problems with every visible field of a node's config, keyed by field key
+export function validateConfig(fields: ConfigField[], config: Record<string, unknown> | undefined): Record<string, string> {
+    const errors: Record<string, string> = {};
+    visibleFields(fields, config).forEach((field) => {
+        const error = validateConfigValue(field, fieldValue(field, config));
+        if (error) {
+            errors[field.key] = error;
+        }
+    });
+    return errors;
+}
@@ -0,0 +1,192 @@
+import { Node } from 'reactflow';
+import { AevovNodeData, ConfigField, NodeTypeDefinition } from '../types';
+
+// Credentials live encrypted on the site, behind the /credentials routes. The builder
+// only ever sees this summary and stores the id in node config; secrets are write-only.
+
+export type CredentialType = 'header' | 'bearer' | 'basic' | 'query';
+
+export interface CredentialSummary {
+    id: string;
+    name: string;
+    type: CredentialType;
+    // Header name, query parameter or user name; null for bearer tokens
+    key: string | null;
+    shared: boolean;
+    owner: string | null;
+    canManage: boolean;
+    createdAt: string;
+    updatedAt: string;
+}
+
+export interface CredentialInput {
+    name: string;
+    type: CredentialType;
+    key?: string;
+    // Left empty on update to keep the stored secret
+    secret?: string;
+    shared?: boolean;
+}
+
+export const CREDENTIAL_TYPES: { value: CredentialType; label: string; keyLabel: string | null; secretLabel: string }[] = [
+    { value: 'header', label: 'Header', keyLabel: 'Header name', secretLabel: 'Value' },
+    { value: 'bearer', label: 'Bearer token', keyLabel: null, secretLabel: 'Token' },
+    { value: 'basic', label: 'Basic auth', keyLabel: 'User name', secretLabel: 'Password' },
+    { value: 'query', label: 'Query parameter', keyLabel: 'Parameter name', secretLabel: 'Value' },
+];
+
+// The config field http and capability nodes pick their credential with
+export const CREDENTIAL_FIELD: ConfigField = {
+    key: 'credential',
+    label: 'Credential',
+    type: 'credential',
+    description: 'Sent with the request; the secret stays on the server',
+};
+
+export function credentialTypeLabel(type: CredentialType): string {
+    return CREDENTIAL_TYPES.find((t) => t.value === type)?.label || type;
+}
+
+// How the credential is sent, e.g. "X-Api-Key header" or "Basic auth as admin"
+export function describeCredential(credential: Pick<CredentialSummary, 'type' | 'key'>): string {
+    switch (credential.type) {
+        case 'header':
+            return `${credential.key} header`;
+        case 'bearer':
+            return 'Bearer token';
+        case 'basic':
+            return `Basic auth as ${credential.key}`;
+        case 'query':
+            return `?${credential.key}= parameter`;
+    }
+}
+
+export class CredentialError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'CredentialError';
+    }
+}
+
+export interface CredentialApi {
+    kind: 'wordpress' | 'none';
+    list: () => Promise<CredentialSummary[]>;
+    create: (input: CredentialInput) => Promise<CredentialSummary>;
+    update: (id: string, input: Partial<CredentialInput>) => Promise<CredentialSummary>;
+    remove: (id: string) => Promise<void>;
+}
+
+type Request = <T>(endpoint: string, options?: RequestInit) => Promise<T>;
+
+interface RestCredential {
+    id: string;
+    name: string;
+    type: CredentialType;
+    key: string | null;
+    shared: boolean;
+    owner: string | null;
+    can_manage: boolean;
+    created_at: string;
+    updated_at: string;
+}
+
+export function createRestCredentialApi(request: Request): CredentialApi {
+    const toSummary = (credential: RestCredential): CredentialSummary => ({
+        id: credential.id,
+        name: credential.name,
+        type: credential.type,
+        key: credential.key,
+        shared: credential.shared,
+        owner: credential.owner,
+        canManage: credential.can_manage,
+        createdAt: credential.created_at,
+        updatedAt: credential.updated_at,
+    });
+
+    return {
+        kind: 'wordpress',
+
+        list: async () => {
+            const response = await request<{ credentials: RestCredential[] }>('/credentials');
+            return response.credentials.map(toSummary);
+        },
+
+        create: async (input) =>
+            toSummary(await request<RestCredential>('/credentials', {
+                method: 'POST',
+                body: JSON.stringify(input),
+            })),
+
+        update: async (id, input) =>
+            toSummary(await request<RestCredential>(`/credentials/${id}`, {
+                method: 'PUT',
+                body: JSON.stringify(input),
+            })),
+
+        remove: async (id) => {
+            await request(`/credentials/${id}`, { method: 'DELETE' });
+        },
+    };
+}
+
+// Standalone builders have no server to keep secrets on, and nothing that would use them
+export function createUnavailableCredentialApi(): CredentialApi {
+    const unavailable = async (): Promise<never> => {
+        throw new CredentialError('Credentials are stored on the WordPress site; open the builder from wp-admin to manage them');
+    };
+    return {
+        kind: 'none',
+        list: async () => [],
+        create: unavailable,
+        update: unavailable,
+        remove: unavailable,
+    };
+}
+
+// Ids of the credentials the nodes refer to, with the labels of the nodes using each
+export function credentialReferences(
+    nodes: Node<AevovNodeData>[],
+    nodeTypes: Record<string, NodeTypeDefinition>
+): Record<string, string[]> {
+    const references: Record<string, string[]> = {};
+    nodes.forEach((node) => {
+        (nodeTypes[node.data.nodeType]?.configFields || [])
+            .filter((field) => field.type === 'credential')
+            .forEach((field) => {
+                const id = node.data.config?.[field.key];
+                if (typeof id === 'string' && id) {
+                    references[id] = [...(references[id] || []), node.data.label];
+                }
+            });
+    });
+    return references;
+}
+
+// Header values that look like secrets pasted in before credentials existed
+const SECRET_HEADER = /authorization|api[-_]?key|token|secret|password|cookie/i;
+
+// Config without secret-looking header values, for files that leave the site
+export function redactSecrets(config: Record<string, unknown>, fields: ConfigField[]): Record<string, unknown> {
+    let redacted = config;
+    fields
+        .filter((field) => field.type === 'keyValue')
+        .forEach((field) => {
+            const value = config[field.key];
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                return;
+            }
+
+            const entries = Object.entries(value as Record<string, unknown>);
+            if (!entries.some(([name]) => SECRET_HEADER.test(name))) {
+                return;
+            }
+
+            redacted = {
+                ...redacted,
+                [field.key]: Object.fromEntries(
+                    entries.map(([name, v]) => [name, SECRET_HEADER.test(name) ? '' : v])
+                ),
+            };
+        });
+    return redacted;
+}
@@ -0,0 +1,121 @@
+// Five-field cron expressions, as includes/api/CronExpression.php reads them: minute,
+// hour, day of month, month and day of week, with lists, ranges, steps, month and
+// weekday names, and the @hourly style shorthands
+
+export class CronError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'CronError';
+    }
+}
+
+export interface CronSchedule {
+    minutes: Set<number>;
+    hours: Set<number>;
+    days: Set<number>;
+    months: Set<number>;
+    weekdays: Set<number>;
+    // A restricted day of month and day of week match when either does, as in cron
+    anyDay: boolean;
+    anyWeekday: boolean;
+}
+
+const MACROS: Record<string, string> = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *',
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+interface FieldSpec {
+    name: string;
+    min: number;
+    max: number;
+    names: Record<string, number>;
+}
+
+const FIELDS: FieldSpec[] = [
+    { name: 'minute', min: 0, max: 59, names: {} },
+    { name: 'hour', min: 0, max: 23, names: {} },
+    { name: 'day of month', min: 1, max: 31, names: {} },
+    { name: 'month', min: 1, max: 12, names: Object.fromEntries(MONTH_NAMES.map((name, i) => [name, i + 1])) },
+    { name: 'day of week', min: 0, max: 7, names: Object.fromEntries(WEEKDAY_NAMES.map((name, i) => [name, i])) },
+];
+
+export function parseCron(expression: string): CronSchedule {
+    const normalized = expression.trim().toLowerCase();
+    const parts = (MACROS[normalized] ?? normalized).split(/\s+/);
+    if (parts.length !== 5) {
+        throw new CronError('Expected 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    // Sunday can be written as 0 or 7
+    if (weekdays.delete(7)) {
+        weekdays.add(0);
+    }
+
+    return { minutes, hours, days, months, weekdays, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+}
+
+// The validation message for a cron field, or null when the expression is fine
+export function cronError(expression: string): string | null {
+    try {
+        parseCron(expression);
+        return null;
+    } catch (e) {
+        return e instanceof CronError ? e.message : 'Invalid cron expression';
+    }
+}
+
+function parseField(part: string, field: FieldSpec): Set<number> {
+    const values = new Set<number>();
+
+    part.split(',').forEach((item) => {
+        const match = /^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/.exec(item);
+        if (!match) {
+            throw new CronError(`Invalid ${field.name} "${item}"`);
+        }
+
+        const step = match[2] !== undefined ? Number(match[2]) : 1;
+        if (step < 1) {
+            throw new CronError(`Step in ${field.name} must be at least 1`);
+        }
+
+        let from = field.min;
+        let to = field.max;
+        if (match[1] !== '*') {
+            const [start, end] = match[1].split('-');
+            from = parseValue(start, field);
+            // A single value with a step, like 5/15, runs to the end of the range
+            to = end !== undefined ? parseValue(end, field) : match[2] !== undefined ? field.max : from;
+        }
+
+        if (from > to) {
+            throw new CronError(`Range in ${field.name} runs backwards`);
+        }
+        for (let value = from; value <= to; value += step) {
+            values.add(value);
+        }
+    });
+
+    return values;
+}
+
+function parseValue(value: string, field: FieldSpec): number {
+    if (value in field.names) {
+        return field.names[value];
+    }
+
+    const number = Number(value);
+    if (!/^\d+$/.test(value) || number < field.min || number > field.max) {
+        throw new CronError(`${field.name} must be between ${field.min} and ${field.max}, not "${value}"`);
+    }
+    return number;
+}
@@ -0,0 +1,171 @@
+import { Node, Edge } from 'reactflow';
+import { AevovNodeData } from '../types';
+
+export type DiffStatus = 'added' | 'removed' | 'changed' | 'unchanged';
+
+export interface FieldChange {
+    // "label", "fixture", "errorPolicy" or "config.<key>"
+    field: string;
+    before: unknown;
+    after: unknown;
+}
+
+export interface NodeDiff {
+    id: string;
+    label: string;
+    nodeType: string;
+    status: DiffStatus;
+    changes: FieldChange[];
+    // Position changes alone don't count as a change to the workflow
+    moved: boolean;
+}
+
+export interface EdgeDiff {
+    id: string;
+    status: Exclude<DiffStatus, 'changed'>;
+}
+
+export interface WorkflowDiff {
+    nodes: NodeDiff[];
+    edges: EdgeDiff[];
+    nameChange: FieldChange | null;
+}
+
+type Graph = { name?: string; nodes: Node<AevovNodeData>[]; edges: Edge[] };
+
+// Compares two versions of a workflow. Nodes are matched by id; edges by what they
+// connect, so deleting a connection and drawing it again is not a change.
+export function diffWorkflows(before: Graph, after: Graph): WorkflowDiff {
+    const beforeNodes = new Map(before.nodes.map((n) => [n.id, n]));
+    const afterNodes = new Map(after.nodes.map((n) => [n.id, n]));
+
+    const nodes: NodeDiff[] = [];
+    after.nodes.forEach((node) => {
+        const previous = beforeNodes.get(node.id);
+        if (!previous) {
+            nodes.push(nodeDiff(node, 'added'));
+            return;
+        }
+
+        const changes = diffNodeData(previous.data, node.data);
+        nodes.push({
+            ...nodeDiff(node, changes.length > 0 ? 'changed' : 'unchanged'),
+            changes,
+            moved: previous.position.x !== node.position.x || previous.position.y !== node.position.y,
+        });
+    });
+    before.nodes.forEach((node) => {
+        if (!afterNodes.has(node.id)) {
+            nodes.push(nodeDiff(node, 'removed'));
+        }
+    });
+
+    const beforeEdges = new Set(before.edges.map(edgeKey));
+    const afterEdges = new Set(after.edges.map(edgeKey));
+    const edges: EdgeDiff[] = [
+        ...after.edges.map((e) => ({ id: e.id, status: beforeEdges.has(edgeKey(e)) ? 'unchanged' as const : 'added' as const })),
+        ...before.edges
+            .filter((e) => !afterEdges.has(edgeKey(e)))
+            .map((e) => ({ id: e.id, status: 'removed' as const })),
+    ];
+
+    const nameChange = before.name !== undefined && after.name !== undefined && before.name !== after.name
+        ? { field: 'name', before: before.name, after: after.name }
+        : null;
+
+    return { nodes, edges, nameChange };
+}
+
+export function hasChanges(diff: WorkflowDiff): boolean {
+    return diff.nameChange !== null
+        || diff.nodes.some((n) => n.status !== 'unchanged')
+        || diff.edges.some((e) => e.status !== 'unchanged');
+}
+
+export interface MergedDiffGraph {
+    nodes: Node<AevovNodeData>[];
+    edges: Edge[];
+    nodeStatus: Record<string, DiffStatus>;
+    edgeStatus: Record<string, DiffStatus>;
+}
+
+// One graph holding both versions: the later one, plus what it removed. Removed
+// edges whose id is reused by the later version get a suffix to stay unique.
+export function mergeForDiff(before: Graph, after: Graph, diff: WorkflowDiff): MergedDiffGraph {
+    const nodeStatus: Record<string, DiffStatus> = {};
+    diff.nodes.forEach((n) => {
+        nodeStatus[n.id] = n.status;
+    });
+
+    const afterEdgeIds = new Set(after.edges.map((e) => e.id));
+    const removedEdges = new Set(diff.edges.filter((e) => e.status === 'removed').map((e) => e.id));
+    const edgeStatus: Record<string, DiffStatus> = {};
+    diff.edges.forEach((e) => {
+        if (e.status !== 'removed') {
+            edgeStatus[e.id] = e.status;
+        }
+    });
+
+    const edges = [...after.edges];
+    before.edges
+        .filter((e) => removedEdges.has(e.id))
+        .forEach((e) => {
+            const id = afterEdgeIds.has(e.id) ? `${e.id}:removed` : e.id;
+            edgeStatus[id] = 'removed';
+            edges.push({ ...e, id });
+        });
+
+    return {
+        nodes: [...after.nodes, ...before.nodes.filter((n) => nodeStatus[n.id] === 'removed')],
+        edges,
+        nodeStatus,
+        edgeStatus,
+    };
+}
+
+function nodeDiff(node: Node<AevovNodeData>, status: DiffStatus): NodeDiff {
+    return {
+        id: node.id,
+        label: node.data.label,
+        nodeType: node.data.nodeType,
+        status,
+        changes: [],
+        moved: false,
+    };
+}
+
+function diffNodeData(before: AevovNodeData, after: AevovNodeData): FieldChange[] {
+    const changes: FieldChange[] = [];
+    if (before.label !== after.label) {
+        changes.push({ field: 'label', before: before.label, after: after.label });
+    }
+
+    const beforeConfig = before.config || {};
+    const afterConfig = after.config || {};
+    const keys = [...new Set([...Object.keys(beforeConfig), ...Object.keys(afterConfig)])].sort();
+    keys.forEach((key) => {
+        if (!isEqual(beforeConfig[key], afterConfig[key])) {
+            changes.push({ field: `config.${key}`, before: beforeConfig[key], after: afterConfig[key] });
+        }
+    });
+
+    if (!isEqual(before.fixture, after.fixture)) {
+        changes.push({ field: 'fixture', before: before.fixture, after: after.fixture });
+    }
+    if (!isEqual(before.errorPolicy, after.errorPolicy)) {
+        changes.push({ field: 'errorPolicy', before: before.errorPolicy, after: after.errorPolicy });
+    }
+    return changes;
+}
+
+function edgeKey(edge: Edge): string {
+    return `${edge.source}:${edge.sourceHandle ?? ''}->${edge.target}:${edge.targetHandle ?? ''}`;
+}
+
+function isEqual(a: unknown, b: unknown): boolean {
+    // Fields the editor cleared compare equal to fields that were never set
+    if ((a === undefined || a === '') && (b === undefined || b === '')) {
+        return true;
+    }
+    return JSON.stringify(a) === JSON.stringify(b);
+}
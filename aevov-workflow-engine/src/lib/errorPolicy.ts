@@ -0,0 +1,148 @@
+import { AevovNodeData, ConfigField, ErrorPolicy, HandleDefinition } from '../types';
+
+// What a node does when it fails. Without a policy a failure ends the run, as it always
+// has. A policy can retry the node, give each attempt a time limit, and then either
+// carry on with a default value ('continue') or run only what hangs off the node's
+// error handle ('fallback'). The server executor (includes/api/WorkflowExecutor.php)
+// reads the same policy from the node data, so keep the two in step.
+
+// Extra output shown on nodes whose failures don't end the run; carries ErrorPayload
+export const ERROR_HANDLE: HandleDefinition = { id: 'error', label: 'Error', type: 'object' };
+
+export const MAX_ATTEMPTS = 10;
+export const MAX_RETRY_DELAY_MS = 60000;
+export const MAX_NODE_TIMEOUT = 300;
+
+export interface ErrorPayload {
+    message: string;
+    node_id: string;
+    attempts: number;
+}
+
+export interface ResolvedErrorPolicy {
+    maxAttempts: number;
+    retryDelay: number;
+    backoff: 'fixed' | 'exponential';
+    // Seconds, or null for no limit beyond the run's own
+    timeout: number | null;
+    onError: 'stop' | 'continue' | 'fallback';
+    defaultValue: unknown;
+}
+
+export function resolveErrorPolicy(policy: ErrorPolicy | undefined): ResolvedErrorPolicy {
+    const timeout = Number(policy?.timeout);
+    return {
+        maxAttempts: clamp(Math.floor(Number(policy?.maxAttempts) || 1), 1, MAX_ATTEMPTS),
+        retryDelay: clamp(Number(policy?.retryDelay) || 0, 0, MAX_RETRY_DELAY_MS),
+        backoff: policy?.backoff === 'exponential' ? 'exponential' : 'fixed',
+        timeout: timeout > 0 ? Math.min(timeout, MAX_NODE_TIMEOUT) : null,
+        onError: policy?.onError === 'continue' || policy?.onError === 'fallback' ? policy.onError : 'stop',
+        defaultValue: policy?.defaultValue ?? null,
+    };
+}
+
+// Milliseconds to wait after the given failed attempt (1-based) before the next one
+export function retryDelay(policy: ResolvedErrorPolicy, attempt: number): number {
+    const delay = policy.backoff === 'exponential' ? policy.retryDelay * 2 ** (attempt - 1) : policy.retryDelay;
+    return Math.min(delay, MAX_RETRY_DELAY_MS);
+}
+
+export function hasErrorHandle(data: AevovNodeData): boolean {
+    return resolveErrorPolicy(data.errorPolicy).onError !== 'stop';
+}
+
+// The handles a node's outgoing edges can start from
+export function outputHandles(data: AevovNodeData): HandleDefinition[] {
+    const outputs = data.outputs || [];
+    return hasErrorHandle(data) ? [...outputs, ERROR_HANDLE] : outputs;
+}
+
+// Fields for the config panel, edited like node config with the policy as the values
+export const ERROR_POLICY_FIELDS: ConfigField[] = [
+    {
+        key: 'maxAttempts',
+        label: 'Attempts',
+        type: 'number',
+        min: 1,
+        max: MAX_ATTEMPTS,
+        step: 1,
+        defaultValue: 1,
+        description: 'Tries in all, counting the first',
+    },
+    {
+        key: 'retryDelay',
+        label: 'Retry Delay (ms)',
+        type: 'number',
+        min: 0,
+        max: MAX_RETRY_DELAY_MS,
+        step: 100,
+        placeholder: '0',
+    },
+    {
+        key: 'backoff',
+        label: 'Backoff',
+        type: 'select',
+        defaultValue: 'fixed',
+        options: [
+            { value: 'fixed', label: 'Same delay each time' },
+            { value: 'exponential', label: 'Double the delay each time' },
+        ],
+    },
+    {
+        key: 'timeout',
+        label: 'Timeout (seconds)',
+        type: 'number',
+        min: 0,
+        max: MAX_NODE_TIMEOUT,
+        placeholder: 'No limit',
+        description: 'Per attempt',
+    },
+    {
+        key: 'onError',
+        label: 'When It Fails',
+        type: 'select',
+        defaultValue: 'stop',
+        options: [
+            { value: 'stop', label: 'Stop the run' },
+            { value: 'continue', label: 'Continue with a default value' },
+            { value: 'fallback', label: 'Take the error branch' },
+        ],
+        description: 'Unless the run stops, the failure also goes out of the Error handle',
+    },
+    {
+        key: 'defaultValue',
+        label: 'Default Value',
+        type: 'json',
+        placeholder: 'null',
+        showWhen: { field: 'onError', equals: 'continue' },
+        description: 'Output in place of a result',
+    },
+];
+
+// Settings left at their defaults are dropped, so untouched nodes stay policy-free
+export function compactErrorPolicy(policy: ErrorPolicy): ErrorPolicy | undefined {
+    const compact: ErrorPolicy = {};
+    if (policy.maxAttempts !== undefined && policy.maxAttempts !== 1) {
+        compact.maxAttempts = policy.maxAttempts;
+    }
+    if (policy.retryDelay) {
+        compact.retryDelay = policy.retryDelay;
+    }
+    if (policy.backoff === 'exponential') {
+        compact.backoff = policy.backoff;
+    }
+    if (policy.timeout) {
+        compact.timeout = policy.timeout;
+    }
+    if (policy.onError && policy.onError !== 'stop') {
+        compact.onError = policy.onError;
+    }
+    if (policy.onError === 'continue' && policy.defaultValue !== undefined) {
+        compact.defaultValue = policy.defaultValue;
+    }
+    return Object.keys(compact).length > 0 ? compact : undefined;
+}
+
+function clamp(value: number, min: number, max: number): number {
+    return Math.min(max, Math.max(min, value));
+}
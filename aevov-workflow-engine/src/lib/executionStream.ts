@@ -0,0 +1,62 @@
+import { ExecutionEvent } from '../types';
+
+export function isEventStream(response: Response): boolean {
+    return (response.headers.get('Content-Type') || '').includes('text/event-stream');
+}
+
+// Parses server-sent events from a fetch body so the stream can be POSTed and aborted
+export async function readEventStream(
+    response: Response,
+    onEvent: (event: ExecutionEvent) => void
+): Promise<void> {
+    if (!response.body) {
+        throw new Error('Streaming is not supported by this browser');
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        buffer += decoder.decode(value, { stream: !done });
+
+        const frames = buffer.split(/\r?\n\r?\n/);
+        buffer = done ? '' : frames.pop() || '';
+
+        frames.forEach((frame) => {
+            const event = parseFrame(frame);
+            if (event) {
+                onEvent(event);
+            }
+        });
+
+        if (done) {
+            return;
+        }
+    }
+}
+
+function parseFrame(frame: string): ExecutionEvent | null {
+    let type = '';
+    const data: string[] = [];
+
+    frame.split(/\r?\n/).forEach((line) => {
+        if (line.startsWith('event:')) {
+            type = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+            data.push(line.slice(5).replace(/^ /, ''));
+        }
+    });
+
+    if (data.length === 0) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(data.join('\n'));
+        return { ...payload, type: type || payload.type } as ExecutionEvent;
+    } catch {
+        return null;
+    }
+}
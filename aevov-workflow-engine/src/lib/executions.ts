@@ -0,0 +1,273 @@
+import { Node, Edge } from 'reactflow';
+import { AevovNodeData, ExecutionEvent, ExecutionLogEntry, ExecutionResult } from '../types';
+
+export type ExecutionStatus = 'pending' | 'running' | 'completed' | 'failed' | 'cancelled';
+
+// What started a run that nobody ran from the builder
+export type TriggerSource = 'schedule' | 'webhook' | 'event' | 'manual';
+
+export interface ExecutionSummary {
+    id: number;
+    workflowId: string | null;
+    workflowVersion: number | null;
+    status: ExecutionStatus;
+    error: string | null;
+    failedNode: string | null;
+    // Seconds
+    executionTime: number | null;
+    // Execution this one re-ran
+    replayOf: number | null;
+    // The trigger node that started the run, and how it fired
+    triggerNode: string | null;
+    triggerSource: TriggerSource | null;
+    startedAt: string | null;
+    completedAt: string | null;
+}
+
+export interface ExecutionRecord extends ExecutionSummary {
+    inputs: Record<string, unknown>;
+    outputs: unknown;
+    // Output of every node that ran, keyed by node id
+    nodeOutputs: Record<string, unknown>;
+    // The graph as it was sent to the server, with sub-workflows inlined
+    workflow: { nodes: Node<AevovNodeData>[]; edges: Edge[] } | null;
+    log: ExecutionLogEntry[];
+}
+
+export interface ExecutionPage {
+    executions: ExecutionSummary[];
+    page: number;
+    totalPages: number;
+}
+
+export interface RecordedRun {
+    workflowId: string | null;
+    workflowVersion: number | null;
+    workflow: { nodes: Node<AevovNodeData>[]; edges: Edge[] };
+    inputs: Record<string, unknown>;
+    replayOf: number | null;
+    startedAt: string;
+    result: ExecutionResult;
+}
+
+// Past runs: the WordPress /executions routes, or local storage for the standalone builder
+export interface ExecutionHistory {
+    kind: 'wordpress' | 'local';
+    list: (workflowId: string | null, page: number, perPage: number) => Promise<ExecutionPage>;
+    get: (id: number) => Promise<ExecutionRecord>;
+    // Keeps a finished run and returns its id
+    record: (run: RecordedRun) => Promise<number | null>;
+}
+
+export class ExecutionHistoryError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'ExecutionHistoryError';
+    }
+}
+
+type Request = <T>(endpoint: string, options?: RequestInit) => Promise<T>;
+
+interface RestExecution {
+    id: number;
+    workflow_id: string | null;
+    workflow_version: number | null;
+    status: ExecutionStatus;
+    error: string | null;
+    failed_node: string | null;
+    execution_time: number | null;
+    replay_of: number | null;
+    trigger_node?: string | null;
+    trigger_source?: TriggerSource | null;
+    started_at: string | null;
+    completed_at: string | null;
+    inputs?: Record<string, unknown> | null;
+    outputs?: unknown;
+    node_outputs?: Record<string, unknown> | null;
+    workflow?: { nodes?: Node<AevovNodeData>[]; edges?: Edge[] } | null;
+    log?: ExecutionLogEntry[] | null;
+}
+
+export function createRestExecutionHistory(request: Request): ExecutionHistory {
+    return {
+        kind: 'wordpress',
+
+        list: async (workflowId, page, perPage) => {
+            const query = new URLSearchParams({ page: String(page), per_page: String(perPage) });
+            if (workflowId) {
+                query.set('workflow_id', workflowId);
+            }
+
+            const response = await request<{ executions: RestExecution[]; page: number; total_pages: number }>(
+                `/executions?${query}`
+            );
+            return {
+                executions: response.executions.map(toSummary),
+                page: response.page,
+                totalPages: Math.max(1, Number(response.total_pages) || 1),
+            };
+        },
+
+        get: async (id) => {
+            const execution = await request<RestExecution>(`/executions/${id}`);
+            return {
+                ...toSummary(execution),
+                inputs: execution.inputs || {},
+                outputs: execution.outputs,
+                nodeOutputs: execution.node_outputs || {},
+                workflow: execution.workflow?.nodes
+                    ? { nodes: execution.workflow.nodes, edges: execution.workflow.edges || [] }
+                    : null,
+                log: execution.log || [],
+            };
+        },
+
+        // The server logs every run it executes
+        record: async (run) => run.result.execution_id ?? null,
+    };
+}
+
+function toSummary(execution: RestExecution): ExecutionSummary {
+    return {
+        id: Number(execution.id),
+        workflowId: execution.workflow_id || null,
+        workflowVersion: execution.workflow_version ?? null,
+        status: execution.status,
+        error: execution.error ?? null,
+        failedNode: execution.failed_node ?? null,
+        executionTime: execution.execution_time ?? null,
+        replayOf: execution.replay_of ?? null,
+        triggerNode: execution.trigger_node ?? null,
+        triggerSource: execution.trigger_source ?? null,
+        startedAt: execution.started_at,
+        completedAt: execution.completed_at,
+    };
+}
+
+const LOCAL_STORAGE_KEY = 'aevov-workflow-executions';
+// Oldest runs are dropped past this, to stay inside the local storage quota
+const LOCAL_EXECUTION_LIMIT = 100;
+
+interface LocalLibrary {
+    nextId: number;
+    executions: ExecutionRecord[];
+}
+
+export function createLocalExecutionHistory(storage: Storage | null = getBrowserStorage()): ExecutionHistory {
+    const read = (): LocalLibrary => {
+        try {
+            const library = JSON.parse(storage?.getItem(LOCAL_STORAGE_KEY) || 'null');
+            return library && Array.isArray(library.executions) ? library : { nextId: 1, executions: [] };
+        } catch {
+            return { nextId: 1, executions: [] };
+        }
+    };
+
+    return {
+        kind: 'local',
+
+        list: async (workflowId, page, perPage) => {
+            const matching = read().executions
+                .filter((e) => !workflowId || e.workflowId === workflowId)
+                .reverse();
+            const totalPages = Math.max(1, Math.ceil(matching.length / perPage));
+            return {
+                executions: matching
+                    .slice((page - 1) * perPage, page * perPage)
+                    .map(({ inputs, outputs, nodeOutputs, workflow, log, ...summary }) => summary),
+                page,
+                totalPages,
+            };
+        },
+
+        get: async (id) => {
+            const execution = read().executions.find((e) => e.id === id);
+            if (!execution) {
+                throw new ExecutionHistoryError('Execution not found');
+            }
+            return execution;
+        },
+
+        record: async (run) => {
+            const library = read();
+            const { result } = run;
+            const log = result.log || [];
+
+            const execution: ExecutionRecord = {
+                id: library.nextId,
+                workflowId: run.workflowId,
+                workflowVersion: run.workflowVersion,
+                status: executionStatus(result),
+                error: result.error ?? null,
+                failedNode: result.failed_node ?? null,
+                executionTime: result.execution_time ?? log[log.length - 1]?.elapsed ?? null,
+                replayOf: run.replayOf,
+                triggerNode: null,
+                triggerSource: null,
+                startedAt: run.startedAt,
+                completedAt: new Date().toISOString(),
+                inputs: run.inputs,
+                outputs: result.outputs ?? result.error ?? null,
+                nodeOutputs: result.all_outputs ?? result.partial_outputs ?? {},
+                workflow: run.workflow,
+                log,
+            };
+
+            storage?.setItem(LOCAL_STORAGE_KEY, JSON.stringify({
+                nextId: library.nextId + 1,
+                executions: [...library.executions, execution].slice(-LOCAL_EXECUTION_LIMIT),
+            }));
+            return execution.id;
+        },
+    };
+}
+
+export function executionStatus(result: ExecutionResult): ExecutionStatus {
+    return result.success ? 'completed' : result.cancelled ? 'cancelled' : 'failed';
+}
+
+// Rebuilds the result panel contents of a past run
+export function executionResult(execution: ExecutionRecord): ExecutionResult {
+    const success = execution.status === 'completed';
+    return {
+        success,
+        outputs: success ? (execution.outputs as Record<string, unknown>) : undefined,
+        all_outputs: execution.nodeOutputs,
+        error: execution.error ?? undefined,
+        failed_node: execution.failedNode ?? undefined,
+        execution_time: execution.executionTime ?? undefined,
+        execution_id: execution.id,
+        cancelled: execution.status === 'cancelled',
+        log: execution.log,
+    };
+}
+
+// Node events that paint a past run onto the canvas. Run inputs share the output
+// map on the server, so only ids of nodes in the run's graph count as node outputs.
+export function executionEvents(execution: ExecutionRecord): ExecutionEvent[] {
+    const nodeIds = execution.workflow ? new Set(execution.workflow.nodes.map((n) => n.id)) : null;
+    const events: ExecutionEvent[] = [];
+
+    Object.entries(execution.nodeOutputs).forEach(([nodeId, output]) => {
+        if (nodeIds && !nodeIds.has(nodeId)) {
+            return;
+        }
+        events.push({ type: 'node_started', node_id: nodeId, timestamp: 0 });
+        events.push({ type: 'node_output', node_id: nodeId, output, timestamp: 0 });
+    });
+
+    if (execution.failedNode) {
+        events.push({ type: 'node_started', node_id: execution.failedNode, timestamp: 0 });
+        events.push({
+            type: 'node_error',
+            node_id: execution.failedNode,
+            error: execution.error || 'Failed',
+            timestamp: 0,
+        });
+    }
+    return events;
+}
+
+function getBrowserStorage(): Storage | null {
+    return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+}
@@ -0,0 +1,12 @@
+export function formatDate(value: string): string {
+    // WordPress sends "YYYY-MM-DD HH:MM:SS" in site time
+    const date = new Date(value.includes('T') ? value : value.replace(' ', 'T'));
+    return Number.isNaN(date.getTime()) ? value : date.toLocaleString();
+}
+
+export function formatDuration(seconds: number | null | undefined): string {
+    if (seconds === null || seconds === undefined) {
+        return '—';
+    }
+    return seconds < 60 ? `${seconds.toFixed(2)}s` : `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+}
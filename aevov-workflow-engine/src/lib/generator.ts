@@ -0,0 +1,509 @@
+import { Node, Edge } from 'reactflow';
+import { AevovNodeData, ConfigField, HandleDefinition, NodeTypeDefinition } from '../types';
+import { createNode, generateEdgeId } from './graph';
+import { findHandle, isHandleTypeCompatible } from './validation';
+import { layoutLayered } from './layout';
+
+// Intermediate description of a workflow, produced either by a provider or by
+// the rule-based planner, before it is turned into canvas nodes and edges.
+export interface WorkflowPlan {
+    name?: string;
+    nodes: PlanNode[];
+    edges: PlanEdge[];
+}
+
+export interface PlanNode {
+    key: string;
+    type: string;
+    label?: string;
+    config?: Record<string, unknown>;
+}
+
+export interface PlanEdge {
+    from: string;
+    to: string;
+    fromHandle?: string;
+    toHandle?: string;
+}
+
+export interface GeneratedWorkflow {
+    name: string;
+    nodes: Node<AevovNodeData>[];
+    edges: Edge[];
+    // Adjustments made while building the graph, shown next to the preview
+    notes: string[];
+}
+
+export interface ChatMessage {
+    role: 'system' | 'user' | 'assistant';
+    content: string;
+}
+
+export class PlanParseError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'PlanParseError';
+    }
+}
+
+interface StepRule {
+    type: string;
+    pattern: RegExp;
+}
+
+// Ordered by specificity: the first rule to claim a phrase wins
+const STEP_RULES: StepRule[] = [
+    { type: 'transcription', pattern: /\b(transcri\w*|speech|audio|recordings?|podcasts?|voice)\b/ },
+    { type: 'vision', pattern: /\b(scrap\w*|crawl\w*|web ?pages?|websites?|sites?)\b/ },
+    { type: 'http', pattern: /\b(http|api|webhooks?|endpoints?|fetch\w*)\b/ },
+    { type: 'memory', pattern: /\b(remember|memor\w*|stor(e|es|ing)|sav(e|es|ing)|recall|retriev\w*)\b/ },
+    { type: 'pattern', pattern: /\b(patterns?|anomal\w*|detect\w*|trends?|cluster\w*)\b/ },
+    { type: 'cognitive', pattern: /\b(reason\w*|solv\w*|decid\w*|decisions?|problems?)\b/ },
+    { type: 'language', pattern: /\b(text|writ\w*|summar\w*|translat\w*|articles?|essays?|stor(y|ies)|blog\w*|emails?|captions?|language|analy[sz]\w*|sentiment|answer\w*)\b/ },
+    { type: 'image', pattern: /\b(images?|pictures?|photos?|illustrat\w*|draw\w*|artwork|logos?|thumbnails?)\b/ },
+    { type: 'music', pattern: /\b(music|songs?|melod\w*|soundtracks?|compos\w*|tunes?|jingles?)\b/ },
+    { type: 'super_app', pattern: /\b(apps?|applications?)\b/ },
+    { type: 'delay', pattern: /\b(wait\w*|delay\w*|pause)\b/ },
+];
+
+const CONDITION_PATTERN = /\b(if|when|whenever|unless|only)\b/;
+
+const GENRES = ['ambient', 'classical', 'jazz', 'rock', 'pop', 'electronic', 'lofi', 'lo-fi', 'hip hop', 'orchestral', 'cinematic', 'folk', 'blues'];
+
+const MAX_PLAN_NODES = 30;
+
+export function planWorkflowFromRules(
+    prompt: string,
+    nodeTypes: Record<string, NodeTypeDefinition>
+): WorkflowPlan {
+    const text = prompt.toLowerCase();
+    const matches: { type: string; index: number }[] = [];
+
+    const rules = [...STEP_RULES, ...capabilityRules(nodeTypes)];
+    rules.forEach((rule) => {
+        if (!nodeTypes[rule.type] || matches.some((m) => m.type === rule.type)) {
+            return;
+        }
+        const match = rule.pattern.exec(text);
+        if (match && !matches.some((m) => m.index === match.index)) {
+            matches.push({ type: rule.type, index: match.index });
+        }
+    });
+
+    const condition = nodeTypes.condition ? CONDITION_PATTERN.exec(text) : null;
+    if (condition) {
+        matches.push({ type: 'condition', index: condition.index });
+    }
+
+    // Nothing recognisable: a single language step is the most useful default
+    if (!matches.some((m) => m.type !== 'condition') && nodeTypes.language) {
+        matches.push({ type: 'language', index: text.length });
+    }
+
+    matches.sort((a, b) => a.index - b.index);
+
+    const nodes: PlanNode[] = [{ key: 'input', type: 'input' }];
+    const edges: PlanEdge[] = [];
+    const steps = matches.map((m, i) => ({ key: `${m.type}_${i + 1}`, type: m.type }));
+
+    // Conditions pass accepted items on through their "true" branch
+    const link = (from: PlanNode, to: string): PlanEdge =>
+        from.type === 'condition' ? { from: from.key, to, fromHandle: 'true' } : { from: from.key, to };
+
+    let previous = nodes[0];
+    steps.forEach((step) => {
+        nodes.push(step);
+        edges.push(link(previous, step.key));
+        previous = step;
+    });
+
+    nodes.push({ key: 'output', type: 'output' });
+    edges.push(link(previous, 'output'));
+
+    // Rejected items still reach the output so the branch is never a dead end
+    steps
+        .filter((s) => s.type === 'condition')
+        .forEach((s) => edges.push({ from: s.key, to: 'output', fromHandle: 'false' }));
+
+    return { name: nameFromPrompt(prompt), nodes, edges };
+}
+
+export function buildPlannerMessages(
+    prompt: string,
+    nodeTypes: Record<string, NodeTypeDefinition>
+): ChatMessage[] {
+    const catalogue = Object.values(nodeTypes)
+        .filter((t) => t.available !== false)
+        .map((t) => ({
+            type: t.type,
+            label: t.label,
+            description: t.description,
+            inputs: t.inputs.map((h) => `${h.id}:${h.type}`),
+            outputs: t.outputs.map((h) => `${h.id}:${h.type}`),
+            config: t.configFields.map((f) => ({
+                key: f.key,
+                type: f.type,
+                required: f.required || undefined,
+                options: f.options?.map((o) => o.value),
+            })),
+        }));
+
+    const system = [
+        'You design workflows for the Aevov workflow engine.',
+        'Reply with a single JSON object and nothing else, shaped like:',
+        '{"name": string, "nodes": [{"key": string, "type": string, "label": string, "config": object}],',
+        ' "edges": [{"from": node key, "to": node key, "fromHandle": output id, "toHandle": input id}]}',
+        'Rules:',
+        '- Only use node types from the catalogue below.',
+        '- Start with exactly one "input" node and end with at least one "output" node.',
+        '- Every node must be connected, and connected handles must have compatible types ("any" matches everything).',
+        '- Fill in config values the user described; select fields must use one of the listed options.',
+        '- Condition expressions reference the incoming value as "input", for example "input.score > 0.5".',
+        '',
+        `Catalogue: ${JSON.stringify(catalogue)}`,
+    ].join('\n');
+
+    return [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt },
+    ];
+}
+
+export function parsePlan(content: string): WorkflowPlan {
+    const fenced = /```(?:json)?\s*([\s\S]*?)```/.exec(content);
+    const body = fenced ? fenced[1] : content;
+    const start = body.indexOf('{');
+    const end = body.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new PlanParseError('Response did not contain a JSON workflow');
+    }
+
+    let raw: any;
+    try {
+        raw = JSON.parse(body.slice(start, end + 1));
+    } catch {
+        throw new PlanParseError('Response contained malformed JSON');
+    }
+
+    if (!raw || !Array.isArray(raw.nodes)) {
+        throw new PlanParseError('Response is missing a "nodes" array');
+    }
+
+    const nodes: PlanNode[] = raw.nodes
+        .filter((n: any) => n && typeof n.type === 'string')
+        .slice(0, MAX_PLAN_NODES)
+        .map((n: any, i: number) => ({
+            key: typeof n.key === 'string' || typeof n.key === 'number' ? String(n.key) : `${n.type}_${i + 1}`,
+            type: n.type,
+            label: typeof n.label === 'string' ? n.label : undefined,
+            config: n.config && typeof n.config === 'object' && !Array.isArray(n.config) ? n.config : undefined,
+        }));
+
+    const edges: PlanEdge[] = (Array.isArray(raw.edges) ? raw.edges : [])
+        .filter((e: any) => e && e.from !== undefined && e.to !== undefined)
+        .map((e: any) => ({
+            from: String(e.from),
+            to: String(e.to),
+            fromHandle: typeof e.fromHandle === 'string' ? e.fromHandle : undefined,
+            toHandle: typeof e.toHandle === 'string' ? e.toHandle : undefined,
+        }));
+
+    return { name: typeof raw.name === 'string' ? raw.name : undefined, nodes, edges };
+}
+
+// Turns a plan into canvas nodes and edges, repairing whatever the plan got wrong:
+// unknown types are dropped, endpoints are added, loose nodes are wired in and
+// incompatible connections get a transform in between.
+export function buildWorkflowFromPlan(
+    plan: WorkflowPlan,
+    nodeTypes: Record<string, NodeTypeDefinition>,
+    prompt = ''
+): GeneratedWorkflow {
+    const notes: string[] = [];
+    const planNodes: PlanNode[] = [];
+
+    plan.nodes.forEach((planNode) => {
+        const nodeType = nodeTypes[planNode.type];
+        if (!nodeType) {
+            notes.push(`Skipped unknown node type "${planNode.type}"`);
+            return;
+        }
+        if (planNodes.some((n) => n.key === planNode.key)) {
+            notes.push(`Skipped duplicate node "${planNode.key}"`);
+            return;
+        }
+        if (nodeType.available === false) {
+            notes.push(`${nodeType.label} is not available on this site`);
+        }
+        planNodes.push(planNode);
+    });
+
+    if (!planNodes.some((n) => n.type === 'input')) {
+        planNodes.unshift({ key: '__input', type: 'input' });
+    }
+    if (!planNodes.some((n) => n.type === 'output')) {
+        planNodes.push({ key: '__output', type: 'output' });
+    }
+
+    const keys = new Set(planNodes.map((n) => n.key));
+    const planEdges = plan.edges.filter((e) => {
+        if (keys.has(e.from) && keys.has(e.to) && e.from !== e.to) {
+            return true;
+        }
+        notes.push(`Dropped connection ${e.from} → ${e.to}`);
+        return false;
+    });
+
+    // Wire loose ends to the first input and output
+    const firstInput = planNodes.find((n) => n.type === 'input')!.key;
+    const firstOutput = planNodes.find((n) => n.type === 'output')!.key;
+    planNodes.forEach((n) => {
+        if (n.type === 'input' || n.type === 'output') {
+            return;
+        }
+        if (!planEdges.some((e) => e.from === n.key)) {
+            planEdges.push({ from: n.key, to: firstOutput });
+        }
+    });
+    planNodes.forEach((n) => {
+        if (n.type === 'input') {
+            return;
+        }
+        if (!planEdges.some((e) => e.to === n.key)) {
+            planEdges.push({ from: firstInput, to: n.key });
+        }
+    });
+
+    const nodesByKey = new Map<string, Node<AevovNodeData>>();
+    planNodes.forEach((planNode) => {
+        const nodeType = nodeTypes[planNode.type];
+        nodesByKey.set(planNode.key, createNode(planNode.type, nodeType, { x: 0, y: 0 }, {
+            label: planNode.label || nodeType.label,
+            config: buildConfig(nodeType, planNode, prompt, notes),
+        }));
+    });
+
+    const nodes = [...nodesByKey.values()];
+    const edges: Edge[] = [];
+
+    planEdges.forEach((planEdge) => {
+        const source = nodesByKey.get(planEdge.from)!;
+        const target = nodesByKey.get(planEdge.to)!;
+        const sourceHandle = pickHandle(source.data.outputs, planEdge.fromHandle, target.data.inputs);
+        const targetHandle = pickHandle(target.data.inputs, planEdge.toHandle, sourceHandle ? [sourceHandle] : []);
+
+        if (sourceHandle && targetHandle && !isHandleTypeCompatible(sourceHandle.type, targetHandle.type)) {
+            const adapter = createAdapter(targetHandle, nodeTypes);
+            if (adapter) {
+                nodes.push(adapter);
+                edges.push(connect(source, sourceHandle, adapter, adapter.data.inputs[0]));
+                edges.push(connect(adapter, adapter.data.outputs[0], target, targetHandle));
+                notes.push(`Added a transform between ${source.data.label} and ${target.data.label} (${sourceHandle.type} → ${targetHandle.type})`);
+                return;
+            }
+        }
+
+        edges.push(connect(source, sourceHandle, target, targetHandle));
+    });
+
+    return {
+        name: plan.name?.trim() || nameFromPrompt(prompt),
+        nodes: layoutLayered(nodes, edges),
+        edges,
+        notes,
+    };
+}
+
+export function generateWorkflowFromRules(
+    prompt: string,
+    nodeTypes: Record<string, NodeTypeDefinition>
+): GeneratedWorkflow {
+    return buildWorkflowFromPlan(planWorkflowFromRules(prompt, nodeTypes), nodeTypes, prompt);
+}
+
+function capabilityRules(nodeTypes: Record<string, NodeTypeDefinition>): StepRule[] {
+    // Capabilities discovered from the server that the fixed rules don't know about
+    return Object.values(nodeTypes)
+        .filter((t) => t.category === 'capability' && !STEP_RULES.some((r) => r.type === t.type))
+        .map((t) => {
+            const stem = t.type.replace(/_/g, ' ').replace(/(ing|ion|s)$/, '');
+            return { type: t.type, pattern: new RegExp(`\\b${escapeRegExp(stem)}\\w*`) };
+        });
+}
+
+function buildConfig(
+    nodeType: NodeTypeDefinition,
+    planNode: PlanNode,
+    prompt: string,
+    notes: string[]
+): Record<string, unknown> {
+    const config: Record<string, unknown> = {};
+    const label = planNode.label || nodeType.label;
+
+    nodeType.configFields.forEach((field) => {
+        const explicit = planNode.config?.[field.key];
+        let value = explicit !== undefined && explicit !== null ? coerceConfigValue(field, explicit) : undefined;
+
+        if (explicit !== undefined && explicit !== null && value === undefined) {
+            notes.push(`${label}: ignored invalid ${field.label} "${String(explicit)}"`);
+        }
+        if (value === undefined) {
+            value = inferConfigValue(nodeType.type, field, prompt);
+        }
+
+        if (value !== undefined) {
+            config[field.key] = value;
+        } else if (field.defaultValue !== undefined) {
+            config[field.key] = field.defaultValue;
+        } else if (field.required) {
+            notes.push(`${label}: ${field.label} needs a value`);
+        }
+    });
+
+    return config;
+}
+
+function coerceConfigValue(field: ConfigField, value: unknown): unknown {
+    switch (field.type) {
+        case 'number': {
+            const number = Number(value);
+            return Number.isFinite(number) ? number : undefined;
+        }
+        case 'boolean':
+            return value === true || value === 'true' || value === 1;
+        case 'select':
+            return field.options?.some((o) => o.value === String(value)) ? String(value) : undefined;
+        case 'json':
+            return value;
+        default:
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+}
+
+function inferConfigValue(nodeType: string, field: ConfigField, prompt: string): unknown {
+    const text = prompt.toLowerCase();
+
+    if (nodeType === 'condition' && field.key === 'condition') {
+        return inferCondition(text);
+    }
+    if (nodeType === 'input' && field.key === 'defaultValue') {
+        const quoted = /["“]([^"”]+)["”]/.exec(prompt);
+        return quoted ? quoted[1] : undefined;
+    }
+
+    switch (field.key) {
+        case 'url': {
+            const url = /https?:\/\/[^\s"'<>]+/.exec(prompt);
+            return url ? url[0].replace(/[.,;)]+$/, '') : undefined;
+        }
+        case 'method':
+            return /\b(post|send|submit|create)\b/.test(text) ? 'POST' : 'GET';
+        case 'seconds':
+        case 'duration': {
+            const seconds = /(\d+(?:\.\d+)?)\s*(?:s|sec|secs|seconds?)\b/.exec(text);
+            const minutes = /(\d+(?:\.\d+)?)\s*(?:m|min|mins|minutes?)\b/.exec(text);
+            if (seconds) {
+                return Number(seconds[1]);
+            }
+            if (minutes) {
+                return Number(minutes[1]) * 60;
+            }
+            return undefined;
+        }
+        case 'genre':
+            return GENRES.find((genre) => text.includes(genre));
+    }
+
+    if (field.type === 'select' && field.options?.length) {
+        const mentioned = field.options.find((option) => {
+            const words = `${option.label} ${option.value}`.toLowerCase().split(/[^a-z0-9]+/);
+            return words.some((word) => word.length > 3 && text.includes(word.slice(0, -1)));
+        });
+        return (mentioned || field.options[0]).value;
+    }
+
+    return undefined;
+}
+
+function inferCondition(text: string): string {
+    const number = '(-?\\d+(?:\\.\\d+)?)';
+    const comparisons: [RegExp, string][] = [
+        [new RegExp(`\\b(?:greater|more|higher|larger|above|over)(?: than)? ${number}`), '>'],
+        [new RegExp(`\\b(?:less|fewer|lower|smaller|below|under)(?: than)? ${number}`), '<'],
+        [new RegExp(`\\bat least ${number}`), '>='],
+        [new RegExp(`\\bat most ${number}`), '<='],
+        [new RegExp(`\\b(?:equals?|equal to|is) ${number}`), '=='],
+    ];
+
+    for (const [pattern, op] of comparisons) {
+        const match = pattern.exec(text);
+        if (match) {
+            return `input ${op} ${match[1]}`;
+        }
+    }
+    return 'input';
+}
+
+function pickHandle(
+    handles: HandleDefinition[],
+    requested: string | undefined,
+    counterparts: HandleDefinition[]
+): HandleDefinition | undefined {
+    if (handles.length === 0) {
+        return undefined;
+    }
+
+    const exact = requested ? findHandle(handles, requested) : undefined;
+    if (exact) {
+        return exact;
+    }
+
+    return handles.find((h) => counterparts.some((c) => isHandleTypeCompatible(h.type, c.type))) || handles[0];
+}
+
+function createAdapter(
+    target: HandleDefinition,
+    nodeTypes: Record<string, NodeTypeDefinition>
+): Node<AevovNodeData> | null {
+    const transform = nodeTypes.transform;
+    if (!transform) {
+        return null;
+    }
+
+    return createNode('transform', transform, { x: 0, y: 0 }, {
+        label: target.type === 'string' ? 'To Text' : 'Adapt',
+        config: { type: target.type === 'string' ? 'json_stringify' : 'passthrough' },
+    });
+}
+
+function connect(
+    source: Node<AevovNodeData>,
+    sourceHandle: HandleDefinition | undefined,
+    target: Node<AevovNodeData>,
+    targetHandle: HandleDefinition | undefined
+): Edge {
+    return {
+        id: generateEdgeId(),
+        source: source.id,
+        target: target.id,
+        sourceHandle: sourceHandle?.id ?? null,
+        targetHandle: targetHandle?.id ?? null,
+        type: 'smoothstep',
+        animated: true,
+    };
+}
+
+function nameFromPrompt(prompt: string): string {
+    const words = prompt.replace(/https?:\/\/\S+/g, '').match(/[A-Za-z0-9']+/g) || [];
+    if (words.length === 0) {
+        return 'Generated Workflow';
+    }
+    return words
+        .slice(0, 6)
+        .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
+        .join(' ');
+}
+
+function escapeRegExp(value: string): string {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
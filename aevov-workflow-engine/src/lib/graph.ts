@@ -0,0 +1,156 @@
+import { Node, Edge } from 'reactflow';
+import { AevovNodeData, NodeTypeDefinition } from '../types';
+
+let nodeCounter = 0;
+let edgeCounter = 0;
+
+export function generateNodeId(): string {
+    return `node_${++nodeCounter}_${Date.now()}`;
+}
+
+export function generateEdgeId(): string {
+    return `edge_${++edgeCounter}_${Date.now()}`;
+}
+
+export function createNode(
+    type: string,
+    nodeType: NodeTypeDefinition | undefined,
+    position: { x: number; y: number },
+    data: Partial<AevovNodeData> = {}
+): Node<AevovNodeData> {
+    return {
+        id: generateNodeId(),
+        type: 'aevovNode',
+        position,
+        data: {
+            label: data.label || nodeType?.label || type,
+            nodeType: type,
+            icon: nodeType?.icon || 'Box',
+            color: nodeType?.color || '#64748b',
+            inputs: nodeType?.inputs || [],
+            outputs: nodeType?.outputs || [],
+            config: {},
+            ...data,
+        },
+    };
+}
+
+export function getSelectedSubgraph(
+    nodes: Node<AevovNodeData>[],
+    edges: Edge[],
+    fallbackNodeId?: string | null
+): { nodes: Node<AevovNodeData>[]; edges: Edge[] } {
+    let selected = nodes.filter((n) => n.selected);
+    if (selected.length === 0 && fallbackNodeId) {
+        selected = nodes.filter((n) => n.id === fallbackNodeId);
+    }
+
+    const ids = new Set(selected.map((n) => n.id));
+    return {
+        nodes: selected,
+        edges: edges.filter((e) => ids.has(e.source) && ids.has(e.target)),
+    };
+}
+
+export function cloneSubgraph(
+    nodes: Node<AevovNodeData>[],
+    edges: Edge[],
+    offset: { x: number; y: number } = { x: 0, y: 0 }
+): { nodes: Node<AevovNodeData>[]; edges: Edge[]; idMap: Record<string, string> } {
+    const idMap: Record<string, string> = {};
+    nodes.forEach((n) => {
+        idMap[n.id] = generateNodeId();
+    });
+
+    const clonedNodes = nodes.map((n) => ({
+        ...n,
+        id: idMap[n.id],
+        position: { x: n.position.x + offset.x, y: n.position.y + offset.y },
+        positionAbsolute: undefined,
+        data: { ...n.data, config: structuredClone(n.data.config || {}) },
+        selected: true,
+        dragging: false,
+    }));
+
+    const clonedEdges = edges
+        .filter((e) => idMap[e.source] && idMap[e.target])
+        .map((e) => ({
+            ...e,
+            id: generateEdgeId(),
+            source: idMap[e.source],
+            target: idMap[e.target],
+            selected: false,
+        }));
+
+    return { nodes: clonedNodes, edges: clonedEdges, idMap };
+}
+
+// Tarjan's algorithm, iterative so deep chains don't overflow the stack
+export function stronglyConnectedComponents(nodes: Node[], edges: Edge[]): string[][] {
+    const adjacency = new Map<string, string[]>();
+    nodes.forEach((n) => adjacency.set(n.id, []));
+    edges.forEach((e) => {
+        if (adjacency.has(e.source) && adjacency.has(e.target)) {
+            adjacency.get(e.source)!.push(e.target);
+        }
+    });
+
+    let index = 0;
+    const indices = new Map<string, number>();
+    const lowLinks = new Map<string, number>();
+    const onStack = new Set<string>();
+    const stack: string[] = [];
+    const components: string[][] = [];
+
+    nodes.forEach((root) => {
+        if (indices.has(root.id)) {
+            return;
+        }
+
+        const work: { id: string; next: number }[] = [{ id: root.id, next: 0 }];
+        indices.set(root.id, index);
+        lowLinks.set(root.id, index);
+        index++;
+        stack.push(root.id);
+        onStack.add(root.id);
+
+        while (work.length > 0) {
+            const frame = work[work.length - 1];
+            const neighbors = adjacency.get(frame.id)!;
+
+            if (frame.next < neighbors.length) {
+                const next = neighbors[frame.next++];
+                if (!indices.has(next)) {
+                    indices.set(next, index);
+                    lowLinks.set(next, index);
+                    index++;
+                    stack.push(next);
+                    onStack.add(next);
+                    work.push({ id: next, next: 0 });
+                } else if (onStack.has(next)) {
+                    lowLinks.set(frame.id, Math.min(lowLinks.get(frame.id)!, indices.get(next)!));
+                }
+                continue;
+            }
+
+            work.pop();
+            if (work.length > 0) {
+                const parent = work[work.length - 1].id;
+                lowLinks.set(parent, Math.min(lowLinks.get(parent)!, lowLinks.get(frame.id)!));
+            }
+
+            if (lowLinks.get(frame.id) === indices.get(frame.id)) {
+                const component: string[] = [];
+                let member: string;
+                do {
+                    member = stack.pop()!;
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== frame.id);
+                components.push(component.reverse());
+            }
+        }
+    });
+
+    return components;
+}
@@ -0,0 +1,96 @@
+// Tokenizer for the code field's syntax highlighting. It only colours text;
+// expressions are parsed for real by engine/expression.
+
+export type HighlightLanguage = 'template' | 'expression' | 'json';
+
+export type TokenKind = 'plain' | 'string' | 'number' | 'keyword' | 'operator' | 'variable' | 'property' | 'delimiter';
+
+export interface HighlightToken {
+    kind: TokenKind;
+    text: string;
+}
+
+const EXPRESSION_TOKEN = /('(?:[^'\\]|\\.)*'?|"(?:[^"\\]|\\.)*"?)|(\d+(?:\.\d+)?)|([A-Za-z_$][\w$]*)|(===|!==|==|!=|>=|<=|&&|\|\||[-+*/%!<>?:])|(\s+)|([\s\S])/g;
+const JSON_TOKEN = /("(?:[^"\\]|\\.)*"?)(\s*:)?|(-?\d+(?:\.\d+)?(?:[eE][-+]?\d+)?)|(true|false|null)\b|(\s+)|([\s\S])/g;
+const KEYWORDS = ['true', 'false', 'null'];
+
+export function highlight(text: string, language: HighlightLanguage): HighlightToken[] {
+    switch (language) {
+        case 'json':
+            return highlightJson(text);
+        case 'expression':
+            return highlightExpression(text);
+        default:
+            return highlightTemplate(text);
+    }
+}
+
+// Plain text with {{ expression }} placeholders
+function highlightTemplate(text: string): HighlightToken[] {
+    const tokens: HighlightToken[] = [];
+    let rest = text;
+    while (rest) {
+        const open = rest.indexOf('{{');
+        if (open < 0) {
+            tokens.push({ kind: 'plain', text: rest });
+            break;
+        }
+        if (open > 0) {
+            tokens.push({ kind: 'plain', text: rest.slice(0, open) });
+        }
+
+        const close = rest.indexOf('}}', open + 2);
+        const end = close < 0 ? rest.length : close;
+        tokens.push({ kind: 'delimiter', text: '{{' });
+        tokens.push(...highlightExpression(rest.slice(open + 2, end)));
+        if (close >= 0) {
+            tokens.push({ kind: 'delimiter', text: '}}' });
+        }
+        rest = close < 0 ? '' : rest.slice(close + 2);
+    }
+    return tokens;
+}
+
+function highlightExpression(text: string): HighlightToken[] {
+    const tokens: HighlightToken[] = [];
+    let previous = '';
+    for (const match of text.matchAll(EXPRESSION_TOKEN)) {
+        const [token, string, number, identifier, operator] = match;
+        if (string) {
+            tokens.push({ kind: 'string', text: token });
+        } else if (number) {
+            tokens.push({ kind: 'number', text: token });
+        } else if (identifier) {
+            const kind = KEYWORDS.includes(identifier) ? 'keyword' : previous === '.' ? 'property' : 'variable';
+            tokens.push({ kind, text: token });
+        } else if (operator) {
+            tokens.push({ kind: 'operator', text: token });
+        } else {
+            tokens.push({ kind: 'plain', text: token });
+        }
+        if (token.trim()) {
+            previous = token;
+        }
+    }
+    return tokens;
+}
+
+function highlightJson(text: string): HighlightToken[] {
+    const tokens: HighlightToken[] = [];
+    for (const match of text.matchAll(JSON_TOKEN)) {
+        const [token, string, colon, number, keyword] = match;
+        if (string) {
+            tokens.push({ kind: colon ? 'property' : 'string', text: string });
+            if (colon) {
+                tokens.push({ kind: 'plain', text: colon });
+            }
+        } else if (number) {
+            tokens.push({ kind: 'number', text: token });
+        } else if (keyword) {
+            tokens.push({ kind: 'keyword', text: token });
+        } else {
+            tokens.push({ kind: 'plain', text: token });
+        }
+    }
+    return tokens;
+}
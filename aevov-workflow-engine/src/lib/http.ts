@@ -0,0 +1,13 @@
+// A REST request the server turned down, with the status and body for callers
+// that handle particular failures themselves
+export class RequestError extends Error {
+    status: number;
+    body: Record<string, unknown>;
+
+    constructor(message: string, status: number, body: Record<string, unknown>) {
+        super(message);
+        this.name = 'RequestError';
+        this.status = status;
+        this.body = body;
+    }
+}
@@ -0,0 +1,379 @@
+import { Node } from 'reactflow';
+import { AevovNodeData } from '../types';
+
+// Run parameters declared by Input nodes. Run inputs stay keyed by input node id;
+// the parameter name is what API callers use instead.
+
+export type InputParameterType = 'string' | 'number' | 'integer' | 'boolean' | 'json' | 'enum';
+
+export interface InputParameter {
+    nodeId: string;
+    name: string;
+    label: string;
+    type: InputParameterType;
+    required: boolean;
+    description?: string;
+    defaultValue?: unknown;
+    // Bounds on the value for numbers, on the length for strings
+    min?: number;
+    max?: number;
+    pattern?: string;
+    options?: string[];
+}
+
+export interface InputValidation {
+    // Coerced values keyed by input node id
+    inputs: Record<string, unknown>;
+    // Messages keyed by input node id
+    errors: Record<string, string>;
+}
+
+export const INPUT_PARAMETER_TYPES: { value: InputParameterType; label: string }[] = [
+    { value: 'string', label: 'Text' },
+    { value: 'number', label: 'Number' },
+    { value: 'integer', label: 'Integer' },
+    { value: 'boolean', label: 'Yes / No' },
+    { value: 'json', label: 'JSON' },
+    { value: 'enum', label: 'One of' },
+];
+
+// Every Input node of the graph, top to bottom like the form shows them
+export function inputParameters(nodes: Node<AevovNodeData>[]): InputParameter[] {
+    return nodes
+        .filter((n) => n.data.nodeType === 'input')
+        .sort((a, b) => a.position.y - b.position.y || a.position.x - b.position.x)
+        .map(toParameter);
+}
+
+function toParameter(node: Node<AevovNodeData>): InputParameter {
+    const config = node.data.config || {};
+    const type = INPUT_PARAMETER_TYPES.some((t) => t.value === config.inputType)
+        ? config.inputType as InputParameterType
+        : 'string';
+
+    const parameter: InputParameter = {
+        nodeId: node.id,
+        name: parameterName(node),
+        label: node.data.label,
+        type,
+        required: Boolean(config.required),
+    };
+    if (typeof config.description === 'string' && config.description.trim()) {
+        parameter.description = config.description.trim();
+    }
+    if (!isBlank(config.defaultValue)) {
+        parameter.defaultValue = config.defaultValue;
+    }
+    if (isFiniteNumber(config.min)) {
+        parameter.min = Number(config.min);
+    }
+    if (isFiniteNumber(config.max)) {
+        parameter.max = Number(config.max);
+    }
+    if (typeof config.pattern === 'string' && config.pattern) {
+        parameter.pattern = config.pattern;
+    }
+    if (type === 'enum') {
+        parameter.options = parseOptions(config.options);
+    }
+    return parameter;
+}
+
+// The configured name, or one derived from the label
+export function parameterName(node: Node<AevovNodeData>): string {
+    const configured = typeof node.data.config?.name === 'string' ? node.data.config.name.trim() : '';
+    if (configured) {
+        return configured;
+    }
+    const slug = node.data.label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    return slug || node.id;
+}
+
+function parseOptions(value: unknown): string[] {
+    const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+    return list.map((option) => String(option).trim()).filter(Boolean);
+}
+
+// Checks one value against its parameter and converts form text to the declared type
+export function coerceInput(parameter: InputParameter, raw: unknown): { value?: unknown; error?: string } {
+    if (isBlank(raw)) {
+        if (parameter.defaultValue !== undefined) {
+            return coerceInput({ ...parameter, defaultValue: undefined }, parameter.defaultValue);
+        }
+        return parameter.required ? { error: 'Required' } : {};
+    }
+
+    switch (parameter.type) {
+        case 'number':
+        case 'integer': {
+            const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+            if (typeof raw === 'boolean' || !Number.isFinite(value)) {
+                return { error: 'Must be a number' };
+            }
+            if (parameter.type === 'integer' && !Number.isInteger(value)) {
+                return { error: 'Must be a whole number' };
+            }
+            if (parameter.min !== undefined && value < parameter.min) {
+                return { error: `Must be at least ${parameter.min}` };
+            }
+            if (parameter.max !== undefined && value > parameter.max) {
+                return { error: `Must be at most ${parameter.max}` };
+            }
+            return { value };
+        }
+
+        case 'boolean': {
+            if (typeof raw === 'boolean') {
+                return { value: raw };
+            }
+            const text = String(raw).trim().toLowerCase();
+            if (['true', '1', 'yes', 'on'].includes(text)) {
+                return { value: true };
+            }
+            if (['false', '0', 'no', 'off'].includes(text)) {
+                return { value: false };
+            }
+            return { error: 'Must be true or false' };
+        }
+
+        case 'json': {
+            if (typeof raw !== 'string') {
+                return { value: raw };
+            }
+            try {
+                return { value: JSON.parse(raw) };
+            } catch {
+                return { error: 'Must be valid JSON' };
+            }
+        }
+
+        case 'enum': {
+            const value = String(raw);
+            const options = parameter.options || [];
+            if (!options.includes(value)) {
+                return { error: `Must be one of: ${options.join(', ')}` };
+            }
+            return { value };
+        }
+
+        default: {
+            const value = typeof raw === 'string' ? raw : JSON.stringify(raw);
+            if (parameter.min !== undefined && value.length < parameter.min) {
+                return { error: `Must be at least ${parameter.min} characters` };
+            }
+            if (parameter.max !== undefined && value.length > parameter.max) {
+                return { error: `Must be at most ${parameter.max} characters` };
+            }
+            if (parameter.pattern && !matchesPattern(parameter.pattern, value)) {
+                return { error: `Must match ${parameter.pattern}` };
+            }
+            return { value };
+        }
+    }
+}
+
+// Converts text to the declared type of an Input node, keeping text that doesn't convert
+export function convertInputText(type: unknown, text: string): unknown {
+    const parameter: InputParameter = { nodeId: '', name: '', label: '', type: type as InputParameterType, required: false };
+    const { value, error } = coerceInput(parameter, text);
+    return error || value === undefined ? text : value;
+}
+
+// Validates a full set of run inputs. Values may be keyed by node id or parameter name.
+export function validateInputs(parameters: InputParameter[], values: Record<string, unknown>): InputValidation {
+    const result: InputValidation = { inputs: {}, errors: {} };
+
+    parameters.forEach((parameter) => {
+        const raw = values[parameter.nodeId] !== undefined ? values[parameter.nodeId] : values[parameter.name];
+        const { value, error } = coerceInput(parameter, raw);
+        if (error) {
+            result.errors[parameter.nodeId] = error;
+        } else if (value !== undefined) {
+            result.inputs[parameter.nodeId] = value;
+        }
+    });
+
+    return result;
+}
+
+// Run inputs as the text the form edits; fields left out fall back to the default
+export function inputFormValues(parameters: InputParameter[], inputs: Record<string, unknown>): Record<string, string> {
+    const values: Record<string, string> = {};
+    parameters.forEach((parameter) => {
+        const value = inputs[parameter.nodeId];
+        if (value === undefined || value === null) {
+            return;
+        }
+        if (parameter.type === 'json') {
+            // Strings that are already JSON text came from the form or a file, not from a parsed run
+            const isJsonText = typeof value === 'string' && coerceInput(parameter, value).error === undefined;
+            values[parameter.nodeId] = isJsonText ? value as string : JSON.stringify(value, null, 2);
+        } else {
+            values[parameter.nodeId] = String(value);
+        }
+    });
+    return values;
+}
+
+// JSON Schema of the parameters, as accepted by POST /workflows/{id}/execute
+export function inputJsonSchema(parameters: InputParameter[]): Record<string, unknown> {
+    const properties: Record<string, Record<string, unknown>> = {};
+
+    parameters.forEach((parameter) => {
+        const property: Record<string, unknown> = { title: parameter.label };
+        if (parameter.description) {
+            property.description = parameter.description;
+        }
+
+        switch (parameter.type) {
+            case 'number':
+            case 'integer':
+                property.type = parameter.type;
+                if (parameter.min !== undefined) {
+                    property.minimum = parameter.min;
+                }
+                if (parameter.max !== undefined) {
+                    property.maximum = parameter.max;
+                }
+                break;
+            case 'boolean':
+                property.type = 'boolean';
+                break;
+            case 'enum':
+                property.type = 'string';
+                property.enum = parameter.options || [];
+                break;
+            case 'json':
+                break;
+            default:
+                property.type = 'string';
+                if (parameter.min !== undefined) {
+                    property.minLength = parameter.min;
+                }
+                if (parameter.max !== undefined) {
+                    property.maxLength = parameter.max;
+                }
+                if (parameter.pattern) {
+                    property.pattern = parameter.pattern;
+                }
+        }
+
+        if (parameter.defaultValue !== undefined) {
+            const { value } = coerceInput({ ...parameter, required: false }, parameter.defaultValue);
+            if (value !== undefined) {
+                property.default = value;
+            }
+        }
+        properties[parameter.name] = property;
+    });
+
+    return {
+        type: 'object',
+        properties,
+        required: parameters.filter((p) => p.required && p.defaultValue === undefined).map((p) => p.name),
+    };
+}
+
+export function matchesPattern(pattern: string, value: string): boolean {
+    try {
+        return new RegExp(pattern).test(value);
+    } catch {
+        // An invalid pattern is reported on the node, not on every run
+        return true;
+    }
+}
+
+function isBlank(value: unknown): boolean {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function isFiniteNumber(value: unknown): boolean {
+    return !isBlank(value) && typeof value !== 'boolean' && Number.isFinite(Number(value));
+}
+
+// Recent input sets and named presets, per workflow, in this browser
+
+export interface InputSet {
+    values: Record<string, unknown>;
+    usedAt: string;
+}
+
+export interface InputPreset {
+    name: string;
+    values: Record<string, unknown>;
+}
+
+export interface WorkflowInputSets {
+    recent: InputSet[];
+    presets: InputPreset[];
+}
+
+const INPUT_SETS_STORAGE_KEY = 'aevov-workflow-inputs';
+const RECENT_INPUT_LIMIT = 5;
+
+// Unsaved workflows share one slot until they get an id
+export function inputSetsKey(workflowId: string | null): string {
+    return workflowId || 'unsaved';
+}
+
+function readInputSets(): Record<string, WorkflowInputSets> {
+    if (typeof window === 'undefined' || !window.localStorage) {
+        return {};
+    }
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(INPUT_SETS_STORAGE_KEY) || '{}');
+        return stored && typeof stored === 'object' ? stored : {};
+    } catch {
+        return {};
+    }
+}
+
+function updateInputSets(key: string, update: (sets: WorkflowInputSets) => WorkflowInputSets): WorkflowInputSets {
+    const all = readInputSets();
+    const next = update(all[key] || { recent: [], presets: [] });
+    if (typeof window !== 'undefined' && window.localStorage) {
+        try {
+            window.localStorage.setItem(INPUT_SETS_STORAGE_KEY, JSON.stringify({ ...all, [key]: next }));
+        } catch (error) {
+            console.error('Failed to save input sets:', error);
+        }
+    }
+    return next;
+}
+
+export function loadInputSets(key: string): WorkflowInputSets {
+    return readInputSets()[key] || { recent: [], presets: [] };
+}
+
+export function rememberInputSet(key: string, values: Record<string, unknown>): WorkflowInputSets {
+    const serialized = JSON.stringify(values);
+    return updateInputSets(key, (sets) => ({
+        ...sets,
+        recent: [
+            { values, usedAt: new Date().toISOString() },
+            ...sets.recent.filter((set) => JSON.stringify(set.values) !== serialized),
+        ].slice(0, RECENT_INPUT_LIMIT),
+    }));
+}
+
+export function saveInputPreset(key: string, name: string, values: Record<string, unknown>): WorkflowInputSets {
+    return updateInputSets(key, (sets) => ({
+        ...sets,
+        presets: [...sets.presets.filter((p) => p.name !== name), { name, values }]
+            .sort((a, b) => a.name.localeCompare(b.name)),
+    }));
+}
+
+export function deleteInputPreset(key: string, name: string): WorkflowInputSets {
+    return updateInputSets(key, (sets) => ({ ...sets, presets: sets.presets.filter((p) => p.name !== name) }));
+}
+
+// Once a workflow is first saved, the sets collected while it was unsaved move to its id
+export function adoptInputSets(workflowId: string): void {
+    const all = readInputSets();
+    const unsaved = all[inputSetsKey(null)];
+    if (!unsaved || all[workflowId]) {
+        return;
+    }
+    updateInputSets(workflowId, () => unsaved);
+}
@@ -0,0 +1,105 @@
+import { JsonSchema, JsonSchemaType } from '../types';
+import { matchesPattern } from './inputs';
+
+// Checks values against the subset of JSON Schema that JsonSchema describes
+
+export interface SchemaError {
+    // JSON pointer-ish path to the failing value, '' for the root
+    path: string;
+    message: string;
+}
+
+export function validateJsonSchema(schema: JsonSchema, value: unknown, path = ''): SchemaError[] {
+    const errors: SchemaError[] = [];
+    const fail = (message: string) => errors.push({ path, message });
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some((type) => matchesType(type, value))) {
+            fail(`must be ${types.join(' or ')}`);
+            return errors;
+        }
+    }
+    if (schema.enum && !schema.enum.some((option) => deepEqual(option, value))) {
+        fail(`must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+    }
+    if ('const' in schema && !deepEqual(schema.const, value)) {
+        fail(`must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail(`must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(`must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern !== undefined && !matchesPattern(schema.pattern, value)) {
+            fail(`must match ${schema.pattern}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateJsonSchema(schema.items!, item, `${path}/${index}`)));
+        }
+    }
+
+    if (isObject(value)) {
+        (schema.required || []).forEach((key) => {
+            if (!(key in value)) {
+                errors.push({ path: `${path}/${key}`, message: 'is required' });
+            }
+        });
+        Object.entries(value).forEach(([key, child]) => {
+            const property = schema.properties?.[key];
+            if (property) {
+                errors.push(...validateJsonSchema(property, child, `${path}/${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: `${path}/${key}`, message: 'is not allowed' });
+            } else if (isObject(schema.additionalProperties)) {
+                errors.push(...validateJsonSchema(schema.additionalProperties as JsonSchema, child, `${path}/${key}`));
+            }
+        });
+    }
+
+    return errors;
+}
+
+export function formatSchemaError(error: SchemaError): string {
+    return error.path ? `${error.path.slice(1)} ${error.message}` : `Value ${error.message}`;
+}
+
+function matchesType(type: JsonSchemaType, value: unknown): boolean {
+    switch (type) {
+        case 'object': return isObject(value);
+        case 'array': return Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'null': return value === null;
+        default: return typeof value === type;
+    }
+}
+
+function isObject(value: unknown): value is Record<string, unknown> {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function deepEqual(a: unknown, b: unknown): boolean {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
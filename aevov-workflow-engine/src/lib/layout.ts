@@ -0,0 +1,295 @@
+import { Node, Edge, XYPosition } from 'reactflow';
+import { AevovNodeData } from '../types';
+import { stronglyConnectedComponents } from './graph';
+
+export interface LayeredLayoutOptions {
+    origin?: XYPosition;
+    // Space left between node boxes
+    columnGap?: number;
+    rowGap?: number;
+}
+
+// Nodes that haven't been rendered yet have no measured size
+const DEFAULT_NODE_WIDTH = 200;
+const DEFAULT_NODE_HEIGHT = 90;
+const LOOP_BODY_INDENT = 40;
+
+interface Gaps {
+    columnGap: number;
+    rowGap: number;
+}
+
+// A laid out set of nodes, with positions relative to its top-left corner
+interface Block {
+    width: number;
+    height: number;
+    positions: Map<string, XYPosition>;
+}
+
+interface Link {
+    source: string;
+    target: string;
+    // Fraction that keeps the branches of one node in handle order, e.g. true above false
+    rank: number;
+}
+
+// Left-to-right layered layout. Each node sits one column after its deepest
+// predecessor, rows follow the average row of the predecessors, and the body
+// of a loop is laid out as a block under its loop node.
+export function layoutLayered(
+    nodes: Node<AevovNodeData>[],
+    edges: Edge[],
+    options: LayeredLayoutOptions = {}
+): Node<AevovNodeData>[] {
+    const { origin = { x: 100, y: 100 }, columnGap = 70, rowGap = 40 } = options;
+    if (nodes.length === 0) {
+        return nodes;
+    }
+
+    const block = layoutBlock(nodes, edges, { columnGap, rowGap });
+    return nodes.map((n) => {
+        const position = block.positions.get(n.id)!;
+        return {
+            ...n,
+            position: { x: origin.x + position.x, y: origin.y + position.y },
+            positionAbsolute: undefined,
+        };
+    });
+}
+
+function layoutBlock(nodes: Node<AevovNodeData>[], edges: Edge[], gaps: Gaps): Block {
+    const ids = new Set(nodes.map((n) => n.id));
+    const inner = edges.filter((e) => ids.has(e.source) && ids.has(e.target) && e.source !== e.target);
+
+    // Each unit is a node, or a loop node together with the body that feeds back into it
+    const owner = new Map<string, string>();
+    const units = new Map<string, Block>();
+    stronglyConnectedComponents(nodes, inner).forEach((component) => {
+        const members = nodes.filter((n) => component.includes(n.id));
+        const loop = members.length > 1 ? members.find((n) => n.data.nodeType === 'loop') : undefined;
+        if (!loop) {
+            members.forEach((n) => {
+                owner.set(n.id, n.id);
+                units.set(n.id, { ...nodeSize(n), positions: new Map([[n.id, { x: 0, y: 0 }]]) });
+            });
+            return;
+        }
+
+        const head = nodeSize(loop);
+        const body = layoutBlock(
+            members.filter((n) => n.id !== loop.id),
+            inner.filter((e) => e.source !== loop.id && e.target !== loop.id),
+            gaps
+        );
+        const positions = new Map([[loop.id, { x: 0, y: 0 }]]);
+        body.positions.forEach((p, id) => {
+            positions.set(id, { x: LOOP_BODY_INDENT + p.x, y: head.height + gaps.rowGap + p.y });
+        });
+
+        members.forEach((n) => owner.set(n.id, loop.id));
+        units.set(loop.id, {
+            width: Math.max(head.width, LOOP_BODY_INDENT + body.width),
+            height: head.height + gaps.rowGap + body.height,
+            positions,
+        });
+    });
+
+    const order = nodes.map((n) => n.id).filter((id) => owner.get(id) === id);
+    const links: Link[] = [];
+    inner.forEach((e) => {
+        const source = owner.get(e.source)!;
+        const target = owner.get(e.target)!;
+        if (source === target) {
+            return;
+        }
+        links.push({ source, target, rank: handleRank(nodes.find((n) => n.id === e.source)!, e.sourceHandle) });
+    });
+
+    const columns = orderColumns(order, links);
+
+    const columnWidths = columns.map((column) => Math.max(...column.map((id) => units.get(id)!.width)));
+    const columnHeights = columns.map((column) =>
+        column.reduce((sum, id) => sum + units.get(id)!.height, 0) + (column.length - 1) * gaps.rowGap
+    );
+    const tallest = Math.max(...columnHeights);
+
+    const positions = new Map<string, XYPosition>();
+    let x = 0;
+    columns.forEach((column, layer) => {
+        let y = (tallest - columnHeights[layer]) / 2;
+        column.forEach((id) => {
+            const unit = units.get(id)!;
+            unit.positions.forEach((p, nodeId) => positions.set(nodeId, { x: x + p.x, y: y + p.y }));
+            y += unit.height + gaps.rowGap;
+        });
+        x += columnWidths[layer] + gaps.columnGap;
+    });
+
+    return { width: x - gaps.columnGap, height: tallest, positions };
+}
+
+// Splits units into columns by layer and orders each column by the average row of the predecessors
+function orderColumns(ids: string[], links: Link[]): string[][] {
+    const layers = assignLayers(ids, links);
+    const columns: string[][] = [];
+    ids.forEach((id) => {
+        const layer = layers.get(id)!;
+        (columns[layer] = columns[layer] || []).push(id);
+    });
+
+    const incoming = new Map<string, Link[]>();
+    links.forEach((link) => incoming.set(link.target, [...(incoming.get(link.target) || []), link]));
+
+    const rows = new Map<string, number>();
+    columns.forEach((column) => {
+        const weight = (id: string) => {
+            const placed = (incoming.get(id) || []).filter((link) => rows.has(link.source));
+            if (placed.length === 0) {
+                return Number.MAX_SAFE_INTEGER;
+            }
+            return placed.reduce((sum, link) => sum + rows.get(link.source)! + link.rank, 0) / placed.length;
+        };
+        // Array.prototype.sort is stable, so ties keep their original order
+        column.sort((a, b) => weight(a) - weight(b));
+        column.forEach((id, row) => rows.set(id, row));
+    });
+
+    return columns.filter(Boolean);
+}
+
+// Longest-path layering; links that close a cycle are ignored
+function assignLayers(ids: string[], links: Link[]): Map<string, number> {
+    const outgoing = new Map<string, string[]>();
+    const inDegree = new Map<string, number>();
+    ids.forEach((id) => {
+        outgoing.set(id, []);
+        inDegree.set(id, 0);
+    });
+    links.forEach((link) => {
+        outgoing.get(link.source)!.push(link.target);
+        inDegree.set(link.target, inDegree.get(link.target)! + 1);
+    });
+
+    const layers = new Map<string, number>();
+    const queue = ids.filter((id) => inDegree.get(id) === 0);
+    queue.forEach((id) => layers.set(id, 0));
+
+    for (;;) {
+        while (queue.length > 0) {
+            const id = queue.shift()!;
+            outgoing.get(id)!.forEach((next) => {
+                const remaining = inDegree.get(next)! - 1;
+                inDegree.set(next, remaining);
+                // Already placed: this link closes a cycle
+                if (remaining < 0) {
+                    return;
+                }
+                layers.set(next, Math.max(layers.get(next) ?? 0, layers.get(id)! + 1));
+                if (remaining === 0) {
+                    queue.push(next);
+                }
+            });
+        }
+
+        // Break a cycle at the first unit that is still waiting on a predecessor
+        const blocked = ids.find((id) => inDegree.get(id)! > 0);
+        if (!blocked) {
+            break;
+        }
+        inDegree.set(blocked, 0);
+        if (!layers.has(blocked)) {
+            layers.set(blocked, 0);
+        }
+        queue.push(blocked);
+    }
+
+    return layers;
+}
+
+function handleRank(node: Node<AevovNodeData>, handle: string | null | undefined): number {
+    const outputs = node.data.outputs || [];
+    const index = outputs.findIndex((output) => output.id === handle);
+    return index < 0 ? 0 : index / (outputs.length * 2);
+}
+
+function nodeSize(node: Node): { width: number; height: number } {
+    return {
+        width: node.width || DEFAULT_NODE_WIDTH,
+        height: node.height || DEFAULT_NODE_HEIGHT,
+    };
+}
+
+// Workflows built through the API may come without positions, or with every node on one spot
+export function needsLayout(nodes: Node[]): boolean {
+    if (nodes.some((n) => !n.position || !Number.isFinite(n.position.x) || !Number.isFinite(n.position.y))) {
+        return true;
+    }
+    return nodes.length > 1 && nodes.every((n) => n.position.x === nodes[0].position.x && n.position.y === nodes[0].position.y);
+}
+
+export type AlignMode = 'left' | 'center' | 'right' | 'top' | 'middle' | 'bottom';
+
+// Lines the given nodes up on the edge or center of their bounding box
+export function alignNodes<T>(nodes: Node<T>[], ids: string[], mode: AlignMode): Node<T>[] {
+    const targets = nodes.filter((n) => ids.includes(n.id));
+    if (targets.length < 2) {
+        return nodes;
+    }
+
+    const horizontal = mode === 'left' || mode === 'center' || mode === 'right';
+    const start = Math.min(...targets.map((n) => (horizontal ? n.position.x : n.position.y)));
+    const end = Math.max(...targets.map((n) => (horizontal ? n.position.x + nodeSize(n).width : n.position.y + nodeSize(n).height)));
+
+    return nodes.map((n) => {
+        if (!ids.includes(n.id)) {
+            return n;
+        }
+        const size = horizontal ? nodeSize(n).width : nodeSize(n).height;
+        const value = mode === 'left' || mode === 'top'
+            ? start
+            : mode === 'right' || mode === 'bottom'
+                ? end - size
+                : (start + end - size) / 2;
+        return {
+            ...n,
+            position: horizontal ? { x: value, y: n.position.y } : { x: n.position.x, y: value },
+            positionAbsolute: undefined,
+        };
+    });
+}
+
+// Spaces the given nodes evenly between the outermost two, keeping their order
+export function distributeNodes<T>(nodes: Node<T>[], ids: string[], axis: 'horizontal' | 'vertical'): Node<T>[] {
+    const horizontal = axis === 'horizontal';
+    const coordinate = (n: Node<T>) => (horizontal ? n.position.x : n.position.y);
+    const length = (n: Node<T>) => (horizontal ? nodeSize(n).width : nodeSize(n).height);
+
+    const targets = nodes.filter((n) => ids.includes(n.id)).sort((a, b) => coordinate(a) - coordinate(b));
+    if (targets.length < 3) {
+        return nodes;
+    }
+
+    const first = targets[0];
+    const last = targets[targets.length - 1];
+    const span = coordinate(last) + length(last) - coordinate(first);
+    const gap = (span - targets.reduce((sum, n) => sum + length(n), 0)) / (targets.length - 1);
+
+    const placed = new Map<string, number>();
+    let next = coordinate(first);
+    targets.forEach((n) => {
+        placed.set(n.id, next);
+        next += length(n) + gap;
+    });
+
+    return nodes.map((n) => {
+        const value = placed.get(n.id);
+        if (value === undefined) {
+            return n;
+        }
+        return {
+            ...n,
+            position: horizontal ? { x: value, y: n.position.y } : { x: n.position.x, y: value },
+            positionAbsolute: undefined,
+        };
+    });
+}
@@ -0,0 +1,207 @@
+import { Node, Edge } from 'reactflow';
+import { AevovNodeData } from '../types';
+
+type Graph = { name: string; nodes: Node<AevovNodeData>[]; edges: Edge[] };
+
+export type MergeChoice = 'mine' | 'theirs';
+
+export interface FieldConflict {
+    // "label", "fixture", "errorPolicy" or "config.<key>", as in lib/diff
+    field: string;
+    mine: unknown;
+    theirs: unknown;
+}
+
+export interface MergeConflict {
+    key: string;
+    kind: 'name' | 'node';
+    label: string;
+    // What each side did since the version both started from
+    mine: 'changed' | 'removed';
+    theirs: 'changed' | 'removed';
+    // For nodes both sides kept, the fields they changed differently
+    fields: FieldConflict[];
+}
+
+export interface WorkflowMerge {
+    base: Graph;
+    mine: Graph;
+    theirs: Graph;
+    conflicts: MergeConflict[];
+}
+
+// Three-way merge of the canvas with a version saved in the meantime. Changes only one
+// side made are kept; a name, node or config field both changed differently is a
+// conflict. Moving nodes never conflicts: the canvas's positions win.
+export function mergeWorkflows(base: Graph | null, mine: Graph, theirs: Graph): WorkflowMerge {
+    const merge: WorkflowMerge = { base: base ?? { name: mine.name, nodes: [], edges: [] }, mine, theirs, conflicts: [] };
+    build(merge, () => 'mine', merge.conflicts);
+    return merge;
+}
+
+// The merged graph, with each conflict settled by its choice (keeping the canvas's side by default)
+export function resolveMerge(merge: WorkflowMerge, choices: Record<string, MergeChoice>): Graph {
+    return build(merge, (key) => choices[key] ?? 'mine');
+}
+
+function build(
+    { base, mine, theirs }: Omit<WorkflowMerge, 'conflicts'>,
+    choose: (key: string) => MergeChoice,
+    conflicts?: MergeConflict[]
+): Graph {
+    let name = mine.name;
+    const nameSide = pick(base.name, mine.name, theirs.name);
+    if (nameSide === 'conflict') {
+        conflicts?.push({
+            key: 'name',
+            kind: 'name',
+            label: 'Workflow name',
+            mine: 'changed',
+            theirs: 'changed',
+            fields: [{ field: 'name', mine: mine.name, theirs: theirs.name }],
+        });
+        name = choose('name') === 'mine' ? mine.name : theirs.name;
+    } else if (nameSide === 'theirs') {
+        name = theirs.name;
+    }
+
+    const baseNodes = new Map(base.nodes.map((n) => [n.id, n]));
+    const myNodes = new Map(mine.nodes.map((n) => [n.id, n]));
+    const theirNodes = new Map(theirs.nodes.map((n) => [n.id, n]));
+    const ids = [...mine.nodes.map((n) => n.id), ...theirs.nodes.map((n) => n.id).filter((id) => !myNodes.has(id))];
+
+    const nodes: Node<AevovNodeData>[] = [];
+    ids.forEach((id) => {
+        const b = baseNodes.get(id);
+        const m = myNodes.get(id);
+        const t = theirNodes.get(id);
+        const key = `node:${id}`;
+
+        if (m && t) {
+            nodes.push(mergeNode(key, b, m, t, choose, conflicts));
+            return;
+        }
+
+        // One side removed a node the other kept. Untouched, the removal stands;
+        // edited, it's a conflict.
+        const kept = (m ?? t)!;
+        if (!b) {
+            nodes.push(kept);
+            return;
+        }
+        if (same(b.data, kept.data)) {
+            return;
+        }
+
+        conflicts?.push({
+            key,
+            kind: 'node',
+            label: kept.data.label,
+            mine: m ? 'changed' : 'removed',
+            theirs: t ? 'changed' : 'removed',
+            fields: [],
+        });
+        if ((choose(key) === 'mine') === Boolean(m)) {
+            nodes.push(kept);
+        }
+    });
+
+    const nodeIds = new Set(nodes.map((n) => n.id));
+    const baseEdges = new Set(base.edges.map((e) => e.id));
+    const myEdges = new Set(mine.edges.map((e) => e.id));
+    const theirEdges = new Set(theirs.edges.map((e) => e.id));
+    const edges = [
+        // Removing an edge on either side removes it; adding one on either side adds it
+        ...mine.edges.filter((e) => theirEdges.has(e.id) || !baseEdges.has(e.id)),
+        ...theirs.edges.filter((e) => !myEdges.has(e.id) && !baseEdges.has(e.id)),
+    ].filter((e) => nodeIds.has(e.source) && nodeIds.has(e.target));
+
+    return { name, nodes, edges };
+}
+
+function mergeNode(
+    key: string,
+    b: Node<AevovNodeData> | undefined,
+    m: Node<AevovNodeData>,
+    t: Node<AevovNodeData>,
+    choose: (key: string) => MergeChoice,
+    conflicts?: MergeConflict[]
+): Node<AevovNodeData> {
+    const data: Record<string, unknown> = { ...m.data };
+    const config: Record<string, unknown> = { ...(m.data.config || {}) };
+    const fields: FieldConflict[] = [];
+
+    const merged = (field: string, baseValue: unknown, mine: unknown, theirs: unknown): unknown => {
+        const side = pick(baseValue, mine, theirs);
+        if (side === 'conflict') {
+            fields.push({ field, mine, theirs });
+            return undefined;
+        }
+        return side === 'mine' ? mine : theirs;
+    };
+
+    const dataKeys = new Set([...Object.keys(m.data), ...Object.keys(t.data)]);
+    dataKeys.delete('config');
+    dataKeys.forEach((field) => {
+        data[field] = merged(field, dataOf(b)[field], dataOf(m)[field], dataOf(t)[field]);
+    });
+
+    const baseConfig = b?.data.config || {};
+    const theirConfig = t.data.config || {};
+    new Set([...Object.keys(config), ...Object.keys(theirConfig)]).forEach((field) => {
+        config[field] = merged(`config.${field}`, baseConfig[field], config[field], theirConfig[field]);
+    });
+
+    if (fields.length > 0) {
+        conflicts?.push({ key, kind: 'node', label: m.data.label, mine: 'changed', theirs: 'changed', fields });
+        const chosen = choose(key) === 'mine' ? m.data : t.data;
+        fields.forEach(({ field }) => {
+            if (field.startsWith('config.')) {
+                config[field.slice(7)] = (chosen.config || {})[field.slice(7)];
+            } else {
+                data[field] = dataOf({ data: chosen })[field];
+            }
+        });
+    }
+
+    Object.keys(config).forEach((field) => {
+        if (config[field] === undefined) {
+            delete config[field];
+        }
+    });
+    Object.keys(data).forEach((field) => {
+        if (data[field] === undefined) {
+            delete data[field];
+        }
+    });
+
+    const moved = b && (b.position.x !== m.position.x || b.position.y !== m.position.y);
+    return {
+        ...m,
+        position: moved || !b ? m.position : t.position,
+        data: { ...data, config } as unknown as AevovNodeData,
+    };
+}
+
+function dataOf(node: { data: AevovNodeData } | undefined): Record<string, unknown> {
+    return (node?.data ?? {}) as unknown as Record<string, unknown>;
+}
+
+// Which side's value to keep for something both sides may have changed
+function pick(base: unknown, mine: unknown, theirs: unknown): MergeChoice | 'conflict' {
+    if (same(mine, theirs) || same(base, theirs)) {
+        return 'mine';
+    }
+    if (same(base, mine)) {
+        return 'theirs';
+    }
+    return 'conflict';
+}
+
+function same(a: unknown, b: unknown): boolean {
+    // Fields the editor cleared compare equal to fields that were never set
+    if ((a === undefined || a === '') && (b === undefined || b === '')) {
+        return true;
+    }
+    return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,195 @@
+import type { ComponentType, CSSProperties } from 'react';
+import { ConfigField, HandleDefinition, NodeTypeDefinition } from '../types';
+import { COMPOSITE_TYPE_PREFIX } from './composite';
+
+// Node types contributed at runtime, by other Aevov plugins through
+// window.aevovWorkflowEngine.registerNodeType or by code importing this module.
+
+export interface NodeConfigEditorProps {
+    nodeId: string;
+    config: Record<string, unknown>;
+    // Merged into the node's config
+    onChange: (patch: Record<string, unknown>) => void;
+    definition: NodeTypeDefinition;
+}
+
+export interface NodeRunContext {
+    nodeId: string;
+    inputs: Record<string, unknown>;
+    config: Record<string, unknown>;
+    signal?: AbortSignal;
+}
+
+export type NodeIcon = string | ComponentType<{ className?: string; style?: CSSProperties }>;
+
+export interface NodeTypeRegistration {
+    type: string;
+    label: string;
+    category?: NodeTypeDefinition['category'];
+    description?: string;
+    // A lucide icon name or a component
+    icon?: NodeIcon;
+    color?: string;
+    inputs?: HandleDefinition[];
+    outputs?: HandleDefinition[];
+    configFields?: ConfigField[];
+    // Replaces the generated config fields in the config panel
+    configEditor?: ComponentType<NodeConfigEditorProps>;
+    // Runs the node in the browser for dry runs. A plain object return value is
+    // the node's outputs keyed by handle; anything else becomes its `output`.
+    run?: (context: NodeRunContext) => unknown | Promise<unknown>;
+}
+
+export class NodeTypeRegistrationError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'NodeTypeRegistrationError';
+    }
+}
+
+const CATEGORIES: NodeTypeDefinition['category'][] = ['input', 'output', 'transform', 'control', 'capability', 'utility'];
+const HANDLE_TYPES: HandleDefinition['type'][] = ['any', 'string', 'number', 'object', 'array', 'boolean'];
+const FIELD_TYPES: ConfigField['type'][] = [
+    'text', 'textarea', 'number', 'select', 'boolean', 'json', 'code', 'keyValue', 'media', 'credential', 'range', 'multiSelect', 'cron',
+];
+
+// Built-in types can't be replaced; capability types can, to give them typed handles
+let reservedTypes: string[] = [];
+
+const registry = new Map<string, NodeTypeRegistration>();
+const listeners = new Set<() => void>();
+
+export function reserveNodeTypes(types: string[]): void {
+    reservedTypes = types;
+}
+
+// Registering a type again replaces its definition
+export function registerNodeType(registration: NodeTypeRegistration): () => void {
+    validateRegistration(registration);
+    registry.set(registration.type, registration);
+    notify();
+
+    return () => {
+        if (registry.get(registration.type) === registration) {
+            unregisterNodeType(registration.type);
+        }
+    };
+}
+
+export function unregisterNodeType(type: string): boolean {
+    const removed = registry.delete(type);
+    if (removed) {
+        notify();
+    }
+    return removed;
+}
+
+export function getRegisteredNodeType(type: string): NodeTypeRegistration | undefined {
+    return registry.get(type);
+}
+
+export function subscribeNodeTypes(listener: () => void): () => void {
+    listeners.add(listener);
+    return () => {
+        listeners.delete(listener);
+    };
+}
+
+// Exposes registration on window.aevovWorkflowEngine for scripts that aren't bundled with
+// the builder, and announces it for scripts that loaded first
+export function installNodeTypeApi(): void {
+    if (typeof window === 'undefined' || !window.aevovWorkflowEngine) {
+        return;
+    }
+    Object.assign(window.aevovWorkflowEngine, { registerNodeType, unregisterNodeType });
+    window.dispatchEvent(new CustomEvent('aevov-workflow-engine:ready'));
+}
+
+function notify() {
+    listeners.forEach((listener) => listener());
+}
+
+// Registered types as the definitions the sidebar, canvas and validation work with
+export function registeredNodeTypes(): Record<string, NodeTypeDefinition> {
+    const types: Record<string, NodeTypeDefinition> = {};
+    registry.forEach((registration) => {
+        types[registration.type] = {
+            type: registration.type,
+            label: registration.label,
+            category: registration.category || 'utility',
+            description: registration.description,
+            icon: typeof registration.icon === 'string' ? registration.icon : 'Box',
+            color: registration.color || '#8b5cf6',
+            inputs: registration.inputs ?? [{ id: 'input', label: 'Input', type: 'any' }],
+            outputs: registration.outputs ?? [{ id: 'output', label: 'Output', type: 'any' }],
+            configFields: registration.configFields || [],
+        };
+    });
+    return types;
+}
+
+function validateRegistration(registration: NodeTypeRegistration) {
+    if (!registration || typeof registration !== 'object') {
+        throw new NodeTypeRegistrationError('A node type registration must be an object');
+    }
+
+    const { type, label } = registration;
+    if (typeof type !== 'string' || !/^[a-z0-9][a-z0-9_.\-/]*$/i.test(type)) {
+        throw new NodeTypeRegistrationError(
+            'Node type ids may only contain letters, digits and "_ . - /", e.g. "my-plugin/summarize"'
+        );
+    }
+    if (reservedTypes.includes(type) || type.startsWith(COMPOSITE_TYPE_PREFIX)) {
+        throw new NodeTypeRegistrationError(`Node type "${type}" is built in and can't be replaced`);
+    }
+    if (typeof label !== 'string' || !label.trim()) {
+        throw new NodeTypeRegistrationError(`Node type "${type}" needs a label`);
+    }
+    if (registration.category !== undefined && !CATEGORIES.includes(registration.category)) {
+        throw new NodeTypeRegistrationError(
+            `Node type "${type}" has an unknown category "${registration.category}"; use one of ${CATEGORIES.join(', ')}`
+        );
+    }
+
+    (['inputs', 'outputs'] as const).forEach((side) => {
+        const handles = registration[side];
+        if (handles === undefined) {
+            return;
+        }
+        if (!Array.isArray(handles)) {
+            throw new NodeTypeRegistrationError(`Node type "${type}": ${side} must be an array`);
+        }
+        const seen = new Set<string>();
+        handles.forEach((handle) => {
+            if (!handle || typeof handle.id !== 'string' || !handle.id) {
+                throw new NodeTypeRegistrationError(`Node type "${type}": every handle in ${side} needs an id`);
+            }
+            if (seen.has(handle.id)) {
+                throw new NodeTypeRegistrationError(`Node type "${type}": duplicate handle "${handle.id}" in ${side}`);
+            }
+            if (!HANDLE_TYPES.includes(handle.type)) {
+                throw new NodeTypeRegistrationError(
+                    `Node type "${type}": handle "${handle.id}" has an unknown type "${handle.type}"`
+                );
+            }
+            seen.add(handle.id);
+        });
+    });
+
+    (registration.configFields || []).forEach((field) => {
+        if (!field || typeof field.key !== 'string' || !field.key || !FIELD_TYPES.includes(field.type)) {
+            throw new NodeTypeRegistrationError(
+                `Node type "${type}": config fields need a key and one of the types ${FIELD_TYPES.join(', ')}`
+            );
+        }
+        if (field.showWhen && !registration.configFields!.some((other) => other.key === field.showWhen!.field)) {
+            throw new NodeTypeRegistrationError(
+                `Node type "${type}": field "${field.key}" is shown when "${field.showWhen.field}", which isn't a config field`
+            );
+        }
+    });
+
+    if (registration.run !== undefined && typeof registration.run !== 'function') {
+        throw new NodeTypeRegistrationError(`Node type "${type}": run must be a function`);
+    }
+}
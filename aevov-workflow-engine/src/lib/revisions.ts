@@ -0,0 +1,314 @@
+import { Node, Edge } from 'reactflow';
+import { AevovNodeData, CompositeDefinition } from '../types';
+import { RequestError } from './http';
+
+export interface RevisionSummary {
+    version: number;
+    name: string;
+    author: string | null;
+    // Version this one was restored from, if it was created by a restore
+    restoredFrom: number | null;
+    createdAt: string;
+}
+
+export interface Revision extends RevisionSummary {
+    nodes: Node<AevovNodeData>[];
+    edges: Edge[];
+    composites?: Record<string, CompositeDefinition>;
+}
+
+export interface WorkflowSnapshot {
+    name: string;
+    nodes: Node<AevovNodeData>[];
+    edges: Edge[];
+    // Definitions of the sub-workflows the graph uses, saved with it so the server,
+    // triggers and other builders can run it
+    composites?: Record<string, CompositeDefinition>;
+}
+
+// Where workflows and their saved versions live: the WordPress /workflows routes,
+// or local storage when the builder runs standalone without a site behind it
+export interface WorkflowStorage {
+    kind: 'wordpress' | 'local';
+    // Refuses with a SaveConflictError when someone else saved after baseVersion
+    save: (
+        workflowId: string | null,
+        snapshot: WorkflowSnapshot,
+        baseVersion?: number | null
+    ) => Promise<{ id: string; version: number }>;
+    load: (workflowId: string) => Promise<WorkflowSnapshot & { id: string; version: number }>;
+    listRevisions: (workflowId: string) => Promise<RevisionSummary[]>;
+    getRevision: (workflowId: string, version: number) => Promise<Revision>;
+    // Saves the revision's graph as a new version and returns that version
+    restoreRevision: (workflowId: string, version: number) => Promise<Revision>;
+}
+
+export class RevisionError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'RevisionError';
+    }
+}
+
+export class SaveConflictError extends Error {
+    // The version saved in the meantime
+    latest: WorkflowSnapshot & { version: number };
+
+    constructor(latest: WorkflowSnapshot & { version: number }) {
+        super(`Version ${latest.version} was saved since you opened this workflow`);
+        this.name = 'SaveConflictError';
+        this.latest = latest;
+    }
+}
+
+type Request = <T>(endpoint: string, options?: RequestInit) => Promise<T>;
+
+interface RestRevision {
+    version: number;
+    name: string;
+    author: string | null;
+    restored_from: number | null;
+    created_at: string;
+    workflow?: SavedWorkflow;
+}
+
+interface SavedWorkflow {
+    nodes?: Node<AevovNodeData>[];
+    edges?: Edge[];
+    composites?: Record<string, CompositeDefinition>;
+}
+
+export function createRestStorage(request: Request): WorkflowStorage {
+    const toRevision = (revision: RestRevision): Revision => ({
+        ...toSummary(revision),
+        nodes: revision.workflow?.nodes || [],
+        edges: revision.workflow?.edges || [],
+        composites: revision.workflow?.composites,
+    });
+
+    return {
+        kind: 'wordpress',
+
+        save: async (workflowId, snapshot, baseVersion = null) => {
+            const data = {
+                name: snapshot.name,
+                workflow: persistedWorkflow(snapshot),
+            };
+
+            if (workflowId) {
+                try {
+                    const result = await request<{ version: number }>(`/workflows/${workflowId}`, {
+                        method: 'PUT',
+                        body: JSON.stringify({ id: workflowId, ...data, base_version: baseVersion }),
+                    });
+                    return { id: workflowId, version: Number(result.version) };
+                } catch (error) {
+                    if (error instanceof RequestError && error.body.code === 'version_conflict') {
+                        const latest = error.body as {
+                            version: number;
+                            name: string;
+                            workflow: SavedWorkflow | null;
+                        };
+                        throw new SaveConflictError({
+                            version: Number(latest.version),
+                            name: latest.name,
+                            nodes: latest.workflow?.nodes || [],
+                            edges: latest.workflow?.edges || [],
+                            composites: latest.workflow?.composites,
+                        });
+                    }
+                    throw error;
+                }
+            }
+
+            const result = await request<{ id: string; version?: number }>('/workflows', {
+                method: 'POST',
+                body: JSON.stringify(data),
+            });
+            return { id: result.id, version: result.version ?? 1 };
+        },
+
+        load: async (workflowId) => {
+            const workflow = await request<{
+                id: string;
+                name: string;
+                workflow: SavedWorkflow | null;
+                version: number;
+            }>(`/workflows/${workflowId}`);
+
+            return {
+                id: workflow.id,
+                name: workflow.name,
+                version: workflow.version,
+                nodes: workflow.workflow?.nodes || [],
+                edges: workflow.workflow?.edges || [],
+                composites: workflow.workflow?.composites,
+            };
+        },
+
+        listRevisions: async (workflowId) => {
+            const response = await request<{ revisions: RestRevision[] }>(`/workflows/${workflowId}/revisions`);
+            return response.revisions.map(toSummary);
+        },
+
+        getRevision: async (workflowId, version) =>
+            toRevision(await request<RestRevision>(`/workflows/${workflowId}/revisions/${version}`)),
+
+        restoreRevision: async (workflowId, version) =>
+            toRevision(await request<RestRevision>(`/workflows/${workflowId}/revisions/${version}/restore`, {
+                method: 'POST',
+            })),
+    };
+}
+
+function toSummary(revision: RestRevision): RevisionSummary {
+    return {
+        version: revision.version,
+        name: revision.name,
+        author: revision.author,
+        restoredFrom: revision.restored_from,
+        createdAt: revision.created_at,
+    };
+}
+
+const LOCAL_STORAGE_KEY = 'aevov-workflow-revisions';
+// Oldest versions are dropped past this, to stay inside the local storage quota
+const LOCAL_REVISION_LIMIT = 50;
+
+type LocalLibrary = Record<string, Revision[]>;
+
+export function createLocalStorage(storage: Storage | null = getBrowserStorage()): WorkflowStorage {
+    const read = (): LocalLibrary => {
+        try {
+            return JSON.parse(storage?.getItem(LOCAL_STORAGE_KEY) || '{}') || {};
+        } catch {
+            return {};
+        }
+    };
+
+    const write = (library: LocalLibrary) => {
+        storage?.setItem(LOCAL_STORAGE_KEY, JSON.stringify(library));
+    };
+
+    const revisionsOf = (library: LocalLibrary, workflowId: string) => {
+        const revisions = library[workflowId];
+        if (!revisions || revisions.length === 0) {
+            throw new RevisionError('Workflow not found');
+        }
+        return revisions;
+    };
+
+    const find = (library: LocalLibrary, workflowId: string, version: number) => {
+        const revision = revisionsOf(library, workflowId).find((r) => r.version === version);
+        if (!revision) {
+            throw new RevisionError('Revision not found');
+        }
+        return revision;
+    };
+
+    const append = (library: LocalLibrary, workflowId: string, revision: Omit<Revision, 'version' | 'createdAt'>) => {
+        const revisions = library[workflowId] || [];
+        const latest = revisions[revisions.length - 1];
+        const next: Revision = {
+            ...revision,
+            version: latest ? latest.version + 1 : 1,
+            createdAt: new Date().toISOString(),
+        };
+        library[workflowId] = [...revisions, next].slice(-LOCAL_REVISION_LIMIT);
+        write(library);
+        return next;
+    };
+
+    return {
+        kind: 'local',
+
+        save: async (workflowId, { name, ...graph }, baseVersion = null) => {
+            const snapshot: WorkflowSnapshot = { name, ...persistedWorkflow(graph) };
+            const library = read();
+            const id = workflowId && library[workflowId] ? workflowId : `local-${Date.now().toString(36)}`;
+            const revisions = library[id] || [];
+            const latest = revisions[revisions.length - 1];
+
+            // Another tab saved this workflow after it was opened here
+            if (latest && baseVersion !== null && latest.version !== baseVersion && !sameGraph(latest, snapshot)) {
+                throw new SaveConflictError({
+                    version: latest.version,
+                    name: latest.name,
+                    nodes: latest.nodes,
+                    edges: latest.edges,
+                    composites: latest.composites,
+                });
+            }
+
+            // Saving an unchanged graph doesn't start a new revision
+            if (latest && sameGraph(latest, snapshot)) {
+                if (latest.name !== snapshot.name) {
+                    library[id] = [...revisions.slice(0, -1), { ...latest, name: snapshot.name }];
+                    write(library);
+                }
+                return { id, version: latest.version };
+            }
+
+            const revision = append(library, id, {
+                name: snapshot.name,
+                nodes: snapshot.nodes,
+                edges: snapshot.edges,
+                composites: snapshot.composites,
+                author: null,
+                restoredFrom: null,
+            });
+            return { id, version: revision.version };
+        },
+
+        load: async (workflowId) => {
+            const revisions = revisionsOf(read(), workflowId);
+            const { name, nodes, edges, composites, version } = revisions[revisions.length - 1];
+            return { id: workflowId, name, nodes, edges, composites, version };
+        },
+
+        listRevisions: async (workflowId) => {
+            const revisions = read()[workflowId] || [];
+            return revisions
+                .map(({ nodes, edges, composites, ...summary }) => summary)
+                .reverse();
+        },
+
+        getRevision: async (workflowId, version) => find(read(), workflowId, version),
+
+        restoreRevision: async (workflowId, version) => {
+            const library = read();
+            const { name, nodes, edges, composites } = find(library, workflowId, version);
+            return append(library, workflowId, { name, nodes, edges, composites, author: null, restoredFrom: version });
+        },
+    };
+}
+
+function getBrowserStorage(): Storage | null {
+    return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+}
+
+// Drops selection and measurement state so saving after a click isn't a new version
+export function persistedGraph(graph: { nodes: Node<AevovNodeData>[]; edges: Edge[] }) {
+    return {
+        nodes: graph.nodes.map(({ id, type, position, data }) => ({ id, type, position, data })),
+        edges: graph.edges.map(({ id, source, target, sourceHandle, targetHandle, type, animated }) => ({
+            id,
+            source,
+            target,
+            sourceHandle,
+            targetHandle,
+            type,
+            animated,
+        })),
+    };
+}
+
+// The graph as saved, with the sub-workflow definitions it uses when there are any
+export function persistedWorkflow(snapshot: Omit<WorkflowSnapshot, 'name'>) {
+    const composites = snapshot.composites && Object.keys(snapshot.composites).length > 0 ? snapshot.composites : undefined;
+    return { ...persistedGraph(snapshot), ...(composites ? { composites } : {}) };
+}
+
+function sameGraph(a: WorkflowSnapshot, b: WorkflowSnapshot): boolean {
+    return JSON.stringify(persistedWorkflow(a)) === JSON.stringify(persistedWorkflow(b));
+}
@@ -0,0 +1,426 @@
+import { Node, Edge } from 'reactflow';
+import { AevovNodeData, NodeTypeDefinition } from '../types';
+import {
+    ImportedWorkflow,
+    WorkflowFile,
+    WORKFLOW_FILE_FORMAT,
+    WORKFLOW_FILE_VERSION,
+    importWorkflowFile,
+    readWorkflowFile,
+} from './workflowFile';
+
+// Starter workflows for the template gallery: the built-in ones below, and team
+// templates saved from people's own workflows. Team templates are workflow files
+// (lib/workflowFile), kept on the site through the /templates routes, or in this
+// browser when the builder runs standalone.
+
+export interface WorkflowTemplate {
+    id: string;
+    name: string;
+    description: string;
+    category: string;
+    source: 'builtin' | 'team';
+    author: string | null;
+    canDelete: boolean;
+    createdAt: string | null;
+    file: WorkflowFile;
+}
+
+export interface TemplateRequirement {
+    type: string;
+    label: string;
+    // False for capabilities the site reports unavailable and node types it doesn't have
+    available: boolean;
+    installed: boolean;
+}
+
+export interface NewTemplate {
+    name: string;
+    description: string;
+    category: string;
+    file: WorkflowFile;
+}
+
+// Offered when saving; any other category can be typed in
+export const TEMPLATE_CATEGORIES = ['Content', 'Research', 'Media', 'Audio'];
+const UNCATEGORIZED = 'Other';
+
+export class TemplateError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'TemplateError';
+    }
+}
+
+export interface TemplateLibrary {
+    kind: 'wordpress' | 'local';
+    list: () => Promise<WorkflowTemplate[]>;
+    save: (template: NewTemplate) => Promise<WorkflowTemplate>;
+    remove: (id: string) => Promise<void>;
+}
+
+type Request = <T>(endpoint: string, options?: RequestInit) => Promise<T>;
+
+interface RestTemplate {
+    id: string;
+    name: string;
+    description: string | null;
+    category: string | null;
+    workflow: unknown;
+    author: string | null;
+    can_delete: boolean;
+    created_at: string;
+}
+
+export function createRestTemplateLibrary(request: Request): TemplateLibrary {
+    const toTemplate = (template: RestTemplate): WorkflowTemplate | null => {
+        try {
+            return {
+                id: template.id,
+                name: template.name,
+                description: template.description || '',
+                category: template.category || UNCATEGORIZED,
+                source: 'team',
+                author: template.author,
+                canDelete: template.can_delete,
+                createdAt: template.created_at,
+                // Templates made before the gallery hold the plain graph
+                file: readWorkflowFile({ name: template.name, ...asRecord(template.workflow) }),
+            };
+        } catch {
+            return null;
+        }
+    };
+
+    return {
+        kind: 'wordpress',
+
+        list: async () => {
+            const response = await request<{ templates: RestTemplate[] }>('/templates');
+            return response.templates
+                .map(toTemplate)
+                .filter((template): template is WorkflowTemplate => template !== null);
+        },
+
+        save: async ({ name, description, category, file }) => {
+            const saved = toTemplate(await request<RestTemplate>('/templates', {
+                method: 'POST',
+                body: JSON.stringify({ name, description, category, workflow: file }),
+            }));
+            if (!saved) {
+                throw new TemplateError('The site returned a template without a workflow');
+            }
+            return saved;
+        },
+
+        remove: async (id) => {
+            await request(`/templates/${id}`, { method: 'DELETE' });
+        },
+    };
+}
+
+const LOCAL_STORAGE_KEY = 'aevov-workflow-templates';
+
+export function createLocalTemplateLibrary(storage: Storage | null = getBrowserStorage()): TemplateLibrary {
+    const read = (): WorkflowTemplate[] => {
+        try {
+            const templates = JSON.parse(storage?.getItem(LOCAL_STORAGE_KEY) || '[]');
+            return Array.isArray(templates) ? templates : [];
+        } catch {
+            return [];
+        }
+    };
+
+    const write = (templates: WorkflowTemplate[]) => {
+        storage?.setItem(LOCAL_STORAGE_KEY, JSON.stringify(templates));
+    };
+
+    return {
+        kind: 'local',
+
+        list: async () => read(),
+
+        save: async ({ name, description, category, file }) => {
+            const template: WorkflowTemplate = {
+                id: `local-${Date.now().toString(36)}`,
+                name,
+                description,
+                category: category || UNCATEGORIZED,
+                source: 'team',
+                author: null,
+                canDelete: true,
+                createdAt: new Date().toISOString(),
+                file,
+            };
+            write([...read(), template]);
+            return template;
+        },
+
+        remove: async (id) => {
+            write(read().filter((t) => t.id !== id));
+        },
+    };
+}
+
+function getBrowserStorage(): Storage | null {
+    return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+}
+
+// Capabilities the template calls, plus node types this site doesn't have
+export function templateRequirements(
+    template: WorkflowTemplate,
+    nodeTypes: Record<string, NodeTypeDefinition>
+): TemplateRequirement[] {
+    const types = new Set(template.file.requiredCapabilities || []);
+    template.file.workflow.nodes.forEach((n) => {
+        const definition = nodeTypes[n.nodeType];
+        if (!definition || definition.category === 'capability') {
+            types.add(n.nodeType);
+        }
+    });
+
+    return [...types].sort().map((type) => {
+        const definition = nodeTypes[type];
+        return {
+            type,
+            label: definition?.label || template.file.nodeTypes?.[type]?.label || type,
+            available: Boolean(definition) && definition.available !== false,
+            installed: Boolean(definition),
+        };
+    });
+}
+
+export function templateCategories(templates: WorkflowTemplate[]): string[] {
+    return [...new Set(templates.map((t) => t.category))].sort((a, b) =>
+        a === UNCATEGORIZED ? 1 : b === UNCATEGORIZED ? -1 : a.localeCompare(b)
+    );
+}
+
+// Every word must appear in the name, description, category or a node's label or type
+export function searchTemplates(
+    templates: WorkflowTemplate[],
+    query: string,
+    category: string | null
+): WorkflowTemplate[] {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return templates.filter((template) => {
+        if (category && template.category !== category) {
+            return false;
+        }
+        const text = [
+            template.name,
+            template.description,
+            template.category,
+            ...template.file.workflow.nodes.flatMap((n) => [n.label, n.nodeType]),
+        ].join(' ').toLowerCase();
+        return words.every((word) => text.includes(word));
+    });
+}
+
+// Canvas nodes and edges for a template. Capability types described by the site may
+// name their handles differently from the builder's defaults, so an edge whose handle
+// a node doesn't have moves to that node's first handle on the same side.
+export function instantiateTemplate(
+    template: WorkflowTemplate,
+    nodeTypes: Record<string, NodeTypeDefinition>,
+    takenIds: { nodes?: Iterable<string>; edges?: Iterable<string> } = {},
+    knownCredentials?: string[]
+): ImportedWorkflow {
+    const imported = importWorkflowFile(template.file, nodeTypes, takenIds, knownCredentials);
+    return {
+        ...imported,
+        name: template.name,
+        description: template.description || imported.description,
+        edges: fitEdgeHandles(imported.nodes, imported.edges),
+    };
+}
+
+function fitEdgeHandles(nodes: Node<AevovNodeData>[], edges: Edge[]): Edge[] {
+    const byId = new Map(nodes.map((n) => [n.id, n]));
+    const fit = (handles: AevovNodeData['inputs'], handle: string | null | undefined) =>
+        !handle || handles.length === 0 || handles.some((h) => h.id === handle) ? handle ?? null : handles[0].id;
+
+    return edges.map((edge) => {
+        const source = byId.get(edge.source);
+        const target = byId.get(edge.target);
+        return {
+            ...edge,
+            // The error handle isn't listed among a node's outputs
+            sourceHandle: source && edge.sourceHandle !== 'error' ? fit(source.data.outputs, edge.sourceHandle) : edge.sourceHandle,
+            targetHandle: target ? fit(target.data.inputs, edge.targetHandle) : edge.targetHandle,
+        };
+    });
+}
+
+function asRecord(value: unknown): Record<string, unknown> {
+    return value && typeof value === 'object' && !Array.isArray(value) ? (value as Record<string, unknown>) : {};
+}
+
+// [id, node type, label, x, y, config]
+type Step = [string, string, string, number, number, Record<string, unknown>?];
+// [source, target, source handle, target handle]
+type Link = [string, string, string?, string?];
+
+function builtin(
+    id: string,
+    name: string,
+    category: string,
+    description: string,
+    steps: Step[],
+    links: Link[]
+): WorkflowTemplate {
+    return {
+        id: `builtin-${id}`,
+        name,
+        description,
+        category,
+        source: 'builtin',
+        author: null,
+        canDelete: false,
+        createdAt: null,
+        file: {
+            format: WORKFLOW_FILE_FORMAT,
+            schemaVersion: WORKFLOW_FILE_VERSION,
+            exportedAt: new Date(0).toISOString(),
+            workflow: {
+                name,
+                description,
+                nodes: steps.map(([nodeId, nodeType, label, x, y, config = {}]) => ({
+                    id: nodeId,
+                    nodeType,
+                    label,
+                    position: { x, y },
+                    config,
+                })),
+                edges: links.map(([source, target, sourceHandle = 'output', targetHandle = 'input']) => ({
+                    id: `edge-${source}-${target}`,
+                    source,
+                    target,
+                    sourceHandle,
+                    targetHandle,
+                })),
+            },
+            nodeTypes: {},
+            requiredCapabilities: [],
+        },
+    };
+}
+
+export const BUILTIN_TEMPLATES: WorkflowTemplate[] = [
+    builtin(
+        'transcribe-summarize',
+        'Transcribe, Summarize and Remember',
+        'Audio',
+        'Transcribes a recording, summarizes it with the language engine and stores the summary in memory.',
+        [
+            ['recording', 'input', 'Recording URL', 0, 100, { name: 'audio_url', required: true, description: 'Link to an audio file' }],
+            ['transcribe', 'transcription', 'Transcribe', 260, 100],
+            ['prompt', 'transform', 'Summary Prompt', 520, 100, {
+                type: 'template',
+                template: 'Summarize this transcript in five bullet points:\n\n{{input}}',
+            }],
+            ['summarize', 'language', 'Summarize', 780, 100, { endpoint: '/generate' }],
+            ['remember', 'memory', 'Store Summary', 1040, 0, { operation: 'store', address: 'transcript-summaries' }],
+            ['summary', 'output', 'Summary', 1040, 200],
+        ],
+        [
+            ['recording', 'transcribe', 'output', 'audio'],
+            ['transcribe', 'prompt'],
+            ['prompt', 'summarize', 'output', 'prompt'],
+            ['summarize', 'remember', 'output', 'data'],
+            ['summarize', 'summary'],
+        ]
+    ),
+    builtin(
+        'scrape-patterns',
+        'Scrape and Find Patterns',
+        'Research',
+        'Scrapes a web page with the vision engine and runs pattern recognition over what it extracted.',
+        [
+            ['page', 'input', 'Page URL', 0, 100, { name: 'url', required: true }],
+            ['scrape', 'vision', 'Scrape Page', 260, 100, { selector: 'main' }],
+            ['patterns', 'pattern', 'Find Patterns', 520, 100],
+            ['result', 'output', 'Patterns', 780, 100],
+        ],
+        [
+            ['page', 'scrape', 'output', 'url'],
+            ['scrape', 'patterns', 'output', 'data'],
+            ['patterns', 'result'],
+        ]
+    ),
+    builtin(
+        'image-gallery',
+        'Prompt to Image Gallery',
+        'Media',
+        'Turns one prompt into three styled images, generated side by side and gathered into a gallery.',
+        [
+            ['prompt', 'input', 'Prompt', 0, 200, { name: 'prompt', required: true }],
+            ['styles', 'parallel', 'Styles', 260, 200],
+            ['watercolor', 'transform', 'Watercolor', 520, 0, { type: 'template', template: '{{input}}, watercolor painting' }],
+            ['photo', 'transform', 'Photograph', 520, 200, { type: 'template', template: '{{input}}, studio photograph' }],
+            ['lineart', 'transform', 'Line Art', 520, 400, { type: 'template', template: '{{input}}, clean line art' }],
+            ['image1', 'image', 'Watercolor Image', 780, 0, { endpoint: '/generate' }],
+            ['image2', 'image', 'Photo Image', 780, 200, { endpoint: '/generate' }],
+            ['image3', 'image', 'Line Art Image', 780, 400, { endpoint: '/generate' }],
+            ['collect', 'merge', 'Collect Images', 1040, 200, { strategy: 'all', combine: 'array' }],
+            ['gallery', 'output', 'Gallery', 1300, 200],
+        ],
+        [
+            ['prompt', 'styles'],
+            ['styles', 'watercolor'],
+            ['styles', 'photo'],
+            ['styles', 'lineart'],
+            ['watercolor', 'image1', 'output', 'prompt'],
+            ['photo', 'image2', 'output', 'prompt'],
+            ['lineart', 'image3', 'output', 'prompt'],
+            ['image1', 'collect'],
+            ['image2', 'collect'],
+            ['image3', 'collect'],
+            ['collect', 'gallery'],
+        ]
+    ),
+    builtin(
+        'article-digest',
+        'Article Digest',
+        'Research',
+        'Reads an article from the web and writes a short digest of its key points.',
+        [
+            ['article', 'input', 'Article URL', 0, 100, { name: 'url', required: true }],
+            ['scrape', 'vision', 'Read Article', 260, 100, { selector: 'article' }],
+            ['prompt', 'transform', 'Digest Prompt', 520, 100, {
+                type: 'template',
+                template: 'Write a three sentence digest of this article:\n\n{{input}}',
+            }],
+            ['digest', 'language', 'Write Digest', 780, 100, { endpoint: '/generate' }],
+            ['result', 'output', 'Digest', 1040, 100],
+        ],
+        [
+            ['article', 'scrape', 'output', 'url'],
+            ['scrape', 'prompt'],
+            ['prompt', 'digest', 'output', 'prompt'],
+            ['digest', 'result'],
+        ]
+    ),
+    builtin(
+        'draft-review',
+        'Draft and Review',
+        'Content',
+        'Drafts a blog post on a topic, then has the cognitive engine review it for gaps and errors.',
+        [
+            ['topic', 'input', 'Topic', 0, 100, { name: 'topic', required: true }],
+            ['prompt', 'transform', 'Draft Prompt', 260, 100, {
+                type: 'template',
+                template: 'Write a short blog post about {{input}}.',
+            }],
+            ['draft', 'language', 'Write Draft', 520, 100, { endpoint: '/generate' }],
+            ['review', 'cognitive', 'Review Draft', 780, 100],
+            ['result', 'output', 'Reviewed Draft', 1040, 100],
+        ],
+        [
+            ['topic', 'prompt'],
+            ['prompt', 'draft', 'output', 'prompt'],
+            ['draft', 'review', 'output', 'problem'],
+            ['review', 'result'],
+        ]
+    ),
+];
@@ -0,0 +1,83 @@
+import { describe, expect, it } from '@jest/globals';
+import { Edge, Node } from 'reactflow';
+import { AevovNodeData, HandleDefinition } from '../../types';
+import { validateWorkflow } from '../validation';
+
+function node(
+    id: string,
+    nodeType: string,
+    handles: { inputs?: HandleDefinition[]; outputs?: HandleDefinition[] } = {}
+): Node<AevovNodeData> {
+    return {
+        id,
+        type: 'aevov',
+        position: { x: 0, y: 0 },
+        data: { label: id, nodeType, icon: 'Box', color: '#000', inputs: [], outputs: [], config: {}, ...handles },
+    };
+}
+
+function edge(source: string, target: string, sourceHandle: string | null = null, targetHandle: string | null = null): Edge {
+    return { id: `${source}-${target}`, source, target, sourceHandle, targetHandle };
+}
+
+function codes(nodes: Node<AevovNodeData>[], edges: Edge[]) {
+    return validateWorkflow(nodes, edges, {}).map((issue) => issue.code);
+}
+
+describe('validateWorkflow', () => {
+    it('accepts an input connected to an output', () => {
+        expect(codes([node('in', 'input'), node('out', 'output')], [edge('in', 'out')])).toEqual([]);
+    });
+
+    it('reports a missing input and output', () => {
+        expect(codes([node('in', 'input')], [])).toEqual(['missing_output']);
+        expect(codes([node('out', 'output')], [])).toEqual(['missing_input']);
+        expect(codes([node('a', 'transform'), node('b', 'transform')], [edge('a', 'b')]))
+            .toEqual(['missing_input', 'missing_output']);
+    });
+
+    it('counts a trigger as the way in', () => {
+        expect(codes([node('hook', 'webhook'), node('out', 'output')], [edge('hook', 'out')])).toEqual([]);
+        expect(codes([node('cron', 'schedule'), node('out', 'output')], [edge('cron', 'out')])).toEqual([]);
+    });
+
+    it('reports connections to nodes that are gone', () => {
+        const issues = validateWorkflow(
+            [node('in', 'input'), node('out', 'output')],
+            [edge('in', 'out'), edge('in', 'deleted'), edge('removed', 'out')],
+            {}
+        );
+
+        expect(issues).toEqual([
+            expect.objectContaining({ code: 'dangling_edge', nodeId: 'in', edgeId: 'in-deleted' }),
+            expect.objectContaining({ code: 'dangling_edge', nodeId: 'out', edgeId: 'removed-out' }),
+        ]);
+    });
+
+    it('reports connections to handles a node does not have', () => {
+        const source = node('in', 'input', { outputs: [{ id: 'value', label: 'Value', type: 'string' }] });
+        const target = node('out', 'output', { inputs: [{ id: 'result', label: 'Result', type: 'string' }] });
+
+        expect(codes([source, target], [edge('in', 'out', 'missing', 'result')])).toEqual(['unknown_handle']);
+        expect(codes([source, target], [edge('in', 'out', 'value', 'missing')])).toEqual(['unknown_handle']);
+    });
+
+    it('reports cycles that do not pass through a loop node', () => {
+        const nodes = [node('in', 'input'), node('a', 'transform'), node('b', 'transform'), node('out', 'output')];
+        const edges = [edge('in', 'a'), edge('a', 'b'), edge('b', 'a'), edge('b', 'out')];
+
+        const issues = validateWorkflow(nodes, edges, {});
+
+        expect(issues.map((issue) => issue.code)).toEqual(['cycle', 'cycle']);
+        expect(issues.map((issue) => issue.nodeId).sort()).toEqual(['a', 'b']);
+        expect(codes([node('in', 'input'), node('out', 'output')], [edge('in', 'out'), edge('out', 'out')]))
+            .toEqual(['cycle']);
+    });
+
+    it('allows cycles routed through a loop node', () => {
+        const nodes = [node('in', 'input'), node('loop', 'loop'), node('body', 'transform'), node('out', 'output')];
+        const edges = [edge('in', 'loop'), edge('loop', 'body'), edge('body', 'loop'), edge('loop', 'out')];
+
+        expect(codes(nodes, edges)).toEqual([]);
+    });
+});
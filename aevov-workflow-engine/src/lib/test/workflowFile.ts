@@ -0,0 +1,105 @@
+import { describe, expect, it } from '@jest/globals';
+import { Node } from 'reactflow';
+import { AevovNodeData } from '../../types';
+import {
+    WORKFLOW_FILE_VERSION,
+    WorkflowFileError,
+    exportWorkflowFile,
+    importWorkflowFile,
+    parseWorkflowFile,
+    serializeWorkflowFile,
+} from '../workflowFile';
+
+function node(id: string, nodeType: string, config: Record<string, unknown> = {}): Node<AevovNodeData> {
+    return {
+        id,
+        type: 'aevov',
+        position: { x: 10.4, y: 20.6 },
+        data: { label: id, nodeType, icon: 'Box', color: '#000', inputs: [], outputs: [], config },
+    };
+}
+
+// The { nodes, edges } payload the builder saves through the /workflows route
+const savedGraph = {
+    name: 'Saved',
+    nodes: [
+        {
+            id: 'in',
+            type: 'aevov',
+            position: { x: 1, y: 2 },
+            data: { nodeType: 'input', label: 'Question', config: { name: 'question' }, outputs: [{ id: 'output', label: 'Output', type: 'string' }] },
+        },
+        { id: 'out', type: 'aevov', position: { x: 3, y: 4 }, data: { nodeType: 'output', label: 'Answer', config: {} } },
+    ],
+    edges: [{ id: 'e1', source: 'in', target: 'out' }],
+};
+
+describe('parseWorkflowFile', () => {
+    it('reads back an exported workflow', () => {
+        const file = exportWorkflowFile(
+            { name: 'Round trip', nodes: [node('in', 'input'), node('out', 'output')], edges: [{ id: 'e1', source: 'in', target: 'out' }] },
+            {},
+            { in: 'hello' }
+        );
+        const parsed = parseWorkflowFile(serializeWorkflowFile(file));
+
+        expect(parsed).toEqual(file);
+        expect(parsed.workflow.nodes[0].position).toEqual({ x: 10, y: 21 });
+    });
+
+    it('migrates a version 0 graph to the current version', () => {
+        const file = parseWorkflowFile(JSON.stringify(savedGraph));
+
+        expect(file.schemaVersion).toBe(WORKFLOW_FILE_VERSION);
+        expect(file.workflow.name).toBe('Saved');
+        expect(file.workflow.nodes).toEqual([
+            expect.objectContaining({ id: 'in', nodeType: 'input', label: 'Question', position: { x: 1, y: 2 }, config: { name: 'question' } }),
+            expect.objectContaining({ id: 'out', nodeType: 'output', label: 'Answer' }),
+        ]);
+        expect(file.workflow.edges).toEqual([{ id: 'e1', source: 'in', target: 'out', sourceHandle: null, targetHandle: null }]);
+        expect(file.nodeTypes.input.outputs).toEqual([{ id: 'output', label: 'Output', type: 'string' }]);
+    });
+
+    it('migrates a version 0 workflow record with the graph under "workflow"', () => {
+        const file = parseWorkflowFile(JSON.stringify({ name: 'Record', workflow: { nodes: savedGraph.nodes, edges: [] } }));
+
+        expect(file.workflow.name).toBe('Record');
+        expect(file.workflow.nodes.map((n) => n.id)).toEqual(['in', 'out']);
+        expect(file.workflow.edges).toEqual([]);
+    });
+
+    it.each([
+        ['text that is not JSON', '{ nodes: [', 'File is not valid JSON'],
+        ['a JSON value that is not an object', '42', 'File does not contain a workflow'],
+        ['a version 0 file without nodes', '{ "name": "Empty" }', 'File does not contain a workflow'],
+        ['another format', '{ "format": "n8n", "schemaVersion": 1 }', 'Unsupported file format "n8n"'],
+        ['a schema version that is not a whole number', '{ "format": "aevovflow", "schemaVersion": "1.5" }', 'File has an invalid schema version'],
+        ['a negative schema version', '{ "format": "aevovflow", "schemaVersion": -1 }', 'File has an invalid schema version'],
+        ['a newer schema version', `{ "format": "aevovflow", "schemaVersion": ${WORKFLOW_FILE_VERSION + 1} }`, 'Update the workflow engine'],
+        ['a workflow without edges', '{ "format": "aevovflow", "schemaVersion": 1, "workflow": { "nodes": [] } }', 'File does not contain a workflow'],
+    ])('rejects %s', (_, text, message) => {
+        expect(() => parseWorkflowFile(text)).toThrow(WorkflowFileError);
+        expect(() => parseWorkflowFile(text)).toThrow(message);
+    });
+});
+
+describe('importWorkflowFile', () => {
+    it('replaces clashing ids and drops connections to nodes not in the file', () => {
+        const file = parseWorkflowFile(JSON.stringify({
+            ...savedGraph,
+            edges: [...savedGraph.edges, { id: 'e2', source: 'in', target: 'gone' }],
+        }));
+        const imported = importWorkflowFile(file, {}, { nodes: ['in'], edges: ['e1'] });
+        const input = imported.nodes.find((n) => n.data.label === 'Question')!;
+
+        expect(input.id).not.toBe('in');
+        expect(imported.edges).toHaveLength(1);
+        expect(imported.edges[0]).toEqual(expect.objectContaining({ source: input.id, target: 'out' }));
+        expect(imported.edges[0].id).not.toBe('e1');
+        expect(imported.warnings).toEqual([
+            '1 clashing node id was replaced',
+            'Dropped connection in → gone: node not in file',
+            'Node types not registered on this site: input, output',
+        ]);
+    });
+});
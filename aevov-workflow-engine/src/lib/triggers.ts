@@ -0,0 +1,198 @@
+import { ConfigField, ExecutionResult } from '../types';
+import { ExecutionStatus, TriggerSource } from './executions';
+
+// Trigger nodes start a saved workflow without anyone at the builder. The site keeps a
+// copy of each one from the last save (includes/api/TriggerManager.php) and fires it on
+// its schedule, from its webhook URL or on an Aevov event. Run from the builder, a
+// trigger node outputs its sample payload instead.
+
+export const TRIGGER_NODE_TYPES = ['schedule', 'webhook', 'event'];
+
+export function isTriggerType(type: string): boolean {
+    return TRIGGER_NODE_TYPES.includes(type);
+}
+
+// Mirrors TriggerManager::events(); other plugins can add events on the server only
+export const TRIGGER_EVENTS: { value: string; label: string }[] = [
+    { value: 'pattern_created', label: 'Pattern created' },
+    { value: 'chunk_uploaded', label: 'Chunk uploaded' },
+    { value: 'security_threat', label: 'Security threat received' },
+];
+
+// Config every trigger node type ends with
+export const TRIGGER_FIELDS: ConfigField[] = [
+    {
+        key: 'enabled',
+        label: 'Enabled',
+        type: 'boolean',
+        defaultValue: true,
+        description: 'When off, only Fire now starts the workflow',
+    },
+    {
+        key: 'samplePayload',
+        label: 'Sample Payload',
+        type: 'json',
+        placeholder: '{ "body": { "id": 1 } }',
+        description: 'Output when the workflow runs from the builder',
+    },
+];
+
+export function triggerSourceLabel(source: TriggerSource): string {
+    switch (source) {
+        case 'schedule':
+            return 'on schedule';
+        case 'webhook':
+            return 'by webhook';
+        case 'event':
+            return 'by event';
+        case 'manual':
+            return 'fired by hand';
+    }
+}
+
+export interface TriggerFire {
+    executionId: number;
+    status: ExecutionStatus;
+    source: TriggerSource | null;
+    error: string | null;
+    // Seconds
+    executionTime: number | null;
+    createdAt: string;
+}
+
+export interface TriggerStatus {
+    nodeId: string;
+    type: string;
+    active: boolean;
+    // ISO 8601, for active schedules
+    nextRun: string | null;
+    lastFired: string | null;
+    // Why the trigger can't fire, like an invalid cron expression
+    error: string | null;
+    webhookUrl?: string;
+    secret?: string;
+    event?: string;
+    recentFires: TriggerFire[];
+}
+
+export interface TriggerList {
+    // Saved version the triggers were copied from
+    version: number;
+    timezone: string;
+    schedulingEnabled: boolean;
+    triggers: TriggerStatus[];
+}
+
+export class TriggerError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'TriggerError';
+    }
+}
+
+export interface TriggerApi {
+    kind: 'wordpress' | 'none';
+    list: (workflowId: string) => Promise<TriggerList>;
+    // Runs the saved workflow from the trigger, with the payload in place of a real one
+    fire: (workflowId: string, nodeId: string, payload: unknown) => Promise<ExecutionResult>;
+    // Issues a new webhook URL and secret; the old ones stop working
+    rotateSecret: (workflowId: string, nodeId: string) => Promise<TriggerStatus>;
+}
+
+type Request = <T>(endpoint: string, options?: RequestInit) => Promise<T>;
+
+interface RestTrigger {
+    node_id: string;
+    type: string;
+    active: boolean;
+    next_run: string | null;
+    last_fired: string | null;
+    error: string | null;
+    webhook_url?: string;
+    secret?: string;
+    event?: string;
+    recent_fires: {
+        execution_id: number;
+        status: ExecutionStatus;
+        source: TriggerSource | null;
+        error: string | null;
+        execution_time: number | null;
+        created_at: string;
+    }[];
+}
+
+export function createRestTriggerApi(request: Request): TriggerApi {
+    const toStatus = (trigger: RestTrigger): TriggerStatus => ({
+        nodeId: trigger.node_id,
+        type: trigger.type,
+        active: trigger.active,
+        nextRun: trigger.next_run,
+        lastFired: trigger.last_fired,
+        error: trigger.error,
+        webhookUrl: trigger.webhook_url,
+        secret: trigger.secret,
+        event: trigger.event,
+        recentFires: trigger.recent_fires.map((fire) => ({
+            executionId: fire.execution_id,
+            status: fire.status,
+            source: fire.source,
+            error: fire.error,
+            executionTime: fire.execution_time,
+            createdAt: fire.created_at,
+        })),
+    });
+
+    return {
+        kind: 'wordpress',
+
+        list: async (workflowId) => {
+            const response = await request<{
+                version: number;
+                timezone: string;
+                scheduling_enabled: boolean;
+                triggers: RestTrigger[];
+            }>(`/workflows/${workflowId}/triggers`);
+            return {
+                version: response.version,
+                timezone: response.timezone,
+                schedulingEnabled: response.scheduling_enabled,
+                triggers: response.triggers.map(toStatus),
+            };
+        },
+
+        fire: (workflowId, nodeId, payload) =>
+            request<ExecutionResult>(`/workflows/${workflowId}/triggers/${encodeURIComponent(nodeId)}/fire`, {
+                method: 'POST',
+                body: JSON.stringify({ payload }),
+            }),
+
+        rotateSecret: async (workflowId, nodeId) =>
+            toStatus(await request<RestTrigger>(
+                `/workflows/${workflowId}/triggers/${encodeURIComponent(nodeId)}/secret`,
+                { method: 'POST' }
+            )),
+    };
+}
+
+// Standalone builders have no site to keep time or receive requests
+export function createUnavailableTriggerApi(): TriggerApi {
+    const unavailable = async (): Promise<never> => {
+        throw new TriggerError('Triggers run on the WordPress site; open the builder from wp-admin to use them');
+    };
+    return {
+        kind: 'none',
+        list: unavailable,
+        fire: unavailable,
+        rotateSecret: unavailable,
+    };
+}
+
+// A shell command that sends a correctly signed request to a webhook trigger
+export function signedRequestExample(url: string, secret: string): string {
+    return [
+        `body='{"hello":"world"}'`,
+        't=$(date +%s)',
+        `sig=$(printf '%s.%s' "$t" "$body" | openssl dgst -sha256 -hmac '${secret}' | sed 's/^.*= //')`,
+        `curl -X POST '${url}' -H 'Content-Type: application/json' -H "X-Aevov-Signature: t=$t,v1=$sig" -d "$body"`,
+    ].join('\n');
+}
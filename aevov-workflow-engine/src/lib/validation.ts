@@ -0,0 +1,248 @@
+import { Node, Edge } from 'reactflow';
+import { AevovNodeData, ExecutionResult, HandleDefinition, NodeTypeDefinition, ValidationIssue } from '../types';
+import { stronglyConnectedComponents } from './graph';
+import { inputParameters, parameterName } from './inputs';
+import { validateConfig } from './configFields';
+import { ERROR_HANDLE, hasErrorHandle } from './errorPolicy';
+import { isTriggerType } from './triggers';
+
+export function validateWorkflow(
+    nodes: Node<AevovNodeData>[],
+    edges: Edge[],
+    nodeTypes: Record<string, NodeTypeDefinition>
+): ValidationIssue[] {
+    if (nodes.length === 0) {
+        return [];
+    }
+
+    return [
+        ...checkEndpoints(nodes),
+        ...checkEdges(nodes, edges),
+        ...checkCycles(nodes, edges),
+        ...checkOrphans(nodes, edges),
+        ...checkConfig(nodes, nodeTypes),
+        ...checkInputParameters(nodes),
+    ];
+}
+
+export function validationFailureResult(issues: ValidationIssue[]): ExecutionResult {
+    return {
+        success: false,
+        error: `Workflow has ${issues.length} validation error${issues.length === 1 ? '' : 's'}`,
+        log: [],
+    };
+}
+
+export function isHandleTypeCompatible(
+    source: HandleDefinition['type'],
+    target: HandleDefinition['type']
+): boolean {
+    return source === 'any' || target === 'any' || source === target;
+}
+
+export function findHandle(
+    handles: HandleDefinition[],
+    handleId: string | null | undefined
+): HandleDefinition | undefined {
+    if (handleId) {
+        return handles.find((h) => h.id === handleId);
+    }
+    // Edges without a handle id attach to the node's only handle
+    return handles.length === 1 ? handles[0] : undefined;
+}
+
+function checkEndpoints(nodes: Node<AevovNodeData>[]): ValidationIssue[] {
+    const issues: ValidationIssue[] = [];
+
+    // A trigger starts the workflow in place of an Input node
+    if (!nodes.some((n) => n.data.nodeType === 'input' || isTriggerType(n.data.nodeType))) {
+        issues.push({ code: 'missing_input', message: 'Workflow needs at least one Input or trigger node' });
+    }
+    if (!nodes.some((n) => n.data.nodeType === 'output')) {
+        issues.push({ code: 'missing_output', message: 'Workflow needs at least one Output node' });
+    }
+
+    return issues;
+}
+
+function checkEdges(nodes: Node<AevovNodeData>[], edges: Edge[]): ValidationIssue[] {
+    const issues: ValidationIssue[] = [];
+    const nodeMap = new Map(nodes.map((n) => [n.id, n]));
+
+    edges.forEach((edge) => {
+        const source = nodeMap.get(edge.source);
+        const target = nodeMap.get(edge.target);
+        // Left behind when a node is removed outside the builder, e.g. in an imported file
+        if (!source || !target) {
+            const missing = source ? edge.target : edge.source;
+            issues.push({
+                code: 'dangling_edge',
+                message: `Connection ${source ? 'to' : 'from'} missing node "${missing}"`,
+                nodeId: (source || target)?.id,
+                edgeId: edge.id,
+            });
+            return;
+        }
+
+        const sourceOutputs = source.data.outputs || [];
+        const targetInputs = target.data.inputs || [];
+        const fromError = edge.sourceHandle === ERROR_HANDLE.id && hasErrorHandle(source.data);
+
+        // Nodes without declared handles render untyped default handles
+        if (!fromError && sourceOutputs.length === 0 && targetInputs.length === 0) {
+            return;
+        }
+
+        const sourceHandle = fromError
+            ? ERROR_HANDLE
+            : sourceOutputs.length > 0 ? findHandle(sourceOutputs, edge.sourceHandle) : undefined;
+        const targetHandle = targetInputs.length > 0 ? findHandle(targetInputs, edge.targetHandle) : undefined;
+
+        if (sourceOutputs.length > 0 && !sourceHandle) {
+            issues.push({
+                code: 'unknown_handle',
+                message: `${source.data.label} has no output "${edge.sourceHandle ?? ''}"`,
+                nodeId: source.id,
+                edgeId: edge.id,
+            });
+            return;
+        }
+        if (targetInputs.length > 0 && !targetHandle) {
+            issues.push({
+                code: 'unknown_handle',
+                message: `${target.data.label} has no input "${edge.targetHandle ?? ''}"`,
+                nodeId: target.id,
+                edgeId: edge.id,
+            });
+            return;
+        }
+
+        if (sourceHandle && targetHandle && !isHandleTypeCompatible(sourceHandle.type, targetHandle.type)) {
+            issues.push({
+                code: 'incompatible_handles',
+                message: `${source.data.label}.${sourceHandle.label} (${sourceHandle.type}) cannot connect to ${target.data.label}.${targetHandle.label} (${targetHandle.type})`,
+                nodeId: target.id,
+                edgeId: edge.id,
+            });
+        }
+    });
+
+    return issues;
+}
+
+function checkCycles(nodes: Node<AevovNodeData>[], edges: Edge[]): ValidationIssue[] {
+    const issues: ValidationIssue[] = [];
+    const nodeMap = new Map(nodes.map((n) => [n.id, n]));
+
+    stronglyConnectedComponents(nodes, edges).forEach((component) => {
+        const isSelfLoop = component.length === 1
+            && edges.some((e) => e.source === component[0] && e.target === component[0]);
+        if (component.length < 2 && !isSelfLoop) {
+            return;
+        }
+
+        const throughLoop = component.some((id) => nodeMap.get(id)?.data.nodeType === 'loop');
+        if (throughLoop) {
+            return;
+        }
+
+        const labels = component.map((id) => nodeMap.get(id)?.data.label || id).join(' → ');
+        component.forEach((id) => {
+            issues.push({
+                code: 'cycle',
+                message: `Cycle is not routed through a Loop node: ${labels}`,
+                nodeId: id,
+            });
+        });
+    });
+
+    return issues;
+}
+
+function checkOrphans(nodes: Node<AevovNodeData>[], edges: Edge[]): ValidationIssue[] {
+    if (nodes.length < 2) {
+        return [];
+    }
+
+    const connected = new Set<string>();
+    edges.forEach((e) => {
+        connected.add(e.source);
+        connected.add(e.target);
+    });
+
+    return nodes
+        .filter((n) => !connected.has(n.id))
+        .map((n) => ({
+            code: 'orphan_node' as const,
+            message: `${n.data.label} is not connected to anything`,
+            nodeId: n.id,
+        }));
+}
+
+// Required fields, and the field rules (bounds, patterns, JSON schemas) of the fields that are shown
+function checkConfig(
+    nodes: Node<AevovNodeData>[],
+    nodeTypes: Record<string, NodeTypeDefinition>
+): ValidationIssue[] {
+    const issues: ValidationIssue[] = [];
+
+    nodes.forEach((node) => {
+        const fields = nodeTypes[node.data.nodeType]?.configFields || [];
+        Object.entries(validateConfig(fields, node.data.config)).forEach(([key, error]) => {
+            const field = fields.find((f) => f.key === key)!;
+            issues.push(error === 'Required'
+                ? {
+                    code: 'required_config',
+                    message: `${node.data.label}: ${field.label} is required`,
+                    nodeId: node.id,
+                    field: key,
+                }
+                : {
+                    code: 'invalid_config',
+                    message: `${node.data.label}: ${field.label}: ${error}`,
+                    nodeId: node.id,
+                    field: key,
+                });
+        });
+    });
+
+    return issues;
+}
+
+// Parameter names are how API callers address inputs, so they must be unique and usable
+function checkInputParameters(nodes: Node<AevovNodeData>[]): ValidationIssue[] {
+    const issues: ValidationIssue[] = [];
+    const inputNodes = nodes.filter((n) => n.data.nodeType === 'input');
+    const nameCounts = new Map<string, number>();
+    inputNodes.forEach((n) => {
+        const name = parameterName(n);
+        nameCounts.set(name, (nameCounts.get(name) || 0) + 1);
+    });
+
+    inputParameters(inputNodes).forEach((parameter) => {
+        const issue = (message: string) => issues.push({
+            code: 'invalid_parameter',
+            message: `${parameter.label}: ${message}`,
+            nodeId: parameter.nodeId,
+        });
+
+        if ((nameCounts.get(parameter.name) || 0) > 1) {
+            issue(`parameter name "${parameter.name}" is used by another Input node`);
+        }
+        if (parameter.type === 'enum' && (parameter.options || []).length === 0) {
+            issue('list the choices for a "One of" parameter');
+        }
+        if (parameter.min !== undefined && parameter.max !== undefined && parameter.min > parameter.max) {
+            issue('minimum is greater than maximum');
+        }
+        if (parameter.pattern) {
+            try {
+                new RegExp(parameter.pattern);
+            } catch {
+                issue('pattern is not a valid regular expression');
+            }
+        }
+    });
+
+    return issues;
+}
@@ -0,0 +1,376 @@
+import { Node, Edge } from 'reactflow';
+import { AevovNodeData, CompositeDefinition, ErrorPolicy, HandleDefinition, NodeTypeDefinition } from '../types';
+import { createNode, generateEdgeId, generateNodeId } from './graph';
+import { CredentialSummary, CredentialType, credentialReferences, redactSecrets } from './credentials';
+import { compositeIdOf } from './composite';
+
+// Portable workflow file (*.aevovflow.json), schema version 1:
+//
+// {
+//   "format": "aevovflow",
+//   "schemaVersion": 1,
+//   "exportedAt": "2026-01-01T00:00:00.000Z",
+//   "workflow": {
+//     "name": "Summarise articles",
+//     "description": "optional",
+//     "nodes": [{ "id", "nodeType", "label", "position": { "x", "y" }, "config", "fixture"?, "errorPolicy"? }],
+//     "edges": [{ "id", "source", "target", "sourceHandle", "targetHandle" }]
+//   },
+//   "nodeTypes": { "<type>": { "label", "category", "inputs", "outputs" } },
+//   "requiredCapabilities": ["language", "image"],
+//   "credentials": { "<credential id>": { "name", "type" } },   (optional)
+//   "testInputs": { "<input node id>": "value" },       (optional)
+//   "composites": { "<definition id>": { "id", "name", "nodes", "edges", "inputs", "outputs", "updatedAt" } }   (optional)
+// }
+//
+// "nodeTypes" records the handles each type had when exported, so nodes whose type
+// the importing site doesn't register still render with the right connections.
+// "credentials" names the credentials nodes refer to, so they can be recreated on
+// another site; secrets are never written, and secret-looking headers are blanked.
+// "composites" holds the sub-workflows the graph's "composite:<id>" nodes stand for,
+// including nested ones, so the file runs on a site whose library doesn't have them.
+// Files without a "format" key are treated as version 0: the raw { nodes, edges }
+// payload the builder saves through the /workflows route.
+
+export const WORKFLOW_FILE_FORMAT = 'aevovflow';
+export const WORKFLOW_FILE_VERSION = 1;
+export const WORKFLOW_FILE_EXTENSION = '.aevovflow.json';
+
+export interface WorkflowFileNode {
+    id: string;
+    nodeType: string;
+    label: string;
+    position: { x: number; y: number };
+    config: Record<string, unknown>;
+    fixture?: unknown;
+    errorPolicy?: ErrorPolicy;
+}
+
+export interface WorkflowFileEdge {
+    id: string;
+    source: string;
+    target: string;
+    sourceHandle?: string | null;
+    targetHandle?: string | null;
+}
+
+export interface WorkflowFileNodeType {
+    label: string;
+    category: NodeTypeDefinition['category'];
+    inputs: HandleDefinition[];
+    outputs: HandleDefinition[];
+}
+
+export interface WorkflowFile {
+    format: typeof WORKFLOW_FILE_FORMAT;
+    schemaVersion: number;
+    exportedAt: string;
+    workflow: {
+        name: string;
+        description?: string;
+        nodes: WorkflowFileNode[];
+        edges: WorkflowFileEdge[];
+    };
+    nodeTypes: Record<string, WorkflowFileNodeType>;
+    requiredCapabilities: string[];
+    credentials?: Record<string, { name: string; type: CredentialType | null }>;
+    testInputs?: Record<string, unknown>;
+    composites?: Record<string, CompositeDefinition>;
+}
+
+export interface ImportedWorkflow {
+    name: string;
+    description?: string;
+    nodes: Node<AevovNodeData>[];
+    edges: Edge[];
+    testInputs?: Record<string, unknown>;
+    // Sub-workflow definitions to add to the library
+    composites?: Record<string, CompositeDefinition>;
+    warnings: string[];
+}
+
+export class WorkflowFileError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'WorkflowFileError';
+    }
+}
+
+// Each entry upgrades a document from the keyed version to the next one
+const MIGRATIONS: Record<number, (document: any) => any> = {
+    0: (document) => {
+        const graph = document.workflow && Array.isArray(document.workflow.nodes) ? document.workflow : document;
+        if (!Array.isArray(graph.nodes)) {
+            throw new WorkflowFileError('File does not contain a workflow');
+        }
+
+        return {
+            format: WORKFLOW_FILE_FORMAT,
+            schemaVersion: 1,
+            exportedAt: document.updated_at || new Date(0).toISOString(),
+            workflow: {
+                name: document.name || 'Imported Workflow',
+                description: document.description || undefined,
+                nodes: graph.nodes.map((n: any) => ({
+                    id: String(n.id),
+                    nodeType: n.data?.nodeType || n.type,
+                    label: n.data?.label || n.data?.nodeType || n.type,
+                    position: n.position || { x: 0, y: 0 },
+                    config: n.data?.config || {},
+                    fixture: n.data?.fixture,
+                    errorPolicy: n.data?.errorPolicy,
+                })),
+                edges: (graph.edges || []).map((e: any) => ({
+                    id: String(e.id),
+                    source: String(e.source),
+                    target: String(e.target),
+                    sourceHandle: e.sourceHandle ?? null,
+                    targetHandle: e.targetHandle ?? null,
+                })),
+            },
+            nodeTypes: Object.fromEntries(
+                graph.nodes
+                    .filter((n: any) => n.data?.nodeType)
+                    .map((n: any) => [n.data.nodeType, {
+                        label: n.data.nodeType,
+                        category: 'utility',
+                        inputs: n.data.inputs || [],
+                        outputs: n.data.outputs || [],
+                    }])
+            ),
+            requiredCapabilities: [],
+        };
+    },
+};
+
+export function exportWorkflowFile(
+    workflow: {
+        name: string;
+        description?: string;
+        nodes: Node<AevovNodeData>[];
+        edges: Edge[];
+        // The definitions the graph uses (compositesUsedBy)
+        composites?: Record<string, CompositeDefinition>;
+    },
+    nodeTypes: Record<string, NodeTypeDefinition>,
+    testInputs?: Record<string, unknown> | null,
+    credentials: CredentialSummary[] = []
+): WorkflowFile {
+    const usedTypes: Record<string, WorkflowFileNodeType> = {};
+    workflow.nodes.forEach((n) => {
+        const definition = nodeTypes[n.data.nodeType];
+        usedTypes[n.data.nodeType] = {
+            label: definition?.label || n.data.nodeType,
+            category: definition?.category || 'utility',
+            inputs: n.data.inputs,
+            outputs: n.data.outputs,
+        };
+    });
+
+    const file: WorkflowFile = {
+        format: WORKFLOW_FILE_FORMAT,
+        schemaVersion: WORKFLOW_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        workflow: {
+            name: workflow.name,
+            description: workflow.description,
+            nodes: workflow.nodes.map((n) => ({
+                id: n.id,
+                nodeType: n.data.nodeType,
+                label: n.data.label,
+                position: { x: Math.round(n.position.x), y: Math.round(n.position.y) },
+                config: redactSecrets(n.data.config || {}, nodeTypes[n.data.nodeType]?.configFields || []),
+                ...(n.data.fixture !== undefined ? { fixture: n.data.fixture } : {}),
+                ...(n.data.errorPolicy ? { errorPolicy: n.data.errorPolicy } : {}),
+            })),
+            edges: workflow.edges.map((e) => ({
+                id: e.id,
+                source: e.source,
+                target: e.target,
+                sourceHandle: e.sourceHandle ?? null,
+                targetHandle: e.targetHandle ?? null,
+            })),
+        },
+        nodeTypes: usedTypes,
+        requiredCapabilities: Object.keys(usedTypes)
+            .filter((type) => usedTypes[type].category === 'capability')
+            .sort(),
+    };
+
+    const composites = Object.values(workflow.composites || {});
+    if (composites.length > 0) {
+        file.composites = Object.fromEntries(composites.map((definition) => [definition.id, {
+            ...definition,
+            nodes: definition.nodes.map((n) => ({
+                ...n,
+                data: {
+                    ...n.data,
+                    config: redactSecrets(n.data.config || {}, nodeTypes[n.data.nodeType]?.configFields || []),
+                },
+            })),
+        }]));
+    }
+
+    const innerNodes = composites.flatMap((definition) => definition.nodes);
+    const referenced = Object.keys(credentialReferences([...workflow.nodes, ...innerNodes], nodeTypes));
+    if (referenced.length > 0) {
+        file.credentials = Object.fromEntries(referenced.map((id) => {
+            const credential = credentials.find((c) => c.id === id);
+            return [id, { name: credential?.name || id, type: credential?.type || null }];
+        }));
+    }
+
+    if (testInputs && Object.keys(testInputs).length > 0) {
+        file.testInputs = testInputs;
+    }
+    return file;
+}
+
+export function serializeWorkflowFile(file: WorkflowFile): string {
+    return JSON.stringify(file, null, 2) + '\n';
+}
+
+export function workflowFileName(name: string): string {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return `${slug || 'workflow'}${WORKFLOW_FILE_EXTENSION}`;
+}
+
+export function parseWorkflowFile(text: string): WorkflowFile {
+    let document: any;
+    try {
+        document = JSON.parse(text);
+    } catch {
+        throw new WorkflowFileError('File is not valid JSON');
+    }
+    return readWorkflowFile(document);
+}
+
+// Checks and upgrades an already decoded file, such as one stored with a template
+export function readWorkflowFile(document: any): WorkflowFile {
+    if (!document || typeof document !== 'object') {
+        throw new WorkflowFileError('File does not contain a workflow');
+    }
+
+    if (document.format === undefined) {
+        document = { ...document, schemaVersion: 0 };
+    } else if (document.format !== WORKFLOW_FILE_FORMAT) {
+        throw new WorkflowFileError(`Unsupported file format "${document.format}"`);
+    }
+
+    let version = Number(document.schemaVersion);
+    if (!Number.isInteger(version) || version < 0) {
+        throw new WorkflowFileError('File has an invalid schema version');
+    }
+    if (version > WORKFLOW_FILE_VERSION) {
+        throw new WorkflowFileError(
+            `File uses schema version ${version}, but this site only reads up to version ${WORKFLOW_FILE_VERSION}. Update the workflow engine and try again.`
+        );
+    }
+
+    while (version < WORKFLOW_FILE_VERSION) {
+        document = MIGRATIONS[version](document);
+        version = document.schemaVersion;
+    }
+
+    if (!document.workflow || !Array.isArray(document.workflow.nodes) || !Array.isArray(document.workflow.edges)) {
+        throw new WorkflowFileError('File does not contain a workflow');
+    }
+    return document as WorkflowFile;
+}
+
+// Rebuilds canvas nodes from a file. Ids listed in takenIds (or repeated inside the
+// file) are replaced with fresh ones, and edges and test inputs follow the new ids.
+export function importWorkflowFile(
+    file: WorkflowFile,
+    nodeTypes: Record<string, NodeTypeDefinition>,
+    takenIds: { nodes?: Iterable<string>; edges?: Iterable<string> } = {},
+    // Ids of the credentials the user can pick here; skips the check when not known
+    knownCredentials?: string[]
+): ImportedWorkflow {
+    const warnings: string[] = [];
+    const usedNodeIds = new Set(takenIds.nodes);
+    const usedEdgeIds = new Set(takenIds.edges);
+    const idMap: Record<string, string> = {};
+
+    const nodes = file.workflow.nodes.map((fileNode) => {
+        const id = usedNodeIds.has(fileNode.id) ? generateNodeId() : fileNode.id;
+        usedNodeIds.add(id);
+        idMap[fileNode.id] = id;
+
+        const definition = nodeTypes[fileNode.nodeType];
+        const reference = file.nodeTypes?.[fileNode.nodeType];
+        const node = createNode(fileNode.nodeType, definition, fileNode.position, {
+            label: fileNode.label,
+            config: fileNode.config || {},
+            ...(definition ? {} : { inputs: reference?.inputs || [], outputs: reference?.outputs || [] }),
+            ...(fileNode.fixture !== undefined ? { fixture: fileNode.fixture } : {}),
+            ...(fileNode.errorPolicy ? { errorPolicy: fileNode.errorPolicy } : {}),
+        });
+        return { ...node, id };
+    });
+
+    const remapped = Object.entries(idMap).filter(([from, to]) => from !== to).length;
+    if (remapped > 0) {
+        warnings.push(`${remapped} clashing node id${remapped === 1 ? ' was' : 's were'} replaced`);
+    }
+
+    const edges: Edge[] = [];
+    file.workflow.edges.forEach((fileEdge) => {
+        const source = idMap[fileEdge.source];
+        const target = idMap[fileEdge.target];
+        if (!source || !target) {
+            warnings.push(`Dropped connection ${fileEdge.source} → ${fileEdge.target}: node not in file`);
+            return;
+        }
+
+        const id = usedEdgeIds.has(fileEdge.id) ? generateEdgeId() : fileEdge.id;
+        usedEdgeIds.add(id);
+        edges.push({
+            id,
+            source,
+            target,
+            sourceHandle: fileEdge.sourceHandle ?? null,
+            targetHandle: fileEdge.targetHandle ?? null,
+            type: 'smoothstep',
+            animated: true,
+        });
+    });
+
+    const unknownTypes = [...new Set(file.workflow.nodes.map((n) => n.nodeType))]
+        .filter((type) => !nodeTypes[type] && !file.composites?.[compositeIdOf(type) ?? '']);
+    if (unknownTypes.length > 0) {
+        warnings.push(`Node types not registered on this site: ${unknownTypes.join(', ')}`);
+    }
+
+    const unavailable = (file.requiredCapabilities || []).filter(
+        (type) => nodeTypes[type] && nodeTypes[type].available === false
+    );
+    if (unavailable.length > 0) {
+        warnings.push(`Capabilities not available on this site: ${unavailable.join(', ')}`);
+    }
+
+    const missingCredentials = Object.entries(file.credentials || {})
+        .filter(([id]) => knownCredentials && !knownCredentials.includes(id))
+        .map(([, credential]) => credential.name);
+    if (missingCredentials.length > 0) {
+        warnings.push(`Credentials to recreate or pick again: ${missingCredentials.join(', ')}`);
+    }
+
+    let testInputs: Record<string, unknown> | undefined;
+    if (file.testInputs) {
+        testInputs = {};
+        Object.entries(file.testInputs).forEach(([key, value]) => {
+            testInputs![idMap[key] ?? key] = value;
+        });
+    }
+
+    return {
+        name: file.workflow.name || 'Imported Workflow',
+        description: file.workflow.description,
+        nodes,
+        edges,
+        testInputs,
+        ...(file.composites ? { composites: file.composites } : {}),
+        warnings,
+    };
+}
@@ -1,92 +1,389 @@
 import { create } from 'zustand';
 import { Node, Edge } from 'reactflow';
-import { AevovNodeData, NodeTypeDefinition, ExecutionResult } from '../types';
+import {
+    AevovNodeData,
+    CompositeDefinition,
+    NodeTypeDefinition,
+    ExecutionResult,
+    ExecutionEvent,
+    ExecutionLogEntry,
+    NodeRunState,
+    ValidationIssue,
+    DebugCommand,
+} from '../types';
+import { validateWorkflow } from '../lib/validation';
+import { ImportedWorkflow } from '../lib/workflowFile';
+import { MergedDiffGraph, WorkflowDiff, diffWorkflows, mergeForDiff } from '../lib/diff';
+import { INPUT_PARAMETER_TYPES } from '../lib/inputs';
+import {
+    collapseToComposite,
+    compositeIdOf,
+    compositeNodeTypes,
+    loadCompositeLibrary,
+    mergeCompositeLibrary,
+    rebuildDefinition,
+    saveCompositeLibrary,
+    syncCompositeInstances,
+} from '../lib/composite';
+import { cloneSubgraph, createNode, getSelectedSubgraph } from '../lib/graph';
+import { layoutLayered, needsLayout } from '../lib/layout';
+import { getRegisteredNodeType, registeredNodeTypes, reserveNodeTypes, subscribeNodeTypes } from '../lib/nodeRegistry';
+import { CREDENTIAL_FIELD, CredentialSummary } from '../lib/credentials';
+import { TRIGGER_EVENTS, TRIGGER_FIELDS } from '../lib/triggers';
+import { CollabStatus, PeerPresence, SharedGraph } from '../lib/collab';
+
+interface HistoryEntry {
+    workflowName: string;
+    nodes: Node<AevovNodeData>[];
+    edges: Edge[];
+}
+
+// Outer graph stashed while a composite's inner graph is open on the canvas
+interface CompositeScope {
+    compositeId: string;
+    label: string;
+    nodes: Node<AevovNodeData>[];
+    edges: Edge[];
+    selectedNodeId: string | null;
+    past: HistoryEntry[];
+    future: HistoryEntry[];
+}
+
+// Two saved versions (or a version and the canvas) shown on the canvas together
+export interface RevisionDiffView extends MergedDiffGraph {
+    beforeLabel: string;
+    afterLabel: string;
+    diff: WorkflowDiff;
+}
+
+type DiffSide = { label: string; name: string; nodes: Node<AevovNodeData>[]; edges: Edge[] };
+
+// A run waiting before a node until the user continues, steps or stops it
+export interface DebugPause {
+    nodeId: string;
+    resume: (command: DebugCommand) => Promise<void> | void;
+}
+
+// A save refused because someone else saved first, waiting to be merged
+export interface SaveConflict {
+    // Version this canvas started from
+    baseVersion: number | null;
+    theirs: {
+        version: number;
+        name: string;
+        nodes: Node<AevovNodeData>[];
+        edges: Edge[];
+        composites?: Record<string, CompositeDefinition>;
+    };
+}
+
+export interface HistoryOptions {
+    // Consecutive changes with the same key inside the coalesce window share one undo step
+    coalesceKey?: string;
+    skipHistory?: boolean;
+}
 
 interface WorkflowState {
     // Workflow data
     workflowId: string | null;
     workflowName: string;
+    // Last saved version, null until the workflow is saved
+    workflowVersion: number | null;
     nodes: Node<AevovNodeData>[];
     edges: Edge[];
     isDirty: boolean;
 
+    // Sample values for input nodes, keyed by node id
+    testInputs: Record<string, unknown> | null;
+
     // Selection
     selectedNodeId: string | null;
 
     // Node types registry
     nodeTypes: Record<string, NodeTypeDefinition>;
+    // Reported by the server; kept apart so registered node types can be merged over them
+    capabilityNodeTypes: Record<string, NodeTypeDefinition>;
 
     // Execution state
     isExecuting: boolean;
     executionResults: ExecutionResult | null;
+    executionLog: ExecutionLogEntry[];
+    nodeRunStates: Record<string, NodeRunState>;
+    executionAbort: AbortController | null;
+    // Past run shown in the results panel, null for the latest run
+    openedExecutionId: number | null;
+
+    // Debugging: runs pause before breakpointed nodes, or before every node while stepping
+    debugMode: boolean;
+    breakpoints: string[];
+    debugPause: DebugPause | null;
+    // Outputs edited while paused, sent along when the run resumes
+    editedOutputs: Record<string, unknown>;
+
+    // Validation
+    validationIssues: ValidationIssue[];
+
+    // History
+    past: HistoryEntry[];
+    future: HistoryEntry[];
+
+    // Sub-workflows
+    composites: Record<string, CompositeDefinition>;
+    scopes: CompositeScope[];
+
+    // Right-hand panel listing saved versions, past runs or credentials
+    sidePanel: 'history' | 'executions' | 'credentials' | null;
+    revisionDiff: RevisionDiffView | null;
+    // Template gallery dialog, opened from the toolbar or an empty canvas
+    showTemplates: boolean;
+
+    // Clipboard
+    clipboard: { nodes: Node<AevovNodeData>[]; edges: Edge[] } | null;
+    pasteCount: number;
+
+    // Credentials the user can pick, without secrets; null until loaded
+    credentials: CredentialSummary[] | null;
+
+    // Co-editing: other builders with this workflow open
+    collabStatus: CollabStatus;
+    collabPeers: PeerPresence[];
+    saveConflict: SaveConflict | null;
 
     // Actions
     setWorkflowId: (id: string | null) => void;
     setWorkflowName: (name: string) => void;
-    setNodes: (nodes: Node<AevovNodeData>[]) => void;
-    setEdges: (edges: Edge[]) => void;
+    setWorkflowVersion: (version: number | null) => void;
+    setNodes: (nodes: Node<AevovNodeData>[], options?: HistoryOptions) => void;
+    setEdges: (edges: Edge[], options?: HistoryOptions) => void;
     addNode: (type: string, position: { x: number; y: number }, data?: Partial<AevovNodeData>) => string;
     removeNode: (id: string) => void;
     updateNodeData: (id: string, data: Partial<AevovNodeData>) => void;
+    undo: () => void;
+    redo: () => void;
+    copySelection: () => void;
+    cutSelection: () => void;
+    pasteClipboard: () => void;
+    duplicateSelection: () => void;
+    // Sub-workflow definitions that come with the graph join the library
+    insertWorkflowGraph: (
+        graph: {
+            name: string;
+            nodes: Node<AevovNodeData>[];
+            edges: Edge[];
+            composites?: Record<string, CompositeDefinition>;
+        },
+        mode: 'merge' | 'replace'
+    ) => void;
+    importWorkflow: (imported: ImportedWorkflow, mode: 'new' | 'merge') => void;
+    collapseSelection: (name: string) => string | null;
+    enterComposite: (nodeId: string) => void;
+    exitComposite: (depth: number) => void;
+    deleteComposite: (id: string) => void;
+    getRootGraph: () => { nodes: Node<AevovNodeData>[]; edges: Edge[]; composites: Record<string, CompositeDefinition> };
     selectNode: (id: string | null) => void;
     setNodeTypes: (types: Record<string, NodeTypeDefinition>) => void;
     newWorkflow: () => void;
-    loadWorkflowData: (data: { id: string; name: string; nodes: Node<AevovNodeData>[]; edges: Edge[] }) => void;
+    loadWorkflowData: (data: {
+        id: string;
+        name: string;
+        nodes: Node<AevovNodeData>[];
+        edges: Edge[];
+        composites?: Record<string, CompositeDefinition>;
+        version?: number;
+    }) => void;
+    setSidePanel: (panel: WorkflowState['sidePanel']) => void;
+    setShowTemplates: (show: boolean) => void;
+    setCredentials: (credentials: CredentialSummary[]) => void;
+    setCollabStatus: (status: CollabStatus) => void;
+    setCollabPeers: (peers: PeerPresence[]) => void;
+    applyRemoteGraph: (graph: SharedGraph) => void;
+    setSaveConflict: (conflict: SaveConflict | null) => void;
+    showRevisionDiff: (before: DiffSide, after: DiffSide) => void;
+    clearRevisionDiff: () => void;
     setExecuting: (executing: boolean) => void;
+    startExecution: (abort: AbortController) => void;
+    applyExecutionEvent: (event: ExecutionEvent) => void;
+    cancelExecution: () => void;
+    openExecution: (result: ExecutionResult) => void;
+    setDebugMode: (enabled: boolean) => void;
+    toggleBreakpoint: (nodeId: string) => void;
+    pauseExecution: (pause: DebugPause) => void;
+    resumeExecution: (action: DebugCommand['action']) => Promise<void>;
+    editNodeOutput: (nodeId: string, output: unknown) => void;
     setExecutionResults: (results: ExecutionResult | null) => void;
     clearResults: () => void;
     setDirty: (dirty: boolean) => void;
+    setTestInputs: (inputs: Record<string, unknown> | null) => void;
+    validate: () => ValidationIssue[];
+    clearValidation: () => void;
 }
 
-let nodeCounter = 0;
+const HISTORY_LIMIT = 100;
+const COALESCE_WINDOW_MS = 1000;
+const PASTE_OFFSET = 30;
+const MERGE_GAP = 150;
+
+let lastHistoryKey: string | null = null;
+let lastHistoryAt = 0;
+
+function recordHistory(state: WorkflowState, options: HistoryOptions = {}): Partial<WorkflowState> {
+    if (options.skipHistory) {
+        return {};
+    }
+
+    const now = Date.now();
+    const coalesce = options.coalesceKey !== undefined
+        && options.coalesceKey === lastHistoryKey
+        && now - lastHistoryAt < COALESCE_WINDOW_MS;
+
+    lastHistoryKey = options.coalesceKey ?? null;
+    lastHistoryAt = now;
+
+    if (coalesce) {
+        return { future: [] };
+    }
+
+    const entry: HistoryEntry = {
+        workflowName: state.workflowName,
+        nodes: state.nodes,
+        edges: state.edges,
+    };
+
+    return {
+        past: [...state.past, entry].slice(-HISTORY_LIMIT),
+        future: [],
+    };
+}
+
+// Writes the open inner graphs back into their definitions, innermost first, and
+// returns the graph at the requested depth (0 is the workflow itself)
+function commitScopes(state: WorkflowState, depth = 0) {
+    let composites = state.composites;
+    let nodes = state.nodes;
+    let edges = state.edges;
+    let landed: CompositeScope | undefined;
+
+    for (let i = state.scopes.length - 1; i >= depth; i--) {
+        const scope = state.scopes[i];
+        const definition = composites[scope.compositeId];
+        if (definition) {
+            composites = { ...composites, [definition.id]: rebuildDefinition(definition, nodes, edges) };
+        }
+        nodes = syncCompositeInstances(scope.nodes, composites);
+        edges = scope.edges;
+        landed = scope;
+    }
+
+    return { composites, nodes, edges, landed };
+}
+
+function withComposites(
+    state: WorkflowState,
+    composites: Record<string, CompositeDefinition>
+): Pick<WorkflowState, 'composites' | 'nodeTypes'> {
+    const nodeTypes = { ...state.nodeTypes };
+    Object.keys(nodeTypes).forEach((type) => {
+        if (compositeIdOf(type)) {
+            delete nodeTypes[type];
+        }
+    });
+    return { composites, nodeTypes: { ...nodeTypes, ...compositeNodeTypes(composites) } };
+}
+
+function leaveScopes(state: WorkflowState): Pick<WorkflowState, 'composites' | 'nodeTypes' | 'scopes'> {
+    return state.scopes.length === 0
+        ? { composites: state.composites, nodeTypes: state.nodeTypes, scopes: [] }
+        : { ...withComposites(state, commitScopes(state).composites), scopes: [] };
+}
+
+function resetHistory(): Pick<WorkflowState, 'past' | 'future'> {
+    lastHistoryKey = null;
+    return { past: [], future: [] };
+}
+
+function restoreEntry(state: WorkflowState, entry: HistoryEntry): Partial<WorkflowState> {
+    lastHistoryKey = null;
+    return {
+        workflowName: entry.workflowName,
+        nodes: entry.nodes,
+        edges: entry.edges,
+        selectedNodeId: entry.nodes.some((n) => n.id === state.selectedNodeId) ? state.selectedNodeId : null,
+        isDirty: true,
+    };
+}
+
+const initialComposites = loadCompositeLibrary();
 
 export const useWorkflowStore = create<WorkflowState>((set, get) => ({
     workflowId: null,
     workflowName: 'Untitled Workflow',
+    workflowVersion: null,
     nodes: [],
     edges: [],
     isDirty: false,
+    testInputs: null,
     selectedNodeId: null,
-    nodeTypes: getDefaultNodeTypes(),
+    nodeTypes: mergeNodeTypes({}, compositeNodeTypes(initialComposites)),
+    capabilityNodeTypes: {},
     isExecuting: false,
     executionResults: null,
+    executionLog: [],
+    nodeRunStates: {},
+    executionAbort: null,
+    openedExecutionId: null,
+    debugMode: false,
+    breakpoints: [],
+    debugPause: null,
+    editedOutputs: {},
+    validationIssues: [],
+    past: [],
+    future: [],
+    composites: initialComposites,
+    scopes: [],
+    sidePanel: null,
+    revisionDiff: null,
+    showTemplates: false,
+    clipboard: null,
+    pasteCount: 0,
+    credentials: null,
+    collabStatus: 'off',
+    collabPeers: [],
+    saveConflict: null,
 
     setWorkflowId: (id) => set({ workflowId: id }),
-    setWorkflowName: (name) => set({ workflowName: name, isDirty: true }),
+    setWorkflowVersion: (version) => set({ workflowVersion: version }),
+    setWorkflowName: (name) => set((state) => ({
+        ...recordHistory(state, { coalesceKey: 'name' }),
+        workflowName: name,
+        isDirty: true,
+    })),
 
-    setNodes: (nodes) => set({ nodes, isDirty: true }),
-    setEdges: (edges) => set({ edges, isDirty: true }),
+    setNodes: (nodes, options) => set((state) => ({
+        ...recordHistory(state, options),
+        nodes,
+        isDirty: true,
+    })),
+    setEdges: (edges, options) => set((state) => ({
+        ...recordHistory(state, options),
+        edges,
+        isDirty: true,
+    })),
 
     addNode: (type, position, data = {}) => {
-        const nodeType = get().nodeTypes[type];
-        const id = `node_${++nodeCounter}_${Date.now()}`;
-
-        const newNode: Node<AevovNodeData> = {
-            id,
-            type: 'aevovNode',
-            position,
-            data: {
-                label: data.label || nodeType?.label || type,
-                nodeType: type,
-                icon: nodeType?.icon || 'Box',
-                color: nodeType?.color || '#64748b',
-                inputs: nodeType?.inputs || [],
-                outputs: nodeType?.outputs || [],
-                config: {},
-                ...data,
-            },
-        };
+        const newNode = createNode(type, get().nodeTypes[type], position, data);
 
         set((state) => ({
+            ...recordHistory(state),
             nodes: [...state.nodes, newNode],
             isDirty: true,
         }));
 
-        return id;
+        return newNode.id;
     },
 
     removeNode: (id) => {
         set((state) => ({
+            ...recordHistory(state),
             nodes: state.nodes.filter((n) => n.id !== id),
             edges: state.edges.filter((e) => e.source !== id && e.target !== id),
             selectedNodeId: state.selectedNodeId === id ? null : state.selectedNodeId,
@@ -96,6 +393,7 @@ export const useWorkflowStore = create<WorkflowState>((set, get) => ({
 
     updateNodeData: (id, data) => {
         set((state) => ({
+            ...recordHistory(state, { coalesceKey: `update:${id}:${Object.keys(data).sort().join(',')}` }),
             nodes: state.nodes.map((node) =>
                 node.id === id
                     ? { ...node, data: { ...node.data, ...data } }
@@ -105,42 +403,661 @@ export const useWorkflowStore = create<WorkflowState>((set, get) => ({
         }));
     },
 
+    undo: () => {
+        const state = get();
+        const previous = state.past[state.past.length - 1];
+        if (!previous) {
+            return;
+        }
+
+        set({
+            ...restoreEntry(state, previous),
+            past: state.past.slice(0, -1),
+            future: [
+                { workflowName: state.workflowName, nodes: state.nodes, edges: state.edges },
+                ...state.future,
+            ],
+        });
+    },
+
+    redo: () => {
+        const state = get();
+        const next = state.future[0];
+        if (!next) {
+            return;
+        }
+
+        set({
+            ...restoreEntry(state, next),
+            past: [
+                ...state.past,
+                { workflowName: state.workflowName, nodes: state.nodes, edges: state.edges },
+            ],
+            future: state.future.slice(1),
+        });
+    },
+
+    copySelection: () => {
+        const { nodes, edges, selectedNodeId } = get();
+        const selection = getSelectedSubgraph(nodes, edges, selectedNodeId);
+        if (selection.nodes.length === 0) {
+            return;
+        }
+
+        set({ clipboard: selection, pasteCount: 0 });
+    },
+
+    cutSelection: () => {
+        const { nodes, edges, selectedNodeId } = get();
+        const selection = getSelectedSubgraph(nodes, edges, selectedNodeId);
+        if (selection.nodes.length === 0) {
+            return;
+        }
+
+        const removed = new Set(selection.nodes.map((n) => n.id));
+        set((state) => ({
+            ...recordHistory(state),
+            clipboard: selection,
+            pasteCount: 0,
+            nodes: state.nodes.filter((n) => !removed.has(n.id)),
+            edges: state.edges.filter((e) => !removed.has(e.source) && !removed.has(e.target)),
+            selectedNodeId: state.selectedNodeId && removed.has(state.selectedNodeId) ? null : state.selectedNodeId,
+            isDirty: true,
+        }));
+    },
+
+    pasteClipboard: () => {
+        const { clipboard, pasteCount } = get();
+        if (!clipboard) {
+            return;
+        }
+
+        const offset = PASTE_OFFSET * (pasteCount + 1);
+        const pasted = cloneSubgraph(clipboard.nodes, clipboard.edges, { x: offset, y: offset });
+
+        set((state) => ({
+            ...recordHistory(state),
+            nodes: [...state.nodes.map((n) => ({ ...n, selected: false })), ...pasted.nodes],
+            edges: [...state.edges, ...pasted.edges],
+            pasteCount: pasteCount + 1,
+            isDirty: true,
+        }));
+    },
+
+    duplicateSelection: () => {
+        const { nodes, edges, selectedNodeId } = get();
+        const selection = getSelectedSubgraph(nodes, edges, selectedNodeId);
+        if (selection.nodes.length === 0) {
+            return;
+        }
+
+        const duplicated = cloneSubgraph(selection.nodes, selection.edges, { x: PASTE_OFFSET, y: PASTE_OFFSET });
+
+        set((state) => ({
+            ...recordHistory(state),
+            nodes: [...state.nodes.map((n) => ({ ...n, selected: false })), ...duplicated.nodes],
+            edges: [...state.edges, ...duplicated.edges],
+            isDirty: true,
+        }));
+    },
+
+    insertWorkflowGraph: (graph, mode) => {
+        set((state) => {
+            const library = withComposites(state, mergeCompositeLibrary(state.composites, graph.composites));
+            const incoming = syncCompositeInstances(graph.nodes, library.composites);
+
+            if (mode === 'replace' || state.nodes.length === 0) {
+                return {
+                    ...recordHistory(state),
+                    ...library,
+                    workflowName: graph.name,
+                    nodes: incoming,
+                    edges: graph.edges,
+                    selectedNodeId: null,
+                    nodeRunStates: {},
+                    validationIssues: [],
+                    isDirty: true,
+                };
+            }
+
+            // Place the new graph below what is already on the canvas
+            const left = Math.min(...state.nodes.map((n) => n.position.x));
+            const bottom = Math.max(...state.nodes.map((n) => n.position.y + (n.height ?? 0)));
+            const top = Math.min(...graph.nodes.map((n) => n.position.y));
+            const originX = Math.min(...graph.nodes.map((n) => n.position.x));
+            const dx = left - originX;
+            const dy = bottom + MERGE_GAP - top;
+
+            return {
+                ...recordHistory(state),
+                ...library,
+                nodes: [
+                    ...state.nodes.map((n) => ({ ...n, selected: false })),
+                    ...incoming.map((n) => ({
+                        ...n,
+                        position: { x: n.position.x + dx, y: n.position.y + dy },
+                        selected: true,
+                    })),
+                ],
+                edges: [...state.edges, ...graph.edges],
+                isDirty: true,
+            };
+        });
+    },
+
+    importWorkflow: (imported, mode) => {
+        if (mode === 'merge') {
+            get().insertWorkflowGraph(imported, 'merge');
+            if (imported.testInputs) {
+                set((state) => ({ testInputs: { ...state.testInputs, ...imported.testInputs } }));
+            }
+            return;
+        }
+
+        set((state) => {
+            const left = leaveScopes(state);
+            const library = withComposites({ ...state, ...left }, mergeCompositeLibrary(left.composites, imported.composites));
+            return {
+                ...left,
+                ...library,
+                workflowId: null,
+                workflowVersion: null,
+                workflowName: imported.name,
+                nodes: syncCompositeInstances(imported.nodes, library.composites),
+                edges: imported.edges,
+                testInputs: imported.testInputs || null,
+                breakpoints: [],
+                isDirty: true,
+                selectedNodeId: null,
+                revisionDiff: null,
+                executionResults: null,
+                executionLog: [],
+                nodeRunStates: {},
+                validationIssues: [],
+                ...resetHistory(),
+            };
+        });
+    },
+
+    collapseSelection: (name) => {
+        const { nodes, edges, selectedNodeId } = get();
+        const selection = getSelectedSubgraph(nodes, edges, selectedNodeId);
+        const collapsed = collapseToComposite(nodes, edges, selection.nodes.map((n) => n.id), name);
+        if (!collapsed) {
+            return null;
+        }
+
+        set((state) => ({
+            ...recordHistory(state),
+            ...withComposites(state, { ...state.composites, [collapsed.definition.id]: collapsed.definition }),
+            nodes: collapsed.nodes.map((n) => ({ ...n, selected: n.id === collapsed.instance.id })),
+            edges: collapsed.edges,
+            selectedNodeId: collapsed.instance.id,
+            isDirty: true,
+        }));
+
+        return collapsed.definition.id;
+    },
+
+    enterComposite: (nodeId) => {
+        const state = get();
+        const node = state.nodes.find((n) => n.id === nodeId);
+        const compositeId = node ? compositeIdOf(node.data.nodeType) : null;
+        const definition = compositeId ? state.composites[compositeId] : undefined;
+        if (!node || !definition || state.scopes.some((s) => s.compositeId === definition.id)) {
+            return;
+        }
+
+        set({
+            scopes: [
+                ...state.scopes,
+                {
+                    compositeId: definition.id,
+                    label: node.data.label,
+                    nodes: state.nodes,
+                    edges: state.edges,
+                    selectedNodeId: state.selectedNodeId,
+                    past: state.past,
+                    future: state.future,
+                },
+            ],
+            nodes: syncCompositeInstances(definition.nodes, state.composites),
+            edges: definition.edges,
+            selectedNodeId: null,
+            ...resetHistory(),
+        });
+    },
+
+    exitComposite: (depth) => {
+        const state = get();
+        if (depth >= state.scopes.length) {
+            return;
+        }
+
+        const committed = commitScopes(state, depth);
+        set({
+            ...withComposites(state, committed.composites),
+            scopes: state.scopes.slice(0, depth),
+            nodes: committed.nodes,
+            edges: committed.edges,
+            selectedNodeId: committed.landed?.selectedNodeId ?? null,
+            past: committed.landed?.past ?? [],
+            future: committed.landed?.future ?? [],
+            isDirty: state.isDirty || committed.composites !== state.composites,
+        });
+        lastHistoryKey = null;
+    },
+
+    deleteComposite: (id) => {
+        set((state) => {
+            const composites = { ...state.composites };
+            delete composites[id];
+            return withComposites(state, composites);
+        });
+    },
+
+    getRootGraph: () => {
+        const { nodes, edges, composites } = commitScopes(get());
+        return { nodes, edges, composites };
+    },
+
     selectNode: (id) => set({ selectedNodeId: id }),
 
-    setNodeTypes: (types) => set({ nodeTypes: { ...getDefaultNodeTypes(), ...types } }),
+    setNodeTypes: (types) => set((state) => ({
+        nodeTypes: mergeNodeTypes(types, compositeNodeTypes(state.composites)),
+        capabilityNodeTypes: types,
+    })),
 
     newWorkflow: () => {
-        set({
+        set((state) => ({
+            ...leaveScopes(state),
             workflowId: null,
             workflowName: 'Untitled Workflow',
+            workflowVersion: null,
             nodes: [],
             edges: [],
+            testInputs: null,
+            breakpoints: [],
             isDirty: false,
             selectedNodeId: null,
+            revisionDiff: null,
+            saveConflict: null,
             executionResults: null,
-        });
+            executionLog: [],
+            nodeRunStates: {},
+            validationIssues: [],
+            ...resetHistory(),
+        }));
     },
 
     loadWorkflowData: (data) => {
+        set((state) => {
+            const left = leaveScopes(state);
+            const library = withComposites({ ...state, ...left }, mergeCompositeLibrary(left.composites, data.composites));
+            return {
+                ...left,
+                ...library,
+                workflowId: data.id,
+                workflowName: data.name,
+                workflowVersion: data.version ?? null,
+                nodes: syncCompositeInstances(
+                    needsLayout(data.nodes) ? layoutLayered(data.nodes, data.edges) : data.nodes,
+                    library.composites
+                ),
+                edges: data.edges,
+                testInputs: null,
+                breakpoints: [],
+                isDirty: false,
+                selectedNodeId: null,
+                revisionDiff: null,
+                saveConflict: null,
+                executionResults: null,
+                executionLog: [],
+                nodeRunStates: {},
+                validationIssues: [],
+                ...resetHistory(),
+            };
+        });
+    },
+
+    setSidePanel: (panel) => set((state) => ({
+        sidePanel: panel,
+        revisionDiff: panel === 'history' ? state.revisionDiff : null,
+    })),
+
+    setShowTemplates: (show) => set({ showTemplates: show }),
+
+    setCredentials: (credentials) => set({ credentials }),
+
+    setCollabStatus: (status) => set({ collabStatus: status }),
+    setCollabPeers: (peers) => set({ collabPeers: peers }),
+
+    // Changes from other builders aren't undo steps of this one
+    // Definitions from other builders have already won their registers, so they replace ours
+    applyRemoteGraph: (graph) => set((state) => ({
+        ...(Object.entries(graph.composites || {}).some(([id, definition]) => state.composites[id] !== definition)
+            ? withComposites(state, { ...state.composites, ...graph.composites })
+            : {}),
+        workflowName: graph.name,
+        nodes: graph.nodes,
+        edges: graph.edges,
+        isDirty: true,
+        selectedNodeId: graph.nodes.some((n) => n.id === state.selectedNodeId) ? state.selectedNodeId : null,
+    })),
+
+    setSaveConflict: (conflict) => set({ saveConflict: conflict }),
+
+    showRevisionDiff: (before, after) => {
+        const diff = diffWorkflows(before, after);
         set({
-            workflowId: data.id,
-            workflowName: data.name,
-            nodes: data.nodes,
-            edges: data.edges,
-            isDirty: false,
+            revisionDiff: {
+                ...mergeForDiff(before, after, diff),
+                beforeLabel: before.label,
+                afterLabel: after.label,
+                diff,
+            },
             selectedNodeId: null,
-            executionResults: null,
         });
     },
 
+    clearRevisionDiff: () => set({ revisionDiff: null }),
+
     setExecuting: (executing) => set({ isExecuting: executing }),
-    setExecutionResults: (results) => set({ executionResults: results, isExecuting: false }),
-    clearResults: () => set({ executionResults: null }),
+
+    startExecution: (abort) => set({
+        isExecuting: true,
+        executionResults: null,
+        executionLog: [],
+        nodeRunStates: {},
+        executionAbort: abort,
+        openedExecutionId: null,
+        debugPause: null,
+        editedOutputs: {},
+    }),
+
+    applyExecutionEvent: (event) => {
+        switch (event.type) {
+            case 'log':
+                set((state) => ({ executionLog: [...state.executionLog, event.entry] }));
+                break;
+            case 'node_started':
+                set((state) => ({
+                    nodeRunStates: {
+                        ...state.nodeRunStates,
+                        [event.node_id]: { status: 'running', startedAt: event.timestamp },
+                    },
+                }));
+                break;
+            case 'node_output':
+                set((state) => ({
+                    nodeRunStates: {
+                        ...state.nodeRunStates,
+                        [event.node_id]: {
+                            ...state.nodeRunStates[event.node_id],
+                            status: 'completed',
+                            output: event.output,
+                            finishedAt: event.timestamp,
+                        },
+                    },
+                }));
+                break;
+            case 'node_error':
+                set((state) => ({
+                    nodeRunStates: {
+                        ...state.nodeRunStates,
+                        [event.node_id]: {
+                            ...state.nodeRunStates[event.node_id],
+                            status: 'error',
+                            error: event.error,
+                            recovered: event.recovered,
+                            finishedAt: event.timestamp,
+                        },
+                    },
+                }));
+                break;
+            case 'node_retry':
+                set((state) => ({
+                    nodeRunStates: {
+                        ...state.nodeRunStates,
+                        [event.node_id]: {
+                            ...state.nodeRunStates[event.node_id],
+                            status: 'running',
+                            error: event.error,
+                            attempts: event.attempt + 1,
+                        },
+                    },
+                }));
+                break;
+            case 'node_skipped':
+                set((state) => ({
+                    nodeRunStates: {
+                        ...state.nodeRunStates,
+                        [event.node_id]: { status: 'skipped', reason: event.reason },
+                    },
+                }));
+                break;
+            case 'node_paused':
+                set((state) => ({
+                    nodeRunStates: {
+                        ...state.nodeRunStates,
+                        [event.node_id]: { status: 'paused', inputs: event.inputs },
+                    },
+                }));
+                break;
+            case 'execution_completed':
+                get().setExecutionResults(event.result);
+                break;
+        }
+    },
+
+    cancelExecution: () => {
+        const { executionAbort, executionLog, nodeRunStates } = get();
+        if (!executionAbort) {
+            return;
+        }
+
+        executionAbort.abort();
+
+        const interrupted: Record<string, NodeRunState> = {};
+        Object.entries(nodeRunStates).forEach(([id, run]) => {
+            interrupted[id] = run.status === 'running' || run.status === 'paused'
+                ? { ...run, status: 'skipped', reason: 'Cancelled' }
+                : run;
+        });
+
+        const cancelLog: ExecutionLogEntry = {
+            timestamp: Date.now() / 1000,
+            level: 'warning',
+            message: 'Execution cancelled',
+        };
+
+        set({
+            isExecuting: false,
+            executionAbort: null,
+            debugPause: null,
+            editedOutputs: {},
+            nodeRunStates: interrupted,
+            executionLog: [...executionLog, cancelLog],
+            executionResults: {
+                success: false,
+                cancelled: true,
+                error: 'Execution cancelled',
+                log: [...executionLog, cancelLog],
+            },
+        });
+    },
+
+    openExecution: (result) => set({
+        executionResults: result,
+        executionLog: result.log,
+        nodeRunStates: {},
+        validationIssues: [],
+        openedExecutionId: result.execution_id ?? null,
+    }),
+
+    setDebugMode: (enabled) => set({ debugMode: enabled }),
+
+    toggleBreakpoint: (nodeId) => set((state) => ({
+        breakpoints: state.breakpoints.includes(nodeId)
+            ? state.breakpoints.filter((id) => id !== nodeId)
+            : [...state.breakpoints, nodeId],
+    })),
+
+    pauseExecution: (pause) => set({ debugPause: pause, editedOutputs: {} }),
+
+    resumeExecution: async (action) => {
+        const { debugPause, editedOutputs } = get();
+        if (!debugPause) {
+            return;
+        }
+
+        set({ debugPause: null, editedOutputs: {} });
+        try {
+            await debugPause.resume({ action, outputs: editedOutputs });
+        } catch (error) {
+            // Still paused: let the user try again
+            set({ debugPause, editedOutputs });
+            throw error;
+        }
+    },
+
+    editNodeOutput: (nodeId, output) => set((state) => ({
+        editedOutputs: { ...state.editedOutputs, [nodeId]: output },
+    })),
+
+    setExecutionResults: (results) => set((state) => ({
+        executionResults: results,
+        executionLog: results?.log?.length ? results.log : state.executionLog,
+        isExecuting: false,
+        executionAbort: null,
+        debugPause: null,
+        editedOutputs: {},
+    })),
+    clearResults: () => set({
+        executionResults: null,
+        executionLog: [],
+        nodeRunStates: {},
+        validationIssues: [],
+        openedExecutionId: null,
+    }),
     setDirty: (dirty) => set({ isDirty: dirty }),
+    setTestInputs: (inputs) => set({ testInputs: inputs }),
+
+    validate: () => {
+        const { nodes, edges } = get().getRootGraph();
+        const issues = validateWorkflow(nodes, edges, get().nodeTypes);
+        set({ validationIssues: issues });
+        return issues;
+    },
+    clearValidation: () => set({ validationIssues: [] }),
 }));
 
+// Keep the sub-workflow library in local storage
+useWorkflowStore.subscribe((state, previous) => {
+    if (state.composites !== previous.composites) {
+        saveCompositeLibrary(state.composites);
+    }
+});
+
+// Types registered at runtime (see lib/nodeRegistry) show up as soon as they are registered
+reserveNodeTypes(Object.keys(getDefaultNodeTypes()));
+subscribeNodeTypes(() => {
+    useWorkflowStore.setState((state) => ({
+        nodeTypes: mergeNodeTypes(
+            state.capabilityNodeTypes,
+            Object.fromEntries(Object.entries(state.nodeTypes).filter(([type]) => compositeIdOf(type)))
+        ),
+    }));
+});
+
+function mergeNodeTypes(
+    capabilities: Record<string, NodeTypeDefinition>,
+    composites: Record<string, NodeTypeDefinition>
+): Record<string, NodeTypeDefinition> {
+    const registered = registeredNodeTypes();
+    // A registered type may describe a capability in more detail; it stays in the capability's place
+    Object.keys(registered).forEach((type) => {
+        const capability = capabilities[type];
+        if (!capability) {
+            return;
+        }
+        registered[type] = {
+            ...registered[type],
+            category: getRegisteredNodeType(type)?.category ?? capability.category,
+            available: capability.available,
+        };
+    });
+    return withCredentialFields({ ...getDefaultNodeTypes(), ...capabilities, ...registered, ...composites });
+}
+
+// Capability nodes can authenticate with a credential unless their type already picks one
+function withCredentialFields(types: Record<string, NodeTypeDefinition>): Record<string, NodeTypeDefinition> {
+    Object.entries(types).forEach(([type, definition]) => {
+        if (definition.category !== 'capability' || definition.configFields.some((f) => f.type === 'credential')) {
+            return;
+        }
+        types[type] = { ...definition, configFields: [...definition.configFields, CREDENTIAL_FIELD] };
+    });
+    return types;
+}
+
 function getDefaultNodeTypes(): Record<string, NodeTypeDefinition> {
     return {
+        schedule: {
+            type: 'schedule',
+            label: 'Schedule',
+            category: 'trigger',
+            description: 'Run the saved workflow on a cron schedule',
+            icon: 'CalendarClock',
+            color: '#eab308',
+            inputs: [],
+            outputs: [{ id: 'output', label: 'Payload', type: 'object' }],
+            configFields: [
+                {
+                    key: 'cron',
+                    label: 'Cron Expression',
+                    type: 'cron',
+                    placeholder: '0 9 * * 1-5',
+                    description: 'Minute, hour, day of month, month and day of week, in the site timezone',
+                    required: true,
+                },
+                ...TRIGGER_FIELDS,
+            ],
+        },
+        webhook: {
+            type: 'webhook',
+            label: 'Webhook',
+            category: 'trigger',
+            description: 'Run the saved workflow when its URL receives a request',
+            icon: 'Webhook',
+            color: '#eab308',
+            inputs: [],
+            outputs: [{ id: 'output', label: 'Payload', type: 'object' }],
+            configFields: [
+                {
+                    key: 'verifySignature',
+                    label: 'Require Signature',
+                    type: 'boolean',
+                    defaultValue: true,
+                    description: 'Reject requests without a valid X-Aevov-Signature header',
+                },
+                ...TRIGGER_FIELDS,
+            ],
+        },
+        event: {
+            type: 'event',
+            label: 'Aevov Event',
+            category: 'trigger',
+            description: 'Run the saved workflow when an Aevov event happens',
+            icon: 'Zap',
+            color: '#eab308',
+            inputs: [],
+            outputs: [{ id: 'output', label: 'Payload', type: 'object' }],
+            configFields: [
+                { key: 'event', label: 'Event', type: 'select', options: TRIGGER_EVENTS, required: true },
+                ...TRIGGER_FIELDS,
+            ],
+        },
         input: {
             type: 'input',
             label: 'Input',
@@ -151,7 +1068,48 @@ function getDefaultNodeTypes(): Record<string, NodeTypeDefinition> {
             inputs: [],
             outputs: [{ id: 'output', label: 'Output', type: 'any' }],
             configFields: [
+                { key: 'name', label: 'Parameter Name', type: 'text', placeholder: 'Defaults to the label, e.g. topic' },
+                {
+                    key: 'inputType',
+                    label: 'Type',
+                    type: 'select',
+                    options: INPUT_PARAMETER_TYPES,
+                    defaultValue: 'string',
+                },
+                { key: 'required', label: 'Required', type: 'boolean' },
+                { key: 'description', label: 'Description', type: 'text', placeholder: 'Shown in the run form and API schema' },
                 { key: 'defaultValue', label: 'Default Value', type: 'textarea' },
+                {
+                    key: 'options',
+                    label: 'Choices',
+                    type: 'text',
+                    placeholder: 'a, b, c',
+                    description: 'Comma-separated',
+                    required: true,
+                    showWhen: { field: 'inputType', equals: 'enum' },
+                },
+                {
+                    key: 'min',
+                    label: 'Minimum',
+                    type: 'number',
+                    placeholder: 'Value, or length for text',
+                    showWhen: { field: 'inputType', equals: ['string', 'number', 'integer'] },
+                },
+                {
+                    key: 'max',
+                    label: 'Maximum',
+                    type: 'number',
+                    placeholder: 'Value, or length for text',
+                    showWhen: { field: 'inputType', equals: ['string', 'number', 'integer'] },
+                },
+                {
+                    key: 'pattern',
+                    label: 'Pattern',
+                    type: 'text',
+                    placeholder: '^[a-z]+$',
+                    description: 'Regular expression the text must match',
+                    showWhen: { field: 'inputType', equals: 'string' },
+                },
             ],
         },
         output: {
@@ -187,8 +1145,22 @@ function getDefaultNodeTypes(): Record<string, NodeTypeDefinition> {
                         { value: 'template', label: 'Template' },
                     ],
                 },
-                { key: 'path', label: 'Path', type: 'text', placeholder: 'data.items.0' },
-                { key: 'template', label: 'Template', type: 'textarea', placeholder: '{{input}}' },
+                {
+                    key: 'path',
+                    label: 'Path',
+                    type: 'text',
+                    placeholder: 'data.items.0',
+                    required: true,
+                    showWhen: { field: 'type', equals: 'extract' },
+                },
+                {
+                    key: 'template',
+                    label: 'Template',
+                    type: 'code',
+                    language: 'template',
+                    placeholder: '{{input}}',
+                    showWhen: { field: 'type', equals: 'template' },
+                },
             ],
         },
         condition: {
@@ -204,7 +1176,14 @@ function getDefaultNodeTypes(): Record<string, NodeTypeDefinition> {
                 { id: 'false', label: 'False', type: 'any' },
             ],
             configFields: [
-                { key: 'condition', label: 'Condition', type: 'text', placeholder: 'input > 10' },
+                {
+                    key: 'condition',
+                    label: 'Condition',
+                    type: 'code',
+                    language: 'expression',
+                    placeholder: 'input > 10',
+                    required: true,
+                },
             ],
         },
         loop: {
@@ -217,7 +1196,69 @@ function getDefaultNodeTypes(): Record<string, NodeTypeDefinition> {
             inputs: [{ id: 'items', label: 'Items', type: 'array' }],
             outputs: [{ id: 'output', label: 'Results', type: 'array' }],
             configFields: [
-                { key: 'maxIterations', label: 'Max Iterations', type: 'number', defaultValue: 100 },
+                { key: 'maxIterations', label: 'Max Iterations', type: 'number', defaultValue: 100, min: 1 },
+                {
+                    key: 'concurrency',
+                    label: 'Concurrency',
+                    type: 'number',
+                    defaultValue: 1,
+                    min: 1,
+                    max: 16,
+                    description: 'Items processed at the same time; results keep the order of the items',
+                },
+            ],
+        },
+        parallel: {
+            type: 'parallel',
+            label: 'Parallel',
+            category: 'control',
+            description: 'Run every connected branch at the same time',
+            icon: 'Split',
+            color: '#f59e0b',
+            inputs: [{ id: 'input', label: 'Input', type: 'any' }],
+            outputs: [{ id: 'output', label: 'Branches', type: 'any' }],
+            configFields: [],
+        },
+        merge: {
+            type: 'merge',
+            label: 'Merge',
+            category: 'control',
+            description: 'Wait for branches and combine their results',
+            icon: 'Merge',
+            color: '#f59e0b',
+            inputs: [{ id: 'input', label: 'Branches', type: 'any' }],
+            outputs: [{ id: 'output', label: 'Merged', type: 'any' }],
+            configFields: [
+                {
+                    key: 'strategy',
+                    label: 'Wait For',
+                    type: 'select',
+                    defaultValue: 'all',
+                    options: [
+                        { value: 'all', label: 'All branches' },
+                        { value: 'any', label: 'The first branch' },
+                        { value: 'firstN', label: 'The first few branches' },
+                    ],
+                },
+                {
+                    key: 'count',
+                    label: 'Branches',
+                    type: 'number',
+                    defaultValue: 2,
+                    min: 1,
+                    showWhen: { field: 'strategy', equals: 'firstN' },
+                },
+                {
+                    key: 'combine',
+                    label: 'Combine Into',
+                    type: 'select',
+                    defaultValue: 'keyed',
+                    options: [
+                        { value: 'keyed', label: 'Object keyed by branch' },
+                        { value: 'array', label: 'Array, in the order branches finished' },
+                    ],
+                    description: 'Keys are the labels of the last node on each branch',
+                },
             ],
         },
         http: {
@@ -230,7 +1271,15 @@ function getDefaultNodeTypes(): Record<string, NodeTypeDefinition> {
             inputs: [{ id: 'body', label: 'Body', type: 'any' }],
             outputs: [{ id: 'output', label: 'Response', type: 'any' }],
             configFields: [
-                { key: 'url', label: 'URL', type: 'text', placeholder: 'https://api.example.com' },
+                {
+                    key: 'url',
+                    label: 'URL',
+                    type: 'text',
+                    placeholder: 'https://api.example.com',
+                    required: true,
+                    pattern: '^(https?://|\\{\\{)',
+                    patternMessage: 'Must start with http:// or https://',
+                },
                 {
                     key: 'method',
                     label: 'Method',
@@ -242,6 +1291,11 @@ function getDefaultNodeTypes(): Record<string, NodeTypeDefinition> {
                         { value: 'DELETE', label: 'DELETE' },
                     ],
                 },
+                { key: 'headers', label: 'Headers', type: 'keyValue', placeholder: 'Header' },
+                {
+                    ...CREDENTIAL_FIELD,
+                    description: 'Header, bearer token, basic auth or query parameter; the secret stays on the server',
+                },
             ],
         },
         delay: {
@@ -254,7 +1308,7 @@ function getDefaultNodeTypes(): Record<string, NodeTypeDefinition> {
             inputs: [{ id: 'input', label: 'Input', type: 'any' }],
             outputs: [{ id: 'output', label: 'Output', type: 'any' }],
             configFields: [
-                { key: 'seconds', label: 'Seconds', type: 'number', defaultValue: 1 },
+                { key: 'seconds', label: 'Seconds', type: 'range', defaultValue: 1, min: 0, max: 30 },
             ],
         },
         // AI Capabilities
@@ -311,7 +1365,7 @@ function getDefaultNodeTypes(): Record<string, NodeTypeDefinition> {
             outputs: [{ id: 'output', label: 'Track', type: 'object' }],
             configFields: [
                 { key: 'genre', label: 'Genre', type: 'text' },
-                { key: 'duration', label: 'Duration (s)', type: 'number', defaultValue: 30 },
+                { key: 'duration', label: 'Duration (s)', type: 'number', defaultValue: 30, min: 1 },
             ],
         },
         cognitive: {
@@ -1,3 +1,5 @@
+import { Node, Edge } from 'reactflow';
+
 export interface AevovNodeData {
     label: string;
     nodeType: string;
@@ -6,6 +8,23 @@ export interface AevovNodeData {
     inputs: HandleDefinition[];
     outputs: HandleDefinition[];
     config: Record<string, unknown>;
+    // Canned output used in place of capability calls during browser dry runs
+    fixture?: unknown;
+    // Retries, time limit and what a failure leads to; see lib/errorPolicy
+    errorPolicy?: ErrorPolicy;
+}
+
+export interface ErrorPolicy {
+    // Attempts in all, counting the first
+    maxAttempts?: number;
+    // Milliseconds before the first retry; doubled after each one with 'exponential'
+    retryDelay?: number;
+    backoff?: 'fixed' | 'exponential';
+    // Seconds one attempt may take
+    timeout?: number;
+    onError?: 'stop' | 'continue' | 'fallback';
+    // Output with 'continue' once the attempts run out
+    defaultValue?: unknown;
 }
 
 export interface HandleDefinition {
@@ -17,7 +36,7 @@ export interface HandleDefinition {
 export interface NodeTypeDefinition {
     type: string;
     label: string;
-    category: 'input' | 'output' | 'transform' | 'control' | 'capability' | 'utility';
+    category: 'trigger' | 'input' | 'output' | 'transform' | 'control' | 'capability' | 'utility' | 'composite';
     description?: string;
     icon: string;
     color: string;
@@ -27,13 +46,82 @@ export interface NodeTypeDefinition {
     available?: boolean;
 }
 
+// The part of JSON Schema that config fields use to describe JSON values
+export interface JsonSchema {
+    type?: JsonSchemaType | JsonSchemaType[];
+    properties?: Record<string, JsonSchema>;
+    required?: string[];
+    additionalProperties?: boolean | JsonSchema;
+    items?: JsonSchema;
+    enum?: unknown[];
+    const?: unknown;
+    minimum?: number;
+    maximum?: number;
+    minLength?: number;
+    maxLength?: number;
+    pattern?: string;
+    minItems?: number;
+    maxItems?: number;
+}
+
+export type JsonSchemaType = 'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean' | 'null';
+
+export type ConfigFieldType =
+    | 'text'
+    | 'textarea'
+    | 'number'
+    | 'select'
+    | 'boolean'
+    | 'json'
+    | 'code'
+    | 'keyValue'
+    | 'media'
+    | 'credential'
+    | 'range'
+    | 'multiSelect'
+    | 'cron';
+
 export interface ConfigField {
     key: string;
     label: string;
-    type: 'text' | 'textarea' | 'number' | 'select' | 'boolean' | 'json';
+    type: ConfigFieldType;
     options?: { value: string; label: string }[];
     defaultValue?: unknown;
     placeholder?: string;
+    description?: string;
+    required?: boolean;
+    // The value for number and range fields, the length for text, the count for multi-select
+    min?: number;
+    max?: number;
+    step?: number;
+    pattern?: string;
+    // Shown instead of the generic message when the pattern doesn't match
+    patternMessage?: string;
+    // What json fields must parse to
+    schema?: JsonSchema;
+    // Highlighting for code fields
+    language?: 'template' | 'expression' | 'json';
+    // MIME type prefix for media fields, e.g. image/
+    accept?: string;
+    // Shown only while another field of the node has one of these values
+    showWhen?: { field: string; equals: unknown | unknown[] };
+}
+
+// Handle on a composite node, mapped onto a handle of one of its inner nodes
+export interface CompositePort extends HandleDefinition {
+    nodeId: string;
+    handleId: string | null;
+}
+
+export interface CompositeDefinition {
+    id: string;
+    name: string;
+    description?: string;
+    nodes: Node<AevovNodeData>[];
+    edges: Edge[];
+    inputs: CompositePort[];
+    outputs: CompositePort[];
+    updatedAt: string;
 }
 
 export interface Workflow {
@@ -52,10 +140,13 @@ export interface ExecutionResult {
     success: boolean;
     outputs?: Record<string, unknown>;
     all_outputs?: Record<string, unknown>;
+    // Outputs of the nodes that finished before a failed server run stopped
+    partial_outputs?: Record<string, unknown>;
     error?: string;
     failed_node?: string;
     execution_time?: number;
     execution_id?: number;
+    cancelled?: boolean;
     log: ExecutionLogEntry[];
 }
 
@@ -80,3 +171,55 @@ export interface AevovCapability {
     }[];
     available: boolean;
 }
+
+export interface AiProvider {
+    id: string;
+    name: string;
+    capabilities: Record<string, boolean>;
+    models: { id: string; name: string; description?: string }[];
+    configured: boolean;
+}
+
+export interface ValidationIssue {
+    code: 'incompatible_handles' | 'unknown_handle' | 'dangling_edge' | 'cycle' | 'orphan_node' | 'missing_input' | 'missing_output' | 'required_config' | 'invalid_parameter' | 'invalid_config';
+    message: string;
+    nodeId?: string;
+    edgeId?: string;
+    // Config field key, for issues about a node's config
+    field?: string;
+}
+
+export type NodeRunStatus = 'running' | 'completed' | 'error' | 'skipped' | 'paused';
+
+export interface NodeRunState {
+    status: NodeRunStatus;
+    output?: unknown;
+    error?: string;
+    reason?: string;
+    // Inputs the node is about to run with, while paused before it
+    inputs?: Record<string, unknown>;
+    startedAt?: number;
+    finishedAt?: number;
+    // Attempts made so far, when the node has been retried
+    attempts?: number;
+    // The node failed but its error policy let the run go on
+    recovered?: boolean;
+}
+
+export type ExecutionEvent =
+    | { type: 'execution_started'; execution_id?: number; timestamp: number }
+    | { type: 'node_started'; node_id: string; timestamp: number }
+    | { type: 'node_output'; node_id: string; output: unknown; timestamp: number }
+    | { type: 'node_error'; node_id: string; error: string; recovered?: boolean; timestamp: number }
+    | { type: 'node_retry'; node_id: string; attempt: number; error: string; delay: number; timestamp: number }
+    | { type: 'node_skipped'; node_id: string; reason?: string; timestamp: number }
+    | { type: 'node_paused'; node_id: string; inputs: Record<string, unknown>; timestamp: number }
+    | { type: 'log'; entry: ExecutionLogEntry; timestamp: number }
+    | { type: 'execution_completed'; result: ExecutionResult };
+
+// Answer to a node_paused event
+export interface DebugCommand {
+    action: 'continue' | 'step' | 'stop';
+    // Replacement outputs for nodes that already ran, keyed by node id
+    outputs?: Record<string, unknown>;
+}